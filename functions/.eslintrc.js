@@ -4,7 +4,8 @@ module.exports = {
     node: true,
   },
   parserOptions: {
-    "ecmaVersion": 2018,
+    // 2020 for import(), which loads the ES modules shared with the web app
+    "ecmaVersion": 2020,
   },
   extends: [
     "eslint:recommended",
@@ -16,6 +17,12 @@ module.exports = {
     "quotes": ["error", "double", {"allowTemplateLiterals": true}],
   },
   overrides: [
+    {
+      files: ["**/*.mjs"],
+      parserOptions: {
+        sourceType: "module",
+      },
+    },
     {
       files: ["**/*.spec.*"],
       env: {
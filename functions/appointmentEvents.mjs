@@ -0,0 +1,263 @@
+/**
+ * Appointment Events
+ * How an appointment's services and their phases lay out in time, and how an
+ * appointment is written as an iCalendar event.
+ *
+ * Shared by the web app (src/services/availabilityService.js and
+ * src/services/calendarService.js) and the calendarFeed function, so the
+ * booking grid, .ics downloads and calendar subscriptions always agree. It has
+ * no dependencies and lives here because only this folder is deployed with the
+ * functions.
+ */
+
+// SERVICE_PHASE_TYPES.BUSY in src/services/serviceManagementService.js
+const BUSY_PHASE = "busy";
+
+// Feeds cover recent history and the upcoming schedule
+export const FEED_DAYS_BACK = 30;
+export const FEED_DAYS_AHEAD = 180;
+
+const UID_DOMAIN = "davidsalon.com";
+const PRODID = "-//David's Salon//Salon Management System//EN";
+
+/**
+ * Read a Firestore Timestamp, Date or date string
+ * Unsaved server timestamps and bad values come back as null rather than an
+ * invalid date.
+ * @param {*} value - Timestamp, Date, string or nothing
+ * @return {Date|null}
+ */
+export const toDate = (value) => {
+  if (!value) return null;
+  const date = value.toDate ? value.toDate() : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const addMinutes = (date, minutes) =>
+  new Date(date.getTime() + minutes * 60000);
+
+/**
+ * Lay out an appointment's services and their phases in time
+ * Services booked before sequencing (no startOffset) each span the whole
+ * appointment as one busy block.
+ * @param {Object} appointment - { appointmentDate, duration, services,
+ *   serviceId, stylistId }
+ * @return {Array<Object>} - [{ serviceId, serviceName, stylistId,
+ *   stylistName, start, end, phases: [{ name, type, start, end }] }]
+ */
+export const getAppointmentTimeline = (appointment) => {
+  const appointmentDate = appointment.appointmentDate &&
+    appointment.appointmentDate.toDate ?
+    appointment.appointmentDate.toDate() :
+    new Date(appointment.appointmentDate);
+  const services = appointment.services && appointment.services.length > 0 ?
+    appointment.services :
+    [{
+      serviceId: appointment.serviceId,
+      serviceName: appointment.serviceName,
+      stylistId: appointment.stylistId,
+      stylistName: appointment.stylistName,
+    }];
+  const sequenced = services.some((svc) => typeof svc.startOffset === "number");
+
+  return services.map((svc) => {
+    const start = sequenced ?
+      addMinutes(appointmentDate, svc.startOffset || 0) :
+      appointmentDate;
+    const duration = sequenced ? svc.duration || 0 : appointment.duration || 60;
+    const phaseDefinitions = sequenced && svc.phases && svc.phases.length > 0 ?
+      svc.phases :
+      [{name: svc.serviceName || "Service", duration, type: BUSY_PHASE}];
+
+    let phaseStart = start;
+    const phases = phaseDefinitions.map((phase) => {
+      const phaseEnd = addMinutes(phaseStart, phase.duration || 0);
+      const timed = {
+        name: phase.name,
+        type: phase.type,
+        start: phaseStart,
+        end: phaseEnd,
+      };
+      phaseStart = phaseEnd;
+      return timed;
+    });
+
+    return {
+      serviceId: svc.serviceId || null,
+      serviceName: svc.serviceName || null,
+      stylistId: svc.stylistId || appointment.stylistId || null,
+      stylistName: svc.stylistName || appointment.stylistName || null,
+      start,
+      end: phaseStart > start ? phaseStart : addMinutes(start, duration),
+      phases,
+    };
+  });
+};
+
+/**
+ * Whether a stylist is on an appointment, directly or on one of its services
+ * @param {Object} appointment - Appointment data
+ * @param {string} stylistId - Stylist ID
+ * @return {boolean}
+ */
+export const isStylistOnAppointment = (appointment, stylistId) =>
+  appointment.stylistId === stylistId ||
+  (appointment.services || []).some((svc) => svc.stylistId === stylistId);
+
+/**
+ * Appointment dates a calendar feed covers
+ * @param {Date} now - Time the feed is generated
+ * @return {Object} - { windowStart, windowEnd }
+ */
+export const getFeedWindow = (now = new Date()) => {
+  const windowStart = new Date(now);
+  windowStart.setDate(windowStart.getDate() - FEED_DAYS_BACK);
+  windowStart.setHours(0, 0, 0, 0);
+  const windowEnd = new Date(now);
+  windowEnd.setDate(windowEnd.getDate() + FEED_DAYS_AHEAD);
+  windowEnd.setHours(23, 59, 59, 999);
+  return {windowStart, windowEnd};
+};
+
+// UTC date-time, e.g. 20261019T063000Z
+const formatIcsDate = (date) =>
+  date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+/**
+ * Escape text for an iCalendar property value
+ * @param {*} value - Text
+ * @return {string}
+ */
+export const escapeIcsText = (value) => String(value == null ? "" : value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Lines longer than 75 characters continue after a space (RFC 5545 3.1)
+const foldLine = (line) => {
+  if (line.length <= 75) return line;
+  const parts = [line.slice(0, 75)];
+  for (let i = 75; i < line.length; i += 74) {
+    parts.push(` ${line.slice(i, i + 74)}`);
+  }
+  return parts.join("\r\n");
+};
+
+const getEventStatus = (status) => {
+  switch (status) {
+    case "pending":
+      return "TENTATIVE";
+    case "cancelled":
+    case "no_show":
+      return "CANCELLED";
+    default:
+      return "CONFIRMED";
+  }
+};
+
+/**
+ * Stable UID for an appointment's calendar event
+ * @param {string} appointmentId - Appointment ID
+ * @return {string}
+ */
+export const getAppointmentEventUid = (appointmentId) =>
+  `appointment-${appointmentId}@${UID_DOMAIN}`;
+
+/**
+ * A branch as an event location: its name and address
+ * @param {Object|null} branch - Branch data
+ * @return {string}
+ */
+export const getBranchLocation = (branch) => (branch ?
+  [branch.branchName || branch.name, branch.address] :
+  []).filter(Boolean).join(", ");
+
+/**
+ * Build the VEVENT lines for an appointment
+ * @param {Object} appointment - Appointment data with id
+ * @param {Object} options - { stylistId, location }; stylistId narrows the
+ *   event to that stylist's services
+ * @return {Array<string>|null} - Null when the appointment has no date
+ */
+export const buildAppointmentEvent = (appointment, options = {}) => {
+  const stylistId = options.stylistId || null;
+  const location = options.location || appointment.branchName || "";
+  const start = toDate(appointment.appointmentDate);
+  if (!start) return null;
+
+  let eventStart = start;
+  let eventEnd = addMinutes(start, appointment.duration || 60);
+  let services = getAppointmentTimeline({
+    ...appointment,
+    appointmentDate: start,
+  });
+  if (stylistId) {
+    const own = services.filter((svc) => svc.stylistId === stylistId);
+    if (own.length > 0) {
+      services = own;
+      eventStart = new Date(Math.min(...own.map((svc) => svc.start.getTime())));
+      eventEnd = new Date(Math.max(...own.map((svc) => svc.end.getTime())));
+    }
+  }
+
+  const serviceNames = services.map((svc) => svc.serviceName).filter(Boolean);
+  const stylistNames = [
+    ...new Set(services.map((svc) => svc.stylistName).filter(Boolean)),
+  ];
+  const clientName = appointment.clientName || "Client";
+  const branchSuffix = appointment.branchName ?
+    ` - ${appointment.branchName}` :
+    "";
+  const summary = stylistId ?
+    `${clientName} - ${serviceNames.join(", ") || "Appointment"}` :
+    `${serviceNames.join(", ") || "Salon appointment"}${branchSuffix}`;
+
+  const description = [
+    `Client: ${clientName}`,
+    serviceNames.length > 0 && `Services: ${serviceNames.join(", ")}`,
+    stylistNames.length > 0 && `Stylist: ${stylistNames.join(", ")}`,
+    appointment.notes && `Notes: ${appointment.notes}`,
+    `Status: ${appointment.status || "pending"}`,
+  ].filter(Boolean).join("\n");
+
+  const modified = toDate(appointment.updatedAt) ||
+    toDate(appointment.createdAt) ||
+    new Date();
+  const historyLength = appointment.history ? appointment.history.length : 1;
+
+  return [
+    "BEGIN:VEVENT",
+    `UID:${getAppointmentEventUid(appointment.id)}`,
+    `DTSTAMP:${formatIcsDate(modified)}`,
+    `LAST-MODIFIED:${formatIcsDate(modified)}`,
+    // Every update adds a history entry, so its length only ever grows
+    `SEQUENCE:${Math.max(historyLength - 1, 0)}`,
+    `DTSTART:${formatIcsDate(eventStart)}`,
+    `DTEND:${formatIcsDate(eventEnd)}`,
+    `SUMMARY:${escapeIcsText(summary)}`,
+    `DESCRIPTION:${escapeIcsText(description)}`,
+    ...(location ? [`LOCATION:${escapeIcsText(location)}`] : []),
+    `STATUS:${getEventStatus(appointment.status)}`,
+    "END:VEVENT",
+  ];
+};
+
+/**
+ * Wrap events in a calendar
+ * @param {Array<Array<string>>} events - buildAppointmentEvent results
+ * @param {Object} options - { name, method }
+ * @return {string} - iCalendar text
+ */
+export const buildCalendar = (events, options = {}) => [
+  "BEGIN:VCALENDAR",
+  "VERSION:2.0",
+  `PRODID:${PRODID}`,
+  "CALSCALE:GREGORIAN",
+  `METHOD:${options.method || "PUBLISH"}`,
+  ...(options.name ? [`X-WR-CALNAME:${escapeIcsText(options.name)}`] : []),
+  "REFRESH-INTERVAL;VALUE=DURATION:PT1H",
+  "X-PUBLISHED-TTL:PT1H",
+  ...events.flat(),
+  "END:VCALENDAR",
+].map(foldLine).join("\r\n") + "\r\n";
@@ -0,0 +1,129 @@
+/**
+ * Calendar Feed
+ * Serves a stylist's or branch's private calendar link as iCalendar text, so
+ * Google Calendar, Outlook and Apple Calendar can subscribe to it and pick up
+ * reschedules and cancellations on every refresh.
+ *
+ * Events come from appointmentEvents.mjs, which the app's .ics downloads
+ * (src/services/calendarService.js) use too: same UID and SEQUENCE per
+ * appointment, so a downloaded file and a subscription update the same events.
+ */
+
+const {onRequest} = require("firebase-functions/v2/https");
+const logger = require("firebase-functions/logger");
+const {getFirestore, Timestamp} = require("firebase-admin/firestore");
+
+const CALENDAR_FEEDS_COLLECTION = "calendar_feeds";
+const APPOINTMENTS_COLLECTION = "appointments";
+
+const FEED_TYPE_STYLIST = "stylist";
+
+// /calendar/<token> or /calendar/<token>.ics
+const FEED_PATH = /^\/calendar\/([A-Za-z0-9]+)(?:\.ics)?\/?$/;
+
+/**
+ * Generate the iCalendar text for a feed token
+ * Cancelled appointments stay in the feed as cancelled events, so subscribed
+ * calendars drop them on refresh.
+ * @param {Object} db - Firestore instance
+ * @param {string} token - Feed token
+ * @return {Promise<Object|null>} - { feed, ics }, or null for an unknown or
+ *   revoked token
+ */
+const generateCalendarFeed = async (db, token) => {
+  const feedSnapshot = await db.collection(CALENDAR_FEEDS_COLLECTION)
+      .where("token", "==", token)
+      .get();
+  const feedDoc = feedSnapshot.docs.find((doc) => !doc.data().revokedAt);
+  if (!feedDoc) return null;
+  const feed = {id: feedDoc.id, ...feedDoc.data()};
+
+  // An ES module shared with the web app
+  const {
+    buildAppointmentEvent,
+    buildCalendar,
+    getBranchLocation,
+    getFeedWindow,
+    isStylistOnAppointment,
+  } = await import("./appointmentEvents.mjs");
+  const {windowStart, windowEnd} = getFeedWindow();
+
+  const isStylistFeed = feed.type === FEED_TYPE_STYLIST;
+  let appointmentsQuery = db.collection(APPOINTMENTS_COLLECTION);
+  if (!isStylistFeed) {
+    appointmentsQuery = appointmentsQuery
+        .where("branchId", "==", feed.branchId);
+  }
+  const appointmentsSnapshot = await appointmentsQuery
+      .where("appointmentDate", ">=", Timestamp.fromDate(windowStart))
+      .where("appointmentDate", "<=", Timestamp.fromDate(windowEnd))
+      .orderBy("appointmentDate", "asc")
+      .get();
+
+  // Stylists are on the appointment itself or on one of its services, so
+  // filter client-side to avoid a composite index
+  const appointments = appointmentsSnapshot.docs
+      .map((doc) => ({id: doc.id, ...doc.data()}))
+      .filter((apt) => !isStylistFeed ||
+        isStylistOnAppointment(apt, feed.stylistId));
+
+  let name = feed.name;
+  let location = "";
+  if (isStylistFeed) {
+    if (!name) {
+      const stylistDoc = await db.collection("users").doc(feed.stylistId).get();
+      const stylist = stylistDoc.exists ? stylistDoc.data() : null;
+      name = stylist ?
+        `${stylist.firstName || ""} ${stylist.lastName || ""}`.trim() :
+        "Stylist appointments";
+    }
+  } else {
+    const branchDoc = await db.collection("branches").doc(feed.branchId).get();
+    const branch = branchDoc.exists ? branchDoc.data() : {};
+    location = getBranchLocation(branch);
+    if (!name) {
+      name = `${branch.branchName || branch.name || "Branch"} appointments`;
+    }
+  }
+
+  const events = appointments
+      .map((apt) => buildAppointmentEvent(apt, {
+        stylistId: isStylistFeed ? feed.stylistId : null,
+        location,
+      }))
+      .filter(Boolean);
+
+  return {feed, ics: buildCalendar(events, {name})};
+};
+
+exports.calendarFeed = onRequest(async (req, res) => {
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    res.set("Allow", "GET, HEAD");
+    res.status(405).send("Method not allowed");
+    return;
+  }
+
+  const match = FEED_PATH.exec(req.path);
+  if (!match) {
+    res.status(404).send("Calendar feed not found");
+    return;
+  }
+
+  try {
+    const result = await generateCalendarFeed(getFirestore(), match[1]);
+    if (!result) {
+      res.status(404).send("This calendar link is invalid or has been revoked");
+      return;
+    }
+
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.set("Content-Disposition",
+        `inline; filename="${result.feed.type}-appointments.ics"`);
+    // The link is private, so keep it out of shared caches
+    res.set("Cache-Control", "private, max-age=300");
+    res.status(200).send(result.ics);
+  } catch (error) {
+    logger.error("Error generating calendar feed", error);
+    res.status(500).send("Failed to load the calendar");
+  }
+});
@@ -0,0 +1,11 @@
+/**
+ * Cloud Functions
+ * HTTP endpoints that need to answer without the web app, such as calendar
+ * subscriptions.
+ */
+
+const {initializeApp} = require("firebase-admin/app");
+
+initializeApp();
+
+exports.calendarFeed = require("./calendarFeed").calendarFeed;
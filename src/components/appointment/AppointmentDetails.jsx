@@ -1,7 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import Button from '../ui/Button';
-import { X, Calendar, Clock, User, MapPin, Scissors, FileText, History, RotateCcw, CheckCircle, XCircle, PartyPopper, Plus, Edit, Package } from 'lucide-react';
+import { X, Calendar, Clock, User, MapPin, Scissors, FileText, History, RotateCcw, CheckCircle, XCircle, PartyPopper, Plus, Edit, Package, CalendarPlus } from 'lucide-react';
 import { APPOINTMENT_STATUS } from '../../services/appointmentService';
+import ServicePhaseTimeline from './ServicePhaseTimeline';
+import { downloadAppointmentIcs } from '../../services/calendarService';
 
 const AppointmentDetails = ({ appointment, onClose, onEdit }) => {
   const [isAnimating, setIsAnimating] = useState(false);
@@ -316,6 +318,12 @@ const AppointmentDetails = ({ appointment, onClose, onEdit }) => {
                             </div>
                           </div>
                         ))}
+                        {/* Service order and phases; processing phases leave the stylist free */}
+                        {selectedServices.length > 1 || servicesArray.some(svc => svc.phases?.length > 1) ? (
+                          <div className="pt-2">
+                            <ServicePhaseTimeline appointment={appointment} />
+                          </div>
+                        ) : null}
                         {selectedServices.length > 0 && (
                           <div className="pt-2 border-t border-gray-200">
                             <div className="flex justify-between items-center text-xs">
@@ -568,6 +576,16 @@ const AppointmentDetails = ({ appointment, onClose, onEdit }) => {
         {/* Footer Actions */}
         <div className="bg-gradient-to-r from-gray-50 to-white px-6 py-4 border-t border-gray-200 flex-shrink-0">
           <div className="flex justify-end gap-3">
+            {appointment.id && appointment.appointmentDate && (
+              <button
+                onClick={() => downloadAppointmentIcs(appointment).catch(() => {})}
+                className="px-6 py-2.5 text-gray-700 bg-white border-2 border-gray-300 rounded-lg hover:bg-gray-50 hover:border-gray-400 transition-all font-semibold shadow-sm flex items-center gap-2"
+                title="Download as an .ics file"
+              >
+                <CalendarPlus className="w-4 h-4" />
+                Add to Calendar
+              </button>
+            )}
             {onEdit && (
               <button
                 onClick={() => {
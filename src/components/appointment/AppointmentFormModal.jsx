@@ -4,10 +4,25 @@
  */
 
 import { useState, useEffect } from 'react';
-import { X, Calendar, Clock, AlertCircle } from 'lucide-react';
+import { X, Calendar, Clock, AlertCircle, Repeat, CheckCircle } from 'lucide-react';
 import { APPOINTMENT_STATUS, getAvailableTimeSlots } from '../../services/appointmentService';
+import { BLOCK_REASONS, BLOCK_REASON_LABELS } from '../../services/availabilityService';
+import { sequenceServices } from '../../services/serviceManagementService';
+import {
+  RECURRENCE_FREQUENCIES,
+  RECURRENCE_END_TYPES,
+  SERIES_EDIT_SCOPES,
+  MAX_OCCURRENCES,
+  generateOccurrenceDates,
+  describeRecurrence,
+  validateRecurrence,
+  checkSeriesAvailability,
+  getWeekOfMonth
+} from '../../services/recurringAppointmentService';
+import { RELIABILITY_LEVELS, describeReliability } from '../../services/clientReliabilityService';
 import { formatTime } from '../../utils/helpers';
 import LoadingSpinner from '../ui/LoadingSpinner';
+import ClientReliabilityBadge from '../users/ClientReliabilityBadge';
 
 const AppointmentFormModal = ({ 
   isOpen, 
@@ -45,6 +60,19 @@ const AppointmentFormModal = ({
   const [selectedClientName, setSelectedClientName] = useState('');
   const [serviceSearchTerm, setServiceSearchTerm] = useState('');
   const [showSelectedOnly, setShowSelectedOnly] = useState(false);
+  const [repeatEnabled, setRepeatEnabled] = useState(false);
+  const [recurrence, setRecurrence] = useState({
+    frequency: RECURRENCE_FREQUENCIES.WEEKLY,
+    interval: 4,
+    weekOfMonth: '',
+    endType: RECURRENCE_END_TYPES.COUNT,
+    count: 6,
+    until: '',
+    skipConflicts: false
+  });
+  const [seriesCheck, setSeriesCheck] = useState(null);
+  const [checkingSeries, setCheckingSeries] = useState(false);
+  const [seriesScope, setSeriesScope] = useState(SERIES_EDIT_SCOPES.THIS);
 
   // Close dropdown when clicking outside
   useEffect(() => {
@@ -58,6 +86,27 @@ const AppointmentFormModal = ({
     return () => document.removeEventListener('mousedown', handleClickOutside);
   }, [showClientDropdown]);
 
+  // Repeat settings start over each time the form opens
+  useEffect(() => {
+    setRepeatEnabled(false);
+    setRecurrence({
+      frequency: RECURRENCE_FREQUENCIES.WEEKLY,
+      interval: 4,
+      weekOfMonth: '',
+      endType: RECURRENCE_END_TYPES.COUNT,
+      count: 6,
+      until: '',
+      skipConflicts: false
+    });
+    setSeriesCheck(null);
+    setSeriesScope(SERIES_EDIT_SCOPES.THIS);
+  }, [appointment, isOpen]);
+
+  // A changed slot, service list or rule invalidates the last series check
+  useEffect(() => {
+    setSeriesCheck(null);
+  }, [formData.timeSlot, formData.services, recurrence]);
+
   useEffect(() => {
     if (appointment) {
       const appointmentDate = new Date(appointment.appointmentDate);
@@ -123,16 +172,22 @@ const AppointmentFormModal = ({
         
         try {
           setLoadingSlots(true);
-          // Calculate total duration from all selected services
-          const totalDuration = formData.services.reduce((sum, serviceObj) => {
-            const service = services.find(s => s.id === serviceObj.serviceId);
-            return sum + (service?.duration || 0);
-          }, 0);
+          // Services run back-to-back; a stylist is free while their service is processing
+          const sequencedServices = sequenceServices(
+            formData.services.map(svc => ({ serviceId: svc.serviceId, stylistId: svc.stylistId || null })),
+            services
+          );
+          const totalDuration = sequencedServices.reduce((sum, svc) => sum + svc.duration, 0);
           
           // Get all assigned stylists from services
           const assignedStylists = formData.services
             .map(svc => svc.stylistId)
             .filter(id => id); // Remove null/undefined
+          const slotOptions = {
+            serviceIds: formData.services.map(svc => svc.serviceId).filter(Boolean),
+            services: sequencedServices,
+            excludeAppointmentId: appointment?.id || null
+          };
           
           // If no stylists assigned, check general availability
           if (assignedStylists.length === 0) {
@@ -140,7 +195,8 @@ const AppointmentFormModal = ({
               null,
               formData.branchId,
               formData.appointmentDate,
-              totalDuration || 60
+              totalDuration || 60,
+              slotOptions
             );
             
             if (!isCancelled) {
@@ -156,7 +212,8 @@ const AppointmentFormModal = ({
                   stylistId,
                   formData.branchId,
                   formData.appointmentDate,
-                  totalDuration || 60
+                  totalDuration || 60,
+                  slotOptions
                 )
               )
             );
@@ -171,17 +228,18 @@ const AppointmentFormModal = ({
                 setUnavailableMessage(baseResult.message);
               } else {
                 // Merge availability - slot is only available if ALL stylists are available
+                // and keeps the first stylist's reason when it is not
                 const mergedSlots = baseResult.slots.map(slot => {
-                  const allAvailable = stylistResults.every(result => {
-                    const matchingSlot = result.slots.find(s => 
-                      s.time.getTime() === slot.time.getTime()
-                    );
-                    return matchingSlot && matchingSlot.available;
-                  });
+                  const matchingSlots = stylistResults.map(result =>
+                    result.slots.find(s => s.time.getTime() === slot.time.getTime())
+                  );
+                  const blockedSlot = matchingSlots.find(s => !s || !s.available);
                   
                   return {
                     ...slot,
-                    available: allAvailable
+                    available: !blockedSlot,
+                    reason: blockedSlot ? blockedSlot.reason || BLOCK_REASONS.OUTSIDE_HOURS : null,
+                    message: blockedSlot ? blockedSlot.message || 'Outside working hours' : null
                   };
                 });
                 
@@ -213,7 +271,7 @@ const AppointmentFormModal = ({
     return () => {
       isCancelled = true;
     };
-  }, [formData.appointmentDate, formData.services, formData.branchId, services]);
+  }, [formData.appointmentDate, formData.services, formData.branchId, services, appointment?.id]);
 
   const handleSubmit = (e) => {
     e.preventDefault();
@@ -229,9 +287,9 @@ const AppointmentFormModal = ({
     // Get branch name from branches array
     const selectedBranch = branches && branches.filter(b => b && b.id).find(b => b.id === formData.branchId);
     
-    // Enrich services with full details
+    // Enrich services with full details, run back-to-back with their phases
     // Remove status field if it exists (redundant - appointment has status, not individual services)
-    const enrichedServices = formData.services.map(serviceObj => {
+    const enrichedServices = sequenceServices(formData.services.map(serviceObj => {
       const service = services.find(s => s.id === serviceObj.serviceId);
       const stylist = stylists && stylists.find(s => s.id === serviceObj.stylistId);
       
@@ -246,7 +304,7 @@ const AppointmentFormModal = ({
       // Explicitly remove status if it exists
       delete enrichedService.status;
       return enrichedService;
-    });
+    }), services);
     
     // Calculate totals
     const totalPrice = enrichedServices.reduce((sum, s) => sum + s.price, 0);
@@ -267,14 +325,62 @@ const AppointmentFormModal = ({
       clientId: isGuestMode ? (formData.clientId || null) : formData.clientId
     };
 
+    if (!appointment && repeatEnabled) {
+      const recurrenceError = validateRecurrence(recurrence, appointmentDateTime);
+      if (recurrenceError) {
+        alert(recurrenceError);
+        return;
+      }
+      submitData.recurrence = recurrence;
+    }
+
+    if (appointment?.seriesId) {
+      submitData.seriesScope = seriesScope;
+    }
+
     onSubmit(submitData);
   };
 
+  const getSequencedServices = () => sequenceServices(
+    formData.services.map(serviceObj => ({ serviceId: serviceObj.serviceId, stylistId: serviceObj.stylistId || null })),
+    services
+  );
+
+  const seriesDates = repeatEnabled && formData.timeSlot
+    ? generateOccurrenceDates(formData.timeSlot.time, recurrence)
+    : [];
+
+  const handleCheckSeries = async () => {
+    try {
+      setCheckingSeries(true);
+      const sequencedServices = getSequencedServices();
+      const results = await checkSeriesAvailability(
+        {
+          branchId: formData.branchId,
+          services: sequencedServices,
+          duration: sequencedServices.reduce((sum, svc) => sum + svc.duration, 0) || 60
+        },
+        seriesDates.map(date => ({ date }))
+      );
+      setSeriesCheck(results);
+    } catch (error) {
+      console.error('Error checking series availability:', error);
+      setSeriesCheck(null);
+    } finally {
+      setCheckingSeries(false);
+    }
+  };
+
   // Calculate minimum date/time (today for all clients)
   const getMinDateTime = () => {
     return new Date().toISOString().split('T')[0];
   };
 
+  // Stored on the client's user document whenever an appointment outcome changes
+  const selectedClientReliability = formData.clientId
+    ? clients?.find(c => c && c.id === formData.clientId)?.reliability
+    : null;
+
   if (!isOpen) return null;
 
   return (
@@ -462,8 +568,9 @@ const AppointmentFormModal = ({
                 {/* Selected Client Display */}
                 {formData.clientId && selectedClientName && (
                   <div className="mt-2 flex items-center justify-between bg-primary-50 border border-primary-200 rounded-lg px-3 py-2">
-                    <span className="text-sm font-medium text-primary-900">
+                    <span className="text-sm font-medium text-primary-900 flex items-center gap-2">
                       ✓ Selected: {selectedClientName}
+                      <ClientReliabilityBadge reliability={selectedClientReliability} />
                     </span>
                     <button
                       type="button"
@@ -485,6 +592,13 @@ const AppointmentFormModal = ({
                   </div>
                 )}
                 
+                {formData.clientId && selectedClientReliability?.level === RELIABILITY_LEVELS.LOW && (
+                  <p className="text-xs text-red-600 mt-1">
+                    This client has a low reliability score ({describeReliability(selectedClientReliability)}).
+                    Consider taking a deposit or confirming by phone.
+                  </p>
+                )}
+
                 <p className="text-xs text-gray-500 mt-1">
                   Can't find the client? Check the "Guest Client" option above to enter details manually.
                 </p>
@@ -797,6 +911,7 @@ const AppointmentFormModal = ({
                         type="button"
                         onClick={() => allowReschedule && slot.available && setFormData({ ...formData, timeSlot: slot })}
                         disabled={!allowReschedule || !slot.available}
+                        title={slot.available ? undefined : slot.message || undefined}
                         className={`px-3 py-2 text-sm font-medium rounded-lg border transition-colors whitespace-nowrap ${
                           formData.timeSlot?.time === slot.time
                             ? 'bg-[#2D1B4E] text-white border-[#2D1B4E]'
@@ -806,6 +921,9 @@ const AppointmentFormModal = ({
                         }`}
                       >
                         {formatTime(slot.time)}
+                        {!slot.available && slot.reason && slot.reason !== BLOCK_REASONS.PAST && (
+                          <span className="block text-[10px] font-normal">{BLOCK_REASON_LABELS[slot.reason]}</span>
+                        )}
                       </button>
                     ))}
                   </div>
@@ -827,6 +945,175 @@ const AppointmentFormModal = ({
                 />
               </div>
 
+              {/* Repeat (new appointments only) */}
+              {!appointment && (
+                <div className="bg-white border border-gray-200 rounded-lg p-4 space-y-3">
+                  <label className="flex items-center gap-2 text-sm font-semibold text-gray-900">
+                    <input
+                      type="checkbox"
+                      checked={repeatEnabled}
+                      onChange={(e) => setRepeatEnabled(e.target.checked)}
+                      className="rounded border-gray-300 text-[#2D1B4E] focus:ring-[#2D1B4E]"
+                    />
+                    <Repeat className="w-4 h-4" />
+                    Repeat this appointment
+                  </label>
+
+                  {repeatEnabled && (
+                    <>
+                      <div className="grid grid-cols-2 gap-2">
+                        <select
+                          value={recurrence.frequency}
+                          onChange={(e) => setRecurrence({
+                            ...recurrence,
+                            frequency: e.target.value,
+                            interval: e.target.value === RECURRENCE_FREQUENCIES.WEEKLY ? 4 : 1
+                          })}
+                          className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-[#2D1B4E] focus:border-[#2D1B4E]"
+                        >
+                          <option value={RECURRENCE_FREQUENCIES.WEEKLY}>Every N weeks</option>
+                          <option value={RECURRENCE_FREQUENCIES.MONTHLY_NTH_WEEKDAY}>Same weekday of the month</option>
+                        </select>
+                        <div className="flex items-center gap-2 text-sm text-gray-700">
+                          <span>every</span>
+                          <input
+                            type="number"
+                            min="1"
+                            max="12"
+                            value={recurrence.interval}
+                            onChange={(e) => setRecurrence({ ...recurrence, interval: e.target.value })}
+                            className="w-16 px-2 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-[#2D1B4E] focus:border-[#2D1B4E]"
+                          />
+                          <span>{recurrence.frequency === RECURRENCE_FREQUENCIES.WEEKLY ? 'week(s)' : 'month(s)'}</span>
+                        </div>
+                      </div>
+
+                      {recurrence.frequency === RECURRENCE_FREQUENCIES.MONTHLY_NTH_WEEKDAY && (
+                        <select
+                          value={recurrence.weekOfMonth || (formData.timeSlot ? getWeekOfMonth(new Date(formData.timeSlot.time)) : '')}
+                          onChange={(e) => setRecurrence({ ...recurrence, weekOfMonth: e.target.value })}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-[#2D1B4E] focus:border-[#2D1B4E]"
+                        >
+                          <option value="1">1st week of the month</option>
+                          <option value="2">2nd week of the month</option>
+                          <option value="3">3rd week of the month</option>
+                          <option value="4">4th week of the month</option>
+                          <option value="-1">Last week of the month</option>
+                        </select>
+                      )}
+
+                      <div className="space-y-2 text-sm text-gray-700">
+                        <label className="flex items-center gap-2">
+                          <input
+                            type="radio"
+                            checked={recurrence.endType === RECURRENCE_END_TYPES.COUNT}
+                            onChange={() => setRecurrence({ ...recurrence, endType: RECURRENCE_END_TYPES.COUNT })}
+                          />
+                          After
+                          <input
+                            type="number"
+                            min="2"
+                            max={MAX_OCCURRENCES}
+                            value={recurrence.count}
+                            onChange={(e) => setRecurrence({ ...recurrence, count: e.target.value, endType: RECURRENCE_END_TYPES.COUNT })}
+                            className="w-16 px-2 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-[#2D1B4E] focus:border-[#2D1B4E]"
+                          />
+                          appointments
+                        </label>
+                        <label className="flex items-center gap-2">
+                          <input
+                            type="radio"
+                            checked={recurrence.endType === RECURRENCE_END_TYPES.UNTIL}
+                            onChange={() => setRecurrence({ ...recurrence, endType: RECURRENCE_END_TYPES.UNTIL })}
+                          />
+                          Until
+                          <input
+                            type="date"
+                            value={recurrence.until}
+                            min={formData.appointmentDate || getMinDateTime()}
+                            onChange={(e) => setRecurrence({ ...recurrence, until: e.target.value, endType: RECURRENCE_END_TYPES.UNTIL })}
+                            className="px-2 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-[#2D1B4E] focus:border-[#2D1B4E]"
+                          />
+                        </label>
+                        <label className="flex items-center gap-2">
+                          <input
+                            type="checkbox"
+                            checked={recurrence.skipConflicts}
+                            onChange={(e) => setRecurrence({ ...recurrence, skipConflicts: e.target.checked })}
+                            className="rounded border-gray-300 text-[#2D1B4E] focus:ring-[#2D1B4E]"
+                          />
+                          Skip dates that are not available instead of blocking the series
+                        </label>
+                      </div>
+
+                      {formData.timeSlot ? (
+                        <div className="border-t border-gray-200 pt-3 space-y-2">
+                          <p className="text-xs font-medium text-gray-700">
+                            {describeRecurrence(recurrence, formData.timeSlot.time)} &middot; {seriesDates.length} appointment{seriesDates.length === 1 ? '' : 's'}
+                          </p>
+                          <div className="max-h-32 overflow-y-auto space-y-1">
+                            {seriesDates.map((date, index) => {
+                              const result = seriesCheck?.[index];
+                              return (
+                                <div key={index} className="flex items-center gap-2 text-xs" title={result?.message || undefined}>
+                                  {result && (result.available
+                                    ? <CheckCircle className="w-3 h-3 text-green-600" />
+                                    : <AlertCircle className="w-3 h-3 text-red-600" />)}
+                                  <span className={result && !result.available ? 'text-red-700' : 'text-gray-600'}>
+                                    {date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' })} {formatTime(date)}
+                                    {result && !result.available && ` - ${result.message}`}
+                                  </span>
+                                </div>
+                              );
+                            })}
+                          </div>
+                          <button
+                            type="button"
+                            onClick={handleCheckSeries}
+                            disabled={checkingSeries || seriesDates.length < 2}
+                            className="w-full px-3 py-1.5 text-xs font-medium text-[#2D1B4E] border border-[#2D1B4E] rounded-lg hover:bg-[#2D1B4E]/5 transition-colors disabled:opacity-50 flex items-center justify-center gap-2"
+                          >
+                            {checkingSeries && <LoadingSpinner size="sm" />}
+                            Check availability for all dates
+                          </button>
+                        </div>
+                      ) : (
+                        <p className="text-xs text-gray-500">Pick the first appointment&apos;s time slot to preview the series</p>
+                      )}
+                    </>
+                  )}
+                </div>
+              )}
+
+              {/* Series scope (editing a recurring appointment) */}
+              {appointment?.seriesId && (
+                <div className="bg-white border border-gray-200 rounded-lg p-4 space-y-2">
+                  <p className="text-sm font-semibold text-gray-900 flex items-center gap-2">
+                    <Repeat className="w-4 h-4" />
+                    Recurring appointment
+                  </p>
+                  {appointment.recurrence && (
+                    <p className="text-xs text-gray-500">{describeRecurrence(appointment.recurrence, appointment.appointmentDate)}</p>
+                  )}
+                  <label className="flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                      type="radio"
+                      checked={seriesScope === SERIES_EDIT_SCOPES.THIS}
+                      onChange={() => setSeriesScope(SERIES_EDIT_SCOPES.THIS)}
+                    />
+                    Apply to this appointment only
+                  </label>
+                  <label className="flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                      type="radio"
+                      checked={seriesScope === SERIES_EDIT_SCOPES.FOLLOWING}
+                      onChange={() => setSeriesScope(SERIES_EDIT_SCOPES.FOLLOWING)}
+                    />
+                    Apply to this and following appointments
+                  </label>
+                </div>
+              )}
+
               {/* Summary Section */}
               {formData.services.length > 0 && (
                 <div className="mt-4 bg-[#2D1B4E] rounded-lg p-3 text-white">
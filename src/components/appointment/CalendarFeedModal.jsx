@@ -0,0 +1,209 @@
+/**
+ * Calendar Feed Modal
+ * Manages the private calendar link for a stylist's or a branch's appointments
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { X, Copy, RefreshCw, Download, Link2Off, CalendarDays, CalendarPlus } from 'lucide-react';
+import toast from 'react-hot-toast';
+import LoadingSpinner from '../ui/LoadingSpinner';
+import { useAuth } from '../../context/AuthContext';
+import {
+  getCalendarFeed,
+  createCalendarFeed,
+  revokeCalendarFeed,
+  generateCalendarFeed,
+  getCalendarFeedUrl,
+  getCalendarSubscribeUrl,
+  downloadIcsFile,
+  CALENDAR_FEED_TYPES
+} from '../../services/calendarService';
+
+const CalendarFeedModal = ({ isOpen, onClose, type, stylistId = null, branchId = null, name = '' }) => {
+  const { currentUser } = useAuth();
+  const [feed, setFeed] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [processing, setProcessing] = useState(false);
+
+  const ownerId = type === CALENDAR_FEED_TYPES.STYLIST ? stylistId : branchId;
+
+  const fetchFeed = useCallback(async () => {
+    try {
+      setLoading(true);
+      setFeed(await getCalendarFeed(type, ownerId));
+    } catch (error) {
+      // Error handled in service
+    } finally {
+      setLoading(false);
+    }
+  }, [type, ownerId]);
+
+  useEffect(() => {
+    if (isOpen && ownerId) {
+      fetchFeed();
+    }
+  }, [isOpen, type, ownerId, fetchFeed]);
+
+  const handleCreate = async () => {
+    try {
+      setProcessing(true);
+      setFeed(await createCalendarFeed({ type, stylistId, branchId, name }, currentUser));
+    } catch (error) {
+      // Error handled in service
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const handleRevoke = async () => {
+    if (!feed) return;
+    try {
+      setProcessing(true);
+      await revokeCalendarFeed(feed.id, currentUser);
+      setFeed(null);
+    } catch (error) {
+      // Error handled in service
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(getCalendarFeedUrl(feed));
+      toast.success('Calendar link copied');
+    } catch (error) {
+      console.error('Error copying calendar link:', error);
+      toast.error('Failed to copy link');
+    }
+  };
+
+  const handleDownload = async () => {
+    try {
+      setProcessing(true);
+      const result = await generateCalendarFeed(feed.token);
+      downloadIcsFile(result.ics, `${type}-appointments.ics`);
+    } catch (error) {
+      console.error('Error downloading calendar:', error);
+      toast.error('Failed to download calendar');
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-lg w-full">
+        {/* Header */}
+        <div className="border-b border-gray-200 px-6 py-4 flex items-center justify-between">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900">Calendar Link</h2>
+            <p className="text-xs text-gray-500 mt-1">
+              {type === CALENDAR_FEED_TYPES.STYLIST ? 'Your appointments' : `All appointments${name ? ` at ${name}` : ''}`}
+              {' '}in Google Calendar, Outlook or Apple Calendar
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="p-1 hover:bg-gray-100 rounded transition-colors"
+          >
+            <X className="w-5 h-5 text-gray-500" />
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="p-6 space-y-4">
+          {loading ? (
+            <div className="flex justify-center py-8">
+              <LoadingSpinner />
+            </div>
+          ) : feed ? (
+            <>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Private link</label>
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    readOnly
+                    value={getCalendarFeedUrl(feed)}
+                    onFocus={(e) => e.target.select()}
+                    className="flex-1 px-3 py-2 text-sm border border-gray-300 rounded-lg bg-gray-50"
+                  />
+                  <button
+                    type="button"
+                    onClick={handleCopy}
+                    className="flex items-center gap-1 px-3 py-2 text-sm border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+                  >
+                    <Copy className="w-4 h-4" />
+                    Copy
+                  </button>
+                </div>
+                <p className="text-xs text-gray-500 mt-2">
+                  Subscribe to this link in your calendar app (in Google Calendar: Other calendars, From URL).
+                  The calendar refreshes it on its own, picking up new bookings, reschedules and cancellations.
+                  Anyone with this link can see these appointments.
+                </p>
+              </div>
+
+              <div className="flex flex-wrap gap-2">
+                <a
+                  href={getCalendarSubscribeUrl(feed)}
+                  className="flex items-center gap-2 px-3 py-1.5 text-sm bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors"
+                >
+                  <CalendarPlus className="w-4 h-4" />
+                  Subscribe
+                </a>
+                <button
+                  type="button"
+                  onClick={handleDownload}
+                  disabled={processing}
+                  className="flex items-center gap-2 px-3 py-1.5 text-sm border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+                >
+                  <Download className="w-4 h-4" />
+                  Download .ics
+                </button>
+                <button
+                  type="button"
+                  onClick={handleCreate}
+                  disabled={processing}
+                  className="flex items-center gap-2 px-3 py-1.5 text-sm border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+                >
+                  <RefreshCw className="w-4 h-4" />
+                  Regenerate Link
+                </button>
+                <button
+                  type="button"
+                  onClick={handleRevoke}
+                  disabled={processing}
+                  className="flex items-center gap-2 px-3 py-1.5 text-sm border border-red-200 text-red-600 rounded-lg hover:bg-red-50 transition-colors disabled:opacity-50"
+                >
+                  <Link2Off className="w-4 h-4" />
+                  Revoke
+                </button>
+              </div>
+              <p className="text-xs text-gray-500">Regenerating or revoking stops the old link from working.</p>
+            </>
+          ) : (
+            <div className="text-center py-6">
+              <CalendarDays className="w-10 h-10 text-gray-300 mx-auto mb-3" />
+              <p className="text-sm text-gray-600 mb-4">No calendar link yet.</p>
+              <button
+                type="button"
+                onClick={handleCreate}
+                disabled={processing}
+                className="px-4 py-2 text-sm bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors disabled:opacity-50"
+              >
+                Create Calendar Link
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CalendarFeedModal;
@@ -4,9 +4,11 @@
  */
 
 import { useState } from 'react';
-import { X, Calendar, Clock, MapPin, Scissors, User, ChevronRight, ChevronLeft, Check, Plus, Trash2 } from 'lucide-react';
+import { X, Calendar, Clock, MapPin, Scissors, User, ChevronRight, ChevronLeft, Check, Plus, Trash2, ListPlus } from 'lucide-react';
+import { format } from 'date-fns';
 import LoadingSpinner from '../ui/LoadingSpinner';
 import { formatTime } from '../../utils/helpers';
+import { getBranchBookingPolicy, getEarliestBookingTime, getLatestBookingDay } from '../../services/bookingPolicyService';
 
 const ClientBookingModal = ({
   isOpen,
@@ -20,14 +22,18 @@ const ClientBookingModal = ({
   loadingSlots,
   unavailableMessage,
   booking,
-  onSubmit
+  onSubmit,
+  onJoinWaitlist,
+  joiningWaitlist = false
 }) => {
   const [currentStep, setCurrentStep] = useState(1);
+  const [waitlistUntil, setWaitlistUntil] = useState('');
   const totalSteps = 6;
 
   // Reset function when modal closes
   const handleClose = () => {
     setCurrentStep(1);
+    setWaitlistUntil('');
     setBookingData({
       branchId: '',
       services: [], // Array of { serviceId, stylistId }
@@ -130,6 +136,54 @@ const ClientBookingModal = ({
     setBookingData({ ...bookingData, services: newServices, timeSlot: null }); // Reset time slot when service changes
   };
 
+  // The branch booking policy sets the lead time and how far ahead clients can book
+  const bookingPolicy = getBranchBookingPolicy(branches?.find(b => b.id === bookingData.branchId));
+  const earliestBooking = getEarliestBookingTime(bookingPolicy);
+  const latestBookingDay = getLatestBookingDay(bookingPolicy);
+  const leadTimeLabel = bookingPolicy.minLeadTimeMinutes % 60 === 0
+    ? `${bookingPolicy.minLeadTimeMinutes / 60} hour${bookingPolicy.minLeadTimeMinutes === 60 ? '' : 's'}`
+    : `${bookingPolicy.minLeadTimeMinutes} minutes`;
+
+  // Slots within the lead time are already marked unavailable by the availability engine
+  const hasBookableSlot = availableSlots.some(slot => slot.available);
+
+  const renderWaitlistOffer = () => (
+    <div className="border-2 border-[#160B53]/20 bg-[#160B53]/5 rounded-xl p-5 space-y-3">
+      <div className="flex items-start gap-3">
+        <div className="p-2 bg-[#160B53]/10 rounded-lg">
+          <ListPlus className="w-5 h-5 text-[#160B53]" />
+        </div>
+        <div>
+          <p className="text-sm font-bold text-gray-900">Join the waitlist</p>
+          <p className="text-xs text-gray-600 mt-1">
+            If a booking is cancelled or moved, we&apos;ll hold the slot for you and send you a notification to accept it.
+          </p>
+        </div>
+      </div>
+      <div>
+        <label className="block text-xs font-medium text-gray-700 mb-1">
+          Any day from {bookingData.date ? new Date(bookingData.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }) : ''} until <span className="text-gray-500 font-normal">(Optional)</span>
+        </label>
+        <input
+          type="date"
+          value={waitlistUntil}
+          min={bookingData.date}
+          onChange={(e) => setWaitlistUntil(e.target.value)}
+          className="w-full px-4 py-2.5 border-2 border-gray-300 rounded-lg focus:ring-2 focus:ring-[#160B53] focus:border-[#160B53] text-sm transition-colors bg-white"
+        />
+      </div>
+      <button
+        type="button"
+        onClick={() => onJoinWaitlist(waitlistUntil || bookingData.date)}
+        disabled={joiningWaitlist}
+        className="w-full py-2.5 bg-gradient-to-r from-[#160B53] to-[#2D1B69] text-white rounded-lg hover:from-[#1a0f63] hover:to-[#35207a] transition-all disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2 font-semibold shadow-md"
+      >
+        {joiningWaitlist && <LoadingSpinner size="sm" />}
+        {joiningWaitlist ? 'Joining...' : 'Join Waitlist'}
+      </button>
+    </div>
+  );
+
   const renderStepContent = () => {
     switch (currentStep) {
       case 1: // Branch Selection
@@ -321,22 +375,16 @@ const ClientBookingModal = ({
                   type="date"
                   value={bookingData.date}
                   onChange={(e) => setBookingData({ ...bookingData, date: e.target.value, timeSlot: null })}
-                  min={(() => {
-                  const today = new Date();
-                  const minDate = new Date(today);
-                    minDate.setHours(minDate.getHours() + 2);
-                  if (today.getHours() < 22) {
-                    return today.toISOString().split('T')[0];
-                  }
-                  const tomorrow = new Date(today);
-                  tomorrow.setDate(tomorrow.getDate() + 1);
-                  return tomorrow.toISOString().split('T')[0];
-                  })()}
+                  min={format(earliestBooking, 'yyyy-MM-dd')}
+                  max={latestBookingDay ? format(latestBookingDay, 'yyyy-MM-dd') : undefined}
                 className="w-full px-4 py-3 border-2 border-gray-300 rounded-lg focus:ring-2 focus:ring-[#160B53] focus:border-[#160B53] text-base transition-colors bg-white"
                   required
                 />
               <p className="text-xs text-gray-500 mt-3 bg-blue-50 border border-blue-200 rounded-lg p-2">
-                ℹ️ Bookings must be made at least 2 hours in advance
+                ℹ️ {bookingPolicy.minLeadTimeMinutes > 0
+                  ? `Bookings must be made at least ${leadTimeLabel} in advance`
+                  : 'Bookings can be made for any upcoming time'}
+                {bookingPolicy.maxAdvanceDays > 0 && `, up to ${bookingPolicy.maxAdvanceDays} days ahead`}
               </p>
             </div>
               </div>
@@ -362,16 +410,13 @@ const ClientBookingModal = ({
                   <p className="text-base text-amber-900 font-semibold">
                       {unavailableMessage || 'No available slots for this date'}
                     </p>
-                  <p className="text-sm text-amber-800 mt-2">Please try selecting a different date</p>
+                  <p className="text-sm text-amber-800 mt-2">Please try selecting a different date or join the waitlist below</p>
                   </div>
                 ) : (
                 <div className="grid grid-cols-2 sm:grid-cols-3 gap-3 max-h-80 overflow-y-auto p-2 scrollbar-thin scrollbar-thumb-gray-300 scrollbar-track-gray-100">
                     {availableSlots.map((slot, index) => {
                       const slotTime = slot.time instanceof Date ? slot.time : new Date(slot.time);
-                      const now = new Date();
-                    const twoHoursFromNow = new Date(now.getTime() + 2 * 60 * 60 * 1000);
-                    const isPast = slotTime.getTime() <= twoHoursFromNow.getTime();
-                      const isDisabled = !slot.available || isPast;
+                      const isDisabled = !slot.available;
                       
                       return (
                         <button
@@ -379,6 +424,7 @@ const ClientBookingModal = ({
                           type="button"
                           onClick={() => !isDisabled && setBookingData({ ...bookingData, timeSlot: slot })}
                           disabled={isDisabled}
+                          title={isDisabled ? slot.message || undefined : undefined}
                         className={`px-4 py-3 text-sm font-medium rounded-lg border-2 transition-all ${
                             bookingData.timeSlot?.time && 
                             (bookingData.timeSlot.time instanceof Date ? bookingData.timeSlot.time : new Date(bookingData.timeSlot.time)).getTime() === slotTime.getTime()
@@ -395,6 +441,7 @@ const ClientBookingModal = ({
                   </div>
                 )}
               </div>
+            {!loadingSlots && !hasBookableSlot && bookingData.date && onJoinWaitlist && renderWaitlistOffer()}
           </div>
         );
 
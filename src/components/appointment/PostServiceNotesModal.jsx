@@ -1,30 +1,89 @@
-  /**
+/**
  * Post-Service Notes Modal
  * For stylists to add notes after completing an appointment
+ * and record how much of each recipe product they actually used
  */
 
-import { useState } from 'react';
-import { X } from 'lucide-react';
+import { useState, useEffect, useCallback } from 'react';
+import { X, FlaskConical } from 'lucide-react';
 import LoadingSpinner from '../ui/LoadingSpinner';
+import { getVisitUsageForms, getStandardQuantity, HAIR_LENGTH_LABELS } from '../../services/serviceRecipeService';
 
-const PostServiceNotesModal = ({ isOpen, appointment, onClose, onSubmit, loading = false }) => {
+const PostServiceNotesModal = ({
+  isOpen,
+  appointment,
+  onClose,
+  onSubmit,
+  loading = false,
+  stylistId = null,
+  title = 'Complete Appointment',
+  submitLabel = 'Complete Service'
+}) => {
   const [notes, setNotes] = useState('');
+  const [usageForms, setUsageForms] = useState([]);
+  const [loadingUsage, setLoadingUsage] = useState(false);
+
+  const loadUsageForms = useCallback(async () => {
+    try {
+      setLoadingUsage(true);
+      const forms = await getVisitUsageForms(appointment, stylistId);
+      setUsageForms(forms.map(form => ({
+        ...form,
+        actuals: Object.fromEntries(form.products.map(line => [line.productId, String(line.actualQuantity)]))
+      })));
+    } catch (error) {
+      // Error handled in service
+      setUsageForms([]);
+    } finally {
+      setLoadingUsage(false);
+    }
+  }, [appointment, stylistId]);
+
+  useEffect(() => {
+    if (!isOpen || !appointment) return;
+    setNotes(appointment.postServiceNotes || '');
+    loadUsageForms();
+  }, [isOpen, appointment, loadUsageForms]);
+
+  // A new hair length resets the quantities to that length's recipe
+  const handleHairLengthChange = (serviceId, hairLength) => {
+    setUsageForms(forms => forms.map(form => (form.serviceId === serviceId
+      ? {
+        ...form,
+        hairLength: hairLength || null,
+        actuals: Object.fromEntries(form.recipe.map(line => [line.productId, String(getStandardQuantity(line, hairLength || null))]))
+      }
+      : form)));
+  };
+
+  const handleActualChange = (serviceId, productId, value) => {
+    setUsageForms(forms => forms.map(form => (form.serviceId === serviceId
+      ? { ...form, actuals: { ...form.actuals, [productId]: value } }
+      : form)));
+  };
 
   const handleSubmit = (e) => {
     e.preventDefault();
-    onSubmit(notes);
+    onSubmit(notes, usageForms.map(form => ({
+      serviceId: form.serviceId,
+      serviceName: form.serviceName,
+      stylistId: form.stylistId,
+      stylistName: form.stylistName,
+      hairLength: form.hairLength,
+      actuals: Object.fromEntries(Object.entries(form.actuals).map(([productId, value]) => [productId, parseFloat(value) || 0]))
+    })));
   };
 
   if (!isOpen) return null;
 
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
-      <div className="bg-white rounded-lg shadow-xl max-w-md w-full">
-        <form onSubmit={handleSubmit}>
+      <div className="bg-white rounded-lg shadow-xl max-w-lg w-full max-h-[90vh] flex flex-col">
+        <form onSubmit={handleSubmit} className="flex flex-col min-h-0">
           {/* Header */}
           <div className="border-b border-gray-200 px-6 py-4 flex items-center justify-between">
             <h2 className="text-xl font-bold text-gray-900">
-              Complete Appointment
+              {title}
             </h2>
             <button
               type="button"
@@ -37,13 +96,15 @@ const PostServiceNotesModal = ({ isOpen, appointment, onClose, onSubmit, loading
           </div>
 
           {/* Content */}
-          <div className="p-6">
+          <div className="p-6 overflow-y-auto">
             <div className="mb-4">
               <p className="text-sm text-gray-600 mb-2">
                 Client: <span className="font-semibold text-gray-900">{appointment?.clientName}</span>
               </p>
               <p className="text-sm text-gray-600">
-                Service: <span className="font-semibold text-gray-900">{appointment?.serviceName}</span>
+                Service: <span className="font-semibold text-gray-900">
+                  {(appointment?.services || []).map(svc => svc.serviceName).filter(Boolean).join(', ') || appointment?.serviceName}
+                </span>
               </p>
             </div>
 
@@ -62,6 +123,63 @@ const PostServiceNotesModal = ({ isOpen, appointment, onClose, onSubmit, loading
                 These notes will be saved to the client's appointment history
               </p>
             </div>
+
+            {/* Product Usage */}
+            {loadingUsage ? (
+              <div className="flex justify-center py-4">
+                <LoadingSpinner size="sm" />
+              </div>
+            ) : usageForms.length > 0 && (
+              <div className="mt-6 space-y-4">
+                <div>
+                  <h3 className="text-sm font-semibold text-gray-900 flex items-center gap-2">
+                    <FlaskConical className="w-4 h-4 text-primary-600" />
+                    Products Used
+                  </h3>
+                  <p className="text-xs text-gray-500 mt-1">
+                    Pre-filled from the service recipe. Change any amount that differs from what you mixed.
+                  </p>
+                </div>
+                {usageForms.map(form => (
+                  <div key={form.serviceId} className="border border-gray-200 rounded-lg p-3">
+                    <div className="flex items-center justify-between gap-2 mb-3">
+                      <p className="text-sm font-medium text-gray-900">{form.serviceName}</p>
+                      {form.variesByHairLength && (
+                        <select
+                          value={form.hairLength || ''}
+                          onChange={(e) => handleHairLengthChange(form.serviceId, e.target.value)}
+                          className="px-2 py-1 text-xs border border-gray-300 rounded focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                        >
+                          <option value="">Hair length: standard</option>
+                          {Object.entries(HAIR_LENGTH_LABELS).map(([value, label]) => (
+                            <option key={value} value={value}>Hair length: {label}</option>
+                          ))}
+                        </select>
+                      )}
+                    </div>
+                    <div className="space-y-2">
+                      {form.recipe.map(line => (
+                        <div key={line.productId} className="flex items-center gap-3">
+                          <span className="flex-1 text-sm text-gray-700 truncate">{line.productName}</span>
+                          <span className="text-xs text-gray-500 whitespace-nowrap">
+                            Std {getStandardQuantity(line, form.hairLength)} {line.unit}
+                          </span>
+                          <input
+                            type="number"
+                            min="0"
+                            step="0.01"
+                            value={form.actuals[line.productId] ?? ''}
+                            onChange={(e) => handleActualChange(form.serviceId, line.productId, e.target.value)}
+                            className="w-24 px-2 py-1 text-sm border border-gray-300 rounded focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                          />
+                          <span className="w-8 text-xs text-gray-500">{line.unit}</span>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
           </div>
 
           {/* Footer */}
@@ -76,11 +194,11 @@ const PostServiceNotesModal = ({ isOpen, appointment, onClose, onSubmit, loading
             </button>
             <button
               type="submit"
-              disabled={loading}
+              disabled={loading || loadingUsage}
               className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
             >
               {loading && <LoadingSpinner size="sm" />}
-              {loading ? 'Completing...' : 'Complete Service'}
+              {loading ? 'Saving...' : submitLabel}
             </button>
           </div>
         </form>
@@ -0,0 +1,143 @@
+/**
+ * Record Deposit Modal
+ * For receptionists to record the booking deposit a client paid for an appointment
+ */
+
+import { useState, useEffect } from 'react';
+import { X } from 'lucide-react';
+import LoadingSpinner from '../ui/LoadingSpinner';
+import { DEPOSIT_PAYMENT_METHODS } from '../../services/appointmentDepositService';
+
+const METHOD_OPTIONS = [
+  { value: DEPOSIT_PAYMENT_METHODS.CASH, label: 'Cash' },
+  { value: DEPOSIT_PAYMENT_METHODS.CARD, label: 'Card' },
+  { value: DEPOSIT_PAYMENT_METHODS.VOUCHER, label: 'E-Wallet' }
+];
+
+const RecordDepositModal = ({ isOpen, appointment, onClose, onSubmit, loading = false }) => {
+  const [amount, setAmount] = useState('');
+  const [method, setMethod] = useState(DEPOSIT_PAYMENT_METHODS.CASH);
+  const [reference, setReference] = useState('');
+
+  useEffect(() => {
+    if (isOpen) {
+      setAmount(appointment?.depositRequired ? appointment.depositRequired.toString() : '');
+      setMethod(DEPOSIT_PAYMENT_METHODS.CASH);
+      setReference('');
+    }
+  }, [isOpen, appointment]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit({ amount: parseFloat(amount) || 0, method, reference: reference.trim() });
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-md w-full">
+        <form onSubmit={handleSubmit}>
+          {/* Header */}
+          <div className="border-b border-gray-200 px-6 py-4 flex items-center justify-between">
+            <h2 className="text-xl font-bold text-gray-900">
+              Record Deposit
+            </h2>
+            <button
+              type="button"
+              onClick={onClose}
+              disabled={loading}
+              className="p-1 hover:bg-gray-100 rounded transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <X className="w-5 h-5 text-gray-500" />
+            </button>
+          </div>
+
+          {/* Content */}
+          <div className="p-6 space-y-4">
+            <div>
+              <p className="text-sm text-gray-600 mb-2">
+                Client: <span className="font-semibold text-gray-900">{appointment?.clientName}</span>
+              </p>
+              <p className="text-sm text-gray-600">
+                Required deposit: <span className="font-semibold text-gray-900">₱{(appointment?.depositRequired || 0).toFixed(2)}</span>
+              </p>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Amount Received (₱) *
+              </label>
+              <input
+                type="number"
+                min="0.01"
+                step="0.01"
+                value={amount}
+                onChange={(e) => setAmount(e.target.value)}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                required
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Payment Method *
+              </label>
+              <select
+                value={method}
+                onChange={(e) => setMethod(e.target.value)}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              >
+                {METHOD_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              {method === DEPOSIT_PAYMENT_METHODS.CASH && (
+                <p className="text-xs text-gray-500 mt-1">
+                  Cash deposits are recorded as a paid-in on your open cash drawer
+                </p>
+              )}
+            </div>
+
+            {method !== DEPOSIT_PAYMENT_METHODS.CASH && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Reference Number
+                </label>
+                <input
+                  type="text"
+                  value={reference}
+                  onChange={(e) => setReference(e.target.value)}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                  placeholder="Optional"
+                />
+              </div>
+            )}
+          </div>
+
+          {/* Footer */}
+          <div className="bg-gray-50 border-t border-gray-200 px-6 py-4 flex justify-end gap-3">
+            <button
+              type="button"
+              onClick={onClose}
+              disabled={loading}
+              className="px-4 py-2 text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={loading}
+              className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
+            >
+              {loading && <LoadingSpinner size="sm" />}
+              Record Deposit
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default RecordDepositModal;
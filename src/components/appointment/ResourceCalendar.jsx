@@ -0,0 +1,541 @@
+/**
+ * Resource Calendar Component
+ * Day view with one column per stylist on shift, or a week view of one stylist.
+ * Appointments can be dragged to another time or stylist; each move is saved through
+ * updateAppointment, so it gets the same conflict and booking policy checks as an edit.
+ * Appointments are read live, so every open front-desk screen shows moves straight away.
+ */
+
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { DndContext, PointerSensor, useSensor, useSensors, useDraggable, useDroppable } from '@dnd-kit/core';
+import { CSS } from '@dnd-kit/utilities';
+import { addDays, startOfWeek, format, isSameDay } from 'date-fns';
+import { ChevronLeft, ChevronRight, Undo2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../context/AuthContext';
+import {
+  APPOINTMENT_STATUS,
+  subscribeToAppointmentsByDateRange,
+  updateAppointment
+} from '../../services/appointmentService';
+import { getAppointmentTimeline, getDayShifts } from '../../services/availabilityService';
+import { formatTime, formatTime12Hour, getFullName } from '../../utils/helpers';
+import LoadingSpinner from '../ui/LoadingSpinner';
+
+const SLOT_MINUTES = 15;
+const SLOT_HEIGHT = 16; // px per slot
+const DEFAULT_HOURS = { open: '08:00', close: '20:00' };
+
+// Shared default so a missing stylists prop doesn't reload shifts on every render
+const NO_STYLISTS = [];
+
+const HIDDEN_STATUSES = [APPOINTMENT_STATUS.CANCELLED, APPOINTMENT_STATUS.NO_SHOW];
+const MOVABLE_STATUSES = [APPOINTMENT_STATUS.PENDING, APPOINTMENT_STATUS.CONFIRMED];
+
+const STATUS_COLORS = {
+  [APPOINTMENT_STATUS.PENDING]: 'bg-yellow-50 border-yellow-400 text-yellow-900',
+  [APPOINTMENT_STATUS.CONFIRMED]: 'bg-blue-50 border-blue-400 text-blue-900',
+  [APPOINTMENT_STATUS.IN_SERVICE]: 'bg-purple-50 border-purple-400 text-purple-900',
+  [APPOINTMENT_STATUS.COMPLETED]: 'bg-green-50 border-green-400 text-green-900'
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+const minutesOfDay = (date) => date.getHours() * 60 + date.getMinutes();
+
+const atMinutes = (day, minutes) => {
+  const date = new Date(day);
+  date.setHours(0, minutes, 0, 0);
+  return date;
+};
+
+const dayKey = (day) => format(day, 'yyyy-MM-dd');
+
+// Working window for a stylist on a day, or the branch's hours when there's no stylist
+const getWindow = (shifts, day, stylistId) => {
+  const dayShifts = shifts[dayKey(day)];
+  if (!dayShifts || dayShifts.closure) return null;
+  if (!stylistId) return dayShifts.branchWindow ? { ...dayShifts.branchWindow, breaks: [] } : null;
+  const window = dayShifts.stylists[stylistId];
+  return window && !window.blocked && window.open && window.close ? window : null;
+};
+
+const getOffMessage = (shifts, day, stylistId) => {
+  const dayShifts = shifts[dayKey(day)];
+  if (dayShifts?.closure) return dayShifts.closure.title || 'Branch closed';
+  return dayShifts?.stylists[stylistId]?.blocked?.message || 'Not working';
+};
+
+// The part of an appointment a column shows: the services of that column's stylist
+const getColumnBlock = (appointment, stylistId) => {
+  const own = getAppointmentTimeline(appointment).filter(svc => svc.stylistId === stylistId);
+  if (own.length === 0) return null;
+  return {
+    start: new Date(Math.min(...own.map(svc => svc.start.getTime()))),
+    end: new Date(Math.max(...own.map(svc => svc.end.getTime()))),
+    serviceNames: own.map(svc => svc.serviceName).filter(Boolean)
+  };
+};
+
+// Put overlapping blocks side by side
+const layoutBlocks = (blocks) => {
+  const sorted = [...blocks].sort((a, b) => a.start - b.start);
+  const laneEnds = [];
+  const items = sorted.map(block => {
+    let lane = laneEnds.findIndex(end => end <= block.start.getTime());
+    if (lane === -1) {
+      lane = laneEnds.length;
+      laneEnds.push(block.end.getTime());
+    } else {
+      laneEnds[lane] = block.end.getTime();
+    }
+    return { ...block, lane };
+  });
+  return { items, laneCount: Math.max(laneEnds.length, 1) };
+};
+
+const AppointmentBlock = ({ item, column, gridStart, laneCount, disabled, onSelect }) => {
+  const { appointment } = item;
+  const movable = !disabled && MOVABLE_STATUSES.includes(appointment.status);
+  const { attributes, listeners, setNodeRef, transform, isDragging } = useDraggable({
+    id: `${appointment.id}|${column.id}`,
+    data: { appointment, column, block: item },
+    disabled: !movable
+  });
+
+  const top = ((minutesOfDay(item.start) - gridStart) / SLOT_MINUTES) * SLOT_HEIGHT;
+  const height = Math.max(((item.end - item.start) / 60000 / SLOT_MINUTES) * SLOT_HEIGHT, SLOT_HEIGHT);
+  const width = 100 / laneCount;
+
+  return (
+    <div
+      ref={setNodeRef}
+      {...listeners}
+      {...attributes}
+      onClick={() => onSelect?.(appointment)}
+      style={{
+        top,
+        height,
+        left: `${item.lane * width}%`,
+        width: `${width}%`,
+        transform: CSS.Translate.toString(transform),
+        zIndex: isDragging ? 20 : 10
+      }}
+      className={`absolute px-1 py-0.5 border-l-4 rounded text-xs overflow-hidden shadow-sm ${
+        STATUS_COLORS[appointment.status] || 'bg-gray-50 border-gray-400 text-gray-900'
+      } ${movable ? 'cursor-grab' : 'cursor-pointer'} ${isDragging ? 'opacity-75 shadow-lg' : ''}`}
+      title={`${appointment.clientName || 'Guest'} - ${formatTime(item.start)} to ${formatTime(item.end)}`}
+    >
+      <p className="font-semibold truncate">{appointment.clientName || 'Guest'}</p>
+      <p className="truncate">{formatTime(item.start)}</p>
+      {item.serviceNames.length > 0 && (
+        <p className="truncate opacity-75">{item.serviceNames.join(', ')}</p>
+      )}
+    </div>
+  );
+};
+
+const CalendarColumn = ({ column, items, laneCount, gridStart, gridEnd, disabled, onSelect }) => {
+  const { setNodeRef, isOver } = useDroppable({ id: column.id });
+  const height = ((gridEnd - gridStart) / SLOT_MINUTES) * SLOT_HEIGHT;
+  const toOffset = (minutes) => ((minutes - gridStart) / SLOT_MINUTES) * SLOT_HEIGHT;
+  const hours = [];
+  for (let minutes = gridStart; minutes < gridEnd; minutes += 60) hours.push(minutes);
+
+  return (
+    <div
+      ref={setNodeRef}
+      style={{ height }}
+      className={`relative border-l border-gray-200 ${isOver ? 'bg-primary-50' : ''}`}
+    >
+      {hours.map(minutes => (
+        <div key={minutes} className="absolute inset-x-0 border-t border-gray-100" style={{ top: toOffset(minutes) }} />
+      ))}
+
+      {/* Off shift */}
+      {column.window ? (
+        <>
+          <div className="absolute inset-x-0 top-0 bg-gray-100" style={{ height: Math.max(toOffset(toMinutes(column.window.open)), 0) }} />
+          <div className="absolute inset-x-0 bottom-0 bg-gray-100" style={{ top: Math.min(toOffset(toMinutes(column.window.close)), height) }} />
+          {column.window.breaks.map(breakTime => (
+            <div
+              key={breakTime.start}
+              className="absolute inset-x-0 bg-gray-100 bg-opacity-75 text-[10px] text-gray-400 text-center"
+              style={{ top: toOffset(toMinutes(breakTime.start)), height: toOffset(toMinutes(breakTime.end)) - toOffset(toMinutes(breakTime.start)) }}
+            >
+              Break
+            </div>
+          ))}
+        </>
+      ) : (
+        <div className="absolute inset-0 bg-gray-100 flex justify-center pt-4 text-xs text-gray-400">
+          {column.offMessage || 'Not working'}
+        </div>
+      )}
+
+      {items.map(item => (
+        <AppointmentBlock
+          key={item.appointment.id}
+          item={item}
+          column={column}
+          gridStart={gridStart}
+          laneCount={laneCount}
+          disabled={disabled}
+          onSelect={onSelect}
+        />
+      ))}
+    </div>
+  );
+};
+
+const ResourceCalendar = ({ branchId, stylists = NO_STYLISTS, onSelectAppointment }) => {
+  const { currentUser } = useAuth();
+  const [view, setView] = useState('day');
+  const [date, setDate] = useState(() => new Date());
+  const [weekStylistId, setWeekStylistId] = useState('');
+  const [appointments, setAppointments] = useState([]);
+  const [shifts, setShifts] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [moving, setMoving] = useState(false);
+  // Shown in place of the stored appointment while a move is being checked and saved
+  const [pendingMove, setPendingMove] = useState(null);
+  const [lastMove, setLastMove] = useState(null);
+  // Releasing a dragged card also clicks it; that click shouldn't open the details
+  const lastDragEndRef = useRef(0);
+
+  const sensors = useSensors(useSensor(PointerSensor, { activationConstraint: { distance: 5 } }));
+
+  const selectedStylistId = weekStylistId || stylists[0]?.id || '';
+
+  const days = useMemo(() => {
+    if (view === 'day') return [date];
+    const weekStart = startOfWeek(date, { weekStartsOn: 1 });
+    return Array.from({ length: 7 }, (_, index) => addDays(weekStart, index));
+  }, [view, date]);
+
+  const rangeStart = useMemo(() => atMinutes(days[0], 0), [days]);
+  const rangeEnd = useMemo(() => {
+    const end = atMinutes(days[days.length - 1], 0);
+    end.setHours(23, 59, 59, 999);
+    return end;
+  }, [days]);
+
+  useEffect(() => {
+    if (!branchId) return undefined;
+    setLoading(true);
+    const unsubscribe = subscribeToAppointmentsByDateRange(branchId, rangeStart, rangeEnd, (data) => {
+      setAppointments(data);
+      setLoading(false);
+    });
+    return unsubscribe;
+  }, [branchId, rangeStart, rangeEnd]);
+
+  useEffect(() => {
+    if (!branchId) return undefined;
+    // A slower earlier load must not overwrite the shifts of the days now on screen
+    let cancelled = false;
+
+    const fetchShifts = async () => {
+      try {
+        const stylistIds = view === 'day' ? stylists.map(stylist => stylist.id) : [selectedStylistId].filter(Boolean);
+        const results = await Promise.all(days.map(day => getDayShifts(branchId, day, stylistIds)));
+        if (!cancelled) {
+          setShifts(Object.fromEntries(days.map((day, index) => [dayKey(day), results[index]])));
+        }
+      } catch (error) {
+        console.error('Error loading shifts:', error);
+        toast.error('Failed to load stylist shifts');
+      }
+    };
+
+    fetchShifts();
+    return () => {
+      cancelled = true;
+    };
+  }, [branchId, view, days, stylists, selectedStylistId]);
+
+  const visibleAppointments = useMemo(() => appointments
+    .filter(appointment => !HIDDEN_STATUSES.includes(appointment.status))
+    .map(appointment => (pendingMove?.id === appointment.id ? { ...appointment, ...pendingMove.updates } : appointment)),
+  [appointments, pendingMove]);
+
+  const columns = useMemo(() => {
+    const makeColumn = (day, stylistId, label) => ({
+      id: `${stylistId || 'unassigned'}|${dayKey(day)}`,
+      stylistId,
+      day,
+      label,
+      window: getWindow(shifts, day, stylistId),
+      offMessage: getOffMessage(shifts, day, stylistId)
+    });
+
+    if (view === 'week') {
+      if (!selectedStylistId) return [];
+      return days.map(day => makeColumn(day, selectedStylistId, format(day, 'EEE d MMM')));
+    }
+
+    const dayAppointments = visibleAppointments.filter(appointment => isSameDay(appointment.appointmentDate, date));
+    const bookedStylistIds = new Set(
+      dayAppointments.flatMap(appointment => getAppointmentTimeline(appointment).map(svc => svc.stylistId))
+    );
+
+    // Stylists on shift, and anyone off shift who still has appointments so nothing is hidden
+    const dayColumns = stylists
+      .filter(stylist => getWindow(shifts, date, stylist.id) || bookedStylistIds.has(stylist.id))
+      .map(stylist => makeColumn(date, stylist.id, getFullName(stylist)));
+    if (bookedStylistIds.has(null)) {
+      dayColumns.push(makeColumn(date, null, 'Unassigned'));
+    }
+    return dayColumns;
+  }, [view, days, date, stylists, selectedStylistId, shifts, visibleAppointments]);
+
+  const columnItems = useMemo(() => Object.fromEntries(columns.map(column => {
+    const blocks = visibleAppointments
+      .filter(appointment => isSameDay(appointment.appointmentDate, column.day))
+      .map(appointment => {
+        const block = getColumnBlock(appointment, column.stylistId);
+        return block ? { ...block, appointment } : null;
+      })
+      .filter(Boolean);
+    return [column.id, layoutBlocks(blocks)];
+  })), [columns, visibleAppointments]);
+
+  // Shared time range: the widest working window, stretched to fit any booking outside it
+  const { gridStart, gridEnd } = useMemo(() => {
+    let start = toMinutes(DEFAULT_HOURS.close);
+    let end = toMinutes(DEFAULT_HOURS.open);
+    columns.forEach(column => {
+      if (column.window) {
+        start = Math.min(start, toMinutes(column.window.open));
+        end = Math.max(end, toMinutes(column.window.close));
+      }
+      columnItems[column.id]?.items.forEach(item => {
+        start = Math.min(start, minutesOfDay(item.start));
+        end = Math.max(end, isSameDay(item.end, item.start) ? minutesOfDay(item.end) : 24 * 60);
+      });
+    });
+    if (start >= end) {
+      start = toMinutes(DEFAULT_HOURS.open);
+      end = toMinutes(DEFAULT_HOURS.close);
+    }
+    return { gridStart: Math.floor(start / 60) * 60, gridEnd: Math.min(Math.ceil(end / 60) * 60, 24 * 60) };
+  }, [columns, columnItems]);
+
+  const hourLabels = [];
+  for (let minutes = gridStart; minutes < gridEnd; minutes += 60) hourLabels.push(minutes);
+
+  const moveAppointment = async (appointment, updates, successMessage) => {
+    try {
+      setMoving(true);
+      setPendingMove({ id: appointment.id, updates });
+      // updateAppointment converts the date in place, so it gets its own copy
+      await updateAppointment(appointment.id, { ...updates }, currentUser, { silent: true });
+      toast.success(successMessage);
+      return true;
+    } catch (error) {
+      // Error handled in service
+      return false;
+    } finally {
+      setPendingMove(null);
+      setMoving(false);
+    }
+  };
+
+  const handleSelect = (appointment) => {
+    if (Date.now() - lastDragEndRef.current < 300) return;
+    onSelectAppointment?.(appointment);
+  };
+
+  const handleDragEnd = async ({ active, over, delta }) => {
+    lastDragEndRef.current = Date.now();
+    if (!over || moving) return;
+    const { appointment, column: fromColumn, block } = active.data.current;
+    const toColumn = columns.find(column => column.id === over.id);
+    if (!toColumn) return;
+
+    if (!toColumn.stylistId && fromColumn.stylistId) {
+      toast.error('Drop the appointment onto a stylist');
+      return;
+    }
+
+    // Move the dragged block, snapped to the grid, keeping its place within the appointment
+    const blockOffset = (block.start - appointment.appointmentDate) / 60000;
+    const blockStart = Math.round((minutesOfDay(block.start) + delta.y / SLOT_HEIGHT * SLOT_MINUTES) / SLOT_MINUTES) * SLOT_MINUTES;
+    const appointmentDate = atMinutes(toColumn.day, blockStart - blockOffset);
+    const stylistChanged = toColumn.stylistId !== fromColumn.stylistId;
+
+    if (!stylistChanged && appointmentDate.getTime() === appointment.appointmentDate.getTime()) return;
+
+    const updates = { appointmentDate };
+    const previous = { appointmentDate: appointment.appointmentDate };
+    if (stylistChanged) {
+      const stylistName = getFullName(stylists.find(stylist => stylist.id === toColumn.stylistId));
+      const reassign = (stylistId) => (stylistId || null) === fromColumn.stylistId;
+      if (appointment.services?.length > 0) {
+        updates.services = appointment.services.map(svc =>
+          reassign(svc.stylistId || appointment.stylistId) ? { ...svc, stylistId: toColumn.stylistId, stylistName } : svc
+        );
+        previous.services = appointment.services;
+      }
+      if (reassign(appointment.stylistId)) {
+        updates.stylistId = toColumn.stylistId;
+        updates.stylistName = stylistName;
+        previous.stylistId = appointment.stylistId || null;
+        previous.stylistName = appointment.stylistName || null;
+      }
+    }
+
+    const moved = await moveAppointment(
+      appointment,
+      updates,
+      `Moved ${appointment.clientName || 'appointment'} to ${format(appointmentDate, 'EEE d MMM')}, ${formatTime(appointmentDate)}` +
+        (stylistChanged ? ` with ${toColumn.label}` : '')
+    );
+    if (moved) {
+      setLastMove({ appointment: { ...appointment, ...updates }, previous });
+    }
+  };
+
+  const handleUndo = async () => {
+    if (!lastMove || moving) return;
+    const undone = await moveAppointment(lastMove.appointment, lastMove.previous, 'Move undone');
+    if (undone) {
+      setLastMove(null);
+    }
+  };
+
+  const shiftDate = (direction) => {
+    setDate(current => addDays(current, direction * (view === 'day' ? 1 : 7)));
+  };
+
+  const closure = view === 'day' ? shifts[dayKey(date)]?.closure : null;
+
+  return (
+    <div className="bg-white rounded-lg shadow border border-gray-200">
+      {/* Toolbar */}
+      <div className="flex flex-wrap items-center justify-between gap-3 px-4 py-3 border-b border-gray-200">
+        <div className="flex items-center gap-2">
+          <div className="inline-flex rounded-lg border border-gray-300 overflow-hidden">
+            {['day', 'week'].map(option => (
+              <button
+                key={option}
+                type="button"
+                onClick={() => setView(option)}
+                className={`px-3 py-1.5 text-sm capitalize ${view === option ? 'bg-primary-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+              >
+                {option}
+              </button>
+            ))}
+          </div>
+          <button type="button" onClick={() => shiftDate(-1)} className="p-1.5 rounded hover:bg-gray-100">
+            <ChevronLeft className="w-5 h-5 text-gray-600" />
+          </button>
+          <button
+            type="button"
+            onClick={() => setDate(new Date())}
+            className="px-3 py-1.5 text-sm border border-gray-300 rounded-lg hover:bg-gray-50"
+          >
+            Today
+          </button>
+          <button type="button" onClick={() => shiftDate(1)} className="p-1.5 rounded hover:bg-gray-100">
+            <ChevronRight className="w-5 h-5 text-gray-600" />
+          </button>
+          <span className="text-sm font-semibold text-gray-900">
+            {view === 'day'
+              ? format(date, 'EEEE, d MMMM yyyy')
+              : `${format(days[0], 'd MMM')} - ${format(days[6], 'd MMM yyyy')}`}
+          </span>
+        </div>
+
+        <div className="flex items-center gap-2">
+          {view === 'week' && (
+            <select
+              value={selectedStylistId}
+              onChange={(e) => setWeekStylistId(e.target.value)}
+              className="px-3 py-1.5 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            >
+              {stylists.map(stylist => (
+                <option key={stylist.id} value={stylist.id}>{getFullName(stylist)}</option>
+              ))}
+            </select>
+          )}
+          {moving && <span className="text-xs text-gray-500">Saving...</span>}
+          <button
+            type="button"
+            onClick={handleUndo}
+            disabled={!lastMove || moving}
+            className="flex items-center gap-1 px-3 py-1.5 text-sm border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+          >
+            <Undo2 className="w-4 h-4" />
+            Undo last move
+          </button>
+        </div>
+      </div>
+
+      {closure && (
+        <div className="px-4 py-2 bg-red-50 text-sm text-red-700 border-b border-red-100">
+          Branch closed{closure.title ? `: ${closure.title}` : ''}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <LoadingSpinner />
+        </div>
+      ) : columns.length === 0 ? (
+        <p className="text-center text-sm text-gray-500 py-12">No stylists working on this day</p>
+      ) : (
+        <DndContext sensors={sensors} onDragEnd={handleDragEnd}>
+          <div className="overflow-x-auto">
+            <div className="flex min-w-max">
+              {/* Time gutter */}
+              <div className="w-16 flex-shrink-0">
+                <div className="h-10 border-b border-gray-200" />
+                <div className="relative" style={{ height: ((gridEnd - gridStart) / SLOT_MINUTES) * SLOT_HEIGHT }}>
+                  {hourLabels.map(minutes => (
+                    <span
+                      key={minutes}
+                      className="absolute right-2 -translate-y-1/2 text-[10px] text-gray-500"
+                      style={{ top: ((minutes - gridStart) / SLOT_MINUTES) * SLOT_HEIGHT }}
+                    >
+                      {minutes > gridStart && formatTime12Hour(`${String(minutes / 60).padStart(2, '0')}:00`)}
+                    </span>
+                  ))}
+                </div>
+              </div>
+
+              {columns.map(column => (
+                <div key={column.id} className="w-44 flex-shrink-0">
+                  <div className={`h-10 flex items-center justify-center px-2 border-b border-l border-gray-200 text-sm font-medium truncate ${
+                    view === 'week' && isSameDay(column.day, new Date()) ? 'text-primary-700' : 'text-gray-900'
+                  }`}>
+                    {column.label}
+                  </div>
+                  <CalendarColumn
+                    column={column}
+                    items={columnItems[column.id]?.items || []}
+                    laneCount={columnItems[column.id]?.laneCount || 1}
+                    gridStart={gridStart}
+                    gridEnd={gridEnd}
+                    disabled={moving}
+                    onSelect={handleSelect}
+                  />
+                </div>
+              ))}
+            </div>
+          </div>
+        </DndContext>
+      )}
+
+      <p className="px-4 py-2 text-xs text-gray-500 border-t border-gray-200">
+        Drag pending or confirmed appointments to another time or stylist. Moves are checked against
+        shifts, other bookings and the branch booking policy before they are saved.
+      </p>
+    </div>
+  );
+};
+
+export default ResourceCalendar;
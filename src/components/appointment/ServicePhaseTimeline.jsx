@@ -0,0 +1,73 @@
+/**
+ * Service Phase Timeline Component
+ * Shows when each service of an appointment runs, and which phases leave the stylist free
+ */
+
+import { getAppointmentTimeline } from '../../services/availabilityService';
+import { SERVICE_PHASE_TYPES } from '../../services/serviceManagementService';
+import { formatTime } from '../../utils/helpers';
+
+const PHASE_COLORS = {
+  [SERVICE_PHASE_TYPES.BUSY]: 'bg-primary-500',
+  [SERVICE_PHASE_TYPES.PROCESSING]: 'bg-amber-300'
+};
+
+const ServicePhaseTimeline = ({ appointment, stylistId = null, compact = false }) => {
+  // Only appointments booked with sequenced services carry start offsets and phases
+  if (
+    !appointment?.appointmentDate ||
+    !Array.isArray(appointment.services) ||
+    !appointment.services.some(svc => typeof svc.startOffset === 'number')
+  ) {
+    return null;
+  }
+
+  const timeline = getAppointmentTimeline(appointment).filter(svc => !stylistId || svc.stylistId === stylistId);
+  if (timeline.length === 0) return null;
+
+  return (
+    <div className="space-y-2">
+      {timeline.map((svc, index) => {
+        const minutes = (svc.end.getTime() - svc.start.getTime()) / 60000;
+        return (
+          <div key={`${svc.serviceId}-${index}`}>
+            <div className="flex justify-between text-xs text-gray-600 mb-1">
+              <span className="font-medium text-gray-900 truncate">
+                {svc.serviceName || 'Service'}
+                {!stylistId && svc.stylistName && <span className="font-normal text-gray-500"> • {svc.stylistName}</span>}
+              </span>
+              <span className="ml-2 whitespace-nowrap">{formatTime(svc.start)} - {formatTime(svc.end)}</span>
+            </div>
+            <div className="flex h-2 rounded overflow-hidden bg-gray-100">
+              {svc.phases.map((phase, phaseIndex) => (
+                <div
+                  key={phaseIndex}
+                  className={PHASE_COLORS[phase.type] || PHASE_COLORS[SERVICE_PHASE_TYPES.BUSY]}
+                  style={{ width: `${minutes > 0 ? ((phase.end - phase.start) / 60000 / minutes) * 100 : 0}%` }}
+                  title={`${phase.name}: ${formatTime(phase.start)} - ${formatTime(phase.end)}`}
+                />
+              ))}
+            </div>
+            {!compact && svc.phases.length > 1 && (
+              <div className="mt-1 space-y-0.5">
+                {svc.phases.map((phase, phaseIndex) => (
+                  <div key={phaseIndex} className="flex justify-between text-xs text-gray-500">
+                    <span>
+                      {phase.name}
+                      {phase.type === SERVICE_PHASE_TYPES.PROCESSING && (
+                        <span className="ml-1 text-amber-700">(stylist free)</span>
+                      )}
+                    </span>
+                    <span>{formatTime(phase.start)} - {formatTime(phase.end)}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default ServicePhaseTimeline;
@@ -0,0 +1,455 @@
+/**
+ * Waitlist Modal
+ * For receptionists to add clients to the branch waitlist and act on slot offers
+ * (phone acceptance for guests, passing a slot on, removing entries)
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { X, Plus, Clock, User, Phone, Star } from 'lucide-react';
+import LoadingSpinner from '../ui/LoadingSpinner';
+import { useAuth } from '../../context/AuthContext';
+import {
+  getWaitlistByBranch,
+  expireWaitlistOffers,
+  joinWaitlist,
+  acceptWaitlistOffer,
+  declineWaitlistOffer,
+  removeFromWaitlist,
+  isOfferExpired,
+  WAITLIST_STATUS,
+  WAITLIST_STATUS_LABELS,
+  WAITLIST_PRIORITIES,
+  OFFER_HOLD_MINUTES
+} from '../../services/waitlistService';
+import { formatDate, formatTime } from '../../utils/helpers';
+
+const STATUS_COLORS = {
+  [WAITLIST_STATUS.WAITING]: 'bg-yellow-100 text-yellow-800',
+  [WAITLIST_STATUS.OFFERED]: 'bg-green-100 text-green-800',
+  [WAITLIST_STATUS.BOOKED]: 'bg-blue-100 text-blue-800',
+  [WAITLIST_STATUS.EXPIRED]: 'bg-gray-100 text-gray-600',
+  [WAITLIST_STATUS.REMOVED]: 'bg-gray-100 text-gray-600'
+};
+
+const getEmptyForm = () => {
+  const today = new Date().toISOString().split('T')[0];
+  return {
+    isGuest: false,
+    clientId: '',
+    clientName: '',
+    clientPhone: '',
+    serviceId: '',
+    stylistId: '',
+    dateFrom: today,
+    dateTo: today,
+    timeFrom: '',
+    timeTo: '',
+    priority: WAITLIST_PRIORITIES.NORMAL,
+    notes: ''
+  };
+};
+
+const WaitlistModal = ({ isOpen, onClose, branchId, branchName, services = [], stylists = [], clients = [], onBooked }) => {
+  const { currentUser } = useAuth();
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [showAll, setShowAll] = useState(false);
+  const [showForm, setShowForm] = useState(false);
+  const [formData, setFormData] = useState(getEmptyForm());
+  const [saving, setSaving] = useState(false);
+  const [processingId, setProcessingId] = useState(null);
+
+  const loadWaitlist = useCallback(async () => {
+    try {
+      setLoading(true);
+      // Pass on offers whose hold ran out before showing the line
+      await expireWaitlistOffers(branchId);
+      const data = await getWaitlistByBranch(branchId);
+      setEntries(data);
+    } catch (error) {
+      // Error handled in service
+    } finally {
+      setLoading(false);
+    }
+  }, [branchId]);
+
+  useEffect(() => {
+    if (isOpen && branchId) {
+      setShowForm(false);
+      setFormData(getEmptyForm());
+      loadWaitlist();
+    }
+  }, [isOpen, branchId, loadWaitlist]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const service = services.find(s => s.id === formData.serviceId);
+    const stylist = stylists.find(s => s.id === formData.stylistId);
+    const client = clients.find(c => c.id === formData.clientId);
+
+    try {
+      setSaving(true);
+      await joinWaitlist({
+        branchId,
+        branchName,
+        clientId: formData.isGuest ? null : formData.clientId,
+        clientName: formData.isGuest ? formData.clientName.trim() : (client ? `${client.firstName} ${client.lastName}` : ''),
+        clientPhone: formData.isGuest ? formData.clientPhone.trim() : (client?.phoneNumber || ''),
+        clientEmail: formData.isGuest ? '' : (client?.email || ''),
+        services: [{
+          serviceId: formData.serviceId,
+          serviceName: service?.serviceName || service?.name,
+          stylistId: formData.stylistId || null,
+          stylistName: stylist ? `${stylist.firstName} ${stylist.lastName}` : null,
+          duration: service?.duration || 60,
+          price: service?.price || 0,
+          phases: service?.phases || []
+        }],
+        dateFrom: formData.dateFrom,
+        dateTo: formData.dateTo || formData.dateFrom,
+        timeFrom: formData.timeFrom,
+        timeTo: formData.timeTo,
+        priority: formData.priority,
+        notes: formData.notes.trim()
+      }, currentUser);
+      setShowForm(false);
+      setFormData(getEmptyForm());
+      await loadWaitlist();
+    } catch (error) {
+      // Error handled in service
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAction = async (entry, action) => {
+    try {
+      setProcessingId(entry.id);
+      if (action === 'accept') {
+        const appointmentId = await acceptWaitlistOffer(entry.id, currentUser);
+        onBooked?.(appointmentId);
+      } else if (action === 'decline') {
+        await declineWaitlistOffer(entry.id, currentUser);
+      } else {
+        await removeFromWaitlist(entry.id, currentUser);
+      }
+    } catch (error) {
+      // Error handled in service
+    } finally {
+      setProcessingId(null);
+      await loadWaitlist();
+    }
+  };
+
+  const formatWindow = (entry) => {
+    const dates = entry.dateTo && entry.dateTo !== entry.dateFrom
+      ? `${formatDate(entry.dateFrom)} - ${formatDate(entry.dateTo)}`
+      : formatDate(entry.dateFrom);
+    if (!entry.timeFrom && !entry.timeTo) return dates;
+    return `${dates}, ${entry.timeFrom || 'opening'} - ${entry.timeTo || 'closing'}`;
+  };
+
+  if (!isOpen) return null;
+
+  const isFormValid = formData.serviceId && formData.dateFrom &&
+    (formData.isGuest ? formData.clientName.trim() : formData.clientId);
+
+  const visibleEntries = showAll
+    ? entries
+    : entries.filter(entry => entry.status === WAITLIST_STATUS.WAITING || entry.status === WAITLIST_STATUS.OFFERED);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-3xl w-full max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="border-b border-gray-200 px-6 py-4 flex items-center justify-between">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900">Waitlist</h2>
+            <p className="text-xs text-gray-500 mt-1">
+              Freed slots are offered in order, high priority first, and held for {OFFER_HOLD_MINUTES} minutes
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="p-1 hover:bg-gray-100 rounded transition-colors"
+          >
+            <X className="w-5 h-5 text-gray-500" />
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="p-6 space-y-4 overflow-y-auto">
+          <div className="flex items-center justify-between">
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={showAll}
+                onChange={(e) => setShowAll(e.target.checked)}
+                className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+              />
+              Show booked, expired and removed entries
+            </label>
+            {!showForm && (
+              <button
+                type="button"
+                onClick={() => setShowForm(true)}
+                className="flex items-center gap-2 px-3 py-1.5 text-sm bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors"
+              >
+                <Plus className="w-4 h-4" />
+                Add to Waitlist
+              </button>
+            )}
+          </div>
+
+          {showForm && (
+            <form onSubmit={handleSubmit} className="border border-gray-200 rounded-lg p-4 space-y-3 bg-gray-50">
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={formData.isGuest}
+                  onChange={(e) => setFormData({ ...formData, isGuest: e.target.checked, clientId: '' })}
+                  className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                />
+                Guest client (not registered)
+              </label>
+
+              {formData.isGuest ? (
+                <div className="grid grid-cols-2 gap-3">
+                  <input
+                    type="text"
+                    value={formData.clientName}
+                    onChange={(e) => setFormData({ ...formData, clientName: e.target.value })}
+                    placeholder="Client name *"
+                    className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                  />
+                  <input
+                    type="tel"
+                    value={formData.clientPhone}
+                    onChange={(e) => setFormData({ ...formData, clientPhone: e.target.value })}
+                    placeholder="Phone number"
+                    className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                  />
+                </div>
+              ) : (
+                <select
+                  value={formData.clientId}
+                  onChange={(e) => setFormData({ ...formData, clientId: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                >
+                  <option value="">Select client *</option>
+                  {clients.map(client => (
+                    <option key={client.id} value={client.id}>
+                      {client.firstName} {client.lastName}{client.phoneNumber ? ` (${client.phoneNumber})` : ''}
+                    </option>
+                  ))}
+                </select>
+              )}
+
+              <div className="grid grid-cols-2 gap-3">
+                <select
+                  value={formData.serviceId}
+                  onChange={(e) => setFormData({ ...formData, serviceId: e.target.value })}
+                  className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                >
+                  <option value="">Select service *</option>
+                  {services.map(service => (
+                    <option key={service.id} value={service.id}>
+                      {service.serviceName || service.name}
+                    </option>
+                  ))}
+                </select>
+                <select
+                  value={formData.stylistId}
+                  onChange={(e) => setFormData({ ...formData, stylistId: e.target.value })}
+                  className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                >
+                  <option value="">Any stylist</option>
+                  {stylists.map(stylist => (
+                    <option key={stylist.id} value={stylist.id}>
+                      {stylist.firstName} {stylist.lastName}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+                <div>
+                  <label className="block text-xs font-medium text-gray-600 mb-1">From *</label>
+                  <input
+                    type="date"
+                    value={formData.dateFrom}
+                    min={new Date().toISOString().split('T')[0]}
+                    onChange={(e) => setFormData({ ...formData, dateFrom: e.target.value, dateTo: formData.dateTo < e.target.value ? e.target.value : formData.dateTo })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-600 mb-1">Until</label>
+                  <input
+                    type="date"
+                    value={formData.dateTo}
+                    min={formData.dateFrom}
+                    onChange={(e) => setFormData({ ...formData, dateTo: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-600 mb-1">Earliest start</label>
+                  <input
+                    type="time"
+                    value={formData.timeFrom}
+                    onChange={(e) => setFormData({ ...formData, timeFrom: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-600 mb-1">Latest start</label>
+                  <input
+                    type="time"
+                    value={formData.timeTo}
+                    onChange={(e) => setFormData({ ...formData, timeTo: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                  />
+                </div>
+              </div>
+
+              <div className="grid grid-cols-2 gap-3">
+                <select
+                  value={formData.priority}
+                  onChange={(e) => setFormData({ ...formData, priority: e.target.value })}
+                  className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                >
+                  <option value={WAITLIST_PRIORITIES.NORMAL}>Normal priority</option>
+                  <option value={WAITLIST_PRIORITIES.HIGH}>High priority</option>
+                </select>
+                <input
+                  type="text"
+                  value={formData.notes}
+                  onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+                  placeholder="Notes"
+                  className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                />
+              </div>
+
+              <div className="flex justify-end gap-2">
+                <button
+                  type="button"
+                  onClick={() => setShowForm(false)}
+                  disabled={saving}
+                  className="px-3 py-1.5 text-sm text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={!isFormValid || saving}
+                  className="px-3 py-1.5 text-sm bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
+                >
+                  {saving && <LoadingSpinner size="sm" />}
+                  Add
+                </button>
+              </div>
+            </form>
+          )}
+
+          {loading ? (
+            <div className="flex justify-center py-10">
+              <LoadingSpinner size="md" />
+            </div>
+          ) : visibleEntries.length === 0 ? (
+            <p className="text-center text-sm text-gray-500 py-10">No one is on the waitlist</p>
+          ) : (
+            <div className="space-y-3">
+              {visibleEntries.map((entry, index) => {
+                const isOffered = entry.status === WAITLIST_STATUS.OFFERED && entry.offer && !isOfferExpired(entry);
+                const isActive = entry.status === WAITLIST_STATUS.WAITING || entry.status === WAITLIST_STATUS.OFFERED;
+                const isProcessing = processingId === entry.id;
+                return (
+                  <div
+                    key={entry.id}
+                    className={`border rounded-lg p-4 ${isOffered ? 'border-green-300 bg-green-50' : 'border-gray-200'}`}
+                  >
+                    <div className="flex items-start justify-between gap-3">
+                      <div className="text-sm space-y-1">
+                        <p className="font-semibold text-gray-900 flex items-center gap-2">
+                          {!showAll && <span className="text-gray-400">#{index + 1}</span>}
+                          <User className="w-4 h-4 text-gray-400" />
+                          {entry.clientName}
+                          {entry.isGuest && <span className="text-xs text-gray-500 font-normal">(Guest)</span>}
+                          {entry.priority === WAITLIST_PRIORITIES.HIGH && (
+                            <span title="High priority">
+                              <Star className="w-4 h-4 text-amber-500" />
+                            </span>
+                          )}
+                        </p>
+                        {entry.clientPhone && (
+                          <p className="text-gray-600 flex items-center gap-1">
+                            <Phone className="w-3 h-3" />
+                            {entry.clientPhone}
+                          </p>
+                        )}
+                        <p className="text-gray-700">
+                          {(entry.services || []).map(svc => svc.serviceName).join(', ')}
+                          {entry.stylistName ? ` with ${entry.stylistName}` : ''}
+                        </p>
+                        <p className="text-gray-500">{formatWindow(entry)}</p>
+                        {entry.notes && <p className="text-gray-500 italic">{entry.notes}</p>}
+                        {isOffered && (
+                          <p className="text-green-800 font-medium flex items-center gap-1">
+                            <Clock className="w-4 h-4" />
+                            Offered {formatDate(entry.offer.appointmentDate, 'EEE, MMM dd')} at {formatTime(entry.offer.appointmentDate)}
+                            {entry.offer.stylistName ? ` with ${entry.offer.stylistName}` : ''}, held until {formatTime(entry.offer.expiresAt)}
+                          </p>
+                        )}
+                      </div>
+                      <span className={`px-2 py-0.5 text-xs rounded-full whitespace-nowrap ${STATUS_COLORS[entry.status] || 'bg-gray-100 text-gray-600'}`}>
+                        {WAITLIST_STATUS_LABELS[entry.status] || entry.status}
+                      </span>
+                    </div>
+
+                    {isActive && (
+                      <div className="flex justify-end gap-2 mt-3">
+                        <button
+                          type="button"
+                          onClick={() => handleAction(entry, 'remove')}
+                          disabled={isProcessing}
+                          className="px-3 py-1.5 text-xs text-red-600 border border-red-200 rounded-lg hover:bg-red-50 transition-colors disabled:opacity-50"
+                        >
+                          Remove
+                        </button>
+                        {isOffered && (
+                          <>
+                            <button
+                              type="button"
+                              onClick={() => handleAction(entry, 'decline')}
+                              disabled={isProcessing}
+                              className="px-3 py-1.5 text-xs text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+                            >
+                              Pass to Next
+                            </button>
+                            <button
+                              type="button"
+                              onClick={() => handleAction(entry, 'accept')}
+                              disabled={isProcessing}
+                              className="px-3 py-1.5 text-xs bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50 flex items-center gap-1"
+                            >
+                              {isProcessing && <LoadingSpinner size="sm" />}
+                              Book Slot
+                            </button>
+                          </>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default WaitlistModal;
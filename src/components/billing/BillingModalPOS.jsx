@@ -4,11 +4,13 @@
  */
 
 import { useState, useEffect, useRef, useCallback } from 'react';
-import { X, Banknote, Tag, Search, CreditCard, Wallet, Gift, Scissors, Package, Smartphone, Star, CheckCircle, AlertCircle, QrCode, Camera } from 'lucide-react';
+import { X, Banknote, Tag, Search, CreditCard, Wallet, Gift, Scissors, Package, Smartphone, Star, CheckCircle, AlertCircle, QrCode, Camera, Plus } from 'lucide-react';
 import { Html5Qrcode } from 'html5-qrcode';
 import LoadingSpinner from '../ui/LoadingSpinner';
-import { PAYMENT_METHODS, calculateBillTotals, checkReceiptNumberExists } from '../../services/billingService';
+import { PAYMENT_METHODS, TIP_SPLIT_METHODS, calculateBillTotals, calculateTenderSummary, checkReceiptNumberExists, getTipRecipients, allocateTip } from '../../services/billingService';
+import { getGiftCardByCode, normalizeGiftCardCode, GIFT_CARD_STATUS } from '../../services/giftCardService';
 import { getBranchById } from '../../services/branchService';
+import { previewTransactionNumber } from '../../services/transactionNumberService';
 import { getLoyaltyPoints } from '../../services/loyaltyService';
 import { validatePromotionCode, calculatePromotionDiscount, trackPromotionUsage } from '../../services/promotionService';
 import { useAuth } from '../../context/AuthContext';
@@ -17,15 +19,42 @@ import { db } from '../../config/firebase';
 import toast from 'react-hot-toast';
 import { inventoryService } from '../../services/inventoryService';
 import { formatDate } from '../../utils/helpers';
+import { getBranchTaxSettings, DEFAULT_TAX_SETTINGS, TAX_MODES, TAX_TREATMENTS, STATUTORY_DISCOUNT_LABELS, STATUTORY_DISCOUNT_RATE } from '../../services/taxService';
+import { getOutstandingNoShowFees, DEPOSIT_STATUS } from '../../services/appointmentDepositService';
+import { HAIR_LENGTH_LABELS } from '../../services/serviceRecipeService';
 import Receipt from './Receipt';
 
+// Tenders selectable at checkout (voucher is shown as E-Wallet)
+const TENDER_OPTIONS = [
+  { value: PAYMENT_METHODS.CASH, label: 'Cash', Icon: Banknote, iconClass: 'text-green-600' },
+  { value: PAYMENT_METHODS.CARD, label: 'Card', Icon: CreditCard, iconClass: 'text-blue-600' },
+  { value: PAYMENT_METHODS.VOUCHER, label: 'E-Wallet', Icon: Smartphone, iconClass: 'text-purple-600' },
+  { value: PAYMENT_METHODS.GIFT_CARD, label: 'Gift Card', Icon: Gift, iconClass: 'text-pink-600' }
+];
+
+const GIFT_CARD_PRESET_AMOUNTS = [500, 1000, 2000, 5000];
+
+const createTender = (method = PAYMENT_METHODS.CASH, amount = '') => ({
+  method,
+  amount,
+  reference: '',
+  giftCardCode: '',
+  giftCardBalance: null // Looked-up balance, null until checked
+});
+
+// Senior citizen / PWD discount details captured for the official receipt
+const EMPTY_STATUTORY_DISCOUNT = { type: '', idNumber: '', holderName: '' };
+
+// Shared default so a missing services prop doesn't reload the form on every render
+const NO_SERVICES = [];
+
 const BillingModalPOS = ({
   isOpen,
   appointment,
   onClose,
   onSubmit,
   loading,
-  services = [],
+  services = NO_SERVICES,
   stylists = [],
   clients = [],
   mode = 'billing' // 'billing', 'start-service', or 'checkin'
@@ -36,12 +65,13 @@ const BillingModalPOS = ({
     discountType: 'fixed',
     discount: '',
     loyaltyPointsUsed: '',
-    paymentMethod: PAYMENT_METHODS.CASH,
-    paymentReference: '',
+    payments: [createTender()], // Each tender: { method, amount, reference }
     receiptNumber: '', // Receipt number from physical receipt
     notes: '',
-    amountReceived: '',
-    tax: '',
+    statutoryDiscount: EMPTY_STATUTORY_DISCOUNT,
+    tip: '',
+    tipSplitMethod: TIP_SPLIT_METHODS.EQUAL,
+    tipManual: {}, // { [stylistId]: amount } for manual tip splits
     // Client info for walk-in customers
     clientName: '',
     clientPhone: '',
@@ -54,8 +84,13 @@ const BillingModalPOS = ({
     discount: 0,
     serviceCharge: 0,
     tax: 0,
+    taxBreakdown: null,
+    tip: 0,
     total: 0
   });
+  const [branchDetails, setBranchDetails] = useState(null);
+  const [taxSettings, setTaxSettings] = useState(DEFAULT_TAX_SETTINGS);
+  const [outstandingFees, setOutstandingFees] = useState([]);
 
   const [serviceSearch, setServiceSearch] = useState('');
   const [salePanelWidth, setSalePanelWidth] = useState(384); // 384px = w-96
@@ -63,7 +98,9 @@ const BillingModalPOS = ({
   const [matchedClient, setMatchedClient] = useState(null);
   const [clientSearch, setClientSearch] = useState('');
   const [showClientList, setShowClientList] = useState(false);
-  const [activeTab, setActiveTab] = useState('service'); // 'service' or 'product'
+  const [activeTab, setActiveTab] = useState('service'); // 'service', 'product' or 'gift_card'
+  const [giftCardForm, setGiftCardForm] = useState({ amount: '', recipientName: '' });
+  const [checkingGiftCardIndex, setCheckingGiftCardIndex] = useState(null);
   const [clientLoyaltyPoints, setClientLoyaltyPoints] = useState(0);
   
   // Promotion code states
@@ -155,6 +192,41 @@ const BillingModalPOS = ({
     }
   }, [isOpen, appointment?.clientId, appointment?.branchId, formData.clientId, userBranch]);
 
+  // Load the client's unpaid no-show / late-cancellation fees
+  useEffect(() => {
+    const fetchOutstandingFees = async () => {
+      const clientId = appointment?.clientId || formData.clientId;
+      if (!isOpen || mode !== 'billing' || !clientId) {
+        setOutstandingFees([]);
+        return;
+      }
+      try {
+        setOutstandingFees(await getOutstandingNoShowFees(clientId));
+      } catch (error) {
+        setOutstandingFees([]);
+      }
+    };
+
+    fetchOutstandingFees();
+  }, [isOpen, mode, appointment?.clientId, formData.clientId]);
+
+  // Load the branch's VAT settings
+  useEffect(() => {
+    const fetchTaxSettings = async () => {
+      if (!isOpen || !userBranch) return;
+      try {
+        const branch = await getBranchById(userBranch);
+        setBranchDetails(branch);
+        setTaxSettings(getBranchTaxSettings(branch));
+      } catch (error) {
+        console.error('Error loading branch tax settings:', error);
+        setTaxSettings(DEFAULT_TAX_SETTINGS);
+      }
+    };
+
+    fetchTaxSettings();
+  }, [isOpen, userBranch]);
+
   // Calculate preview transaction ID
   useEffect(() => {
     const calculatePreviewTransactionId = async () => {
@@ -166,43 +238,11 @@ const BillingModalPOS = ({
       try {
         setLoadingTransactionId(true);
         
-        // Get branch document to get its ID
         const branch = await getBranchById(userBranch);
-        const branchDocId = branch.id;
-        
-        // Extract first 3 characters of branch document ID (uppercase)
-        const branchCode = branchDocId.substring(0, 3).toUpperCase().padEnd(3, 'X');
-        
-        // Count existing transactions for this branch
-        const transactionsRef = collection(db, 'transactions');
-        const branchTransactionsQuery = query(
-          transactionsRef,
-          where('branchId', '==', userBranch)
-        );
-        const existingTransactions = await getDocs(branchTransactionsQuery);
-        const transactionCount = existingTransactions.size + 1; // +1 for this new transaction
-        
-        // Format: BRANCHCODE-XXXX (4 digits, zero-padded)
-        const previewId = `${branchCode}-${String(transactionCount).padStart(4, '0')}`;
-        setPreviewTransactionId(previewId);
+        setPreviewTransactionId(await previewTransactionNumber(branch));
       } catch (error) {
         console.error('Error calculating preview transaction ID:', error);
-        // Fallback: use branch ID first 3 chars if branch fetch fails
-        try {
-          const branchCode = userBranch.substring(0, 3).toUpperCase().padEnd(3, 'X');
-          const transactionsRef = collection(db, 'transactions');
-          const fallbackQuery = query(
-            transactionsRef,
-            where('branchId', '==', userBranch)
-          );
-          const fallbackTransactions = await getDocs(fallbackQuery);
-          const transactionCount = fallbackTransactions.size + 1;
-          const previewId = `${branchCode}-${String(transactionCount).padStart(4, '0')}`;
-          setPreviewTransactionId(previewId);
-        } catch (fallbackError) {
-          console.error('Error in fallback transaction ID calculation:', fallbackError);
-          setPreviewTransactionId(null);
-        }
+        setPreviewTransactionId(null);
       } finally {
         setLoadingTransactionId(false);
       }
@@ -220,10 +260,11 @@ const BillingModalPOS = ({
         items: [],
         discount: '',
         loyaltyPointsUsed: '',
-        paymentMethod: PAYMENT_METHODS.CASH,
-        paymentReference: '',
-        amountReceived: '',
-        tax: ''
+        payments: [createTender()],
+        statutoryDiscount: EMPTY_STATUTORY_DISCOUNT,
+        tip: '',
+        tipSplitMethod: TIP_SPLIT_METHODS.EQUAL,
+        tipManual: {}
       }));
       setAppliedPromotion(null);
       setPromotionCode('');
@@ -396,8 +437,10 @@ const BillingModalPOS = ({
                 originalStylistId: svc.stylistId, // Store original stylist for restoration
                 originalStylistName: svc.stylistName, // Store original stylist name for restoration
                 clientType: svc.clientType || 'R', // Read from appointment
+                hairLength: svc.hairLength || null,
                 adjustment: adjustment, // Read from appointment
-                adjustmentReason: svc.adjustmentReason || '' // Read from appointment
+                adjustmentReason: svc.adjustmentReason || '', // Read from appointment
+                taxTreatment: services.find(s => s.id === svc.serviceId)?.taxTreatment || TAX_TREATMENTS.VATABLE
               };
             })
           : appointment.serviceName
@@ -414,7 +457,8 @@ const BillingModalPOS = ({
               originalStylistName: appointment.stylistName, // Store original stylist name for restoration
               clientType: appointment.clientType || 'R',
               adjustment: appointment.adjustment || 0,
-              adjustmentReason: appointment.adjustmentReason || ''
+              adjustmentReason: appointment.adjustmentReason || '',
+              taxTreatment: services.find(s => s.id === appointment.serviceId)?.taxTreatment || TAX_TREATMENTS.VATABLE
             }]
           : [];
 
@@ -426,7 +470,8 @@ const BillingModalPOS = ({
               name: prod.productName,
               basePrice: prod.price,
               price: prod.total || (prod.price * (prod.quantity || 1)),
-              quantity: prod.quantity || 1
+              quantity: prod.quantity || 1,
+              taxTreatment: prod.taxTreatment || TAX_TREATMENTS.VATABLE
             }))
           : [];
 
@@ -438,8 +483,7 @@ const BillingModalPOS = ({
           ...prev,
           items,
           discount: appointment.discount !== undefined ? String(appointment.discount) : prev.discount,
-          discountType: appointment.discountType || prev.discountType,
-          tax: appointment.taxRate !== undefined ? String(appointment.taxRate) : (appointment.tax !== undefined ? String(appointment.tax) : prev.tax) // Support both taxRate and tax for backward compatibility
+          discountType: appointment.discountType || prev.discountType
         }));
       }
     } else {
@@ -449,18 +493,19 @@ const BillingModalPOS = ({
         discountType: 'fixed',
         discount: '',
         loyaltyPointsUsed: '',
-        paymentMethod: PAYMENT_METHODS.CASH,
-        paymentReference: '',
+        payments: [createTender()],
         notes: '',
-        amountReceived: '',
-        tax: '',
+        statutoryDiscount: EMPTY_STATUTORY_DISCOUNT,
+        tip: '',
+        tipSplitMethod: TIP_SPLIT_METHODS.EQUAL,
+        tipManual: {},
         clientName: '',
         clientPhone: '',
         clientEmail: '',
         clientId: ''
       });
     }
-  }, [appointment, isOpen]);
+  }, [appointment, isOpen, mode, services]);
 
   useEffect(() => {
     // Calculate promotion discount if promotion is applied
@@ -480,13 +525,15 @@ const BillingModalPOS = ({
       items: formData.items,
       discount: parseFloat(formData.discount) || 0,
       discountType: formData.discountType,
-      taxRate: parseFloat(formData.tax) || 0,
+      taxSettings,
+      statutoryDiscount: formData.statutoryDiscount.type ? formData.statutoryDiscount : null,
       serviceChargeRate: 0,
       loyaltyPointsUsed: parseInt(formData.loyaltyPointsUsed) || 0,
-      promotionDiscount: promoDiscount // Add promotion discount
+      promotionDiscount: promoDiscount, // Add promotion discount
+      tip: parseFloat(formData.tip) || 0
     });
     setTotals(calculated);
-  }, [formData.items, formData.discount, formData.discountType, formData.loyaltyPointsUsed, formData.tax, appliedPromotion]);
+  }, [formData.items, formData.discount, formData.discountType, formData.loyaltyPointsUsed, formData.statutoryDiscount, formData.tip, appliedPromotion, taxSettings]);
 
   const handleToggleService = (service) => {
     const existing = formData.items.find(item => item.id === service.id && item.type === 'service');
@@ -511,7 +558,8 @@ const BillingModalPOS = ({
           originalStylistName: '', // No original stylist for manually added items
           clientType: 'R',
           adjustment: 0,
-          adjustmentReason: ''
+          adjustmentReason: '',
+          taxTreatment: service.taxTreatment || TAX_TREATMENTS.VATABLE
         }]
       }));
     }
@@ -641,7 +689,8 @@ const BillingModalPOS = ({
             commissionPercentage: product.commissionPercentage || 0,
             commissionerId: '',
             commissionerName: '',
-            commissionPoints: 0
+            commissionPoints: 0,
+            taxTreatment: product.taxTreatment || TAX_TREATMENTS.VATABLE
           }]
         }));
         
@@ -763,7 +812,8 @@ const BillingModalPOS = ({
           commissionPercentage: product.commissionPercentage || 0, // Store commission percentage
           commissionerId: '', // Will be set when commissioner is selected
           commissionerName: '', // Will be set when commissioner is selected
-          commissionPoints: 0 // Will be calculated when commissioner is selected
+          commissionPoints: 0, // Will be calculated when commissioner is selected
+          taxTreatment: product.taxTreatment || TAX_TREATMENTS.VATABLE
         }]
       }));
     }
@@ -862,6 +912,152 @@ const BillingModalPOS = ({
     }));
   };
 
+  // A deposit paid when booking is applied to the bill first
+  const heldDeposit = appointment?.deposit?.status === DEPOSIT_STATUS.HELD ? appointment.deposit : null;
+  const depositTender = heldDeposit && totals.total > 0
+    ? {
+        method: PAYMENT_METHODS.DEPOSIT,
+        amount: parseFloat(Math.min(heldDeposit.amount, totals.total).toFixed(2)),
+        reference: heldDeposit.reference || null
+      }
+    : null;
+
+  // Tender summary (change is only given from the cash portion)
+  const tenderSummary = calculateTenderSummary(
+    [
+      ...(depositTender ? [depositTender] : []),
+      ...formData.payments.map(p => ({ method: p.method, amount: parseFloat(p.amount) || 0, giftCardCode: p.giftCardCode }))
+    ],
+    totals.total
+  );
+
+  // No-show fees not yet on this bill
+  const unbilledFees = outstandingFees.filter(fee =>
+    !formData.items.some(item => item.type === 'no_show_fee' && item.appointmentId === fee.id)
+  );
+
+  const handleAddNoShowFees = () => {
+    setFormData(prev => ({
+      ...prev,
+      items: [
+        ...prev.items,
+        ...unbilledFees.map(fee => ({
+          type: 'no_show_fee',
+          id: fee.id,
+          appointmentId: fee.id,
+          name: `No-show fee (${formatDate(fee.appointmentDate, 'MMM dd, yyyy')})`,
+          basePrice: fee.noShowFee.balance,
+          price: fee.noShowFee.balance,
+          quantity: 1,
+          adjustment: 0
+        }))
+      ]
+    }));
+  };
+
+  // Stylists on the bill's services share the tip
+  const tipRecipients = getTipRecipients(formData.items);
+  const tipSplitMethod = tipRecipients.length > 1 ? formData.tipSplitMethod : TIP_SPLIT_METHODS.EQUAL;
+  const tipAllocations = allocateTip(
+    formData.items,
+    totals.tip,
+    tipSplitMethod,
+    Object.entries(formData.tipManual).map(([stylistId, amount]) => ({ stylistId, amount }))
+  );
+  const allocatedTip = tipAllocations.reduce((sum, allocation) => sum + allocation.amount, 0);
+
+  const handleAddTender = () => {
+    // Pre-fill the new tender with the remaining balance
+    const remaining = tenderSummary.balanceDue;
+    setFormData(prev => ({
+      ...prev,
+      payments: [...prev.payments, createTender(PAYMENT_METHODS.CARD, remaining > 0 ? remaining.toFixed(2) : '')]
+    }));
+  };
+
+  const handleUpdateTender = (index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      payments: prev.payments.map((tender, i) => {
+        if (i !== index) return tender;
+        // A different card (or method) needs its balance checked again
+        if (field === 'giftCardCode' || field === 'method') {
+          return { ...tender, [field]: value, giftCardBalance: null };
+        }
+        return { ...tender, [field]: value };
+      })
+    }));
+  };
+
+  const handleCheckGiftCardBalance = async (index) => {
+    const code = normalizeGiftCardCode(formData.payments[index]?.giftCardCode);
+    if (!code) {
+      toast.error('Enter a gift card code');
+      return;
+    }
+
+    try {
+      setCheckingGiftCardIndex(index);
+      const card = await getGiftCardByCode(code);
+      if (!card) {
+        toast.error(`Gift card ${code} not found`);
+        return;
+      }
+      if (card.status === GIFT_CARD_STATUS.VOIDED) {
+        toast.error(`Gift card ${code} has been voided`);
+        return;
+      }
+
+      const balance = card.balance || 0;
+      setFormData(prev => ({
+        ...prev,
+        payments: prev.payments.map((tender, i) => {
+          if (i !== index) return tender;
+          // Apply as much of the card as the bill needs, up to its balance
+          const currentAmount = parseFloat(tender.amount) || 0;
+          const amount = currentAmount > 0 ? Math.min(currentAmount, balance) : Math.min(balance, totals.total);
+          return { ...tender, giftCardCode: code, giftCardBalance: balance, amount: amount.toFixed(2) };
+        })
+      }));
+      toast.success(`Gift card balance: ₱${balance.toFixed(2)}`);
+    } catch (error) {
+      console.error('Error checking gift card balance:', error);
+      toast.error('Failed to check gift card balance');
+    } finally {
+      setCheckingGiftCardIndex(null);
+    }
+  };
+
+  const handleAddGiftCardItem = () => {
+    const amount = parseFloat(giftCardForm.amount) || 0;
+    if (amount <= 0) {
+      toast.error('Enter a gift card amount');
+      return;
+    }
+
+    setFormData(prev => ({
+      ...prev,
+      items: [...prev.items, {
+        id: `gift-card-${Date.now()}`,
+        type: 'gift_card',
+        name: 'Gift Card',
+        price: amount,
+        basePrice: amount,
+        adjustment: 0,
+        quantity: 1,
+        recipientName: giftCardForm.recipientName.trim()
+      }]
+    }));
+    setGiftCardForm({ amount: '', recipientName: '' });
+  };
+
+  const handleRemoveTender = (index) => {
+    setFormData(prev => ({
+      ...prev,
+      payments: prev.payments.filter((_, i) => i !== index)
+    }));
+  };
+
   // Filter clients based on search (use formData.clientName as primary source)
   const searchTerm = (clientSearch || formData.clientName || '').trim().toLowerCase();
   const filteredClients = (clients || []).filter(client => {
@@ -1101,11 +1297,34 @@ const BillingModalPOS = ({
       }
     }
 
-    // Validate amount received for cash payments (only in billing mode)
-    if (mode === 'billing' && formData.paymentMethod === PAYMENT_METHODS.CASH) {
-      const amountReceived = parseFloat(formData.amountReceived) || 0;
-      if (!formData.amountReceived || amountReceived < totals.total) {
-        toast.error(`Insufficient amount received! Required: ₱${totals.total.toFixed(2)}`);
+    // Validate tendered amounts cover the total (only in billing mode)
+    if (mode === 'billing' && !tenderSummary.isValid) {
+      toast.error(`${tenderSummary.error} Required: ₱${totals.total.toFixed(2)}`);
+      return;
+    }
+
+    // Gift card tenders must have a checked balance that covers the amount
+    if (mode === 'billing') {
+      for (const tender of formData.payments.filter(p => p.method === PAYMENT_METHODS.GIFT_CARD)) {
+        if (tender.giftCardBalance === null) {
+          toast.error(`Please check the balance of gift card ${normalizeGiftCardCode(tender.giftCardCode) || ''}`.trim());
+          return;
+        }
+        if ((parseFloat(tender.amount) || 0) > tender.giftCardBalance) {
+          toast.error(`Gift card ${normalizeGiftCardCode(tender.giftCardCode)} only has ₱${tender.giftCardBalance.toFixed(2)}`);
+          return;
+        }
+      }
+    }
+
+    // Tip shares must add up to the tip
+    if (mode === 'billing' && totals.tip > 0) {
+      if (tipRecipients.length === 0) {
+        toast.error('Assign a stylist to at least one service before adding a tip');
+        return;
+      }
+      if (Math.abs(allocatedTip - totals.tip) > 0.005) {
+        toast.error(`Tip shares (₱${allocatedTip.toFixed(2)}) must add up to the tip (₱${totals.tip.toFixed(2)})`);
         return;
       }
     }
@@ -1131,6 +1350,12 @@ const BillingModalPOS = ({
       }
     }
 
+    const statutoryDiscount = formData.statutoryDiscount.type ? formData.statutoryDiscount : null;
+    if (mode === 'billing' && statutoryDiscount && (!statutoryDiscount.idNumber.trim() || !statutoryDiscount.holderName.trim())) {
+      toast.error(`Enter the ${STATUTORY_DISCOUNT_LABELS[statutoryDiscount.type]} ID number and name`);
+      return;
+    }
+
     const billData = {
       appointmentId: isWalkIn ? null : appointment?.id,
       clientId: formData.clientId || null,
@@ -1143,24 +1368,37 @@ const BillingModalPOS = ({
       stylistName: appointment?.stylistName || formData.items[0]?.stylistName,
       items: formData.items,
       subtotal: totals.subtotal,
-      discount: parseFloat(formData.discount) || 0, // Store discount amount/percentage (not computed)
+      // A senior citizen / PWD discount replaces the manual and promotion discounts
+      discount: statutoryDiscount ? 0 : parseFloat(formData.discount) || 0, // Store discount amount/percentage (not computed)
       discountType: formData.discountType,
-      promotionCode: appliedPromotion ? promotionCode.trim().toUpperCase() : null,
-      promotionId: appliedPromotion?.id || null,
-      promotionDiscount: promotionDiscount || 0,
+      promotionCode: appliedPromotion && !statutoryDiscount ? promotionCode.trim().toUpperCase() : null,
+      promotionId: statutoryDiscount ? null : appliedPromotion?.id || null,
+      promotionDiscount: statutoryDiscount ? 0 : promotionDiscount || 0,
+      statutoryDiscount,
       loyaltyPointsUsed: parseInt(formData.loyaltyPointsUsed) || 0,
-      tax: totals.tax, // Computed tax amount (for billing)
-      taxRate: parseFloat(formData.tax) || 0, // Tax rate (for storing in appointment)
+      tax: totals.tax, // Computed VAT amount (for billing)
+      taxRate: totals.taxRate, // Branch VAT rate (for storing in appointment)
+      taxMode: totals.taxMode,
+      taxBreakdown: totals.taxBreakdown,
+      tip: totals.tip,
+      tipSplitMethod,
+      tipAllocations,
       total: totals.total,
-      paymentMethod: formData.paymentMethod,
-      paymentReference: formData.paymentReference,
+      payments: [
+        ...(depositTender ? [depositTender] : []),
+        ...formData.payments.map(p => ({
+          method: p.method,
+          amount: parseFloat(p.amount) || 0,
+          reference: p.reference?.trim() || null,
+          ...(p.method === PAYMENT_METHODS.GIFT_CARD ? { giftCardCode: normalizeGiftCardCode(p.giftCardCode) } : {})
+        }))
+      ],
       receiptNumber: formData.receiptNumber.trim(), // Receipt number from physical receipt
-      amountReceived: formData.paymentMethod === PAYMENT_METHODS.CASH ? (parseFloat(formData.amountReceived) || 0) : totals.total,
       notes: formData.notes || (isWalkIn ? 'Walk-in customer' : '')
     };
 
     // Track promotion usage if promotion was applied
-    if (appliedPromotion) {
+    if (appliedPromotion && !statutoryDiscount) {
       try {
         const clientId = formData.clientId || appointment?.clientId || null;
         await trackPromotionUsage(appliedPromotion.id, clientId);
@@ -1408,10 +1646,74 @@ const BillingModalPOS = ({
                       <Package className="w-4 h-4" />
                       <span className="text-sm font-medium">Products</span>
                     </button>
+                    {mode === 'billing' && (
+                      <button
+                        type="button"
+                        onClick={() => setActiveTab('gift_card')}
+                        className={`flex items-center gap-2 px-4 py-2 rounded-lg transition-all ${
+                          activeTab === 'gift_card'
+                            ? 'bg-[#2D1B4E] text-white shadow-md'
+                            : 'bg-white text-gray-700 border border-gray-300 hover:bg-gray-50'
+                        }`}
+                      >
+                        <Gift className="w-4 h-4" />
+                        <span className="text-sm font-medium">Gift Cards</span>
+                      </button>
+                    )}
                   </div>
                 </div>
 
+                {/* Gift Card Sale */}
+                {activeTab === 'gift_card' && (
+                  <div className="max-w-md space-y-3">
+                    <p className="text-sm text-gray-600">
+                      Sell a gift card. The code and QR are generated when payment is processed and printed on the receipt.
+                    </p>
+                    <div className="grid grid-cols-4 gap-2">
+                      {GIFT_CARD_PRESET_AMOUNTS.map(preset => (
+                        <button
+                          key={preset}
+                          type="button"
+                          onClick={() => setGiftCardForm(prev => ({ ...prev, amount: String(preset) }))}
+                          className={`px-3 py-2.5 rounded-lg border-2 text-sm font-bold transition-all ${
+                            parseFloat(giftCardForm.amount) === preset
+                              ? 'border-[#2D1B4E] bg-purple-50 text-[#2D1B4E]'
+                              : 'border-gray-300 bg-white text-gray-900 hover:border-gray-400'
+                          }`}
+                        >
+                          ₱{preset.toLocaleString()}
+                        </button>
+                      ))}
+                    </div>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={giftCardForm.amount}
+                      onChange={(e) => setGiftCardForm(prev => ({ ...prev, amount: e.target.value }))}
+                      className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-[#2D1B4E] focus:border-transparent"
+                      placeholder="Custom amount (₱)"
+                    />
+                    <input
+                      type="text"
+                      value={giftCardForm.recipientName}
+                      onChange={(e) => setGiftCardForm(prev => ({ ...prev, recipientName: e.target.value }))}
+                      className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-[#2D1B4E] focus:border-transparent"
+                      placeholder="Recipient name (optional)"
+                    />
+                    <button
+                      type="button"
+                      onClick={handleAddGiftCardItem}
+                      className="w-full flex items-center justify-center gap-2 px-4 py-2 bg-[#2D1B4E] text-white text-sm font-medium rounded-lg hover:bg-[#3d2a5f] transition-colors"
+                    >
+                      <Plus className="w-4 h-4" />
+                      Add Gift Card to Sale
+                    </button>
+                  </div>
+                )}
+
                 {/* Search Bar with QR Scanner Button (Products Tab Only) */}
+                {activeTab !== 'gift_card' && (
                 <div className="relative mb-4 flex gap-2">
                   <div className="relative flex-1">
                     <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
@@ -1453,6 +1755,7 @@ const BillingModalPOS = ({
                     </button>
                   )}
                 </div>
+                )}
                 
                 {/* QR Code Scanner */}
                 {isScanning && activeTab === 'product' && (
@@ -1618,6 +1921,25 @@ const BillingModalPOS = ({
               </div>
                 )}
 
+              {/* Unpaid no-show fees from earlier appointments */}
+              {mode === 'billing' && unbilledFees.length > 0 && (
+                <div className="mb-3 p-2 bg-red-50 border border-red-200 rounded flex items-center justify-between gap-2">
+                  <div className="flex items-center gap-2 text-xs text-red-700">
+                    <AlertCircle className="h-4 w-4 flex-shrink-0" />
+                    <span>
+                      Unpaid no-show fee{unbilledFees.length !== 1 ? 's' : ''}: ₱{unbilledFees.reduce((sum, fee) => sum + fee.noShowFee.balance, 0).toFixed(2)}
+                    </span>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={handleAddNoShowFees}
+                    className="px-2 py-1 text-xs bg-red-600 text-white rounded hover:bg-red-700"
+                  >
+                    Add to bill
+                  </button>
+                </div>
+              )}
+
               {/* Scrollable Content */}
                 <div className="space-y-2 flex-1 overflow-y-auto">
                     {formData.items.map((item, index) => (
@@ -1627,6 +1949,10 @@ const BillingModalPOS = ({
                           <div className="flex items-center space-x-2">
                             {item.type === 'product' ? (
                               <Package className="h-3 w-3 text-green-600" />
+                            ) : item.type === 'gift_card' ? (
+                              <Gift className="h-3 w-3 text-pink-600" />
+                            ) : item.type === 'no_show_fee' ? (
+                              <AlertCircle className="h-3 w-3 text-red-600" />
                             ) : (
                               <Scissors className="h-3 w-3 text-blue-600" />
                             )}
@@ -1634,6 +1960,9 @@ const BillingModalPOS = ({
                             {item.type === 'product' && (
                               <span className="text-xs text-gray-500">(Product)</span>
                             )}
+                            {item.type === 'gift_card' && item.recipientName && (
+                              <span className="text-xs text-gray-500">for {item.recipientName}</span>
+                            )}
                           </div>
                           <div className="text-sm text-gray-600">
                             {item.type === 'product' ? (
@@ -1861,6 +2190,23 @@ const BillingModalPOS = ({
                       </div>
                       )}
 
+                      {/* Hair Length (only for services) - picks the recipe quantities consumed */}
+                      {item.type === 'service' && (
+                        <div className="flex items-center gap-2 mt-2">
+                          <label className="text-xs text-gray-500">Hair Length:</label>
+                          <select
+                            value={item.hairLength || ''}
+                            onChange={(e) => handleUpdateItem(index, 'hairLength', e.target.value || null)}
+                            className="px-2 py-1 text-xs border border-gray-300 rounded focus:ring-1 focus:ring-[#2D1B4E] focus:border-transparent"
+                          >
+                            <option value="">Standard</option>
+                            {Object.entries(HAIR_LENGTH_LABELS).map(([value, label]) => (
+                              <option key={value} value={value}>{label}</option>
+                            ))}
+                          </select>
+                        </div>
+                      )}
+
                       {/* Price Adjustment (only for services) */}
                       {item.type === 'service' && (
                         <div className="space-y-2 mt-2 pt-2 border-t border-gray-200">
@@ -2038,7 +2384,7 @@ const BillingModalPOS = ({
                     </div>
                   )}
 
-                  {/* Discount and Tax - Always editable */}
+                  {/* Discount and Senior / PWD - Always editable */}
                   <div className="grid grid-cols-2 gap-2">
                     <div>
                       <label className="block text-xs text-gray-500 mb-1">Discount (%)</label>
@@ -2049,111 +2395,259 @@ const BillingModalPOS = ({
                         step="0.1"
                         value={formData.discount}
                         onChange={(e) => setFormData(prev => ({ ...prev, discount: e.target.value, discountType: 'percentage' }))}
-                        className="w-full px-2 py-1 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-[#2D1B4E] focus:border-transparent"
+                        disabled={!!formData.statutoryDiscount.type}
+                        className="w-full px-2 py-1 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-[#2D1B4E] focus:border-transparent disabled:bg-gray-100"
                         placeholder="0"
                       />
                     </div>
 
                     <div>
-                      <label className="block text-xs text-gray-500 mb-1">Tax (₱)</label>
-                      <input
-                        type="number"
-                        min="0"
-                        step="0.01"
-                        value={formData.tax}
-                        onChange={(e) => setFormData(prev => ({ ...prev, tax: e.target.value }))}
+                      <label className="block text-xs text-gray-500 mb-1">Senior / PWD</label>
+                      <select
+                        value={formData.statutoryDiscount.type}
+                        onChange={(e) => setFormData(prev => ({
+                          ...prev,
+                          statutoryDiscount: { ...prev.statutoryDiscount, type: e.target.value }
+                        }))}
                         className="w-full px-2 py-1 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-[#2D1B4E] focus:border-transparent"
-                        placeholder="0"
-                      />
+                      >
+                        <option value="">None</option>
+                        {Object.entries(STATUTORY_DISCOUNT_LABELS).map(([value, label]) => (
+                          <option key={value} value={value}>{label}</option>
+                        ))}
+                      </select>
                     </div>
                   </div>
 
-                {/* Payment Method - Only show in billing mode */}
+                  {formData.statutoryDiscount.type && (
+                    <div className="mt-2 space-y-2">
+                      <div className="grid grid-cols-2 gap-2">
+                        <div>
+                          <label className="block text-xs text-gray-500 mb-1">ID Number *</label>
+                          <input
+                            type="text"
+                            value={formData.statutoryDiscount.idNumber}
+                            onChange={(e) => setFormData(prev => ({
+                              ...prev,
+                              statutoryDiscount: { ...prev.statutoryDiscount, idNumber: e.target.value }
+                            }))}
+                            className="w-full px-2 py-1 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-[#2D1B4E] focus:border-transparent"
+                            placeholder="OSCA / PWD ID"
+                          />
+                        </div>
+                        <div>
+                          <label className="block text-xs text-gray-500 mb-1">Name on ID *</label>
+                          <input
+                            type="text"
+                            value={formData.statutoryDiscount.holderName}
+                            onChange={(e) => setFormData(prev => ({
+                              ...prev,
+                              statutoryDiscount: { ...prev.statutoryDiscount, holderName: e.target.value }
+                            }))}
+                            className="w-full px-2 py-1 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-[#2D1B4E] focus:border-transparent"
+                            placeholder="Full name"
+                          />
+                        </div>
+                      </div>
+                      <p className="text-xs text-gray-500">
+                        VAT-exempt with {STATUTORY_DISCOUNT_RATE}% off. Replaces the discount and promotion code.
+                      </p>
+                    </div>
+                  )}
+
+                  {/* Tip - shared between the stylists on the bill's services */}
+                  {mode === 'billing' && tipRecipients.length > 0 && (
+                    <div className="mt-2">
+                      <div className="grid grid-cols-2 gap-2">
+                        <div>
+                          <label className="block text-xs text-gray-500 mb-1">Tip (₱)</label>
+                          <input
+                            type="number"
+                            min="0"
+                            step="0.01"
+                            value={formData.tip}
+                            onChange={(e) => setFormData(prev => ({ ...prev, tip: e.target.value }))}
+                            className="w-full px-2 py-1 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-[#2D1B4E] focus:border-transparent"
+                            placeholder="0"
+                          />
+                        </div>
+                        <div>
+                          <label className="block text-xs text-gray-500 mb-1">Split Tip</label>
+                          <select
+                            value={tipSplitMethod}
+                            onChange={(e) => setFormData(prev => ({ ...prev, tipSplitMethod: e.target.value }))}
+                            disabled={tipRecipients.length < 2}
+                            className="w-full px-2 py-1 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-[#2D1B4E] focus:border-transparent disabled:bg-gray-100"
+                          >
+                            <option value={TIP_SPLIT_METHODS.EQUAL}>Equally</option>
+                            <option value={TIP_SPLIT_METHODS.SERVICE_VALUE}>By service value</option>
+                            <option value={TIP_SPLIT_METHODS.MANUAL}>Manually</option>
+                          </select>
+                        </div>
+                      </div>
+                      {totals.tip > 0 && (
+                        <div className="mt-1 space-y-1">
+                          {tipRecipients.map(recipient => (
+                            <div key={recipient.stylistId} className="flex items-center justify-between text-xs text-gray-600">
+                              <span>{recipient.stylistName || 'Stylist'}</span>
+                              {tipSplitMethod === TIP_SPLIT_METHODS.MANUAL ? (
+                                <input
+                                  type="number"
+                                  min="0"
+                                  step="0.01"
+                                  value={formData.tipManual[recipient.stylistId] || ''}
+                                  onChange={(e) => setFormData(prev => ({
+                                    ...prev,
+                                    tipManual: { ...prev.tipManual, [recipient.stylistId]: e.target.value }
+                                  }))}
+                                  className="w-24 px-2 py-0.5 text-xs border border-gray-300 rounded text-right"
+                                  placeholder="0.00"
+                                />
+                              ) : (
+                                <span>₱{(tipAllocations.find(a => a.stylistId === recipient.stylistId)?.amount || 0).toFixed(2)}</span>
+                              )}
+                            </div>
+                          ))}
+                          {Math.abs(allocatedTip - totals.tip) > 0.005 && (
+                            <p className="text-xs text-red-600">
+                              Shares add up to ₱{allocatedTip.toFixed(2)} of ₱{totals.tip.toFixed(2)}
+                            </p>
+                          )}
+                        </div>
+                      )}
+                    </div>
+                  )}
+
+                {/* Payment - Only show in billing mode */}
                 {mode === 'billing' && (
                   <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-2">
-                      Payment Method *
-                    </label>
-                    <div className="grid grid-cols-3 gap-2">
-                      <label className="flex items-center space-x-2 p-2 border rounded cursor-pointer hover:bg-gray-50">
-                        <input
-                          type="radio"
-                          name="paymentMethod"
-                          value={PAYMENT_METHODS.CASH}
-                          checked={formData.paymentMethod === PAYMENT_METHODS.CASH}
-                          onChange={(e) => setFormData(prev => ({ ...prev, paymentMethod: e.target.value }))}
-                          className="text-blue-600"
-                        />
-                        <Banknote className="h-4 w-4 text-green-600" />
-                        <span className="text-xs">Cash</span>
-                      </label>
-                      
-                      <label className="flex items-center space-x-2 p-2 border rounded cursor-pointer hover:bg-gray-50">
-                        <input
-                          type="radio"
-                          name="paymentMethod"
-                          value={PAYMENT_METHODS.CARD}
-                          checked={formData.paymentMethod === PAYMENT_METHODS.CARD}
-                          onChange={(e) => setFormData(prev => ({ ...prev, paymentMethod: e.target.value }))}
-                          className="text-blue-600"
-                        />
-                        <CreditCard className="h-4 w-4 text-blue-600" />
-                        <span className="text-xs">Card</span>
-                      </label>
-                      
-                      <label className="flex items-center space-x-2 p-2 border rounded cursor-pointer hover:bg-gray-50">
-                        <input
-                          type="radio"
-                          name="paymentMethod"
-                          value={PAYMENT_METHODS.VOUCHER}
-                          checked={formData.paymentMethod === PAYMENT_METHODS.VOUCHER || formData.paymentMethod === PAYMENT_METHODS.GIFT_CARD}
-                          onChange={(e) => setFormData(prev => ({ ...prev, paymentMethod: PAYMENT_METHODS.VOUCHER }))}
-                          className="text-blue-600"
-                        />
-                        <Smartphone className="h-4 w-4 text-purple-600" />
-                        <span className="text-xs">E-Wallet</span>
+                    <div className="flex items-center justify-between mb-2">
+                      <label className="block text-sm font-medium text-gray-700">
+                        Payment *
                       </label>
+                      <button
+                        type="button"
+                        onClick={handleAddTender}
+                        className="flex items-center gap-1 text-xs text-[#2D1B4E] hover:underline"
+                      >
+                        <Plus className="h-3 w-3" />
+                        Split Payment
+                      </button>
                     </div>
+                    <div className="space-y-2">
+                      {depositTender && (
+                        <div className="flex items-center justify-between border border-green-200 bg-green-50 rounded p-2 text-sm">
+                          <span className="flex items-center gap-1 text-green-700">
+                            <CheckCircle className="h-4 w-4" />
+                            Deposit applied
+                          </span>
+                          <span className="font-medium text-green-700">₱{depositTender.amount.toFixed(2)}</span>
+                        </div>
+                      )}
+                      {formData.payments.map((tender, index) => (
+                        <div key={index} className="border rounded p-2 space-y-2">
+                          <div className="flex items-center gap-2">
+                            <div className="grid grid-cols-2 gap-1 flex-1">
+                              {TENDER_OPTIONS.map(({ value, label, Icon, iconClass }) => (
+                                <label
+                                  key={value}
+                                  className={`flex items-center space-x-1 p-1.5 border rounded cursor-pointer hover:bg-gray-50 ${
+                                    tender.method === value ? 'border-[#2D1B4E] bg-purple-50' : ''
+                                  }`}
+                                >
+                                  <input
+                                    type="radio"
+                                    name={`paymentMethod-${index}`}
+                                    value={value}
+                                    checked={tender.method === value}
+                                    onChange={() => handleUpdateTender(index, 'method', value)}
+                                    className="text-blue-600"
+                                  />
+                                  <Icon className={`h-4 w-4 ${iconClass}`} />
+                                  <span className="text-xs">{label}</span>
+                                </label>
+                              ))}
+                            </div>
+                            {formData.payments.length > 1 && (
+                              <button
+                                type="button"
+                                onClick={() => handleRemoveTender(index)}
+                                className="text-gray-400 hover:text-red-600"
+                                title="Remove payment"
+                              >
+                                <X className="h-4 w-4" />
+                              </button>
+                            )}
+                          </div>
+                          <input
+                            type="number"
+                            min="0"
+                            step="0.01"
+                            value={tender.amount}
+                            onChange={(e) => handleUpdateTender(index, 'amount', e.target.value)}
+                            className="w-full px-3 py-1.5 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-[#2D1B4E] focus:border-transparent"
+                            placeholder={tender.method === PAYMENT_METHODS.CASH ? 'Amount received (₱)' : 'Amount (₱)'}
+                            required
+                          />
+                          {/* Gift card code and balance lookup */}
+                          {tender.method === PAYMENT_METHODS.GIFT_CARD && (
+                            <div>
+                              <div className="flex gap-2">
+                                <input
+                                  type="text"
+                                  value={tender.giftCardCode}
+                                  onChange={(e) => handleUpdateTender(index, 'giftCardCode', e.target.value)}
+                                  className="flex-1 min-w-0 px-3 py-1.5 text-sm border border-gray-300 rounded-lg uppercase focus:ring-2 focus:ring-[#2D1B4E]"
+                                  placeholder="GC-XXXX-XXXX-XXXX"
+                                />
+                                <button
+                                  type="button"
+                                  onClick={() => handleCheckGiftCardBalance(index)}
+                                  disabled={checkingGiftCardIndex === index}
+                                  className="px-3 py-1.5 text-xs bg-[#2D1B4E] text-white rounded-lg hover:bg-[#3d2a5f] disabled:opacity-50"
+                                >
+                                  {checkingGiftCardIndex === index ? 'Checking...' : 'Check Balance'}
+                                </button>
+                              </div>
+                              {tender.giftCardBalance !== null && (
+                                <p className={`text-xs mt-1 ${
+                                  (parseFloat(tender.amount) || 0) > tender.giftCardBalance ? 'text-red-600' : 'text-green-600'
+                                }`}>
+                                  Balance: ₱{tender.giftCardBalance.toFixed(2)}
+                                  {(parseFloat(tender.amount) || 0) > tender.giftCardBalance && ' (amount exceeds balance)'}
+                                </p>
+                              )}
+                            </div>
+                          )}
 
-                    {formData.paymentMethod === PAYMENT_METHODS.CASH && (
-                      <div>
-                        <label className="block text-sm font-medium text-gray-700 mb-1">Amount Received (₱) *</label>
-                        <input
-                          type="number"
-                          min="0"
-                          step="0.01"
-                          value={formData.amountReceived}
-                          onChange={(e) => setFormData(prev => ({ ...prev, amountReceived: e.target.value }))}
-                          className={`w-full px-3 py-2 border rounded-md focus:ring-2 focus:ring-[#2D1B4E] focus:border-transparent ${
-                            formData.amountReceived && parseFloat(formData.amountReceived) < totals.total
-                              ? 'border-red-500 bg-red-50'
-                              : 'border-gray-300'
-                          }`}
-                          placeholder="Enter amount received"
-                          required
-                        />
-                        {formData.amountReceived && parseFloat(formData.amountReceived) >= totals.total && (
-                          <p className="mt-2 text-sm text-green-600 font-medium">
-                            Change: ₱{Math.max(0, parseFloat(formData.amountReceived) - totals.total).toFixed(2)}
-                          </p>
-                        )}
-                        {formData.amountReceived && parseFloat(formData.amountReceived) < totals.total && (
-                          <p className="mt-2 text-sm text-red-600 font-medium">
-                            Insufficient amount! Required: ₱{totals.total.toFixed(2)} | Short: ₱{(totals.total - parseFloat(formData.amountReceived)).toFixed(2)}
-                          </p>
-                        )}
-                      </div>
-                    )}
+                          {/* Payment Reference for card and e-wallet */}
+                          {tender.method !== PAYMENT_METHODS.CASH && tender.method !== PAYMENT_METHODS.GIFT_CARD && (
+                            <input
+                              type="text"
+                              value={tender.reference}
+                              onChange={(e) => handleUpdateTender(index, 'reference', e.target.value)}
+                              className="w-full px-3 py-1.5 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-[#2D1B4E]"
+                              placeholder="Reference number (optional)"
+                            />
+                          )}
+                        </div>
+                      ))}
+                    </div>
 
-                    {/* Payment Reference for non-cash */}
-                    {formData.paymentMethod !== PAYMENT_METHODS.CASH && (
-                      <input
-                        type="text"
-                        value={formData.paymentReference}
-                        onChange={(e) => setFormData(prev => ({ ...prev, paymentReference: e.target.value }))}
-                        className="w-full mt-2 px-3 py-1.5 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-[#2D1B4E]"
-                        placeholder="Reference number (optional)"
-                      />
+                    {tenderSummary.isValid && tenderSummary.change > 0 && (
+                      <p className="mt-2 text-sm text-green-600 font-medium">
+                        Change: ₱{tenderSummary.change.toFixed(2)}
+                      </p>
+                    )}
+                    {tenderSummary.isValid && tenderSummary.change === 0 && (
+                      <p className="mt-2 text-sm text-green-600 font-medium">
+                        Fully paid
+                      </p>
+                    )}
+                    {!tenderSummary.isValid && formData.payments.some(p => p.amount) && (
+                      <p className="mt-2 text-sm text-red-600 font-medium">
+                        {tenderSummary.error} | Required: ₱{totals.total.toFixed(2)}
+                      </p>
                     )}
 
                     {/* Receipt Number Input - Required when processing payment */}
@@ -2212,24 +2706,49 @@ const BillingModalPOS = ({
                     <span>Subtotal:</span>
                     <span>₱{totals.subtotal.toFixed(2)}</span>
                   </div>
-                  {promotionDiscount > 0 && (
-                    <div className="flex justify-between text-purple-600">
-                      <span>Promotion Discount:</span>
-                      <span>-₱{promotionDiscount.toFixed(2)}</span>
-                    </div>
-                  )}
-                  {totals.discount > 0 && (
-                    <div className="flex justify-between">
-                      <span>Discount ({formData.discount || 0}%):</span>
-                      <span>-₱{totals.discount.toFixed(2)}</span>
+                  {formData.statutoryDiscount.type && totals.taxBreakdown ? (
+                    <>
+                      {totals.taxBreakdown.vatExemption > 0 && (
+                        <div className="flex justify-between">
+                          <span>Less VAT Exemption:</span>
+                          <span>-₱{totals.taxBreakdown.vatExemption.toFixed(2)}</span>
+                        </div>
+                      )}
+                      <div className="flex justify-between text-purple-600">
+                        <span>{STATUTORY_DISCOUNT_LABELS[formData.statutoryDiscount.type]} Discount ({STATUTORY_DISCOUNT_RATE}%):</span>
+                        <span>-₱{totals.taxBreakdown.statutoryDiscount.toFixed(2)}</span>
                       </div>
-                    )}
+                    </>
+                  ) : (
+                    <>
+                      {promotionDiscount > 0 && (
+                        <div className="flex justify-between text-purple-600">
+                          <span>Promotion Discount:</span>
+                          <span>-₱{promotionDiscount.toFixed(2)}</span>
+                        </div>
+                      )}
+                      {totals.discount > 0 && (
+                        <div className="flex justify-between">
+                          <span>Discount ({formData.discount || 0}%):</span>
+                          <span>-₱{totals.discount.toFixed(2)}</span>
+                        </div>
+                      )}
+                    </>
+                  )}
                   {totals.tax > 0 && (
-                      <div className="flex justify-between">
-                      <span>Tax:</span>
+                    <div className="flex justify-between">
+                      <span>
+                        VAT ({totals.taxRate}%{totals.taxMode === TAX_MODES.INCLUSIVE ? ', included' : ''}):
+                      </span>
                       <span>₱{totals.tax.toFixed(2)}</span>
-                      </div>
-                    )}
+                    </div>
+                  )}
+                  {totals.tip > 0 && (
+                    <div className="flex justify-between">
+                      <span>Tip:</span>
+                      <span>₱{totals.tip.toFixed(2)}</span>
+                    </div>
+                  )}
                   <hr />
                   <div className="flex justify-between font-bold text-base">
                     <span>TOTAL:</span>
@@ -2252,8 +2771,7 @@ const BillingModalPOS = ({
                   disabled={
                     loading || 
                     formData.items.length === 0 || 
-                    (mode === 'billing' && formData.paymentMethod === PAYMENT_METHODS.CASH && 
-                     (!formData.amountReceived || parseFloat(formData.amountReceived) < totals.total))
+                    (mode === 'billing' && !tenderSummary.isValid)
                   }
                     className="flex-1 bg-[#2D1B4E] hover:bg-[#3d2a5f] text-white font-medium rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2 px-4 py-2 text-sm"
                 >
@@ -2319,7 +2837,7 @@ const BillingModalPOS = ({
                     // Ensure receiptNumber is displayed in the receipt
                     receiptNumber: existingReceipt.receiptNumber
                   }} 
-                  branch={userBranchData}
+                  branch={branchDetails || userBranchData}
                 />
               </div>
 
@@ -0,0 +1,211 @@
+/**
+ * Drawer Report Component
+ * Displays a printable X-report (mid-shift) or Z-report (drawer close) for a cash drawer session
+ */
+
+import { forwardRef } from 'react';
+import { MapPin, Phone, FileText } from 'lucide-react';
+
+const DrawerReport = forwardRef(({ session, summary, type = 'X', branch }, ref) => {
+  const formatDate = (date) => {
+    if (!date) return '';
+    const d = date instanceof Date ? date : date.toDate ? date.toDate() : new Date(date);
+    return d.toLocaleString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  const getPaymentMethodLabel = (method) => {
+    const labels = {
+      cash: 'Cash',
+      card: 'Card',
+      voucher: 'E-Wallet',
+      gift_card: 'Gift Card',
+      deposit: 'Deposit'
+    };
+    return labels[method] || method;
+  };
+
+  const formatAmount = (amount) => `₱${(amount || 0).toFixed(2)}`;
+
+  if (!session || !summary) return null;
+
+  const isZReport = type === 'Z';
+  const entries = session.entries || [];
+
+  return (
+    <div ref={ref} className="bg-white p-8 max-w-md mx-auto" style={{ fontFamily: 'monospace' }}>
+      {/* Header */}
+      <div className="text-center border-b-2 border-dashed border-gray-300 pb-4 mb-4">
+        <h1 className="text-2xl font-bold mb-2">DAVID&apos;S SALON</h1>
+        <p className="text-sm font-semibold">{branch?.branchName || session.branchName}</p>
+        {branch?.address && (
+          <div className="flex items-center justify-center gap-1 text-xs mt-1">
+            <MapPin className="w-3 h-3" />
+            <span>{branch.address}</span>
+          </div>
+        )}
+        {branch?.phoneNumber && (
+          <div className="flex items-center justify-center gap-1 text-xs">
+            <Phone className="w-3 h-3" />
+            <span>{branch.phoneNumber}</span>
+          </div>
+        )}
+        <div className="flex items-center justify-center gap-2 mt-3">
+          <FileText className="w-5 h-5" />
+          <span className="font-bold">{isZReport ? 'Z-REPORT (DRAWER CLOSE)' : 'X-REPORT (MID-SHIFT)'}</span>
+        </div>
+      </div>
+
+      {/* Session Details */}
+      <div className="mb-4 text-sm space-y-1">
+        <div className="flex justify-between">
+          <span>Cashier:</span>
+          <span className="font-semibold">{session.cashierName}</span>
+        </div>
+        <div className="flex justify-between">
+          <span>Opened:</span>
+          <span>{formatDate(session.openedAt)}</span>
+        </div>
+        {isZReport ? (
+          <div className="flex justify-between">
+            <span>Closed:</span>
+            <span>{formatDate(session.closedAt)}</span>
+          </div>
+        ) : (
+          <div className="flex justify-between">
+            <span>Printed:</span>
+            <span>{formatDate(summary.generatedAt)}</span>
+          </div>
+        )}
+        <div className="flex justify-between">
+          <span>Session:</span>
+          <span>{session.id}</span>
+        </div>
+      </div>
+
+      {/* Sales */}
+      <div className="border-t border-dashed border-gray-300 pt-3 mb-4 space-y-1 text-sm">
+        <div className="font-bold mb-1">SALES</div>
+        <div className="flex justify-between">
+          <span>Transactions:</span>
+          <span>{summary.transactionCount}</span>
+        </div>
+        {Object.entries(summary.salesByTender).map(([method, amount]) => (
+          <div key={method} className="flex justify-between pl-2">
+            <span>{getPaymentMethodLabel(method)}</span>
+            <span>{formatAmount(amount)}</span>
+          </div>
+        ))}
+        <div className="flex justify-between font-semibold">
+          <span>Gross Sales:</span>
+          <span>{formatAmount(summary.grossSales)}</span>
+        </div>
+        {summary.totalRefunds > 0 && (
+          <>
+            <div className="flex justify-between text-red-600">
+              <span>Refunds ({summary.refundCount}):</span>
+              <span>-{formatAmount(summary.totalRefunds)}</span>
+            </div>
+            {Object.entries(summary.refundsByMethod).map(([method, amount]) => (
+              <div key={method} className="flex justify-between pl-2 text-xs text-red-600">
+                <span>{getPaymentMethodLabel(method)}</span>
+                <span>-{formatAmount(amount)}</span>
+              </div>
+            ))}
+          </>
+        )}
+        <div className="flex justify-between font-bold border-t border-gray-300 pt-1">
+          <span>Net Sales:</span>
+          <span>{formatAmount(summary.netSales)}</span>
+        </div>
+        {summary.voidedCount > 0 && (
+          <div className="flex justify-between text-xs text-gray-600">
+            <span>Voided transactions:</span>
+            <span>{summary.voidedCount}</span>
+          </div>
+        )}
+      </div>
+
+      {/* Drawer */}
+      <div className="border-t border-dashed border-gray-300 pt-3 mb-4 space-y-1 text-sm">
+        <div className="font-bold mb-1">CASH DRAWER</div>
+        <div className="flex justify-between">
+          <span>Opening Float:</span>
+          <span>{formatAmount(summary.openingFloat)}</span>
+        </div>
+        <div className="flex justify-between">
+          <span>+ Cash Sales:</span>
+          <span>{formatAmount(summary.cashSales)}</span>
+        </div>
+        <div className="flex justify-between">
+          <span>- Cash Refunds:</span>
+          <span>{formatAmount(summary.cashRefunds)}</span>
+        </div>
+        <div className="flex justify-between">
+          <span>+ Paid In:</span>
+          <span>{formatAmount(summary.paidIn)}</span>
+        </div>
+        <div className="flex justify-between">
+          <span>- Paid Out:</span>
+          <span>{formatAmount(summary.paidOut)}</span>
+        </div>
+        <div className="flex justify-between font-bold border-t border-gray-300 pt-1">
+          <span>Expected Cash:</span>
+          <span>{formatAmount(summary.expectedCash)}</span>
+        </div>
+        {isZReport && (
+          <>
+            <div className="flex justify-between font-bold">
+              <span>Counted Cash:</span>
+              <span>{formatAmount(session.countedCash)}</span>
+            </div>
+            <div className={`flex justify-between font-bold ${
+              session.variance < 0 ? 'text-red-600' : session.variance > 0 ? 'text-yellow-700' : 'text-green-600'
+            }`}>
+              <span>Variance:</span>
+              <span>{session.variance > 0 ? '+' : ''}{formatAmount(session.variance)}</span>
+            </div>
+            {session.varianceNote && (
+              <p className="text-xs text-gray-600 italic">Note: {session.varianceNote}</p>
+            )}
+          </>
+        )}
+      </div>
+
+      {/* Paid In / Paid Out */}
+      {entries.length > 0 && (
+        <div className="border-t border-dashed border-gray-300 pt-3 mb-4 space-y-1 text-xs">
+          <div className="font-bold text-sm mb-1">PAID IN / PAID OUT</div>
+          {entries.map(entry => (
+            <div key={entry.id} className="flex justify-between">
+              <span>{entry.type === 'paid_in' ? 'IN' : 'OUT'} - {entry.reason}</span>
+              <span>{entry.type === 'paid_in' ? '' : '-'}{formatAmount(entry.amount)}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Footer */}
+      <div className="border-t-2 border-dashed border-gray-300 pt-4 text-center text-xs space-y-1">
+        {isZReport ? (
+          <>
+            <p>Closed by: {session.closedByName}</p>
+            <p className="mt-6">______________________</p>
+            <p>Cashier Signature</p>
+          </>
+        ) : (
+          <p className="text-gray-600">Mid-shift report. The drawer remains open.</p>
+        )}
+      </div>
+    </div>
+  );
+});
+
+DrawerReport.displayName = 'DrawerReport';
+
+export default DrawerReport;
@@ -4,7 +4,10 @@
  */
 
 import { forwardRef } from 'react';
+import { QRCodeSVG } from 'qrcode.react';
 import { Receipt as ReceiptIcon, MapPin, Phone, Mail } from 'lucide-react';
+import { getBillTenders } from '../../services/billingService';
+import { TAX_MODES, STATUTORY_DISCOUNT_LABELS, STATUTORY_DISCOUNT_RATE } from '../../services/taxService';
 
 const Receipt = forwardRef(({ bill, branch }, ref) => {
   const formatDate = (date) => {
@@ -24,11 +27,18 @@ const Receipt = forwardRef(({ bill, branch }, ref) => {
       cash: 'Cash',
       card: 'Card',
       voucher: 'E-Wallet',
-      gift_card: 'Gift Card'
+      gift_card: 'Gift Card',
+      deposit: 'Deposit',
+      split: 'Split Payment'
     };
     return labels[method] || method;
   };
 
+  const tenders = getBillTenders(bill);
+  const taxBreakdown = bill.taxBreakdown;
+  const statutoryDiscount = bill.statutoryDiscount;
+  const vatTin = bill.vatTin || branch?.taxSettings?.tin;
+
   return (
     <div ref={ref} className="bg-white p-8 max-w-md mx-auto" style={{ fontFamily: 'monospace' }}>
       {/* Header */}
@@ -51,6 +61,9 @@ const Receipt = forwardRef(({ bill, branch }, ref) => {
             )}
           </>
         )}
+        {vatTin && (
+          <p className="text-xs mt-1">VAT Reg. TIN: {vatTin}</p>
+        )}
         <div className="flex items-center justify-center gap-2 mt-3">
           <ReceiptIcon className="w-5 h-5" />
           <span className="font-bold">OFFICIAL RECEIPT</span>
@@ -130,6 +143,15 @@ const Receipt = forwardRef(({ bill, branch }, ref) => {
                   Stylist: {item.stylistName}
                 </div>
               )}
+              {item.type === 'gift_card' && item.giftCardCode && (
+                <div className="flex items-center gap-3 ml-2 mt-1">
+                  <QRCodeSVG value={item.giftCardCode} size={64} level="M" />
+                  <div className="text-xs text-gray-600">
+                    <p className="font-semibold text-gray-900">{item.giftCardCode}</p>
+                    {item.recipientName && <p>For: {item.recipientName}</p>}
+                  </div>
+                </div>
+              )}
             </div>
           ))}
         </div>
@@ -142,6 +164,35 @@ const Receipt = forwardRef(({ bill, branch }, ref) => {
           <span>₱{bill.subtotal?.toFixed(2) || '0.00'}</span>
         </div>
         
+        {statutoryDiscount && taxBreakdown && (
+          <>
+            {taxBreakdown.vatExemption > 0 && (
+              <div className="flex justify-between">
+                <span>Less VAT Exemption:</span>
+                <span>-₱{taxBreakdown.vatExemption.toFixed(2)}</span>
+              </div>
+            )}
+            <div className="flex justify-between text-green-600">
+              <span>{STATUTORY_DISCOUNT_LABELS[statutoryDiscount.type]} Discount ({STATUTORY_DISCOUNT_RATE}%):</span>
+              <span>-₱{taxBreakdown.statutoryDiscount.toFixed(2)}</span>
+            </div>
+            <div className="text-xs text-gray-600 pl-2">
+              <p>ID No: {statutoryDiscount.idNumber}</p>
+              <p>Name: {statutoryDiscount.holderName}</p>
+            </div>
+          </>
+        )}
+
+        {!statutoryDiscount && bill.promotionDiscount > 0 && (
+          <div className="flex justify-between text-green-600">
+            <span>
+              Promotion
+              {bill.promotionCode && ` (${bill.promotionCode})`}:
+            </span>
+            <span>-₱{bill.promotionDiscount.toFixed(2)}</span>
+          </div>
+        )}
+
         {bill.discount > 0 && (
           <div className="flex justify-between text-green-600">
             <span>
@@ -166,13 +217,21 @@ const Receipt = forwardRef(({ bill, branch }, ref) => {
           </div>
         )}
 
-        {bill.tax > 0 && (
+        {/* VAT added on top; VAT-inclusive bills show it in the VAT summary below */}
+        {bill.tax > 0 && (!taxBreakdown || bill.taxMode === TAX_MODES.EXCLUSIVE) && (
           <div className="flex justify-between">
-            <span>Tax ({bill.taxRate}%):</span>
+            <span>{taxBreakdown ? 'VAT' : 'Tax'} ({bill.taxRate}%):</span>
             <span>₱{bill.tax?.toFixed(2)}</span>
           </div>
         )}
 
+        {bill.tip > 0 && (
+          <div className="flex justify-between">
+            <span>Tip:</span>
+            <span>₱{bill.tip.toFixed(2)}</span>
+          </div>
+        )}
+
         <div className="flex justify-between font-bold text-lg border-t border-gray-300 pt-2">
           <span>TOTAL:</span>
           <span>₱{bill.total?.toFixed(2) || '0.00'}</span>
@@ -183,14 +242,68 @@ const Receipt = forwardRef(({ bill, branch }, ref) => {
           <span className="font-semibold">{getPaymentMethodLabel(bill.paymentMethod)}</span>
         </div>
 
-        {bill.paymentReference && (
+        {tenders.length > 1 && tenders.map((tender, index) => (
+          <div key={index} className="flex justify-between text-xs pl-2">
+            <span>
+              {getPaymentMethodLabel(tender.method)}
+              {tender.giftCardCode ? ` (${tender.giftCardCode})` : ''}
+              {tender.reference ? ` (Ref: ${tender.reference})` : ''}
+            </span>
+            <span>₱{(tender.amount || 0).toFixed(2)}</span>
+          </div>
+        ))}
+
+        {tenders.length === 1 && tenders[0].giftCardCode && (
+          <div className="flex justify-between text-xs">
+            <span>Gift Card:</span>
+            <span>{tenders[0].giftCardCode}</span>
+          </div>
+        )}
+
+        {tenders.length <= 1 && bill.paymentReference && (
           <div className="flex justify-between text-xs">
             <span>Ref:</span>
             <span>{bill.paymentReference}</span>
           </div>
         )}
+
+        {bill.amountReceived > 0 && (
+          <div className="flex justify-between text-xs">
+            <span>Cash Received:</span>
+            <span>₱{bill.amountReceived.toFixed(2)}</span>
+          </div>
+        )}
+
+        {bill.change > 0 && (
+          <div className="flex justify-between text-xs">
+            <span>Change:</span>
+            <span>₱{bill.change.toFixed(2)}</span>
+          </div>
+        )}
       </div>
 
+      {/* VAT Summary */}
+      {taxBreakdown && (
+        <div className="border-t border-dashed border-gray-300 pt-3 mb-4 space-y-1 text-xs">
+          <div className="flex justify-between">
+            <span>VATable Sales:</span>
+            <span>₱{taxBreakdown.vatableSales.toFixed(2)}</span>
+          </div>
+          <div className="flex justify-between">
+            <span>VAT Amount ({bill.taxRate}%):</span>
+            <span>₱{taxBreakdown.vatAmount.toFixed(2)}</span>
+          </div>
+          <div className="flex justify-between">
+            <span>VAT-Exempt Sales:</span>
+            <span>₱{taxBreakdown.vatExemptSales.toFixed(2)}</span>
+          </div>
+          <div className="flex justify-between">
+            <span>Zero-Rated Sales:</span>
+            <span>₱{taxBreakdown.zeroRatedSales.toFixed(2)}</span>
+          </div>
+        </div>
+      )}
+
       {/* Status Badge */}
       {bill.status && bill.status !== 'paid' && (
         <div className="text-center mb-4">
@@ -199,8 +312,18 @@ const Receipt = forwardRef(({ bill, branch }, ref) => {
             bill.status === 'voided' ? 'bg-gray-100 text-gray-700' :
             'bg-yellow-100 text-yellow-700'
           }`}>
-            {bill.status.toUpperCase()}
+            {bill.status.replace('_', ' ').toUpperCase()}
           </span>
+          {bill.refunds?.length > 0 && (
+            <div className="text-xs text-red-600 mt-2 space-y-1">
+              {bill.refunds.map(refund => (
+                <div key={refund.id} className="flex justify-between">
+                  <span>{refund.items.map(item => `${item.quantity}x ${item.name}`).join(', ')}</span>
+                  <span>-₱{refund.amount.toFixed(2)}</span>
+                </div>
+              ))}
+            </div>
+          )}
           {bill.refundAmount && (
             <p className="text-sm text-red-600 mt-1">Refunded: ₱{bill.refundAmount.toFixed(2)}</p>
           )}
@@ -1,29 +1,46 @@
 /**
  * Branch Service Price Modal Component
- * For setting/updating service price for a branch
+ * For setting/updating service price, booking deposit and shared resources for a branch
  */
 
 import { useState, useEffect } from 'react';
 import { X } from 'lucide-react';
+import { DEPOSIT_TYPES } from '../../services/appointmentDepositService';
 
 const BranchServicePriceModal = ({
   isOpen,
   service,
   onClose,
   onSubmit,
+  resources = [],
   loading = false
 }) => {
   const [price, setPrice] = useState('');
+  const [depositType, setDepositType] = useState(DEPOSIT_TYPES.FIXED);
+  const [depositValue, setDepositValue] = useState('');
+  const [resourceIds, setResourceIds] = useState([]);
 
   useEffect(() => {
     if (service) {
       // If service already has a price, use it; otherwise empty
       setPrice(service.price ? service.price.toString() : '');
+      setDepositType(service.deposit?.type || DEPOSIT_TYPES.FIXED);
+      setDepositValue(service.deposit?.value ? service.deposit.value.toString() : '');
+      setResourceIds(service.resources || []);
     } else {
       setPrice('');
+      setDepositType(DEPOSIT_TYPES.FIXED);
+      setDepositValue('');
+      setResourceIds([]);
     }
   }, [service, isOpen]);
 
+  const toggleResource = (resourceId) => {
+    setResourceIds(prev => prev.includes(resourceId)
+      ? prev.filter(id => id !== resourceId)
+      : [...prev, resourceId]);
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
     const numPrice = parseFloat(price);
@@ -32,8 +49,18 @@ const BranchServicePriceModal = ({
       alert('Please enter a valid price');
       return;
     }
+
+    const numDeposit = parseFloat(depositValue) || 0;
+    if (numDeposit < 0 || (depositType === DEPOSIT_TYPES.PERCENTAGE && numDeposit > 100)) {
+      alert('Please enter a valid deposit');
+      return;
+    }
     
-    onSubmit(numPrice);
+    onSubmit(
+      numPrice,
+      numDeposit > 0 ? { type: depositType, value: numDeposit } : null,
+      resourceIds.filter(id => resources.some(resource => resource.id === id))
+    );
   };
 
   if (!isOpen || !service) return null;
@@ -88,6 +115,62 @@ const BranchServicePriceModal = ({
                 Enter the price this branch will charge for this service
               </p>
             </div>
+
+            {/* Booking Deposit */}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Booking Deposit
+              </label>
+              <div className="flex gap-2">
+                <select
+                  value={depositType}
+                  onChange={(e) => setDepositType(e.target.value)}
+                  className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                >
+                  <option value={DEPOSIT_TYPES.FIXED}>Fixed (₱)</option>
+                  <option value={DEPOSIT_TYPES.PERCENTAGE}>Percent (%)</option>
+                </select>
+                <input
+                  type="number"
+                  min="0"
+                  max={depositType === DEPOSIT_TYPES.PERCENTAGE ? '100' : undefined}
+                  step="0.01"
+                  value={depositValue}
+                  onChange={(e) => setDepositValue(e.target.value)}
+                  className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                  placeholder="No deposit"
+                />
+              </div>
+              <p className="text-xs text-gray-500 mt-1">
+                Collected when the appointment is booked and applied to the bill at checkout
+              </p>
+            </div>
+
+            {/* Shared Resources */}
+            {resources.length > 0 && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Uses Resources
+                </label>
+                <div className="space-y-1">
+                  {resources.map(resource => (
+                    <label key={resource.id} className="flex items-center gap-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={resourceIds.includes(resource.id)}
+                        onChange={() => toggleResource(resource.id)}
+                        className="w-4 h-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+                      />
+                      {resource.name}
+                      <span className="text-xs text-gray-500">({resource.capacity} available)</span>
+                    </label>
+                  ))}
+                </div>
+                <p className="text-xs text-gray-500 mt-1">
+                  Bookings are blocked when every unit of a resource is already in use
+                </p>
+              </div>
+            )}
           </div>
 
           {/* Footer */}
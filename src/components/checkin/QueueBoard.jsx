@@ -0,0 +1,173 @@
+/**
+ * Queue Board Component
+ * Live queue of a branch's waiting clients for the front desk: order, estimated wait,
+ * and the next free qualified stylist for clients who haven't got one yet
+ */
+
+import { useState, useEffect } from 'react';
+import { Clock, ExternalLink, UserCheck, Users } from 'lucide-react';
+import { useAuth } from '../../context/AuthContext';
+import { subscribeToBranchQueue } from '../../services/queueService';
+import { updateArrival } from '../../services/arrivalsService';
+import { formatTime } from '../../utils/helpers';
+import LoadingSpinner from '../ui/LoadingSpinner';
+
+const formatWait = (minutes) => {
+  if (minutes === null) return 'No stylist available';
+  if (minutes === 0) return 'Now';
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+};
+
+const QueueBoard = ({ branchId }) => {
+  const { currentUser } = useAuth();
+  const [queue, setQueue] = useState(null);
+  const [assigning, setAssigning] = useState(null);
+
+  useEffect(() => {
+    if (!branchId) return undefined;
+    // The front desk keeps the lobby screen's waits current while the board is open
+    return subscribeToBranchQueue(branchId, setQueue, { publishToLobby: true });
+  }, [branchId]);
+
+  const handleAssign = async (entry) => {
+    const { arrival } = entry;
+    try {
+      setAssigning(arrival.id);
+      await updateArrival(arrival.id, {
+        stylistId: entry.stylistId,
+        stylistName: entry.stylistName,
+        services: (arrival.services || []).map(svc => (svc.stylistId
+          ? svc
+          : { ...svc, stylistId: entry.stylistId, stylistName: entry.stylistName }))
+      }, currentUser);
+    } catch (error) {
+      // Error handled in service
+    } finally {
+      setAssigning(null);
+    }
+  };
+
+  if (!queue) {
+    return (
+      <div className="flex justify-center py-12">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  const now = new Date();
+  const onShift = queue.stylists.filter(stylist => stylist.onShift);
+
+  return (
+    <div className="space-y-4">
+      {/* Stylists */}
+      <div className="bg-white p-4 rounded-lg shadow">
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-sm font-semibold text-gray-900">Stylists on shift</h3>
+          <a
+            href={`/lobby/${branchId}`}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="flex items-center gap-1 text-sm text-primary-600 hover:text-primary-700"
+          >
+            <ExternalLink className="w-4 h-4" />
+            Open lobby display
+          </a>
+        </div>
+        {onShift.length === 0 ? (
+          <p className="text-sm text-gray-500">No stylists on shift right now</p>
+        ) : (
+          <div className="flex flex-wrap gap-2">
+            {onShift.map(stylist => {
+              const busy = stylist.freeAt > now;
+              return (
+                <span
+                  key={stylist.id}
+                  className={`px-3 py-1 rounded-full text-xs font-medium ${busy ? 'bg-orange-100 text-orange-800' : 'bg-green-100 text-green-800'}`}
+                >
+                  {stylist.name} · {busy ? `free at ${formatTime(stylist.freeAt)}` : 'free now'}
+                </span>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      {/* Waiting clients */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        {queue.waiting.length === 0 ? (
+          <div className="p-8 text-center">
+            <Users className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+            <p className="text-gray-600">Nobody is waiting</p>
+          </div>
+        ) : (
+          <table className="w-full">
+            <thead className="bg-gray-50 border-b">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">#</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Client</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Queued From</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Stylist</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Est. Wait</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Action</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {queue.waiting.map(entry => (
+                <tr key={entry.arrival.id}>
+                  <td className="px-4 py-3 text-sm font-bold text-gray-900">{entry.position}</td>
+                  <td className="px-4 py-3">
+                    <p className="text-sm font-medium text-gray-900">{entry.arrival.clientName}</p>
+                    <p className="text-xs text-gray-500">
+                      {(entry.arrival.services || []).map(svc => svc.serviceName).filter(Boolean).join(', ') ||
+                        entry.arrival.serviceName || 'No service selected'}
+                      {' · '}{entry.duration} min
+                    </p>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-700">
+                    {formatTime(entry.queuedAt)}
+                    <span className="block text-xs text-gray-500">
+                      {entry.arrival.isWalkIn ? 'Walk-in' : 'Appointment'}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-700">
+                    {entry.stylistName || '-'}
+                    {entry.suggested && (
+                      <span className="ml-2 px-2 py-0.5 text-xs bg-blue-100 text-blue-700 rounded-full">Suggested</span>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-900">
+                    <span className="flex items-center gap-1">
+                      <Clock className="w-4 h-4 text-gray-400" />
+                      {formatWait(entry.estimatedWaitMinutes)}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3 text-right">
+                    {entry.suggested && (
+                      <button
+                        type="button"
+                        onClick={() => handleAssign(entry)}
+                        disabled={assigning === entry.arrival.id}
+                        className="inline-flex items-center gap-1 px-3 py-1.5 text-xs bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors disabled:opacity-50"
+                      >
+                        <UserCheck className="w-4 h-4" />
+                        Assign
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+      <p className="text-xs text-gray-500">
+        Clients with an appointment queue from their appointment time unless they arrive late; walk-ins queue
+        from when they arrive. Waits are estimated from the services in progress and updated live.
+      </p>
+    </div>
+  );
+};
+
+export default QueueBoard;
@@ -0,0 +1,48 @@
+/**
+ * Commission Lines Table
+ * Service lines behind a stylist's commission, with refund and void charge-backs
+ */
+
+import { formatDate } from '../../utils/helpers';
+import { formatCommissionRate, getAdjustmentLabel } from '../../services/commissionService';
+
+const CommissionLinesTable = ({ lines }) => (
+  <div className="overflow-x-auto bg-gray-50">
+    <table className="w-full">
+      <thead>
+        <tr>
+          <th className="px-6 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+          <th className="px-6 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Receipt #</th>
+          <th className="px-6 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Service</th>
+          <th className="px-6 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Rule</th>
+          <th className="px-6 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Sales</th>
+          <th className="px-6 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Commission</th>
+        </tr>
+      </thead>
+      <tbody className="divide-y divide-gray-200">
+        {lines.map((line, index) => (
+          <tr key={`${line.billId}_${index}`} className={line.adjustment ? 'text-red-600' : ''}>
+            <td className="px-6 py-2 text-sm">
+              {line.date ? formatDate(line.date, 'MMM dd, yyyy HH:mm') : 'N/A'}
+            </td>
+            <td className="px-6 py-2 text-sm text-gray-600">{line.receiptNumber || line.billId}</td>
+            <td className="px-6 py-2 text-sm">
+              {line.serviceName}
+              {line.quantity !== 1 && <span className="text-gray-500"> × {line.quantity}</span>}
+              {line.adjustment && (
+                <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-red-100 text-red-700">
+                  {getAdjustmentLabel(line.adjustment)}
+                </span>
+              )}
+            </td>
+            <td className="px-6 py-2 text-sm text-gray-600">{line.ruleName} ({formatCommissionRate(line)})</td>
+            <td className="px-6 py-2 text-sm text-right">₱{line.salesAmount.toFixed(2)}</td>
+            <td className="px-6 py-2 text-sm font-semibold text-right">₱{line.commission.toFixed(2)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+export default CommissionLinesTable;
@@ -0,0 +1,494 @@
+/**
+ * Commission Rules Panel
+ * Manage the branch's service commission rules and each stylist's level
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { Plus, Edit, Trash2, Percent, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../context/AuthContext';
+import {
+  getCommissionRules,
+  saveCommissionRule,
+  deleteCommissionRule,
+  getStylistLevelLabel,
+  COMMISSION_RULE_TYPES
+} from '../../services/commissionService';
+import { getAllServices, getServiceCategories } from '../../services/serviceManagementService';
+import { getUsersByBranch, updateUser } from '../../services/userService';
+import { STYLIST_LEVELS, USER_ROLES } from '../../utils/constants';
+import { hasRole, getFullName } from '../../utils/helpers';
+import Modal from '../ui/Modal';
+import ConfirmModal from '../ui/ConfirmModal';
+import LoadingSpinner from '../ui/LoadingSpinner';
+
+const RULE_TYPE_LABELS = {
+  [COMMISSION_RULE_TYPES.PERCENTAGE]: 'Percentage',
+  [COMMISSION_RULE_TYPES.FLAT]: 'Flat per service',
+  [COMMISSION_RULE_TYPES.TIERED]: 'Tiered by monthly sales'
+};
+
+const EMPTY_RULE = {
+  name: '',
+  serviceId: '',
+  category: '',
+  stylistLevel: '',
+  type: COMMISSION_RULE_TYPES.PERCENTAGE,
+  rate: '',
+  flatAmount: '',
+  tiers: [{ minSales: 0, rate: '' }],
+  isActive: true
+};
+
+const describeRuleScope = (rule) => {
+  const parts = [];
+  if (rule.serviceId) parts.push(rule.serviceName || 'Service');
+  if (rule.category) parts.push(rule.category);
+  if (rule.stylistLevel) parts.push(getStylistLevelLabel(rule.stylistLevel));
+  return parts.length ? parts.join(' · ') : 'All services';
+};
+
+const describeRuleValue = (rule) => {
+  if (rule.type === COMMISSION_RULE_TYPES.FLAT) return `₱${(rule.flatAmount || 0).toFixed(2)} per service`;
+  if (rule.type === COMMISSION_RULE_TYPES.TIERED) {
+    return (rule.tiers || []).map(tier => `${tier.rate}% from ₱${tier.minSales.toLocaleString()}`).join(', ');
+  }
+  return `${rule.rate}%`;
+};
+
+const CommissionRulesPanel = ({ branchId }) => {
+  const { currentUser } = useAuth();
+  const [rules, setRules] = useState([]);
+  const [services, setServices] = useState([]);
+  const [stylists, setStylists] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [formData, setFormData] = useState(EMPTY_RULE);
+  const [editingRuleId, setEditingRuleId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [ruleToDelete, setRuleToDelete] = useState(null);
+  const [deleting, setDeleting] = useState(false);
+  const [updatingStylistId, setUpdatingStylistId] = useState(null);
+
+  const categories = getServiceCategories();
+
+  const fetchData = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [rulesData, servicesData, staffData] = await Promise.all([
+        getCommissionRules(branchId),
+        getAllServices(),
+        getUsersByBranch(branchId)
+      ]);
+      setRules(rulesData);
+      setServices(servicesData.filter(service => service.isActive !== false));
+      setStylists(staffData.filter(user => hasRole(user, USER_ROLES.STYLIST)));
+    } catch (error) {
+      console.error('Error loading commission rules:', error);
+      toast.error('Failed to load commission rules');
+    } finally {
+      setLoading(false);
+    }
+  }, [branchId]);
+
+  useEffect(() => {
+    if (branchId) {
+      fetchData();
+    }
+  }, [branchId, fetchData]);
+
+  const openForm = (rule = null) => {
+    if (rule) {
+      setEditingRuleId(rule.id);
+      setFormData({
+        name: rule.name,
+        serviceId: rule.serviceId || '',
+        category: rule.category || '',
+        stylistLevel: rule.stylistLevel || '',
+        type: rule.type,
+        rate: rule.rate || '',
+        flatAmount: rule.flatAmount || '',
+        tiers: rule.tiers?.length ? rule.tiers : EMPTY_RULE.tiers,
+        isActive: rule.isActive !== false
+      });
+    } else {
+      setEditingRuleId(null);
+      setFormData(EMPTY_RULE);
+    }
+    setShowForm(true);
+  };
+
+  const handleTierChange = (index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      tiers: prev.tiers.map((tier, i) => (i === index ? { ...tier, [field]: value } : tier))
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const service = services.find(s => s.id === formData.serviceId);
+      await saveCommissionRule({
+        ...formData,
+        id: editingRuleId,
+        branchId,
+        serviceName: service?.name || ''
+      }, currentUser);
+      setShowForm(false);
+      await fetchData();
+    } catch (error) {
+      // Error handled in service
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      setDeleting(true);
+      await deleteCommissionRule(ruleToDelete.id);
+      setRuleToDelete(null);
+      await fetchData();
+    } catch (error) {
+      // Error handled in service
+    } finally {
+      setDeleting(false);
+    }
+  };
+
+  const handleLevelChange = async (stylist, stylistLevel) => {
+    try {
+      setUpdatingStylistId(stylist.id);
+      await updateUser(stylist.id, { stylistLevel: stylistLevel || null }, currentUser);
+      setStylists(prev => prev.map(s => (s.id === stylist.id ? { ...s, stylistLevel: stylistLevel || null } : s)));
+      toast.success('Stylist level updated');
+    } catch (error) {
+      console.error('Error updating stylist level:', error);
+      toast.error('Failed to update stylist level');
+    } finally {
+      setUpdatingStylistId(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Rules */}
+      <div className="bg-white rounded-lg shadow">
+        <div className="p-4 border-b border-gray-200 flex items-center justify-between">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">Service Commission Rules</h2>
+            <p className="text-sm text-gray-500">
+              The most specific active rule wins: a service beats a category, and a stylist level narrows either
+            </p>
+          </div>
+          <button
+            onClick={() => openForm()}
+            className="flex items-center gap-2 px-4 py-2 bg-[#160B53] text-white rounded-lg hover:bg-[#12094A] transition-colors"
+          >
+            <Plus className="h-4 w-4" />
+            Add Rule
+          </button>
+        </div>
+        {rules.length === 0 ? (
+          <div className="text-center py-12">
+            <Percent className="h-12 w-12 text-gray-400 mx-auto mb-2" />
+            <p className="text-gray-500">No commission rules yet</p>
+            <p className="text-sm text-gray-400 mt-1">Services earn no commission until a rule applies to them</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Rule</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Applies To</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Commission</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {rules.map(rule => (
+                  <tr key={rule.id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 text-sm font-medium text-gray-900">{rule.name}</td>
+                    <td className="px-6 py-4 text-sm text-gray-600">{describeRuleScope(rule)}</td>
+                    <td className="px-6 py-4 text-sm text-gray-600">{RULE_TYPE_LABELS[rule.type]}</td>
+                    <td className="px-6 py-4 text-sm text-gray-900">{describeRuleValue(rule)}</td>
+                    <td className="px-6 py-4 text-sm">
+                      <span className={`px-2 py-1 text-xs rounded-full ${
+                        rule.isActive !== false ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-600'
+                      }`}>
+                        {rule.isActive !== false ? 'Active' : 'Inactive'}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 text-right">
+                      <div className="flex items-center justify-end gap-2">
+                        <button
+                          onClick={() => openForm(rule)}
+                          className="p-2 text-gray-500 hover:text-[#160B53]"
+                          title="Edit rule"
+                        >
+                          <Edit className="h-4 w-4" />
+                        </button>
+                        <button
+                          onClick={() => setRuleToDelete(rule)}
+                          className="p-2 text-gray-500 hover:text-red-600"
+                          title="Delete rule"
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Stylist Levels */}
+      <div className="bg-white rounded-lg shadow">
+        <div className="p-4 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900">Stylist Levels</h2>
+          <p className="text-sm text-gray-500">Rules scoped to a level only apply to stylists at that level</p>
+        </div>
+        {stylists.length === 0 ? (
+          <p className="text-center py-8 text-gray-500">No stylists in this branch</p>
+        ) : (
+          <div className="divide-y divide-gray-200">
+            {stylists.map(stylist => (
+              <div key={stylist.id} className="flex items-center justify-between px-6 py-3">
+                <span className="text-sm font-medium text-gray-900">{getFullName(stylist)}</span>
+                <select
+                  value={stylist.stylistLevel || ''}
+                  onChange={(e) => handleLevelChange(stylist, e.target.value)}
+                  disabled={updatingStylistId === stylist.id}
+                  className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-[#160B53] focus:border-transparent disabled:opacity-50"
+                >
+                  <option value="">No level</option>
+                  {STYLIST_LEVELS.map(level => (
+                    <option key={level.value} value={level.value}>{level.label}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Rule Form */}
+      <Modal
+        isOpen={showForm}
+        onClose={() => setShowForm(false)}
+        title={editingRuleId ? 'Edit Commission Rule' : 'Add Commission Rule'}
+        size="lg"
+      >
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Rule Name *</label>
+            <input
+              type="text"
+              value={formData.name}
+              onChange={(e) => setFormData(prev => ({ ...prev, name: e.target.value }))}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-[#160B53] focus:border-transparent"
+              placeholder="e.g. Senior color services"
+              required
+            />
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Service</label>
+              <select
+                value={formData.serviceId}
+                onChange={(e) => setFormData(prev => ({ ...prev, serviceId: e.target.value }))}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-[#160B53] focus:border-transparent"
+              >
+                <option value="">Any service</option>
+                {services.map(service => (
+                  <option key={service.id} value={service.id}>{service.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+              <select
+                value={formData.category}
+                onChange={(e) => setFormData(prev => ({ ...prev, category: e.target.value }))}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-[#160B53] focus:border-transparent"
+              >
+                <option value="">Any category</option>
+                {categories.map(category => (
+                  <option key={category} value={category}>{category}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Stylist Level</label>
+              <select
+                value={formData.stylistLevel}
+                onChange={(e) => setFormData(prev => ({ ...prev, stylistLevel: e.target.value }))}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-[#160B53] focus:border-transparent"
+              >
+                <option value="">Any level</option>
+                {STYLIST_LEVELS.map(level => (
+                  <option key={level.value} value={level.value}>{level.label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Commission Type *</label>
+            <select
+              value={formData.type}
+              onChange={(e) => setFormData(prev => ({ ...prev, type: e.target.value }))}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-[#160B53] focus:border-transparent"
+            >
+              {Object.entries(RULE_TYPE_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          {formData.type === COMMISSION_RULE_TYPES.PERCENTAGE && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Rate (%) *</label>
+              <input
+                type="number"
+                min="0"
+                max="100"
+                step="0.01"
+                value={formData.rate}
+                onChange={(e) => setFormData(prev => ({ ...prev, rate: e.target.value }))}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-[#160B53] focus:border-transparent"
+                required
+              />
+            </div>
+          )}
+
+          {formData.type === COMMISSION_RULE_TYPES.FLAT && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Amount per Service (₱) *</label>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={formData.flatAmount}
+                onChange={(e) => setFormData(prev => ({ ...prev, flatAmount: e.target.value }))}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-[#160B53] focus:border-transparent"
+                required
+              />
+            </div>
+          )}
+
+          {formData.type === COMMISSION_RULE_TYPES.TIERED && (
+            <div className="space-y-2">
+              <label className="block text-sm font-medium text-gray-700">Tiers *</label>
+              <p className="text-xs text-gray-500">
+                The stylist&apos;s service sales for the month pick the rate for every service that month
+              </p>
+              {formData.tiers.map((tier, index) => (
+                <div key={index} className="flex items-center gap-2">
+                  <div className="flex-1">
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={tier.minSales}
+                      onChange={(e) => handleTierChange(index, 'minSales', e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-[#160B53] focus:border-transparent"
+                      placeholder="Monthly sales from (₱)"
+                      required
+                    />
+                  </div>
+                  <div className="w-32">
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      step="0.01"
+                      value={tier.rate}
+                      onChange={(e) => handleTierChange(index, 'rate', e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-[#160B53] focus:border-transparent"
+                      placeholder="Rate %"
+                      required
+                    />
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => setFormData(prev => ({ ...prev, tiers: prev.tiers.filter((_, i) => i !== index) }))}
+                    disabled={formData.tiers.length === 1}
+                    className="p-2 text-gray-500 hover:text-red-600 disabled:opacity-30"
+                    title="Remove tier"
+                  >
+                    <X className="h-4 w-4" />
+                  </button>
+                </div>
+              ))}
+              <button
+                type="button"
+                onClick={() => setFormData(prev => ({ ...prev, tiers: [...prev.tiers, { minSales: '', rate: '' }] }))}
+                className="text-sm text-[#160B53] hover:underline"
+              >
+                + Add tier
+              </button>
+            </div>
+          )}
+
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={formData.isActive}
+              onChange={(e) => setFormData(prev => ({ ...prev, isActive: e.target.checked }))}
+              className="rounded border-gray-300"
+            />
+            Active
+          </label>
+
+          <div className="flex justify-end gap-2 pt-2">
+            <button
+              type="button"
+              onClick={() => setShowForm(false)}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-[#160B53] text-white rounded-lg hover:bg-[#12094A] disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save Rule'}
+            </button>
+          </div>
+        </form>
+      </Modal>
+
+      <ConfirmModal
+        isOpen={!!ruleToDelete}
+        onClose={() => setRuleToDelete(null)}
+        onConfirm={handleDelete}
+        title="Delete Commission Rule"
+        message={`Delete "${ruleToDelete?.name}"? Closed statements keep the commission already calculated.`}
+        confirmText="Delete"
+        type="danger"
+        loading={deleting}
+      />
+    </div>
+  );
+};
+
+export default CommissionRulesPanel;
@@ -0,0 +1,311 @@
+/**
+ * Service Commissions Panel
+ * Previews service commissions per stylist for a period, closes the period into
+ * frozen statements, and lists the statements already closed
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { Banknote, User, Download, Lock, ChevronDown, ChevronRight, FileText } from 'lucide-react';
+import { format, startOfMonth, endOfMonth, subMonths } from 'date-fns';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../context/AuthContext';
+import {
+  calculateServiceCommissions,
+  closeCommissionPeriod,
+  getBranchCommissionStatements,
+  getStylistLevelLabel,
+  getCommissionExportRows,
+  COMMISSION_LINE_EXPORT_HEADERS
+} from '../../services/commissionService';
+import LoadingSpinner from '../ui/LoadingSpinner';
+import ConfirmModal from '../ui/ConfirmModal';
+import CommissionLinesTable from './CommissionLinesTable';
+import { formatDate } from '../../utils/helpers';
+import { exportToExcel } from '../../utils/excelExport';
+
+const ServiceCommissionsPanel = ({ branchId }) => {
+  const { currentUser } = useAuth();
+  const [results, setResults] = useState([]);
+  const [statements, setStatements] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [expandedStylist, setExpandedStylist] = useState(null);
+  const [expandedStatement, setExpandedStatement] = useState(null);
+  const [showCloseModal, setShowCloseModal] = useState(false);
+  const [closing, setClosing] = useState(false);
+  const [period, setPeriod] = useState({
+    start: format(startOfMonth(subMonths(new Date(), 1)), 'yyyy-MM-dd'),
+    end: format(endOfMonth(subMonths(new Date(), 1)), 'yyyy-MM-dd')
+  });
+
+  const fetchStatements = useCallback(async () => {
+    const data = await getBranchCommissionStatements(branchId);
+    setStatements(data);
+  }, [branchId]);
+
+  useEffect(() => {
+    if (branchId) {
+      fetchStatements();
+    }
+  }, [branchId, fetchStatements]);
+
+  const fetchResults = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await calculateServiceCommissions(
+        branchId,
+        new Date(`${period.start}T00:00:00`),
+        new Date(`${period.end}T00:00:00`)
+      );
+      setResults(data);
+    } catch (error) {
+      console.error('Error calculating service commissions:', error);
+      toast.error('Failed to calculate service commissions');
+    } finally {
+      setLoading(false);
+    }
+  }, [branchId, period]);
+
+  useEffect(() => {
+    if (branchId && period.start && period.end) {
+      fetchResults();
+    }
+  }, [branchId, period, fetchResults]);
+
+  const handleClosePeriod = async () => {
+    try {
+      setClosing(true);
+      await closeCommissionPeriod(
+        branchId,
+        new Date(`${period.start}T00:00:00`),
+        new Date(`${period.end}T00:00:00`),
+        currentUser
+      );
+      setShowCloseModal(false);
+      await fetchStatements();
+    } catch (error) {
+      // Error handled in service
+    } finally {
+      setClosing(false);
+    }
+  };
+
+  const handleExportExcel = (stylists, fileName) => {
+    const rows = getCommissionExportRows(stylists);
+    if (!rows.length) {
+      toast.error('No commissions to export');
+      return;
+    }
+
+    try {
+      exportToExcel(rows, fileName, 'Service Commissions', COMMISSION_LINE_EXPORT_HEADERS);
+      toast.success('Commissions exported to Excel successfully');
+    } catch (error) {
+      console.error('Error exporting commissions:', error);
+      toast.error('Failed to export commissions');
+    }
+  };
+
+  const totalSales = results.reduce((sum, stylist) => sum + stylist.totalSales, 0);
+  const totalCommission = results.reduce((sum, stylist) => sum + stylist.totalCommission, 0);
+
+  return (
+    <div className="space-y-6">
+      {/* Period */}
+      <div className="bg-white rounded-lg shadow p-4">
+        <div className="flex flex-col md:flex-row md:items-end gap-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 flex-1 max-w-xl">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Period Start</label>
+              <input
+                type="date"
+                value={period.start}
+                onChange={(e) => setPeriod(prev => ({ ...prev, start: e.target.value }))}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Period End</label>
+              <input
+                type="date"
+                value={period.end}
+                onChange={(e) => setPeriod(prev => ({ ...prev, end: e.target.value }))}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+              />
+            </div>
+          </div>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => handleExportExcel(results, `service_commissions_${period.start}_${period.end}`)}
+              className="flex items-center gap-2 px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors"
+              title="Export to Excel"
+            >
+              <Download className="h-4 w-4" />
+              <span className="hidden sm:inline">Excel</span>
+            </button>
+            <button
+              onClick={() => setShowCloseModal(true)}
+              disabled={loading || results.length === 0}
+              className="flex items-center gap-2 px-4 py-2 bg-[#160B53] text-white rounded-lg hover:bg-[#12094A] transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Lock className="h-4 w-4" />
+              Close Period
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center h-64">
+          <LoadingSpinner />
+        </div>
+      ) : (
+        <>
+          {/* Summary Cards */}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="bg-white rounded-lg shadow p-6">
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="text-sm text-gray-500">Service Commission</p>
+                  <p className="text-2xl font-bold text-purple-600 mt-1">₱{totalCommission.toFixed(2)}</p>
+                </div>
+                <Banknote className="h-10 w-10 text-purple-200" />
+              </div>
+            </div>
+            <div className="bg-white rounded-lg shadow p-6">
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="text-sm text-gray-500">Service Sales</p>
+                  <p className="text-2xl font-bold text-blue-600 mt-1">₱{totalSales.toFixed(2)}</p>
+                </div>
+                <FileText className="h-10 w-10 text-blue-200" />
+              </div>
+            </div>
+            <div className="bg-white rounded-lg shadow p-6">
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="text-sm text-gray-500">Stylists</p>
+                  <p className="text-2xl font-bold text-green-600 mt-1">{results.length}</p>
+                </div>
+                <User className="h-10 w-10 text-green-200" />
+              </div>
+            </div>
+          </div>
+
+          {/* Commission by Stylist */}
+          <div className="bg-white rounded-lg shadow">
+            <div className="p-4 border-b border-gray-200">
+              <h2 className="text-lg font-semibold text-gray-900">Commission by Stylist</h2>
+              <p className="text-sm text-gray-500">Refunds and voids of earlier sales are charged back in the period they happened</p>
+            </div>
+            {results.length === 0 ? (
+              <div className="text-center py-12">
+                <Banknote className="h-12 w-12 text-gray-400 mx-auto mb-2" />
+                <p className="text-gray-500">No service commissions for this period</p>
+                <p className="text-sm text-gray-400 mt-1">Services only earn commission when a commission rule applies</p>
+              </div>
+            ) : (
+              <div className="divide-y divide-gray-200">
+                {results.map(stylist => (
+                  <div key={stylist.stylistId}>
+                    <button
+                      onClick={() => setExpandedStylist(expandedStylist === stylist.stylistId ? null : stylist.stylistId)}
+                      className="w-full flex items-center justify-between px-6 py-4 hover:bg-gray-50 text-left"
+                    >
+                      <div className="flex items-center gap-2">
+                        {expandedStylist === stylist.stylistId
+                          ? <ChevronDown className="h-4 w-4 text-gray-500" />
+                          : <ChevronRight className="h-4 w-4 text-gray-500" />}
+                        <span className="font-medium text-gray-900">{stylist.stylistName}</span>
+                        <span className="text-sm text-gray-500">{getStylistLevelLabel(stylist.stylistLevel)}</span>
+                      </div>
+                      <div className="text-right">
+                        <span className="font-semibold text-purple-600">₱{stylist.totalCommission.toFixed(2)}</span>
+                        <p className="text-xs text-gray-500">on ₱{stylist.totalSales.toFixed(2)} sales</p>
+                      </div>
+                    </button>
+                    {expandedStylist === stylist.stylistId && <CommissionLinesTable lines={stylist.lines} />}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </>
+      )}
+
+      {/* Closed Statements */}
+      <div className="bg-white rounded-lg shadow">
+        <div className="p-4 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900">Closed Statements</h2>
+        </div>
+        {statements.length === 0 ? (
+          <div className="text-center py-12">
+            <Lock className="h-12 w-12 text-gray-400 mx-auto mb-2" />
+            <p className="text-gray-500">No periods have been closed yet</p>
+          </div>
+        ) : (
+          <div className="divide-y divide-gray-200">
+            {statements.map(statement => (
+              <div key={statement.id}>
+                <div className="flex items-center justify-between px-6 py-4 hover:bg-gray-50">
+                  <button
+                    onClick={() => setExpandedStatement(expandedStatement === statement.id ? null : statement.id)}
+                    className="flex items-center gap-2 text-left"
+                  >
+                    {expandedStatement === statement.id
+                      ? <ChevronDown className="h-4 w-4 text-gray-500" />
+                      : <ChevronRight className="h-4 w-4 text-gray-500" />}
+                    <span className="font-medium text-gray-900">{statement.stylistName}</span>
+                    <span className="text-sm text-gray-500">
+                      {formatDate(statement.periodStart, 'MMM dd, yyyy')} - {formatDate(statement.periodEnd, 'MMM dd, yyyy')}
+                    </span>
+                  </button>
+                  <div className="flex items-center gap-4">
+                    <div className="text-right">
+                      <span className="font-semibold text-purple-600">₱{statement.totalCommission.toFixed(2)}</span>
+                      <p className="text-xs text-gray-500">Closed by {statement.closedByName}</p>
+                    </div>
+                    <button
+                      onClick={() => handleExportExcel(
+                        [statement],
+                        `commission_statement_${statement.stylistName}_${formatDate(statement.periodStart, 'yyyy-MM-dd')}`
+                      )}
+                      className="p-2 text-gray-500 hover:text-purple-600"
+                      title="Export to Excel"
+                    >
+                      <Download className="h-4 w-4" />
+                    </button>
+                  </div>
+                </div>
+                {expandedStatement === statement.id && <CommissionLinesTable lines={statement.lines} />}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <ConfirmModal
+        isOpen={showCloseModal}
+        onClose={() => setShowCloseModal(false)}
+        onConfirm={handleClosePeriod}
+        title="Close Commission Period"
+        message={`Freeze service commission statements for ${period.start} to ${period.end}? Closed statements cannot be changed, and later refunds are charged back in the period they happen.`}
+        confirmText="Close Period"
+        type="warning"
+        loading={closing}
+      >
+        <div className="text-sm text-gray-700 space-y-1">
+          <div className="flex justify-between">
+            <span>Stylists:</span>
+            <span className="font-semibold">{results.length}</span>
+          </div>
+          <div className="flex justify-between">
+            <span>Total commission:</span>
+            <span className="font-semibold">₱{totalCommission.toFixed(2)}</span>
+          </div>
+        </div>
+      </ConfirmModal>
+    </div>
+  );
+};
+
+export default ServiceCommissionsPanel;
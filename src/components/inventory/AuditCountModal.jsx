@@ -0,0 +1,287 @@
+/**
+ * Audit Count Modal
+ * Counts the batches frozen into an audit, by typing quantities or by scanning each
+ * unit's batch sticker with the phone camera (every scan adds one). Blind counts hide
+ * the expected quantities; open counts show the difference and ask for a reason.
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { Html5Qrcode } from 'html5-qrcode';
+import { ScanLine, Minus, Plus, CheckCircle, Search, EyeOff } from 'lucide-react';
+import toast from 'react-hot-toast';
+import Modal from '../ui/Modal';
+import Button from '../ui/Button';
+import { useAuth } from '../../context/AuthContext';
+import {
+  ADJUSTMENT_REASONS,
+  computeAuditSummary,
+  findAuditItemByScan,
+  saveAuditCounts,
+  submitAuditForApproval
+} from '../../services/inventoryAuditService';
+
+const AuditCountModal = ({ isOpen, audit, onClose, onSaved }) => {
+  const { userData } = useAuth();
+  const [items, setItems] = useState([]);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [scanning, setScanning] = useState(false);
+  const [scannerError, setScannerError] = useState('');
+  const [lastScanned, setLastScanned] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const itemsRef = useRef(items);
+  itemsRef.current = items; // The scanner callback outlives renders
+
+  useEffect(() => {
+    if (isOpen && audit) {
+      setItems((audit.items || []).map(item => ({ ...item })));
+      setSearchTerm('');
+      setLastScanned(null);
+    }
+  }, [isOpen, audit]);
+
+  const handleScan = useCallback((decodedText) => {
+    const match = findAuditItemByScan(itemsRef.current, decodedText);
+    if (!match) {
+      toast.error('That item is not part of this audit');
+      return;
+    }
+    setLastScanned(match.batchId);
+    setItems(current => current.map(item => (item.batchId === match.batchId
+      ? { ...item, countedQty: (Number(item.countedQty) || 0) + 1, countedBy: userData?.uid || userData?.id || null }
+      : item)));
+  }, [userData]);
+
+  useEffect(() => {
+    if (!scanning) return undefined;
+    let stopped = false;
+    let lastCode = '';
+    let lastCodeAt = 0;
+    const scanner = new Html5Qrcode('audit-qr-reader');
+
+    scanner.start(
+      { facingMode: 'environment' }, // Back camera of the counter's phone
+      { fps: 10, qrbox: { width: 250, height: 250 } },
+      (decodedText) => {
+        // The same sticker stays in view for a moment; count it once
+        const now = Date.now();
+        if (stopped || (decodedText === lastCode && now - lastCodeAt < 1500)) return;
+        lastCode = decodedText;
+        lastCodeAt = now;
+        handleScan(decodedText);
+      },
+      () => {
+        // Ignore frames without a code
+      }
+    ).catch(error => {
+      console.error('Error starting audit scanner:', error);
+      setScannerError('The camera could not be started. Please allow camera access or type the counts.');
+      setScanning(false);
+    });
+
+    return () => {
+      stopped = true;
+      scanner.stop().then(() => scanner.clear()).catch(() => {});
+    };
+  }, [scanning, handleScan]);
+
+  const updateItem = (batchId, changes) => {
+    setItems(current => current.map(item => (item.batchId === batchId ? { ...item, ...changes } : item)));
+  };
+
+  const setCount = (batchId, value) => {
+    updateItem(batchId, {
+      countedQty: value === '' ? null : Math.max(0, Number(value) || 0),
+      countedBy: userData?.uid || userData?.id || null
+    });
+  };
+
+  const handleSave = async (submit) => {
+    try {
+      setSaving(true);
+      if (submit) {
+        await submitAuditForApproval(audit, items, userData);
+        toast.success('Audit submitted for manager approval');
+      } else {
+        await saveAuditCounts(audit.id, items);
+        toast.success('Counts saved');
+      }
+      setScanning(false);
+      onSaved();
+    } catch (error) {
+      // Error handled in service
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!isOpen || !audit) return null;
+
+  const summary = computeAuditSummary(items);
+  const search = searchTerm.toLowerCase();
+  const visibleItems = items.filter(item =>
+    !search ||
+    item.productName.toLowerCase().includes(search) ||
+    item.batchNumber.toLowerCase().includes(search) ||
+    (item.category || '').toLowerCase().includes(search));
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={() => {
+        setScanning(false);
+        onClose();
+      }}
+      title={`Stock Counting - ${audit.auditNumber}`}
+      size="xl"
+    >
+      <div className="space-y-4">
+        {audit.rejectionReason && (
+          <div className="p-3 bg-orange-50 border border-orange-200 rounded-lg text-sm text-orange-800">
+            Sent back for recount: {audit.rejectionReason}
+          </div>
+        )}
+
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+          <div className="text-sm text-gray-600">
+            {summary.countedItems}/{summary.totalItems} batches counted
+            {audit.blindCount && (
+              <span className="ml-2 inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-700">
+                <EyeOff className="h-3 w-3" />
+                Blind count
+              </span>
+            )}
+          </div>
+          <div className="flex gap-2">
+            <div className="relative">
+              <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
+              <input
+                type="text"
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+                placeholder="Find product or batch"
+                className="pl-9 pr-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+            </div>
+            <Button
+              variant={scanning ? 'primary' : 'outline'}
+              onClick={() => {
+                setScannerError('');
+                setScanning(current => !current);
+              }}
+              className="flex items-center gap-2"
+            >
+              <ScanLine className="h-4 w-4" />
+              {scanning ? 'Stop Scanning' : 'Scan'}
+            </Button>
+          </div>
+        </div>
+
+        {scanning && (
+          <div className="border rounded-lg p-3">
+            <div id="audit-qr-reader" className="w-full max-w-sm mx-auto rounded-lg overflow-hidden"></div>
+            <p className="text-xs text-gray-500 text-center mt-2">Scan the batch sticker on each unit. Every scan counts one.</p>
+          </div>
+        )}
+        {scannerError && <p className="text-sm text-red-600">{scannerError}</p>}
+
+        <div className="space-y-2 max-h-[50vh] overflow-y-auto">
+          {visibleItems.map(item => {
+            const counted = item.countedQty !== null && item.countedQty !== undefined;
+            const difference = counted ? Number(item.countedQty) - Number(item.expectedQty) : 0;
+            return (
+              <div
+                key={item.batchId}
+                className={`p-3 border rounded-lg ${lastScanned === item.batchId ? 'border-blue-400 bg-blue-50' : counted ? 'bg-gray-50' : ''}`}
+              >
+                <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+                  <div className="min-w-0">
+                    <div className="font-medium text-gray-900 flex items-center gap-2">
+                      {counted && <CheckCircle className="h-4 w-4 text-green-600 flex-shrink-0" />}
+                      <span className="truncate">{item.productName}</span>
+                    </div>
+                    <div className="text-xs text-gray-500">
+                      {item.batchNumber} · {item.usageType === 'salon-use' ? 'Salon Use' : 'OTC'}
+                      {item.category ? ` · ${item.category}` : ''}
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-3">
+                    {!audit.blindCount && (
+                      <div className="text-sm text-gray-500 whitespace-nowrap">Expected: {item.expectedQty} {item.unit}</div>
+                    )}
+                    <div className="flex items-center">
+                      <button
+                        type="button"
+                        onClick={() => setCount(item.batchId, Math.max(0, (Number(item.countedQty) || 0) - 1))}
+                        className="p-2 border border-gray-300 rounded-l-lg hover:bg-gray-100"
+                      >
+                        <Minus className="h-4 w-4" />
+                      </button>
+                      <input
+                        type="number"
+                        min="0"
+                        value={counted ? item.countedQty : ''}
+                        onChange={(e) => setCount(item.batchId, e.target.value)}
+                        placeholder="Count"
+                        className="w-20 px-2 py-1.5 text-center border-y border-gray-300 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => setCount(item.batchId, (Number(item.countedQty) || 0) + 1)}
+                        className="p-2 border border-gray-300 rounded-r-lg hover:bg-gray-100"
+                      >
+                        <Plus className="h-4 w-4" />
+                      </button>
+                    </div>
+                    {!audit.blindCount && counted && (
+                      <div className={`w-12 text-sm font-semibold text-right ${difference < 0 ? 'text-red-600' : difference > 0 ? 'text-green-600' : 'text-gray-500'}`}>
+                        {difference > 0 ? '+' : ''}{difference}
+                      </div>
+                    )}
+                  </div>
+                </div>
+                {!audit.blindCount && counted && difference !== 0 && (
+                  <div className="mt-2 grid grid-cols-1 md:grid-cols-2 gap-2">
+                    <select
+                      value={item.reasonCode || ''}
+                      onChange={(e) => updateItem(item.batchId, { reasonCode: e.target.value || null })}
+                      className="px-3 py-1.5 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    >
+                      <option value="">Reason for difference...</option>
+                      {Object.entries(ADJUSTMENT_REASONS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                    <input
+                      type="text"
+                      value={item.note || ''}
+                      onChange={(e) => updateItem(item.batchId, { note: e.target.value })}
+                      placeholder="Note (optional)"
+                      className="px-3 py-1.5 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    />
+                  </div>
+                )}
+              </div>
+            );
+          })}
+          {visibleItems.length === 0 && (
+            <p className="text-center text-sm text-gray-500 py-6">No batches match your search</p>
+          )}
+        </div>
+
+        <div className="flex flex-col sm:flex-row justify-end gap-3 pt-2 border-t">
+          <Button variant="outline" onClick={() => handleSave(false)} disabled={saving}>
+            Save Progress
+          </Button>
+          <Button
+            onClick={() => handleSave(true)}
+            disabled={saving || summary.countedItems < summary.totalItems}
+          >
+            {saving ? 'Saving...' : 'Submit for Approval'}
+          </Button>
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+export default AuditCountModal;
@@ -0,0 +1,222 @@
+/**
+ * Audit Review
+ * Counted-vs-expected results of an audit with their cost impact. Branch managers
+ * reviewing a submitted audit can set the reason codes, approve it (posting the
+ * adjustments to stock) or send it back for a recount.
+ */
+
+import { useState, useEffect } from 'react';
+import { CheckCircle, XCircle, RotateCcw } from 'lucide-react';
+import toast from 'react-hot-toast';
+import Button from '../ui/Button';
+import { useAuth } from '../../context/AuthContext';
+import {
+  ADJUSTMENT_REASONS,
+  AUDIT_STATUS,
+  computeAuditSummary,
+  approveAudit,
+  rejectAudit
+} from '../../services/inventoryAuditService';
+
+const formatPeso = (value) => `₱${(Number(value) || 0).toLocaleString(undefined, { maximumFractionDigits: 2 })}`;
+
+const AuditReview = ({ audit, canApprove = false, onDone }) => {
+  const { userData } = useAuth();
+  const [reasonCodes, setReasonCodes] = useState({});
+  const [showAll, setShowAll] = useState(false);
+  const [rejecting, setRejecting] = useState(false);
+  const [rejectionReason, setRejectionReason] = useState('');
+  const [processing, setProcessing] = useState(false);
+
+  useEffect(() => {
+    setReasonCodes(Object.fromEntries((audit.items || []).map(item => [item.batchId, item.reasonCode || ''])));
+    setRejecting(false);
+    setRejectionReason('');
+  }, [audit]);
+
+  const reviewing = canApprove && audit.status === AUDIT_STATUS.PENDING_APPROVAL;
+  // Blind counters must not see expected quantities while the count is still open
+  const hideExpected = audit.blindCount && !canApprove &&
+    [AUDIT_STATUS.SCHEDULED, AUDIT_STATUS.IN_PROGRESS].includes(audit.status);
+  const items = audit.items || [];
+  const summary = computeAuditSummary(items);
+  const isCounted = (item) => item.countedQty !== null && item.countedQty !== undefined;
+  const discrepancies = items.filter(item => isCounted(item) && Number(item.countedQty) !== Number(item.expectedQty));
+  const rows = showAll ? items : discrepancies;
+
+  const handleApprove = async () => {
+    try {
+      setProcessing(true);
+      await approveAudit(audit.id, userData, reasonCodes);
+      toast.success('Audit approved and stock adjusted');
+      onDone?.();
+    } catch (error) {
+      // Error handled in service
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const handleReject = async () => {
+    try {
+      setProcessing(true);
+      await rejectAudit(audit.id, rejectionReason.trim(), userData);
+      toast.success('Audit sent back for recount');
+      onDone?.();
+    } catch (error) {
+      // Error handled in service
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  if (hideExpected) {
+    return (
+      <p className="text-sm text-gray-600 bg-gray-50 p-3 rounded-lg">
+        This is a blind count. Results are shown once it has been submitted.
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        <div className="p-3 bg-gray-50 rounded-lg">
+          <p className="text-xs text-gray-500">Expected value</p>
+          <p className="text-lg font-semibold text-gray-900">{formatPeso(summary.expectedValue)}</p>
+        </div>
+        <div className="p-3 bg-gray-50 rounded-lg">
+          <p className="text-xs text-gray-500">Counted value</p>
+          <p className="text-lg font-semibold text-gray-900">{formatPeso(summary.countedValue)}</p>
+        </div>
+        <div className="p-3 bg-gray-50 rounded-lg">
+          <p className="text-xs text-gray-500">Net cost impact</p>
+          <p className={`text-lg font-semibold ${summary.discrepancyValue < 0 ? 'text-red-600' : summary.discrepancyValue > 0 ? 'text-green-600' : 'text-gray-900'}`}>
+            {summary.discrepancyValue > 0 ? '+' : ''}{formatPeso(summary.discrepancyValue)}
+          </p>
+        </div>
+        <div className="p-3 bg-gray-50 rounded-lg">
+          <p className="text-xs text-gray-500">Shrinkage</p>
+          <p className="text-lg font-semibold text-red-600">{formatPeso(summary.shrinkageValue)}</p>
+        </div>
+      </div>
+
+      <div className="flex items-center justify-between">
+        <h3 className="font-semibold text-gray-900">
+          {showAll ? 'All Batches' : `Discrepancies (${discrepancies.length})`}
+        </h3>
+        <button
+          type="button"
+          onClick={() => setShowAll(current => !current)}
+          className="text-sm text-blue-600 hover:text-blue-800"
+        >
+          {showAll ? 'Show discrepancies only' : 'Show all batches'}
+        </button>
+      </div>
+
+      {rows.length === 0 ? (
+        <p className="text-sm text-gray-500 bg-gray-50 p-3 rounded-lg">
+          {summary.countedItems === 0 ? 'Nothing has been counted yet.' : 'Every counted batch matched the snapshot.'}
+        </p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Product / Batch</th>
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Expected</th>
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Counted</th>
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Difference</th>
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Cost Impact</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Reason</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {rows.map(item => {
+                const difference = isCounted(item) ? Number(item.countedQty) - Number(item.expectedQty) : null;
+                return (
+                  <tr key={item.batchId}>
+                    <td className="px-3 py-2 text-sm">
+                      <div className="text-gray-900">{item.productName}</div>
+                      <div className="text-xs text-gray-500">{item.batchNumber}</div>
+                    </td>
+                    <td className="px-3 py-2 text-sm text-right text-gray-900">{item.expectedQty}</td>
+                    <td className="px-3 py-2 text-sm text-right text-gray-900">{isCounted(item) ? item.countedQty : '-'}</td>
+                    <td className={`px-3 py-2 text-sm text-right font-medium ${difference < 0 ? 'text-red-600' : difference > 0 ? 'text-green-600' : 'text-gray-500'}`}>
+                      {difference === null ? '-' : `${difference > 0 ? '+' : ''}${difference}`}
+                    </td>
+                    <td className="px-3 py-2 text-sm text-right text-gray-900">
+                      {difference ? formatPeso(difference * (Number(item.unitCost) || 0)) : '-'}
+                    </td>
+                    <td className="px-3 py-2 text-sm">
+                      {!difference ? (
+                        <span className="inline-flex items-center gap-1 text-xs text-green-600">
+                          <CheckCircle className="h-3 w-3" />
+                          Match
+                        </span>
+                      ) : reviewing ? (
+                        <select
+                          value={reasonCodes[item.batchId] || ''}
+                          onChange={(e) => setReasonCodes(prev => ({ ...prev, [item.batchId]: e.target.value }))}
+                          className="px-2 py-1 text-xs border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                        >
+                          <option value="">Choose reason...</option>
+                          {Object.entries(ADJUSTMENT_REASONS).map(([value, label]) => (
+                            <option key={value} value={value}>{label}</option>
+                          ))}
+                        </select>
+                      ) : (
+                        <div>
+                          <span className="text-gray-700">{ADJUSTMENT_REASONS[item.reasonCode] || 'Not given'}</span>
+                          {item.note && <div className="text-xs text-gray-500">{item.note}</div>}
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {reviewing && (
+        <div className="border-t pt-4 space-y-3">
+          {rejecting ? (
+            <div className="space-y-2">
+              <textarea
+                value={rejectionReason}
+                onChange={(e) => setRejectionReason(e.target.value)}
+                rows={2}
+                placeholder="What should be recounted?"
+                className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+              <div className="flex justify-end gap-2">
+                <Button variant="outline" onClick={() => setRejecting(false)} disabled={processing}>
+                  Back
+                </Button>
+                <Button onClick={handleReject} disabled={processing} className="flex items-center gap-2 bg-orange-500 hover:bg-orange-600">
+                  <RotateCcw className="h-4 w-4" />
+                  Send Back for Recount
+                </Button>
+              </div>
+            </div>
+          ) : (
+            <div className="flex justify-end gap-2">
+              <Button variant="outline" onClick={() => setRejecting(true)} disabled={processing} className="flex items-center gap-2">
+                <XCircle className="h-4 w-4" />
+                Request Recount
+              </Button>
+              <Button onClick={handleApprove} disabled={processing} className="flex items-center gap-2 bg-green-600 hover:bg-green-700">
+                <CheckCircle className="h-4 w-4" />
+                {processing ? 'Posting adjustments...' : 'Approve & Post Adjustments'}
+              </Button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AuditReview;
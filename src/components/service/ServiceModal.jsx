@@ -4,9 +4,14 @@
  */
 
 import { useState, useEffect } from 'react';
-import { X, Upload } from 'lucide-react';
-import { getServiceCategories } from '../../services/serviceManagementService';
+import { X, Upload, Plus, Trash2 } from 'lucide-react';
+import {
+  getServiceCategories,
+  SERVICE_PHASE_TYPES,
+  SERVICE_PHASE_TYPE_LABELS
+} from '../../services/serviceManagementService';
 import { uploadToCloudinary, validateImageFile } from '../../services/imageService';
+import { TAX_TREATMENTS, TAX_TREATMENT_LABELS } from '../../services/taxService';
 import toast from 'react-hot-toast';
 
 const ServiceModal = ({
@@ -21,8 +26,10 @@ const ServiceModal = ({
     description: '',
     category: 'Haircut and Blowdry',
     duration: 30,
+    phases: [],
     imageURL: '',
     isChemical: false,
+    taxTreatment: TAX_TREATMENTS.VATABLE,
     isActive: true
   });
   const [imageFile, setImageFile] = useState(null);
@@ -36,8 +43,10 @@ const ServiceModal = ({
         description: service.description || '',
         category: service.category || 'Haircut and Blowdry',
         duration: service.duration || 30,
+        phases: service.phases || [],
         imageURL: service.imageURL || '',
         isChemical: service.isChemical || false,
+        taxTreatment: service.taxTreatment || TAX_TREATMENTS.VATABLE,
         isActive: service.isActive !== undefined ? service.isActive : true
       });
       setImagePreview(service.imageURL || null);
@@ -47,8 +56,10 @@ const ServiceModal = ({
         description: '',
         category: 'Haircut and Blowdry',
         duration: 30,
+        phases: [],
         imageURL: '',
         isChemical: false,
+        taxTreatment: TAX_TREATMENTS.VATABLE,
         isActive: true
       });
       setImagePreview(null);
@@ -75,6 +86,27 @@ const ServiceModal = ({
     setFormData({ ...formData, imageURL: '' });
   };
 
+  // With phases defined, the service duration is their total
+  const phasesDuration = formData.phases.reduce((sum, phase) => sum + (parseInt(phase.duration) || 0), 0);
+
+  const handleAddPhase = () => {
+    setFormData({
+      ...formData,
+      phases: [...formData.phases, { name: '', duration: 15, type: SERVICE_PHASE_TYPES.BUSY }]
+    });
+  };
+
+  const handlePhaseChange = (index, field, value) => {
+    setFormData({
+      ...formData,
+      phases: formData.phases.map((phase, i) => (i === index ? { ...phase, [field]: value } : phase))
+    });
+  };
+
+  const handleRemovePhase = (index) => {
+    setFormData({ ...formData, phases: formData.phases.filter((_, i) => i !== index) });
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
@@ -90,6 +122,7 @@ const ServiceModal = ({
       
       onSubmit({
         ...formData,
+        duration: phasesDuration || formData.duration,
         imageURL,
         id: service?.id
       });
@@ -191,14 +224,82 @@ const ServiceModal = ({
                   required
                   min="5"
                   step="5"
-                  value={formData.duration}
+                  value={formData.phases.length > 0 ? phasesDuration : formData.duration}
                   onChange={(e) => setFormData({ ...formData, duration: parseInt(e.target.value) })}
-                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                  disabled={formData.phases.length > 0}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent disabled:bg-gray-100"
                   placeholder="30"
                 />
+                {formData.phases.length > 0 && (
+                  <p className="text-xs text-gray-500 mt-1">Total of the phases below</p>
+                )}
               </div>
             </div>
 
+            {/* Phases */}
+            <div className="border border-gray-200 rounded-lg p-4">
+              <div className="flex items-center justify-between mb-2">
+                <div>
+                  <span className="text-sm font-medium text-gray-900">Phases</span>
+                  <p className="text-xs text-gray-500">
+                    Optional. Split the service into steps; during processing steps the stylist can take another client.
+                  </p>
+                </div>
+                <button
+                  type="button"
+                  onClick={handleAddPhase}
+                  className="flex items-center gap-1 px-3 py-1.5 text-sm text-primary-600 border border-primary-200 rounded-lg hover:bg-primary-50 transition-colors"
+                >
+                  <Plus className="w-4 h-4" />
+                  Add Phase
+                </button>
+              </div>
+              {formData.phases.length > 0 && (
+                <div className="space-y-2 mt-3">
+                  {formData.phases.map((phase, index) => (
+                    <div key={index} className="grid grid-cols-12 gap-2 items-center">
+                      <input
+                        type="text"
+                        value={phase.name}
+                        onChange={(e) => handlePhaseChange(index, 'name', e.target.value)}
+                        className="col-span-5 px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                        placeholder="e.g., Application"
+                      />
+                      <input
+                        type="number"
+                        required
+                        min="5"
+                        step="5"
+                        value={phase.duration}
+                        onChange={(e) => handlePhaseChange(index, 'duration', parseInt(e.target.value) || 0)}
+                        className="col-span-2 px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                        title="Minutes"
+                      />
+                      <select
+                        value={phase.type}
+                        onChange={(e) => handlePhaseChange(index, 'type', e.target.value)}
+                        className="col-span-4 px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                      >
+                        {Object.entries(SERVICE_PHASE_TYPE_LABELS).map(([value, label]) => (
+                          <option key={value} value={value}>
+                            {label}
+                          </option>
+                        ))}
+                      </select>
+                      <button
+                        type="button"
+                        onClick={() => handleRemovePhase(index)}
+                        className="col-span-1 p-2 text-red-500 hover:bg-red-50 rounded transition-colors"
+                        title="Remove phase"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
             {/* Chemical Service Flag */}
             <div className="bg-amber-50 border border-amber-200 rounded-lg p-4">
               <label className="flex items-center gap-3 cursor-pointer">
@@ -215,6 +316,24 @@ const ServiceModal = ({
               </label>
             </div>
 
+            {/* VAT Treatment */}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                VAT Treatment
+              </label>
+              <select
+                value={formData.taxTreatment}
+                onChange={(e) => setFormData({ ...formData, taxTreatment: e.target.value })}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              >
+                {Object.entries(TAX_TREATMENT_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
             {/* Service Image */}
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
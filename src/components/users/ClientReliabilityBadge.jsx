@@ -0,0 +1,30 @@
+/**
+ * Client Reliability Badge Component
+ * Shows a client's stored reliability score, with the breakdown on hover
+ */
+
+import { RELIABILITY_LEVELS, RELIABILITY_LEVEL_LABELS, describeReliability } from '../../services/clientReliabilityService';
+
+const LEVEL_COLORS = {
+  [RELIABILITY_LEVELS.NEW]: 'bg-gray-100 text-gray-600',
+  [RELIABILITY_LEVELS.GOOD]: 'bg-green-100 text-green-700',
+  [RELIABILITY_LEVELS.FAIR]: 'bg-yellow-100 text-yellow-800',
+  [RELIABILITY_LEVELS.LOW]: 'bg-red-100 text-red-700'
+};
+
+const ClientReliabilityBadge = ({ reliability, showScore = true }) => {
+  const level = reliability?.level || RELIABILITY_LEVELS.NEW;
+  const hasScore = reliability && level !== RELIABILITY_LEVELS.NEW;
+
+  return (
+    <span
+      className={`inline-flex items-center px-2 py-0.5 text-xs font-medium rounded-full ${LEVEL_COLORS[level] || LEVEL_COLORS[RELIABILITY_LEVELS.NEW]}`}
+      title={reliability ? describeReliability(reliability) : 'No appointment history scored yet'}
+    >
+      {RELIABILITY_LEVEL_LABELS[level] || level}
+      {showScore && hasScore && <span className="ml-1">· {reliability.score}</span>}
+    </span>
+  );
+};
+
+export default ClientReliabilityBadge;
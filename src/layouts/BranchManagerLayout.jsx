@@ -1,6 +1,6 @@
 import { useState } from 'react';
 import { Outlet } from 'react-router-dom';
-import { LayoutDashboard, Users, Calendar, BarChart3, Settings, Receipt, Package, Megaphone, FileText, TrendingUp, Wallet, Banknote, CalendarDays } from 'lucide-react';
+import { LayoutDashboard, Users, Calendar, BarChart3, Settings, Receipt, Package, Megaphone, FileText, TrendingUp, Wallet, Banknote, CalendarDays, Coins, ClipboardList } from 'lucide-react';
 import Header from '../components/layout/Header';
 import Sidebar from '../components/layout/Sidebar';
 import { ROUTES } from '../utils/constants';
@@ -18,6 +18,8 @@ const BranchManagerLayout = () => {
     { path: ROUTES.MANAGER_APPOINTMENTS, label: 'Appointments', icon: Calendar },
     { path: '/manager/billing', label: 'Billing', icon: Receipt },
     { path: '/manager/commissions', label: 'Commissions', icon: Banknote },
+    { path: '/manager/tips', label: 'Tips', icon: Coins },
+    { path: ROUTES.MANAGER_PAYROLL, label: 'Payroll', icon: ClipboardList },
     { section: 'Operations' },
     { path: '/manager/inventory', label: 'Inventory', icon: Package },
     { path: '/manager/deposits', label: 'Bank Deposits', icon: Wallet },
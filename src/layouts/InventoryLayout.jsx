@@ -13,7 +13,8 @@ import {
   BarChart3, 
   Banknote, 
   ClipboardList, 
-  Calendar
+  Calendar,
+  FlaskConical
 } from 'lucide-react';
 import Header from '../components/layout/Header';
 import Sidebar from '../components/layout/Sidebar';
@@ -40,6 +41,7 @@ const InventoryLayout = () => {
     { path: ROUTES.INVENTORY_REPORTS, label: 'Reports', icon: BarChart3 },
     { path: ROUTES.INVENTORY_COST_ANALYSIS, label: 'Cost Analysis', icon: Banknote },
     { path: ROUTES.INVENTORY_AUDIT, label: 'Inventory Audit', icon: ClipboardList },
+    { path: ROUTES.INVENTORY_SERVICE_USAGE, label: 'Service Usage', icon: FlaskConical },
   ];
 
   return (
@@ -1,6 +1,6 @@
 import { useState } from 'react';
 import { Outlet } from 'react-router-dom';
-import { LayoutDashboard, Building2, BarChart3, TrendingUp, Activity, Users, Package, ShoppingCart, Wallet, Banknote, Calendar, Tag } from 'lucide-react';
+import { LayoutDashboard, Building2, BarChart3, TrendingUp, Activity, Users, Package, ShoppingCart, Wallet, Banknote, Calendar, Tag, Gift } from 'lucide-react';
 import Header from '../components/layout/Header';
 import Sidebar from '../components/layout/Sidebar';
 import { ROUTES } from '../utils/constants';
@@ -17,6 +17,7 @@ const OperationalManagerLayout = () => {
     { path: '/operational-manager/inventory', label: 'Inventory', icon: Package },
     { path: '/operational-manager/purchase-orders', label: 'Purchase Orders', icon: ShoppingCart },
     { path: '/operational-manager/deposits', label: 'Deposits', icon: Wallet },
+    { path: ROUTES.OPERATIONAL_MANAGER_GIFT_CARDS, label: 'Gift Cards', icon: Gift },
     { path: ROUTES.OPERATIONAL_MANAGER_CALENDAR, label: 'Calendar', icon: Calendar },
     { path: '/operational-manager/leave-management', label: 'Leave Management', icon: Calendar },
     { section: 'Analytics' },
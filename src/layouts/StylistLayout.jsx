@@ -1,6 +1,6 @@
 import { useState, useEffect } from 'react';
 import { Outlet } from 'react-router-dom';
-import { LayoutDashboard, Calendar, CalendarDays, User, CheckCircle, History, Bell, Clock, Image } from 'lucide-react';
+import { LayoutDashboard, Calendar, CalendarDays, User, CheckCircle, History, Bell, Clock, Image, Banknote } from 'lucide-react';
 import Header from '../components/layout/Header';
 import Sidebar from '../components/layout/Sidebar';
 import { ROUTES } from '../utils/constants';
@@ -18,6 +18,7 @@ const StylistLayout = () => {
     { path: ROUTES.STYLIST_APPOINTMENTS, label: 'My Appointments', icon: Calendar },
     { path: '/stylist/check-ins', label: 'Check-Ins', icon: CheckCircle },
     { path: '/stylist/service-history', label: 'Service History', icon: History },
+    { path: ROUTES.STYLIST_COMMISSIONS, label: 'My Commissions', icon: Banknote },
     { path: '/stylist/leave-management', label: 'Leave Requests', icon: CalendarDays },
     { path: ROUTES.STYLIST_SCHEDULE, label: 'My Schedule', icon: Clock },
     { path: '/stylist/portfolio', label: 'Portfolio', icon: Image },
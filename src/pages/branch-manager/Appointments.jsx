@@ -4,7 +4,7 @@
  */
 
 import { useState, useEffect, useMemo, useCallback } from 'react';
-import { Calendar, TrendingUp, Users, Clock, CheckCircle, XCircle, AlertCircle, BarChart3, Printer, Search, Filter, ChevronUp, ChevronDown, X, ArrowUpDown, Download } from 'lucide-react';
+import { Calendar, TrendingUp, Users, Clock, CheckCircle, XCircle, AlertCircle, BarChart3, Printer, Search, Filter, ChevronUp, ChevronDown, X, ArrowUpDown, Download, CalendarDays, List } from 'lucide-react';
 import { useAuth } from '../../context/AuthContext';
 import { 
   getAppointmentsByBranch,
@@ -16,6 +16,10 @@ import { getUsersByRole } from '../../services/userService';
 import { USER_ROLES } from '../../utils/constants';
 import { getFullName, formatDate, formatTime } from '../../utils/helpers';
 import LoadingSpinner from '../../components/ui/LoadingSpinner';
+import CalendarFeedModal from '../../components/appointment/CalendarFeedModal';
+import ResourceCalendar from '../../components/appointment/ResourceCalendar';
+import AppointmentDetails from '../../components/appointment/AppointmentDetails';
+import { CALENDAR_FEED_TYPES } from '../../services/calendarService';
 import toast from 'react-hot-toast';
 
 const ITEMS_PER_PAGE_OPTIONS = [15, 25, 50, 100, 200];
@@ -46,6 +50,9 @@ const BranchManagerAppointments = () => {
   const [minAmountFilter, setMinAmountFilter] = useState('');
   const [maxAmountFilter, setMaxAmountFilter] = useState('');
   const [showFilters, setShowFilters] = useState(false);
+  const [showCalendarModal, setShowCalendarModal] = useState(false);
+  const [viewMode, setViewMode] = useState('list'); // 'list' or 'calendar'
+  const [selectedAppointment, setSelectedAppointment] = useState(null);
   const [dateFilterType, setDateFilterType] = useState('all'); // 'all', 'today', 'thisWeek', 'lastWeek', 'thisMonth', 'lastMonth', 'thisYear', 'custom', 'monthYear'
   const [selectedMonth, setSelectedMonth] = useState(new Date().getMonth() + 1);
   const [selectedYear, setSelectedYear] = useState(new Date().getFullYear());
@@ -927,6 +934,19 @@ const BranchManagerAppointments = () => {
     }
   };
 
+  // Calendar cards hold the live record; open the enriched one from the list when loaded
+  const handleCalendarSelect = (appointment) => {
+    setSelectedAppointment(allAppointments.find(apt => apt.id === appointment.id) || appointment);
+  };
+
+  const handleViewModeChange = (mode) => {
+    setViewMode(mode);
+    // Moves made on the calendar aren't in the list yet
+    if (mode === 'list') {
+      fetchData();
+    }
+  };
+
   if (loading || !stats) {
     return (
       <div className="flex items-center justify-center h-64">
@@ -944,6 +964,31 @@ const BranchManagerAppointments = () => {
           <p className="text-gray-600">Monitor and analyze branch appointments</p>
         </div>
         <div className="flex items-center gap-3 flex-wrap">
+          <div className="inline-flex rounded-lg border border-gray-300 overflow-hidden">
+            <button
+              onClick={() => handleViewModeChange('list')}
+              className={`flex items-center gap-1 px-3 py-2 text-sm ${viewMode === 'list' ? 'bg-primary-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+              title="List view"
+            >
+              <List className="w-4 h-4" />
+              List
+            </button>
+            <button
+              onClick={() => handleViewModeChange('calendar')}
+              className={`flex items-center gap-1 px-3 py-2 text-sm ${viewMode === 'calendar' ? 'bg-primary-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+              title="Calendar view"
+            >
+              <CalendarDays className="w-4 h-4" />
+              Calendar
+            </button>
+          </div>
+          <button
+            onClick={() => setShowCalendarModal(true)}
+            className="flex items-center gap-2 px-4 py-2 bg-white border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+          >
+            <CalendarDays className="w-4 h-4" />
+            Calendar Link
+          </button>
           <button
             onClick={handleExportCSV}
             className="flex items-center gap-2 px-4 py-2 bg-white border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
@@ -961,6 +1006,14 @@ const BranchManagerAppointments = () => {
         </div>
       </div>
 
+      {viewMode === 'calendar' ? (
+        <ResourceCalendar
+          branchId={userBranch}
+          stylists={stylists}
+          onSelectAppointment={handleCalendarSelect}
+        />
+      ) : (
+        <>
       {/* Stats Cards */}
       {stats && (
         <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
@@ -1686,6 +1739,24 @@ const BranchManagerAppointments = () => {
           </div>
         )}
       </div>
+        </>
+      )}
+
+      {/* Appointment Details Modal */}
+      {selectedAppointment && (
+        <AppointmentDetails
+          appointment={selectedAppointment}
+          onClose={() => setSelectedAppointment(null)}
+        />
+      )}
+
+      <CalendarFeedModal
+        isOpen={showCalendarModal}
+        onClose={() => setShowCalendarModal(false)}
+        type={CALENDAR_FEED_TYPES.BRANCH}
+        branchId={userBranch}
+        name={userBranchData?.branchName || userBranchData?.name || ''}
+      />
     </div>
   );
 };
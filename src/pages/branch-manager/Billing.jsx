@@ -4,15 +4,20 @@
  */
 
 import { useState, useEffect, useRef, useMemo } from 'react';
-import { Search, Banknote, Calendar, Receipt, Eye, RefreshCw, XCircle, Download, Printer, User, CheckCircle, FileSearch, AlertCircle, CheckCircle2, Upload, FileText, BarChart3, X, Filter, ChevronUp, ChevronDown, ArrowUpDown } from 'lucide-react';
+import { Search, Banknote, Calendar, Receipt, Eye, RefreshCw, RotateCcw, XCircle, Download, Printer, User, CheckCircle, FileSearch, AlertCircle, CheckCircle2, Upload, FileText, BarChart3, X, Filter, ChevronUp, ChevronDown, ArrowUpDown } from 'lucide-react';
 import { useAuth } from '../../context/AuthContext';
 import { 
   getBillsByBranch,
   getDailySalesSummary,
   voidBill,
+  refundBill,
+  getRefundableItems,
   getBillingLogs,
   BILL_STATUS,
   PAYMENT_METHODS,
+  SPLIT_PAYMENT_METHOD,
+  getBillTenders,
+  getGiftCardTenderBalances,
   createBill
 } from '../../services/billingService';
 import { getBranchById } from '../../services/branchService';
@@ -60,6 +65,10 @@ const BranchManagerBilling = () => {
   const [verifyingWitness, setVerifyingWitness] = useState(false);
   const [witnessVerified, setWitnessVerified] = useState(false);
   const [witnessInfo, setWitnessInfo] = useState(null);
+  const [showRefundModal, setShowRefundModal] = useState(false);
+  const [refundQuantities, setRefundQuantities] = useState({});
+  const [refundReason, setRefundReason] = useState('');
+  const [refundMethod, setRefundMethod] = useState(PAYMENT_METHODS.CASH);
   
   // Receipt number checker - Advanced
   const [showReceiptChecker, setShowReceiptChecker] = useState(false);
@@ -151,7 +160,7 @@ const BranchManagerBilling = () => {
       }
 
       // Payment method filter
-      if (paymentMethodFilter !== 'all' && bill.paymentMethod !== paymentMethodFilter) {
+      if (paymentMethodFilter !== 'all' && !getBillTenders(bill).some(tender => tender.method === paymentMethodFilter)) {
         return false;
       }
 
@@ -545,8 +554,9 @@ const BranchManagerBilling = () => {
       // Payment method breakdown
       const paymentBreakdown = {};
       sortedBills.forEach(bill => {
-        const method = bill.paymentMethod || 'unknown';
-        paymentBreakdown[method] = (paymentBreakdown[method] || 0) + (bill.total || 0);
+        getBillTenders(bill).forEach(tender => {
+          paymentBreakdown[tender.method] = (paymentBreakdown[tender.method] || 0) + (tender.amount || 0);
+        });
       });
       
       // Generate HTML report
@@ -816,9 +826,73 @@ const BranchManagerBilling = () => {
     }
   };
 
+  const handleRefundClick = (bill) => {
+    setSelectedBill(bill);
+    setRefundQuantities({});
+    setRefundReason('');
+    // Money paid by gift card goes back on the card by default
+    const paidByGiftCard = Object.values(getGiftCardTenderBalances(bill)).some(amount => amount > 0);
+    setRefundMethod(paidByGiftCard ? PAYMENT_METHODS.GIFT_CARD : PAYMENT_METHODS.CASH);
+    setShowRefundModal(true);
+  };
+
+  const refundableItems = useMemo(
+    () => (showRefundModal && selectedBill ? getRefundableItems(selectedBill) : []),
+    [showRefundModal, selectedBill]
+  );
+
+  const giftCardRefundable = useMemo(
+    () => (showRefundModal && selectedBill
+      ? Object.values(getGiftCardTenderBalances(selectedBill)).reduce((sum, amount) => sum + amount, 0)
+      : 0),
+    [showRefundModal, selectedBill]
+  );
+
+  const refundTotal = refundableItems.reduce(
+    (sum, line) => sum + line.unitRefundAmount * (refundQuantities[line.index] || 0),
+    0
+  );
+
+  const confirmRefund = async () => {
+    const items = Object.entries(refundQuantities)
+      .filter(([, quantity]) => quantity > 0)
+      .map(([index, quantity]) => ({ index: Number(index), quantity }));
+
+    if (items.length === 0) {
+      toast.error('Select at least one item to refund');
+      return;
+    }
+
+    if (!refundReason.trim()) {
+      toast.error('Please provide a reason for the refund');
+      return;
+    }
+
+    try {
+      setProcessing(true);
+      const userForBilling = {
+        ...currentUser,
+        ...userData,
+        uid: currentUser.uid
+      };
+      await refundBill(selectedBill.id, { items, reason: refundReason, method: refundMethod }, userForBilling);
+
+      setShowRefundModal(false);
+      setSelectedBill(null);
+      setRefundQuantities({});
+      setRefundReason('');
+      await fetchData();
+    } catch (error) {
+      console.error('Error refunding bill:', error);
+    } finally {
+      setProcessing(false);
+    }
+  };
+
   const getStatusBadge = (status) => {
     const badges = {
       [BILL_STATUS.PAID]: 'bg-green-100 text-green-700',
+      [BILL_STATUS.PARTIALLY_REFUNDED]: 'bg-orange-100 text-orange-700',
       [BILL_STATUS.REFUNDED]: 'bg-red-100 text-red-700',
       [BILL_STATUS.VOIDED]: 'bg-gray-100 text-gray-700'
     };
@@ -830,7 +904,9 @@ const BranchManagerBilling = () => {
       [PAYMENT_METHODS.CASH]: 'Cash',
       [PAYMENT_METHODS.CARD]: 'Card',
       [PAYMENT_METHODS.VOUCHER]: 'E-Wallet',
-      [PAYMENT_METHODS.GIFT_CARD]: 'Gift Card'
+      [PAYMENT_METHODS.GIFT_CARD]: 'Gift Card',
+      [PAYMENT_METHODS.DEPOSIT]: 'Deposit',
+      [SPLIT_PAYMENT_METHOD]: 'Split Payment'
     };
     return labels[method] || method;
   };
@@ -1133,6 +1209,9 @@ const BranchManagerBilling = () => {
               <div>
                 <p className="text-sm text-gray-600">Net Revenue</p>
                 <p className="text-2xl font-bold text-green-600 mt-1">₱{dailySummary.netRevenue?.toFixed(2) || '0.00'}</p>
+                {dailySummary.retainedDeposits > 0 && (
+                  <p className="text-xs text-gray-500 mt-1">Incl. ₱{dailySummary.retainedDeposits.toFixed(2)} kept deposits</p>
+                )}
               </div>
               <div className="p-3 bg-green-100 rounded-lg">
                 <Banknote className="w-6 h-6 text-green-600" />
@@ -1237,6 +1316,7 @@ const BranchManagerBilling = () => {
                 <option value="all">All Status</option>
                 <option value={BILL_STATUS.PAID}>Paid</option>
                 <option value={BILL_STATUS.VOIDED}>Voided</option>
+                <option value={BILL_STATUS.PARTIALLY_REFUNDED}>Partially Refunded</option>
                 <option value={BILL_STATUS.REFUNDED}>Refunded</option>
               </select>
 
@@ -1483,6 +1563,15 @@ const BranchManagerBilling = () => {
                         >
                           <Eye className="w-4 h-4" />
                         </button>
+                        {(bill.status === BILL_STATUS.PAID || bill.status === BILL_STATUS.PARTIALLY_REFUNDED) && (
+                          <button
+                            onClick={() => handleRefundClick(bill)}
+                            className="p-1.5 text-orange-600 hover:bg-orange-50 rounded transition-colors"
+                            title="Refund Items"
+                          >
+                            <RotateCcw className="w-4 h-4" />
+                          </button>
+                        )}
                         {bill.status === BILL_STATUS.PAID && (
                           <button
                             onClick={() => handleVoidClick(bill)}
@@ -1617,20 +1706,32 @@ const BranchManagerBilling = () => {
                     </div>
                   </div>
 
-                  {selectedBill.status === BILL_STATUS.PAID && (
+                  {(selectedBill.status === BILL_STATUS.PAID || selectedBill.status === BILL_STATUS.PARTIALLY_REFUNDED) && (
                     <div className="border-t border-gray-200 pt-4">
                       <h3 className="font-semibold text-gray-900 mb-3">Actions</h3>
                       <div className="space-y-2">
                         <button
                           onClick={() => {
                             setShowDetailsModal(false);
-                            handleVoidClick(selectedBill);
+                            handleRefundClick(selectedBill);
                           }}
-                          className="w-full flex items-center justify-center gap-2 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors"
+                          className="w-full flex items-center justify-center gap-2 px-4 py-2 bg-orange-600 text-white rounded-lg hover:bg-orange-700 transition-colors"
                         >
-                          <XCircle className="w-4 h-4" />
-                          Void Transaction
+                          <RotateCcw className="w-4 h-4" />
+                          Refund Items
                         </button>
+                        {selectedBill.status === BILL_STATUS.PAID && (
+                          <button
+                            onClick={() => {
+                              setShowDetailsModal(false);
+                              handleVoidClick(selectedBill);
+                            }}
+                            className="w-full flex items-center justify-center gap-2 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors"
+                          >
+                            <XCircle className="w-4 h-4" />
+                            Void Transaction
+                          </button>
+                        )}
                       </div>
                     </div>
                   )}
@@ -1765,6 +1866,104 @@ const BranchManagerBilling = () => {
         </div>
       </ConfirmModal>
 
+      {/* Refund Modal */}
+      <ConfirmModal
+        isOpen={showRefundModal}
+        onClose={() => {
+          if (!processing) {
+            setShowRefundModal(false);
+            setSelectedBill(null);
+            setRefundQuantities({});
+            setRefundReason('');
+          }
+        }}
+        onConfirm={confirmRefund}
+        title="Refund Items"
+        message={`Select the items and quantities to refund on bill #${selectedBill?.id}.`}
+        confirmText={`Refund ₱${refundTotal.toFixed(2)}`}
+        cancelText="Cancel"
+        type="warning"
+        loading={processing}
+        disabled={refundTotal <= 0 || !refundReason.trim()}
+      >
+        <div className="mt-4 space-y-4">
+          <div className="border border-gray-200 rounded-lg divide-y divide-gray-200">
+            {refundableItems.map((line) => (
+              <div key={line.index} className="flex items-center justify-between gap-3 p-3">
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-gray-900 truncate">{line.item.name}</p>
+                  <p className="text-xs text-gray-500">
+                    <span className="capitalize">{(line.item.type || '').replace('_', ' ')}</span>
+                    {' · '}₱{line.unitRefundAmount.toFixed(2)} each
+                    {line.refundedQuantity > 0 && ` · ${line.refundedQuantity} already refunded`}
+                  </p>
+                </div>
+                {line.refundableQuantity > 0 ? (
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="number"
+                      min="0"
+                      max={line.refundableQuantity}
+                      value={refundQuantities[line.index] || 0}
+                      onChange={(e) => {
+                        const quantity = Math.min(line.refundableQuantity, Math.max(0, parseInt(e.target.value, 10) || 0));
+                        setRefundQuantities(prev => ({ ...prev, [line.index]: quantity }));
+                      }}
+                      disabled={processing}
+                      className="w-20 px-2 py-1 border border-gray-300 rounded-lg text-right focus:ring-2 focus:ring-primary-500"
+                    />
+                    <span className="text-xs text-gray-500 whitespace-nowrap">of {line.refundableQuantity}</span>
+                  </div>
+                ) : (
+                  <span className="text-xs text-gray-400 italic">
+                    {line.item.type === 'gift_card' && !line.item.giftCardCode ? 'Not refundable' : 'Refunded'}
+                  </span>
+                )}
+              </div>
+            ))}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Refund Method
+            </label>
+            <select
+              value={refundMethod}
+              onChange={(e) => setRefundMethod(e.target.value)}
+              disabled={processing}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+            >
+              <option value={PAYMENT_METHODS.CASH}>Cash</option>
+              <option value={PAYMENT_METHODS.CARD}>Card</option>
+              <option value={PAYMENT_METHODS.VOUCHER}>E-Wallet</option>
+              {giftCardRefundable > 0 && (
+                <option value={PAYMENT_METHODS.GIFT_CARD}>Gift Card (up to ₱{giftCardRefundable.toFixed(2)})</option>
+              )}
+            </select>
+            {refundableItems.some(line => line.item.type === 'gift_card' && (refundQuantities[line.index] || 0) > 0) && (
+              <p className="mt-1 text-xs text-gray-500">
+                Refunded gift cards are voided. A card that has already been used cannot be refunded.
+              </p>
+            )}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Reason for Refund *
+            </label>
+            <textarea
+              value={refundReason}
+              onChange={(e) => setRefundReason(e.target.value)}
+              rows={3}
+              disabled={processing}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+              placeholder="Enter reason for this refund..."
+              required
+            />
+          </div>
+        </div>
+      </ConfirmModal>
+
       {/* Hidden receipt for printing */}
       <div className="hidden">
         <ReceiptComponent ref={receiptRef} bill={selectedBill || {}} branch={branchData} />
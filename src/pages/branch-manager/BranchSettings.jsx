@@ -5,9 +5,27 @@
 
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { MapPin, Phone, Mail, Clock, Save, ArrowLeft, Activity, Search, Filter, RefreshCw } from 'lucide-react';
+import { MapPin, Phone, Mail, Clock, Save, ArrowLeft, Activity, Search, Filter, RefreshCw, Hash, Percent, Wallet, Armchair, Plus, Trash2, CalendarClock, UserCheck } from 'lucide-react';
 import { getBranchById, updateBranch } from '../../services/branchService';
 import { getActivityLogs } from '../../services/activityService';
+import {
+  RECEIPT_SEQUENCE_RESET,
+  getBranchCode,
+  formatTransactionNumber,
+  getSkippedTransactionNumbers
+} from '../../services/transactionNumberService';
+import { getBranchTaxSettings, DEFAULT_TAX_SETTINGS, TAX_MODES } from '../../services/taxService';
+import {
+  getBranchDepositPolicy,
+  DEFAULT_DEPOSIT_POLICY,
+  DEPOSIT_POLICY_ACTION_LABELS
+} from '../../services/appointmentDepositService';
+import {
+  getBranchBookingPolicy,
+  DEFAULT_BOOKING_POLICY,
+  SLOT_INTERVAL_OPTIONS
+} from '../../services/bookingPolicyService';
+import { getBranchReliabilityPolicy, DEFAULT_RELIABILITY_POLICY } from '../../services/clientReliabilityService';
 import { useAuth } from '../../context/AuthContext';
 import LoadingSpinner from '../../components/ui/LoadingSpinner';
 import toast from 'react-hot-toast';
@@ -22,6 +40,12 @@ const BranchSettings = () => {
     address: '',
     contact: '',
     email: '',
+    receiptSequenceReset: RECEIPT_SEQUENCE_RESET.NEVER,
+    taxSettings: DEFAULT_TAX_SETTINGS,
+    depositPolicy: DEFAULT_DEPOSIT_POLICY,
+    bookingPolicy: DEFAULT_BOOKING_POLICY,
+    reliabilityPolicy: DEFAULT_RELIABILITY_POLICY,
+    resources: [],
     operatingHours: {
       monday: { open: '09:00', close: '18:00', isOpen: true },
       tuesday: { open: '09:00', close: '18:00', isOpen: true },
@@ -38,6 +62,7 @@ const BranchSettings = () => {
   const [loadingLogs, setLoadingLogs] = useState(false);
   const [searchTerm, setSearchTerm] = useState('');
   const [actionFilter, setActionFilter] = useState('all');
+  const [skippedNumbers, setSkippedNumbers] = useState([]);
 
   const days = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
 
@@ -59,8 +84,15 @@ const BranchSettings = () => {
         address: data.address || '',
         contact: data.contact || '',
         email: data.email || '',
+        receiptSequenceReset: data.receiptSequenceReset || RECEIPT_SEQUENCE_RESET.NEVER,
+        taxSettings: getBranchTaxSettings(data),
+        depositPolicy: getBranchDepositPolicy(data),
+        bookingPolicy: getBranchBookingPolicy(data),
+        reliabilityPolicy: getBranchReliabilityPolicy(data),
+        resources: data.resources || [],
         operatingHours: data.operatingHours || formData.operatingHours
       });
+      setSkippedNumbers(await getSkippedTransactionNumbers(userBranch));
     } catch (error) {
       // Silently handle error, UI will show "No branch assigned" message
       setBranch(null);
@@ -77,6 +109,71 @@ const BranchSettings = () => {
     }));
   };
 
+  const handleTaxChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      taxSettings: {
+        ...prev.taxSettings,
+        [name]: value
+      }
+    }));
+  };
+
+  const handleDepositPolicyChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      depositPolicy: {
+        ...prev.depositPolicy,
+        [name]: value
+      }
+    }));
+  };
+
+  const handleBookingPolicyChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      bookingPolicy: {
+        ...prev.bookingPolicy,
+        [name]: value
+      }
+    }));
+  };
+
+  const handleReliabilityPolicyChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      reliabilityPolicy: {
+        ...prev.reliabilityPolicy,
+        [name]: type === 'checkbox' ? checked : value
+      }
+    }));
+  };
+
+  const handleResourceChange = (index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      resources: prev.resources.map((resource, i) => i === index ? { ...resource, [field]: value } : resource)
+    }));
+  };
+
+  const handleAddResource = () => {
+    setFormData(prev => ({
+      ...prev,
+      resources: [...prev.resources, { id: Date.now().toString(), name: '', capacity: 1 }]
+    }));
+  };
+
+  const handleRemoveResource = (index) => {
+    setFormData(prev => ({
+      ...prev,
+      resources: prev.resources.filter((_, i) => i !== index)
+    }));
+  };
+
   const handleHoursChange = (day, field, value) => {
     setFormData(prev => ({
       ...prev,
@@ -172,9 +269,55 @@ const BranchSettings = () => {
       return;
     }
 
+    const taxRate = parseFloat(formData.taxSettings.rate);
+    if (isNaN(taxRate) || taxRate < 0 || taxRate > 100) {
+      toast.error('VAT rate must be between 0 and 100');
+      return;
+    }
+
+    const cutoffHours = parseFloat(formData.depositPolicy.cutoffHours);
+    const noShowFee = parseFloat(formData.depositPolicy.noShowFee) || 0;
+    if (isNaN(cutoffHours) || cutoffHours < 0 || noShowFee < 0) {
+      toast.error('Cancellation cutoff and no-show fee cannot be negative');
+      return;
+    }
+
+    const bookingPolicyValues = Object.values(formData.bookingPolicy).map(value => parseFloat(value));
+    if (bookingPolicyValues.some(value => isNaN(value) || value < 0)) {
+      toast.error('Booking policy values cannot be negative');
+      return;
+    }
+
+    const reliabilityValues = Object.values(formData.reliabilityPolicy)
+      .filter(value => typeof value !== 'boolean')
+      .map(value => parseFloat(value));
+    if (reliabilityValues.some(value => isNaN(value) || value < 0)) {
+      toast.error('Client reliability values cannot be negative');
+      return;
+    }
+    if (parseFloat(formData.reliabilityPolicy.lowReliabilityThreshold) > 100) {
+      toast.error('Low reliability threshold must be between 0 and 100');
+      return;
+    }
+
+    const resources = formData.resources
+      .filter(resource => resource.name.trim())
+      .map(resource => ({ id: resource.id, name: resource.name.trim(), capacity: parseInt(resource.capacity) || 0 }));
+    if (resources.some(resource => resource.capacity < 1)) {
+      toast.error('Each resource needs at least 1 unit');
+      return;
+    }
+
     try {
       setSaving(true);
-      await updateBranch(userBranch, formData, currentUser);
+      await updateBranch(userBranch, {
+        ...formData,
+        taxSettings: { ...formData.taxSettings, rate: taxRate },
+        depositPolicy: getBranchDepositPolicy({ depositPolicy: formData.depositPolicy }),
+        bookingPolicy: getBranchBookingPolicy({ bookingPolicy: formData.bookingPolicy }),
+        reliabilityPolicy: getBranchReliabilityPolicy({ reliabilityPolicy: formData.reliabilityPolicy }),
+        resources
+      }, currentUser);
       await fetchBranch();
       toast.success('Branch settings updated successfully');
     } catch (error) {
@@ -425,6 +568,487 @@ const BranchSettings = () => {
             </div>
           </div>
 
+          {/* Transaction Numbering Section */}
+          <div>
+            <h3 className="text-sm font-semibold text-gray-900 mb-3 pb-2 border-b border-gray-200">
+              <Hash className="w-4 h-4 inline mr-2" />
+              Transaction Numbering
+            </h3>
+            <div className="space-y-4">
+              <div>
+                <label htmlFor="receiptSequenceReset" className="block text-sm font-medium text-gray-700 mb-2">
+                  Sequence
+                </label>
+                <select
+                  id="receiptSequenceReset"
+                  name="receiptSequenceReset"
+                  value={formData.receiptSequenceReset}
+                  onChange={handleChange}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                >
+                  <option value={RECEIPT_SEQUENCE_RESET.NEVER}>
+                    Continuous ({formatTransactionNumber(getBranchCode(userBranch), 42)})
+                  </option>
+                  <option value={RECEIPT_SEQUENCE_RESET.DAILY}>
+                    Restart every day ({formatTransactionNumber(getBranchCode(userBranch), 1, '20260101')})
+                  </option>
+                </select>
+              </div>
+
+              {skippedNumbers.length > 0 && (
+                <div>
+                  <p className="text-sm font-medium text-gray-700 mb-2">Skipped Numbers</p>
+                  <div className="max-h-48 overflow-y-auto border border-gray-200 rounded-lg divide-y divide-gray-100">
+                    {skippedNumbers.map(skip => (
+                      <div key={skip.id} className="flex items-start justify-between gap-4 px-3 py-2 text-sm">
+                        <div>
+                          <p className="font-mono text-gray-900">{skip.transactionId}</p>
+                          <p className="text-xs text-gray-500">{skip.reason}</p>
+                        </div>
+                        <span className="text-xs text-gray-500 whitespace-nowrap">{formatTimestamp(skip.createdAt)}</span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </div>
+          </div>
+
+          {/* Tax / VAT Section */}
+          <div>
+            <h3 className="text-sm font-semibold text-gray-900 mb-3 pb-2 border-b border-gray-200">
+              <Percent className="w-4 h-4 inline mr-2" />
+              Tax / VAT
+            </h3>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label htmlFor="taxMode" className="block text-sm font-medium text-gray-700 mb-2">
+                  Pricing
+                </label>
+                <select
+                  id="taxMode"
+                  name="mode"
+                  value={formData.taxSettings.mode}
+                  onChange={handleTaxChange}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                >
+                  <option value={TAX_MODES.INCLUSIVE}>Prices include VAT</option>
+                  <option value={TAX_MODES.EXCLUSIVE}>VAT added at checkout</option>
+                </select>
+              </div>
+              <div>
+                <label htmlFor="taxRate" className="block text-sm font-medium text-gray-700 mb-2">
+                  VAT Rate (%)
+                </label>
+                <input
+                  type="number"
+                  id="taxRate"
+                  name="rate"
+                  min="0"
+                  max="100"
+                  step="0.01"
+                  value={formData.taxSettings.rate}
+                  onChange={handleTaxChange}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label htmlFor="taxTin" className="block text-sm font-medium text-gray-700 mb-2">
+                  VAT Reg. TIN
+                </label>
+                <input
+                  type="text"
+                  id="taxTin"
+                  name="tin"
+                  value={formData.taxSettings.tin}
+                  onChange={handleTaxChange}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                  placeholder="000-000-000-000"
+                />
+              </div>
+            </div>
+            <p className="text-xs text-gray-500 mt-2">
+              Printed on official receipts. Senior citizen and PWD bills are always VAT-exempt.
+            </p>
+          </div>
+
+          {/* Deposits & No-Shows Section */}
+          <div>
+            <h3 className="text-sm font-semibold text-gray-900 mb-3 pb-2 border-b border-gray-200">
+              <Wallet className="w-4 h-4 inline mr-2" />
+              Deposits &amp; No-Shows
+            </h3>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label htmlFor="cutoffHours" className="block text-sm font-medium text-gray-700 mb-2">
+                  Free Cancellation Cutoff (hours before)
+                </label>
+                <input
+                  type="number"
+                  id="cutoffHours"
+                  name="cutoffHours"
+                  min="0"
+                  step="1"
+                  value={formData.depositPolicy.cutoffHours}
+                  onChange={handleDepositPolicyChange}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label htmlFor="noShowFee" className="block text-sm font-medium text-gray-700 mb-2">
+                  No-Show / Late Cancellation Fee (₱)
+                </label>
+                <input
+                  type="number"
+                  id="noShowFee"
+                  name="noShowFee"
+                  min="0"
+                  step="0.01"
+                  value={formData.depositPolicy.noShowFee}
+                  onChange={handleDepositPolicyChange}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label htmlFor="lateCancelAction" className="block text-sm font-medium text-gray-700 mb-2">
+                  Late Cancellation
+                </label>
+                <select
+                  id="lateCancelAction"
+                  name="lateCancelAction"
+                  value={formData.depositPolicy.lateCancelAction}
+                  onChange={handleDepositPolicyChange}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                >
+                  {Object.entries(DEPOSIT_POLICY_ACTION_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="noShowAction" className="block text-sm font-medium text-gray-700 mb-2">
+                  No-Show
+                </label>
+                <select
+                  id="noShowAction"
+                  name="noShowAction"
+                  value={formData.depositPolicy.noShowAction}
+                  onChange={handleDepositPolicyChange}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                >
+                  {Object.entries(DEPOSIT_POLICY_ACTION_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            <p className="text-xs text-gray-500 mt-2">
+              Applies to appointments with a deposit requirement. Cancellations before the cutoff always get their deposit back.
+              Fees are taken from the deposit first; any balance is collected at the client&apos;s next visit.
+            </p>
+          </div>
+
+          {/* Booking Policy Section */}
+          <div>
+            <h3 className="text-sm font-semibold text-gray-900 mb-3 pb-2 border-b border-gray-200">
+              <CalendarClock className="w-4 h-4 inline mr-2" />
+              Booking Policy
+            </h3>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label htmlFor="slotIntervalMinutes" className="block text-sm font-medium text-gray-700 mb-2">
+                  Time Slot Interval
+                </label>
+                <select
+                  id="slotIntervalMinutes"
+                  name="slotIntervalMinutes"
+                  value={formData.bookingPolicy.slotIntervalMinutes}
+                  onChange={handleBookingPolicyChange}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                >
+                  {SLOT_INTERVAL_OPTIONS.map(minutes => (
+                    <option key={minutes} value={minutes}>Every {minutes} minutes</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="minLeadTimeMinutes" className="block text-sm font-medium text-gray-700 mb-2">
+                  Minimum Lead Time (minutes before)
+                </label>
+                <input
+                  type="number"
+                  id="minLeadTimeMinutes"
+                  name="minLeadTimeMinutes"
+                  min="0"
+                  step="15"
+                  value={formData.bookingPolicy.minLeadTimeMinutes}
+                  onChange={handleBookingPolicyChange}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label htmlFor="maxAdvanceDays" className="block text-sm font-medium text-gray-700 mb-2">
+                  Maximum Advance Booking (days ahead)
+                </label>
+                <input
+                  type="number"
+                  id="maxAdvanceDays"
+                  name="maxAdvanceDays"
+                  min="0"
+                  step="1"
+                  value={formData.bookingPolicy.maxAdvanceDays}
+                  onChange={handleBookingPolicyChange}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label htmlFor="rescheduleCutoffHours" className="block text-sm font-medium text-gray-700 mb-2">
+                  Reschedule Cutoff (hours before)
+                </label>
+                <input
+                  type="number"
+                  id="rescheduleCutoffHours"
+                  name="rescheduleCutoffHours"
+                  min="0"
+                  step="1"
+                  value={formData.bookingPolicy.rescheduleCutoffHours}
+                  onChange={handleBookingPolicyChange}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label htmlFor="cancelCutoffHours" className="block text-sm font-medium text-gray-700 mb-2">
+                  Cancellation Cutoff (hours before)
+                </label>
+                <input
+                  type="number"
+                  id="cancelCutoffHours"
+                  name="cancelCutoffHours"
+                  min="0"
+                  step="1"
+                  value={formData.bookingPolicy.cancelCutoffHours}
+                  onChange={handleBookingPolicyChange}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label htmlFor="maxNoPreferenceConcurrent" className="block text-sm font-medium text-gray-700 mb-2">
+                  Max Concurrent &quot;Any Stylist&quot; Bookings
+                </label>
+                <input
+                  type="number"
+                  id="maxNoPreferenceConcurrent"
+                  name="maxNoPreferenceConcurrent"
+                  min="0"
+                  step="1"
+                  value={formData.bookingPolicy.maxNoPreferenceConcurrent}
+                  onChange={handleBookingPolicyChange}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label htmlFor="maxOnlineBookingsPerDay" className="block text-sm font-medium text-gray-700 mb-2">
+                  Max Online Bookings per Day
+                </label>
+                <input
+                  type="number"
+                  id="maxOnlineBookingsPerDay"
+                  name="maxOnlineBookingsPerDay"
+                  min="0"
+                  step="1"
+                  value={formData.bookingPolicy.maxOnlineBookingsPerDay}
+                  onChange={handleBookingPolicyChange}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                />
+              </div>
+            </div>
+            <p className="text-xs text-gray-500 mt-2">
+              Set a value to 0 for no limit. The lead time, advance window and daily cap only apply to online
+              bookings; the front desk can book any open time. Waitlist offers are not affected by them.
+            </p>
+          </div>
+
+          {/* Client Reliability Section */}
+          <div>
+            <h3 className="text-sm font-semibold text-gray-900 mb-3 pb-2 border-b border-gray-200">
+              <UserCheck className="w-4 h-4 inline mr-2" />
+              Client Reliability
+            </h3>
+            <div className="space-y-2 mb-4">
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  name="autoNoShowEnabled"
+                  checked={formData.reliabilityPolicy.autoNoShowEnabled}
+                  onChange={handleReliabilityPolicyChange}
+                  className="w-4 h-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+                />
+                <span className="text-sm font-medium text-gray-700">Automatically mark confirmed appointments with no check-in as no-shows</span>
+              </label>
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  name="requireApprovalForLowReliability"
+                  checked={formData.reliabilityPolicy.requireApprovalForLowReliability}
+                  onChange={handleReliabilityPolicyChange}
+                  className="w-4 h-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+                />
+                <span className="text-sm font-medium text-gray-700">Hold online bookings from low-reliability clients for receptionist approval</span>
+              </label>
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label htmlFor="noShowGraceMinutes" className="block text-sm font-medium text-gray-700 mb-2">
+                  No-Show Grace Period (minutes after start)
+                </label>
+                <input
+                  type="number"
+                  id="noShowGraceMinutes"
+                  name="noShowGraceMinutes"
+                  min="0"
+                  step="5"
+                  value={formData.reliabilityPolicy.noShowGraceMinutes}
+                  onChange={handleReliabilityPolicyChange}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label htmlFor="lateArrivalMinutes" className="block text-sm font-medium text-gray-700 mb-2">
+                  Late Arrival After (minutes)
+                </label>
+                <input
+                  type="number"
+                  id="lateArrivalMinutes"
+                  name="lateArrivalMinutes"
+                  min="0"
+                  step="5"
+                  value={formData.reliabilityPolicy.lateArrivalMinutes}
+                  onChange={handleReliabilityPolicyChange}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label htmlFor="lateCancelHours" className="block text-sm font-medium text-gray-700 mb-2">
+                  Late Cancellation Within (hours before)
+                </label>
+                <input
+                  type="number"
+                  id="lateCancelHours"
+                  name="lateCancelHours"
+                  min="0"
+                  step="1"
+                  value={formData.reliabilityPolicy.lateCancelHours}
+                  onChange={handleReliabilityPolicyChange}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label htmlFor="lookbackDays" className="block text-sm font-medium text-gray-700 mb-2">
+                  Score Appointments From Last (days)
+                </label>
+                <input
+                  type="number"
+                  id="lookbackDays"
+                  name="lookbackDays"
+                  min="0"
+                  step="30"
+                  value={formData.reliabilityPolicy.lookbackDays}
+                  onChange={handleReliabilityPolicyChange}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label htmlFor="lowReliabilityThreshold" className="block text-sm font-medium text-gray-700 mb-2">
+                  Low Reliability Below (score out of 100)
+                </label>
+                <input
+                  type="number"
+                  id="lowReliabilityThreshold"
+                  name="lowReliabilityThreshold"
+                  min="0"
+                  step="5"
+                  value={formData.reliabilityPolicy.lowReliabilityThreshold}
+                  onChange={handleReliabilityPolicyChange}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label htmlFor="lowReliabilityDeposit" className="block text-sm font-medium text-gray-700 mb-2">
+                  Deposit for Online Bookings from Low-Reliability Clients (₱)
+                </label>
+                <input
+                  type="number"
+                  id="lowReliabilityDeposit"
+                  name="lowReliabilityDeposit"
+                  min="0"
+                  step="50"
+                  value={formData.reliabilityPolicy.lowReliabilityDeposit}
+                  onChange={handleReliabilityPolicyChange}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                />
+              </div>
+            </div>
+            <p className="text-xs text-gray-500 mt-2">
+              Scores weigh no-shows, late cancellations and late check-ins against kept appointments. A deposit of 0
+              leaves the usual service deposits unchanged.
+            </p>
+          </div>
+
+          {/* Shared Resources Section */}
+          <div>
+            <div className="flex items-center justify-between mb-3 pb-2 border-b border-gray-200">
+              <h3 className="text-sm font-semibold text-gray-900">
+                <Armchair className="w-4 h-4 inline mr-2" />
+                Shared Resources
+              </h3>
+              <button
+                type="button"
+                onClick={handleAddResource}
+                className="flex items-center gap-1 text-sm text-primary-600 hover:text-primary-700"
+              >
+                <Plus className="w-4 h-4" />
+                Add Resource
+              </button>
+            </div>
+            {formData.resources.length === 0 ? (
+              <p className="text-sm text-gray-500">No shared resources configured.</p>
+            ) : (
+              <div className="space-y-2">
+                {formData.resources.map((resource, index) => (
+                  <div key={resource.id} className="flex items-center gap-3">
+                    <input
+                      type="text"
+                      value={resource.name}
+                      onChange={(e) => handleResourceChange(index, 'name', e.target.value)}
+                      className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                      placeholder="e.g. Rebond chair, Wash station"
+                    />
+                    <input
+                      type="number"
+                      min="1"
+                      step="1"
+                      value={resource.capacity}
+                      onChange={(e) => handleResourceChange(index, 'capacity', e.target.value)}
+                      className="w-24 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                      title="Units available"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => handleRemoveResource(index)}
+                      className="p-2 text-gray-400 hover:text-red-600"
+                      title="Remove resource"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+            <p className="text-xs text-gray-500 mt-2">
+              Assign resources to services in Services Management. A slot is not bookable once every unit is in use.
+            </p>
+          </div>
+
           {/* Info Note */}
           <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
             <p className="text-sm text-blue-800">
@@ -1,19 +1,25 @@
 /**
  * Commissions Page - Branch Manager
- * View and track stylist commissions from product sales
+ * View and track stylist commissions from product sales, service commissions
+ * with period-close statements, and the rules that drive them
  */
 
 import { useState, useEffect, useMemo, useRef } from 'react';
-import { Banknote, Calendar, User, Search, Download, TrendingUp, Filter, Receipt, Printer } from 'lucide-react';
+import { Banknote, Calendar, User, Search, Download, TrendingUp, Filter, Receipt, Printer, Scissors, Settings } from 'lucide-react';
 import { useAuth } from '../../context/AuthContext';
 import { collection, query, where, getDocs, orderBy, Timestamp } from 'firebase/firestore';
 import { db } from '../../config/firebase';
 import LoadingSpinner from '../../components/ui/LoadingSpinner';
 import PDFPreviewModal from '../../components/ui/PDFPreviewModal';
+import ServiceCommissionsPanel from '../../components/commissions/ServiceCommissionsPanel';
+import CommissionRulesPanel from '../../components/commissions/CommissionRulesPanel';
 import { formatDate } from '../../utils/helpers';
 import toast from 'react-hot-toast';
 import { exportToExcel } from '../../utils/excelExport';
 
+// Bills that still carry commission; refunded bills are kept so their clawback rows net out
+const COMMISSION_BILL_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
 const Commissions = () => {
   const { userBranch } = useAuth();
   const [transactions, setTransactions] = useState([]);
@@ -27,6 +33,7 @@ const Commissions = () => {
     end: ''
   });
   const [showPDFPreview, setShowPDFPreview] = useState(false);
+  const [activeTab, setActiveTab] = useState('products');
   const printRef = useRef(null);
 
   useEffect(() => {
@@ -40,7 +47,7 @@ const Commissions = () => {
     try {
       setLoading(true);
       
-      // Fetch all paid transactions for this branch
+      // Fetch all paid (and line-refunded) transactions for this branch
       // Note: The collection is 'transactions', not 'bills' (see billingService.js)
       const billsRef = collection(db, 'transactions');
       
@@ -50,7 +57,7 @@ const Commissions = () => {
         const billsQuery = query(
           billsRef,
           where('branchId', '==', userBranch),
-          where('status', '==', 'paid'),
+          where('status', 'in', COMMISSION_BILL_STATUSES),
           orderBy('createdAt', 'desc')
         );
         billsSnapshot = await getDocs(billsQuery);
@@ -64,10 +71,10 @@ const Commissions = () => {
             orderBy('createdAt', 'desc')
           );
           billsSnapshot = await getDocs(billsQuery);
-          // Filter for paid status in memory
+          // Filter for commission statuses in memory
           const paidDocs = [];
           billsSnapshot.forEach((doc) => {
-            if (doc.data().status === 'paid') {
+            if (COMMISSION_BILL_STATUSES.includes(doc.data().status)) {
               paidDocs.push(doc);
             }
           });
@@ -85,10 +92,10 @@ const Commissions = () => {
             where('branchId', '==', userBranch)
           );
           billsSnapshot = await getDocs(billsQuery);
-          // Filter for paid status in memory
+          // Filter for commission statuses in memory
           const paidDocs = [];
           billsSnapshot.forEach((doc) => {
-            if (doc.data().status === 'paid') {
+            if (COMMISSION_BILL_STATUSES.includes(doc.data().status)) {
               paidDocs.push(doc);
             }
           });
@@ -104,6 +111,11 @@ const Commissions = () => {
       billsSnapshot.forEach((doc) => {
         const billData = doc.data();
         const items = billData.items || [];
+
+        // Whole-bill refunds from before line-item refunds carry no refund records to claw back from
+        if (billData.status === 'refunded' && !billData.refunds?.length) {
+          return;
+        }
         
         // Extract product items with commissions
         items.forEach((item, itemIndex) => {
@@ -182,6 +194,39 @@ const Commissions = () => {
             }
           }
         });
+
+        // Claw back commission for refunded product units, dated when the refund was made
+        (billData.refunds || []).forEach((refund) => {
+          (refund.items || []).forEach((refundItem) => {
+            const item = items[refundItem.index];
+            if (!item || item.type !== 'product' || !item.commissionerId || !(item.commissionPoints > 0)) {
+              return;
+            }
+
+            const itemQuantity = item.quantity || 1;
+            const clawbackPoints = (item.commissionPoints * refundItem.quantity) / itemQuantity;
+
+            transactionsData.push({
+              id: `${doc.id}-${item.id}-${refund.id}`,
+              billId: doc.id,
+              transactionDate: refund.createdAt,
+              productName: `${item.name || 'Unknown Product'} (Refund)`,
+              productId: item.id,
+              batchId: '',
+              batchNumber: '',
+              quantity: -refundItem.quantity,
+              unitCost: item.unitCost || 0,
+              commissionPercentage: item.commissionPercentage || 0,
+              commissionerId: item.commissionerId,
+              commissionerName: item.commissionerName || 'Unknown',
+              commissionPoints: -Math.round(clawbackPoints * 100) / 100,
+              clientName: billData.clientName || 'Walk-in',
+              receiptNumber: billData.receiptNumber || 'N/A',
+              totalAmount: -(refundItem.amount || 0),
+              isClawback: true
+            });
+          });
+        });
       });
       
       setTransactions(transactionsData);
@@ -318,7 +363,9 @@ const Commissions = () => {
       }
       
       summary[stylistId].totalCommission += transaction.commissionPoints;
-      summary[stylistId].transactionCount += 1;
+      if (!transaction.isClawback) {
+        summary[stylistId].transactionCount += 1;
+      }
       summary[stylistId].totalSales += transaction.totalAmount;
     });
     
@@ -473,234 +520,266 @@ const Commissions = () => {
             <Banknote className="h-6 w-6 text-purple-600" />
             Commissions
           </h1>
-          <p className="text-sm text-gray-500 mt-1">Track stylist commissions from product sales</p>
+          <p className="text-sm text-gray-500 mt-1">Track stylist commissions from product and service sales</p>
         </div>
-        <div className="flex items-center gap-2">
-          <button
-            onClick={handlePrint}
-            className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
-            title="Print PDF"
-          >
-            <Printer className="h-4 w-4" />
-            <span className="hidden sm:inline">Print</span>
-          </button>
-          <button
-            onClick={handleExportCSV}
-            className="flex items-center gap-2 px-4 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-colors"
-            title="Export to CSV"
-          >
-            <Download className="h-4 w-4" />
-            <span className="hidden sm:inline">CSV</span>
-          </button>
+        {activeTab === 'products' && (
+          <div className="flex items-center gap-2">
+            <button
+              onClick={handlePrint}
+              className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+              title="Print PDF"
+            >
+              <Printer className="h-4 w-4" />
+              <span className="hidden sm:inline">Print</span>
+            </button>
+            <button
+              onClick={handleExportCSV}
+              className="flex items-center gap-2 px-4 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-colors"
+              title="Export to CSV"
+            >
+              <Download className="h-4 w-4" />
+              <span className="hidden sm:inline">CSV</span>
+            </button>
+            <button
+              onClick={handleExportExcel}
+              className="flex items-center gap-2 px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors"
+              title="Export to Excel"
+            >
+              <Download className="h-4 w-4" />
+              <span className="hidden sm:inline">Excel</span>
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Commission Type Tabs */}
+      <div className="flex gap-2 border-b border-gray-200">
+        {[
+          { id: 'products', label: 'Product Commissions', icon: Receipt },
+          { id: 'services', label: 'Service Commissions', icon: Scissors },
+          { id: 'rules', label: 'Commission Rules', icon: Settings }
+        ].map(tab => (
           <button
-            onClick={handleExportExcel}
-            className="flex items-center gap-2 px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors"
-            title="Export to Excel"
+            key={tab.id}
+            onClick={() => setActiveTab(tab.id)}
+            className={`flex items-center gap-2 px-4 py-2 border-b-2 transition-colors ${
+              activeTab === tab.id
+                ? 'border-[#160B53] text-[#160B53] font-semibold'
+                : 'border-transparent text-gray-600 hover:text-gray-900'
+            }`}
           >
-            <Download className="h-4 w-4" />
-            <span className="hidden sm:inline">Excel</span>
+            <tab.icon className="h-4 w-4" />
+            {tab.label}
           </button>
-        </div>
+        ))}
       </div>
 
-      {/* Summary Cards */}
-      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-        <div className="bg-white rounded-lg shadow p-6">
-          <div className="flex items-center justify-between">
-            <div>
-              <p className="text-sm text-gray-500">Total Commissions</p>
-              <p className="text-2xl font-bold text-purple-600 mt-1">
-                ₱{totalCommission.toFixed(2)}
-              </p>
+      {activeTab === 'services' && <ServiceCommissionsPanel branchId={userBranch} />}
+
+      {activeTab === 'rules' && <CommissionRulesPanel branchId={userBranch} />}
+
+      {activeTab === 'products' && (
+        <>
+        {/* Summary Cards */}
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="bg-white rounded-lg shadow p-6">
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-sm text-gray-500">Total Commissions</p>
+                <p className="text-2xl font-bold text-purple-600 mt-1">
+                  ₱{totalCommission.toFixed(2)}
+                </p>
+              </div>
+              <Banknote className="h-10 w-10 text-purple-200" />
             </div>
-            <Banknote className="h-10 w-10 text-purple-200" />
           </div>
-        </div>
         
-        <div className="bg-white rounded-lg shadow p-6">
-          <div className="flex items-center justify-between">
-            <div>
-              <p className="text-sm text-gray-500">Total Sales</p>
-              <p className="text-2xl font-bold text-green-600 mt-1">
-                ₱{totalSales.toFixed(2)}
-              </p>
+          <div className="bg-white rounded-lg shadow p-6">
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-sm text-gray-500">Total Sales</p>
+                <p className="text-2xl font-bold text-green-600 mt-1">
+                  ₱{totalSales.toFixed(2)}
+                </p>
+              </div>
+              <TrendingUp className="h-10 w-10 text-green-200" />
             </div>
-            <TrendingUp className="h-10 w-10 text-green-200" />
           </div>
-        </div>
         
-        <div className="bg-white rounded-lg shadow p-6">
-          <div className="flex items-center justify-between">
-            <div>
-              <p className="text-sm text-gray-500">Transactions</p>
-              <p className="text-2xl font-bold text-blue-600 mt-1">
-                {filteredTransactions.length}
-              </p>
+          <div className="bg-white rounded-lg shadow p-6">
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-sm text-gray-500">Transactions</p>
+                <p className="text-2xl font-bold text-blue-600 mt-1">
+                  {filteredTransactions.length}
+                </p>
+              </div>
+              <Receipt className="h-10 w-10 text-blue-200" />
             </div>
-            <Receipt className="h-10 w-10 text-blue-200" />
           </div>
         </div>
-      </div>
 
-      {/* Filters */}
-      <div className="bg-white rounded-lg shadow p-4">
-        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">Search</label>
-            <div className="relative">
-              <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
-              <input
-                type="text"
-                placeholder="Product, stylist, client..."
-                value={searchTerm}
-                onChange={(e) => setSearchTerm(e.target.value)}
-                className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
-              />
+        {/* Filters */}
+        <div className="bg-white rounded-lg shadow p-4">
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Search</label>
+              <div className="relative">
+                <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+                <input
+                  type="text"
+                  placeholder="Product, stylist, client..."
+                  value={searchTerm}
+                  onChange={(e) => setSearchTerm(e.target.value)}
+                  className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                />
+              </div>
             </div>
-          </div>
           
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">Stylist</label>
-            <select
-              value={selectedStylist}
-              onChange={(e) => setSelectedStylist(e.target.value)}
-              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
-            >
-              <option value="all">All Stylists</option>
-              {stylists.map(stylist => (
-                <option key={stylist.id} value={stylist.id}>
-                  {stylist.name}
-                </option>
-              ))}
-            </select>
-          </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Stylist</label>
+              <select
+                value={selectedStylist}
+                onChange={(e) => setSelectedStylist(e.target.value)}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+              >
+                <option value="all">All Stylists</option>
+                {stylists.map(stylist => (
+                  <option key={stylist.id} value={stylist.id}>
+                    {stylist.name}
+                  </option>
+                ))}
+              </select>
+            </div>
           
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">Start Date</label>
-            <input
-              type="date"
-              value={dateRange.start}
-              onChange={(e) => setDateRange(prev => ({ ...prev, start: e.target.value }))}
-              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
-            />
-          </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Start Date</label>
+              <input
+                type="date"
+                value={dateRange.start}
+                onChange={(e) => setDateRange(prev => ({ ...prev, start: e.target.value }))}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+              />
+            </div>
           
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">End Date</label>
-            <input
-              type="date"
-              value={dateRange.end}
-              onChange={(e) => setDateRange(prev => ({ ...prev, end: e.target.value }))}
-              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
-            />
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">End Date</label>
+              <input
+                type="date"
+                value={dateRange.end}
+                onChange={(e) => setDateRange(prev => ({ ...prev, end: e.target.value }))}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+              />
+            </div>
           </div>
         </div>
-      </div>
 
-      {/* Commission Summary by Stylist - Only shown when stylist is clicked */}
-      {selectedStylistForSummary && selectedStylistSummary && (
-        <div className="bg-white rounded-lg shadow">
-          <div className="p-4 border-b border-gray-200 flex items-center justify-between">
-            <h2 className="text-lg font-semibold text-gray-900">
-              Commission Summary - {selectedStylistSummary.stylistName}
-            </h2>
-            <button
-              onClick={() => setSelectedStylistForSummary(null)}
-              className="text-sm text-gray-500 hover:text-gray-700"
-            >
-              Close
-            </button>
-          </div>
-          <div className="p-6">
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-              <div className="bg-gray-50 rounded-lg p-4">
-                <p className="text-sm text-gray-500">Transactions</p>
-                <p className="text-2xl font-bold text-gray-900 mt-1">
-                  {selectedStylistSummary.transactionCount}
-                </p>
-              </div>
-              <div className="bg-gray-50 rounded-lg p-4">
-                <p className="text-sm text-gray-500">Total Sales</p>
-                <p className="text-2xl font-bold text-green-600 mt-1">
-                  ₱{selectedStylistSummary.totalSales.toFixed(2)}
-                </p>
-              </div>
-              <div className="bg-gray-50 rounded-lg p-4">
-                <p className="text-sm text-gray-500">Total Commission</p>
-                <p className="text-2xl font-bold text-purple-600 mt-1">
-                  ₱{selectedStylistSummary.totalCommission.toFixed(2)}
-                </p>
+        {/* Commission Summary by Stylist - Only shown when stylist is clicked */}
+        {selectedStylistForSummary && selectedStylistSummary && (
+          <div className="bg-white rounded-lg shadow">
+            <div className="p-4 border-b border-gray-200 flex items-center justify-between">
+              <h2 className="text-lg font-semibold text-gray-900">
+                Commission Summary - {selectedStylistSummary.stylistName}
+              </h2>
+              <button
+                onClick={() => setSelectedStylistForSummary(null)}
+                className="text-sm text-gray-500 hover:text-gray-700"
+              >
+                Close
+              </button>
+            </div>
+            <div className="p-6">
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div className="bg-gray-50 rounded-lg p-4">
+                  <p className="text-sm text-gray-500">Transactions</p>
+                  <p className="text-2xl font-bold text-gray-900 mt-1">
+                    {selectedStylistSummary.transactionCount}
+                  </p>
+                </div>
+                <div className="bg-gray-50 rounded-lg p-4">
+                  <p className="text-sm text-gray-500">Total Sales</p>
+                  <p className="text-2xl font-bold text-green-600 mt-1">
+                    ₱{selectedStylistSummary.totalSales.toFixed(2)}
+                  </p>
+                </div>
+                <div className="bg-gray-50 rounded-lg p-4">
+                  <p className="text-sm text-gray-500">Total Commission</p>
+                  <p className="text-2xl font-bold text-purple-600 mt-1">
+                    ₱{selectedStylistSummary.totalCommission.toFixed(2)}
+                  </p>
+                </div>
               </div>
             </div>
           </div>
-        </div>
-      )}
+        )}
 
-      {/* Transactions Table */}
-      <div className="bg-white rounded-lg shadow">
-        <div className="p-4 border-b border-gray-200">
-          <h2 className="text-lg font-semibold text-gray-900">Commission Transactions</h2>
-        </div>
-        <div className="overflow-x-auto">
-          {filteredTransactions.length === 0 ? (
-            <div className="text-center py-12">
-              <Banknote className="h-12 w-12 text-gray-400 mx-auto mb-2" />
-              <p className="text-gray-500">No commission transactions found</p>
-            </div>
-          ) : (
-            <table className="w-full">
-              <thead className="bg-gray-50">
-                <tr>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Stylist</th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Product</th>
-                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Qty</th>
-                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Unit Cost</th>
-                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Commission %</th>
-                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Commission</th>
-                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Total Sale</th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Client</th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Receipt #</th>
-                </tr>
-              </thead>
-              <tbody className="bg-white divide-y divide-gray-200">
-                {filteredTransactions.map((transaction) => {
-                  const date = transaction.transactionDate?.toDate 
-                    ? formatDate(transaction.transactionDate.toDate(), 'MMM dd, yyyy HH:mm')
-                    : formatDate(transaction.transactionDate, 'MMM dd, yyyy HH:mm');
+        {/* Transactions Table */}
+        <div className="bg-white rounded-lg shadow">
+          <div className="p-4 border-b border-gray-200">
+            <h2 className="text-lg font-semibold text-gray-900">Commission Transactions</h2>
+          </div>
+          <div className="overflow-x-auto">
+            {filteredTransactions.length === 0 ? (
+              <div className="text-center py-12">
+                <Banknote className="h-12 w-12 text-gray-400 mx-auto mb-2" />
+                <p className="text-gray-500">No commission transactions found</p>
+              </div>
+            ) : (
+              <table className="w-full">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Stylist</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Product</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Qty</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Unit Cost</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Commission %</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Commission</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Total Sale</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Client</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Receipt #</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {filteredTransactions.map((transaction) => {
+                    const date = transaction.transactionDate?.toDate 
+                      ? formatDate(transaction.transactionDate.toDate(), 'MMM dd, yyyy HH:mm')
+                      : formatDate(transaction.transactionDate, 'MMM dd, yyyy HH:mm');
                   
-                  return (
-                    <tr key={transaction.id} className="hover:bg-gray-50">
-                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{date}</td>
-                      <td className="px-6 py-4 whitespace-nowrap">
-                        <button
-                          onClick={() => setSelectedStylistForSummary(transaction.commissionerId)}
-                          className="flex items-center hover:text-purple-600 transition-colors"
-                        >
-                          <User className="h-4 w-4 text-gray-400 mr-2" />
-                          <span className="text-sm text-gray-900 hover:text-purple-600 font-medium cursor-pointer">
-                            {transaction.commissionerName}
-                          </span>
-                        </button>
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{transaction.productName}</td>
-                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm text-gray-900">{transaction.quantity}</td>
-                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm text-gray-900">₱{transaction.unitCost.toFixed(2)}</td>
-                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm text-gray-900">{transaction.commissionPercentage}%</td>
-                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-semibold text-purple-600">
-                        ₱{transaction.commissionPoints.toFixed(2)}
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm text-gray-900">₱{transaction.totalAmount.toFixed(2)}</td>
-                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{transaction.clientName}</td>
-                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{transaction.receiptNumber}</td>
-                    </tr>
-                  );
-                })}
-              </tbody>
-            </table>
-          )}
+                    return (
+                      <tr key={transaction.id} className="hover:bg-gray-50">
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{date}</td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <button
+                            onClick={() => setSelectedStylistForSummary(transaction.commissionerId)}
+                            className="flex items-center hover:text-purple-600 transition-colors"
+                          >
+                            <User className="h-4 w-4 text-gray-400 mr-2" />
+                            <span className="text-sm text-gray-900 hover:text-purple-600 font-medium cursor-pointer">
+                              {transaction.commissionerName}
+                            </span>
+                          </button>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{transaction.productName}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-right text-sm text-gray-900">{transaction.quantity}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-right text-sm text-gray-900">₱{transaction.unitCost.toFixed(2)}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-right text-sm text-gray-900">{transaction.commissionPercentage}%</td>
+                        <td className={`px-6 py-4 whitespace-nowrap text-right text-sm font-semibold ${transaction.isClawback ? 'text-red-600' : 'text-purple-600'}`}>
+                          ₱{transaction.commissionPoints.toFixed(2)}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-right text-sm text-gray-900">₱{transaction.totalAmount.toFixed(2)}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{transaction.clientName}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{transaction.receiptNumber}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            )}
+          </div>
         </div>
-      </div>
+        </>
+      )}
 
       {/* Print View - Rendered off-screen for PDF generation */}
       <div ref={printRef} style={{ position: 'fixed', left: '-200%', top: 0, width: '8.5in', zIndex: -1 }}>
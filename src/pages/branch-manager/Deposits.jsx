@@ -1,5 +1,5 @@
 // src/pages/04_BranchManager/Deposits.jsx
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useAuth } from '../../context/AuthContext';
 
 import { Card } from '../../components/ui/Card';
@@ -7,6 +7,8 @@ import Button from '../../components/ui/Button';
 import { Input } from '../../components/ui/Input';
 
 import { depositService } from '../../services/depositService';
+import { PAYMENT_METHODS } from '../../services/billingService';
+import { getClosedDrawerSessionsByDate, markDrawerSessionsDeposited } from '../../services/drawerSessionService';
 import { extractAmountFromReceipt, validateExtractedAmount } from '../../utils/ocrService';
 import { cloudinaryService } from '../../services/cloudinaryService';
 import {
@@ -37,6 +39,14 @@ import {
 } from 'lucide-react';
 import { format } from 'date-fns';
 
+const TENDER_LABELS = {
+  [PAYMENT_METHODS.CASH]: 'Cash',
+  [PAYMENT_METHODS.CARD]: 'Card',
+  [PAYMENT_METHODS.VOUCHER]: 'E-Wallet',
+  [PAYMENT_METHODS.GIFT_CARD]: 'Gift Card',
+  [PAYMENT_METHODS.DEPOSIT]: 'Deposit'
+};
+
 const Deposits = () => {
   const { userData } = useAuth();
   
@@ -69,6 +79,8 @@ const Deposits = () => {
   const [isScanning, setIsScanning] = useState(false);
   const [ocrResult, setOcrResult] = useState(null);
   const [dailySalesTotal, setDailySalesTotal] = useState(0);
+  const [salesByTender, setSalesByTender] = useState({});
+  const [drawerSessions, setDrawerSessions] = useState([]);
   const [validationResult, setValidationResult] = useState(null);
   
   // Submission state
@@ -180,24 +192,44 @@ const Deposits = () => {
     setFilteredDeposits(filtered);
   }, [deposits, searchTerm, statusFilter, validationFilter, dateFrom, dateTo, sortBy, sortOrder]);
 
+  // Closed cash drawers for the date that are not yet banked; the deposit amount is
+  // pre-filled from their counted cash less the opening float left in the drawer
+  const loadDrawerSessions = useCallback(async (date) => {
+    if (!userData?.branchId || !date) return;
+
+    const sessions = (await getClosedDrawerSessionsByDate(userData.branchId, new Date(date)))
+      .filter(session => !session.depositId);
+    setDrawerSessions(sessions);
+
+    if (sessions.length > 0) {
+      const cashToDeposit = sessions.reduce(
+        (sum, session) => sum + (session.countedCash || 0) - (session.openingFloat || 0),
+        0
+      );
+      setAmount(Math.max(0, cashToDeposit).toFixed(2));
+    }
+  }, [userData?.branchId]);
+
   // Get daily sales total when deposit date changes
   useEffect(() => {
     const fetchDailySales = async () => {
       if (!userData?.branchId || !depositDate) return;
       
       try {
-        const salesTotal = await depositService.getDailySalesTotal(
+        const sales = await depositService.getDailySalesByTender(
           userData.branchId,
           new Date(depositDate)
         );
-        setDailySalesTotal(salesTotal);
+        setDailySalesTotal(sales.total);
+        setSalesByTender(sales.byTender);
       } catch (err) {
         console.error('Error fetching daily sales:', err);
       }
     };
 
     fetchDailySales();
-  }, [depositDate, userData?.branchId]);
+    loadDrawerSessions(depositDate);
+  }, [depositDate, userData?.branchId, loadDrawerSessions]);
 
   // Handle image upload
   const handleImageUpload = async (e) => {
@@ -492,6 +524,7 @@ const Deposits = () => {
         ocrExtractedAmount: ocrResult?.amount || null,
         ocrConfidence: ocrResult?.confidence || null,
         dailySalesTotal: dailySalesTotal,
+        salesByTender: salesByTender,
         totalExpenses: totalExpensesAmount,
         expenses: expensesWithUrls,
         difference: difference,
@@ -505,13 +538,19 @@ const Deposits = () => {
         bankName: bankName,
         accountNumber: accountNumber,
         referenceNumber: referenceNumber,
-        notes: notes
+        notes: notes,
+        drawerSessionIds: drawerSessions.map(session => session.id),
+        countedCashTotal: drawerSessions.length > 0
+          ? drawerSessions.reduce((sum, session) => sum + (session.countedCash || 0), 0)
+          : null
       };
 
-      await depositService.createDeposit(depositData);
+      const depositId = await depositService.createDeposit(depositData);
+      await markDrawerSessionsDeposited(depositData.drawerSessionIds, depositId);
       
       // Reset form
       resetForm();
+      await loadDrawerSessions(new Date().toISOString().split('T')[0]);
       setIsModalOpen(false);
       await loadDeposits();
       
@@ -1034,6 +1073,15 @@ const Deposits = () => {
                     {dailySalesTotal === 0 && (
                       <p className="text-xs text-gray-500 mt-1 italic">No transactions found for this date</p>
                     )}
+                    {Object.keys(salesByTender).length > 0 && (
+                      <div className="flex flex-wrap gap-x-4 gap-y-1 mt-2">
+                        {Object.entries(salesByTender).map(([method, tenderTotal]) => (
+                          <span key={method} className="text-xs text-blue-100">
+                            {TENDER_LABELS[method] || method}: ₱{tenderTotal.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                          </span>
+                        ))}
+                      </div>
+                    )}
                   </div>
                   <Banknote className={`h-12 w-12 ${dailySalesTotal > 0 ? 'text-blue-200' : 'text-gray-400'}`} />
                 </div>
@@ -1500,6 +1548,26 @@ const Deposits = () => {
                   required
                   min="0"
                 />
+                {drawerSessions.length > 0 && (
+                  <div className="mt-2 p-3 bg-gray-50 border border-gray-200 rounded-lg space-y-1">
+                    <p className="text-xs font-medium text-gray-700">
+                      Pre-filled from {drawerSessions.length} closed cash drawer{drawerSessions.length !== 1 ? 's' : ''} (counted cash less opening float)
+                    </p>
+                    {drawerSessions.map(session => (
+                      <div key={session.id} className="flex justify-between text-xs text-gray-600">
+                        <span>
+                          {session.cashierName} · closed {format(session.closedAt, 'HH:mm')}
+                          {session.variance !== 0 && (
+                            <span className={session.variance < 0 ? 'text-red-600' : 'text-yellow-700'}>
+                              {' '}(variance {session.variance > 0 ? '+' : ''}₱{session.variance.toFixed(2)})
+                            </span>
+                          )}
+                        </span>
+                        <span>₱{((session.countedCash || 0) - (session.openingFloat || 0)).toFixed(2)}</span>
+                      </div>
+                    ))}
+                  </div>
+                )}
                 {dailySalesTotal > 0 && (
                   <div className="mt-2 space-y-1">
                     {totalExpenses > 0 && (
@@ -1,5 +1,5 @@
 // src/pages/04_BranchManager/Inventory.jsx
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
 import { useAuth } from '../../context/AuthContext';
 import { Card } from '../../components/ui/Card';
 import Button from '../../components/ui/Button';
@@ -50,7 +50,10 @@ import { formatDate } from '../../utils/helpers';
 import { transactionApiService } from '../../services/transactionApiService';
 import { openaiService } from '../../services/openaiService';
 import { getAllServices } from '../../services/serviceManagementService';
-import { Sparkles, Loader2 as Loader2Icon, Scissors } from 'lucide-react';
+import { Sparkles, Loader2 as Loader2Icon, Scissors, ClipboardCheck } from 'lucide-react';
+import AuditReview from '../../components/inventory/AuditReview';
+import { AUDIT_STATUS, AUDIT_SCOPE_LABELS, getBranchAudits } from '../../services/inventoryAuditService';
+import { allocatePurchaseOrderNumber } from '../../services/purchaseOrderNumberService';
 
 // Debounce hook for search
 const useDebounce = (value, delay) => {
@@ -73,7 +76,7 @@ const Inventory = () => {
   const { userData } = useAuth();
   
   // Tab state
-  const [activeTab, setActiveTab] = useState('products'); // 'products', 'reports', 'purchaseOrders', 'analytics', 'productSales'
+  const [activeTab, setActiveTab] = useState('products'); // 'products', 'reports', 'purchaseOrders', 'analytics', 'productSales', 'audits'
   
   // ========== ANALYTICS TAB STATE ==========
   const [loadingAnalytics, setLoadingAnalytics] = useState(false);
@@ -113,6 +116,11 @@ const Inventory = () => {
   const [loadingPO, setLoadingPO] = useState(true);
   const [errorPO, setErrorPO] = useState(null);
 
+  // ========== AUDITS TAB STATE ==========
+  const [audits, setAudits] = useState([]);
+  const [loadingAudits, setLoadingAudits] = useState(false);
+  const [selectedAuditId, setSelectedAuditId] = useState(null);
+
   // ========== PRODUCT SALES TAB STATE ==========
   const [productSales, setProductSales] = useState([]);
   const [loadingSales, setLoadingSales] = useState(false);
@@ -668,6 +676,31 @@ const Inventory = () => {
     }
   }, [userData?.branchId, activeTab]);
 
+  // ========== AUDITS TAB FUNCTIONS ==========
+  const loadAudits = useCallback(async () => {
+    if (!userData?.branchId) return;
+    try {
+      setLoadingAudits(true);
+      const branchAudits = await getBranchAudits(userData.branchId);
+      // Submitted counts plus the last few completed ones for reference
+      const pending = branchAudits.filter(audit => audit.status === AUDIT_STATUS.PENDING_APPROVAL);
+      const completed = branchAudits.filter(audit => audit.status === AUDIT_STATUS.COMPLETED).slice(0, 5);
+      setAudits([...pending, ...completed]);
+      setSelectedAuditId(current =>
+        [...pending, ...completed].some(audit => audit.id === current) ? current : (pending[0]?.id || null));
+    } catch (err) {
+      // Error handled in service
+    } finally {
+      setLoadingAudits(false);
+    }
+  }, [userData?.branchId]);
+
+  useEffect(() => {
+    if (activeTab === 'audits') {
+    loadAudits();
+    }
+  }, [activeTab, loadAudits]);
+
   // Calculate summary statistics
   const summaryStats = useMemo(() => {
     const totalRevenue = salesData.reduce((sum, item) => sum + (item.totalRevenue || 0), 0);
@@ -786,6 +819,8 @@ const Inventory = () => {
     const ordersList = [];
     snapshot.forEach((doc) => {
       const data = doc.data();
+      // Reorder drafts stay with the inventory controller until submitted
+      if (data.isDraft) return;
       ordersList.push({
         id: doc.id,
         ...data,
@@ -958,49 +993,6 @@ const Inventory = () => {
     return cleaned;
   };
 
-  // Generate next incremental PO number based on existing purchase orders for this branch
-  const generateNextPONumber = () => {
-    if (!userData?.branchId) {
-      throw new Error('Branch ID is required to generate PO number');
-    }
-
-    // Get first 3 characters of branch ID (uppercase)
-    const branchPrefix = userData.branchId.substring(0, 3).toUpperCase();
-    
-    // Filter POs for this branch only (should already be filtered, but double-check)
-    const branchPOs = purchaseOrders.filter(po => po.branchId === userData.branchId);
-    
-    if (!branchPOs || branchPOs.length === 0) {
-      return `PO-${branchPrefix}-${String(1).padStart(2, '0')}`;
-    }
-
-    // Extract numeric parts from existing PO numbers with branch prefix
-    // Handles formats like: PO-ABC-01, PO-ABC-1, PO-2024-0001 (legacy), etc.
-    const poNumbers = branchPOs
-      .map(po => {
-        const orderId = po.orderId || '';
-        // Match patterns: PO-XXX-NN or PO-XXX-N (branch prefix) or legacy formats
-        const branchPrefixMatch = orderId.match(new RegExp(`PO-${branchPrefix}-(\\d+)`));
-        if (branchPrefixMatch) {
-          return parseInt(branchPrefixMatch[1], 10);
-        }
-        // Also handle legacy formats for migration
-        const legacyMatch = orderId.match(/PO-(\d{4}-)?(\d+)/);
-        if (legacyMatch) {
-          return parseInt(legacyMatch[legacyMatch.length - 1], 10);
-        }
-        return 0;
-      })
-      .filter(num => !isNaN(num) && num > 0);
-
-    // Find the maximum number for this branch
-    const maxNumber = poNumbers.length > 0 ? Math.max(...poNumbers) : 0;
-    
-    // Increment and format with branch prefix
-    const nextNumber = maxNumber + 1;
-    return `PO-${branchPrefix}-${String(nextNumber).padStart(2, '0')}`;
-  };
-
   // Handle submit order
   const handleSubmitOrder = async (e) => {
     if (e) e.preventDefault();
@@ -1033,13 +1025,13 @@ const Inventory = () => {
       throw new Error('Branch ID is missing. Please refresh the page.');
     }
 
-    // Generate incremental order ID
-    const orderId = generateNextPONumber();
-
     if (!userData?.uid && !userData?.id) {
       throw new Error('User ID is missing. Please refresh the page.');
     }
 
+    // Reserve the next PO number for this branch
+    const orderId = await allocatePurchaseOrderNumber(userData.branchId);
+
     const purchaseOrderData = {
       orderId: orderId || '',
       supplierId: selectedSupplierId || '',
@@ -1567,6 +1559,24 @@ const Inventory = () => {
                 <span>Product Sales</span>
               </div>
             </button>
+            <button
+              onClick={() => setActiveTab('audits')}
+              className={`py-4 px-1 font-medium text-sm border-b-2 transition-colors ${
+                activeTab === 'audits'
+                  ? 'border-[#160B53] text-[#160B53]'
+                  : 'border-transparent text-gray-500 hover:text-gray-700'
+              }`}
+            >
+              <div className="flex items-center gap-2">
+                <ClipboardCheck className="h-5 w-5" />
+                <span>Audits</span>
+                {audits.some(audit => audit.status === AUDIT_STATUS.PENDING_APPROVAL) && (
+                  <span className="px-2 py-0.5 rounded-full text-xs bg-purple-100 text-purple-800">
+                    {audits.filter(audit => audit.status === AUDIT_STATUS.PENDING_APPROVAL).length}
+                  </span>
+                )}
+              </div>
+            </button>
           </div>
         </div>
       </Card>
@@ -2015,6 +2025,74 @@ const Inventory = () => {
         </>
       )}
 
+      {/* AUDITS TAB */}
+      {activeTab === 'audits' && (
+        <>
+          {/* Header */}
+          <div className="flex items-center justify-between">
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900">Stock Audits</h1>
+              <p className="text-gray-600">Review submitted counts and post the adjustments to stock</p>
+            </div>
+            <Button variant="outline" onClick={loadAudits} disabled={loadingAudits} className="flex items-center gap-2">
+              <RefreshCw className={`h-4 w-4 ${loadingAudits ? 'animate-spin' : ''}`} />
+              Refresh
+            </Button>
+          </div>
+
+          {loadingAudits && audits.length === 0 ? (
+            <Card className="p-12 text-center">
+              <Loader2 className="h-8 w-8 animate-spin text-[#160B53] mx-auto" />
+            </Card>
+          ) : audits.length === 0 ? (
+            <Card className="p-12 text-center">
+              <ClipboardCheck className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+              <h3 className="text-lg font-medium text-gray-900 mb-2">No Audits to Review</h3>
+              <p className="text-gray-600">Counts submitted by the inventory team will appear here.</p>
+            </Card>
+          ) : (
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+              <Card className="p-0 overflow-hidden">
+                <div className="divide-y divide-gray-200">
+                  {audits.map(audit => (
+                    <button
+                      key={audit.id}
+                      onClick={() => setSelectedAuditId(audit.id)}
+                      className={`w-full text-left p-4 hover:bg-gray-50 ${selectedAuditId === audit.id ? 'bg-gray-50 border-l-4 border-[#160B53]' : ''}`}
+                    >
+                      <div className="flex items-center justify-between">
+                        <span className="font-medium text-gray-900">{audit.auditNumber}</span>
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                          audit.status === AUDIT_STATUS.PENDING_APPROVAL ? 'bg-purple-100 text-purple-800' : 'bg-green-100 text-green-800'
+                        }`}>
+                          {audit.status}
+                        </span>
+                      </div>
+                      <p className="text-sm text-gray-600">{AUDIT_SCOPE_LABELS[audit.scope]} · {audit.assignedToName}</p>
+                      <p className="text-xs text-gray-500">
+                        {audit.submittedAt ? `Submitted ${format(audit.submittedAt, 'MMM dd, yyyy HH:mm')}` : ''}
+                        {audit.submittedByName ? ` by ${audit.submittedByName}` : ''}
+                      </p>
+                    </button>
+                  ))}
+                </div>
+              </Card>
+              <Card className="p-6 lg:col-span-2">
+                {audits.find(audit => audit.id === selectedAuditId) ? (
+                  <AuditReview
+                    audit={audits.find(audit => audit.id === selectedAuditId)}
+                    canApprove
+                    onDone={loadAudits}
+                  />
+                ) : (
+                  <p className="text-gray-600 text-center py-12">Select an audit to review</p>
+                )}
+              </Card>
+            </div>
+          )}
+        </>
+      )}
+
       {/* PURCHASE ORDERS TAB */}
       {activeTab === 'purchaseOrders' && (
         <>
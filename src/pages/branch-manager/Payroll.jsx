@@ -0,0 +1,342 @@
+/**
+ * Payroll Page - Branch Manager
+ * Pay-period summary per employee for the payroll provider
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { ClipboardList, Users, Clock, CalendarDays, Banknote, Download, ArrowRightLeft } from 'lucide-react';
+import { format, startOfMonth, endOfMonth, setDate, subMonths } from 'date-fns';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../context/AuthContext';
+import { getPayrollSummary, getPayrollExportHeaders, getPayrollExportRows } from '../../services/payrollService';
+import { LEAVE_TYPES } from '../../services/leaveManagementService';
+import LoadingSpinner from '../../components/ui/LoadingSpinner';
+import { exportMultipleSheets } from '../../utils/excelExport';
+import { convertToCSV, downloadCSV } from '../../utils/exportHelpers';
+
+// Semi-monthly cut-offs: 1st-15th and 16th-end of month
+const getCutOffPeriods = () => {
+  const today = new Date();
+  const lastMonth = subMonths(today, 1);
+  const periods = [
+    { id: 'current_first', label: `${format(today, 'MMM')} 1-15`, start: startOfMonth(today), end: setDate(today, 15) },
+    { id: 'current_second', label: `${format(today, 'MMM')} 16-${format(endOfMonth(today), 'd')}`, start: setDate(today, 16), end: endOfMonth(today) },
+    { id: 'previous_first', label: `${format(lastMonth, 'MMM')} 1-15`, start: startOfMonth(lastMonth), end: setDate(lastMonth, 15) },
+    { id: 'previous_second', label: `${format(lastMonth, 'MMM')} 16-${format(endOfMonth(lastMonth), 'd')}`, start: setDate(lastMonth, 16), end: endOfMonth(lastMonth) }
+  ];
+  return periods.map(period => ({
+    ...period,
+    start: format(period.start, 'yyyy-MM-dd'),
+    end: format(period.end, 'yyyy-MM-dd')
+  }));
+};
+
+const BORROWED_HEADERS = [
+  { key: 'stylistName', label: 'Stylist' },
+  { key: 'homeBranchName', label: 'Home Branch' },
+  { key: 'days', label: 'Days Worked Here' }
+];
+
+const Payroll = () => {
+  const { userBranch } = useAuth();
+  const cutOffs = getCutOffPeriods();
+  const [summary, setSummary] = useState({ employees: [], borrowedStaff: [] });
+  const [loading, setLoading] = useState(true);
+  const [period, setPeriod] = useState({
+    start: cutOffs[0].start,
+    end: cutOffs[0].end
+  });
+
+  const fetchSummary = useCallback(async () => {
+    try {
+      setLoading(true);
+      const result = await getPayrollSummary(
+        userBranch,
+        new Date(`${period.start}T00:00:00`),
+        new Date(`${period.end}T00:00:00`)
+      );
+      setSummary(result);
+    } catch (error) {
+      console.error('Error loading payroll summary:', error);
+      toast.error('Failed to load payroll summary');
+    } finally {
+      setLoading(false);
+    }
+  }, [userBranch, period]);
+
+  useEffect(() => {
+    if (userBranch && period.start && period.end) {
+      fetchSummary();
+    }
+  }, [userBranch, period, fetchSummary]);
+
+  const fileName = `payroll_${period.start}_${period.end}`;
+
+  const handleExportExcel = () => {
+    if (!summary.employees.length) {
+      toast.error('No employees to export');
+      return;
+    }
+
+    try {
+      const sheets = [
+        { name: 'Payroll', data: getPayrollExportRows(summary.employees), headers: getPayrollExportHeaders() }
+      ];
+      if (summary.borrowedStaff.length) {
+        sheets.push({ name: 'Borrowed Staff', data: summary.borrowedStaff, headers: BORROWED_HEADERS });
+      }
+      exportMultipleSheets(sheets, fileName);
+      toast.success('Payroll exported to Excel successfully');
+    } catch (error) {
+      console.error('Error exporting payroll:', error);
+      toast.error('Failed to export payroll');
+    }
+  };
+
+  const handleExportCSV = () => {
+    if (!summary.employees.length) {
+      toast.error('No employees to export');
+      return;
+    }
+
+    try {
+      const csv = convertToCSV(getPayrollExportRows(summary.employees), getPayrollExportHeaders());
+      downloadCSV(csv, `${fileName}.csv`);
+      toast.success('Payroll exported to CSV successfully');
+    } catch (error) {
+      console.error('Error exporting payroll:', error);
+      toast.error('Failed to export payroll');
+    }
+  };
+
+  const totals = summary.employees.reduce((acc, employee) => ({
+    hours: acc.hours + employee.scheduledHours,
+    leaveDays: acc.leaveDays + employee.paidLeaveDays + employee.unpaidLeaveDays,
+    variablePay: acc.variablePay + employee.totalVariablePay
+  }), { hours: 0, leaveDays: 0, variablePay: 0 });
+
+  const usedLeaveTypes = LEAVE_TYPES.filter(type =>
+    summary.employees.some(employee => employee.leaveDaysByType[type.value])
+  );
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+            <ClipboardList className="h-6 w-6 text-purple-600" />
+            Payroll
+          </h1>
+          <p className="text-sm text-gray-500 mt-1">Prepare a cut-off period for the payroll provider</p>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={handleExportCSV}
+            className="flex items-center gap-2 px-4 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-colors"
+            title="Export to CSV"
+          >
+            <Download className="h-4 w-4" />
+            <span className="hidden sm:inline">CSV</span>
+          </button>
+          <button
+            onClick={handleExportExcel}
+            className="flex items-center gap-2 px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors"
+            title="Export to Excel"
+          >
+            <Download className="h-4 w-4" />
+            <span className="hidden sm:inline">Excel</span>
+          </button>
+        </div>
+      </div>
+
+      {/* Cut-off Period */}
+      <div className="bg-white rounded-lg shadow p-4 space-y-4">
+        <div className="flex flex-wrap gap-2">
+          {cutOffs.map(cutOff => (
+            <button
+              key={cutOff.id}
+              onClick={() => setPeriod({ start: cutOff.start, end: cutOff.end })}
+              className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                period.start === cutOff.start && period.end === cutOff.end
+                  ? 'bg-[#160B53] text-white'
+                  : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {cutOff.label}
+            </button>
+          ))}
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 max-w-xl">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Period Start</label>
+            <input
+              type="date"
+              value={period.start}
+              onChange={(e) => setPeriod(prev => ({ ...prev, start: e.target.value }))}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Period End</label>
+            <input
+              type="date"
+              value={period.end}
+              onChange={(e) => setPeriod(prev => ({ ...prev, end: e.target.value }))}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+            />
+          </div>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center h-64">
+          <LoadingSpinner />
+        </div>
+      ) : (
+        <>
+          {/* Summary Cards */}
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            <div className="bg-white rounded-lg shadow p-6">
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="text-sm text-gray-500">Employees</p>
+                  <p className="text-2xl font-bold text-gray-900 mt-1">{summary.employees.length}</p>
+                </div>
+                <Users className="h-10 w-10 text-gray-200" />
+              </div>
+            </div>
+            <div className="bg-white rounded-lg shadow p-6">
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="text-sm text-gray-500">Scheduled Hours</p>
+                  <p className="text-2xl font-bold text-blue-600 mt-1">{totals.hours.toFixed(1)}</p>
+                </div>
+                <Clock className="h-10 w-10 text-blue-200" />
+              </div>
+            </div>
+            <div className="bg-white rounded-lg shadow p-6">
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="text-sm text-gray-500">Leave Days</p>
+                  <p className="text-2xl font-bold text-orange-600 mt-1">{totals.leaveDays}</p>
+                </div>
+                <CalendarDays className="h-10 w-10 text-orange-200" />
+              </div>
+            </div>
+            <div className="bg-white rounded-lg shadow p-6">
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="text-sm text-gray-500">Commissions &amp; Tips</p>
+                  <p className="text-2xl font-bold text-purple-600 mt-1">₱{totals.variablePay.toFixed(2)}</p>
+                </div>
+                <Banknote className="h-10 w-10 text-purple-200" />
+              </div>
+            </div>
+          </div>
+
+          {/* Employees */}
+          <div className="bg-white rounded-lg shadow">
+            <div className="p-4 border-b border-gray-200">
+              <h2 className="text-lg font-semibold text-gray-900">Employees</h2>
+            </div>
+            {summary.employees.length === 0 ? (
+              <div className="text-center py-12">
+                <Users className="h-12 w-12 text-gray-400 mx-auto mb-2" />
+                <p className="text-gray-500">No active employees in this branch</p>
+              </div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Employee</th>
+                      <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Sched. Days</th>
+                      <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Hours</th>
+                      <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Worked Here</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Leave</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Other Branches</th>
+                      <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Service Comm.</th>
+                      <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Product Comm.</th>
+                      <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Tips</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {summary.employees.map(employee => (
+                      <tr key={employee.employeeId} className="hover:bg-gray-50">
+                        <td className="px-4 py-3">
+                          <p className="text-sm font-medium text-gray-900">{employee.employeeName}</p>
+                          <p className="text-xs text-gray-500">{employee.roles}</p>
+                        </td>
+                        <td className="px-4 py-3 text-sm text-right text-gray-900">{employee.scheduledDays}</td>
+                        <td className="px-4 py-3 text-sm text-right text-gray-900">{employee.scheduledHours.toFixed(1)}</td>
+                        <td className="px-4 py-3 text-sm text-right text-gray-900">{employee.homeBranchDays}</td>
+                        <td className="px-4 py-3 text-sm text-gray-600">
+                          {usedLeaveTypes.filter(type => employee.leaveDaysByType[type.value]).length === 0 ? '-' : (
+                            <div className="space-y-0.5">
+                              {usedLeaveTypes
+                                .filter(type => employee.leaveDaysByType[type.value])
+                                .map(type => (
+                                  <div key={type.value} className="text-xs">
+                                    {type.label}: {employee.leaveDaysByType[type.value]}d
+                                    <span className={type.paid ? 'text-green-600' : 'text-red-600'}> ({type.paid ? 'paid' : 'unpaid'})</span>
+                                  </div>
+                                ))}
+                            </div>
+                          )}
+                        </td>
+                        <td className="px-4 py-3 text-sm text-gray-600">
+                          {employee.lentDays.length === 0 ? '-' : (
+                            <div className="space-y-0.5">
+                              {employee.lentDays.map(lent => (
+                                <div key={lent.branchId} className="text-xs">
+                                  {lent.branchName}: {lent.days}d
+                                </div>
+                              ))}
+                            </div>
+                          )}
+                        </td>
+                        <td className="px-4 py-3 text-sm text-right text-gray-900">₱{employee.serviceCommission.toFixed(2)}</td>
+                        <td className="px-4 py-3 text-sm text-right text-gray-900">₱{employee.productCommission.toFixed(2)}</td>
+                        <td className="px-4 py-3 text-sm text-right text-gray-900">₱{employee.tips.toFixed(2)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+            <p className="px-4 py-3 text-xs text-gray-500 border-t border-gray-200">
+              Days at other branches are billed to the branch that borrowed the stylist.
+            </p>
+          </div>
+
+          {/* Borrowed Staff */}
+          {summary.borrowedStaff.length > 0 && (
+            <div className="bg-white rounded-lg shadow">
+              <div className="p-4 border-b border-gray-200">
+                <h2 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+                  <ArrowRightLeft className="h-5 w-5 text-gray-500" />
+                  Borrowed Stylists
+                </h2>
+                <p className="text-sm text-gray-500">Stylists from other branches who worked here; this branch bears their cost</p>
+              </div>
+              <div className="divide-y divide-gray-200">
+                {summary.borrowedStaff.map(borrowed => (
+                  <div key={borrowed.lendingId} className="flex items-center justify-between px-6 py-3">
+                    <div>
+                      <p className="text-sm font-medium text-gray-900">{borrowed.stylistName}</p>
+                      <p className="text-xs text-gray-500">From {borrowed.homeBranchName}</p>
+                    </div>
+                    <span className="text-sm font-semibold text-gray-900">{borrowed.days} day{borrowed.days !== 1 ? 's' : ''}</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Payroll;
@@ -11,11 +11,14 @@ import {
   getBranchServices, 
   getAllServicesWithBranchConfig,
   setBranchPrice,
+  setBranchDeposit,
+  setBranchResources,
   disableBranchService,
   getServiceCategories
 } from '../../services/branchServicesService';
 import { getBranchById } from '../../services/branchService';
 import { getAppointments, APPOINTMENT_STATUS } from '../../services/appointmentService';
+import { formatDepositRequirement } from '../../services/appointmentDepositService';
 import { getCatalogConfig, saveCatalogConfig } from '../../services/catalogService';
 import { uploadToCloudinary } from '../../services/imageService';
 import LoadingSpinner from '../../components/ui/LoadingSpinner';
@@ -348,12 +351,18 @@ const ServicesManagement = () => {
     setShowPriceModal(true);
   };
 
-  const handlePriceSubmit = async (price) => {
+  const handlePriceSubmit = async (price, deposit, resourceIds) => {
     if (!selectedService) return;
     
     try {
       setSaving(true);
       await setBranchPrice(selectedService.id, userBranch, price, currentUser);
+      if (JSON.stringify(deposit) !== JSON.stringify(selectedService.deposit || null)) {
+        await setBranchDeposit(selectedService.id, userBranch, deposit, currentUser);
+      }
+      if (JSON.stringify(resourceIds) !== JSON.stringify(selectedService.resources || [])) {
+        await setBranchResources(selectedService.id, userBranch, resourceIds, currentUser);
+      }
       setShowPriceModal(false);
       await fetchServices();
     } catch (error) {
@@ -1352,6 +1361,9 @@ const ServicesManagement = () => {
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                   Branch Price
                 </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Deposit
+                </th>
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                   Status
                 </th>
@@ -1363,7 +1375,7 @@ const ServicesManagement = () => {
             <tbody className="bg-white divide-y divide-gray-200">
         {filteredServices.length === 0 ? (
                 <tr>
-                  <td colSpan="6" className="px-6 py-12 text-center text-gray-500">
+                  <td colSpan="7" className="px-6 py-12 text-center text-gray-500">
               {filterMode === 'offered' 
                       ? 'You haven\'t offered any services yet. Switch to "All Available" to add services.' 
                 : filterMode === 'all'
@@ -1421,6 +1433,11 @@ const ServicesManagement = () => {
                         </span>
                       )}
                     </td>
+                    <td className="px-6 py-4 text-sm text-gray-900">
+                      {formatDepositRequirement(service.deposit) || (
+                        <span className="text-gray-400">None</span>
+                      )}
+                    </td>
                     <td className="px-6 py-4">
                       {service.isOfferedByBranch ? (
                         <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
@@ -1495,6 +1512,7 @@ const ServicesManagement = () => {
         service={selectedService}
         onClose={() => setShowPriceModal(false)}
         onSubmit={handlePriceSubmit}
+        resources={branch?.resources || []}
         loading={saving}
       />
 
@@ -49,7 +49,7 @@ const StaffSchedule = () => {
   const [selectedStaff, setSelectedStaff] = useState(null);
   const [selectedDay, setSelectedDay] = useState(null);
   const [selectedDate, setSelectedDate] = useState(null);
-  const [shiftForm, setShiftForm] = useState({ start: '', end: '', date: '' });
+  const [shiftForm, setShiftForm] = useState({ start: '', end: '', breakStart: '', breakEnd: '', date: '' });
   const [selectedStaffIds, setSelectedStaffIds] = useState([]); // Array of selected staff IDs
   const [selectedDays, setSelectedDays] = useState([]); // Array of selected day keys (legacy, not used anymore)
   const [staffTimes, setStaffTimes] = useState({}); // { staffId: { start: '', end: '' } }
@@ -296,6 +296,8 @@ const StaffSchedule = () => {
                   shifts[normalizedDayKey] = {
                     start: shift.start,
                     end: shift.end,
+                    breakStart: shift.breakStart || '',
+                    breakEnd: shift.breakEnd || '',
                     isRecurring: true,
                     isActive: true,
                     configId: activeConfig.id,
@@ -639,6 +641,8 @@ const StaffSchedule = () => {
           return {
             start: employeeShifts[dayKey].start,
             end: employeeShifts[dayKey].end,
+            breakStart: employeeShifts[dayKey].breakStart || '',
+            breakEnd: employeeShifts[dayKey].breakEnd || '',
             isRecurring: true,
             isActive: true, // Always true when found via date-based lookup
             configId: configForDate.id,
@@ -826,6 +830,8 @@ const StaffSchedule = () => {
     setShiftForm({
       start: existingShift?.start || '',
       end: existingShift?.end || '',
+      breakStart: existingShift?.breakStart || '',
+      breakEnd: existingShift?.breakEnd || '',
       date: date ? date.toISOString().split('T')[0] : ''
     });
     setIsAddingShift(false);
@@ -864,6 +870,8 @@ const StaffSchedule = () => {
     setShiftForm({ 
       start: '', 
       end: '',
+      breakStart: '',
+      breakEnd: '',
       date: date ? date.toISOString().split('T')[0] : ''
     });
     setIsAddingShift(true);
@@ -900,6 +908,18 @@ const StaffSchedule = () => {
       return;
     }
 
+    // Break is optional, but must sit inside the shift when set
+    if (shiftForm.breakStart || shiftForm.breakEnd) {
+      if (!shiftForm.breakStart || !shiftForm.breakEnd) {
+        toast.error('Please enter both break start and end times');
+        return;
+      }
+      if (shiftForm.breakStart >= shiftForm.breakEnd || shiftForm.breakStart < shiftForm.start || shiftForm.breakEnd > shiftForm.end) {
+        toast.error('Break must be within the shift');
+        return;
+      }
+    }
+
     const memberId = selectedStaff.id || selectedStaff.uid;
     
     // Check if staff is on leave on the date being edited
@@ -961,7 +981,9 @@ const StaffSchedule = () => {
         ...(prev[memberId] || {}),
         [selectedDay]: {
           start: shiftForm.start,
-          end: shiftForm.end
+          end: shiftForm.end,
+          breakStart: shiftForm.breakStart,
+          breakEnd: shiftForm.breakEnd
         }
       }
     }));
@@ -971,7 +993,7 @@ const StaffSchedule = () => {
     setSelectedStaff(null);
     setSelectedDay(null);
     setSelectedDate(null);
-    setShiftForm({ start: '', end: '', date: '' });
+    setShiftForm({ start: '', end: '', breakStart: '', breakEnd: '', date: '' });
     setIsAddingShift(false);
   };
 
@@ -1071,7 +1093,8 @@ const StaffSchedule = () => {
           if (shift.start && shift.end) {
             cleanedShifts[dayKey] = {
               start: shift.start,
-              end: shift.end
+              end: shift.end,
+              ...(shift.breakStart && shift.breakEnd ? { breakStart: shift.breakStart, breakEnd: shift.breakEnd } : {})
             };
           }
         });
@@ -1365,7 +1388,7 @@ const StaffSchedule = () => {
       setSelectedDays([]);
       setStaffTimes({});
       setStaffDays({});
-      setShiftForm({ start: '', end: '', date: '' });
+      setShiftForm({ start: '', end: '', breakStart: '', breakEnd: '', date: '' });
       
       // Reload staff schedules
       await fetchStaff();
@@ -1622,7 +1645,9 @@ const StaffSchedule = () => {
                         if (existingShift) {
                           initialEditableShifts[memberId][day.key] = {
                             start: existingShift.start || '',
-                            end: existingShift.end || ''
+                            end: existingShift.end || '',
+                            breakStart: existingShift.breakStart || '',
+                            breakEnd: existingShift.breakEnd || ''
                           };
                         }
                       });
@@ -1957,6 +1982,11 @@ const StaffSchedule = () => {
                                     }`}>
                                       {formatTime12Hour(editableShift.start)} - {formatTime12Hour(editableShift.end)}
                                     </div>
+                                    {editableShift.breakStart && editableShift.breakEnd && (
+                                      <div className="text-xs text-gray-500">
+                                        Break {formatTime12Hour(editableShift.breakStart)} - {formatTime12Hour(editableShift.breakEnd)}
+                                      </div>
+                                    )}
                                     <div className="text-xs text-gray-500">
                                       {Math.round(
                                         ((new Date(`2000-01-01 ${editableShift.end}`) - new Date(`2000-01-01 ${editableShift.start}`)) / (1000 * 60 * 60)) * 10
@@ -2083,6 +2113,11 @@ const StaffSchedule = () => {
                                       >
                                         {formatTime12Hour(shift.start)} - {formatTime12Hour(shift.end)}
                                       </div>
+                                      {shift.breakStart && shift.breakEnd && (
+                                        <div className="text-xs text-gray-500">
+                                          Break {formatTime12Hour(shift.breakStart)} - {formatTime12Hour(shift.breakEnd)}
+                                        </div>
+                                      )}
                                       {isDateSpecific && (
                                         <div className="text-xs text-blue-600 font-medium">
                                           One-Time
@@ -2135,7 +2170,7 @@ const StaffSchedule = () => {
                   setSelectedStaff(null);
                   setSelectedDay(null);
                   setSelectedDate(null);
-                  setShiftForm({ start: '', end: '', date: '' });
+                  setShiftForm({ start: '', end: '', breakStart: '', breakEnd: '', date: '' });
                   setSelectedStaffIds([]);
                   setSelectedDays([]);
                   setStaffTimes({});
@@ -2416,7 +2451,7 @@ const StaffSchedule = () => {
                   setSelectedStaff(null);
                   setSelectedDay(null);
                       setSelectedDate(null);
-                      setShiftForm({ start: '', end: '', date: '' });
+                      setShiftForm({ start: '', end: '', breakStart: '', breakEnd: '', date: '' });
                       setSelectedStaffIds([]);
                       setSelectedDays([]);
                       setStaffTimes({});
@@ -2797,7 +2832,7 @@ const StaffSchedule = () => {
                   setSelectedStaff(null);
                   setSelectedDay(null);
                   setSelectedDate(null);
-                  setShiftForm({ start: '', end: '', date: '' });
+                  setShiftForm({ start: '', end: '', breakStart: '', breakEnd: '', date: '' });
                   setIsAddingShift(false);
                 }}
                 className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
@@ -2846,6 +2881,38 @@ const StaffSchedule = () => {
                 </div>
               </div>
 
+              {/* Break (no bookings during this time) */}
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Break Start
+                  </label>
+                  <input
+                    type="time"
+                    value={shiftForm.breakStart}
+                    onChange={(e) => setShiftForm(prev => ({ ...prev, breakStart: e.target.value }))}
+                    min={shiftForm.start || undefined}
+                    max={shiftForm.end || undefined}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent disabled:opacity-50"
+                    disabled={!shiftForm.start || !shiftForm.end}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Break End
+                  </label>
+                  <input
+                    type="time"
+                    value={shiftForm.breakEnd}
+                    onChange={(e) => setShiftForm(prev => ({ ...prev, breakEnd: e.target.value }))}
+                    min={shiftForm.breakStart || shiftForm.start || undefined}
+                    max={shiftForm.end || undefined}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent disabled:opacity-50"
+                    disabled={!shiftForm.breakStart}
+                  />
+                </div>
+              </div>
+
               {/* Branch Hours Info */}
               {branchHours && branchHours[selectedDay] && branchHours[selectedDay].isOpen && (
                 <div className="text-xs text-gray-500 bg-gray-50 p-3 rounded-lg">
@@ -2883,7 +2950,7 @@ const StaffSchedule = () => {
                   setSelectedStaff(null);
                   setSelectedDay(null);
                   setSelectedDate(null);
-                  setShiftForm({ start: '', end: '', date: '' });
+                  setShiftForm({ start: '', end: '', breakStart: '', breakEnd: '', date: '' });
                   setIsAddingShift(false);
                 }}
                 className="px-4 py-2 text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors"
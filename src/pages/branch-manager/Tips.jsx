@@ -0,0 +1,247 @@
+/**
+ * Tips Page - Branch Manager
+ * Tip payouts owed to each stylist for a period
+ */
+
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { Coins, User, Download, Receipt, ChevronDown, ChevronRight } from 'lucide-react';
+import { useAuth } from '../../context/AuthContext';
+import { getTipPayouts, TIP_SPLIT_METHODS } from '../../services/billingService';
+import LoadingSpinner from '../../components/ui/LoadingSpinner';
+import { formatDate } from '../../utils/helpers';
+import toast from 'react-hot-toast';
+import { exportToExcel } from '../../utils/excelExport';
+import { format, startOfMonth, endOfMonth } from 'date-fns';
+
+const SPLIT_METHOD_LABELS = {
+  [TIP_SPLIT_METHODS.EQUAL]: 'Equal',
+  [TIP_SPLIT_METHODS.SERVICE_VALUE]: 'By service value',
+  [TIP_SPLIT_METHODS.MANUAL]: 'Manual'
+};
+
+const Tips = () => {
+  const { userBranch } = useAuth();
+  const [payouts, setPayouts] = useState({ totalTips: 0, stylists: [] });
+  const [loading, setLoading] = useState(true);
+  const [expandedStylist, setExpandedStylist] = useState(null);
+  const [dateRange, setDateRange] = useState({
+    start: format(startOfMonth(new Date()), 'yyyy-MM-dd'),
+    end: format(endOfMonth(new Date()), 'yyyy-MM-dd')
+  });
+
+  const fetchPayouts = useCallback(async () => {
+    try {
+      setLoading(true);
+      const result = await getTipPayouts(userBranch, {
+        startDate: dateRange.start ? new Date(`${dateRange.start}T00:00:00`) : null,
+        endDate: dateRange.end ? new Date(`${dateRange.end}T00:00:00`) : null
+      });
+      setPayouts(result);
+    } catch (error) {
+      console.error('Error fetching tip payouts:', error);
+      toast.error('Failed to load tips');
+    } finally {
+      setLoading(false);
+    }
+  }, [userBranch, dateRange]);
+
+  useEffect(() => {
+    if (userBranch) {
+      fetchPayouts();
+    }
+  }, [userBranch, dateRange, fetchPayouts]);
+
+  const billCount = useMemo(
+    () => new Set(payouts.stylists.flatMap(stylist => stylist.entries.map(entry => entry.billId))).size,
+    [payouts]
+  );
+
+  const handleExportExcel = () => {
+    const rows = payouts.stylists.flatMap(stylist => stylist.entries.map(entry => ({
+      stylistName: stylist.stylistName,
+      date: entry.createdAt ? formatDate(entry.createdAt, 'MMM dd, yyyy HH:mm') : 'N/A',
+      billId: entry.billId,
+      receiptNumber: entry.receiptNumber,
+      clientName: entry.clientName,
+      billTip: entry.billTip || 0,
+      splitMethod: SPLIT_METHOD_LABELS[entry.splitMethod] || '',
+      amount: entry.amount
+    })));
+
+    if (!rows.length) {
+      toast.error('No tips to export');
+      return;
+    }
+
+    try {
+      const headers = [
+        { key: 'stylistName', label: 'Stylist' },
+        { key: 'date', label: 'Date' },
+        { key: 'billId', label: 'Transaction ID' },
+        { key: 'receiptNumber', label: 'Receipt #' },
+        { key: 'clientName', label: 'Client' },
+        { key: 'billTip', label: 'Bill Tip (₱)' },
+        { key: 'splitMethod', label: 'Split' },
+        { key: 'amount', label: 'Stylist Share (₱)' }
+      ];
+      exportToExcel(rows, `tips_${dateRange.start}_${dateRange.end}`, 'Tips', headers);
+      toast.success('Tips exported to Excel successfully');
+    } catch (error) {
+      console.error('Error exporting tips:', error);
+      toast.error('Failed to export tips');
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+            <Coins className="h-6 w-6 text-purple-600" />
+            Tips
+          </h1>
+          <p className="text-sm text-gray-500 mt-1">Tip payouts owed to each stylist</p>
+        </div>
+        <button
+          onClick={handleExportExcel}
+          className="flex items-center gap-2 px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors"
+          title="Export to Excel"
+        >
+          <Download className="h-4 w-4" />
+          <span className="hidden sm:inline">Excel</span>
+        </button>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white rounded-lg shadow p-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 max-w-xl">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Start Date</label>
+            <input
+              type="date"
+              value={dateRange.start}
+              onChange={(e) => setDateRange(prev => ({ ...prev, start: e.target.value }))}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">End Date</label>
+            <input
+              type="date"
+              value={dateRange.end}
+              onChange={(e) => setDateRange(prev => ({ ...prev, end: e.target.value }))}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+            />
+          </div>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center h-64">
+          <LoadingSpinner />
+        </div>
+      ) : (
+        <>
+          {/* Summary Cards */}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="bg-white rounded-lg shadow p-6">
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="text-sm text-gray-500">Total Tips</p>
+                  <p className="text-2xl font-bold text-purple-600 mt-1">₱{payouts.totalTips.toFixed(2)}</p>
+                </div>
+                <Coins className="h-10 w-10 text-purple-200" />
+              </div>
+            </div>
+            <div className="bg-white rounded-lg shadow p-6">
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="text-sm text-gray-500">Stylists</p>
+                  <p className="text-2xl font-bold text-green-600 mt-1">{payouts.stylists.length}</p>
+                </div>
+                <User className="h-10 w-10 text-green-200" />
+              </div>
+            </div>
+            <div className="bg-white rounded-lg shadow p-6">
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="text-sm text-gray-500">Tipped Transactions</p>
+                  <p className="text-2xl font-bold text-blue-600 mt-1">{billCount}</p>
+                </div>
+                <Receipt className="h-10 w-10 text-blue-200" />
+              </div>
+            </div>
+          </div>
+
+          {/* Payouts by Stylist */}
+          <div className="bg-white rounded-lg shadow">
+            <div className="p-4 border-b border-gray-200">
+              <h2 className="text-lg font-semibold text-gray-900">Payout by Stylist</h2>
+            </div>
+            {payouts.stylists.length === 0 ? (
+              <div className="text-center py-12">
+                <Coins className="h-12 w-12 text-gray-400 mx-auto mb-2" />
+                <p className="text-gray-500">No tips for this period</p>
+              </div>
+            ) : (
+              <div className="divide-y divide-gray-200">
+                {payouts.stylists.map(stylist => (
+                  <div key={stylist.stylistId}>
+                    <button
+                      onClick={() => setExpandedStylist(expandedStylist === stylist.stylistId ? null : stylist.stylistId)}
+                      className="w-full flex items-center justify-between px-6 py-4 hover:bg-gray-50 text-left"
+                    >
+                      <div className="flex items-center gap-2">
+                        {expandedStylist === stylist.stylistId
+                          ? <ChevronDown className="h-4 w-4 text-gray-500" />
+                          : <ChevronRight className="h-4 w-4 text-gray-500" />}
+                        <span className="font-medium text-gray-900">{stylist.stylistName}</span>
+                        <span className="text-sm text-gray-500">
+                          {stylist.billCount} transaction{stylist.billCount !== 1 ? 's' : ''}
+                        </span>
+                      </div>
+                      <span className="font-semibold text-purple-600">₱{stylist.totalTips.toFixed(2)}</span>
+                    </button>
+                    {expandedStylist === stylist.stylistId && (
+                      <div className="overflow-x-auto bg-gray-50">
+                        <table className="w-full">
+                          <thead>
+                            <tr>
+                              <th className="px-6 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                              <th className="px-6 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Receipt #</th>
+                              <th className="px-6 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Client</th>
+                              <th className="px-6 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Split</th>
+                              <th className="px-6 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Bill Tip</th>
+                              <th className="px-6 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Share</th>
+                            </tr>
+                          </thead>
+                          <tbody className="divide-y divide-gray-200">
+                            {stylist.entries.map(entry => (
+                              <tr key={entry.billId}>
+                                <td className="px-6 py-2 text-sm text-gray-900">
+                                  {entry.createdAt ? formatDate(entry.createdAt, 'MMM dd, yyyy HH:mm') : 'N/A'}
+                                </td>
+                                <td className="px-6 py-2 text-sm text-gray-600">{entry.receiptNumber || entry.billId}</td>
+                                <td className="px-6 py-2 text-sm text-gray-600">{entry.clientName}</td>
+                                <td className="px-6 py-2 text-sm text-gray-600">{SPLIT_METHOD_LABELS[entry.splitMethod] || '-'}</td>
+                                <td className="px-6 py-2 text-sm text-gray-600 text-right">₱{(entry.billTip || 0).toFixed(2)}</td>
+                                <td className="px-6 py-2 text-sm font-semibold text-gray-900 text-right">₱{entry.amount.toFixed(2)}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Tips;
@@ -3,8 +3,8 @@
  * Self-service booking, rescheduling, and cancellation
  */
 
-import { useState, useEffect } from 'react';
-  import { Plus, Calendar, Clock, MapPin, User, ChevronDown, ChevronUp } from 'lucide-react';
+import { useState, useEffect, useCallback } from 'react';
+  import { Plus, Calendar, Clock, MapPin, User, ChevronDown, ChevronUp, ListPlus } from 'lucide-react';
 import { useAuth } from '../../context/AuthContext';
 import { 
   getAppointmentsByClient,
@@ -15,7 +15,19 @@ import {
 } from '../../services/appointmentService';
 import { getAllBranches } from '../../services/branchService';
 import { getBranchServices, getServiceById } from '../../services/branchServicesService';
+import { sequenceServices } from '../../services/serviceManagementService';
+import { BOOKING_CHANNELS, getBranchBookingPolicy, getChangeCutoffError } from '../../services/bookingPolicyService';
 import { getUsersByRole } from '../../services/userService';
+import {
+  getWaitlistByClient,
+  joinWaitlist,
+  acceptWaitlistOffer,
+  declineWaitlistOffer,
+  removeFromWaitlist,
+  isOfferExpired,
+  WAITLIST_STATUS,
+  WAITLIST_STATUS_LABELS
+} from '../../services/waitlistService';
 import { USER_ROLES } from '../../utils/constants';
 import { formatDate, formatTime } from '../../utils/helpers';
 import LoadingSpinner from '../../components/ui/LoadingSpinner';
@@ -47,6 +59,9 @@ const ClientAppointments = () => {
   const [selectedDetailAppointment, setSelectedDetailAppointment] = useState(null);
   const [showBookingSummary, setShowBookingSummary] = useState(false);
   const [pendingAppointmentData, setPendingAppointmentData] = useState(null);
+  const [waitlistEntries, setWaitlistEntries] = useState([]);
+  const [joiningWaitlist, setJoiningWaitlist] = useState(false);
+  const [processingWaitlistId, setProcessingWaitlistId] = useState(null);
   
   const [bookingData, setBookingData] = useState({
     branchId: '',
@@ -56,12 +71,41 @@ const ClientAppointments = () => {
     notes: ''
   });
 
+  const fetchAppointments = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await getAppointmentsByClient(currentUser.uid);
+      if (data && Array.isArray(data)) {
+        setAppointments(data);
+      } else {
+        console.warn('No appointments data returned or invalid format');
+        setAppointments([]);
+      }
+    } catch (error) {
+      console.error('Error fetching appointments:', error);
+      toast.error('Failed to load appointments. Please try again.');
+      setAppointments([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [currentUser]);
+
+  const fetchWaitlist = useCallback(async () => {
+    try {
+      const data = await getWaitlistByClient(currentUser.uid);
+      setWaitlistEntries(data);
+    } catch (error) {
+      // Error handled in service
+    }
+  }, [currentUser]);
+
   useEffect(() => {
     if (currentUser) {
       fetchAppointments();
       fetchBranches();
+      fetchWaitlist();
     }
-  }, [currentUser]);
+  }, [currentUser, fetchAppointments, fetchWaitlist]);
 
   useEffect(() => {
     if (bookingData.branchId) {
@@ -77,25 +121,6 @@ const ClientAppointments = () => {
     }
   }, [bookingData.date, bookingData.services, bookingData.branchId]);
 
-  const fetchAppointments = async () => {
-    try {
-      setLoading(true);
-      const data = await getAppointmentsByClient(currentUser.uid);
-      if (data && Array.isArray(data)) {
-        setAppointments(data);
-      } else {
-        console.warn('No appointments data returned or invalid format');
-        setAppointments([]);
-      }
-    } catch (error) {
-      console.error('Error fetching appointments:', error);
-      toast.error('Failed to load appointments. Please try again.');
-      setAppointments([]);
-    } finally {
-      setLoading(false);
-    }
-  };
-
   const fetchBranches = async () => {
     try {
       const data = await getAllBranches();
@@ -132,11 +157,16 @@ const ClientAppointments = () => {
   const fetchAvailableSlots = async () => {
     try {
       setLoadingSlots(true);
-      // Calculate total duration from all selected services
-      const totalDuration = bookingData.services.reduce((sum, serviceItem) => {
-        const service = services.find(s => s.id === serviceItem.serviceId);
-        return sum + (service?.duration || 60);
-      }, 0);
+      // Services run back-to-back; the stylist is free while a service is processing
+      const sequencedServices = sequenceServices(
+        bookingData.services.filter(serviceItem => serviceItem.serviceId).map(serviceItem => ({
+          serviceId: serviceItem.serviceId,
+          stylistId: serviceItem.stylistId || null,
+          duration: services.find(s => s.id === serviceItem.serviceId)?.duration || 60
+        })),
+        services
+      );
+      const totalDuration = sequencedServices.reduce((sum, serviceItem) => sum + serviceItem.duration, 0);
       
       // Use first service's stylist preference, or null if no preference
       const preferredStylistId = bookingData.services[0]?.stylistId || null;
@@ -145,7 +175,12 @@ const ClientAppointments = () => {
         preferredStylistId,
         bookingData.branchId,
         bookingData.date,
-        totalDuration || 60
+        totalDuration || 60,
+        {
+          serviceIds: sequencedServices.map(serviceItem => serviceItem.serviceId),
+          services: sequencedServices,
+          channel: BOOKING_CHANNELS.ONLINE
+        }
       );
       setAvailableSlots(result.slots || []);
       setUnavailableMessage(result.message || null);
@@ -185,7 +220,6 @@ const ClientAppointments = () => {
     // Validate all services and build services array
     const servicesArray = [];
     let totalPrice = 0;
-    let totalDuration = 0;
     
     for (const serviceItem of bookingData.services) {
       const service = services.find(s => s.id === serviceItem.serviceId);
@@ -214,9 +248,12 @@ const ClientAppointments = () => {
       });
       
       totalPrice += branchPrice;
-      totalDuration += (service?.duration || 60);
     }
 
+    // Services run back-to-back, each with its start offset and phases
+    const sequencedServices = sequenceServices(servicesArray, services);
+    const totalDuration = sequencedServices.reduce((sum, serviceItem) => sum + serviceItem.duration, 0);
+
     const appointmentData = {
       clientId: currentUser.uid,
       clientName: `${userData.firstName} ${userData.lastName}`,
@@ -224,12 +261,13 @@ const ClientAppointments = () => {
       clientPhone: userData.phoneNumber || '',
       branchId: bookingData.branchId,
       branchName: branch?.name || branch?.branchName,
-      services: servicesArray,
+      services: sequencedServices,
       appointmentDate: bookingData.timeSlot.time,
       duration: totalDuration,
       // Price is ESTIMATED because final price may change depending on hair length/type
       totalPrice: totalPrice,
       status: APPOINTMENT_STATUS.PENDING,
+      bookingChannel: BOOKING_CHANNELS.ONLINE,
       notes: bookingData.notes
     };
 
@@ -295,7 +333,84 @@ const ClientAppointments = () => {
     }
   };
 
+  const handleJoinWaitlist = async (dateTo) => {
+    const branch = branches.find(b => b.id === bookingData.branchId);
+    const waitlistServices = bookingData.services
+      .filter(serviceItem => serviceItem.serviceId)
+      .map(serviceItem => {
+        const service = services.find(s => s.id === serviceItem.serviceId);
+        const stylist = stylists.find(s => s.id === serviceItem.stylistId);
+        return {
+          serviceId: serviceItem.serviceId,
+          serviceName: service?.serviceName || service?.name,
+          stylistId: serviceItem.stylistId || null,
+          stylistName: stylist ? `${stylist.firstName} ${stylist.lastName}` : null,
+          duration: service?.duration || 60,
+          price: service?.price || 0,
+          phases: service?.phases || []
+        };
+      });
+
+    try {
+      setJoiningWaitlist(true);
+      await joinWaitlist({
+        branchId: bookingData.branchId,
+        branchName: branch?.name || branch?.branchName,
+        clientId: currentUser.uid,
+        clientName: `${userData.firstName} ${userData.lastName}`,
+        clientEmail: userData.email,
+        clientPhone: userData.phoneNumber || '',
+        services: waitlistServices,
+        dateFrom: bookingData.date,
+        dateTo,
+        notes: bookingData.notes
+      }, currentUser);
+      setShowBookingModal(false);
+      await fetchWaitlist();
+    } catch (error) {
+      // Error handled in service
+    } finally {
+      setJoiningWaitlist(false);
+    }
+  };
+
+  const handleWaitlistAction = async (entry, action) => {
+    try {
+      setProcessingWaitlistId(entry.id);
+      if (action === 'accept') {
+        await acceptWaitlistOffer(entry.id, currentUser);
+        await fetchAppointments();
+      } else if (action === 'decline') {
+        await declineWaitlistOffer(entry.id, currentUser);
+      } else {
+        await removeFromWaitlist(entry.id, currentUser);
+      }
+      await fetchWaitlist();
+    } catch (error) {
+      // Error handled in service
+      await fetchWaitlist();
+    } finally {
+      setProcessingWaitlistId(null);
+    }
+  };
+
+  const formatWindow = (entry) => {
+    const from = formatDate(entry.dateFrom);
+    return entry.dateTo && entry.dateTo !== entry.dateFrom ? `${from} - ${formatDate(entry.dateTo)}` : from;
+  };
+
+  const activeWaitlist = waitlistEntries.filter(entry =>
+    entry.status === WAITLIST_STATUS.WAITING || entry.status === WAITLIST_STATUS.OFFERED
+  );
+
   const handleCancelAppointment = (appointment) => {
+    const branch = branches.find(b => b.id === appointment.branchId);
+    const cutoffError = getChangeCutoffError(getBranchBookingPolicy(branch), appointment.appointmentDate, 'cancel');
+    if (cutoffError) {
+      toast.error(`${cutoffError}. Please call the branch.`);
+      return;
+    }
+
     setAppointmentToCancel(appointment);
     setCancellationReason('');
     setShowCancelModal(true);
@@ -431,6 +546,85 @@ const ClientAppointments = () => {
         )}
       </div>
 
+      {/* Waitlist */}
+      {activeWaitlist.length > 0 && (
+        <div className="bg-white rounded-lg shadow border border-gray-200 p-4 sm:p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center gap-2">
+            <ListPlus className="w-5 h-5 text-primary-600" />
+            My Waitlist
+          </h2>
+          <div className="space-y-3">
+            {activeWaitlist.map((entry) => {
+              const isOffered = entry.status === WAITLIST_STATUS.OFFERED && entry.offer && !isOfferExpired(entry);
+              const isProcessing = processingWaitlistId === entry.id;
+              return (
+                <div
+                  key={entry.id}
+                  className={`border rounded-lg p-4 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 ${
+                    isOffered ? 'border-green-300 bg-green-50' : 'border-gray-200'
+                  }`}
+                >
+                  <div className="text-sm">
+                    <p className="font-semibold text-gray-900">
+                      {(entry.services || []).map(svc => svc.serviceName).join(', ')}
+                    </p>
+                    <p className="text-gray-600 flex items-center gap-1 mt-1">
+                      <MapPin className="w-3 h-3" />
+                      {entry.branchName || 'Branch'} &middot; {formatWindow(entry)}
+                    </p>
+                    {entry.stylistName && (
+                      <p className="text-gray-600 flex items-center gap-1 mt-1">
+                        <User className="w-3 h-3" />
+                        {entry.stylistName}
+                      </p>
+                    )}
+                    {isOffered ? (
+                      <p className="text-green-800 font-medium mt-2 flex items-center gap-1">
+                        <Clock className="w-4 h-4" />
+                        {formatDate(entry.offer.appointmentDate, 'EEE, MMM dd')} at {formatTime(entry.offer.appointmentDate)} is held for you until {formatTime(entry.offer.expiresAt)}
+                      </p>
+                    ) : (
+                      <span className="inline-block mt-2 px-2 py-0.5 text-xs rounded-full bg-yellow-100 text-yellow-800">
+                        {WAITLIST_STATUS_LABELS[WAITLIST_STATUS.WAITING]}
+                      </span>
+                    )}
+                  </div>
+                  <div className="flex gap-2 flex-shrink-0">
+                    {isOffered ? (
+                      <>
+                        <button
+                          onClick={() => handleWaitlistAction(entry, 'decline')}
+                          disabled={isProcessing}
+                          className="px-3 py-1.5 text-sm text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+                        >
+                          Decline
+                        </button>
+                        <button
+                          onClick={() => handleWaitlistAction(entry, 'accept')}
+                          disabled={isProcessing}
+                          className="px-3 py-1.5 text-sm bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50 flex items-center gap-2"
+                        >
+                          {isProcessing && <LoadingSpinner size="sm" />}
+                          Accept Slot
+                        </button>
+                      </>
+                    ) : (
+                      <button
+                        onClick={() => handleWaitlistAction(entry, 'remove')}
+                        disabled={isProcessing}
+                        className="px-3 py-1.5 text-sm text-red-600 border border-red-200 rounded-lg hover:bg-red-50 transition-colors disabled:opacity-50"
+                      >
+                        Leave Waitlist
+                      </button>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
       {/* Past Appointments */}
       {pastAppointments.length > 0 && (
         <div className="bg-white rounded-lg shadow border border-gray-200 p-4 sm:p-6">
@@ -481,6 +675,8 @@ const ClientAppointments = () => {
         unavailableMessage={unavailableMessage}
         booking={booking}
         onSubmit={handleSubmitBooking}
+        onJoinWaitlist={handleJoinWaitlist}
+        joiningWaitlist={joiningWaitlist}
       />
 
       {/* Booking Summary Confirmation Modal */}
@@ -30,10 +30,10 @@ export default function ClientTransactions() {
       const q = query(
         transactionsRef,
         where('clientId', '==', currentUser.uid),
-        where('status', '==', 'paid'),
+        where('status', 'in', ['paid', 'partially_refunded']),
         orderBy('createdAt', 'desc')
       );
-      // Note: Refunded transactions are excluded (status must be 'paid')
+      // Note: Fully refunded transactions are excluded
 
       const snap = await getDocs(q);
       const data = snap.docs.map(d => ({ id: d.id, ...d.data() }));
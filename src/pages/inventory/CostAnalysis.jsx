@@ -1,222 +1,142 @@
 // src/pages/06_InventoryController/CostAnalysis.jsx
-import React, { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import { useAuth } from '../../context/AuthContext';
-import InventoryLayout from '../../layouts/InventoryLayout';
 import { Card } from '../../components/ui/Card';
 import Button from '../../components/ui/Button';
 import { Input } from '../../components/ui/Input';
 import { SearchInput } from '../../components/ui/SearchInput';
 import Modal from '../../components/ui/Modal';
-import { 
+import {
   Banknote,
-  Search,
   Filter,
   Eye,
-  Edit,
-  Plus,
   Download,
-  Upload,
   RefreshCw,
   AlertTriangle,
-  CheckCircle,
-  XCircle,
-  Clock,
   Package,
-  Calendar,
-  Building,
-  FileText,
-  Bell,
-  AlertCircle,
   TrendingDown,
-  ShoppingCart,
-  ArrowRight,
-  Copy,
-  Printer,
-  Trash2,
-  Clock3,
-  CalendarDays,
-  AlertCircle as AlertCircleIcon,
-  Calculator,
-  BarChart3,
-  Users,
-  CheckSquare,
-  Square,
   TrendingUp,
-  PieChart,
-  LineChart,
   Activity,
   Target,
-  Percent
+  Percent,
+  Layers,
+  Clock
 } from 'lucide-react';
-import { format } from 'date-fns';
+import { format, startOfMonth, subMonths } from 'date-fns';
+import {
+  VALUATION_METHODS,
+  VALUATION_METHOD_LABELS,
+  VALUATION_GROUPINGS,
+  getInventoryValuation,
+  getValuationBranches
+} from '../../services/inventoryValuationService';
+import { exportInventoryValuationToCSV } from '../../utils/exportHelpers';
+
+const formatPeso = (value) => `₱${(Number(value) || 0).toLocaleString(undefined, { maximumFractionDigits: 2 })}`;
+
+const formatQuantity = (value) => (Number(value) || 0).toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+const formatDays = (days) => (days === null || days === undefined ? 'No usage' : `${Math.round(days)} days`);
+
+const emptyFilters = {
+  category: 'all',
+  branch: 'all',
+  costRange: { min: '', max: '' },
+  marginRange: { min: '', max: '' }
+};
 
 const CostAnalysis = () => {
   const { userData } = useAuth();
 
   // Data states
-  const [analysisData, setAnalysisData] = useState([]);
-  const [products, setProducts] = useState([]);
+  const [valuation, setValuation] = useState(null);
+  const [branches, setBranches] = useState([]);
+  // Branches are looked up once and reused across period changes
+  const branchesRef = useRef([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  
+
   // UI states
   const [searchTerm, setSearchTerm] = useState('');
-  const [selectedCategory, setSelectedCategory] = useState('all');
-  const [selectedPeriod, setSelectedPeriod] = useState('monthly');
-  const [sortBy, setSortBy] = useState('totalCost');
+  const [method, setMethod] = useState(VALUATION_METHODS.FIFO);
+  const [groupBy, setGroupBy] = useState(VALUATION_GROUPINGS.MONTH);
+  const [dateRange, setDateRange] = useState({
+    start: format(startOfMonth(subMonths(new Date(), 5)), 'yyyy-MM-dd'),
+    end: format(new Date(), 'yyyy-MM-dd')
+  });
+  const [sortBy, setSortBy] = useState('revenue');
   const [sortOrder, setSortOrder] = useState('desc');
   const [isDetailsModalOpen, setIsDetailsModalOpen] = useState(false);
-  const [isCreateModalOpen, setIsCreateModalOpen] = useState(false);
   const [selectedItem, setSelectedItem] = useState(null);
   const [isFilterModalOpen, setIsFilterModalOpen] = useState(false);
-  
-  // Filter states
-  const [filters, setFilters] = useState({
-    category: 'all',
-    period: 'monthly',
-    costRange: { min: '', max: '' },
-    marginRange: { min: '', max: '' }
-  });
 
-  // Mock analysis data
-  const mockAnalysisData = [
-    {
-      id: 'analysis-001',
-      productId: 'prod1',
-      productName: 'Olaplex No.3 Hair Perfector',
-      category: 'Hair Care',
-      brand: 'Olaplex',
-      unitCost: 900,
-      sellingPrice: 1800,
-      margin: 900,
-      marginPercentage: 50,
-      totalUnits: 45,
-      totalCost: 40500,
-      totalRevenue: 81000,
-      totalProfit: 40500,
-      branchId: 'branch1',
-      branchName: 'Harbor Point Ayala',
-      supplier: 'Olaplex Philippines',
-      lastUpdated: new Date('2024-01-15'),
-      performance: 'High',
-      trend: 'up'
-    },
-    {
-      id: 'analysis-002',
-      productId: 'prod2',
-      productName: 'L\'Oréal Hair Color',
-      category: 'Hair Color',
-      brand: 'L\'Oréal',
-      unitCost: 500,
-      sellingPrice: 800,
-      margin: 300,
-      marginPercentage: 37.5,
-      totalUnits: 25,
-      totalCost: 12500,
-      totalRevenue: 20000,
-      totalProfit: 7500,
-      branchId: 'branch1',
-      branchName: 'Harbor Point Ayala',
-      supplier: 'L\'Oréal Philippines',
-      lastUpdated: new Date('2024-01-14'),
-      performance: 'Medium',
-      trend: 'stable'
-    },
-    {
-      id: 'analysis-003',
-      productId: 'prod3',
-      productName: 'Kerastase Shampoo',
-      category: 'Hair Care',
-      brand: 'Kerastase',
-      unitCost: 800,
-      sellingPrice: 1200,
-      margin: 400,
-      marginPercentage: 33.3,
-      totalUnits: 30,
-      totalCost: 24000,
-      totalRevenue: 36000,
-      totalProfit: 12000,
-      branchId: 'branch2',
-      branchName: 'SM Mall of Asia',
-      supplier: 'Kerastase Philippines',
-      lastUpdated: new Date('2024-01-13'),
-      performance: 'Medium',
-      trend: 'down'
-    },
-    {
-      id: 'analysis-004',
-      productId: 'prod4',
-      productName: 'Wella Hair Color',
-      category: 'Hair Color',
-      brand: 'Wella',
-      unitCost: 600,
-      sellingPrice: 900,
-      margin: 300,
-      marginPercentage: 33.3,
-      totalUnits: 15,
-      totalCost: 9000,
-      totalRevenue: 13500,
-      totalProfit: 4500,
-      branchId: 'branch3',
-      branchName: 'Greenbelt 5',
-      supplier: 'Wella Philippines',
-      lastUpdated: new Date('2024-01-12'),
-      performance: 'Low',
-      trend: 'stable'
-    }
-  ];
+  // Filter states
+  const [filters, setFilters] = useState(emptyFilters);
 
   // Load analysis data
-  const loadAnalysisData = async () => {
+  const loadAnalysisData = useCallback(async () => {
+    if (!dateRange.start || !dateRange.end) return;
     try {
       setLoading(true);
       setError(null);
-      
-      // For now, use mock data
-      setAnalysisData(mockAnalysisData);
-      
+
+      const valuationBranches = branchesRef.current.length > 0 ? branchesRef.current : await getValuationBranches(userData?.branchId);
+      branchesRef.current = valuationBranches;
+      setBranches(valuationBranches);
+      const result = await getInventoryValuation({
+        branches: valuationBranches,
+        startDate: dateRange.start,
+        endDate: dateRange.end,
+        groupBy
+      });
+      setValuation(result);
     } catch (err) {
       console.error('Error loading analysis data:', err);
       setError(err.message);
     } finally {
       setLoading(false);
     }
-  };
+  }, [userData?.branchId, dateRange.start, dateRange.end, groupBy]);
 
-  // Load data on mount
+  // Reload when the period changes
   useEffect(() => {
-    loadAnalysisData();
-  }, []);
+    if (userData) {
+      loadAnalysisData();
+    }
+  }, [userData, loadAnalysisData]);
+
+  const analysisData = valuation?.products || [];
 
   // Get unique categories
   const categories = [...new Set(analysisData.map(a => a.category))].filter(Boolean);
 
+  const getSortValue = (item) => (item[method][sortBy] ?? item[sortBy]);
+
   // Filter and sort analysis data
   const filteredData = analysisData
     .filter(item => {
-      const matchesSearch = item.productName.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                           item.brand.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                           item.category.toLowerCase().includes(searchTerm.toLowerCase());
-      
+      const search = searchTerm.toLowerCase();
+      const matchesSearch = item.productName.toLowerCase().includes(search) ||
+                           item.brand.toLowerCase().includes(search) ||
+                           item.category.toLowerCase().includes(search);
+
       const matchesCategory = filters.category === 'all' || item.category === filters.category;
-      
-      const matchesCostRange = (!filters.costRange.min || item.unitCost >= parseFloat(filters.costRange.min)) &&
-                              (!filters.costRange.max || item.unitCost <= parseFloat(filters.costRange.max));
-      
-      const matchesMarginRange = (!filters.marginRange.min || item.marginPercentage >= parseFloat(filters.marginRange.min)) &&
-                                (!filters.marginRange.max || item.marginPercentage <= parseFloat(filters.marginRange.max));
-      
-      return matchesSearch && matchesCategory && matchesCostRange && matchesMarginRange;
+      const matchesBranch = filters.branch === 'all' || item.branchId === filters.branch;
+
+      const matchesCostRange = (!filters.costRange.min || item.averageCost >= parseFloat(filters.costRange.min)) &&
+                              (!filters.costRange.max || item.averageCost <= parseFloat(filters.costRange.max));
+
+      const matchesMarginRange = (!filters.marginRange.min || item[method].marginPercent >= parseFloat(filters.marginRange.min)) &&
+                                (!filters.marginRange.max || item[method].marginPercent <= parseFloat(filters.marginRange.max));
+
+      return matchesSearch && matchesCategory && matchesBranch && matchesCostRange && matchesMarginRange;
     })
     .sort((a, b) => {
-      let aValue = a[sortBy];
-      let bValue = b[sortBy];
-      
-      if (sortBy === 'lastUpdated') {
-        aValue = new Date(aValue);
-        bValue = new Date(bValue);
-      }
-      
+      // Products without usage have no days of supply; keep them last
+      const aValue = getSortValue(a) ?? Infinity;
+      const bValue = getSortValue(b) ?? Infinity;
+      if (aValue === bValue) return 0;
+
       if (sortOrder === 'asc') {
         return aValue > bValue ? 1 : -1;
       } else {
@@ -230,17 +150,23 @@ const CostAnalysis = () => {
     setIsDetailsModalOpen(true);
   };
 
-  // Handle create analysis
-  const handleCreateAnalysis = () => {
-    setIsCreateModalOpen(true);
+  const handleExport = (section) => {
+    if (!valuation) return;
+    const period = `${dateRange.start}_to_${dateRange.end}`;
+    exportInventoryValuationToCSV(
+      section === 'products' ? { ...valuation, products: filteredData } : valuation,
+      section,
+      method,
+      `cost-analysis-${section}-${method}-${period}.csv`
+    );
   };
 
-  // Handle form submission
-  const handleSubmit = (e) => {
-    e.preventDefault();
-    // Handle form submission logic here
-    console.log('Form submitted');
-    setIsCreateModalOpen(false);
+  // Margin bands for the performance badge
+  const getPerformance = (item) => {
+    if (item.revenue <= 0) return 'No Sales';
+    if (item[method].marginPercent >= 40) return 'High';
+    if (item[method].marginPercent >= 20) return 'Medium';
+    return 'Low';
   };
 
   // Get performance color
@@ -263,28 +189,10 @@ const CostAnalysis = () => {
     }
   };
 
-  // Get trend icon
-  const getTrendIcon = (trend) => {
-    switch (trend) {
-      case 'up': return <TrendingUp className="h-4 w-4 text-green-600" />;
-      case 'down': return <TrendingDown className="h-4 w-4 text-red-600" />;
-      case 'stable': return <Activity className="h-4 w-4 text-gray-600" />;
-      default: return <Activity className="h-4 w-4 text-gray-600" />;
-    }
-  };
-
-  // Calculate summary statistics
-  const summaryStats = {
-    totalProducts: analysisData.length,
-    totalCost: analysisData.reduce((sum, item) => sum + item.totalCost, 0),
-    totalRevenue: analysisData.reduce((sum, item) => sum + item.totalRevenue, 0),
-    totalProfit: analysisData.reduce((sum, item) => sum + item.totalProfit, 0),
-    averageMargin: analysisData.reduce((sum, item) => sum + item.marginPercentage, 0) / analysisData.length || 0,
-    highPerformers: analysisData.filter(item => item.performance === 'High').length,
-    lowPerformers: analysisData.filter(item => item.performance === 'Low').length
-  };
+  const totals = valuation?.totals?.[method];
+  const shrinkageTotal = (valuation?.shrinkage || []).reduce((sum, cause) => sum + cause[method], 0);
 
-  if (loading) {
+  if (loading && !valuation) {
     return (
       <>
         <div className="flex items-center justify-center h-64">
@@ -295,7 +203,7 @@ const CostAnalysis = () => {
     );
   }
 
-  if (error) {
+  if (error && !valuation) {
     return (
       <>
         <div className="flex items-center justify-center h-64">
@@ -320,20 +228,30 @@ const CostAnalysis = () => {
         <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
           <div>
             <h1 className="text-xl md:text-2xl font-bold text-gray-900">Cost Analysis</h1>
-            <p className="text-sm md:text-base text-gray-600">Analyze product costs, margins, and profitability</p>
+            <p className="text-sm md:text-base text-gray-600">
+              Inventory value, cost of goods sold and margins from batch costs and sales
+            </p>
           </div>
           <div className="flex items-center gap-2 md:gap-3 flex-wrap">
-            <Button variant="outline" className="flex items-center gap-2 text-xs md:text-sm">
-              <Upload className="h-4 w-4" />
-              <span className="hidden sm:inline">Import</span>
+            <div className="flex rounded-lg border border-gray-300 overflow-hidden text-xs md:text-sm">
+              {Object.values(VALUATION_METHODS).map(option => (
+                <button
+                  key={option}
+                  type="button"
+                  onClick={() => setMethod(option)}
+                  className={`px-3 py-2 ${method === option ? 'bg-[#160B53] text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+                >
+                  {VALUATION_METHOD_LABELS[option]}
+                </button>
+              ))}
+            </div>
+            <Button variant="outline" onClick={loadAnalysisData} disabled={loading} className="flex items-center gap-2 text-xs md:text-sm">
+              <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+              <span className="hidden sm:inline">Refresh</span>
             </Button>
-            <Button variant="outline" className="flex items-center gap-2 text-xs md:text-sm">
+            <Button onClick={() => handleExport('products')} className="flex items-center gap-2 text-xs md:text-sm">
               <Download className="h-4 w-4" />
-              <span className="hidden sm:inline">Export</span>
-            </Button>
-            <Button onClick={handleCreateAnalysis} className="flex items-center gap-2 text-xs md:text-sm">
-              <Plus className="h-4 w-4" />
-              New Analysis
+              Export
             </Button>
           </div>
         </div>
@@ -344,58 +262,61 @@ const CostAnalysis = () => {
             <div className="flex items-center">
               <Package className="h-8 w-8 text-blue-600" />
               <div className="ml-3">
-                <p className="text-sm font-medium text-gray-600">Total Products</p>
-                <p className="text-xl font-bold text-gray-900">{summaryStats.totalProducts}</p>
+                <p className="text-sm font-medium text-gray-600">On-Hand Value</p>
+                <p className="text-xl font-bold text-gray-900">{formatPeso(totals?.onHandValue)}</p>
               </div>
             </div>
           </Card>
-          
+
           <Card className="p-4">
             <div className="flex items-center">
-              <Banknote className="h-8 w-8 text-red-600" />
+              <TrendingUp className="h-8 w-8 text-green-600" />
               <div className="ml-3">
-                <p className="text-sm font-medium text-gray-600">Total Cost</p>
-                <p className="text-xl font-bold text-gray-900">₱{summaryStats.totalCost.toLocaleString()}</p>
+                <p className="text-sm font-medium text-gray-600">Revenue</p>
+                <p className="text-xl font-bold text-gray-900">{formatPeso(valuation?.totals?.revenue)}</p>
               </div>
             </div>
           </Card>
-          
+
           <Card className="p-4">
             <div className="flex items-center">
-              <TrendingUp className="h-8 w-8 text-green-600" />
+              <Banknote className="h-8 w-8 text-red-600" />
               <div className="ml-3">
-                <p className="text-sm font-medium text-gray-600">Total Revenue</p>
-                <p className="text-xl font-bold text-gray-900">₱{summaryStats.totalRevenue.toLocaleString()}</p>
+                <p className="text-sm font-medium text-gray-600">COGS</p>
+                <p className="text-xl font-bold text-gray-900">{formatPeso(totals?.cogs)}</p>
               </div>
             </div>
           </Card>
-          
+
           <Card className="p-4">
             <div className="flex items-center">
-              <Target className="h-8 w-8 text-purple-600" />
+              <Percent className="h-8 w-8 text-orange-600" />
               <div className="ml-3">
-                <p className="text-sm font-medium text-gray-600">Total Profit</p>
-                <p className="text-xl font-bold text-gray-900">₱{summaryStats.totalProfit.toLocaleString()}</p>
+                <p className="text-sm font-medium text-gray-600">Gross Margin</p>
+                <p className="text-xl font-bold text-gray-900">{(totals?.marginPercent || 0).toFixed(1)}%</p>
+                <p className="text-xs text-gray-500">{formatPeso(totals?.grossMargin)}</p>
               </div>
             </div>
           </Card>
-          
+
           <Card className="p-4">
             <div className="flex items-center">
-              <Percent className="h-8 w-8 text-orange-600" />
+              <Target className="h-8 w-8 text-purple-600" />
               <div className="ml-3">
-                <p className="text-sm font-medium text-gray-600">Avg Margin</p>
-                <p className="text-xl font-bold text-gray-900">{summaryStats.averageMargin.toFixed(1)}%</p>
+                <p className="text-sm font-medium text-gray-600">Turnover</p>
+                <p className="text-xl font-bold text-gray-900">{(totals?.turnover || 0).toFixed(1)}x / yr</p>
+                <p className="text-xs text-gray-500">{formatDays(totals?.daysOfSupply)} of supply</p>
               </div>
             </div>
           </Card>
-          
+
           <Card className="p-4">
             <div className="flex items-center">
-              <BarChart3 className="h-8 w-8 text-indigo-600" />
+              <AlertTriangle className="h-8 w-8 text-red-500" />
               <div className="ml-3">
-                <p className="text-sm font-medium text-gray-600">High Performers</p>
-                <p className="text-xl font-bold text-gray-900">{summaryStats.highPerformers}</p>
+                <p className="text-sm font-medium text-gray-600">Shrinkage</p>
+                <p className="text-xl font-bold text-gray-900">{formatPeso(shrinkageTotal)}</p>
+                <p className="text-xs text-gray-500">{formatPeso(totals?.expiredValue)} expired on shelf</p>
               </div>
             </div>
           </Card>
@@ -412,7 +333,19 @@ const CostAnalysis = () => {
                 className="w-full"
               />
             </div>
-            <div className="flex gap-3">
+            <div className="flex gap-3 flex-wrap">
+              <Input
+                type="date"
+                value={dateRange.start}
+                max={dateRange.end}
+                onChange={(e) => setDateRange(prev => ({ ...prev, start: e.target.value }))}
+              />
+              <Input
+                type="date"
+                value={dateRange.end}
+                min={dateRange.start}
+                onChange={(e) => setDateRange(prev => ({ ...prev, end: e.target.value }))}
+              />
               <select
                 value={filters.category}
                 onChange={(e) => setFilters(prev => ({ ...prev, category: e.target.value }))}
@@ -424,13 +357,20 @@ const CostAnalysis = () => {
                 ))}
               </select>
               <select
-                value={filters.period}
-                onChange={(e) => setFilters(prev => ({ ...prev, period: e.target.value }))}
+                value={`${sortBy}:${sortOrder}`}
+                onChange={(e) => {
+                  const [field, order] = e.target.value.split(':');
+                  setSortBy(field);
+                  setSortOrder(order);
+                }}
                 className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
               >
-                <option value="monthly">Monthly</option>
-                <option value="quarterly">Quarterly</option>
-                <option value="yearly">Yearly</option>
+                <option value="revenue:desc">Highest revenue</option>
+                <option value="grossMargin:desc">Highest margin</option>
+                <option value="marginPercent:asc">Lowest margin %</option>
+                <option value="onHandValue:desc">Highest stock value</option>
+                <option value="daysOfSupply:desc">Most days of supply</option>
+                <option value="turnover:asc">Slowest turnover</option>
               </select>
               <Button
                 variant="outline"
@@ -442,12 +382,7 @@ const CostAnalysis = () => {
               </Button>
               <Button
                 variant="outline"
-                onClick={() => setFilters({
-                  category: 'all',
-                  period: 'monthly',
-                  costRange: { min: '', max: '' },
-                  marginRange: { min: '', max: '' }
-                })}
+                onClick={() => setFilters(emptyFilters)}
                 className="flex items-center gap-2"
               >
                 <RefreshCw className="h-4 w-4" />
@@ -467,22 +402,22 @@ const CostAnalysis = () => {
                     Product
                   </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Unit Cost
+                    On Hand
                   </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Selling Price
+                    Avg Cost / Price
                   </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Margin
+                    Revenue / COGS
                   </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Performance
+                    Gross Margin
                   </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Total Profit
+                    Performance
                   </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Trend
+                    Turnover
                   </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Actions
@@ -495,55 +430,50 @@ const CostAnalysis = () => {
                     <td className="px-6 py-4 whitespace-nowrap">
                       <div>
                         <div className="text-sm font-medium text-gray-900">{item.productName}</div>
-                        <div className="text-sm text-gray-500">{item.brand} • {item.category}</div>
-                        <div className="text-xs text-gray-400">{item.branchName}</div>
+                        <div className="text-sm text-gray-500">{item.brand ? `${item.brand} • ` : ''}{item.category}</div>
+                        {branches.length > 1 && <div className="text-xs text-gray-400">{item.branchName}</div>}
                       </div>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
-                      <div className="text-sm font-medium text-gray-900">₱{item.unitCost.toLocaleString()}</div>
+                      <div className="text-sm font-medium text-gray-900">{formatPeso(item[method].onHandValue)}</div>
+                      <div className="text-xs text-gray-500">{formatQuantity(item.onHandQuantity)} {item.unit}</div>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
-                      <div className="text-sm font-medium text-gray-900">₱{item.sellingPrice.toLocaleString()}</div>
+                      <div className="text-sm font-medium text-gray-900">{formatPeso(item.averageCost)}</div>
+                      <div className="text-xs text-gray-500">Sells at {formatPeso(item.sellingPrice)}</div>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
-                      <div className="text-sm font-medium text-gray-900">₱{item.margin.toLocaleString()}</div>
-                      <div className="text-xs text-gray-500">{item.marginPercentage}%</div>
+                      <div className="text-sm font-medium text-gray-900">{formatPeso(item.revenue)}</div>
+                      <div className="text-xs text-gray-500">
+                        {formatPeso(item[method].cogs)} · {formatQuantity(item.soldQuantity)} sold
+                      </div>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
-                      <span className={`inline-flex items-center gap-1 px-2 py-1 rounded-full text-xs font-medium ${getPerformanceColor(item.performance)}`}>
-                        {getPerformanceIcon(item.performance)}
-                        {item.performance}
-                      </span>
+                      <div className={`text-sm font-medium ${item[method].grossMargin < 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                        {formatPeso(item[method].grossMargin)}
+                      </div>
+                      <div className="text-xs text-gray-500">{item[method].marginPercent.toFixed(1)}%</div>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
-                      <div className="text-sm font-medium text-gray-900">₱{item.totalProfit.toLocaleString()}</div>
-                      <div className="text-xs text-gray-500">{item.totalUnits} units</div>
+                      <span className={`inline-flex items-center gap-1 px-2 py-1 rounded-full text-xs font-medium ${getPerformanceColor(getPerformance(item))}`}>
+                        {getPerformanceIcon(getPerformance(item))}
+                        {getPerformance(item)}
+                      </span>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
-                      <div className="flex items-center">
-                        {getTrendIcon(item.trend)}
-                      </div>
+                      <div className="text-sm font-medium text-gray-900">{item[method].turnover.toFixed(1)}x / yr</div>
+                      <div className="text-xs text-gray-500">{formatDays(item[method].daysOfSupply)}</div>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
-                      <div className="flex gap-2">
-                        <Button
-                          variant="outline"
-                          size="sm"
-                          onClick={() => handleViewDetails(item)}
-                          className="flex items-center gap-1"
-                        >
-                          <Eye className="h-3 w-3" />
-                          View
-                        </Button>
-                        <Button
-                          variant="outline"
-                          size="sm"
-                          className="flex items-center gap-1"
-                        >
-                          <Edit className="h-3 w-3" />
-                          Edit
-                        </Button>
-                      </div>
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => handleViewDetails(item)}
+                        className="flex items-center gap-1"
+                      >
+                        <Eye className="h-3 w-3" />
+                        View
+                      </Button>
                     </td>
                   </tr>
                 ))}
@@ -557,19 +487,159 @@ const CostAnalysis = () => {
           <Card className="p-12 text-center">
             <Banknote className="h-16 w-16 text-gray-400 mx-auto mb-4" />
             <h3 className="text-lg font-semibold text-gray-900 mb-2">No Analysis Data Found</h3>
-            <p className="text-gray-600 mb-4">
-              {searchTerm || Object.values(filters).some(f => f !== 'all' && f !== '')
+            <p className="text-gray-600">
+              {searchTerm || filters.category !== 'all' || filters.branch !== 'all'
                 ? 'Try adjusting your search or filters'
-                : 'Get started by creating your first cost analysis'
+                : 'No stock, sales or usage was recorded for this period'
               }
             </p>
-            <Button onClick={handleCreateAnalysis} className="flex items-center gap-2 mx-auto">
-              <Plus className="h-4 w-4" />
-              New Analysis
-            </Button>
           </Card>
         )}
 
+        {/* Breakdowns */}
+        {valuation && (
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <Card className="p-6">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="font-semibold text-gray-900">COGS by Period</h3>
+                <div className="flex items-center gap-2">
+                  <select
+                    value={groupBy}
+                    onChange={(e) => setGroupBy(e.target.value)}
+                    className="px-2 py-1 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  >
+                    <option value={VALUATION_GROUPINGS.MONTH}>Monthly</option>
+                    <option value={VALUATION_GROUPINGS.QUARTER}>Quarterly</option>
+                    <option value={VALUATION_GROUPINGS.YEAR}>Yearly</option>
+                  </select>
+                  <button type="button" onClick={() => handleExport('periods')} className="p-1 text-gray-500 hover:text-gray-700" title="Export">
+                    <Download className="h-4 w-4" />
+                  </button>
+                </div>
+              </div>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-gray-500 uppercase">
+                    <th className="py-2">Period</th>
+                    <th className="py-2 text-right">Revenue</th>
+                    <th className="py-2 text-right">COGS</th>
+                    <th className="py-2 text-right">Margin</th>
+                    <th className="py-2 text-right">Salon Use</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {valuation.periods.map(period => (
+                    <tr key={period.key}>
+                      <td className="py-2 text-gray-900">{period.label}</td>
+                      <td className="py-2 text-right text-gray-900">{formatPeso(period.revenue)}</td>
+                      <td className="py-2 text-right text-gray-900">{formatPeso(period[method].cogs)}</td>
+                      <td className="py-2 text-right text-gray-900">{period[method].marginPercent.toFixed(1)}%</td>
+                      <td className="py-2 text-right text-gray-500">{formatPeso(period[method].salonUse)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </Card>
+
+            <Card className="p-6">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="font-semibold text-gray-900">Margin by Category</h3>
+                <button type="button" onClick={() => handleExport('categories')} className="p-1 text-gray-500 hover:text-gray-700" title="Export">
+                  <Download className="h-4 w-4" />
+                </button>
+              </div>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-gray-500 uppercase">
+                    <th className="py-2">Category</th>
+                    <th className="py-2 text-right">Stock Value</th>
+                    <th className="py-2 text-right">Revenue</th>
+                    <th className="py-2 text-right">Margin</th>
+                    <th className="py-2 text-right">Supply</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {[...valuation.categories]
+                    .sort((a, b) => b.revenue - a.revenue)
+                    .map(category => (
+                      <tr key={category.id}>
+                        <td className="py-2 text-gray-900">{category.category}</td>
+                        <td className="py-2 text-right text-gray-900">{formatPeso(category[method].onHandValue)}</td>
+                        <td className="py-2 text-right text-gray-900">{formatPeso(category.revenue)}</td>
+                        <td className="py-2 text-right text-gray-900">{category[method].marginPercent.toFixed(1)}%</td>
+                        <td className="py-2 text-right text-gray-500">{formatDays(category[method].daysOfSupply)}</td>
+                      </tr>
+                    ))}
+                </tbody>
+              </table>
+            </Card>
+
+            {valuation.branches.length > 1 && (
+              <Card className="p-6">
+                <div className="flex items-center justify-between mb-4">
+                  <h3 className="font-semibold text-gray-900">Margin by Branch</h3>
+                  <button type="button" onClick={() => handleExport('branches')} className="p-1 text-gray-500 hover:text-gray-700" title="Export">
+                    <Download className="h-4 w-4" />
+                  </button>
+                </div>
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs text-gray-500 uppercase">
+                      <th className="py-2">Branch</th>
+                      <th className="py-2 text-right">Stock Value</th>
+                      <th className="py-2 text-right">Revenue</th>
+                      <th className="py-2 text-right">Margin</th>
+                      <th className="py-2 text-right">Turnover</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {valuation.branches.map(branch => (
+                      <tr key={branch.id}>
+                        <td className="py-2 text-gray-900">{branch.branchName}</td>
+                        <td className="py-2 text-right text-gray-900">{formatPeso(branch[method].onHandValue)}</td>
+                        <td className="py-2 text-right text-gray-900">{formatPeso(branch.revenue)}</td>
+                        <td className="py-2 text-right text-gray-900">{branch[method].marginPercent.toFixed(1)}%</td>
+                        <td className="py-2 text-right text-gray-500">{branch[method].turnover.toFixed(1)}x</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </Card>
+            )}
+
+            <Card className="p-6">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="font-semibold text-gray-900">Shrinkage</h3>
+                <button type="button" onClick={() => handleExport('shrinkage')} className="p-1 text-gray-500 hover:text-gray-700" title="Export">
+                  <Download className="h-4 w-4" />
+                </button>
+              </div>
+              {valuation.shrinkage.length === 0 ? (
+                <p className="text-sm text-gray-500">No audit adjustments or write-offs in this period.</p>
+              ) : (
+                <div className="space-y-2">
+                  {valuation.shrinkage.map(cause => (
+                    <div key={cause.cause} className="flex items-center justify-between text-sm">
+                      <span className="text-gray-700">{cause.label}</span>
+                      <span className={`font-medium ${cause[method] < 0 ? 'text-green-600' : 'text-red-600'}`}>
+                        {formatPeso(cause[method])}
+                        <span className="ml-2 text-xs text-gray-500">{formatQuantity(cause.quantity)} units</span>
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
+              <div className="mt-4 pt-4 border-t flex items-center justify-between text-sm">
+                <span className="flex items-center gap-2 text-gray-700">
+                  <Clock className="h-4 w-4 text-orange-500" />
+                  Expired, still on shelf
+                </span>
+                <span className="font-medium text-orange-600">{formatPeso(totals?.expiredValue)}</span>
+              </div>
+            </Card>
+          </div>
+        )}
+
         {/* Item Details Modal */}
         {isDetailsModalOpen && selectedItem && (
           <Modal
@@ -590,173 +660,106 @@ const CostAnalysis = () => {
                 <div className="flex-1">
                   <div className="flex items-start justify-between mb-2">
                     <h2 className="text-xl font-bold text-gray-900">{selectedItem.productName}</h2>
-                    <span className={`inline-flex items-center gap-1 px-3 py-1 rounded-full text-sm font-medium ${getPerformanceColor(selectedItem.performance)}`}>
-                      {getPerformanceIcon(selectedItem.performance)}
-                      {selectedItem.performance}
+                    <span className={`inline-flex items-center gap-1 px-3 py-1 rounded-full text-sm font-medium ${getPerformanceColor(getPerformance(selectedItem))}`}>
+                      {getPerformanceIcon(getPerformance(selectedItem))}
+                      {getPerformance(selectedItem)}
                     </span>
                   </div>
                   <p className="text-lg text-gray-600 mb-2">{selectedItem.brand}</p>
-                  <p className="text-sm text-gray-500">{selectedItem.category}</p>
+                  <p className="text-sm text-gray-500">{selectedItem.category} · {selectedItem.branchName}</p>
                 </div>
               </div>
 
-              {/* Cost Analysis */}
+              {/* Valuation by Method */}
               <div className="bg-gray-50 rounded-lg p-4">
-                <h3 className="font-semibold text-gray-900 mb-3">Cost Analysis</h3>
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                  <div>
-                    <label className="text-sm font-medium text-gray-500">Unit Cost</label>
-                    <p className="text-2xl font-bold text-red-600">₱{selectedItem.unitCost.toLocaleString()}</p>
-                  </div>
-                  
-                  <div>
-                    <label className="text-sm font-medium text-gray-500">Selling Price</label>
-                    <p className="text-2xl font-bold text-green-600">₱{selectedItem.sellingPrice.toLocaleString()}</p>
-                  </div>
-                  
-                  <div>
-                    <label className="text-sm font-medium text-gray-500">Margin (Amount)</label>
-                    <p className="text-xl font-semibold text-gray-900">₱{selectedItem.margin.toLocaleString()}</p>
-                  </div>
-                  
-                  <div>
-                    <label className="text-sm font-medium text-gray-500">Margin (Percentage)</label>
-                    <p className="text-xl font-semibold text-gray-900">{selectedItem.marginPercentage}%</p>
-                  </div>
-                </div>
+                <h3 className="font-semibold text-gray-900 mb-3">Valuation</h3>
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs text-gray-500 uppercase">
+                      <th className="py-1"></th>
+                      {Object.values(VALUATION_METHODS).map(option => (
+                        <th key={option} className="py-1 text-right">{VALUATION_METHOD_LABELS[option]}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {[
+                      ['On-hand value', 'onHandValue'],
+                      ['COGS', 'cogs'],
+                      ['Gross margin', 'grossMargin'],
+                      ['Salon use cost', 'salonUse'],
+                      ['Shrinkage', 'shrinkage'],
+                      ['Received in period', 'receipts']
+                    ].map(([label, field]) => (
+                      <tr key={field}>
+                        <td className="py-1 text-gray-600">{label}</td>
+                        {Object.values(VALUATION_METHODS).map(option => (
+                          <td key={option} className="py-1 text-right font-medium text-gray-900">
+                            {formatPeso(selectedItem[option][field])}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
               </div>
 
-              {/* Financial Summary */}
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                <div className="space-y-4">
-                  <h3 className="font-semibold text-gray-900">Financial Summary</h3>
-                  
-                  <div>
-                    <label className="text-sm font-medium text-gray-500">Total Units</label>
-                    <p className="text-lg font-semibold text-gray-900">{selectedItem.totalUnits}</p>
-                  </div>
-                  
-                  <div>
-                    <label className="text-sm font-medium text-gray-500">Total Cost</label>
-                    <p className="text-lg font-semibold text-red-600">₱{selectedItem.totalCost.toLocaleString()}</p>
-                  </div>
-                  
-                  <div>
-                    <label className="text-sm font-medium text-gray-500">Total Revenue</label>
-                    <p className="text-lg font-semibold text-green-600">₱{selectedItem.totalRevenue.toLocaleString()}</p>
-                  </div>
-                  
-                  <div>
-                    <label className="text-sm font-medium text-gray-500">Total Profit</label>
-                    <p className="text-2xl font-bold text-purple-600">₱{selectedItem.totalProfit.toLocaleString()}</p>
-                  </div>
-                </div>
-
-                <div className="space-y-4">
-                  <h3 className="font-semibold text-gray-900">Additional Info</h3>
-                  
-                  <div>
-                    <label className="text-sm font-medium text-gray-500">Branch</label>
-                    <p className="text-gray-900">{selectedItem.branchName}</p>
-                  </div>
-                  
-                  <div>
-                    <label className="text-sm font-medium text-gray-500">Supplier</label>
-                    <p className="text-gray-900">{selectedItem.supplier}</p>
-                  </div>
-                  
-                  <div>
-                    <label className="text-sm font-medium text-gray-500">Last Updated</label>
-                    <p className="text-gray-900">{format(new Date(selectedItem.lastUpdated), 'MMM dd, yyyy')}</p>
-                  </div>
-                  
-                  <div>
-                    <label className="text-sm font-medium text-gray-500">Trend</label>
-                    <div className="flex items-center gap-2">
-                      {getTrendIcon(selectedItem.trend)}
-                      <span className="text-gray-900 capitalize">{selectedItem.trend}</span>
-                    </div>
-                  </div>
+              {/* Stock Flow */}
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                <div>
+                  <label className="text-sm font-medium text-gray-500">On Hand</label>
+                  <p className="text-lg font-semibold text-gray-900">{formatQuantity(selectedItem.onHandQuantity)} {selectedItem.unit}</p>
                 </div>
-              </div>
-
-              {/* Profitability Chart Placeholder */}
-              <div className="bg-gray-50 rounded-lg p-4">
-                <h3 className="font-semibold text-gray-900 mb-3">Profitability Trend</h3>
-                <div className="h-32 bg-white rounded border flex items-center justify-center">
-                  <div className="text-center text-gray-500">
-                    <BarChart3 className="h-8 w-8 mx-auto mb-2" />
-                    <p className="text-sm">Chart visualization would go here</p>
-                  </div>
+                <div>
+                  <label className="text-sm font-medium text-gray-500">Sold</label>
+                  <p className="text-lg font-semibold text-gray-900">{formatQuantity(selectedItem.soldQuantity)}</p>
                 </div>
-              </div>
-            </div>
-          </Modal>
-        )}
-
-        {/* Create Analysis Modal */}
-        {isCreateModalOpen && (
-          <Modal
-            isOpen={isCreateModalOpen}
-            onClose={() => setIsCreateModalOpen(false)}
-            title="Create Cost Analysis"
-            size="md"
-          >
-            <form onSubmit={handleSubmit} className="space-y-4">
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Product *</label>
-                <select className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500" required>
-                  <option value="">Select Product</option>
-                  {/* Product options would be populated here */}
-                </select>
-              </div>
-              
-              <div className="grid grid-cols-2 gap-4">
                 <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-2">Unit Cost *</label>
-                  <Input
-                    type="number"
-                    placeholder="Enter unit cost"
-                    required
-                  />
+                  <label className="text-sm font-medium text-gray-500">Turnover</label>
+                  <p className="text-lg font-semibold text-gray-900">{selectedItem[method].turnover.toFixed(1)}x / yr</p>
                 </div>
-                
                 <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-2">Selling Price *</label>
-                  <Input
-                    type="number"
-                    placeholder="Enter selling price"
-                    required
-                  />
+                  <label className="text-sm font-medium text-gray-500">Days of Supply</label>
+                  <p className="text-lg font-semibold text-gray-900">{formatDays(selectedItem[method].daysOfSupply)}</p>
                 </div>
               </div>
-              
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Total Units</label>
-                <Input
-                  type="number"
-                  placeholder="Enter total units"
-                />
-              </div>
-              
+
+              {/* FIFO Layers */}
               <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Analysis Period</label>
-                <select className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500">
-                  <option value="monthly">Monthly</option>
-                  <option value="quarterly">Quarterly</option>
-                  <option value="yearly">Yearly</option>
-                </select>
+                <h3 className="font-semibold text-gray-900 mb-3 flex items-center gap-2">
+                  <Layers className="h-4 w-4" />
+                  Cost Layers (oldest first)
+                </h3>
+                {selectedItem.batches.length === 0 ? (
+                  <p className="text-sm text-gray-500">No stock on hand.</p>
+                ) : (
+                  <table className="w-full text-sm">
+                    <thead className="bg-gray-50">
+                      <tr className="text-left text-xs text-gray-500 uppercase">
+                        <th className="px-3 py-2">Batch</th>
+                        <th className="px-3 py-2">Received</th>
+                        <th className="px-3 py-2">Expires</th>
+                        <th className="px-3 py-2 text-right">Qty</th>
+                        <th className="px-3 py-2 text-right">Unit Cost</th>
+                        <th className="px-3 py-2 text-right">Value</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                      {selectedItem.batches.map(layer => (
+                        <tr key={layer.batchId}>
+                          <td className="px-3 py-2 text-gray-900">{layer.batchNumber}</td>
+                          <td className="px-3 py-2 text-gray-600">{layer.receivedDate ? format(layer.receivedDate, 'MMM dd, yyyy') : '-'}</td>
+                          <td className="px-3 py-2 text-gray-600">{layer.expirationDate ? format(layer.expirationDate, 'MMM dd, yyyy') : '-'}</td>
+                          <td className="px-3 py-2 text-right text-gray-900">{formatQuantity(layer.quantity)}</td>
+                          <td className="px-3 py-2 text-right text-gray-900">{formatPeso(layer.unitCost)}</td>
+                          <td className="px-3 py-2 text-right font-medium text-gray-900">{formatPeso(layer.value)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
               </div>
-              
-              <div className="flex justify-end gap-3 pt-4">
-                <Button type="button" variant="outline" onClick={() => setIsCreateModalOpen(false)}>
-                  Cancel
-                </Button>
-                <Button type="submit">
-                  Create Analysis
-                </Button>
-              </div>
-            </form>
+            </div>
           </Modal>
         )}
 
@@ -769,15 +772,31 @@ const CostAnalysis = () => {
             size="md"
           >
             <div className="space-y-4">
+              {branches.length > 1 && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Branch</label>
+                  <select
+                    value={filters.branch}
+                    onChange={(e) => setFilters(prev => ({ ...prev, branch: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  >
+                    <option value="all">All Branches</option>
+                    {branches.map(branch => (
+                      <option key={branch.id} value={branch.id}>{branch.name}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
               <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Cost Range</label>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Average Unit Cost Range</label>
                 <div className="grid grid-cols-2 gap-3">
                   <Input
                     type="number"
                     placeholder="Min Cost"
                     value={filters.costRange.min}
-                    onChange={(e) => setFilters(prev => ({ 
-                      ...prev, 
+                    onChange={(e) => setFilters(prev => ({
+                      ...prev,
                       costRange: { ...prev.costRange, min: e.target.value }
                     }))}
                   />
@@ -785,8 +804,8 @@ const CostAnalysis = () => {
                     type="number"
                     placeholder="Max Cost"
                     value={filters.costRange.max}
-                    onChange={(e) => setFilters(prev => ({ 
-                      ...prev, 
+                    onChange={(e) => setFilters(prev => ({
+                      ...prev,
                       costRange: { ...prev.costRange, max: e.target.value }
                     }))}
                   />
@@ -800,8 +819,8 @@ const CostAnalysis = () => {
                     type="number"
                     placeholder="Min Margin %"
                     value={filters.marginRange.min}
-                    onChange={(e) => setFilters(prev => ({ 
-                      ...prev, 
+                    onChange={(e) => setFilters(prev => ({
+                      ...prev,
                       marginRange: { ...prev.marginRange, min: e.target.value }
                     }))}
                   />
@@ -809,8 +828,8 @@ const CostAnalysis = () => {
                     type="number"
                     placeholder="Max Margin %"
                     value={filters.marginRange.max}
-                    onChange={(e) => setFilters(prev => ({ 
-                      ...prev, 
+                    onChange={(e) => setFilters(prev => ({
+                      ...prev,
                       marginRange: { ...prev.marginRange, max: e.target.value }
                     }))}
                   />
@@ -818,12 +837,7 @@ const CostAnalysis = () => {
               </div>
 
               <div className="flex justify-end gap-3 pt-4">
-                <Button variant="outline" onClick={() => setFilters({
-                  category: 'all',
-                  period: 'monthly',
-                  costRange: { min: '', max: '' },
-                  marginRange: { min: '', max: '' }
-                })}>
+                <Button variant="outline" onClick={() => setFilters(emptyFilters)}>
                   Reset
                 </Button>
                 <Button onClick={() => setIsFilterModalOpen(false)}>
@@ -374,7 +374,8 @@ const Deliveries = () => {
             sku: item.sku || null,
             usageType: item.usageType || 'otc',
             quantity: receivedQty,
-            unitPrice: item.unitPrice || 0
+            unitPrice: item.unitPrice || 0,
+            unit: item.unit || null // Purchase unit; batches are created in stock units
           });
         }
       });
@@ -687,6 +687,11 @@ const ExpiryTracker = () => {
                         <p className="text-xs text-gray-500 mt-1">
                           {((selectedBatch.remainingQuantity || 0) / (selectedBatch.quantity || 1) * 100).toFixed(1)}% remaining
                         </p>
+                        {selectedBatch.openQuantity > 0 && (
+                          <p className="text-xs text-blue-600 mt-1">
+                            Plus {selectedBatch.openQuantity} {selectedBatch.openUnit || ''} left in an opened {selectedBatch.unit || 'container'}
+                          </p>
+                        )}
                       </div>
                       <div>
                         <label className="text-sm font-medium text-gray-500">Unit Cost</label>
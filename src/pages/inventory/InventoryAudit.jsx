@@ -1,5 +1,5 @@
 // src/pages/06_InventoryController/InventoryAudit.jsx
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useAuth } from '../../context/AuthContext';
 import InventoryLayout from '../../layouts/InventoryLayout';
 import { Card } from '../../components/ui/Card';
@@ -14,14 +14,11 @@ import {
   Eye,
   Edit,
   Plus,
-  Download,
-  Upload,
   RefreshCw,
   AlertTriangle,
   CheckCircle,
   XCircle,
   Clock,
-  Package,
   Calendar,
   Building,
   FileText,
@@ -43,6 +40,27 @@ import {
   Square
 } from 'lucide-react';
 import { format } from 'date-fns';
+import toast from 'react-hot-toast';
+import { productService } from '../../services/productService';
+import { getBranchById } from '../../services/branchService';
+import {
+  AUDIT_STATUS,
+  AUDIT_SCOPES,
+  AUDIT_SCOPE_LABELS,
+  getBranchAudits,
+  scheduleAudit,
+  startAudit,
+  cancelAudit
+} from '../../services/inventoryAuditService';
+import AuditCountModal from '../../components/inventory/AuditCountModal';
+import AuditReview from '../../components/inventory/AuditReview';
+
+const describeScope = (audit) => {
+  if (audit.scope === AUDIT_SCOPES.CATEGORY) return (audit.categories || []).join(', ');
+  if (audit.scope === AUDIT_SCOPES.ABC) return `Class ${audit.abcClass} products`;
+  if (audit.scope === AUDIT_SCOPES.RANDOM) return `${audit.sampleSize} random products`;
+  return 'All products';
+};
 
 const InventoryAudit = () => {
   const { userData } = useAuth();
@@ -55,10 +73,8 @@ const InventoryAudit = () => {
   
   // UI states
   const [searchTerm, setSearchTerm] = useState('');
-  const [selectedStatus, setSelectedStatus] = useState('all');
-  const [selectedBranch, setSelectedBranch] = useState('all');
-  const [sortBy, setSortBy] = useState('auditDate');
-  const [sortOrder, setSortOrder] = useState('desc');
+  const [sortBy] = useState('scheduledDate');
+  const [sortOrder] = useState('desc');
   const [isDetailsModalOpen, setIsDetailsModalOpen] = useState(false);
   const [isCreateModalOpen, setIsCreateModalOpen] = useState(false);
   const [isCountingModalOpen, setIsCountingModalOpen] = useState(false);
@@ -68,146 +84,77 @@ const InventoryAudit = () => {
   // Filter states
   const [filters, setFilters] = useState({
     status: 'all',
-    branch: 'all',
+    scope: 'all',
     auditor: 'all',
     dateRange: { start: '', end: '' }
   });
 
-  // Mock audit data
-  const mockAudits = [
-    {
-      id: 'AUDIT-001',
-      auditDate: new Date('2024-01-15'),
-      branchId: 'branch1',
-      branchName: 'Harbor Point Ayala',
-      auditor: 'John Smith',
-      status: 'Completed',
-      totalItems: 45,
-      countedItems: 45,
-      discrepancies: 3,
-      accuracy: 93.3,
-      totalValue: 125000,
-      discrepancyValue: 5000,
-      notes: 'Minor discrepancies found in hair care products',
-      createdAt: new Date('2024-01-15'),
-      updatedAt: new Date('2024-01-15'),
-      items: [
-        {
-          productId: 'prod1',
-          productName: 'Olaplex No.3 Hair Perfector',
-          expectedQty: 15,
-          actualQty: 14,
-          discrepancy: -1,
-          unitCost: 1400,
-          discrepancyValue: -1400,
-          status: 'Discrepancy'
-        },
-        {
-          productId: 'prod2',
-          productName: 'L\'Oréal Hair Color',
-          expectedQty: 8,
-          actualQty: 8,
-          discrepancy: 0,
-          unitCost: 800,
-          discrepancyValue: 0,
-          status: 'Match'
-        }
-      ]
-    },
-    {
-      id: 'AUDIT-002',
-      auditDate: new Date('2024-01-10'),
-      branchId: 'branch2',
-      branchName: 'SM Mall of Asia',
-      auditor: 'Maria Santos',
-      status: 'In Progress',
-      totalItems: 32,
-      countedItems: 28,
-      discrepancies: 0,
-      accuracy: 0,
-      totalValue: 89000,
-      discrepancyValue: 0,
-      notes: 'Audit in progress, counting remaining items',
-      createdAt: new Date('2024-01-10'),
-      updatedAt: new Date('2024-01-12'),
-      items: []
-    },
-    {
-      id: 'AUDIT-003',
-      auditDate: new Date('2024-01-05'),
-      branchId: 'branch3',
-      branchName: 'Greenbelt 5',
-      auditor: 'Carlos Mendoza',
-      status: 'Scheduled',
-      totalItems: 28,
-      countedItems: 0,
-      discrepancies: 0,
-      accuracy: 0,
-      totalValue: 65000,
-      discrepancyValue: 0,
-      notes: 'Scheduled for next week',
-      createdAt: new Date('2024-01-05'),
-      updatedAt: new Date('2024-01-05'),
-      items: []
-    }
-  ];
+  // Create form
+  const emptyForm = {
+    scope: AUDIT_SCOPES.CATEGORY,
+    categories: [],
+    abcClass: 'A',
+    sampleSize: 10,
+    blindCount: true,
+    scheduledDate: format(new Date(), 'yyyy-MM-dd'),
+    assignedToName: '',
+    notes: ''
+  };
+  const [formData, setFormData] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const [startingId, setStartingId] = useState(null);
 
-  // Mock products for counting
-  const mockProducts = [
-    { id: 'prod1', name: 'Olaplex No.3 Hair Perfector', category: 'Hair Care', expectedQty: 15 },
-    { id: 'prod2', name: 'L\'Oréal Hair Color', category: 'Hair Color', expectedQty: 8 },
-    { id: 'prod3', name: 'Kerastase Shampoo', category: 'Hair Care', expectedQty: 12 },
-    { id: 'prod4', name: 'Wella Hair Color', category: 'Hair Color', expectedQty: 5 }
-  ];
+  const categories = [...new Set(products.map(p => p.category).filter(Boolean))].sort();
 
   // Load audits
-  const loadAudits = async () => {
+  const loadAudits = useCallback(async () => {
+    if (!userData?.branchId) return;
     try {
       setLoading(true);
       setError(null);
-      
-      // For now, use mock data
-      setAudits(mockAudits);
-      setProducts(mockProducts);
-      
+
+      const [branchAudits, productsResult] = await Promise.all([
+        getBranchAudits(userData.branchId),
+        productService.getAllProducts()
+      ]);
+      setAudits(branchAudits);
+      setProducts(productsResult.products || []);
     } catch (err) {
       console.error('Error loading audits:', err);
       setError(err.message);
     } finally {
       setLoading(false);
     }
-  };
+  }, [userData?.branchId]);
 
   // Load audits on mount
   useEffect(() => {
     loadAudits();
-  }, []);
+  }, [loadAudits]);
 
-  // Get unique branches
-  const branches = [...new Set(audits.map(a => a.branchName))].filter(Boolean);
-  const auditors = [...new Set(audits.map(a => a.auditor))].filter(Boolean);
+  const auditors = [...new Set(audits.map(a => a.assignedToName))].filter(Boolean);
 
   // Filter and sort audits
   const filteredAudits = audits
     .filter(audit => {
-      const matchesSearch = audit.id.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                           audit.branchName.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                           audit.auditor.toLowerCase().includes(searchTerm.toLowerCase());
+      const search = searchTerm.toLowerCase();
+      const matchesSearch = (audit.auditNumber || '').toLowerCase().includes(search) ||
+                           (AUDIT_SCOPE_LABELS[audit.scope] || '').toLowerCase().includes(search) ||
+                           (audit.assignedToName || '').toLowerCase().includes(search);
       
       const matchesStatus = filters.status === 'all' || audit.status === filters.status;
-      const matchesBranch = filters.branch === 'all' || audit.branchName === filters.branch;
-      const matchesAuditor = filters.auditor === 'all' || audit.auditor === filters.auditor;
+      const matchesScope = filters.scope === 'all' || audit.scope === filters.scope;
+      const matchesAuditor = filters.auditor === 'all' || audit.assignedToName === filters.auditor;
+      const matchesDateRange = (!filters.dateRange.start || new Date(audit.scheduledDate) >= new Date(filters.dateRange.start)) &&
+                              (!filters.dateRange.end || new Date(audit.scheduledDate) <= new Date(`${filters.dateRange.end}T23:59:59`));
       
-      const matchesDateRange = (!filters.dateRange.start || new Date(audit.auditDate) >= new Date(filters.dateRange.start)) &&
-                              (!filters.dateRange.end || new Date(audit.auditDate) <= new Date(filters.dateRange.end));
-      
-      return matchesSearch && matchesStatus && matchesBranch && matchesAuditor && matchesDateRange;
+      return matchesSearch && matchesStatus && matchesScope && matchesAuditor && matchesDateRange;
     })
     .sort((a, b) => {
       let aValue = a[sortBy];
       let bValue = b[sortBy];
       
-      if (sortBy === 'auditDate' || sortBy === 'createdAt' || sortBy === 'updatedAt') {
+      if (sortBy === 'scheduledDate' || sortBy === 'createdAt' || sortBy === 'updatedAt') {
         aValue = new Date(aValue);
         bValue = new Date(bValue);
       }
@@ -227,27 +174,82 @@ const InventoryAudit = () => {
 
   // Handle create audit
   const handleCreateAudit = () => {
+    setFormData({ ...emptyForm, assignedToName: `${userData?.firstName || ''} ${userData?.lastName || ''}`.trim() });
     setIsCreateModalOpen(true);
   };
 
-  // Handle start counting
-  const handleStartCounting = (audit) => {
+  // Start freezes the snapshot; continuing reopens the saved counts
+  const handleStartCounting = async (audit) => {
+    if (audit.status === AUDIT_STATUS.SCHEDULED) {
+      try {
+        setStartingId(audit.id);
+        const items = await startAudit(audit, userData);
+        setSelectedAudit({ ...audit, items, status: AUDIT_STATUS.IN_PROGRESS });
+        setIsCountingModalOpen(true);
+        loadAudits();
+      } catch (err) {
+        // Error handled in service
+      } finally {
+        setStartingId(null);
+      }
+      return;
+    }
     setSelectedAudit(audit);
     setIsCountingModalOpen(true);
   };
 
+  const handleCancelAudit = async (audit) => {
+    if (!window.confirm(`Cancel audit ${audit.auditNumber}? Counts recorded so far will not be posted.`)) return;
+    try {
+      await cancelAudit(audit.id, userData);
+      toast.success('Audit cancelled');
+      loadAudits();
+    } catch (err) {
+      // Error handled in service
+    }
+  };
+
+  const toggleCategory = (category) => {
+    setFormData(prev => ({
+      ...prev,
+      categories: prev.categories.includes(category)
+        ? prev.categories.filter(c => c !== category)
+        : [...prev.categories, category]
+    }));
+  };
+
   // Handle form submission
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
-    // Handle form submission logic here
-    console.log('Form submitted');
-    setIsCreateModalOpen(false);
+    try {
+      setSaving(true);
+      let branchName = '';
+      try {
+        branchName = (await getBranchById(userData.branchId)).name || '';
+      } catch (err) {
+        // Branch name is only for display
+      }
+      await scheduleAudit({
+        ...formData,
+        branchId: userData.branchId,
+        branchName,
+        scheduledDate: new Date(`${formData.scheduledDate}T00:00:00`)
+      }, userData);
+      toast.success('Audit scheduled');
+      setIsCreateModalOpen(false);
+      loadAudits();
+    } catch (err) {
+      // Error handled in service
+    } finally {
+      setSaving(false);
+    }
   };
 
   // Get status color
   const getStatusColor = (status) => {
     switch (status) {
       case 'Completed': return 'text-green-600 bg-green-100';
+      case 'Pending Approval': return 'text-purple-600 bg-purple-100';
       case 'In Progress': return 'text-blue-600 bg-blue-100';
       case 'Scheduled': return 'text-yellow-600 bg-yellow-100';
       case 'Cancelled': return 'text-red-600 bg-red-100';
@@ -259,6 +261,7 @@ const InventoryAudit = () => {
   const getStatusIcon = (status) => {
     switch (status) {
       case 'Completed': return <CheckCircle className="h-4 w-4" />;
+      case 'Pending Approval': return <CheckSquare className="h-4 w-4" />;
       case 'In Progress': return <Clock className="h-4 w-4" />;
       case 'Scheduled': return <Calendar className="h-4 w-4" />;
       case 'Cancelled': return <XCircle className="h-4 w-4" />;
@@ -272,8 +275,8 @@ const InventoryAudit = () => {
     completedAudits: audits.filter(a => a.status === 'Completed').length,
     inProgressAudits: audits.filter(a => a.status === 'In Progress').length,
     scheduledAudits: audits.filter(a => a.status === 'Scheduled').length,
-    totalItems: audits.reduce((sum, a) => sum + a.totalItems, 0),
-    totalDiscrepancies: audits.reduce((sum, a) => sum + a.discrepancies, 0),
+    pendingApproval: audits.filter(a => a.status === AUDIT_STATUS.PENDING_APPROVAL).length,
+    totalDiscrepancies: audits.reduce((sum, a) => sum + (a.discrepancies || 0), 0),
     averageAccuracy: audits.filter(a => a.status === 'Completed').reduce((sum, a) => sum + a.accuracy, 0) / audits.filter(a => a.status === 'Completed').length || 0
   };
 
@@ -316,13 +319,9 @@ const InventoryAudit = () => {
             <p className="text-sm md:text-base text-gray-600">Conduct stock counts and reconcile inventory discrepancies</p>
           </div>
           <div className="flex items-center gap-2 md:gap-3 flex-wrap">
-            <Button variant="outline" className="flex items-center gap-2 text-xs md:text-sm">
-              <Upload className="h-4 w-4" />
-              <span className="hidden sm:inline">Import</span>
-            </Button>
-            <Button variant="outline" className="flex items-center gap-2 text-xs md:text-sm">
-              <Download className="h-4 w-4" />
-              <span className="hidden sm:inline">Export</span>
+            <Button variant="outline" onClick={loadAudits} className="flex items-center gap-2 text-xs md:text-sm">
+              <RefreshCw className="h-4 w-4" />
+              <span className="hidden sm:inline">Refresh</span>
             </Button>
             <Button onClick={handleCreateAudit} className="flex items-center gap-2 text-xs md:text-sm">
               <Plus className="h-4 w-4" />
@@ -375,10 +374,10 @@ const InventoryAudit = () => {
           
           <Card className="p-4">
             <div className="flex items-center">
-              <Package className="h-8 w-8 text-purple-600" />
+              <CheckSquare className="h-8 w-8 text-purple-600" />
               <div className="ml-3">
-                <p className="text-sm font-medium text-gray-600">Total Items</p>
-                <p className="text-xl font-bold text-gray-900">{auditStats.totalItems}</p>
+                <p className="text-sm font-medium text-gray-600">Awaiting Approval</p>
+                <p className="text-xl font-bold text-gray-900">{auditStats.pendingApproval}</p>
               </div>
             </div>
           </Card>
@@ -399,7 +398,7 @@ const InventoryAudit = () => {
           <div className="flex flex-col lg:flex-row gap-4">
             <div className="flex-1">
               <SearchInput
-                placeholder="Search by audit ID, branch, or auditor..."
+                placeholder="Search by audit number, type, or auditor..."
                 value={searchTerm}
                 onChange={setSearchTerm}
                 className="w-full"
@@ -412,19 +411,18 @@ const InventoryAudit = () => {
                 className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
               >
                 <option value="all">All Status</option>
-                <option value="Completed">Completed</option>
-                <option value="In Progress">In Progress</option>
-                <option value="Scheduled">Scheduled</option>
-                <option value="Cancelled">Cancelled</option>
+                {Object.values(AUDIT_STATUS).map(status => (
+                  <option key={status} value={status}>{status}</option>
+                ))}
               </select>
               <select
-                value={filters.branch}
-                onChange={(e) => setFilters(prev => ({ ...prev, branch: e.target.value }))}
+                value={filters.scope}
+                onChange={(e) => setFilters(prev => ({ ...prev, scope: e.target.value }))}
                 className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
               >
-                <option value="all">All Branches</option>
-                {branches.map(branch => (
-                  <option key={branch} value={branch}>{branch}</option>
+                <option value="all">All Types</option>
+                {Object.entries(AUDIT_SCOPE_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
                 ))}
               </select>
               <Button
@@ -439,7 +437,7 @@ const InventoryAudit = () => {
                 variant="outline"
                 onClick={() => setFilters({
                   status: 'all',
-                  branch: 'all',
+                  scope: 'all',
                   auditor: 'all',
                   dateRange: { start: '', end: '' }
                 })}
@@ -459,10 +457,10 @@ const InventoryAudit = () => {
               <thead className="bg-gray-50">
                 <tr>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Audit ID
+                    Audit
                   </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Branch
+                    Type
                   </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Auditor
@@ -488,16 +486,18 @@ const InventoryAudit = () => {
                 {filteredAudits.map((audit) => (
                   <tr key={audit.id} className="hover:bg-gray-50">
                     <td className="px-6 py-4 whitespace-nowrap">
-                      <div className="text-sm font-medium text-gray-900">{audit.id}</div>
+                      <div className="text-sm font-medium text-gray-900">{audit.auditNumber}</div>
+                      {audit.blindCount && <div className="text-xs text-gray-500">Blind count</div>}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
-                      <div className="text-sm text-gray-900">{audit.branchName}</div>
+                      <div className="text-sm text-gray-900">{AUDIT_SCOPE_LABELS[audit.scope]}</div>
+                      <div className="text-xs text-gray-500">{describeScope(audit)}</div>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
-                      <div className="text-sm text-gray-900">{audit.auditor}</div>
+                      <div className="text-sm text-gray-900">{audit.assignedToName}</div>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
-                      <div className="text-sm text-gray-900">{format(new Date(audit.auditDate), 'MMM dd, yyyy')}</div>
+                      <div className="text-sm text-gray-900">{audit.scheduledDate ? format(audit.scheduledDate, 'MMM dd, yyyy') : '-'}</div>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       <span className={`inline-flex items-center gap-1 px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(audit.status)}`}>
@@ -506,19 +506,19 @@ const InventoryAudit = () => {
                       </span>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
-                      <div className="text-sm text-gray-900">{audit.countedItems}/{audit.totalItems}</div>
+                      <div className="text-sm text-gray-900">{audit.countedItems || 0}/{audit.totalItems || 0}</div>
                       <div className="w-full bg-gray-200 rounded-full h-2 mt-1">
                         <div 
                           className="bg-blue-600 h-2 rounded-full" 
-                          style={{ width: `${(audit.countedItems / audit.totalItems) * 100}%` }}
+                          style={{ width: `${audit.totalItems ? (audit.countedItems / audit.totalItems) * 100 : 0}%` }}
                         ></div>
                       </div>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       <div className="text-sm text-gray-900">
-                        {audit.status === 'Completed' ? `${audit.accuracy}%` : '-'}
+                        {[AUDIT_STATUS.COMPLETED, AUDIT_STATUS.PENDING_APPROVAL].includes(audit.status) ? `${audit.accuracy}%` : '-'}
                       </div>
-                      {audit.discrepancies > 0 && (
+                      {audit.discrepancies > 0 && !(audit.blindCount && audit.status === AUDIT_STATUS.IN_PROGRESS) && (
                         <div className="text-xs text-red-600">{audit.discrepancies} discrepancies</div>
                       )}
                     </td>
@@ -538,10 +538,11 @@ const InventoryAudit = () => {
                             variant="outline"
                             size="sm"
                             onClick={() => handleStartCounting(audit)}
+                            disabled={startingId === audit.id}
                             className="flex items-center gap-1"
                           >
                             <CheckSquare className="h-3 w-3" />
-                            Start
+                            {startingId === audit.id ? 'Starting...' : 'Start'}
                           </Button>
                         )}
                         {audit.status === 'In Progress' && (
@@ -555,6 +556,17 @@ const InventoryAudit = () => {
                             Continue
                           </Button>
                         )}
+                        {(audit.status === 'Scheduled' || audit.status === 'In Progress') && (
+                          <Button
+                            variant="outline"
+                            size="sm"
+                            onClick={() => handleCancelAudit(audit)}
+                            className="flex items-center gap-1 text-red-600 border-red-300 hover:bg-red-50"
+                          >
+                            <XCircle className="h-3 w-3" />
+                            Cancel
+                          </Button>
+                        )}
                       </div>
                     </td>
                   </tr>
@@ -591,14 +603,17 @@ const InventoryAudit = () => {
               setSelectedAudit(null);
             }}
             title="Audit Details"
-            size="lg"
+            size="xl"
           >
             <div className="space-y-6">
               {/* Audit Header */}
               <div className="flex justify-between items-start">
                 <div>
-                  <h2 className="text-xl font-bold text-gray-900">{selectedAudit.id}</h2>
-                  <p className="text-gray-600">{selectedAudit.branchName}</p>
+                  <h2 className="text-xl font-bold text-gray-900">{selectedAudit.auditNumber}</h2>
+                  <p className="text-gray-600">
+                    {AUDIT_SCOPE_LABELS[selectedAudit.scope]} · {describeScope(selectedAudit)}
+                    {selectedAudit.blindCount ? ' · Blind count' : ''}
+                  </p>
                 </div>
                 <span className={`inline-flex items-center gap-1 px-3 py-1 rounded-full text-sm font-medium ${getStatusColor(selectedAudit.status)}`}>
                   {getStatusIcon(selectedAudit.status)}
@@ -607,111 +622,59 @@ const InventoryAudit = () => {
               </div>
 
               {/* Audit Information */}
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                <div className="space-y-4">
-                  <div>
-                    <label className="text-sm font-medium text-gray-500">Audit Date</label>
-                    <p className="text-gray-900">{format(new Date(selectedAudit.auditDate), 'MMM dd, yyyy')}</p>
-                  </div>
-                  
-                  <div>
-                    <label className="text-sm font-medium text-gray-500">Auditor</label>
-                    <p className="text-gray-900">{selectedAudit.auditor}</p>
-                  </div>
-                  
-                  <div>
-                    <label className="text-sm font-medium text-gray-500">Total Items</label>
-                    <p className="text-gray-900">{selectedAudit.totalItems}</p>
-                  </div>
-                  
-                  <div>
-                    <label className="text-sm font-medium text-gray-500">Counted Items</label>
-                    <p className="text-gray-900">{selectedAudit.countedItems}</p>
-                  </div>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                <div>
+                  <label className="text-sm font-medium text-gray-500">Scheduled</label>
+                  <p className="text-gray-900">{selectedAudit.scheduledDate ? format(selectedAudit.scheduledDate, 'MMM dd, yyyy') : '-'}</p>
                 </div>
-
-                <div className="space-y-4">
-                  <div>
-                    <label className="text-sm font-medium text-gray-500">Discrepancies</label>
-                    <p className="text-gray-900">{selectedAudit.discrepancies}</p>
-                  </div>
-                  
-                  <div>
-                    <label className="text-sm font-medium text-gray-500">Accuracy</label>
-                    <p className="text-gray-900">{selectedAudit.accuracy}%</p>
-                  </div>
-                  
+                <div>
+                  <label className="text-sm font-medium text-gray-500">Auditor</label>
+                  <p className="text-gray-900">{selectedAudit.assignedToName}</p>
+                </div>
+                <div>
+                  <label className="text-sm font-medium text-gray-500">Snapshot Taken</label>
+                  <p className="text-gray-900">{selectedAudit.snapshotAt ? format(selectedAudit.snapshotAt, 'MMM dd, yyyy HH:mm') : 'Not started'}</p>
+                </div>
+                <div>
+                  <label className="text-sm font-medium text-gray-500">Counted</label>
+                  <p className="text-gray-900">{selectedAudit.countedItems || 0}/{selectedAudit.totalItems || 0} batches</p>
+                </div>
+                {selectedAudit.submittedByName && (
                   <div>
-                    <label className="text-sm font-medium text-gray-500">Total Value</label>
-                    <p className="text-gray-900">₱{selectedAudit.totalValue.toLocaleString()}</p>
+                    <label className="text-sm font-medium text-gray-500">Submitted By</label>
+                    <p className="text-gray-900">{selectedAudit.submittedByName}</p>
                   </div>
-                  
+                )}
+                {selectedAudit.approvedByName && (
                   <div>
-                    <label className="text-sm font-medium text-gray-500">Discrepancy Value</label>
-                    <p className="text-gray-900">₱{selectedAudit.discrepancyValue.toLocaleString()}</p>
+                    <label className="text-sm font-medium text-gray-500">Approved By</label>
+                    <p className="text-gray-900">
+                      {selectedAudit.approvedByName}
+                      {selectedAudit.approvedAt && (
+                        <span className="block text-xs text-gray-500">{format(selectedAudit.approvedAt, 'MMM dd, yyyy HH:mm')}</span>
+                      )}
+                    </p>
                   </div>
-                </div>
+                )}
               </div>
 
-              {/* Progress Bar */}
-              <div>
-                <label className="text-sm font-medium text-gray-500">Progress</label>
-                <div className="w-full bg-gray-200 rounded-full h-3 mt-2">
-                  <div 
-                    className="bg-blue-600 h-3 rounded-full" 
-                    style={{ width: `${(selectedAudit.countedItems / selectedAudit.totalItems) * 100}%` }}
-                  ></div>
+              {selectedAudit.status === AUDIT_STATUS.PENDING_APPROVAL && (
+                <div className="p-3 bg-purple-50 border border-purple-200 rounded-lg text-sm text-purple-800">
+                  Waiting for the branch manager to approve. Adjustments are posted to stock on approval.
                 </div>
-                <div className="flex justify-between text-xs text-gray-500 mt-1">
-                  <span>0</span>
-                  <span>{selectedAudit.countedItems}/{selectedAudit.totalItems}</span>
-                  <span>100%</span>
-                </div>
-              </div>
+              )}
 
-              {/* Audit Items */}
-              {selectedAudit.items && selectedAudit.items.length > 0 && (
-                <div>
-                  <h3 className="font-semibold text-gray-900 mb-4">Audit Items</h3>
-                  <div className="overflow-x-auto">
-                    <table className="w-full">
-                      <thead className="bg-gray-50">
-                        <tr>
-                          <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
-                          <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Expected</th>
-                          <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Actual</th>
-                          <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Difference</th>
-                          <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
-                        </tr>
-                      </thead>
-                      <tbody className="divide-y divide-gray-200">
-                        {selectedAudit.items.map((item, index) => (
-                          <tr key={index}>
-                            <td className="px-4 py-2 text-sm text-gray-900">{item.productName}</td>
-                            <td className="px-4 py-2 text-sm text-gray-900">{item.expectedQty}</td>
-                            <td className="px-4 py-2 text-sm text-gray-900">{item.actualQty}</td>
-                            <td className="px-4 py-2 text-sm text-gray-900">{item.discrepancy}</td>
-                            <td className="px-4 py-2 text-sm">
-                              <span className={`inline-flex items-center gap-1 px-2 py-1 rounded-full text-xs font-medium ${
-                                item.status === 'Match' ? 'text-green-600 bg-green-100' : 'text-red-600 bg-red-100'
-                              }`}>
-                                {item.status === 'Match' ? <CheckCircle className="h-3 w-3" /> : <XCircle className="h-3 w-3" />}
-                                {item.status}
-                              </span>
-                            </td>
-                          </tr>
-                        ))}
-                      </tbody>
-                    </table>
-                  </div>
-                </div>
+              {selectedAudit.status !== AUDIT_STATUS.SCHEDULED && (
+                <AuditReview audit={selectedAudit} />
               )}
 
               {/* Notes */}
-              <div>
-                <label className="text-sm font-medium text-gray-500">Notes</label>
-                <p className="text-gray-900 bg-gray-50 p-3 rounded-lg mt-1">{selectedAudit.notes}</p>
-              </div>
+              {selectedAudit.notes && (
+                <div>
+                  <label className="text-sm font-medium text-gray-500">Notes</label>
+                  <p className="text-gray-900 bg-gray-50 p-3 rounded-lg mt-1">{selectedAudit.notes}</p>
+                </div>
+              )}
             </div>
           </Modal>
         )}
@@ -721,40 +684,112 @@ const InventoryAudit = () => {
           <Modal
             isOpen={isCreateModalOpen}
             onClose={() => setIsCreateModalOpen(false)}
-            title="Create New Audit"
+            title="Schedule Audit"
             size="md"
           >
             <form onSubmit={handleSubmit} className="space-y-4">
               <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Branch *</label>
-                <select className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500" required>
-                  <option value="">Select Branch</option>
-                  {branches.map(branch => (
-                    <option key={branch} value={branch}>{branch}</option>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Audit Type *</label>
+                <select
+                  value={formData.scope}
+                  onChange={(e) => setFormData(prev => ({ ...prev, scope: e.target.value }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  required
+                >
+                  {Object.entries(AUDIT_SCOPE_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
                   ))}
                 </select>
               </div>
-              
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Audit Date *</label>
-                <Input
-                  type="date"
-                  required
-                />
+
+              {formData.scope === AUDIT_SCOPES.CATEGORY && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Categories *</label>
+                  <div className="grid grid-cols-2 gap-2 max-h-40 overflow-y-auto border border-gray-200 rounded-lg p-3">
+                    {categories.map(category => (
+                      <label key={category} className="flex items-center gap-2 text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={formData.categories.includes(category)}
+                          onChange={() => toggleCategory(category)}
+                          className="rounded border-gray-300"
+                        />
+                        {category}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {formData.scope === AUDIT_SCOPES.ABC && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">ABC Class *</label>
+                  <select
+                    value={formData.abcClass}
+                    onChange={(e) => setFormData(prev => ({ ...prev, abcClass: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  >
+                    <option value="A">A - top 80% of consumption value</option>
+                    <option value="B">B - next 15%</option>
+                    <option value="C">C - the rest</option>
+                  </select>
+                  <p className="mt-1 text-xs text-gray-500">Classes are worked out from the last year of stock usage when counting starts.</p>
+                </div>
+              )}
+
+              {formData.scope === AUDIT_SCOPES.RANDOM && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Products to Sample *</label>
+                  <Input
+                    type="number"
+                    min="1"
+                    value={formData.sampleSize}
+                    onChange={(e) => setFormData(prev => ({ ...prev, sampleSize: e.target.value }))}
+                    required
+                  />
+                </div>
+              )}
+
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Audit Date *</label>
+                  <Input
+                    type="date"
+                    value={formData.scheduledDate}
+                    onChange={(e) => setFormData(prev => ({ ...prev, scheduledDate: e.target.value }))}
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Auditor *</label>
+                  <Input
+                    type="text"
+                    value={formData.assignedToName}
+                    onChange={(e) => setFormData(prev => ({ ...prev, assignedToName: e.target.value }))}
+                    placeholder="Enter auditor name"
+                    required
+                  />
+                </div>
               </div>
-              
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Auditor *</label>
-                <Input
-                  type="text"
-                  placeholder="Enter auditor name"
-                  required
+
+              <label className="flex items-start gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={formData.blindCount}
+                  onChange={(e) => setFormData(prev => ({ ...prev, blindCount: e.target.checked }))}
+                  className="mt-0.5 rounded border-gray-300"
                 />
-              </div>
+                <span>
+                  Blind count
+                  <span className="block text-xs text-gray-500">Counters do not see expected quantities; the manager gives the reasons for differences.</span>
+                </span>
+              </label>
               
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">Notes</label>
                 <textarea
+                  value={formData.notes}
+                  onChange={(e) => setFormData(prev => ({ ...prev, notes: e.target.value }))}
                   className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
                   rows="3"
                   placeholder="Additional notes..."
@@ -765,8 +800,8 @@ const InventoryAudit = () => {
                 <Button type="button" variant="outline" onClick={() => setIsCreateModalOpen(false)}>
                   Cancel
                 </Button>
-                <Button type="submit">
-                  Create Audit
+                <Button type="submit" disabled={saving}>
+                  {saving ? 'Scheduling...' : 'Schedule Audit'}
                 </Button>
               </div>
             </form>
@@ -774,57 +809,19 @@ const InventoryAudit = () => {
         )}
 
         {/* Counting Modal */}
-        {isCountingModalOpen && selectedAudit && (
-          <Modal
-            isOpen={isCountingModalOpen}
-            onClose={() => {
-              setIsCountingModalOpen(false);
-              setSelectedAudit(null);
-            }}
-            title="Stock Counting"
-            size="xl"
-          >
-            <div className="space-y-6">
-              <div className="flex justify-between items-center">
-                <h3 className="text-lg font-semibold text-gray-900">Count Items for {selectedAudit.id}</h3>
-                <div className="text-sm text-gray-500">
-                  {selectedAudit.countedItems}/{selectedAudit.totalItems} items counted
-                </div>
-              </div>
-
-              <div className="space-y-4">
-                {products.map((product) => (
-                  <div key={product.id} className="flex items-center justify-between p-4 border rounded-lg">
-                    <div>
-                      <div className="font-medium text-gray-900">{product.name}</div>
-                      <div className="text-sm text-gray-500">{product.category}</div>
-                    </div>
-                    <div className="flex items-center gap-4">
-                      <div className="text-sm text-gray-500">Expected: {product.expectedQty}</div>
-                      <Input
-                        type="number"
-                        placeholder="Actual"
-                        className="w-20"
-                      />
-                      <Button variant="outline" size="sm">
-                        <CheckSquare className="h-4 w-4" />
-                      </Button>
-                    </div>
-                  </div>
-                ))}
-              </div>
-
-              <div className="flex justify-end gap-3 pt-4">
-                <Button variant="outline" onClick={() => setIsCountingModalOpen(false)}>
-                  Cancel
-                </Button>
-                <Button>
-                  Save Count
-                </Button>
-              </div>
-            </div>
-          </Modal>
-        )}
+        <AuditCountModal
+          isOpen={isCountingModalOpen}
+          audit={selectedAudit}
+          onClose={() => {
+            setIsCountingModalOpen(false);
+            setSelectedAudit(null);
+          }}
+          onSaved={() => {
+            setIsCountingModalOpen(false);
+            setSelectedAudit(null);
+            loadAudits();
+          }}
+        />
 
         {/* Advanced Filters Modal */}
         {isFilterModalOpen && (
@@ -876,7 +873,7 @@ const InventoryAudit = () => {
               <div className="flex justify-end gap-3 pt-4">
                 <Button variant="outline" onClick={() => setFilters({
                   status: 'all',
-                  branch: 'all',
+                  scope: 'all',
                   auditor: 'all',
                   dateRange: { start: '', end: '' }
                 })}>
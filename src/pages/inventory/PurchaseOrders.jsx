@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
 import { useAuth } from '../../context/AuthContext';
 import InventoryLayout from '../../layouts/InventoryLayout';
 import { Card } from '../../components/ui/Card';
@@ -32,12 +32,16 @@ import {
   BarChart3,
   ClipboardList,
   UserCog,
-  PackageCheck
+  PackageCheck,
+  Sparkles
 } from 'lucide-react';
 import { format } from 'date-fns';
 import { collection, getDocs, query, where, addDoc, serverTimestamp, doc, updateDoc } from 'firebase/firestore';
 import { db } from '../../config/firebase';
 import { inventoryService } from '../../services/inventoryService';
+import { getProductUnits, convertQuantity } from '../../services/unitOfMeasureService';
+import { claimDailyReorderDraft, draftReorderPurchaseOrders } from '../../services/reorderPointService';
+import { allocatePurchaseOrderNumber } from '../../services/purchaseOrderNumberService';
 import toast from 'react-hot-toast';
 import { exportToExcel } from '../../utils/excelExport';
 
@@ -88,6 +92,11 @@ const PurchaseOrders = () => {
   const [isHighStockWarningModalOpen, setIsHighStockWarningModalOpen] = useState(false);
   const [pendingProduct, setPendingProduct] = useState(null); // Product waiting for confirmation
   const [pendingCurrentStock, setPendingCurrentStock] = useState(0);
+
+  // Reorder drafts
+  const [isDraftingReorders, setIsDraftingReorders] = useState(false);
+  const [draftItems, setDraftItems] = useState([]);
+  const [isSavingDraft, setIsSavingDraft] = useState(false);
   
   // Big data optimizations
   const [productSearchTerm, setProductSearchTerm] = useState('');
@@ -205,7 +214,7 @@ const PurchaseOrders = () => {
     }
   };
 
-  const loadPurchaseOrders = async () => {
+  const loadPurchaseOrders = useCallback(async () => {
     try {
       if (!userData?.branchId) return;
 
@@ -279,7 +288,23 @@ const PurchaseOrders = () => {
         throw err;
       }
     }
-  };
+  }, [userData?.branchId]);
+
+  // Draft purchase orders for products at their reorder point (once per day per branch).
+  // Only runs while this page is open - reorderPointService explains why it isn't scheduled
+  useEffect(() => {
+    if (!userData?.branchId) return;
+
+    const timer = setTimeout(async () => {
+      if (!(await claimDailyReorderDraft(userData.branchId, userData))) return;
+      const { draftedCount } = await draftReorderPurchaseOrders(userData.branchId, userData);
+      if (draftedCount > 0) {
+        toast(`${draftedCount} reorder draft${draftedCount !== 1 ? 's' : ''} ready for review`, { icon: '📝' });
+        loadPurchaseOrders();
+      }
+    }, 3000);
+    return () => clearTimeout(timer);
+  }, [userData, loadPurchaseOrders]);
 
   // When supplier is selected, filter products (suppliers is now an array)
   useEffect(() => {
@@ -370,12 +395,18 @@ const PurchaseOrders = () => {
   const addProductToOrderConfirmed = (product, currentStock, defaultUsageType) => {
     // Add new item - ensure all fields have values (no undefined)
     // User can have same product with different usage types, but not same product+usageType combination
+    // Products with units set up are ordered in their purchase unit, priced from the stock unit cost
+    const units = getProductUnits(product);
+    const unitPrice = units.configured
+      ? Math.round((product.unitCost || 0) * convertQuantity(units, 1, units.purchaseUnit, units.stockUnit) * 100) / 100
+      : product.unitCost || 0;
     setOrderItems(prev => [...prev, {
       productId: product.id || '',
       productName: product.name || '',
       quantity: 1,
-      unitPrice: product.unitCost || 0,
-      totalPrice: product.unitCost || 0,
+      unit: units.configured ? units.purchaseUnit : null,
+      unitPrice,
+      totalPrice: unitPrice,
       category: product.category || null,
       sku: product.sku || null,
       currentStock: currentStock, // Store current stock for display
@@ -574,49 +605,6 @@ const PurchaseOrders = () => {
     return cleaned;
   };
 
-  // Generate next incremental PO number based on existing purchase orders for this branch
-  const generateNextPONumber = () => {
-    if (!userData?.branchId) {
-      throw new Error('Branch ID is required to generate PO number');
-    }
-
-    // Get first 3 characters of branch ID (uppercase)
-    const branchPrefix = userData.branchId.substring(0, 3).toUpperCase();
-    
-    // Filter POs for this branch only (should already be filtered, but double-check)
-    const branchPOs = purchaseOrders.filter(po => po.branchId === userData.branchId);
-    
-    if (!branchPOs || branchPOs.length === 0) {
-      return `PO-${branchPrefix}-${String(1).padStart(2, '0')}`;
-    }
-
-    // Extract numeric parts from existing PO numbers with branch prefix
-    // Handles formats like: PO-ABC-01, PO-ABC-1, PO-2024-0001 (legacy), etc.
-    const poNumbers = branchPOs
-      .map(po => {
-        const orderId = po.orderId || '';
-        // Match patterns: PO-XXX-NN or PO-XXX-N (branch prefix) or legacy formats
-        const branchPrefixMatch = orderId.match(new RegExp(`PO-${branchPrefix}-(\\d+)`));
-        if (branchPrefixMatch) {
-          return parseInt(branchPrefixMatch[1], 10);
-        }
-        // Also handle legacy formats for migration
-        const legacyMatch = orderId.match(/PO-(\d{4}-)?(\d+)/);
-        if (legacyMatch) {
-          return parseInt(legacyMatch[legacyMatch.length - 1], 10);
-        }
-        return 0;
-      })
-      .filter(num => !isNaN(num) && num > 0);
-
-    // Find the maximum number for this branch
-    const maxNumber = poNumbers.length > 0 ? Math.max(...poNumbers) : 0;
-    
-    // Increment and format with branch prefix
-    const nextNumber = maxNumber + 1;
-    return `PO-${branchPrefix}-${String(nextNumber).padStart(2, '0')}`;
-  };
-
   // Handle submit order
   const handleSubmitOrder = async (e) => {
     if (e) {
@@ -652,13 +640,13 @@ const PurchaseOrders = () => {
         throw new Error('Branch ID is missing. Please refresh the page.');
       }
 
-      // Generate incremental order ID
-      const orderId = generateNextPONumber();
-
       if (!userData?.uid && !userData?.id) {
         throw new Error('User ID is missing. Please refresh the page.');
       }
 
+      // Reserve the next PO number for this branch
+      const orderId = await allocatePurchaseOrderNumber(userData.branchId);
+
       // Create purchase order document - ensure no undefined values
       const purchaseOrderData = {
         orderId: orderId || '',
@@ -687,6 +675,9 @@ const PurchaseOrders = () => {
           if (item.sku) {
             validatedItem.sku = String(item.sku);
           }
+          if (item.unit) {
+            validatedItem.unit = String(item.unit); // Purchase unit; converted to stock units on delivery
+          }
           
           return validatedItem;
         }),
@@ -945,6 +936,7 @@ const PurchaseOrders = () => {
           productId: item.productId,
           productName: item.productName,
           quantity: item.quantity,
+          unit: item.unit,
           unitCost: item.unitPrice,
           reason: 'Purchase Order Delivery',
           notes: `Batch created from PO: ${selectedOrder.orderId || selectedOrder.id}`,
@@ -1005,6 +997,95 @@ const PurchaseOrders = () => {
     setIsDeliveryModalOpen(true);
   };
 
+  // Draft orders for everything at or below its reorder point now
+  const handleDraftReorders = async () => {
+    try {
+      setIsDraftingReorders(true);
+      const { success, draftedCount } = await draftReorderPurchaseOrders(userData.branchId, userData);
+      if (!success) {
+        toast.error('Failed to draft reorders');
+        return;
+      }
+      if (draftedCount === 0) {
+        toast.success('Nothing needs reordering right now');
+        return;
+      }
+      toast.success(`${draftedCount} reorder draft${draftedCount !== 1 ? 's' : ''} created`);
+      await loadPurchaseOrders();
+    } finally {
+      setIsDraftingReorders(false);
+    }
+  };
+
+  // Open order details; drafts get an editable copy of their items
+  const handleViewOrder = (order) => {
+    setSelectedOrder(order);
+    setDraftItems(order.isDraft ? (order.items || []).map(item => ({ ...item })) : []);
+    setIsDetailsModalOpen(true);
+  };
+
+  const updateDraftItemQuantity = (index, quantity) => {
+    const qty = Math.max(parseInt(quantity) || 0, 0);
+    setDraftItems(prev => prev.map((item, i) =>
+      i === index
+        ? { ...item, quantity: qty, totalPrice: Math.round(qty * (item.unitPrice || 0) * 100) / 100 }
+        : item
+    ));
+  };
+
+  // Submit a reviewed draft to the approval flow
+  const handleSubmitDraft = async () => {
+    const items = draftItems.filter(item => item.quantity > 0);
+    if (items.length === 0) {
+      toast.error('Add a quantity to at least one item, or discard the draft');
+      return;
+    }
+
+    try {
+      setIsSavingDraft(true);
+      await updateDoc(doc(db, 'purchaseOrders', selectedOrder.id), {
+        items,
+        totalAmount: Math.round(items.reduce((sum, item) => sum + (item.totalPrice || 0), 0) * 100) / 100,
+        isDraft: false,
+        orderDate: new Date(),
+        submittedBy: userData.uid || userData.id,
+        submittedAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+      });
+      toast.success(`${selectedOrder.orderId} submitted`);
+      setIsDetailsModalOpen(false);
+      setSelectedOrder(null);
+      await loadPurchaseOrders();
+    } catch (err) {
+      console.error('Error submitting draft order:', err);
+      toast.error('Failed to submit order');
+    } finally {
+      setIsSavingDraft(false);
+    }
+  };
+
+  const handleDiscardDraft = async () => {
+    try {
+      setIsSavingDraft(true);
+      await updateDoc(doc(db, 'purchaseOrders', selectedOrder.id), {
+        status: 'Cancelled',
+        isDraft: false,
+        cancelledBy: userData.uid || userData.id,
+        cancelledAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+      });
+      toast.success(`${selectedOrder.orderId} discarded`);
+      setIsDetailsModalOpen(false);
+      setSelectedOrder(null);
+      await loadPurchaseOrders();
+    } catch (err) {
+      console.error('Error discarding draft order:', err);
+      toast.error('Failed to discard draft');
+    } finally {
+      setIsSavingDraft(false);
+    }
+  };
+
   if (loading) {
     return (
       <>
@@ -1052,6 +1133,15 @@ const PurchaseOrders = () => {
               <Download className="h-4 w-4" />
               Export Excel
             </Button>
+            <Button
+              onClick={handleDraftReorders}
+              variant="outline"
+              disabled={isDraftingReorders}
+              className="flex items-center gap-2 text-xs md:text-sm"
+            >
+              {isDraftingReorders ? <Loader2 className="h-4 w-4 animate-spin" /> : <Sparkles className="h-4 w-4" />}
+              Draft Reorders
+            </Button>
             <Button onClick={handleCreateOrder} className="flex items-center gap-2 bg-[#160B53] text-white hover:bg-[#12094A] text-xs md:text-sm">
               <Plus className="h-4 w-4" />
               Create Order
@@ -1305,6 +1395,12 @@ const PurchaseOrders = () => {
                           {getStatusIcon(order.status)}
                           {order.status}
                         </span>
+                        {order.isDraft && (
+                          <span className="ml-1 inline-flex items-center gap-1 px-2 py-1 rounded-full text-xs font-medium border text-indigo-700 bg-indigo-50 border-indigo-200">
+                            <Sparkles className="h-3 w-3" />
+                            Draft
+                          </span>
+                        )}
                       </td>
                       <td className="px-3 md:px-6 py-4 whitespace-nowrap hidden md:table-cell">
                         <div className="text-sm font-medium text-gray-900">₱{(order.totalAmount || 0).toLocaleString()}</div>
@@ -1317,14 +1413,11 @@ const PurchaseOrders = () => {
                           <Button
                             variant="outline"
                             size="sm"
-                            onClick={() => {
-                              setSelectedOrder(order);
-                              setIsDetailsModalOpen(true);
-                            }}
+                            onClick={() => handleViewOrder(order)}
                             className="flex items-center gap-1"
                           >
                             <Eye className="h-3 w-3" />
-                            View
+                            {order.isDraft ? 'Review' : 'View'}
                           </Button>
                         </div>
                       </td>
@@ -1722,7 +1815,9 @@ const PurchaseOrders = () => {
                                       {/* Quantity and Usage Controls */}
                                       <div className="grid grid-cols-2 gap-2">
                                         <div>
-                                          <label className="text-xs text-gray-600 mb-1 block">Quantity</label>
+                                          <label className="text-xs text-gray-600 mb-1 block">
+                                            Quantity{item.unit ? ` (${item.unit})` : ''}
+                                          </label>
                                           <Input
                                             type="number"
                                             min="1"
@@ -1982,7 +2077,75 @@ const PurchaseOrders = () => {
                     </div>
                   </div>
 
+                  {selectedOrder.isDraft && (
+                    <div className="p-4 bg-indigo-50 border border-indigo-200 rounded-lg flex items-start gap-3">
+                      <Sparkles className="h-5 w-5 text-indigo-600 flex-shrink-0 mt-0.5" />
+                      <p className="text-sm text-indigo-800">
+                        Drafted from reorder points. Quantities top stock up to the reorder point plus two weeks of demand,
+                        rounded up to whole packs. Adjust them if needed, then submit the order for approval.
+                      </p>
+                    </div>
+                  )}
+
                   {/* Order Items */}
+                  {selectedOrder.isDraft ? (
+                    <div>
+                      <h3 className="text-lg font-semibold text-gray-900 mb-4">Order Items</h3>
+                      <div className="overflow-x-auto">
+                        <table className="w-full">
+                          <thead className="bg-gray-50">
+                            <tr>
+                              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+                              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Why</th>
+                              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Quantity</th>
+                              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Unit Price</th>
+                              <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Total</th>
+                            </tr>
+                          </thead>
+                          <tbody className="divide-y divide-gray-200">
+                            {draftItems.map((item, index) => (
+                              <tr key={`${item.productId}_${item.usageType}`}>
+                                <td className="px-4 py-3">
+                                  <div className="font-medium text-gray-900">{item.productName}</div>
+                                  <div className="text-xs text-gray-500">{item.usageType === 'salon-use' ? 'Salon Use' : 'OTC'}</div>
+                                </td>
+                                <td className="px-4 py-3 text-xs text-gray-600">
+                                  {item.suggestion ? (
+                                    <>
+                                      <div>{item.suggestion.onHand} on hand{item.suggestion.onOrder > 0 ? `, ${item.suggestion.onOrder} on order` : ''}</div>
+                                      <div>Reorder at {item.suggestion.reorderPoint} {item.suggestion.unit} ({item.suggestion.dailyDemand}/day)</div>
+                                    </>
+                                  ) : '—'}
+                                </td>
+                                <td className="px-4 py-3">
+                                  <div className="flex items-center gap-2">
+                                    <Input
+                                      type="number"
+                                      min="0"
+                                      value={item.quantity}
+                                      onChange={(e) => updateDraftItemQuantity(index, e.target.value)}
+                                      className="w-20"
+                                    />
+                                    {item.unit && <span className="text-sm text-gray-500">{item.unit}</span>}
+                                  </div>
+                                </td>
+                                <td className="px-4 py-3 text-gray-900">₱{(item.unitPrice || 0).toLocaleString()}</td>
+                                <td className="px-4 py-3 text-right font-semibold text-gray-900">₱{(item.totalPrice || 0).toLocaleString()}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                          <tfoot className="bg-gray-50">
+                            <tr>
+                              <td colSpan="4" className="px-4 py-3 text-right font-semibold text-gray-900">Total:</td>
+                              <td className="px-4 py-3 text-right font-bold text-[#160B53] text-lg">
+                                ₱{draftItems.reduce((sum, item) => sum + (item.totalPrice || 0), 0).toLocaleString()}
+                              </td>
+                            </tr>
+                          </tfoot>
+                        </table>
+                      </div>
+                    </div>
+                  ) : (
                   <div>
                     <h3 className="text-lg font-semibold text-gray-900 mb-4">Order Items</h3>
                     <div className="overflow-x-auto">
@@ -2005,7 +2168,7 @@ const PurchaseOrders = () => {
                                     <div className="text-xs text-gray-500">SKU: {item.sku}</div>
                                   )}
                                 </td>
-                                <td className="px-4 py-3 text-gray-900">{item.quantity}</td>
+                                <td className="px-4 py-3 text-gray-900">{item.quantity}{item.unit ? ` ${item.unit}` : ''}</td>
                                 <td className="px-4 py-3 text-gray-900">₱{(item.unitPrice || 0).toLocaleString()}</td>
                                 <td className="px-4 py-3 text-right font-semibold text-gray-900">₱{(item.totalPrice || 0).toLocaleString()}</td>
                               </tr>
@@ -2029,6 +2192,7 @@ const PurchaseOrders = () => {
                       </table>
                     </div>
                   </div>
+                  )}
                 </div>
               </div>
 
@@ -2045,6 +2209,27 @@ const PurchaseOrders = () => {
                   >
                     Close
                   </Button>
+                  {selectedOrder.isDraft && (
+                    <>
+                      <Button
+                        variant="outline"
+                        onClick={handleDiscardDraft}
+                        disabled={isSavingDraft}
+                        className="flex items-center gap-2 border-red-300 text-red-600 hover:bg-red-50"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                        Discard Draft
+                      </Button>
+                      <Button
+                        onClick={handleSubmitDraft}
+                        disabled={isSavingDraft}
+                        className="flex items-center gap-2 bg-[#160B53] text-white hover:bg-[#12094A]"
+                      >
+                        {isSavingDraft ? <Loader2 className="h-4 w-4 animate-spin" /> : <ArrowRight className="h-4 w-4" />}
+                        Submit Order
+                      </Button>
+                    </>
+                  )}
                 </div>
               </div>
             </div>
@@ -2122,7 +2307,7 @@ const PurchaseOrders = () => {
                                   <p className="text-xs text-gray-500">SKU: {item.sku}</p>
                                 )}
                                 <div className="mt-2 flex items-center gap-4 text-sm text-gray-600">
-                                  <span>Quantity: <strong>{item.quantity}</strong></span>
+                                  <span>Quantity: <strong>{item.quantity}{item.unit ? ` ${item.unit}` : ''}</strong></span>
                                   <span>Unit Price: <strong>₱{(item.unitPrice || 0).toLocaleString()}</strong></span>
                                 </div>
                               </div>
@@ -2276,7 +2461,7 @@ const PurchaseOrders = () => {
                           <div className="flex-1">
                             <p className="font-medium text-gray-900">{item.productName}</p>
                             <p className="text-xs text-gray-500">
-                              {item.quantity} × ₱{item.unitPrice.toLocaleString()} 
+                              {item.quantity}{item.unit ? ` ${item.unit}` : ''} × ₱{item.unitPrice.toLocaleString()} 
                               <span className={`ml-2 px-2 py-0.5 rounded-full text-xs font-semibold ${
                                 item.usageType === 'salon-use' 
                                   ? 'bg-blue-100 text-blue-800' 
@@ -1,238 +1,207 @@
 // src/pages/06_InventoryController/Reports.jsx
-import React, { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import { useAuth } from '../../context/AuthContext';
-import InventoryLayout from '../../layouts/InventoryLayout';
 import { Card } from '../../components/ui/Card';
 import Button from '../../components/ui/Button';
-import { Input } from '../../components/ui/Input';
 import { SearchInput } from '../../components/ui/SearchInput';
 import Modal from '../../components/ui/Modal';
 import {
-  BarChart3,
-  Search,
-  Filter,
   Eye,
   Download,
-  Upload,
   RefreshCw,
   AlertTriangle,
-  CheckCircle,
-  XCircle,
-  Clock,
-  Package,
   Calendar,
-  Building,
+  Package,
   FileText,
-  Bell,
-  AlertCircle,
-  TrendingDown,
-  ShoppingCart,
-  ArrowRight,
-  Copy,
-  Printer,
-  Image as ImageIcon,
   TrendingUp,
   Banknote,
-  Users,
-  Truck,
-  ArrowRightLeft,
-  QrCode,
+  Building,
   PieChart,
-  LineChart,
   Activity,
-  Plus
+  Target
 } from 'lucide-react';
-import { format } from 'date-fns';
+import { format, startOfYear, subDays } from 'date-fns';
+import {
+  VALUATION_METHODS,
+  VALUATION_METHOD_LABELS,
+  VALUATION_GROUPINGS,
+  getInventoryValuation,
+  getValuationBranches
+} from '../../services/inventoryValuationService';
+import { exportInventoryValuationToCSV } from '../../utils/exportHelpers';
+
+const formatPeso = (value) => `₱${(Number(value) || 0).toLocaleString(undefined, { maximumFractionDigits: 2 })}`;
+
+const formatDays = (days) => (days === null || days === undefined ? 'No usage' : `${Math.round(days)} days`);
+
+const PERIOD_OPTIONS = {
+  last30days: { label: 'Last 30 Days', days: 30, groupBy: VALUATION_GROUPINGS.MONTH },
+  last3months: { label: 'Last 3 Months', days: 90, groupBy: VALUATION_GROUPINGS.MONTH },
+  last6months: { label: 'Last 6 Months', days: 182, groupBy: VALUATION_GROUPINGS.MONTH },
+  lastyear: { label: 'Last 12 Months', days: 365, groupBy: VALUATION_GROUPINGS.QUARTER },
+  thisyear: { label: 'This Year', groupBy: VALUATION_GROUPINGS.MONTH }
+};
+
+const getPeriodRange = (periodKey) => {
+  const end = new Date();
+  const option = PERIOD_OPTIONS[periodKey];
+  return { start: option.days ? subDays(end, option.days - 1) : startOfYear(end), end };
+};
+
+// Each report is one section of the inventory valuation, previewed with these columns
+const REPORTS = [
+  {
+    id: 'valuation',
+    name: 'Inventory Valuation',
+    category: 'Inventory',
+    section: 'products',
+    description: 'On-hand quantity and value of every product, layer by layer from batch costs',
+    sort: (a, b, method) => b[method].onHandValue - a[method].onHandValue,
+    columns: [
+      { label: 'Product', value: (row) => row.productName },
+      { label: 'Branch', value: (row) => row.branchName },
+      { label: 'On Hand', value: (row) => `${Math.round(row.onHandQuantity * 100) / 100} ${row.unit}` },
+      { label: 'Value', value: (row, method) => formatPeso(row[method].onHandValue) }
+    ]
+  },
+  {
+    id: 'cogs',
+    name: 'COGS & Gross Margin by Period',
+    category: 'Financial',
+    section: 'periods',
+    description: 'Product revenue, cost of goods sold and salon use cost for each period',
+    columns: [
+      { label: 'Period', value: (row) => row.label },
+      { label: 'Revenue', value: (row) => formatPeso(row.revenue) },
+      { label: 'COGS', value: (row, method) => formatPeso(row[method].cogs) },
+      { label: 'Margin', value: (row, method) => `${row[method].marginPercent.toFixed(1)}%` }
+    ]
+  },
+  {
+    id: 'category-margin',
+    name: 'Gross Margin by Category',
+    category: 'Financial',
+    section: 'categories',
+    description: 'Revenue, COGS and margin of each product category',
+    sort: (a, b) => b.revenue - a.revenue,
+    columns: [
+      { label: 'Category', value: (row) => row.category },
+      { label: 'Revenue', value: (row) => formatPeso(row.revenue) },
+      { label: 'COGS', value: (row, method) => formatPeso(row[method].cogs) },
+      { label: 'Margin', value: (row, method) => `${row[method].marginPercent.toFixed(1)}%` }
+    ]
+  },
+  {
+    id: 'branch-margin',
+    name: 'Gross Margin by Branch',
+    category: 'Financial',
+    section: 'branches',
+    description: 'Stock value, revenue and margin of each branch',
+    sort: (a, b) => b.revenue - a.revenue,
+    columns: [
+      { label: 'Branch', value: (row) => row.branchName },
+      { label: 'Stock Value', value: (row, method) => formatPeso(row[method].onHandValue) },
+      { label: 'Revenue', value: (row) => formatPeso(row.revenue) },
+      { label: 'Margin', value: (row, method) => `${row[method].marginPercent.toFixed(1)}%` }
+    ]
+  },
+  {
+    id: 'shrinkage',
+    name: 'Shrinkage',
+    category: 'Audit',
+    section: 'shrinkage',
+    description: 'Stock lost to audit differences, damage, theft and expiry write-offs',
+    columns: [
+      { label: 'Cause', value: (row) => row.label },
+      { label: 'Units', value: (row) => Math.round(row.quantity * 100) / 100 },
+      { label: 'Value', value: (row, method) => formatPeso(row[method]) }
+    ]
+  },
+  {
+    id: 'turnover',
+    name: 'Turnover & Days of Supply',
+    category: 'Inventory',
+    section: 'products',
+    description: 'How fast each product sells or is used, and how long its stock will last',
+    sort: (a, b, method) => (b[method].daysOfSupply ?? Infinity) - (a[method].daysOfSupply ?? Infinity),
+    columns: [
+      { label: 'Product', value: (row) => row.productName },
+      { label: 'Branch', value: (row) => row.branchName },
+      { label: 'Turnover', value: (row, method) => `${row[method].turnover.toFixed(1)}x / yr` },
+      { label: 'Supply', value: (row, method) => formatDays(row[method].daysOfSupply) }
+    ]
+  }
+];
 
 const Reports = () => {
   const { userData } = useAuth();
-  
+
   // Data states
-  const [reports, setReports] = useState([]);
+  const [valuation, setValuation] = useState(null);
+  const [branches, setBranches] = useState([]);
+  // Branches are looked up once and reused across period changes
+  const branchesRef = useRef([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  
+
   // UI states
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedCategory, setSelectedCategory] = useState('all');
-  const [selectedPeriod, setSelectedPeriod] = useState('all');
-  const [sortBy, setSortBy] = useState('createdAt');
-  const [sortOrder, setSortOrder] = useState('desc');
+  const [selectedPeriod, setSelectedPeriod] = useState('last3months');
+  const [method, setMethod] = useState(VALUATION_METHODS.FIFO);
   const [isDetailsModalOpen, setIsDetailsModalOpen] = useState(false);
-  const [isCreateModalOpen, setIsCreateModalOpen] = useState(false);
   const [selectedReport, setSelectedReport] = useState(null);
-  const [isFilterModalOpen, setIsFilterModalOpen] = useState(false);
-  
-  // Filter states
-  const [filters, setFilters] = useState({
-    category: 'all',
-    period: 'all',
-    status: 'all',
-    dateRange: { start: '', end: '' }
-  });
-
-  // Mock report data
-  const mockReports = [
-    {
-      id: 'RPT-001',
-      name: 'Monthly Inventory Summary',
-      category: 'Inventory',
-      description: 'Comprehensive overview of inventory levels, movements, and trends',
-      status: 'Generated',
-      period: 'January 2024',
-      generatedAt: new Date('2024-01-31'),
-      generatedBy: 'John Smith',
-      fileSize: '2.3 MB',
-      format: 'PDF',
-      downloadCount: 15,
-      lastAccessed: new Date('2024-02-01'),
-      dataPoints: {
-        totalProducts: 247,
-        totalValue: 1250000,
-        lowStockItems: 12,
-        outOfStockItems: 3,
-        totalMovements: 89
-      }
-    },
-    {
-      id: 'RPT-002',
-      name: 'Stock Movement Analysis',
-      category: 'Movement',
-      description: 'Detailed analysis of stock movements and transfers between branches',
-      status: 'Generated',
-      period: 'January 2024',
-      generatedAt: new Date('2024-01-30'),
-      generatedBy: 'Maria Santos',
-      fileSize: '1.8 MB',
-      format: 'Excel',
-      downloadCount: 8,
-      lastAccessed: new Date('2024-01-31'),
-      dataPoints: {
-        totalTransfers: 23,
-        totalValue: 45000,
-        branchesInvolved: 3,
-        averageTransferTime: 2.5
-      }
-    },
-    {
-      id: 'RPT-003',
-      name: 'Supplier Performance Report',
-      category: 'Supplier',
-      description: 'Analysis of supplier performance, delivery times, and quality metrics',
-      status: 'Generating',
-      period: 'Q4 2023',
-      generatedAt: new Date('2024-01-29'),
-      generatedBy: 'Carlos Mendoza',
-      fileSize: '0 MB',
-      format: 'PDF',
-      downloadCount: 0,
-      lastAccessed: null,
-      dataPoints: {
-        totalSuppliers: 8,
-        averageRating: 4.2,
-        onTimeDelivery: 85,
-        totalOrders: 45
-      }
-    },
-    {
-      id: 'RPT-004',
-      name: 'Cost Analysis Report',
-      category: 'Financial',
-      description: 'Detailed cost analysis including unit costs, margins, and profitability',
-      status: 'Generated',
-      period: 'December 2023',
-      generatedAt: new Date('2024-01-15'),
-      generatedBy: 'Ana Garcia',
-      fileSize: '3.1 MB',
-      format: 'PDF',
-      downloadCount: 22,
-      lastAccessed: new Date('2024-01-20'),
-      dataPoints: {
-        totalCost: 850000,
-        averageMargin: 35,
-        topPerformingCategory: 'Hair Care',
-        costSavings: 15000
-      }
-    },
-    {
-      id: 'RPT-005',
-      name: 'Expiry Tracking Report',
-      category: 'Expiry',
-      description: 'Products approaching expiration and waste reduction analysis',
-      status: 'Generated',
-      period: 'January 2024',
-      generatedAt: new Date('2024-01-28'),
-      generatedBy: 'John Smith',
-      fileSize: '1.2 MB',
-      format: 'Excel',
-      downloadCount: 5,
-      lastAccessed: new Date('2024-01-29'),
-      dataPoints: {
-        expiringSoon: 8,
-        expiredItems: 2,
-        wasteValue: 5000,
-        savingsPotential: 12000
-      }
-    }
-  ];
 
   // Load reports
-  const loadReports = async () => {
+  const loadReports = useCallback(async () => {
     try {
       setLoading(true);
       setError(null);
-      
-      // For now, use mock data
-      setReports(mockReports);
-      
+
+      const reportBranches = branchesRef.current.length > 0 ? branchesRef.current : await getValuationBranches(userData?.branchId);
+      branchesRef.current = reportBranches;
+      setBranches(reportBranches);
+      const range = getPeriodRange(selectedPeriod);
+      const result = await getInventoryValuation({
+        branches: reportBranches,
+        startDate: range.start,
+        endDate: range.end,
+        groupBy: PERIOD_OPTIONS[selectedPeriod].groupBy
+      });
+      setValuation(result);
     } catch (err) {
       console.error('Error loading reports:', err);
       setError(err.message);
     } finally {
       setLoading(false);
     }
-  };
+  }, [userData?.branchId, selectedPeriod]);
 
-  // Load reports on mount
+  // Load reports for the selected period
   useEffect(() => {
-    loadReports();
-  }, []);
-
-  // Get unique categories
-  const categories = [...new Set(reports.map(r => r.category))].filter(Boolean);
-  const periods = [...new Set(reports.map(r => r.period))].filter(Boolean);
-
-  // Filter and sort reports
-  const filteredReports = reports
-    .filter(report => {
-      const matchesSearch = report.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                           report.description.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                           report.category.toLowerCase().includes(searchTerm.toLowerCase());
-      
-      const matchesCategory = filters.category === 'all' || report.category === filters.category;
-      const matchesPeriod = filters.period === 'all' || report.period === filters.period;
-      const matchesStatus = filters.status === 'all' || report.status === filters.status;
-      
-      const matchesDateRange = (!filters.dateRange.start || new Date(report.generatedAt) >= new Date(filters.dateRange.start)) &&
-                              (!filters.dateRange.end || new Date(report.generatedAt) <= new Date(filters.dateRange.end));
-      
-      return matchesSearch && matchesCategory && matchesPeriod && matchesStatus && matchesDateRange;
-    })
-    .sort((a, b) => {
-      let aValue = a[sortBy];
-      let bValue = b[sortBy];
-      
-      if (sortBy === 'generatedAt' || sortBy === 'lastAccessed') {
-        aValue = new Date(aValue);
-        bValue = new Date(bValue);
-      }
-      
-      if (sortOrder === 'asc') {
-        return aValue > bValue ? 1 : -1;
-      } else {
-        return aValue < bValue ? 1 : -1;
-      }
-    });
+    if (userData) {
+      loadReports();
+    }
+  }, [userData, loadReports]);
+
+  // The branch report only means something across branches
+  const reports = REPORTS.filter(report => report.section !== 'branches' || branches.length > 1);
+  const categories = [...new Set(reports.map(r => r.category))];
+
+  // Filter reports
+  const filteredReports = reports.filter(report => {
+    const search = searchTerm.toLowerCase();
+    const matchesSearch = report.name.toLowerCase().includes(search) ||
+                         report.description.toLowerCase().includes(search) ||
+                         report.category.toLowerCase().includes(search);
+    const matchesCategory = selectedCategory === 'all' || report.category === selectedCategory;
+    return matchesSearch && matchesCategory;
+  });
+
+  const getReportRows = (report) => {
+    const rows = [...(valuation?.[report.section] || [])];
+    return report.sort ? rows.sort((a, b) => report.sort(a, b, method)) : rows;
+  };
 
   // Handle report details
   const handleViewDetails = (report) => {
@@ -240,63 +209,31 @@ const Reports = () => {
     setIsDetailsModalOpen(true);
   };
 
-  // Handle create report
-  const handleCreateReport = () => {
-    setIsCreateModalOpen(true);
-  };
-
-  // Handle form submission
-  const handleSubmit = (e) => {
-    e.preventDefault();
-    // Handle report creation logic here
-    console.log('Creating report');
-    setIsCreateModalOpen(false);
-  };
-
-  // Get status color
-  const getStatusColor = (status) => {
-    switch (status) {
-      case 'Generated': return 'text-green-600 bg-green-100';
-      case 'Generating': return 'text-blue-600 bg-blue-100';
-      case 'Failed': return 'text-red-600 bg-red-100';
-      case 'Scheduled': return 'text-yellow-600 bg-yellow-100';
-      default: return 'text-gray-600 bg-gray-100';
-    }
-  };
-
-  // Get status icon
-  const getStatusIcon = (status) => {
-    switch (status) {
-      case 'Generated': return <CheckCircle className="h-4 w-4" />;
-      case 'Generating': return <Clock className="h-4 w-4" />;
-      case 'Failed': return <XCircle className="h-4 w-4" />;
-      case 'Scheduled': return <Calendar className="h-4 w-4" />;
-      default: return <Clock className="h-4 w-4" />;
-    }
+  const handleDownload = (report) => {
+    if (!valuation) return;
+    const period = `${format(valuation.startDate, 'yyyy-MM-dd')}_to_${format(valuation.endDate, 'yyyy-MM-dd')}`;
+    exportInventoryValuationToCSV(
+      { ...valuation, [report.section]: getReportRows(report) },
+      report.section,
+      method,
+      `${report.id}-${method}-${period}.csv`
+    );
   };
 
   // Get category icon
   const getCategoryIcon = (category) => {
     switch (category) {
       case 'Inventory': return <Package className="h-5 w-5" />;
-      case 'Movement': return <ArrowRightLeft className="h-5 w-5" />;
-      case 'Supplier': return <Truck className="h-5 w-5" />;
       case 'Financial': return <Banknote className="h-5 w-5" />;
-      case 'Expiry': return <Calendar className="h-5 w-5" />;
+      case 'Audit': return <AlertTriangle className="h-5 w-5" />;
       default: return <FileText className="h-5 w-5" />;
     }
   };
 
-  // Calculate report statistics
-  const reportStats = {
-    totalReports: reports.length,
-    generatedReports: reports.filter(r => r.status === 'Generated').length,
-    generatingReports: reports.filter(r => r.status === 'Generating').length,
-    totalDownloads: reports.reduce((sum, r) => sum + r.downloadCount, 0),
-    totalFileSize: reports.reduce((sum, r) => sum + parseFloat(r.fileSize), 0)
-  };
+  const totals = valuation?.totals?.[method];
+  const shrinkageTotal = (valuation?.shrinkage || []).reduce((sum, cause) => sum + cause[method], 0);
 
-  if (loading) {
+  if (loading && !valuation) {
     return (
       <>
         <div className="flex items-center justify-center h-64">
@@ -307,7 +244,7 @@ const Reports = () => {
     );
   }
 
-  if (error) {
+  if (error && !valuation) {
     return (
       <>
         <div className="flex items-center justify-center h-64">
@@ -332,20 +269,27 @@ const Reports = () => {
         <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
           <div>
             <h1 className="text-xl md:text-2xl font-bold text-gray-900">Reports</h1>
-            <p className="text-sm md:text-base text-gray-600">Generate and manage inventory reports and analytics</p>
+            <p className="text-sm md:text-base text-gray-600">
+              Inventory valuation, margin and shrinkage reports
+              {branches.length > 1 ? ` across ${branches.length} branches` : ''}
+            </p>
           </div>
           <div className="flex items-center gap-2 md:gap-3 flex-wrap">
-            <Button variant="outline" className="flex items-center gap-2 text-xs md:text-sm">
-              <Upload className="h-4 w-4" />
-              <span className="hidden sm:inline">Import</span>
-            </Button>
-            <Button variant="outline" className="flex items-center gap-2 text-xs md:text-sm">
-              <Download className="h-4 w-4" />
-              <span className="hidden sm:inline">Export</span>
-            </Button>
-            <Button onClick={handleCreateReport} className="flex items-center gap-2 text-xs md:text-sm">
-              <Plus className="h-4 w-4" />
-              Generate Report
+            <div className="flex rounded-lg border border-gray-300 overflow-hidden text-xs md:text-sm">
+              {Object.values(VALUATION_METHODS).map(option => (
+                <button
+                  key={option}
+                  type="button"
+                  onClick={() => setMethod(option)}
+                  className={`px-3 py-2 ${method === option ? 'bg-[#160B53] text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+                >
+                  {VALUATION_METHOD_LABELS[option]}
+                </button>
+              ))}
+            </div>
+            <Button variant="outline" onClick={loadReports} disabled={loading} className="flex items-center gap-2 text-xs md:text-sm">
+              <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+              <span className="hidden sm:inline">Refresh</span>
             </Button>
           </div>
         </div>
@@ -354,50 +298,50 @@ const Reports = () => {
         <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-3 md:gap-4">
           <Card className="p-4">
             <div className="flex items-center">
-              <FileText className="h-8 w-8 text-blue-600" />
+              <Package className="h-8 w-8 text-blue-600" />
               <div className="ml-3">
-                <p className="text-sm font-medium text-gray-600">Total Reports</p>
-                <p className="text-xl font-bold text-gray-900">{reportStats.totalReports}</p>
+                <p className="text-sm font-medium text-gray-600">Stock Value</p>
+                <p className="text-xl font-bold text-gray-900">{formatPeso(totals?.onHandValue)}</p>
               </div>
             </div>
           </Card>
-          
+
           <Card className="p-4">
             <div className="flex items-center">
-              <CheckCircle className="h-8 w-8 text-green-600" />
+              <Banknote className="h-8 w-8 text-red-600" />
               <div className="ml-3">
-                <p className="text-sm font-medium text-gray-600">Generated</p>
-                <p className="text-xl font-bold text-gray-900">{reportStats.generatedReports}</p>
+                <p className="text-sm font-medium text-gray-600">COGS</p>
+                <p className="text-xl font-bold text-gray-900">{formatPeso(totals?.cogs)}</p>
               </div>
             </div>
           </Card>
-          
+
           <Card className="p-4">
             <div className="flex items-center">
-              <Clock className="h-8 w-8 text-blue-600" />
+              <TrendingUp className="h-8 w-8 text-green-600" />
               <div className="ml-3">
-                <p className="text-sm font-medium text-gray-600">Generating</p>
-                <p className="text-xl font-bold text-gray-900">{reportStats.generatingReports}</p>
+                <p className="text-sm font-medium text-gray-600">Gross Margin</p>
+                <p className="text-xl font-bold text-gray-900">{(totals?.marginPercent || 0).toFixed(1)}%</p>
               </div>
             </div>
           </Card>
-          
+
           <Card className="p-4">
             <div className="flex items-center">
-              <Download className="h-8 w-8 text-purple-600" />
+              <Target className="h-8 w-8 text-purple-600" />
               <div className="ml-3">
-                <p className="text-sm font-medium text-gray-600">Downloads</p>
-                <p className="text-xl font-bold text-gray-900">{reportStats.totalDownloads}</p>
+                <p className="text-sm font-medium text-gray-600">Turnover</p>
+                <p className="text-xl font-bold text-gray-900">{(totals?.turnover || 0).toFixed(1)}x / yr</p>
               </div>
             </div>
           </Card>
-          
+
           <Card className="p-4">
             <div className="flex items-center">
-              <Package className="h-8 w-8 text-orange-600" />
+              <AlertTriangle className="h-8 w-8 text-orange-600" />
               <div className="ml-3">
-                <p className="text-sm font-medium text-gray-600">Total Size</p>
-                <p className="text-xl font-bold text-gray-900">{reportStats.totalFileSize.toFixed(1)} MB</p>
+                <p className="text-sm font-medium text-gray-600">Shrinkage</p>
+                <p className="text-xl font-bold text-gray-900">{formatPeso(shrinkageTotal)}</p>
               </div>
             </div>
           </Card>
@@ -416,8 +360,8 @@ const Reports = () => {
             </div>
             <div className="flex gap-3">
               <select
-                value={filters.category}
-                onChange={(e) => setFilters(prev => ({ ...prev, category: e.target.value }))}
+                value={selectedCategory}
+                onChange={(e) => setSelectedCategory(e.target.value)}
                 className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
               >
                 <option value="all">All Categories</option>
@@ -426,47 +370,14 @@ const Reports = () => {
                 ))}
               </select>
               <select
-                value={filters.period}
-                onChange={(e) => setFilters(prev => ({ ...prev, period: e.target.value }))}
+                value={selectedPeriod}
+                onChange={(e) => setSelectedPeriod(e.target.value)}
                 className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
               >
-                <option value="all">All Periods</option>
-                {periods.map(period => (
-                  <option key={period} value={period}>{period}</option>
+                {Object.entries(PERIOD_OPTIONS).map(([value, option]) => (
+                  <option key={value} value={value}>{option.label}</option>
                 ))}
               </select>
-              <select
-                value={filters.status}
-                onChange={(e) => setFilters(prev => ({ ...prev, status: e.target.value }))}
-                className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-              >
-                <option value="all">All Status</option>
-                <option value="Generated">Generated</option>
-                <option value="Generating">Generating</option>
-                <option value="Failed">Failed</option>
-                <option value="Scheduled">Scheduled</option>
-              </select>
-              <Button
-                variant="outline"
-                onClick={() => setIsFilterModalOpen(true)}
-                className="flex items-center gap-2"
-              >
-                <Filter className="h-4 w-4" />
-                More Filters
-              </Button>
-              <Button
-                variant="outline"
-                onClick={() => setFilters({
-                  category: 'all',
-                  period: 'all',
-                  status: 'all',
-                  dateRange: { start: '', end: '' }
-                })}
-                className="flex items-center gap-2"
-              >
-                <RefreshCw className="h-4 w-4" />
-                Reset
-              </Button>
             </div>
           </div>
         </Card>
@@ -487,12 +398,8 @@ const Reports = () => {
                       <p className="text-sm text-gray-500">{report.category}</p>
                     </div>
                   </div>
-                  <span className={`inline-flex items-center gap-1 px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(report.status)}`}>
-                    {getStatusIcon(report.status)}
-                    {report.status}
-                  </span>
                 </div>
-                
+
                 <p className="text-sm text-gray-600 line-clamp-2">{report.description}</p>
               </div>
 
@@ -501,19 +408,19 @@ const Reports = () => {
                 <div className="space-y-3 mb-4">
                   <div className="flex items-center gap-3">
                     <Calendar className="h-4 w-4 text-gray-400" />
-                    <span className="text-sm text-gray-600">{report.period}</span>
-                  </div>
-                  <div className="flex items-center gap-3">
-                    <Users className="h-4 w-4 text-gray-400" />
-                    <span className="text-sm text-gray-600">{report.generatedBy}</span>
+                    <span className="text-sm text-gray-600">
+                      {valuation && `${format(valuation.startDate, 'MMM dd, yyyy')} - ${format(valuation.endDate, 'MMM dd, yyyy')}`}
+                    </span>
                   </div>
                   <div className="flex items-center gap-3">
-                    <FileText className="h-4 w-4 text-gray-400" />
-                    <span className="text-sm text-gray-600">{report.format} • {report.fileSize}</span>
+                    <Building className="h-4 w-4 text-gray-400" />
+                    <span className="text-sm text-gray-600">
+                      {branches.length === 1 ? branches[0].name : `${branches.length} branches`}
+                    </span>
                   </div>
                   <div className="flex items-center gap-3">
-                    <Download className="h-4 w-4 text-gray-400" />
-                    <span className="text-sm text-gray-600">{report.downloadCount} downloads</span>
+                    <Activity className="h-4 w-4 text-gray-400" />
+                    <span className="text-sm text-gray-600">{getReportRows(report).length} rows · {VALUATION_METHOD_LABELS[method]}</span>
                   </div>
                 </div>
 
@@ -527,16 +434,16 @@ const Reports = () => {
                     <Eye className="h-4 w-4" />
                     View
                   </Button>
-                  {report.status === 'Generated' && (
-                    <Button
-                      variant="outline"
-                      size="sm"
-                      className="flex items-center gap-2"
-                    >
-                      <Download className="h-4 w-4" />
-                      Download
-                    </Button>
-                  )}
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => handleDownload(report)}
+                    disabled={getReportRows(report).length === 0}
+                    className="flex items-center gap-2"
+                  >
+                    <Download className="h-4 w-4" />
+                    CSV
+                  </Button>
                 </div>
               </div>
             </Card>
@@ -548,16 +455,7 @@ const Reports = () => {
           <Card className="p-12 text-center">
             <FileText className="h-16 w-16 text-gray-400 mx-auto mb-4" />
             <h3 className="text-lg font-semibold text-gray-900 mb-2">No Reports Found</h3>
-            <p className="text-gray-600 mb-4">
-              {searchTerm || Object.values(filters).some(f => f !== 'all' && f !== '')
-                ? 'Try adjusting your search or filters'
-                : 'Get started by generating your first report'
-              }
-            </p>
-            <Button onClick={handleCreateReport} className="flex items-center gap-2 mx-auto">
-              <Plus className="h-4 w-4" />
-              Generate Report
-            </Button>
+            <p className="text-gray-600">Try adjusting your search or filters</p>
           </Card>
         )}
 
@@ -569,263 +467,64 @@ const Reports = () => {
               setIsDetailsModalOpen(false);
               setSelectedReport(null);
             }}
-            title="Report Details"
+            title={selectedReport.name}
             size="lg"
           >
             <div className="space-y-6">
               {/* Report Header */}
-              <div className="flex gap-6">
-                <div className="w-32 h-32 bg-blue-100 rounded-lg flex items-center justify-center">
+              <div className="flex gap-4 items-center">
+                <div className="w-12 h-12 bg-blue-100 rounded-lg flex items-center justify-center">
                   {getCategoryIcon(selectedReport.category)}
                 </div>
                 <div className="flex-1">
-                  <div className="flex items-start justify-between mb-2">
-                    <h2 className="text-xl font-bold text-gray-900">{selectedReport.name}</h2>
-                    <span className={`inline-flex items-center gap-1 px-3 py-1 rounded-full text-sm font-medium ${getStatusColor(selectedReport.status)}`}>
-                      {getStatusIcon(selectedReport.status)}
-                      {selectedReport.status}
-                    </span>
-                  </div>
-                  <p className="text-lg text-gray-600 mb-2">{selectedReport.category}</p>
-                  <p className="text-sm text-gray-500">{selectedReport.description}</p>
+                  <p className="text-sm text-gray-600">{selectedReport.description}</p>
+                  <p className="text-xs text-gray-500">
+                    {format(valuation.startDate, 'MMM dd, yyyy')} - {format(valuation.endDate, 'MMM dd, yyyy')} ·{' '}
+                    {VALUATION_METHOD_LABELS[method]} · generated {format(valuation.generatedAt, 'MMM dd, yyyy HH:mm')}
+                  </p>
                 </div>
               </div>
 
-              {/* Report Information */}
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                <div className="space-y-4">
-                  <div>
-                    <label className="text-sm font-medium text-gray-500">Period</label>
-                    <p className="text-gray-900">{selectedReport.period}</p>
-                  </div>
-                  
-                  <div>
-                    <label className="text-sm font-medium text-gray-500">Generated By</label>
-                    <p className="text-gray-900">{selectedReport.generatedBy}</p>
-                  </div>
-                  
-                  <div>
-                    <label className="text-sm font-medium text-gray-500">Generated At</label>
-                    <p className="text-gray-900">{format(new Date(selectedReport.generatedAt), 'MMM dd, yyyy HH:mm')}</p>
-                  </div>
-                  
-                  <div>
-                    <label className="text-sm font-medium text-gray-500">File Format</label>
-                    <p className="text-gray-900">{selectedReport.format}</p>
-                  </div>
-                </div>
-
-                <div className="space-y-4">
-                  <div>
-                    <label className="text-sm font-medium text-gray-500">File Size</label>
-                    <p className="text-gray-900">{selectedReport.fileSize}</p>
-                  </div>
-                  
-                  <div>
-                    <label className="text-sm font-medium text-gray-500">Download Count</label>
-                    <p className="text-gray-900">{selectedReport.downloadCount}</p>
-                  </div>
-                  
-                  <div>
-                    <label className="text-sm font-medium text-gray-500">Last Accessed</label>
-                    <p className="text-gray-900">
-                      {selectedReport.lastAccessed 
-                        ? format(new Date(selectedReport.lastAccessed), 'MMM dd, yyyy HH:mm')
-                        : 'Never'
-                      }
-                    </p>
-                  </div>
-                  
-                  <div>
-                    <label className="text-sm font-medium text-gray-500">Report ID</label>
-                    <p className="text-gray-900 font-mono">{selectedReport.id}</p>
-                  </div>
+              {/* Report Rows */}
+              {getReportRows(selectedReport).length === 0 ? (
+                <div className="text-center py-8 text-gray-500">
+                  <PieChart className="h-8 w-8 mx-auto mb-2" />
+                  <p className="text-sm">Nothing to report for this period</p>
                 </div>
-              </div>
-
-              {/* Data Points */}
-              <div>
-                <h3 className="font-semibold text-gray-900 mb-4">Key Metrics</h3>
-                <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
-                  {Object.entries(selectedReport.dataPoints).map(([key, value]) => (
-                    <div key={key} className="bg-gray-50 rounded-lg p-3 text-center">
-                      <div className="text-2xl font-bold text-gray-900">{value}</div>
-                      <div className="text-xs text-gray-500 capitalize">
-                        {key.replace(/([A-Z])/g, ' $1').trim()}
-                      </div>
-                    </div>
-                  ))}
+              ) : (
+                <div className="overflow-x-auto max-h-[50vh]">
+                  <table className="w-full text-sm">
+                    <thead className="bg-gray-50 sticky top-0">
+                      <tr>
+                        {selectedReport.columns.map(column => (
+                          <th key={column.label} className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">
+                            {column.label}
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                      {getReportRows(selectedReport).map(row => (
+                        <tr key={row.id || row.key || row.cause}>
+                          {selectedReport.columns.map(column => (
+                            <td key={column.label} className="px-3 py-2 text-gray-900">{column.value(row, method)}</td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
                 </div>
-              </div>
+              )}
 
               {/* Actions */}
               <div className="flex gap-3">
-                {selectedReport.status === 'Generated' && (
-                  <>
-                    <Button className="flex items-center gap-2">
-                      <Download className="h-4 w-4" />
-                      Download Report
-                    </Button>
-                    <Button variant="outline" className="flex items-center gap-2">
-                      <Printer className="h-4 w-4" />
-                      Print
-                    </Button>
-                    <Button variant="outline" className="flex items-center gap-2">
-                      <Copy className="h-4 w-4" />
-                      Share
-                    </Button>
-                  </>
-                )}
-                {selectedReport.status === 'Generating' && (
-                  <Button variant="outline" disabled className="flex items-center gap-2">
-                    <Clock className="h-4 w-4" />
-                    Generating...
-                  </Button>
-                )}
-              </div>
-            </div>
-          </Modal>
-        )}
-
-        {/* Create Report Modal */}
-        {isCreateModalOpen && (
-          <Modal
-            isOpen={isCreateModalOpen}
-            onClose={() => setIsCreateModalOpen(false)}
-            title="Generate Report"
-            size="md"
-          >
-            <form onSubmit={handleSubmit} className="space-y-4">
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Report Type *</label>
-                <select className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500" required>
-                  <option value="">Select Report Type</option>
-                  <option value="inventory">Inventory Summary</option>
-                  <option value="movement">Stock Movement</option>
-                  <option value="supplier">Supplier Performance</option>
-                  <option value="financial">Cost Analysis</option>
-                  <option value="expiry">Expiry Tracking</option>
-                  <option value="custom">Custom Report</option>
-                </select>
-              </div>
-              
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Period *</label>
-                <select className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500" required>
-                  <option value="">Select Period</option>
-                  <option value="last7days">Last 7 Days</option>
-                  <option value="last30days">Last 30 Days</option>
-                  <option value="last3months">Last 3 Months</option>
-                  <option value="last6months">Last 6 Months</option>
-                  <option value="lastyear">Last Year</option>
-                  <option value="custom">Custom Range</option>
-                </select>
-              </div>
-              
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Format *</label>
-                <select className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500" required>
-                  <option value="">Select Format</option>
-                  <option value="PDF">PDF</option>
-                  <option value="Excel">Excel</option>
-                  <option value="CSV">CSV</option>
-                </select>
-              </div>
-              
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Include Charts</label>
-                <div className="flex items-center">
-                  <input
-                    type="checkbox"
-                    id="includeCharts"
-                    className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
-                  />
-                  <label htmlFor="includeCharts" className="ml-2 block text-sm text-gray-900">
-                    Include charts and graphs
-                  </label>
-                </div>
-              </div>
-              
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Email Notification</label>
-                <div className="flex items-center">
-                  <input
-                    type="checkbox"
-                    id="emailNotification"
-                    className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
-                  />
-                  <label htmlFor="emailNotification" className="ml-2 block text-sm text-gray-900">
-                    Send email when report is ready
-                  </label>
-                </div>
-              </div>
-              
-              <div className="flex justify-end gap-3 pt-4">
-                <Button type="button" variant="outline" onClick={() => setIsCreateModalOpen(false)}>
-                  Cancel
-                </Button>
-                <Button type="submit">
-                  Generate Report
-                </Button>
-              </div>
-            </form>
-          </Modal>
-        )}
-
-        {/* Advanced Filters Modal */}
-        {isFilterModalOpen && (
-          <Modal
-            isOpen={isFilterModalOpen}
-            onClose={() => setIsFilterModalOpen(false)}
-            title="Advanced Filters"
-            size="md"
-          >
-            <div className="space-y-4">
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Date Range</label>
-                <div className="grid grid-cols-2 gap-3">
-                  <Input
-                    type="date"
-                    placeholder="Start Date"
-                    value={filters.dateRange.start}
-                    onChange={(e) => setFilters(prev => ({ 
-                      ...prev, 
-                      dateRange: { ...prev.dateRange, start: e.target.value }
-                    }))}
-                  />
-                  <Input
-                    type="date"
-                    placeholder="End Date"
-                    value={filters.dateRange.end}
-                    onChange={(e) => setFilters(prev => ({ 
-                      ...prev, 
-                      dateRange: { ...prev.dateRange, end: e.target.value }
-                    }))}
-                  />
-                </div>
-              </div>
-
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">File Size</label>
-                <select className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500">
-                  <option value="all">All Sizes</option>
-                  <option value="small">Small (&lt; 1 MB)</option>
-                  <option value="medium">Medium (1-5 MB)</option>
-                  <option value="large">Large (&gt; 5 MB)</option>
-                </select>
-              </div>
-
-              <div className="flex justify-end gap-3 pt-4">
-                <Button variant="outline" onClick={() => setFilters({
-                  category: 'all',
-                  period: 'all',
-                  status: 'all',
-                  dateRange: { start: '', end: '' }
-                })}>
-                  Reset
-                </Button>
-                <Button onClick={() => setIsFilterModalOpen(false)}>
-                  Apply Filters
+                <Button
+                  onClick={() => handleDownload(selectedReport)}
+                  disabled={getReportRows(selectedReport).length === 0}
+                  className="flex items-center gap-2"
+                >
+                  <Download className="h-4 w-4" />
+                  Download CSV
                 </Button>
               </div>
             </div>
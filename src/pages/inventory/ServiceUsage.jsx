@@ -0,0 +1,185 @@
+// src/pages/inventory/ServiceUsage.jsx
+/**
+ * Service Usage Page
+ * Salon-use products consumed by services against their recipes, per stylist,
+ * flagging stylists who use noticeably more than the recipe calls for.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../../context/AuthContext';
+import { Card } from '../../components/ui/Card';
+import Button from '../../components/ui/Button';
+import { FlaskConical, RefreshCw, AlertTriangle, ChevronDown, ChevronRight, User } from 'lucide-react';
+import { format, startOfMonth } from 'date-fns';
+import { getUsageVarianceReport, USAGE_VARIANCE_THRESHOLD_PERCENT } from '../../services/serviceRecipeService';
+
+const formatVariance = (value) => `${value > 0 ? '+' : ''}${value}%`;
+
+const ServiceUsage = () => {
+  const { userData } = useAuth();
+  const [report, setReport] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [startDate, setStartDate] = useState(format(startOfMonth(new Date()), 'yyyy-MM-dd'));
+  const [endDate, setEndDate] = useState(format(new Date(), 'yyyy-MM-dd'));
+  const [expanded, setExpanded] = useState({});
+
+  const loadReport = useCallback(async () => {
+    try {
+      setLoading(true);
+      const start = new Date(`${startDate}T00:00:00`);
+      const end = new Date(`${endDate}T23:59:59.999`);
+      const data = await getUsageVarianceReport(userData.branchId, start, end);
+      setReport(data);
+      // Open the stylists with over-consumption straight away
+      setExpanded(Object.fromEntries(data.filter(entry => entry.overConsumedCount > 0).map(entry => [entry.stylistId, true])));
+    } catch (error) {
+      // Error handled in service
+    } finally {
+      setLoading(false);
+    }
+  }, [userData?.branchId, startDate, endDate]);
+
+  useEffect(() => {
+    if (userData?.branchId) {
+      loadReport();
+    }
+  }, [userData?.branchId, loadReport]);
+
+  const toggle = (stylistId) => {
+    setExpanded(prev => ({ ...prev, [stylistId]: !prev[stylistId] }));
+  };
+
+  const totalServices = report.reduce((sum, entry) => sum + entry.services, 0);
+  const recordedServices = report.reduce((sum, entry) => sum + entry.recordedServices, 0);
+  const flaggedStylists = report.filter(entry => entry.overConsumedCount > 0).length;
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+        <div>
+          <h1 className="text-xl md:text-2xl font-bold text-gray-900">Service Product Usage</h1>
+          <p className="text-sm md:text-base text-gray-600">
+            Actual salon-use product usage against service recipes, by stylist
+          </p>
+        </div>
+        <div className="flex items-center gap-2 flex-wrap">
+          <input
+            type="date"
+            value={startDate}
+            max={endDate}
+            onChange={(e) => setStartDate(e.target.value)}
+            className="px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-[#160B53] focus:border-transparent"
+          />
+          <span className="text-gray-500 text-sm">to</span>
+          <input
+            type="date"
+            value={endDate}
+            min={startDate}
+            onChange={(e) => setEndDate(e.target.value)}
+            className="px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-[#160B53] focus:border-transparent"
+          />
+          <Button variant="outline" onClick={loadReport} className="flex items-center gap-2 text-xs md:text-sm">
+            <RefreshCw className="h-4 w-4" />
+            Refresh
+          </Button>
+        </div>
+      </div>
+
+      {/* Statistics Cards */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <Card className="p-4">
+          <p className="text-sm text-gray-600">Services with recipes</p>
+          <p className="text-2xl font-bold text-gray-900">{totalServices}</p>
+        </Card>
+        <Card className="p-4">
+          <p className="text-sm text-gray-600">Usage recorded by stylist</p>
+          <p className="text-2xl font-bold text-gray-900">
+            {recordedServices}
+            {totalServices > 0 && (
+              <span className="text-sm font-normal text-gray-500 ml-2">
+                ({Math.round((recordedServices / totalServices) * 100)}%)
+              </span>
+            )}
+          </p>
+        </Card>
+        <Card className="p-4">
+          <p className="text-sm text-gray-600">Stylists over recipe by more than {USAGE_VARIANCE_THRESHOLD_PERCENT}%</p>
+          <p className={`text-2xl font-bold ${flaggedStylists > 0 ? 'text-red-600' : 'text-gray-900'}`}>{flaggedStylists}</p>
+        </Card>
+      </div>
+
+      {/* Stylists */}
+      {loading ? (
+        <div className="flex items-center justify-center h-64">
+          <RefreshCw className="h-8 w-8 animate-spin text-[#160B53]" />
+          <span className="ml-2 text-gray-600">Loading service usage...</span>
+        </div>
+      ) : report.length === 0 ? (
+        <Card className="p-12 text-center">
+          <FlaskConical className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+          <p className="text-gray-600">No services with recipes were paid for in this period</p>
+        </Card>
+      ) : (
+        <div className="space-y-3">
+          {report.map(entry => (
+            <Card key={entry.stylistId} className="overflow-hidden">
+              <button
+                type="button"
+                onClick={() => toggle(entry.stylistId)}
+                className="w-full flex items-center justify-between gap-4 p-4 text-left hover:bg-gray-50"
+              >
+                <div className="flex items-center gap-3">
+                  {expanded[entry.stylistId] ? <ChevronDown className="h-4 w-4 text-gray-500" /> : <ChevronRight className="h-4 w-4 text-gray-500" />}
+                  <User className="h-5 w-5 text-gray-400" />
+                  <div>
+                    <p className="font-semibold text-gray-900">{entry.stylistName}</p>
+                    <p className="text-xs text-gray-500">
+                      {entry.services} service{entry.services === 1 ? '' : 's'} · {entry.recordedServices} with recorded usage
+                    </p>
+                  </div>
+                </div>
+                {entry.overConsumedCount > 0 && (
+                  <span className="flex items-center gap-1 px-2 py-1 text-xs font-medium bg-red-100 text-red-700 rounded-full">
+                    <AlertTriangle className="h-3 w-3" />
+                    {entry.overConsumedCount} product{entry.overConsumedCount === 1 ? '' : 's'} over recipe
+                  </span>
+                )}
+              </button>
+              {expanded[entry.stylistId] && (
+                <table className="w-full border-t">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Services</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Standard</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Actual</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Variance</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {entry.products.map(product => (
+                      <tr key={product.productId} className={product.overConsumed ? 'bg-red-50' : ''}>
+                        <td className="px-4 py-2 text-sm text-gray-900">{product.productName}</td>
+                        <td className="px-4 py-2 text-sm text-right text-gray-700">{product.services}</td>
+                        <td className="px-4 py-2 text-sm text-right text-gray-700">{product.standard} {product.unit}</td>
+                        <td className="px-4 py-2 text-sm text-right text-gray-700">{product.actual} {product.unit}</td>
+                        <td className={`px-4 py-2 text-sm text-right font-medium ${
+                          product.overConsumed ? 'text-red-600' : product.variance < 0 ? 'text-green-600' : 'text-gray-700'
+                        }`}>
+                          {product.variance > 0 ? '+' : ''}{product.variance} {product.unit} ({formatVariance(product.variancePercent)})
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </Card>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ServiceUsage;
@@ -506,7 +506,7 @@ const StockAlerts = () => {
             <h1 className="text-xl md:text-2xl font-bold text-gray-900">Stock Alerts</h1>
             <p className="text-sm md:text-base text-gray-600">Automatically monitor low stock levels and inventory alerts</p>
             <p className="text-xs text-gray-500 mt-1">
-              Alerts are automatically generated when realTimeStock ≤ {alertSettings.lowStockThreshold} (Critical: ≤ {alertSettings.criticalThreshold})
+              Alerts are automatically generated when a product falls to its reorder point, worked out from sales, salon use and supplier lead time (Critical: ≤ {alertSettings.criticalThreshold})
             </p>
           </div>
           <div className="flex items-center gap-2 md:gap-3 flex-wrap">
@@ -723,7 +723,7 @@ const StockAlerts = () => {
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       <div className="text-sm font-medium text-gray-900">{alert.currentStock}</div>
-                      <div className="text-xs text-gray-500">Min: {alert.minStock}</div>
+                      <div className="text-xs text-gray-500">{alert.reorderPoint !== undefined ? 'Reorder at' : 'Min'}: {alert.minStock}</div>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       <span className={`inline-flex items-center gap-1 px-2 py-1 rounded-full text-xs font-medium ${getPriorityColor(alert.priority)}`}>
@@ -847,8 +847,16 @@ const StockAlerts = () => {
                   </div>
                   
                   <div>
-                    <label className="text-sm font-medium text-gray-500">Minimum Stock Level</label>
+                    <label className="text-sm font-medium text-gray-500">
+                      {selectedAlert.reorderPoint !== undefined ? 'Reorder Point' : 'Minimum Stock Level'}
+                    </label>
                     <p className="text-lg font-semibold text-gray-900">{selectedAlert.minStock} units</p>
+                    {selectedAlert.reorderPoint !== undefined && (
+                      <p className="text-xs text-gray-500">
+                        {selectedAlert.dailyDemand}/day over a {selectedAlert.leadTimeDays}-day lead time, plus {selectedAlert.safetyStock} safety stock
+                        {selectedAlert.onOrder > 0 ? ` • ${selectedAlert.onOrder} on order` : ''}
+                      </p>
+                    )}
                   </div>
                   
                   <div>
@@ -1146,7 +1154,7 @@ const StockAlerts = () => {
             <div className="space-y-6">
               <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
                 <p className="text-sm text-blue-800">
-                  Configure the threshold for automatic stock alerts. Alerts will be generated when product stock falls below these values.
+                  Each product alerts at its own reorder point, worked out from the branch&apos;s recent sales and salon use, the supplier&apos;s lead time and safety stock. The low stock threshold applies to products with no recent demand and no minimum stock set.
                 </p>
               </div>
 
@@ -1167,7 +1175,7 @@ const StockAlerts = () => {
                   className="w-full"
                 />
                 <p className="text-xs text-gray-500 mt-1">
-                  Alert will be triggered when realTimeStock is ≤ {alertSettings.lowStockThreshold}
+                  Products without a reorder point alert when realTimeStock is ≤ {alertSettings.lowStockThreshold}
                 </p>
               </div>
 
@@ -1195,7 +1203,7 @@ const StockAlerts = () => {
               <div className="bg-gray-50 border border-gray-200 rounded-lg p-4">
                 <h4 className="text-sm font-semibold text-gray-700 mb-2">Current Settings:</h4>
                 <ul className="text-xs text-gray-600 space-y-1">
-                  <li>• Low Stock Alert: realTimeStock ≤ {alertSettings.lowStockThreshold}</li>
+                  <li>• Low Stock Alert: realTimeStock ≤ reorder point (or ≤ {alertSettings.lowStockThreshold} without one)</li>
                   <li>• Critical Alert: realTimeStock ≤ {alertSettings.criticalThreshold}</li>
                   <li>• Alerts are automatically generated when stock changes</li>
                 </ul>
@@ -10,6 +10,7 @@ import Modal from '../../components/ui/Modal';
 import { productService } from '../../services/productService';
 import { getBranches } from '../../services/branchService';
 import { inventoryService } from '../../services/inventoryService';
+import { getProductUnits } from '../../services/unitOfMeasureService';
 import { db } from '../../config/firebase';
 import { collection, addDoc, getDocs, getDoc, query, where, orderBy, limit, startAfter, serverTimestamp, updateDoc, doc, writeBatch, getCountFromServer } from 'firebase/firestore';
 import { 
@@ -1036,6 +1037,7 @@ const StockTransfer = () => {
             productName: item.productName,
             stockId: item.stockId,
             quantity: parseInt(item.quantity),
+            unit: getStockUnit(item.productId), // Transfers move whole stock units
             unitCost: parseFloat(item.unitCost) || 0,
             totalCost: parseFloat(item.totalCost) || 0,
             batches: [] // Will be populated if batches found
@@ -1162,6 +1164,7 @@ const StockTransfer = () => {
           productName: item.productName,
           stockId: item.stockId,
           quantity: parseInt(item.quantity),
+          unit: getStockUnit(item.productId),
           unitCost: parseFloat(item.unitCost) || 0,
           totalCost: parseFloat(item.totalCost) || 0
         })));
@@ -1617,6 +1620,9 @@ const StockTransfer = () => {
     }
   };
 
+  // Unit a product's stock is counted and transferred in
+  const getStockUnit = (productId) => getProductUnits(products.find(p => p.id === productId)).stockUnit;
+
   // Update item in transfer
   const updateItem = (index, field, value) => {
     setFormData(prev => ({
@@ -3091,7 +3097,9 @@ const StockTransfer = () => {
                       </div>
                       
                       <div className="col-span-2">
-                        <label className="block text-sm font-medium text-gray-700 mb-2">Quantity *</label>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">
+                          Quantity *{item.productId && <span className="text-gray-500 font-normal"> ({getStockUnit(item.productId)})</span>}
+                        </label>
                         <Input
                           type="number"
                           min="1"
@@ -3108,7 +3116,7 @@ const StockTransfer = () => {
                         />
                         {item.availableStock !== undefined && (
                           <p className="text-xs text-gray-500 mt-1">
-                            Max: {item.availableStock} units
+                            Max: {item.availableStock} {getStockUnit(item.productId)}
                           </p>
                         )}
                         {formErrors[`item${index}_quantity`] && (
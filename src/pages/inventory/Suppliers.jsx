@@ -115,6 +115,7 @@ const Suppliers = () => {
           website: data.website || '',
           category: data.category || '',
           paymentTerms: data.paymentTerms || '',
+          leadTimeDays: Number(data.leadTimeDays) || null, // Days from ordering to delivery, for reorder points
           rating: data.rating || 0,
           notes: data.notes || '',
           isActive: data.isActive !== false,
@@ -662,6 +663,13 @@ const Suppliers = () => {
                     <p className="text-gray-900">{selectedSupplier.paymentTerms}</p>
                   </div>
                   
+                  <div>
+                    <label className="text-sm font-medium text-gray-500">Lead Time</label>
+                    <p className="text-gray-900">
+                      {selectedSupplier.leadTimeDays ? `${selectedSupplier.leadTimeDays} days` : 'Not set (7 days assumed)'}
+                    </p>
+                  </div>
+                  
                   <div>
                     <label className="text-sm font-medium text-gray-500">Rating</label>
                     <div className="flex items-center gap-1">
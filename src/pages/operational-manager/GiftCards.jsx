@@ -0,0 +1,347 @@
+// src/pages/02_OperationalManager/GiftCards.jsx
+import { useState, useEffect } from 'react';
+import { QRCodeSVG } from 'qrcode.react';
+
+import { Card } from '../../components/ui/Card';
+import Button from '../../components/ui/Button';
+import { Input } from '../../components/ui/Input';
+import {
+  getGiftCardLiabilityByBranch,
+  getGiftCardByCode,
+  getGiftCardLedger,
+  GIFT_CARD_STATUS,
+  GIFT_CARD_TRANSACTION_TYPES
+} from '../../services/giftCardService';
+import {
+  Gift,
+  Building,
+  Loader2,
+  Search,
+  RefreshCw,
+  Wallet,
+  CreditCard,
+  X
+} from 'lucide-react';
+import { format } from 'date-fns';
+
+const formatPeso = (amount) =>
+  `₱${(amount || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const OperationalManagerGiftCards = () => {
+  const [liability, setLiability] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Card lookup
+  const [searchCode, setSearchCode] = useState('');
+  const [searching, setSearching] = useState(false);
+  const [selectedCard, setSelectedCard] = useState(null);
+  const [ledger, setLedger] = useState([]);
+
+  const loadData = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await getGiftCardLiabilityByBranch();
+      setLiability(data);
+    } catch (err) {
+      console.error('Error loading gift card liability:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    if (!searchCode.trim()) return;
+
+    try {
+      setSearching(true);
+      const card = await getGiftCardByCode(searchCode);
+      if (!card) {
+        setSelectedCard(null);
+        setLedger([]);
+        setError(`Gift card ${searchCode.trim().toUpperCase()} not found`);
+        return;
+      }
+      setError(null);
+      setSelectedCard(card);
+      setLedger(await getGiftCardLedger(card.code));
+    } catch (err) {
+      console.error('Error looking up gift card:', err);
+      setError(err.message);
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const totals = liability.reduce((acc, branch) => ({
+    cardCount: acc.cardCount + branch.cardCount,
+    activeCount: acc.activeCount + branch.activeCount,
+    issuedTotal: acc.issuedTotal + branch.issuedTotal,
+    outstandingBalance: acc.outstandingBalance + branch.outstandingBalance
+  }), { cardCount: 0, activeCount: 0, issuedTotal: 0, outstandingBalance: 0 });
+
+  const getStatusColor = (status) => {
+    switch (status) {
+      case GIFT_CARD_STATUS.ACTIVE: return 'text-green-600 bg-green-100 border-green-200';
+      case GIFT_CARD_STATUS.DEPLETED: return 'text-gray-600 bg-gray-100 border-gray-200';
+      case GIFT_CARD_STATUS.VOIDED: return 'text-red-600 bg-red-100 border-red-200';
+      default: return 'text-gray-600 bg-gray-100 border-gray-200';
+    }
+  };
+
+  const getEntryLabel = (type) => {
+    switch (type) {
+      case GIFT_CARD_TRANSACTION_TYPES.ISSUE: return 'Issued';
+      case GIFT_CARD_TRANSACTION_TYPES.REDEEM: return 'Redeemed';
+      case GIFT_CARD_TRANSACTION_TYPES.REVERSAL: return 'Reversal';
+      default: return type;
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Gift Cards</h1>
+          <p className="text-gray-600">Outstanding gift card liability per branch and card ledgers</p>
+        </div>
+        <Button
+          variant="outline"
+          onClick={loadData}
+          disabled={loading}
+          className="flex items-center gap-2"
+        >
+          <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          Refresh
+        </Button>
+      </div>
+
+      {/* Statistics */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <Card className="p-6">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-sm font-medium text-gray-600">Outstanding Liability</p>
+              <p className="text-2xl font-bold text-gray-900">{formatPeso(totals.outstandingBalance)}</p>
+              <p className="text-xs text-gray-500 mt-1">All branches</p>
+            </div>
+            <Wallet className="h-8 w-8 text-purple-600" />
+          </div>
+        </Card>
+
+        <Card className="p-6">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-sm font-medium text-gray-600">Total Issued</p>
+              <p className="text-2xl font-bold text-gray-900">{formatPeso(totals.issuedTotal)}</p>
+              <p className="text-xs text-gray-500 mt-1">
+                {formatPeso(totals.issuedTotal - totals.outstandingBalance)} redeemed
+              </p>
+            </div>
+            <Gift className="h-8 w-8 text-pink-600" />
+          </div>
+        </Card>
+
+        <Card className="p-6">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-sm font-medium text-gray-600">Cards</p>
+              <p className="text-2xl font-bold text-gray-900">{totals.cardCount}</p>
+              <p className="text-xs text-gray-500 mt-1">{totals.activeCount} with remaining balance</p>
+            </div>
+            <CreditCard className="h-8 w-8 text-blue-600" />
+          </div>
+        </Card>
+      </div>
+
+      {/* Card Lookup */}
+      <Card className="p-6">
+        <form onSubmit={handleSearch} className="flex gap-3">
+          <div className="relative flex-1">
+            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+            <Input
+              type="text"
+              placeholder="Look up a gift card code (GC-XXXX-XXXX-XXXX)"
+              value={searchCode}
+              onChange={(e) => setSearchCode(e.target.value)}
+              className="pl-10 uppercase"
+            />
+          </div>
+          <Button
+            type="submit"
+            disabled={searching || !searchCode.trim()}
+            className="bg-[#160B53] text-white hover:bg-[#12094A]"
+          >
+            {searching ? <Loader2 className="h-4 w-4 animate-spin" /> : 'View Ledger'}
+          </Button>
+        </form>
+      </Card>
+
+      {error && (
+        <Card className="p-6 bg-red-50 border-red-200">
+          <p className="text-red-800">{error}</p>
+        </Card>
+      )}
+
+      {/* Liability by Branch */}
+      {loading ? (
+        <Card className="p-12">
+          <div className="flex items-center justify-center">
+            <Loader2 className="h-8 w-8 animate-spin text-[#160B53]" />
+            <span className="ml-2 text-gray-600">Loading gift cards...</span>
+          </div>
+        </Card>
+      ) : (
+        <Card className="overflow-hidden">
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Issuing Branch</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Cards Issued</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">With Balance</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Issued Value</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Redeemed</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Outstanding Liability</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {liability.length === 0 ? (
+                  <tr>
+                    <td colSpan="6" className="px-6 py-8 text-center text-gray-500">
+                      No gift cards issued yet
+                    </td>
+                  </tr>
+                ) : (
+                  liability.map((branch) => (
+                    <tr key={branch.branchId} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="flex items-center gap-2">
+                          <Building className="h-4 w-4 text-gray-400" />
+                          <span className="font-medium text-gray-900">{branch.branchName}</span>
+                        </div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-gray-700">{branch.cardCount}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-gray-700">{branch.activeCount}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-gray-700">{formatPeso(branch.issuedTotal)}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-gray-700">
+                        {formatPeso(branch.issuedTotal - branch.outstandingBalance)}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap font-semibold text-gray-900">
+                        {formatPeso(branch.outstandingBalance)}
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </Card>
+      )}
+
+      {/* Card Ledger Modal */}
+      {selectedCard && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg shadow-xl max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+            <div className="sticky top-0 bg-white border-b border-gray-200 px-6 py-4 flex items-center justify-between">
+              <div>
+                <h2 className="text-xl font-semibold text-gray-900">{selectedCard.code}</h2>
+                <p className="text-sm text-gray-500">
+                  Issued by {selectedCard.issuedBranchName || 'Unknown Branch'}
+                  {selectedCard.createdAt && ` on ${format(selectedCard.createdAt, 'MMM dd, yyyy')}`}
+                </p>
+              </div>
+              <button
+                onClick={() => {
+                  setSelectedCard(null);
+                  setLedger([]);
+                }}
+                className="text-gray-400 hover:text-gray-600"
+              >
+                <X className="h-6 w-6" />
+              </button>
+            </div>
+
+            <div className="p-6 space-y-6">
+              <div className="flex items-start gap-6">
+                <QRCodeSVG value={selectedCard.code} size={96} level="M" />
+                <div className="grid grid-cols-2 gap-x-8 gap-y-2 text-sm">
+                  <span className="text-gray-500">Balance</span>
+                  <span className="font-semibold text-gray-900">{formatPeso(selectedCard.balance)}</span>
+                  <span className="text-gray-500">Initial Amount</span>
+                  <span className="text-gray-900">{formatPeso(selectedCard.initialAmount)}</span>
+                  <span className="text-gray-500">Status</span>
+                  <span>
+                    <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium border ${getStatusColor(selectedCard.status)}`}>
+                      {selectedCard.status}
+                    </span>
+                  </span>
+                  {selectedCard.purchaserName && (
+                    <>
+                      <span className="text-gray-500">Purchased By</span>
+                      <span className="text-gray-900">{selectedCard.purchaserName}</span>
+                    </>
+                  )}
+                  {selectedCard.recipientName && (
+                    <>
+                      <span className="text-gray-500">Recipient</span>
+                      <span className="text-gray-900">{selectedCard.recipientName}</span>
+                    </>
+                  )}
+                </div>
+              </div>
+
+              <div>
+                <h3 className="text-sm font-semibold text-gray-900 mb-2">Transaction Ledger</h3>
+                <table className="w-full text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Type</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Bill</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Amount</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Balance</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">By</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {ledger.length === 0 ? (
+                      <tr>
+                        <td colSpan="6" className="px-4 py-6 text-center text-gray-500">No ledger entries</td>
+                      </tr>
+                    ) : (
+                      ledger.map((entry) => (
+                        <tr key={entry.id}>
+                          <td className="px-4 py-2 whitespace-nowrap text-gray-700">
+                            {entry.createdAt ? format(entry.createdAt, 'MMM dd, yyyy HH:mm') : '-'}
+                          </td>
+                          <td className="px-4 py-2 text-gray-700">{getEntryLabel(entry.type)}</td>
+                          <td className="px-4 py-2 text-gray-700">{entry.billId || '-'}</td>
+                          <td className={`px-4 py-2 text-right font-medium ${entry.amount < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                            {entry.amount < 0 ? '-' : '+'}{formatPeso(Math.abs(entry.amount))}
+                          </td>
+                          <td className="px-4 py-2 text-right text-gray-900">{formatPeso(entry.balanceAfter)}</td>
+                          <td className="px-4 py-2 text-gray-700">{entry.performedByName || '-'}</td>
+                        </tr>
+                      ))
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OperationalManagerGiftCards;
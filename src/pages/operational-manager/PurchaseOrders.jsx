@@ -72,6 +72,8 @@ const PurchaseOrders = () => {
       const ordersList = [];
       snapshot.forEach((doc) => {
         const data = doc.data();
+        // Reorder drafts stay with the inventory controller until submitted
+        if (data.isDraft) return;
         ordersList.push({
           id: doc.id,
           ...data,
@@ -71,6 +71,8 @@ const OverallInventoryControllerPurchaseOrders = () => {
       const ordersList = [];
       snapshot.forEach((doc) => {
         const data = doc.data();
+        // Reorder drafts stay with the inventory controller until submitted
+        if (data.isDraft) return;
         ordersList.push({
           id: doc.id,
           ...data,
@@ -0,0 +1,104 @@
+/**
+ * Lobby Display Page
+ * Read-only queue screen for a branch's waiting area.
+ * Shows only each client's first name, their place in the queue, their stylist and the
+ * estimated wait. Public, so it reads nothing but the branch's lobby_queue copy.
+ */
+
+import { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import { Clock } from 'lucide-react';
+import { format } from 'date-fns';
+import { subscribeToLobbyQueue } from '../../services/queueService';
+import { formatTime } from '../../utils/helpers';
+import LoadingSpinner from '../../components/ui/LoadingSpinner';
+
+// More rows than this don't fit a lobby screen at a readable size
+const MAX_ROWS = 12;
+
+// Waits count down with the clock between queue changes
+const CLOCK_REFRESH_MS = 60 * 1000;
+
+const LobbyDisplay = () => {
+  const { branchId } = useParams();
+  const [queue, setQueue] = useState(undefined);
+  const [now, setNow] = useState(new Date());
+
+  useEffect(() => {
+    return subscribeToLobbyQueue(branchId, setQueue);
+  }, [branchId]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), CLOCK_REFRESH_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  if (queue === undefined) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-900">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  // Yesterday's queue is left in place until the first check-in of the day
+  const waiting = queue?.dateKey === format(now, 'yyyy-MM-dd') ? queue.entries : [];
+  const rows = waiting.slice(0, MAX_ROWS);
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-white p-8 flex flex-col">
+      <div className="flex items-center justify-between mb-8">
+        <div>
+          <h1 className="text-4xl font-bold">{queue?.branchName || 'Welcome'}</h1>
+          <p className="text-xl text-gray-400 mt-1">Waiting list</p>
+        </div>
+        <p className="text-3xl font-semibold text-gray-300">{formatTime(now)}</p>
+      </div>
+
+      {rows.length === 0 ? (
+        <div className="flex-1 flex items-center justify-center">
+          <p className="text-3xl text-gray-400">No one is waiting - you&apos;ll be seen shortly</p>
+        </div>
+      ) : (
+        <div className="flex-1">
+          <div className="grid grid-cols-12 px-6 pb-3 text-lg uppercase tracking-wide text-gray-400 border-b border-gray-700">
+            <span className="col-span-2">No.</span>
+            <span className="col-span-4">Name</span>
+            <span className="col-span-3">Stylist</span>
+            <span className="col-span-3 text-right">Estimated wait</span>
+          </div>
+          {rows.map(entry => {
+            const waitMinutes = entry.estimatedStart
+              ? Math.max(Math.round((entry.estimatedStart.toDate() - now) / 60000), 0)
+              : null;
+            return (
+              <div
+                key={entry.queueNumber}
+                className={`grid grid-cols-12 items-center px-6 py-4 text-3xl border-b border-gray-800 ${
+                  entry.queueNumber === 1 ? 'bg-primary-700 bg-opacity-40 rounded-lg' : ''
+                }`}
+              >
+                <span className="col-span-2 font-bold">{entry.queueNumber}</span>
+                <span className="col-span-4 font-semibold truncate">{entry.firstName}</span>
+                <span className="col-span-3 text-gray-300 truncate">{entry.stylistName || '-'}</span>
+                <span className="col-span-3 text-right flex items-center justify-end gap-3">
+                  <Clock className="w-7 h-7 text-gray-400" />
+                  {waitMinutes === null
+                    ? 'Please ask at reception'
+                    : waitMinutes === 0 ? 'Next' : `${waitMinutes} min`}
+                </span>
+              </div>
+            );
+          })}
+          {waiting.length > MAX_ROWS && (
+            <p className="text-xl text-gray-400 text-center mt-6">+{waiting.length - MAX_ROWS} more waiting</p>
+          )}
+        </div>
+      )}
+
+      <p className="text-center text-gray-500 mt-8">Waiting times are estimates and may change</p>
+    </div>
+  );
+};
+
+export default LobbyDisplay;
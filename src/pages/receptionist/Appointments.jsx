@@ -3,8 +3,8 @@
  * For managing appointments and bookings
  */
 
-import { useState, useEffect, useMemo, useRef } from 'react';
-import { Plus, Search, Calendar, Clock, CheckCircle, XCircle, Check, User, Phone, Scissors, ArrowUpDown, ArrowUp, ArrowDown, Filter, X, Printer, Edit } from 'lucide-react';
+import { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { Plus, Search, Calendar, Clock, CheckCircle, XCircle, Check, User, Phone, Scissors, ArrowUpDown, ArrowUp, ArrowDown, Filter, X, Printer, Edit, Wallet, UserX, ListPlus, Repeat, List, CalendarDays } from 'lucide-react';
 import { useAuth } from '../../context/AuthContext';
 import { 
   getAppointmentsByBranch, 
@@ -18,16 +18,40 @@ import {
 import { getBranchServices } from '../../services/branchServicesService';
 import { getUsersByRole } from '../../services/userService';
 import { USER_ROLES } from '../../utils/constants';
+import { formatTime } from '../../utils/helpers';
+import { SERVICE_PHASE_TYPES } from '../../services/serviceManagementService';
 import { getArrivalsByBranch, ARRIVAL_STATUS } from '../../services/arrivalsService';
 import { triggerReminderCheck } from '../../services/appointmentReminderService';
+import { detectNoShows } from '../../services/noShowService';
+import { getBranchById } from '../../services/branchService';
+import {
+  recordAppointmentDeposit,
+  refundAppointmentDeposit,
+  getDepositPolicyOutcome,
+  getBranchDepositPolicy,
+  DEPOSIT_STATUS,
+  DEPOSIT_STATUS_LABELS
+} from '../../services/appointmentDepositService';
+import {
+  updateAppointmentSeries,
+  cancelAppointmentSeries,
+  describeRecurrence,
+  SERIES_EDIT_SCOPES
+} from '../../services/recurringAppointmentService';
 import LoadingSpinner from '../../components/ui/LoadingSpinner';
 import AppointmentFormModal from '../../components/appointment/AppointmentFormModal';
 import AppointmentDetails from '../../components/appointment/AppointmentDetails';
 import ConfirmModal from '../../components/ui/ConfirmModal';
 import BillingModalPOS from '../../components/billing/BillingModalPOS';
+import RecordDepositModal from '../../components/appointment/RecordDepositModal';
+import WaitlistModal from '../../components/appointment/WaitlistModal';
+import ResourceCalendar from '../../components/appointment/ResourceCalendar';
 import toast from 'react-hot-toast';
 import { useReactToPrint } from 'react-to-print';
 
+// How often the open page looks for no-shows
+const NO_SHOW_CHECK_INTERVAL_MS = 5 * 60 * 1000;
+
 const ReceptionistAppointments = () => {
   const { currentUser, userBranch, userBranchData } = useAuth();
   const printRef = useRef();
@@ -48,6 +72,7 @@ const ReceptionistAppointments = () => {
   const [sortField, setSortField] = useState('appointmentDate');
   const [sortDirection, setSortDirection] = useState('asc');
   const [showFilterModal, setShowFilterModal] = useState(false);
+  const [viewMode, setViewMode] = useState('list'); // 'list' or 'calendar'
   // Get today's date in YYYY-MM-DD format
   const getTodayDate = () => {
     const today = new Date();
@@ -174,6 +199,14 @@ const ReceptionistAppointments = () => {
   const [stats, setStats] = useState(null);
   const [showCreateConfirmModal, setShowCreateConfirmModal] = useState(false);
   const [pendingAppointmentData, setPendingAppointmentData] = useState(null);
+  const [depositPolicy, setDepositPolicy] = useState(getBranchDepositPolicy(null));
+  const [appointmentForDeposit, setAppointmentForDeposit] = useState(null);
+  const [recordingDeposit, setRecordingDeposit] = useState(false);
+  const [appointmentToMarkNoShow, setAppointmentToMarkNoShow] = useState(null);
+  const [appointmentToRefund, setAppointmentToRefund] = useState(null);
+  const [refundingDeposit, setRefundingDeposit] = useState(false);
+  const [showWaitlistModal, setShowWaitlistModal] = useState(false);
+  const [cancelScope, setCancelScope] = useState(SERIES_EDIT_SCOPES.THIS);
   
   // Data for form
   const [services, setServices] = useState([]);
@@ -200,7 +233,7 @@ const ReceptionistAppointments = () => {
     };
   };
 
-  const fetchAppointments = async () => {
+  const fetchAppointments = useCallback(async () => {
     try {
       setLoading(true);
       const data = await getAppointmentsByBranch(userBranch);
@@ -289,7 +322,7 @@ const ReceptionistAppointments = () => {
     } finally {
       setLoading(false);
     }
-  };
+  }, [userBranch, userBranchData]);
 
   const fetchFormData = async () => {
     try {
@@ -496,6 +529,9 @@ const ReceptionistAppointments = () => {
       fetchAppointments();
       fetchFormData();
       fetchStats();
+      getBranchById(userBranch)
+        .then(branch => setDepositPolicy(getBranchDepositPolicy(branch)))
+        .catch(error => console.error('Error loading deposit policy:', error));
       
       // Check and send appointment reminders (runs once per day)
       const checkReminders = async () => {
@@ -525,6 +561,26 @@ const ReceptionistAppointments = () => {
     }
   }, [userBranch]);
 
+  // Mark overdue confirmed appointments with no check-in as no-shows while the page is open
+  useEffect(() => {
+    if (!userBranch || !currentUser) return;
+
+    const checkNoShows = async () => {
+      const { markedCount } = await detectNoShows(userBranch, currentUser);
+      if (markedCount > 0) {
+        toast(`${markedCount} appointment${markedCount !== 1 ? 's' : ''} marked as no-show (no check-in)`);
+        fetchAppointments();
+      }
+    };
+
+    const initialCheck = setTimeout(checkNoShows, 5000);
+    const interval = setInterval(checkNoShows, NO_SHOW_CHECK_INTERVAL_MS);
+    return () => {
+      clearTimeout(initialCheck);
+      clearInterval(interval);
+    };
+  }, [userBranch, currentUser, fetchAppointments]);
+
   useEffect(() => {
     applyFilters();
     // applyFilters uses filteredForCounts, activeTab, sortField, sortDirection internally
@@ -560,6 +616,19 @@ const ReceptionistAppointments = () => {
     setShowDetailsModal(true);
   };
 
+  // Calendar cards hold the live record; open the enriched one from the list when loaded
+  const handleCalendarSelect = (appointment) => {
+    handleViewAppointment(appointments.find(apt => apt.id === appointment.id) || appointment);
+  };
+
+  const handleViewModeChange = (mode) => {
+    setViewMode(mode);
+    // Moves made on the calendar aren't in the list yet
+    if (mode === 'list') {
+      fetchAppointments();
+    }
+  };
+
   const handleEditAppointment = (appointment) => {
     setSelectedAppointment(appointment);
     setShowModal(true);
@@ -587,7 +656,12 @@ const ReceptionistAppointments = () => {
       // Update existing appointment - no confirmation needed for updates
       try {
         setSaving(true);
-        await updateAppointment(selectedAppointment.id, formData, currentUser);
+        const { seriesScope, ...updates } = formData;
+        if (selectedAppointment.seriesId && seriesScope === SERIES_EDIT_SCOPES.FOLLOWING) {
+          await updateAppointmentSeries(selectedAppointment.id, updates, currentUser, seriesScope);
+        } else {
+          await updateAppointment(selectedAppointment.id, updates, currentUser);
+        }
         setShowModal(false);
         await fetchAppointments();
         await fetchStats();
@@ -603,7 +677,6 @@ const ReceptionistAppointments = () => {
       
       if (!branchName && userBranch) {
         try {
-          const { getBranchById } = await import('../../services/branchService');
           const branchData = await getBranchById(userBranch);
           branchName = branchData?.name || branchData?.branchName || 'Unknown Branch';
         } catch (error) {
@@ -821,16 +894,64 @@ const ReceptionistAppointments = () => {
     }
   };
 
+  const confirmNoShow = async () => {
+    if (!appointmentToMarkNoShow) return;
+
+    await proceedWithStatusUpdate(appointmentToMarkNoShow, APPOINTMENT_STATUS.NO_SHOW);
+    setAppointmentToMarkNoShow(null);
+  };
+
+  const handleRecordDeposit = async (depositData) => {
+    if (!appointmentForDeposit) return;
+
+    try {
+      setRecordingDeposit(true);
+      await recordAppointmentDeposit(appointmentForDeposit, depositData, currentUser);
+      setAppointmentForDeposit(null);
+      await fetchAppointments();
+    } catch (error) {
+      // Error handled in service
+    } finally {
+      setRecordingDeposit(false);
+    }
+  };
+
+  const confirmRefundDeposit = async () => {
+    if (!appointmentToRefund) return;
+
+    try {
+      setRefundingDeposit(true);
+      await refundAppointmentDeposit(appointmentToRefund, currentUser);
+      setAppointmentToRefund(null);
+      await fetchAppointments();
+    } catch (error) {
+      // Error handled in service
+    } finally {
+      setRefundingDeposit(false);
+    }
+  };
+
+  // What the branch deposit policy will do if an appointment is cancelled or marked no-show now
+  const getPolicyPreview = (appointment, outcome) => {
+    if (!appointment) return null;
+    return getDepositPolicyOutcome(appointment, outcome, depositPolicy)?.summary || null;
+  };
+
   const handleCancelAppointment = (appointment) => {
     setAppointmentToCancel(appointment);
     setCancellationReason('');
+    setCancelScope(SERIES_EDIT_SCOPES.THIS);
     setShowCancelModal(true);
   };
 
   const confirmCancel = async () => {
       try {
       setDeleting(true);
-      await cancelAppointment(appointmentToCancel.id, cancellationReason, currentUser);
+      if (appointmentToCancel.seriesId && cancelScope === SERIES_EDIT_SCOPES.FOLLOWING) {
+        await cancelAppointmentSeries(appointmentToCancel.id, cancellationReason, currentUser, cancelScope);
+      } else {
+        await cancelAppointment(appointmentToCancel.id, cancellationReason, currentUser);
+      }
       
       // Highlight the appointment that was cancelled
       setHighlightedAppointment(appointmentToCancel.id);
@@ -935,6 +1056,24 @@ const ReceptionistAppointments = () => {
           <p className="text-gray-600">Manage bookings for registered and guest clients</p>
         </div>
         <div className="flex items-center gap-2">
+          <div className="inline-flex rounded-lg border border-gray-300 overflow-hidden">
+            <button
+              onClick={() => handleViewModeChange('list')}
+              className={`flex items-center gap-1 px-3 py-2 text-sm ${viewMode === 'list' ? 'bg-primary-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+              title="List view"
+            >
+              <List className="w-4 h-4" />
+              List
+            </button>
+            <button
+              onClick={() => handleViewModeChange('calendar')}
+              className={`flex items-center gap-1 px-3 py-2 text-sm ${viewMode === 'calendar' ? 'bg-primary-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+              title="Calendar view"
+            >
+              <CalendarDays className="w-4 h-4" />
+              Calendar
+            </button>
+          </div>
           <a
             href="/receptionist/arrivals"
             className="flex items-center gap-2 px-4 py-2 border border-green-600 text-green-700 rounded-lg hover:bg-green-50 transition-colors"
@@ -942,6 +1081,13 @@ const ReceptionistAppointments = () => {
             <Check className="w-5 h-5" />
             Go to Check-ins
           </a>
+          <button
+            onClick={() => setShowWaitlistModal(true)}
+            className="flex items-center gap-2 px-4 py-2 border border-primary-600 text-primary-700 rounded-lg hover:bg-primary-50 transition-colors"
+          >
+            <ListPlus className="w-5 h-5" />
+            Waitlist
+          </button>
           <button
             onClick={handleCreateAppointment}
             className="flex items-center gap-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors"
@@ -952,309 +1098,392 @@ const ReceptionistAppointments = () => {
         </div>
       </div>
 
-      {/* Search Bar */}
-      <div className="flex gap-3">
-        <div className="flex-1 relative">
-          <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
-          <input
-            type="text"
-            placeholder="Search by client name, phone, service..."
-            value={searchTerm}
-            onChange={(e) => setSearchTerm(e.target.value)}
-            className="w-full pl-10 pr-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
-          />
-        </div>
-        <button
-          onClick={() => setShowFilterModal(true)}
-          className={`p-2.5 border rounded-lg transition-colors flex items-center justify-center relative ${
-            (filters.startDate || filters.endDate || 
-             filters.stylistId !== 'all' || filters.serviceId !== 'all' || filters.checkInStatus !== 'all' ||
-             filters.clientType !== 'all' || filters.status !== 'all')
-              ? 'bg-primary-50 border-primary-300 text-primary-700 hover:bg-primary-100'
-              : 'border-gray-300 text-gray-700 hover:bg-gray-50'
-          }`}
-          title="Filter"
-        >
-          <Filter className="w-5 h-5" />
-          {((filters.startDate || filters.endDate || 
-             filters.stylistId !== 'all' || filters.serviceId !== 'all' || filters.checkInStatus !== 'all' ||
-             filters.clientType !== 'all' || filters.status !== 'all')) && (
-            <span className="absolute -top-1 -right-1 bg-primary-600 text-white text-xs w-5 h-5 rounded-full flex items-center justify-center">
-              {((filters.startDate || filters.endDate) ? 1 : 0) + 
-               (filters.stylistId !== 'all' ? 1 : 0) + 
-               (filters.serviceId !== 'all' ? 1 : 0) + 
-               (filters.checkInStatus !== 'all' ? 1 : 0) + 
-               (filters.clientType !== 'all' ? 1 : 0) + 
-               (filters.status !== 'all' ? 1 : 0)}
-            </span>
-          )}
-        </button>
-        <button
-          onClick={handlePrint}
-          disabled={filteredAppointments.length === 0}
-          className="px-4 py-2.5 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
-        >
-          <Printer className="w-5 h-5" />
-          Print
-        </button>
-      </div>
-
-      {/* Status Tabs */}
-      <div className="border-b border-gray-200">
-        <nav className="flex space-x-1" aria-label="Tabs">
-          <button
-            onClick={() => setActiveTab('pending')}
-            className={`px-4 py-3 text-sm font-medium border-b-2 transition-colors ${
-              activeTab === 'pending'
-                ? 'border-yellow-500 text-yellow-700'
-                : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
-            }`}
-          >
-            <div className="flex items-center gap-2">
-              <Clock className="w-4 h-4" />
-              <span>Pending</span>
-              <span className="px-2 py-0.5 text-xs rounded-full bg-yellow-100 text-yellow-700">
-                {statusCounts.pending}
-              </span>
-            </div>
-          </button>
-          <button
-            onClick={() => setActiveTab('confirmed')}
-            className={`px-4 py-3 text-sm font-medium border-b-2 transition-colors ${
-              activeTab === 'confirmed'
-                ? 'border-blue-500 text-blue-700'
-                : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
-            }`}
-          >
-            <div className="flex items-center gap-2">
-              <CheckCircle className="w-4 h-4" />
-              <span>Confirmed</span>
-              <span className="px-2 py-0.5 text-xs rounded-full bg-blue-100 text-blue-700">
-                {statusCounts.confirmed}
-              </span>
-            </div>
-          </button>
-          <button
-            onClick={() => setActiveTab('completed')}
-            className={`px-4 py-3 text-sm font-medium border-b-2 transition-colors ${
-              activeTab === 'completed'
-                ? 'border-green-500 text-green-700'
-                : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
-            }`}
-          >
-            <div className="flex items-center gap-2">
-              <Check className="w-4 h-4" />
-              <span>Completed</span>
-              <span className="px-2 py-0.5 text-xs rounded-full bg-green-100 text-green-700">
-                {statusCounts.completed}
-              </span>
-            </div>
-          </button>
+      {viewMode === 'calendar' ? (
+        <ResourceCalendar
+          branchId={userBranch}
+          stylists={stylists}
+          onSelectAppointment={handleCalendarSelect}
+        />
+      ) : (
+        <>
+        {/* Search Bar */}
+        <div className="flex gap-3">
+          <div className="flex-1 relative">
+            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+            <input
+              type="text"
+              placeholder="Search by client name, phone, service..."
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+              className="w-full pl-10 pr-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            />
+          </div>
           <button
-            onClick={() => setActiveTab('cancelled')}
-            className={`px-4 py-3 text-sm font-medium border-b-2 transition-colors ${
-              activeTab === 'cancelled'
-                ? 'border-red-500 text-red-700'
-                : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+            onClick={() => setShowFilterModal(true)}
+            className={`p-2.5 border rounded-lg transition-colors flex items-center justify-center relative ${
+              (filters.startDate || filters.endDate || 
+               filters.stylistId !== 'all' || filters.serviceId !== 'all' || filters.checkInStatus !== 'all' ||
+               filters.clientType !== 'all' || filters.status !== 'all')
+                ? 'bg-primary-50 border-primary-300 text-primary-700 hover:bg-primary-100'
+                : 'border-gray-300 text-gray-700 hover:bg-gray-50'
             }`}
+            title="Filter"
           >
-            <div className="flex items-center gap-2">
-              <XCircle className="w-4 h-4" />
-              <span>Cancelled</span>
-              <span className="px-2 py-0.5 text-xs rounded-full bg-red-100 text-red-700">
-                {statusCounts.cancelled}
+            <Filter className="w-5 h-5" />
+            {((filters.startDate || filters.endDate || 
+               filters.stylistId !== 'all' || filters.serviceId !== 'all' || filters.checkInStatus !== 'all' ||
+               filters.clientType !== 'all' || filters.status !== 'all')) && (
+              <span className="absolute -top-1 -right-1 bg-primary-600 text-white text-xs w-5 h-5 rounded-full flex items-center justify-center">
+                {((filters.startDate || filters.endDate) ? 1 : 0) + 
+                 (filters.stylistId !== 'all' ? 1 : 0) + 
+                 (filters.serviceId !== 'all' ? 1 : 0) + 
+                 (filters.checkInStatus !== 'all' ? 1 : 0) + 
+                 (filters.clientType !== 'all' ? 1 : 0) + 
+                 (filters.status !== 'all' ? 1 : 0)}
               </span>
-            </div>
+            )}
           </button>
           <button
-            onClick={() => setActiveTab('all')}
-            className={`px-4 py-3 text-sm font-medium border-b-2 transition-colors ${
-              activeTab === 'all'
-                ? 'border-gray-500 text-gray-900'
-                : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
-            }`}
+            onClick={handlePrint}
+            disabled={filteredAppointments.length === 0}
+            className="px-4 py-2.5 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
           >
-            <div className="flex items-center gap-2">
-              <Calendar className="w-4 h-4" />
-              <span>All</span>
-              <span className="px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-700">
-                {filteredForCounts.length}
-              </span>
-            </div>
+            <Printer className="w-5 h-5" />
+            Print
           </button>
-        </nav>
-      </div>
+        </div>
 
-      {/* Appointments List */}
-      <div className="bg-white border border-gray-200 rounded-lg overflow-hidden">
-        {filteredAppointments.length === 0 ? (
-          <div className="text-center py-16">
-            <Calendar className="w-16 h-16 text-gray-300 mx-auto mb-4" />
-            <p className="text-gray-500 text-lg">No appointments found</p>
-            <p className="text-gray-400 text-sm mt-1">Try adjusting your filters or create a new appointment</p>
-          </div>
-        ) : (
-          <table className="w-full">
-            <thead className="bg-gray-50 border-b">
-              <tr>
-                <th 
-                  className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase cursor-pointer hover:bg-gray-100"
-                  onClick={() => handleSort('appointmentDate')}
-                >
-                  <div className="flex items-center gap-2">
-                    Date & Time
-                    {getSortIcon('appointmentDate')}
-                  </div>
-                </th>
-                <th 
-                  className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase cursor-pointer hover:bg-gray-100"
-                  onClick={() => handleSort('clientName')}
-                >
-                  <div className="flex items-center gap-2">
-                    Client
-                    {getSortIcon('clientName')}
-                  </div>
-                </th>
-                <th 
-                  className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase cursor-pointer hover:bg-gray-100"
-                  onClick={() => handleSort('serviceName')}
-                >
-                  <div className="flex items-center gap-2">
-                    Services
-                    {getSortIcon('serviceName')}
-                  </div>
-                </th>
-                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Actions</th>
-              </tr>
-            </thead>
-            <tbody className="divide-y">
-              {filteredAppointments.map((apt) => {
-                const aptDate = new Date(apt.appointmentDate);
-                const timeStr = aptDate.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true });
-                const dateStr = aptDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
-                
-                return (
-                  <tr 
-                    key={apt.id} 
-                    className={`hover:bg-gray-50 transition-all duration-300 ${
-                      highlightedAppointment === apt.id 
-                        ? 'bg-primary-50 border-l-4 border-l-primary-600 shadow-lg ring-2 ring-primary-200' 
-                        : ''
-                    }`}
+        {/* Status Tabs */}
+        <div className="border-b border-gray-200">
+          <nav className="flex space-x-1" aria-label="Tabs">
+            <button
+              onClick={() => setActiveTab('pending')}
+              className={`px-4 py-3 text-sm font-medium border-b-2 transition-colors ${
+                activeTab === 'pending'
+                  ? 'border-yellow-500 text-yellow-700'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              <div className="flex items-center gap-2">
+                <Clock className="w-4 h-4" />
+                <span>Pending</span>
+                <span className="px-2 py-0.5 text-xs rounded-full bg-yellow-100 text-yellow-700">
+                  {statusCounts.pending}
+                </span>
+              </div>
+            </button>
+            <button
+              onClick={() => setActiveTab('confirmed')}
+              className={`px-4 py-3 text-sm font-medium border-b-2 transition-colors ${
+                activeTab === 'confirmed'
+                  ? 'border-blue-500 text-blue-700'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              <div className="flex items-center gap-2">
+                <CheckCircle className="w-4 h-4" />
+                <span>Confirmed</span>
+                <span className="px-2 py-0.5 text-xs rounded-full bg-blue-100 text-blue-700">
+                  {statusCounts.confirmed}
+                </span>
+              </div>
+            </button>
+            <button
+              onClick={() => setActiveTab('completed')}
+              className={`px-4 py-3 text-sm font-medium border-b-2 transition-colors ${
+                activeTab === 'completed'
+                  ? 'border-green-500 text-green-700'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              <div className="flex items-center gap-2">
+                <Check className="w-4 h-4" />
+                <span>Completed</span>
+                <span className="px-2 py-0.5 text-xs rounded-full bg-green-100 text-green-700">
+                  {statusCounts.completed}
+                </span>
+              </div>
+            </button>
+            <button
+              onClick={() => setActiveTab('cancelled')}
+              className={`px-4 py-3 text-sm font-medium border-b-2 transition-colors ${
+                activeTab === 'cancelled'
+                  ? 'border-red-500 text-red-700'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              <div className="flex items-center gap-2">
+                <XCircle className="w-4 h-4" />
+                <span>Cancelled</span>
+                <span className="px-2 py-0.5 text-xs rounded-full bg-red-100 text-red-700">
+                  {statusCounts.cancelled}
+                </span>
+              </div>
+            </button>
+            <button
+              onClick={() => setActiveTab('all')}
+              className={`px-4 py-3 text-sm font-medium border-b-2 transition-colors ${
+                activeTab === 'all'
+                  ? 'border-gray-500 text-gray-900'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              <div className="flex items-center gap-2">
+                <Calendar className="w-4 h-4" />
+                <span>All</span>
+                <span className="px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-700">
+                  {filteredForCounts.length}
+                </span>
+              </div>
+            </button>
+          </nav>
+        </div>
+
+        {/* Appointments List */}
+        <div className="bg-white border border-gray-200 rounded-lg overflow-hidden">
+          {filteredAppointments.length === 0 ? (
+            <div className="text-center py-16">
+              <Calendar className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+              <p className="text-gray-500 text-lg">No appointments found</p>
+              <p className="text-gray-400 text-sm mt-1">Try adjusting your filters or create a new appointment</p>
+            </div>
+          ) : (
+            <table className="w-full">
+              <thead className="bg-gray-50 border-b">
+                <tr>
+                  <th 
+                    className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase cursor-pointer hover:bg-gray-100"
+                    onClick={() => handleSort('appointmentDate')}
                   >
-                    <td 
-                      className="px-6 py-3 cursor-pointer hover:bg-gray-100"
-                      onClick={() => handleViewAppointment(apt)}
+                    <div className="flex items-center gap-2">
+                      Date & Time
+                      {getSortIcon('appointmentDate')}
+                    </div>
+                  </th>
+                  <th 
+                    className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase cursor-pointer hover:bg-gray-100"
+                    onClick={() => handleSort('clientName')}
+                  >
+                    <div className="flex items-center gap-2">
+                      Client
+                      {getSortIcon('clientName')}
+                    </div>
+                  </th>
+                  <th 
+                    className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase cursor-pointer hover:bg-gray-100"
+                    onClick={() => handleSort('serviceName')}
+                  >
+                    <div className="flex items-center gap-2">
+                      Services
+                      {getSortIcon('serviceName')}
+                    </div>
+                  </th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y">
+                {filteredAppointments.map((apt) => {
+                  const aptDate = new Date(apt.appointmentDate);
+                  const timeStr = aptDate.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true });
+                  const dateStr = aptDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+                
+                  return (
+                    <tr 
+                      key={apt.id} 
+                      className={`hover:bg-gray-50 transition-all duration-300 ${
+                        highlightedAppointment === apt.id 
+                          ? 'bg-primary-50 border-l-4 border-l-primary-600 shadow-lg ring-2 ring-primary-200' 
+                          : ''
+                      }`}
                     >
-                      <div className="flex items-center gap-2">
-                        <Calendar className="w-4 h-4 text-gray-400" />
-                        <div>
-                          <div className="text-sm font-medium text-gray-900">{dateStr}</div>
-                          <div className="flex items-center gap-1 text-xs text-gray-500">
-                            <Clock className="w-3 h-3" />
-                            {timeStr}
+                      <td 
+                        className="px-6 py-3 cursor-pointer hover:bg-gray-100"
+                        onClick={() => handleViewAppointment(apt)}
+                      >
+                        <div className="flex items-center gap-2">
+                          <Calendar className="w-4 h-4 text-gray-400" />
+                          <div>
+                            <div className="text-sm font-medium text-gray-900">{dateStr}</div>
+                            <div className="flex items-center gap-1 text-xs text-gray-500">
+                              <Clock className="w-3 h-3" />
+                              {timeStr}
+                            </div>
                           </div>
                         </div>
-                      </div>
-                    </td>
-                    <td 
-                      className="px-6 py-3 cursor-pointer hover:bg-gray-100"
-                      onClick={() => handleViewAppointment(apt)}
-                    >
-                      <div className="flex items-center gap-2">
-                        <User className="w-4 h-4 text-gray-400" />
-                        <div>
-                          <div className="text-sm font-medium text-gray-900">{apt.clientName}</div>
-                          {apt.clientPhone && (
-                            <div className="text-xs text-gray-500">{apt.clientPhone}</div>
-                          )}
+                      </td>
+                      <td 
+                        className="px-6 py-3 cursor-pointer hover:bg-gray-100"
+                        onClick={() => handleViewAppointment(apt)}
+                      >
+                        <div className="flex items-center gap-2">
+                          <User className="w-4 h-4 text-gray-400" />
+                          <div>
+                            <div className="text-sm font-medium text-gray-900">{apt.clientName}</div>
+                            {apt.clientPhone && (
+                              <div className="text-xs text-gray-500">{apt.clientPhone}</div>
+                            )}
+                          </div>
                         </div>
-                      </div>
-                    </td>
-                    <td 
-                      className="px-6 py-3 cursor-pointer hover:bg-gray-100"
-                      onClick={() => handleViewAppointment(apt)}
-                    >
-                      <div className="flex items-start gap-2">
-                        <Scissors className="w-4 h-4 text-gray-400 mt-0.5" />
-                        <div>
-                          {apt.services && apt.services.length > 0 ? (
-                            <>
-                              <div className="text-xs font-medium text-gray-500 mb-1">
-                                {apt.services.length} Service(s)
-                              </div>
-                              {apt.services.map((svc, idx) => (
-                                <div key={idx} className="text-sm text-gray-900 mb-0.5">
-                                  {svc.serviceName}
-                                  <span className="text-gray-500 text-xs ml-2">{svc.stylistName}</span>
+                      </td>
+                      <td 
+                        className="px-6 py-3 cursor-pointer hover:bg-gray-100"
+                        onClick={() => handleViewAppointment(apt)}
+                      >
+                        <div className="flex items-start gap-2">
+                          <Scissors className="w-4 h-4 text-gray-400 mt-0.5" />
+                          <div>
+                            {apt.services && apt.services.length > 0 ? (
+                              <>
+                                <div className="text-xs font-medium text-gray-500 mb-1 flex items-center gap-1">
+                                  {apt.services.length} Service(s)
+                                  {apt.seriesId && (
+                                    <span
+                                      className="inline-flex items-center gap-0.5 ml-1 px-1.5 py-0.5 rounded bg-indigo-50 text-indigo-700"
+                                      title={apt.recurrence ? describeRecurrence(apt.recurrence, apt.appointmentDate) : undefined}
+                                    >
+                                      <Repeat className="w-3 h-3" />
+                                      Recurring
+                                    </span>
+                                  )}
                                 </div>
-                              ))}
-                            </>
-                          ) : (
-                            <>
-                              <div className="text-xs font-medium text-gray-500 mb-1">1 Service(s)</div>
-                              <div className="text-sm text-gray-900">
-                                {apt.serviceName}
-                                <span className="text-gray-500 text-xs ml-2">{apt.stylistName}</span>
-                              </div>
-                            </>
-                          )}
+                                {apt.services.map((svc, idx) => (
+                                  <div key={idx} className="text-sm text-gray-900 mb-0.5">
+                                    {svc.serviceName}
+                                    <span className="text-gray-500 text-xs ml-2">{svc.stylistName}</span>
+                                    {/* Back-to-back services show their own start time */}
+                                    {typeof svc.startOffset === 'number' && apt.services.length > 1 && (
+                                      <span className="text-gray-400 text-xs ml-2">
+                                        {formatTime(new Date(new Date(apt.appointmentDate).getTime() + svc.startOffset * 60000))}
+                                      </span>
+                                    )}
+                                    {svc.phases?.some(phase => phase.type === SERVICE_PHASE_TYPES.PROCESSING) && (
+                                      <span className="text-amber-700 text-xs ml-2" title="Stylist is free during processing">
+                                        incl. processing
+                                      </span>
+                                    )}
+                                  </div>
+                                ))}
+                              </>
+                            ) : (
+                              <>
+                                <div className="text-xs font-medium text-gray-500 mb-1">1 Service(s)</div>
+                                <div className="text-sm text-gray-900">
+                                  {apt.serviceName}
+                                  <span className="text-gray-500 text-xs ml-2">{apt.stylistName}</span>
+                                </div>
+                              </>
+                            )}
+                          </div>
                         </div>
-                      </div>
-                    </td>
-                    <td className="px-6 py-3">
-                      <div className="flex items-center justify-end gap-2">
-                        {apt.status === APPOINTMENT_STATUS.PENDING && (
-                          <button
-                            onClick={() => handleUpdateStatus(apt, APPOINTMENT_STATUS.CONFIRMED)}
-                            disabled={processingStatus === apt.id}
-                            className="px-4 py-2 bg-primary-600 text-white text-sm font-medium rounded-lg hover:bg-primary-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
-                          >
-                            {processingStatus === apt.id && <LoadingSpinner size="sm" />}
-                            {processingStatus === apt.id ? 'Confirming...' : 'Confirm'}
-                          </button>
-                        )}
-                        
-                        {apt.status === APPOINTMENT_STATUS.CONFIRMED && (
-                          apt.isCheckedIn ? (
-                            <span className="px-3 py-2 bg-green-100 text-green-700 text-sm font-medium rounded-lg flex items-center gap-2">
-                              <CheckCircle className="w-4 h-4" />
-                              Checked In
+                      </td>
+                      <td className="px-6 py-3">
+                        <div className="flex items-center justify-end gap-2">
+                          {apt.requiresApproval && apt.status === APPOINTMENT_STATUS.PENDING && (
+                            <span
+                              className="px-2 py-1 text-xs font-medium rounded-full bg-red-100 text-red-700"
+                              title={apt.approvalReason || 'Online booking from a low-reliability client'}
+                            >
+                              Needs approval
+                            </span>
+                          )}
+
+                          {apt.deposit ? (
+                            <span className={`px-2 py-1 text-xs font-medium rounded-full ${
+                              apt.deposit.status === DEPOSIT_STATUS.REFUND_DUE ? 'bg-orange-100 text-orange-700' :
+                              apt.deposit.status === DEPOSIT_STATUS.FORFEITED ? 'bg-gray-100 text-gray-600' :
+                              'bg-green-100 text-green-700'
+                            }`}>
+                              Deposit {DEPOSIT_STATUS_LABELS[apt.deposit.status] || apt.deposit.status}
                             </span>
-                          ) : (
-                            <span className="px-3 py-2 bg-blue-100 text-blue-700 text-sm font-medium rounded-lg">
-                              Ready for Check-in
+                          ) : apt.depositRequired > 0 && (
+                            <span className="px-2 py-1 text-xs font-medium rounded-full bg-yellow-100 text-yellow-700">
+                              Deposit due ₱{apt.depositRequired.toFixed(2)}
                             </span>
-                          )
-                        )}
-                        
-                        {apt.status !== APPOINTMENT_STATUS.COMPLETED && apt.status !== APPOINTMENT_STATUS.CANCELLED && apt.status !== APPOINTMENT_STATUS.IN_SERVICE && !(apt.paymentStatus === true || apt.paid === true || (typeof apt.paymentStatus === 'string' && apt.paymentStatus.toLowerCase() === 'paid')) && (
-                          <>
+                          )}
+
+                          {apt.depositRequired > 0 && !apt.deposit &&
+                            (apt.status === APPOINTMENT_STATUS.PENDING || apt.status === APPOINTMENT_STATUS.CONFIRMED) && (
                             <button
-                              onClick={() => handleRescheduleAppointment(apt)}
-                              disabled={processingStatus === apt.id || saving}
-                              className="px-4 py-2 border border-gray-300 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                              onClick={() => setAppointmentForDeposit(apt)}
+                              className="px-4 py-2 border border-gray-300 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-50 transition-colors flex items-center gap-2"
                             >
-                              Reschedule
+                              <Wallet className="w-4 h-4" />
+                              Record Deposit
                             </button>
+                          )}
+
+                          {apt.deposit?.status === DEPOSIT_STATUS.REFUND_DUE && (
                             <button
-                              onClick={() => handleCancelAppointment(apt)}
-                              disabled={processingStatus === apt.id || deleting}
-                              className="px-4 py-2 border border-gray-300 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                              onClick={() => setAppointmentToRefund(apt)}
+                              className="px-4 py-2 border border-orange-300 text-orange-700 text-sm font-medium rounded-lg hover:bg-orange-50 transition-colors"
                             >
-                              Cancel
+                              Refund Deposit
                             </button>
-                          </>
-                        )}
-                      </div>
-                    </td>
-                  </tr>
-                );
-              })}
-            </tbody>
-          </table>
-        )}
-      </div>
+                          )}
+
+                          {apt.status === APPOINTMENT_STATUS.PENDING && (
+                            <button
+                              onClick={() => handleUpdateStatus(apt, APPOINTMENT_STATUS.CONFIRMED)}
+                              disabled={processingStatus === apt.id}
+                              className="px-4 py-2 bg-primary-600 text-white text-sm font-medium rounded-lg hover:bg-primary-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
+                            >
+                              {processingStatus === apt.id && <LoadingSpinner size="sm" />}
+                              {processingStatus === apt.id ? 'Confirming...' : 'Confirm'}
+                            </button>
+                          )}
+                        
+                          {apt.status === APPOINTMENT_STATUS.CONFIRMED && (
+                            apt.isCheckedIn ? (
+                              <span className="px-3 py-2 bg-green-100 text-green-700 text-sm font-medium rounded-lg flex items-center gap-2">
+                                <CheckCircle className="w-4 h-4" />
+                                Checked In
+                              </span>
+                            ) : (
+                              <>
+                                <span className="px-3 py-2 bg-blue-100 text-blue-700 text-sm font-medium rounded-lg">
+                                  Ready for Check-in
+                                </span>
+                                <button
+                                  onClick={() => setAppointmentToMarkNoShow(apt)}
+                                  disabled={processingStatus === apt.id}
+                                  className="px-4 py-2 border border-gray-300 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
+                                >
+                                  <UserX className="w-4 h-4" />
+                                  No-Show
+                                </button>
+                              </>
+                            )
+                          )}
+                        
+                          {apt.status !== APPOINTMENT_STATUS.COMPLETED && apt.status !== APPOINTMENT_STATUS.CANCELLED && apt.status !== APPOINTMENT_STATUS.IN_SERVICE && !(apt.paymentStatus === true || apt.paid === true || (typeof apt.paymentStatus === 'string' && apt.paymentStatus.toLowerCase() === 'paid')) && (
+                            <>
+                              <button
+                                onClick={() => handleRescheduleAppointment(apt)}
+                                disabled={processingStatus === apt.id || saving}
+                                className="px-4 py-2 border border-gray-300 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                              >
+                                Reschedule
+                              </button>
+                              <button
+                                onClick={() => handleCancelAppointment(apt)}
+                                disabled={processingStatus === apt.id || deleting}
+                                className="px-4 py-2 border border-gray-300 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                              >
+                                Cancel
+                              </button>
+                            </>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+        </div>
+        </>
+      )}
 
       {/* Appointment Form Modal */}
       <AppointmentFormModal
@@ -1300,8 +1529,102 @@ const ReceptionistAppointments = () => {
             placeholder="Enter reason for cancellation..."
           />
         </div>
+        {appointmentToCancel?.seriesId && (
+          <div className="mt-3 space-y-2">
+            <p className="text-sm font-medium text-gray-700">This is a recurring appointment</p>
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="radio"
+                checked={cancelScope === SERIES_EDIT_SCOPES.THIS}
+                onChange={() => setCancelScope(SERIES_EDIT_SCOPES.THIS)}
+              />
+              Cancel this appointment only
+            </label>
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="radio"
+                checked={cancelScope === SERIES_EDIT_SCOPES.FOLLOWING}
+                onChange={() => setCancelScope(SERIES_EDIT_SCOPES.FOLLOWING)}
+              />
+              Cancel this and all following appointments
+            </label>
+          </div>
+        )}
+        {getPolicyPreview(appointmentToCancel, 'cancelled') && (
+          <p className="mt-3 text-sm text-orange-700 bg-orange-50 border border-orange-200 rounded-lg p-3">
+            Deposit policy: {getPolicyPreview(appointmentToCancel, 'cancelled')}
+          </p>
+        )}
       </ConfirmModal>
 
+      {/* No-Show Confirmation Modal */}
+      <ConfirmModal
+        isOpen={!!appointmentToMarkNoShow}
+        onClose={() => {
+          if (processingStatus !== appointmentToMarkNoShow?.id) {
+            setAppointmentToMarkNoShow(null);
+          }
+        }}
+        onConfirm={confirmNoShow}
+        title="Mark as No-Show"
+        message={`Mark ${appointmentToMarkNoShow?.clientName}'s appointment as a no-show?`}
+        confirmText="Mark No-Show"
+        cancelText="Cancel"
+        type="danger"
+        loading={processingStatus === appointmentToMarkNoShow?.id}
+      >
+        {getPolicyPreview(appointmentToMarkNoShow, 'no_show') && (
+          <p className="mt-3 text-sm text-orange-700 bg-orange-50 border border-orange-200 rounded-lg p-3">
+            Deposit policy: {getPolicyPreview(appointmentToMarkNoShow, 'no_show')}
+          </p>
+        )}
+      </ConfirmModal>
+
+      {/* Refund Deposit Modal */}
+      <ConfirmModal
+        isOpen={!!appointmentToRefund}
+        onClose={() => {
+          if (!refundingDeposit) {
+            setAppointmentToRefund(null);
+          }
+        }}
+        onConfirm={confirmRefundDeposit}
+        title="Refund Deposit"
+        message={`Refund ₱${(appointmentToRefund?.deposit?.refundDueAmount ?? appointmentToRefund?.deposit?.amount ?? 0).toFixed(2)} to ${appointmentToRefund?.clientName}? Cash refunds are taken from your open cash drawer.`}
+        confirmText="Refund Deposit"
+        cancelText="Cancel"
+        type="default"
+        loading={refundingDeposit}
+      />
+
+      {/* Waitlist Modal */}
+      <WaitlistModal
+        isOpen={showWaitlistModal}
+        onClose={() => setShowWaitlistModal(false)}
+        branchId={userBranch}
+        branchName={userBranchData?.name || userBranchData?.branchName || ''}
+        services={services}
+        stylists={stylists}
+        clients={clients}
+        onBooked={async () => {
+          await fetchAppointments();
+          await fetchStats();
+        }}
+      />
+
+      {/* Record Deposit Modal */}
+      <RecordDepositModal
+        isOpen={!!appointmentForDeposit}
+        appointment={appointmentForDeposit}
+        onClose={() => {
+          if (!recordingDeposit) {
+            setAppointmentForDeposit(null);
+          }
+        }}
+        onSubmit={handleRecordDeposit}
+        loading={recordingDeposit}
+      />
+
       {/* Confirm Appointment Modal */}
       <ConfirmModal
         isOpen={showConfirmModal}
@@ -1351,7 +1674,9 @@ const ReceptionistAppointments = () => {
         title="Book Appointment"
         message={
           pendingAppointmentData
-            ? `Are you sure you want to book an appointment for ${pendingAppointmentData.clientName || 'this client'}?`
+            ? pendingAppointmentData.recurrence
+              ? `Are you sure you want to book recurring appointments for ${pendingAppointmentData.clientName || 'this client'} (${describeRecurrence(pendingAppointmentData.recurrence, pendingAppointmentData.appointmentDate)})?`
+              : `Are you sure you want to book an appointment for ${pendingAppointmentData.clientName || 'this client'}?`
             : 'Are you sure you want to book this appointment?'
         }
         confirmText="Book Appointment"
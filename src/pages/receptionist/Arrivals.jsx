@@ -20,7 +20,9 @@ import {
   Check,
   X,
   Receipt,
-  Eye
+  Eye,
+  ListOrdered,
+  QrCode
 } from 'lucide-react';
 import { useAuth } from '../../context/AuthContext';
 import { useNavigate } from 'react-router-dom';
@@ -46,6 +48,7 @@ import { createBill } from '../../services/billingService';
 import BillingModalPOS from '../../components/billing/BillingModalPOS';
 import AppointmentDetails from '../../components/appointment/AppointmentDetails';
 import ConfirmModal from '../../components/ui/ConfirmModal';
+import QueueBoard from '../../components/checkin/QueueBoard';
 import LoadingSpinner from '../../components/ui/LoadingSpinner';
 import { Card } from '../../components/ui/Card';
 import Button from '../../components/ui/Button';
@@ -62,7 +65,7 @@ const ReceptionistArrivals = () => {
   const [loading, setLoading] = useState(true);
   const [processing, setProcessing] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
-  const [activeTab, setActiveTab] = useState('upcoming'); // upcoming, arrived, in-service
+  const [activeTab, setActiveTab] = useState('upcoming'); // upcoming, arrived, in-service, queue
   const [services, setServices] = useState([]);
   const [stylists, setStylists] = useState([]);
   const [clients, setClients] = useState([]);
@@ -804,6 +807,15 @@ const ReceptionistArrivals = () => {
             <p className="text-sm md:text-base text-gray-600">Manage client arrivals and check-ins for today</p>
           </div>
           <div className="flex items-center gap-2">
+            <a
+              href="/kiosk"
+              target="_blank"
+              rel="noopener noreferrer"
+              className="flex items-center gap-2 px-4 py-2 border border-primary-600 text-primary-700 rounded-lg hover:bg-primary-50 transition-colors text-sm font-medium"
+            >
+              <QrCode className="h-4 w-4" />
+              Open Kiosk
+            </a>
             <Button
               onClick={handleCreateWalkInClick}
               className="flex items-center gap-2 bg-primary-600 hover:bg-primary-700"
@@ -889,161 +901,178 @@ const ReceptionistArrivals = () => {
           >
             In Service ({stats.inService})
           </button>
+          <button
+            onClick={() => setActiveTab('queue')}
+            className={`flex-1 flex items-center justify-center gap-1 px-4 py-2 rounded-md text-sm font-medium transition-colors ${
+              activeTab === 'queue'
+                ? 'bg-white text-orange-600 shadow-sm'
+                : 'text-gray-600 hover:text-gray-900'
+            }`}
+          >
+            <ListOrdered className="h-4 w-4" />
+            Queue
+          </button>
         </div>
 
-        {/* Search */}
-        <div className="bg-white p-4 rounded-lg shadow">
-          <SearchInput
-            placeholder="Search by client name, phone, service, or stylist..."
-            value={searchTerm}
-            onChange={(e) => setSearchTerm(e.target.value)}
-            className="w-full"
-          />
-        </div>
+        {activeTab === 'queue' ? (
+          <QueueBoard branchId={userBranch} />
+        ) : (
+          <>
+          {/* Search */}
+          <div className="bg-white p-4 rounded-lg shadow">
+            <SearchInput
+              placeholder="Search by client name, phone, service, or stylist..."
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+              className="w-full"
+            />
+          </div>
 
-        {/* Arrivals List */}
-        <div className="space-y-3">
-          {filteredArrivals.length === 0 ? (
-            <Card className="p-8 text-center">
-              <AlertCircle className="h-12 w-12 text-gray-400 mx-auto mb-4" />
-              <p className="text-gray-600">
-                {activeTab === 'upcoming' && 'No upcoming appointments'}
-                {activeTab === 'arrived' && 'No clients have arrived yet'}
-                {activeTab === 'in-service' && 'No appointments in service'}
-              </p>
-            </Card>
-          ) : (
-            filteredArrivals.map((arrival) => {
-              const isProcessing = processing === arrival.id;
-              const waitTime = arrival.isUpcoming === false ? getWaitTime(arrival.arrivedAt) : null;
-              const timeUntil = activeTab === 'upcoming' && arrival.isUpcoming === true && arrival.appointmentDate ? getTimeUntilAppointment(arrival.appointmentDate) : null;
-              const isWalkIn = arrival.isWalkIn === true;
+          {/* Arrivals List */}
+          <div className="space-y-3">
+            {filteredArrivals.length === 0 ? (
+              <Card className="p-8 text-center">
+                <AlertCircle className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+                <p className="text-gray-600">
+                  {activeTab === 'upcoming' && 'No upcoming appointments'}
+                  {activeTab === 'arrived' && 'No clients have arrived yet'}
+                  {activeTab === 'in-service' && 'No appointments in service'}
+                </p>
+              </Card>
+            ) : (
+              filteredArrivals.map((arrival) => {
+                const isProcessing = processing === arrival.id;
+                const waitTime = arrival.isUpcoming === false ? getWaitTime(arrival.arrivedAt) : null;
+                const timeUntil = activeTab === 'upcoming' && arrival.isUpcoming === true && arrival.appointmentDate ? getTimeUntilAppointment(arrival.appointmentDate) : null;
+                const isWalkIn = arrival.isWalkIn === true;
 
-              return (
-                <Card key={arrival.id} className="p-4 hover:shadow-md transition-shadow">
-                  <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
-                    {/* Left: Client Info */}
-                    <div className="flex-1 flex items-start gap-4">
-                      <div className={`w-12 h-12 rounded-lg flex items-center justify-center flex-shrink-0 ${isWalkIn ? 'bg-green-100' : 'bg-blue-100'}`}>
-                        <User className={`h-6 w-6 ${isWalkIn ? 'text-green-600' : 'text-blue-600'}`} />
-                      </div>
-                      
-                      <div className="flex-1 min-w-0">
-                        <div className="flex items-center gap-2 mb-1">
-                          <h3 className="font-semibold text-gray-900 truncate">
-                            {arrival.clientName || 'Unknown Client'}
-                          </h3>
-                          {isWalkIn && (
-                            <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
-                              Walk-in
-                            </span>
-                          )}
-                          {waitTime !== null && waitTime > 0 && (
-                            <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
-                              <Timer className="h-3 w-3" />
-                              {waitTime} min
-                            </span>
-                          )}
+                return (
+                  <Card key={arrival.id} className="p-4 hover:shadow-md transition-shadow">
+                    <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+                      {/* Left: Client Info */}
+                      <div className="flex-1 flex items-start gap-4">
+                        <div className={`w-12 h-12 rounded-lg flex items-center justify-center flex-shrink-0 ${isWalkIn ? 'bg-green-100' : 'bg-blue-100'}`}>
+                          <User className={`h-6 w-6 ${isWalkIn ? 'text-green-600' : 'text-blue-600'}`} />
                         </div>
-                        
-                        <div className="flex flex-wrap items-center gap-4 text-sm text-gray-600">
-                          <div className="flex items-center gap-1">
-                            <Phone className="h-4 w-4" />
-                            <span>{arrival.clientPhone || 'N/A'}</span>
+                      
+                        <div className="flex-1 min-w-0">
+                          <div className="flex items-center gap-2 mb-1">
+                            <h3 className="font-semibold text-gray-900 truncate">
+                              {arrival.clientName || 'Unknown Client'}
+                            </h3>
+                            {isWalkIn && (
+                              <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                                Walk-in
+                              </span>
+                            )}
+                            {waitTime !== null && waitTime > 0 && (
+                              <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                                <Timer className="h-3 w-3" />
+                                {waitTime} min
+                              </span>
+                            )}
                           </div>
-                          
-                          {arrival.serviceName && (
+                        
+                          <div className="flex flex-wrap items-center gap-4 text-sm text-gray-600">
                             <div className="flex items-center gap-1">
-                              <Scissors className="h-4 w-4" />
-                              <span className="truncate">{arrival.serviceName || 'Multiple Services'}</span>
+                              <Phone className="h-4 w-4" />
+                              <span>{arrival.clientPhone || 'N/A'}</span>
                             </div>
-                          )}
                           
-                          {arrival.stylistName && (
-                            <div className="flex items-center gap-1">
-                              <User className="h-4 w-4" />
-                              <span>{arrival.stylistName}</span>
-                            </div>
-                          )}
-                        </div>
+                            {arrival.serviceName && (
+                              <div className="flex items-center gap-1">
+                                <Scissors className="h-4 w-4" />
+                                <span className="truncate">{arrival.serviceName || 'Multiple Services'}</span>
+                              </div>
+                            )}
+                          
+                            {arrival.stylistName && (
+                              <div className="flex items-center gap-1">
+                                <User className="h-4 w-4" />
+                                <span>{arrival.stylistName}</span>
+                              </div>
+                            )}
+                          </div>
                         
-                        <div className="mt-2 flex flex-wrap items-center gap-3 text-xs text-gray-500">
-                          {arrival.isUpcoming && arrival.appointmentDate && (
-                            <div className="flex items-center gap-1">
-                              <Clock className="h-3 w-3" />
-                              <span>Appointment: {formatTime(arrival.appointmentDate)}</span>
-                              {timeUntil && (
-                                <span className={`px-2 py-0.5 rounded ${
-                                  timeUntil.includes('late') ? 'bg-red-100 text-red-700' : 
-                                  timeUntil.includes('in') && parseInt(timeUntil) < 30 ? 'bg-green-100 text-green-700' : 
-                                  'bg-gray-100 text-gray-700'
-                                }`}>
-                                  {timeUntil}
-                                </span>
-                              )}
-                            </div>
-                          )}
+                          <div className="mt-2 flex flex-wrap items-center gap-3 text-xs text-gray-500">
+                            {arrival.isUpcoming && arrival.appointmentDate && (
+                              <div className="flex items-center gap-1">
+                                <Clock className="h-3 w-3" />
+                                <span>Appointment: {formatTime(arrival.appointmentDate)}</span>
+                                {timeUntil && (
+                                  <span className={`px-2 py-0.5 rounded ${
+                                    timeUntil.includes('late') ? 'bg-red-100 text-red-700' : 
+                                    timeUntil.includes('in') && parseInt(timeUntil) < 30 ? 'bg-green-100 text-green-700' : 
+                                    'bg-gray-100 text-gray-700'
+                                  }`}>
+                                    {timeUntil}
+                                  </span>
+                                )}
+                              </div>
+                            )}
                           
-                          {!arrival.isUpcoming && arrival.arrivedAt && (
-                            <div className="flex items-center gap-1">
-                              <CheckCircle className="h-3 w-3 text-green-600" />
-                              <span>Arrived: {formatTime(arrival.arrivedAt)}</span>
-                            </div>
-                          )}
+                            {!arrival.isUpcoming && arrival.arrivedAt && (
+                              <div className="flex items-center gap-1">
+                                <CheckCircle className="h-3 w-3 text-green-600" />
+                                <span>Arrived: {formatTime(arrival.arrivedAt)}</span>
+                              </div>
+                            )}
+                          </div>
                         </div>
                       </div>
-                    </div>
 
-                    {/* Right: Actions */}
-                    <div className="flex items-center gap-2 flex-shrink-0">
-                      <Button
-                        onClick={() => handleViewDetails(arrival)}
-                        disabled={loadingDetails}
-                        className="flex items-center gap-2 bg-gray-600 hover:bg-gray-700"
-                      >
-                        <Eye className="h-4 w-4" />
-                        View Details
-                      </Button>
-                      
-                      {activeTab === 'upcoming' && arrival.isUpcoming === true && arrival.status === APPOINTMENT_STATUS.CONFIRMED && (
+                      {/* Right: Actions */}
+                      <div className="flex items-center gap-2 flex-shrink-0">
                         <Button
-                          onClick={() => handleCheckIn(arrival)}
-                          disabled={isProcessing}
-                          className="flex items-center gap-2 bg-green-600 hover:bg-green-700"
+                          onClick={() => handleViewDetails(arrival)}
+                          disabled={loadingDetails}
+                          className="flex items-center gap-2 bg-gray-600 hover:bg-gray-700"
                         >
-                          <Check className="h-4 w-4" />
-                          Check In
+                          <Eye className="h-4 w-4" />
+                          View Details
                         </Button>
-                      )}
                       
-                      {activeTab === 'arrived' && (
-                        <Button
-                          onClick={() => handleStartService(arrival)}
-                          disabled={isProcessing}
-                          className="flex items-center gap-2 bg-purple-600 hover:bg-purple-700"
-                        >
-                          <Play className="h-4 w-4" />
-                          Start Service
-                        </Button>
-                      )}
+                        {activeTab === 'upcoming' && arrival.isUpcoming === true && arrival.status === APPOINTMENT_STATUS.CONFIRMED && (
+                          <Button
+                            onClick={() => handleCheckIn(arrival)}
+                            disabled={isProcessing}
+                            className="flex items-center gap-2 bg-green-600 hover:bg-green-700"
+                          >
+                            <Check className="h-4 w-4" />
+                            Check In
+                          </Button>
+                        )}
                       
-                      {activeTab === 'in-service' && (
-                        <Button
-                          onClick={() => handleCompleteService(arrival)}
-                          disabled={isProcessing}
-                          className="flex items-center gap-2 bg-green-600 hover:bg-green-700"
-                        >
-                          <Receipt className="h-4 w-4" />
-                          Check-out
-                        </Button>
-                      )}
+                        {activeTab === 'arrived' && (
+                          <Button
+                            onClick={() => handleStartService(arrival)}
+                            disabled={isProcessing}
+                            className="flex items-center gap-2 bg-purple-600 hover:bg-purple-700"
+                          >
+                            <Play className="h-4 w-4" />
+                            Start Service
+                          </Button>
+                        )}
+                      
+                        {activeTab === 'in-service' && (
+                          <Button
+                            onClick={() => handleCompleteService(arrival)}
+                            disabled={isProcessing}
+                            className="flex items-center gap-2 bg-green-600 hover:bg-green-700"
+                          >
+                            <Receipt className="h-4 w-4" />
+                            Check-out
+                          </Button>
+                        )}
+                      </div>
                     </div>
-                  </div>
-                </Card>
-              );
-            })
-          )}
-        </div>
+                  </Card>
+                );
+              })
+            )}
+          </div>
+          </>
+        )}
       </div>
 
       {/* Check-in / Walk-in Modal - Using BillingModalPOS in checkin mode */}
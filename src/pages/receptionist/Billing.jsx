@@ -12,6 +12,8 @@ import {
   getDailySalesSummary,
   BILL_STATUS,
   PAYMENT_METHODS,
+  SPLIT_PAYMENT_METHOD,
+  getBillTenders,
   createBill
 } from '../../services/billingService';
 import { 
@@ -264,7 +266,7 @@ const ReceptionistBilling = () => {
 
     // Payment method filter
     if (paymentMethodFilter !== 'all') {
-      filtered = filtered.filter(bill => bill.paymentMethod === paymentMethodFilter);
+      filtered = filtered.filter(bill => getBillTenders(bill).some(tender => tender.method === paymentMethodFilter));
     }
 
     // Date range filter
@@ -353,6 +355,7 @@ const ReceptionistBilling = () => {
   const getStatusBadge = (status) => {
     const badges = {
       [BILL_STATUS.PAID]: 'bg-green-100 text-green-700',
+      [BILL_STATUS.PARTIALLY_REFUNDED]: 'bg-orange-100 text-orange-700',
       [BILL_STATUS.REFUNDED]: 'bg-red-100 text-red-700',
       [BILL_STATUS.VOIDED]: 'bg-gray-100 text-gray-700'
     };
@@ -364,7 +367,9 @@ const ReceptionistBilling = () => {
       [PAYMENT_METHODS.CASH]: 'Cash',
       [PAYMENT_METHODS.CARD]: 'Card',
       [PAYMENT_METHODS.VOUCHER]: 'E-Wallet',
-      [PAYMENT_METHODS.GIFT_CARD]: 'Gift Card'
+      [PAYMENT_METHODS.GIFT_CARD]: 'Gift Card',
+      [PAYMENT_METHODS.DEPOSIT]: 'Deposit',
+      [SPLIT_PAYMENT_METHOD]: 'Split Payment'
     };
     return labels[method] || method;
   };
@@ -415,6 +420,9 @@ const ReceptionistBilling = () => {
               <div>
                 <p className="text-sm text-gray-600">Today's Revenue</p>
                 <p className="text-2xl font-bold text-green-600 mt-1">₱{dailySummary.netRevenue?.toFixed(2) || '0.00'}</p>
+                {dailySummary.retainedDeposits > 0 && (
+                  <p className="text-xs text-gray-500 mt-1">Incl. ₱{dailySummary.retainedDeposits.toFixed(2)} kept deposits</p>
+                )}
               </div>
               <div className="p-3 bg-green-100 rounded-lg">
                 <Banknote className="w-6 h-6 text-green-600" />
@@ -519,6 +527,7 @@ const ReceptionistBilling = () => {
                 >
                   <option value="all">All Status</option>
                   <option value={BILL_STATUS.PAID}>Paid</option>
+                  <option value={BILL_STATUS.PARTIALLY_REFUNDED}>Partially Refunded</option>
                   <option value={BILL_STATUS.REFUNDED}>Refunded</option>
                   <option value={BILL_STATUS.VOIDED}>Voided</option>
                 </select>
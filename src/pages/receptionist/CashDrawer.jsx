@@ -0,0 +1,441 @@
+/**
+ * Cash Drawer Page - Receptionist
+ * Open and close the cash drawer, record paid-in/paid-out, and print X/Z reports
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  Wallet,
+  ArrowDownCircle,
+  ArrowUpCircle,
+  Printer,
+  RefreshCw,
+  Lock,
+  Unlock,
+  AlertTriangle
+} from 'lucide-react';
+import { useAuth } from '../../context/AuthContext';
+import {
+  getOpenDrawerSession,
+  openDrawerSession,
+  addDrawerEntry,
+  getDrawerSessionSummary,
+  closeDrawerSession,
+  DRAWER_ENTRY_TYPES
+} from '../../services/drawerSessionService';
+import { getBranchById } from '../../services/branchService';
+import { Card } from '../../components/ui/Card';
+import Button from '../../components/ui/Button';
+import { Input } from '../../components/ui/Input';
+import ConfirmModal from '../../components/ui/ConfirmModal';
+import LoadingSpinner from '../../components/ui/LoadingSpinner';
+import DrawerReport from '../../components/billing/DrawerReport';
+import { format } from 'date-fns';
+import { useReactToPrint } from 'react-to-print';
+
+const ReceptionistCashDrawer = () => {
+  const { currentUser, userBranch, userData } = useAuth();
+  const [branchData, setBranchData] = useState(null);
+  const [session, setSession] = useState(null);
+  const [summary, setSummary] = useState(null);
+  const [closedSession, setClosedSession] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [openingFloat, setOpeningFloat] = useState('');
+  const [entryForm, setEntryForm] = useState({ type: DRAWER_ENTRY_TYPES.PAID_IN, amount: '', reason: '' });
+  const [showCloseModal, setShowCloseModal] = useState(false);
+  const [countedCash, setCountedCash] = useState('');
+  const [varianceNote, setVarianceNote] = useState('');
+  const reportRef = useRef();
+
+  const cashierId = currentUser?.uid || currentUser?.id;
+
+  const handlePrint = useReactToPrint({
+    contentRef: reportRef,
+    documentTitle: `${closedSession ? 'Z' : 'X'}_Report_${format(new Date(), 'yyyy-MM-dd_HHmm')}`,
+  });
+
+  const fetchData = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [branch, openSession] = await Promise.all([
+        getBranchById(userBranch),
+        getOpenDrawerSession(userBranch, cashierId)
+      ]);
+      setBranchData(branch);
+      setSession(openSession);
+      setSummary(openSession ? await getDrawerSessionSummary(openSession) : null);
+    } catch (error) {
+      console.error('Error loading cash drawer:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [userBranch, cashierId]);
+
+  useEffect(() => {
+    if (userBranch && cashierId) {
+      fetchData();
+    }
+  }, [userBranch, cashierId, fetchData]);
+
+  const refreshSummary = async () => {
+    if (!session) return;
+    try {
+      setRefreshing(true);
+      setSummary(await getDrawerSessionSummary(session));
+    } catch (error) {
+      console.error('Error refreshing drawer summary:', error);
+    } finally {
+      setRefreshing(false);
+    }
+  };
+
+  const handleOpenDrawer = async () => {
+    try {
+      setSubmitting(true);
+      await openDrawerSession({
+        branchId: userBranch,
+        branchName: branchData?.branchName || branchData?.name || userData?.branchName || '',
+        openingFloat
+      }, currentUser);
+      setOpeningFloat('');
+      setClosedSession(null);
+      await fetchData();
+    } catch {
+      // Error toast shown by the service
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleAddEntry = async (e) => {
+    e.preventDefault();
+    try {
+      setSubmitting(true);
+      await addDrawerEntry(session.id, entryForm, currentUser);
+      setEntryForm({ type: entryForm.type, amount: '', reason: '' });
+      await fetchData();
+    } catch {
+      // Error toast shown by the service
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleCloseClick = async () => {
+    await refreshSummary();
+    setCountedCash('');
+    setVarianceNote('');
+    setShowCloseModal(true);
+  };
+
+  const confirmCloseDrawer = async () => {
+    try {
+      setSubmitting(true);
+      const closed = await closeDrawerSession(session.id, { countedCash, varianceNote }, currentUser);
+      setClosedSession(closed);
+      setSession(null);
+      setSummary(null);
+      setShowCloseModal(false);
+    } catch {
+      // Error toast shown by the service
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const previewVariance = countedCash !== '' && summary
+    ? parseFloat(((parseFloat(countedCash) || 0) - summary.expectedCash).toFixed(2))
+    : null;
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-[400px]">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Cash Drawer</h1>
+          <p className="text-gray-600 mt-1">Open and close your drawer, record cash movements and print X/Z reports</p>
+        </div>
+        {session && (
+          <div className="flex gap-2">
+            <Button
+              variant="outline"
+              onClick={refreshSummary}
+              disabled={refreshing}
+              className="flex items-center gap-2"
+            >
+              <RefreshCw className={`w-4 h-4 ${refreshing ? 'animate-spin' : ''}`} />
+              Refresh
+            </Button>
+            <Button
+              variant="outline"
+              onClick={handlePrint}
+              className="flex items-center gap-2"
+            >
+              <Printer className="w-4 h-4" />
+              Print X-Report
+            </Button>
+            <Button
+              variant="danger"
+              onClick={handleCloseClick}
+              className="flex items-center gap-2"
+            >
+              <Lock className="w-4 h-4" />
+              Close Drawer
+            </Button>
+          </div>
+        )}
+      </div>
+
+      {/* Z-Report of the drawer just closed */}
+      {closedSession && (
+        <Card className="p-6">
+          <div className="flex items-center justify-between mb-4">
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900">Drawer Closed</h2>
+              <p className="text-sm text-gray-600">
+                Counted ₱{closedSession.countedCash.toFixed(2)} against expected ₱{closedSession.expectedCash.toFixed(2)}
+              </p>
+            </div>
+            <Button onClick={handlePrint} className="flex items-center gap-2">
+              <Printer className="w-4 h-4" />
+              Print Z-Report
+            </Button>
+          </div>
+          <div className="border border-gray-200 rounded-lg">
+            <DrawerReport session={closedSession} summary={closedSession.summary} type="Z" branch={branchData} />
+          </div>
+        </Card>
+      )}
+
+      {/* Open Drawer */}
+      {!session && (
+        <Card className="p-6 max-w-md">
+          <div className="flex items-center gap-3 mb-4">
+            <div className="p-3 bg-primary-50 rounded-lg">
+              <Unlock className="w-6 h-6 text-primary-600" />
+            </div>
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900">Open Drawer</h2>
+              <p className="text-sm text-gray-600">Count the cash in the drawer before your first sale</p>
+            </div>
+          </div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Opening Float (₱)</label>
+          <Input
+            type="number"
+            min="0"
+            step="0.01"
+            value={openingFloat}
+            onChange={(e) => setOpeningFloat(e.target.value)}
+            placeholder="0.00"
+          />
+          <Button
+            onClick={handleOpenDrawer}
+            disabled={submitting || openingFloat === ''}
+            loading={submitting}
+            className="w-full mt-4"
+          >
+            Open Drawer
+          </Button>
+        </Card>
+      )}
+
+      {session && summary && (
+        <>
+          {/* Summary Cards */}
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            <Card className="p-4">
+              <p className="text-sm text-gray-600">Opening Float</p>
+              <p className="text-2xl font-bold text-gray-900">₱{summary.openingFloat.toFixed(2)}</p>
+              <p className="text-xs text-gray-500 mt-1">Opened {format(session.openedAt, 'MMM dd, HH:mm')}</p>
+            </Card>
+            <Card className="p-4">
+              <p className="text-sm text-gray-600">Cash Sales</p>
+              <p className="text-2xl font-bold text-green-600">₱{summary.cashSales.toFixed(2)}</p>
+              <p className="text-xs text-gray-500 mt-1">{summary.transactionCount} transactions</p>
+            </Card>
+            <Card className="p-4">
+              <p className="text-sm text-gray-600">Paid In / Paid Out</p>
+              <p className="text-2xl font-bold text-gray-900">
+                ₱{summary.paidIn.toFixed(2)} / ₱{summary.paidOut.toFixed(2)}
+              </p>
+              {summary.cashRefunds > 0 && (
+                <p className="text-xs text-red-600 mt-1">Cash refunds ₱{summary.cashRefunds.toFixed(2)}</p>
+              )}
+            </Card>
+            <Card className="p-4">
+              <p className="text-sm text-gray-600">Expected Cash</p>
+              <p className="text-2xl font-bold text-primary-600">₱{summary.expectedCash.toFixed(2)}</p>
+              <p className="text-xs text-gray-500 mt-1">As of {format(summary.generatedAt, 'HH:mm')}</p>
+            </Card>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {/* Paid In / Paid Out */}
+            <Card className="p-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center gap-2">
+                <Wallet className="w-5 h-5" />
+                Record Cash Movement
+              </h2>
+              <form onSubmit={handleAddEntry} className="space-y-4">
+                <div className="grid grid-cols-2 gap-2">
+                  <button
+                    type="button"
+                    onClick={() => setEntryForm({ ...entryForm, type: DRAWER_ENTRY_TYPES.PAID_IN })}
+                    className={`flex items-center justify-center gap-2 px-4 py-2 rounded-lg border text-sm font-medium ${
+                      entryForm.type === DRAWER_ENTRY_TYPES.PAID_IN
+                        ? 'border-green-600 bg-green-50 text-green-700'
+                        : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+                    }`}
+                  >
+                    <ArrowDownCircle className="w-4 h-4" />
+                    Paid In
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setEntryForm({ ...entryForm, type: DRAWER_ENTRY_TYPES.PAID_OUT })}
+                    className={`flex items-center justify-center gap-2 px-4 py-2 rounded-lg border text-sm font-medium ${
+                      entryForm.type === DRAWER_ENTRY_TYPES.PAID_OUT
+                        ? 'border-red-600 bg-red-50 text-red-700'
+                        : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+                    }`}
+                  >
+                    <ArrowUpCircle className="w-4 h-4" />
+                    Paid Out
+                  </button>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Amount (₱)</label>
+                  <Input
+                    type="number"
+                    min="0.01"
+                    step="0.01"
+                    value={entryForm.amount}
+                    onChange={(e) => setEntryForm({ ...entryForm, amount: e.target.value })}
+                    placeholder="0.00"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Reason</label>
+                  <Input
+                    type="text"
+                    value={entryForm.reason}
+                    onChange={(e) => setEntryForm({ ...entryForm, reason: e.target.value })}
+                    placeholder={entryForm.type === DRAWER_ENTRY_TYPES.PAID_IN ? 'e.g. Change fund top-up' : 'e.g. Supplies, delivery fee'}
+                  />
+                </div>
+                <Button
+                  type="submit"
+                  disabled={submitting || !entryForm.amount || !entryForm.reason.trim()}
+                  className="w-full"
+                >
+                  Record {entryForm.type === DRAWER_ENTRY_TYPES.PAID_IN ? 'Paid In' : 'Paid Out'}
+                </Button>
+              </form>
+
+              {session.entries.length > 0 && (
+                <div className="mt-6 divide-y divide-gray-100">
+                  {session.entries.map(entry => (
+                    <div key={entry.id} className="flex items-center justify-between py-2 text-sm">
+                      <div>
+                        <p className="font-medium text-gray-900">{entry.reason}</p>
+                        <p className="text-xs text-gray-500">
+                          {entry.createdAt ? format(entry.createdAt, 'HH:mm') : ''} · {entry.performedByName}
+                        </p>
+                      </div>
+                      <span className={entry.type === DRAWER_ENTRY_TYPES.PAID_IN ? 'text-green-600 font-semibold' : 'text-red-600 font-semibold'}>
+                        {entry.type === DRAWER_ENTRY_TYPES.PAID_IN ? '+' : '-'}₱{entry.amount.toFixed(2)}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </Card>
+
+            {/* X-Report Preview */}
+            <Card className="p-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">X-Report Preview</h2>
+              <div className="border border-gray-200 rounded-lg">
+                <DrawerReport session={session} summary={summary} type="X" branch={branchData} />
+              </div>
+            </Card>
+          </div>
+        </>
+      )}
+
+      {/* Close Drawer Modal */}
+      <ConfirmModal
+        isOpen={showCloseModal}
+        onClose={() => !submitting && setShowCloseModal(false)}
+        onConfirm={confirmCloseDrawer}
+        title="Close Drawer"
+        message="Count all the cash in the drawer, including the opening float."
+        confirmText="Close Drawer"
+        type="warning"
+        loading={submitting}
+        disabled={countedCash === '' || (previewVariance !== null && previewVariance !== 0 && !varianceNote.trim())}
+      >
+        <div className="space-y-4 text-left">
+          <div className="flex justify-between text-sm">
+            <span className="text-gray-600">Expected Cash</span>
+            <span className="font-semibold">₱{summary?.expectedCash.toFixed(2) || '0.00'}</span>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Counted Cash (₱)</label>
+            <Input
+              type="number"
+              min="0"
+              step="0.01"
+              value={countedCash}
+              onChange={(e) => setCountedCash(e.target.value)}
+              placeholder="0.00"
+            />
+          </div>
+          {previewVariance !== null && (
+            <div className={`flex justify-between text-sm font-semibold ${
+              previewVariance < 0 ? 'text-red-600' : previewVariance > 0 ? 'text-yellow-700' : 'text-green-600'
+            }`}>
+              <span>Variance</span>
+              <span>{previewVariance > 0 ? '+' : ''}₱{previewVariance.toFixed(2)}</span>
+            </div>
+          )}
+          {previewVariance !== null && previewVariance !== 0 && (
+            <div>
+              <label className="flex items-center gap-1 text-sm font-medium text-gray-700 mb-2">
+                <AlertTriangle className="w-4 h-4 text-yellow-600" />
+                Variance Note
+              </label>
+              <textarea
+                value={varianceNote}
+                onChange={(e) => setVarianceNote(e.target.value)}
+                rows={2}
+                placeholder="Explain the shortage or overage"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              />
+            </div>
+          )}
+        </div>
+      </ConfirmModal>
+
+      {/* Hidden report for printing */}
+      <div className="hidden">
+        {closedSession ? (
+          <DrawerReport ref={reportRef} session={closedSession} summary={closedSession.summary} type="Z" branch={branchData} />
+        ) : (
+          <DrawerReport ref={reportRef} session={session} summary={summary} type="X" branch={branchData} />
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReceptionistCashDrawer;
@@ -0,0 +1,284 @@
+/**
+ * Check-in Kiosk Page
+ * Full-screen self check-in for a tablet at the branch door, signed in with the
+ * branch's receptionist account. Clients scan the QR code from their confirmation
+ * email or type their phone number, check their booking and confirm they've arrived.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { Html5Qrcode } from 'html5-qrcode';
+import { QrCode, Phone, CheckCircle, ArrowLeft, Delete, Clock, Scissors, User } from 'lucide-react';
+import { useAuth } from '../../context/AuthContext';
+import { findKioskAppointments, kioskCheckIn, parseCheckInQr } from '../../services/kioskService';
+import { formatTime } from '../../utils/helpers';
+import LoadingSpinner from '../../components/ui/LoadingSpinner';
+
+const STEPS = {
+  START: 'start',
+  SCAN: 'scan',
+  PHONE: 'phone',
+  RESULTS: 'results',
+  DONE: 'done'
+};
+
+// Back to the welcome screen when the next client would otherwise see someone's booking
+const IDLE_RESET_MS = 60 * 1000;
+const DONE_RESET_MS = 8 * 1000;
+
+const KEYPAD = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '', '0', 'delete'];
+
+const getFirstName = (name) => (name || 'Guest').trim().split(/\s+/)[0];
+
+const getServiceNames = (appointment) =>
+  (appointment.services || []).map(svc => svc.serviceName).filter(Boolean).join(', ') ||
+  appointment.serviceName || 'Service';
+
+const CheckInKiosk = () => {
+  const { currentUser, userBranch, userBranchData } = useAuth();
+  const [step, setStep] = useState(STEPS.START);
+  const [phone, setPhone] = useState('');
+  const [results, setResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [checkingIn, setCheckingIn] = useState(null);
+  const [checkedIn, setCheckedIn] = useState(null);
+  const [scannerError, setScannerError] = useState('');
+
+  const reset = useCallback(() => {
+    setStep(STEPS.START);
+    setPhone('');
+    setResults([]);
+    setCheckedIn(null);
+    setScannerError('');
+  }, []);
+
+  // Idle screens go back to the start; the confirmation clears itself sooner
+  useEffect(() => {
+    if (step === STEPS.START) return undefined;
+    const timer = setTimeout(reset, step === STEPS.DONE ? DONE_RESET_MS : IDLE_RESET_MS);
+    return () => clearTimeout(timer);
+  }, [step, phone, results, reset]);
+
+  const lookup = useCallback(async (query) => {
+    try {
+      setSearching(true);
+      setResults(await findKioskAppointments(userBranch, query));
+      setStep(STEPS.RESULTS);
+    } catch (error) {
+      // Error handled in service
+    } finally {
+      setSearching(false);
+    }
+  }, [userBranch]);
+
+  useEffect(() => {
+    if (step !== STEPS.SCAN) return undefined;
+    let cancelled = false;
+    const scanner = new Html5Qrcode('kiosk-qr-reader');
+
+    scanner.start(
+      { facingMode: 'user' }, // Front camera, facing the client
+      { fps: 10, qrbox: { width: 250, height: 250 } },
+      (decodedText) => {
+        if (cancelled) return;
+        const appointmentId = parseCheckInQr(decodedText);
+        if (!appointmentId) {
+          setScannerError('That is not a check-in code. Please scan the QR code from your confirmation email.');
+          return;
+        }
+        cancelled = true;
+        lookup({ appointmentId });
+      },
+      () => {
+        // Ignore frames without a code
+      }
+    ).catch(error => {
+      console.error('Error starting kiosk scanner:', error);
+      setScannerError('The camera could not be started. Please use your phone number instead.');
+    });
+
+    return () => {
+      cancelled = true;
+      scanner.stop().then(() => scanner.clear()).catch(() => {});
+    };
+  }, [step, lookup]);
+
+  const handleKey = (key) => {
+    if (key === 'delete') {
+      setPhone(current => current.slice(0, -1));
+    } else if (phone.length < 15) {
+      setPhone(current => current + key);
+    }
+  };
+
+  const handleCheckIn = async (appointment) => {
+    try {
+      setCheckingIn(appointment.id);
+      await kioskCheckIn(appointment.id, userBranch, currentUser);
+      setCheckedIn(appointment);
+      setStep(STEPS.DONE);
+    } catch (error) {
+      // Error handled in service
+    } finally {
+      setCheckingIn(null);
+    }
+  };
+
+  if (!userBranch) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-primary-50 to-secondary-50 flex flex-col items-center justify-center p-8">
+      <div className="w-full max-w-2xl bg-white rounded-2xl shadow-xl p-10">
+        {step !== STEPS.START && step !== STEPS.DONE && (
+          <button
+            type="button"
+            onClick={reset}
+            className="flex items-center gap-2 text-lg text-gray-600 hover:text-gray-900 mb-6"
+          >
+            <ArrowLeft className="w-6 h-6" />
+            Start over
+          </button>
+        )}
+
+        {step === STEPS.START && (
+          <div className="text-center">
+            <h1 className="text-4xl font-bold text-gray-900 mb-2">Welcome</h1>
+            <p className="text-xl text-gray-600 mb-10">
+              Check in for your appointment{userBranchData?.name ? ` at ${userBranchData.name}` : ''}
+            </p>
+            <div className="grid grid-cols-2 gap-6">
+              <button
+                type="button"
+                onClick={() => setStep(STEPS.SCAN)}
+                className="flex flex-col items-center gap-4 p-8 border-2 border-primary-200 rounded-2xl hover:bg-primary-50 transition-colors"
+              >
+                <QrCode className="w-16 h-16 text-primary-600" />
+                <span className="text-xl font-semibold text-gray-900">Scan QR code</span>
+                <span className="text-sm text-gray-500">From your confirmation email</span>
+              </button>
+              <button
+                type="button"
+                onClick={() => setStep(STEPS.PHONE)}
+                className="flex flex-col items-center gap-4 p-8 border-2 border-primary-200 rounded-2xl hover:bg-primary-50 transition-colors"
+              >
+                <Phone className="w-16 h-16 text-primary-600" />
+                <span className="text-xl font-semibold text-gray-900">Enter phone number</span>
+                <span className="text-sm text-gray-500">The number you booked with</span>
+              </button>
+            </div>
+          </div>
+        )}
+
+        {step === STEPS.SCAN && (
+          <div className="text-center">
+            <h2 className="text-3xl font-bold text-gray-900 mb-6">Hold your QR code up to the camera</h2>
+            <div id="kiosk-qr-reader" className="w-full max-w-md mx-auto rounded-lg overflow-hidden"></div>
+            {searching && <LoadingSpinner />}
+            {scannerError && <p className="mt-4 text-lg text-red-600">{scannerError}</p>}
+          </div>
+        )}
+
+        {step === STEPS.PHONE && (
+          <div className="text-center">
+            <h2 className="text-3xl font-bold text-gray-900 mb-6">Enter your phone number</h2>
+            <div className="text-4xl font-mono tracking-widest h-16 flex items-center justify-center border-b-2 border-gray-300 mb-6">
+              {phone || <span className="text-gray-300">Phone number</span>}
+            </div>
+            <div className="grid grid-cols-3 gap-4 max-w-sm mx-auto mb-6">
+              {KEYPAD.map((key, index) => (key ? (
+                <button
+                  key={key}
+                  type="button"
+                  onClick={() => handleKey(key)}
+                  className="h-16 flex items-center justify-center text-2xl font-semibold bg-gray-100 rounded-xl hover:bg-gray-200 active:bg-gray-300"
+                >
+                  {key === 'delete' ? <Delete className="w-7 h-7" /> : key}
+                </button>
+              ) : <span key={`blank-${index}`} />))}
+            </div>
+            <button
+              type="button"
+              onClick={() => lookup({ phone })}
+              disabled={phone.length < 7 || searching}
+              className="w-full max-w-sm py-4 text-xl font-semibold bg-primary-600 text-white rounded-xl hover:bg-primary-700 disabled:opacity-50"
+            >
+              {searching ? 'Finding your booking...' : 'Find my booking'}
+            </button>
+          </div>
+        )}
+
+        {step === STEPS.RESULTS && (
+          <div>
+            {results.length === 0 ? (
+              <div className="text-center py-8">
+                <h2 className="text-3xl font-bold text-gray-900 mb-3">No booking found for today</h2>
+                <p className="text-xl text-gray-600">Please see our reception team and they&apos;ll be happy to help.</p>
+              </div>
+            ) : (
+              <>
+                <h2 className="text-3xl font-bold text-gray-900 mb-6">
+                  Hi {getFirstName(results[0].appointment.clientName)}, is this your booking?
+                </h2>
+                <div className="space-y-4">
+                  {results.map(({ appointment, canCheckIn, message }) => (
+                    <div key={appointment.id} className="border-2 border-gray-200 rounded-xl p-6">
+                      <div className="space-y-2 text-lg text-gray-800 mb-4">
+                        <p className="flex items-center gap-3">
+                          <Clock className="w-5 h-5 text-primary-600" />
+                          {formatTime(appointment.appointmentDate)}
+                        </p>
+                        <p className="flex items-center gap-3">
+                          <Scissors className="w-5 h-5 text-primary-600" />
+                          {getServiceNames(appointment)}
+                        </p>
+                        {appointment.stylistName && (
+                          <p className="flex items-center gap-3">
+                            <User className="w-5 h-5 text-primary-600" />
+                            {appointment.stylistName}
+                          </p>
+                        )}
+                      </div>
+                      {canCheckIn ? (
+                        <button
+                          type="button"
+                          onClick={() => handleCheckIn(appointment)}
+                          disabled={checkingIn === appointment.id}
+                          className="w-full py-4 text-xl font-semibold bg-green-600 text-white rounded-xl hover:bg-green-700 disabled:opacity-50"
+                        >
+                          {checkingIn === appointment.id ? 'Checking you in...' : "Yes, I'm here"}
+                        </button>
+                      ) : (
+                        <p className="text-lg text-orange-700 bg-orange-50 rounded-lg px-4 py-3">{message}</p>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </>
+            )}
+          </div>
+        )}
+
+        {step === STEPS.DONE && checkedIn && (
+          <div className="text-center py-8">
+            <div className="inline-flex items-center justify-center w-24 h-24 bg-green-100 rounded-full mb-6">
+              <CheckCircle className="w-14 h-14 text-green-600" />
+            </div>
+            <h2 className="text-4xl font-bold text-gray-900 mb-3">
+              You&apos;re checked in, {getFirstName(checkedIn.clientName)}!
+            </h2>
+            <p className="text-xl text-gray-600">
+              {checkedIn.stylistName ? `We've let ${checkedIn.stylistName} know you're here. ` : ''}Please take a seat.
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CheckInKiosk;
@@ -5,21 +5,23 @@
  */
 
 import { useState, useEffect, useMemo, useCallback } from 'react';
-import { Search, Eye, History, ChevronUp, ChevronDown, Download, Phone, Mail, User } from 'lucide-react';
+import { Search, Eye, History, ChevronUp, ChevronDown, Download, Phone, Mail, User, RefreshCw } from 'lucide-react';
 import { useAuth } from '../../context/AuthContext';
 import { getClients, searchClients, getClientProfile, updateClientProfile } from '../../services/clientService';
 import { getLoyaltyPoints, getLoyaltyHistory } from '../../services/loyaltyService';
 import { getServiceHistory } from '../../services/clientService';
 import { getReferralCode } from '../../services/referralService';
+import { getBranchReliabilityPolicy, refreshClientReliability, describeReliability } from '../../services/clientReliabilityService';
 import { Card } from '../../components/ui/Card';
 import Button from '../../components/ui/Button';
 import { Input } from '../../components/ui/Input';
 import LoadingSpinner from '../../components/ui/LoadingSpinner';
 import Modal from '../../components/ui/Modal';
+import ClientReliabilityBadge from '../../components/users/ClientReliabilityBadge';
 import toast from 'react-hot-toast';
 
 const ReceptionistClients = () => {
-  const { currentUser, userBranch } = useAuth();
+  const { currentUser, userBranch, userBranchData } = useAuth();
   const [clients, setClients] = useState([]);
   const [loading, setLoading] = useState(true);
   
@@ -47,6 +49,7 @@ const ReceptionistClients = () => {
   const [loyaltyHistory, setLoyaltyHistory] = useState([]);
   const [referralCode, setReferralCode] = useState(null);
   const [loadingProfile, setLoadingProfile] = useState(false);
+  const [refreshingReliability, setRefreshingReliability] = useState(false);
   
   // Client stats cache
   const [clientStatsCache, setClientStatsCache] = useState({});
@@ -135,6 +138,10 @@ const ReceptionistClients = () => {
       } else if (sortBy === 'createdAt') {
         aValue = a.createdAt ? new Date(a.createdAt).getTime() : 0;
         bValue = b.createdAt ? new Date(b.createdAt).getTime() : 0;
+      } else if (sortBy === 'reliability') {
+        // Unscored clients sort as fully reliable
+        aValue = a.reliability?.totalAppointments > 0 ? a.reliability.score : 101;
+        bValue = b.reliability?.totalAppointments > 0 ? b.reliability.score : 101;
       } else {
         aValue = a[sortBy] || '';
         bValue = b[sortBy] || '';
@@ -254,6 +261,23 @@ const ReceptionistClients = () => {
     }
   };
 
+  const handleRefreshReliability = async () => {
+    if (!selectedClient) return;
+    try {
+      setRefreshingReliability(true);
+      const reliability = await refreshClientReliability(selectedClient.id, getBranchReliabilityPolicy(userBranchData));
+      if (!reliability) {
+        toast.error('Failed to recalculate reliability');
+        return;
+      }
+      setSelectedClient(prev => ({ ...prev, reliability }));
+      setClients(prev => prev.map(client => client.id === selectedClient.id ? { ...client, reliability } : client));
+      toast.success('Reliability recalculated');
+    } finally {
+      setRefreshingReliability(false);
+    }
+  };
+
   const handleViewHistory = async (client) => {
     try {
       setLoadingProfile(true);
@@ -369,6 +393,15 @@ const ReceptionistClients = () => {
                     <SortIcon column="createdAt" />
                   </div>
                 </th>
+                <th 
+                  className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer hover:bg-gray-100"
+                  onClick={() => handleSort('reliability')}
+                >
+                  <div className="flex items-center">
+                    Reliability
+                    <SortIcon column="reliability" />
+                  </div>
+                </th>
                 <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
                   Actions
                 </th>
@@ -377,7 +410,7 @@ const ReceptionistClients = () => {
             <tbody className="bg-white divide-y divide-gray-200">
               {paginatedClients.length === 0 ? (
                 <tr>
-                  <td colSpan="5" className="px-6 py-12 text-center text-gray-500">
+                  <td colSpan="6" className="px-6 py-12 text-center text-gray-500">
                     <User className="w-12 h-12 mx-auto mb-3 text-gray-300" />
                     <p>No clients found</p>
                   </td>
@@ -432,6 +465,9 @@ const ReceptionistClients = () => {
                         '—'
                       )}
                     </td>
+                    <td className="px-4 py-3 whitespace-nowrap">
+                      <ClientReliabilityBadge reliability={client.reliability} />
+                    </td>
                     <td className="px-4 py-3 whitespace-nowrap text-right text-sm font-medium">
                       <div className="flex items-center justify-end gap-2">
                         <Button
@@ -566,6 +602,31 @@ const ReceptionistClients = () => {
               </div>
             </div>
             
+            <div className="p-3 bg-gray-50 rounded-lg">
+              <div className="flex items-center justify-between mb-1">
+                <label className="block text-sm font-medium text-gray-700">
+                  Reliability
+                </label>
+                <button
+                  type="button"
+                  onClick={handleRefreshReliability}
+                  disabled={refreshingReliability}
+                  className="flex items-center gap-1 text-xs text-[#2D1B4E] hover:underline disabled:opacity-50"
+                >
+                  <RefreshCw className={`w-3 h-3 ${refreshingReliability ? 'animate-spin' : ''}`} />
+                  Recalculate
+                </button>
+              </div>
+              <div className="flex items-center gap-2">
+                <ClientReliabilityBadge reliability={selectedClient?.reliability} />
+              </div>
+              <p className="text-xs text-gray-500 mt-1">
+                {selectedClient?.reliability
+                  ? describeReliability(selectedClient.reliability)
+                  : 'Not scored yet. No-shows, late cancellations and late check-ins lower the score.'}
+              </p>
+            </div>
+
             {clientProfile.allergies && (
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
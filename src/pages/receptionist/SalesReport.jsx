@@ -18,7 +18,8 @@ import {
   RefreshCw
 } from 'lucide-react';
 import { useAuth } from '../../context/AuthContext';
-import { getBillsByBranch, getDailySalesSummary, BILL_STATUS } from '../../services/billingService';
+import { getBillsByBranch, getDailySalesSummary, getBillTenders, BILL_STATUS, PAYMENT_METHODS } from '../../services/billingService';
+import { getRetainedDeposits } from '../../services/appointmentDepositService';
 import { Card } from '../../components/ui/Card';
 import Button from '../../components/ui/Button';
 import { Input } from '../../components/ui/Input';
@@ -30,6 +31,7 @@ import { useReactToPrint } from 'react-to-print';
 const ReceptionistSalesReport = () => {
   const { userBranch, userData } = useAuth();
   const [bills, setBills] = useState([]);
+  const [retainedDeposits, setRetainedDeposits] = useState(0);
   const [loading, setLoading] = useState(true);
   const [dateFilter, setDateFilter] = useState('month'); // today, week, month, custom
   const [customStartDate, setCustomStartDate] = useState(format(startOfMonth(new Date()), 'yyyy-MM-dd'));
@@ -83,12 +85,16 @@ const ReceptionistSalesReport = () => {
           endDate = endOfMonth(now);
       }
 
-      const billsData = await getBillsByBranch(userBranch, {
-        startDate,
-        endDate
-      });
+      const [billsData, retained] = await Promise.all([
+        getBillsByBranch(userBranch, {
+          startDate,
+          endDate
+        }),
+        getRetainedDeposits(userBranch, startDate, endDate)
+      ]);
 
       setBills(billsData || []);
+      setRetainedDeposits(retained.total);
     } catch (error) {
       console.error('Error fetching bills:', error);
       toast.error('Failed to load sales data');
@@ -121,7 +127,8 @@ const ReceptionistSalesReport = () => {
 
   // Calculate summary statistics
   const summaryStats = useMemo(() => {
-    const paidBills = filteredBills.filter(b => b.status === BILL_STATUS.PAID);
+    // Partially refunded bills are still sales; their refunded part is counted under refunds
+    const paidBills = filteredBills.filter(b => b.status === BILL_STATUS.PAID || b.status === BILL_STATUS.PARTIALLY_REFUNDED);
     
     const totalRevenue = paidBills.reduce((sum, bill) => sum + (bill.total || 0), 0);
     const totalTransactions = paidBills.length;
@@ -137,11 +144,16 @@ const ReceptionistSalesReport = () => {
       gift_card: 0
     };
 
+    // Deposits applied were taken in when the deposit was paid, so they are shown on their own
+    let depositsApplied = 0;
     paidBills.forEach(bill => {
-      const method = bill.paymentMethod || 'cash';
-      if (paymentBreakdown[method] !== undefined) {
-        paymentBreakdown[method] += bill.total || 0;
-      }
+      getBillTenders(bill).forEach(tender => {
+        if (tender.method === PAYMENT_METHODS.DEPOSIT) {
+          depositsApplied += tender.amount || 0;
+        } else if (paymentBreakdown[tender.method] !== undefined) {
+          paymentBreakdown[tender.method] += tender.amount || 0;
+        }
+      });
     });
 
     // Service vs Product breakdown
@@ -161,7 +173,10 @@ const ReceptionistSalesReport = () => {
 
     // Refunds
     const refundedBills = filteredBills.filter(b => b.status === BILL_STATUS.REFUNDED);
-    const totalRefunds = refundedBills.reduce((sum, bill) => sum + (bill.refundAmount || bill.total || 0), 0);
+    const partialRefunds = filteredBills
+      .filter(b => b.status === BILL_STATUS.PARTIALLY_REFUNDED)
+      .reduce((sum, bill) => sum + (bill.refundAmount || 0), 0);
+    const totalRefunds = refundedBills.reduce((sum, bill) => sum + (bill.refundAmount || bill.total || 0), 0) + partialRefunds;
 
     return {
       totalRevenue,
@@ -173,9 +188,12 @@ const ReceptionistSalesReport = () => {
       serviceRevenue,
       productRevenue,
       totalRefunds,
-      netRevenue: totalRevenue - totalRefunds
+      depositsApplied,
+      retainedDeposits,
+      // Deposits kept for no-shows and late cancellations never reach a bill
+      netRevenue: totalRevenue - totalRefunds + retainedDeposits
     };
-  }, [filteredBills]);
+  }, [filteredBills, retainedDeposits]);
 
   // Export to CSV
   const exportToCSV = () => {
@@ -352,6 +370,7 @@ const ReceptionistSalesReport = () => {
             >
               <option value="all">All Status</option>
               <option value={BILL_STATUS.PAID}>Paid</option>
+              <option value={BILL_STATUS.PARTIALLY_REFUNDED}>Partially Refunded</option>
               <option value={BILL_STATUS.REFUNDED}>Refunded</option>
               <option value={BILL_STATUS.VOIDED}>Voided</option>
             </select>
@@ -392,6 +411,7 @@ const ReceptionistSalesReport = () => {
           </div>
           <p className="text-xs text-gray-500 mt-2">
             Net: ₱{summaryStats.netRevenue.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+            {summaryStats.retainedDeposits > 0 && ` (incl. ₱${summaryStats.retainedDeposits.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} kept deposits)`}
           </p>
         </Card>
 
@@ -496,6 +516,18 @@ const ReceptionistSalesReport = () => {
             </div>
           </div>
         </div>
+        {(summaryStats.depositsApplied > 0 || summaryStats.retainedDeposits > 0) && (
+          <div className="mt-4 flex flex-wrap gap-x-6 gap-y-1 text-sm text-gray-600">
+            <span>
+              Deposits applied: ₱{summaryStats.depositsApplied.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+              <span className="text-gray-400"> (collected when the deposit was paid)</span>
+            </span>
+            <span>
+              Deposits kept: ₱{summaryStats.retainedDeposits.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+              <span className="text-gray-400"> (no-shows and late cancellations)</span>
+            </span>
+          </div>
+        )}
       </Card>
 
       {/* Transactions Table */}
@@ -607,7 +639,7 @@ const ReceptionistSalesReport = () => {
                         <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
                           bill.status === BILL_STATUS.PAID
                             ? 'bg-green-100 text-green-800'
-                            : bill.status === BILL_STATUS.REFUNDED
+                            : bill.status === BILL_STATUS.REFUNDED || bill.status === BILL_STATUS.PARTIALLY_REFUNDED
                             ? 'bg-yellow-100 text-yellow-800'
                             : 'bg-red-100 text-red-800'
                         }`}>
@@ -5,7 +5,7 @@
  */
 
 import { useState, useEffect } from 'react';
-import { Calendar, Clock, User, Phone, Mail, AlertCircle, Eye, Scissors } from 'lucide-react';
+import { Calendar, CalendarDays, Clock, User, Phone, Mail, AlertCircle, Eye, Scissors } from 'lucide-react';
 import { useAuth } from '../../context/AuthContext';
 import { 
   getAppointmentsByStylist,
@@ -16,9 +16,12 @@ import {
 import { formatDate, formatTime } from '../../utils/helpers';
 import LoadingSpinner from '../../components/ui/LoadingSpinner';
 import AppointmentDetails from '../../components/appointment/AppointmentDetails';
+import ServicePhaseTimeline from '../../components/appointment/ServicePhaseTimeline';
+import CalendarFeedModal from '../../components/appointment/CalendarFeedModal';
+import { CALENDAR_FEED_TYPES } from '../../services/calendarService';
 
 const StylistAppointments = () => {
-  const { currentUser } = useAuth();
+  const { currentUser, userBranch } = useAuth();
   const [appointments, setAppointments] = useState([]);
   const [loading, setLoading] = useState(true);
   const [loadingMore, setLoadingMore] = useState(false);
@@ -29,6 +32,7 @@ const StylistAppointments = () => {
   const [loadingDetails, setLoadingDetails] = useState(false);
   const [hasMore, setHasMore] = useState(true);
   const [pageSize] = useState(20);
+  const [showCalendarModal, setShowCalendarModal] = useState(false);
 
   useEffect(() => {
     if (currentUser) {
@@ -158,9 +162,19 @@ const StylistAppointments = () => {
   return (
     <div className="space-y-4 pb-20 md:pb-6">
       {/* Header */}
-      <div>
-        <h1 className="text-2xl font-bold text-gray-900">My Appointments</h1>
-        <p className="text-gray-600">Manage your daily schedule</p>
+      <div className="flex items-start justify-between gap-3">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">My Appointments</h1>
+          <p className="text-gray-600">Manage your daily schedule</p>
+        </div>
+        <button
+          type="button"
+          onClick={() => setShowCalendarModal(true)}
+          className="flex items-center gap-2 px-3 py-2 text-sm border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+        >
+          <CalendarDays className="w-4 h-4" />
+          <span className="hidden sm:inline">Calendar Link</span>
+        </button>
       </div>
 
       {/* Stats Cards - Mobile Optimized */}
@@ -278,6 +292,9 @@ const StylistAppointments = () => {
                           </div>
                         ) : null}
 
+                        {/* When each of my services runs; processing phases leave me free */}
+                        <ServicePhaseTimeline appointment={appointment} stylistId={currentUser.uid} />
+
                         <div className="flex items-center gap-4 text-sm text-gray-600">
                           <div className="flex items-center gap-1">
                             <Calendar className="w-3.5 h-3.5" />
@@ -332,6 +349,15 @@ const StylistAppointments = () => {
           }}
         />
       )}
+
+      <CalendarFeedModal
+        isOpen={showCalendarModal}
+        onClose={() => setShowCalendarModal(false)}
+        type={CALENDAR_FEED_TYPES.STYLIST}
+        stylistId={currentUser?.uid}
+        branchId={userBranch}
+        name={currentUser ? `${currentUser.firstName || ''} ${currentUser.lastName || ''}`.trim() : ''}
+      />
     </div>
   );
 };
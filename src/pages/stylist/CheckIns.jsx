@@ -4,13 +4,16 @@
  */
 
 import { useState, useEffect, useMemo } from 'react';
-import { Clock, User, Phone, Mail, Search, Filter, Calendar, MapPin, Scissors, Eye } from 'lucide-react';
+import { Clock, User, Phone, Mail, Search, Filter, Calendar, MapPin, Scissors, Eye, FlaskConical } from 'lucide-react';
 import { useAuth } from '../../context/AuthContext';
 import { collection, query, where, getDocs, getDoc, doc, onSnapshot, Timestamp, orderBy } from 'firebase/firestore';
 import { db } from '../../config/firebase';
 import { formatDate, formatTime } from '../../utils/helpers';
 import LoadingSpinner from '../../components/ui/LoadingSpinner';
 import CheckInDetails from '../../components/checkin/CheckInDetails';
+import PostServiceNotesModal from '../../components/appointment/PostServiceNotesModal';
+import { updateArrival } from '../../services/arrivalsService';
+import { recordServiceUsage } from '../../services/serviceRecipeService';
 import toast from 'react-hot-toast';
 
 const StylistCheckIns = () => {
@@ -22,6 +25,8 @@ const StylistCheckIns = () => {
   const [sortBy, setSortBy] = useState('time-asc');
   const [selectedCheckIn, setSelectedCheckIn] = useState(null);
   const [showDetailsModal, setShowDetailsModal] = useState(false);
+  const [usageCheckIn, setUsageCheckIn] = useState(null);
+  const [savingUsage, setSavingUsage] = useState(false);
 
   useEffect(() => {
     if (!currentUser?.uid || !userBranch) {
@@ -132,6 +137,25 @@ const StylistCheckIns = () => {
     }
   };
 
+  const handleSubmitUsage = async (notes, usage) => {
+    try {
+      setSavingUsage(true);
+      for (const serviceUsage of usage) {
+        await recordServiceUsage(usageCheckIn, serviceUsage, currentUser);
+      }
+      if (notes !== (usageCheckIn.postServiceNotes || '')) {
+        await updateArrival(usageCheckIn.id, { postServiceNotes: notes }, currentUser);
+      } else if (usage.length > 0) {
+        toast.success('Product usage saved');
+      }
+      setUsageCheckIn(null);
+    } catch (error) {
+      // Error handled in service
+    } finally {
+      setSavingUsage(false);
+    }
+  };
+
   const checkAppointmentStylist = async (appointmentId) => {
     try {
       const appointmentRef = doc(db, 'appointments', appointmentId);
@@ -526,17 +550,31 @@ const StylistCheckIns = () => {
                         </div>
                       </div>
                     </div>
-                    <button
-                      onClick={(e) => {
-                        e.stopPropagation();
-                        setSelectedCheckIn(checkIn);
-                        setShowDetailsModal(true);
-                      }}
-                      className="p-2 text-primary-600 hover:bg-primary-50 rounded-lg transition-colors flex-shrink-0"
-                      title="View Full Details"
-                    >
-                      <Eye className="w-4 h-4" />
-                    </button>
+                    <div className="flex items-center gap-1 flex-shrink-0">
+                      {(checkIn.status === 'in_service' || checkIn.status === 'completed') && (
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            setUsageCheckIn(checkIn);
+                          }}
+                          className="p-2 text-primary-600 hover:bg-primary-50 rounded-lg transition-colors"
+                          title="Notes & Products Used"
+                        >
+                          <FlaskConical className="w-4 h-4" />
+                        </button>
+                      )}
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          setSelectedCheckIn(checkIn);
+                          setShowDetailsModal(true);
+                        }}
+                        className="p-2 text-primary-600 hover:bg-primary-50 rounded-lg transition-colors"
+                        title="View Full Details"
+                      >
+                        <Eye className="w-4 h-4" />
+                      </button>
+                    </div>
                   </div>
                 </div>
               );
@@ -556,6 +594,18 @@ const StylistCheckIns = () => {
           }}
         />
       )}
+
+      {/* Notes & Products Used Modal */}
+      <PostServiceNotesModal
+        isOpen={!!usageCheckIn}
+        appointment={usageCheckIn}
+        stylistId={currentUser?.uid}
+        onClose={() => setUsageCheckIn(null)}
+        onSubmit={handleSubmitUsage}
+        loading={savingUsage}
+        title="Notes & Products Used"
+        submitLabel="Save"
+      />
     </div>
   );
 };
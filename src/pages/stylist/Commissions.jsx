@@ -0,0 +1,163 @@
+/**
+ * Commissions Page - Stylist
+ * Closed service commission statements for the signed-in stylist
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { Banknote, Download, ChevronDown, ChevronRight, Lock, TrendingUp } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../context/AuthContext';
+import {
+  getStylistCommissionStatements,
+  getStylistLevelLabel,
+  getCommissionExportRows,
+  COMMISSION_LINE_EXPORT_HEADERS
+} from '../../services/commissionService';
+import CommissionLinesTable from '../../components/commissions/CommissionLinesTable';
+import LoadingSpinner from '../../components/ui/LoadingSpinner';
+import { formatDate } from '../../utils/helpers';
+import { exportToExcel } from '../../utils/excelExport';
+
+const StylistCommissions = () => {
+  const { currentUser } = useAuth();
+  const [statements, setStatements] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [expandedStatement, setExpandedStatement] = useState(null);
+
+  const fetchStatements = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await getStylistCommissionStatements(currentUser.uid);
+      setStatements(data);
+    } finally {
+      setLoading(false);
+    }
+  }, [currentUser]);
+
+  useEffect(() => {
+    if (currentUser?.uid) {
+      fetchStatements();
+    }
+  }, [currentUser, fetchStatements]);
+
+  const handleExportExcel = (statement) => {
+    const rows = getCommissionExportRows([statement]);
+    if (!rows.length) {
+      toast.error('No commissions to export');
+      return;
+    }
+
+    try {
+      exportToExcel(
+        rows,
+        `my_commissions_${formatDate(statement.periodStart, 'yyyy-MM-dd')}_${formatDate(statement.periodEnd, 'yyyy-MM-dd')}`,
+        'Commissions',
+        COMMISSION_LINE_EXPORT_HEADERS
+      );
+      toast.success('Statement exported to Excel successfully');
+    } catch (error) {
+      console.error('Error exporting statement:', error);
+      toast.error('Failed to export statement');
+    }
+  };
+
+  const totalEarned = statements.reduce((sum, statement) => sum + statement.totalCommission, 0);
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+          <Banknote className="h-6 w-6 text-purple-600" />
+          My Commissions
+        </h1>
+        <p className="text-sm text-gray-500 mt-1">Service commission statements from closed periods</p>
+      </div>
+
+      {/* Summary Cards */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="bg-white rounded-lg shadow p-6">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-sm text-gray-500">Total Earned</p>
+              <p className="text-2xl font-bold text-purple-600 mt-1">₱{totalEarned.toFixed(2)}</p>
+            </div>
+            <TrendingUp className="h-10 w-10 text-purple-200" />
+          </div>
+        </div>
+        <div className="bg-white rounded-lg shadow p-6">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-sm text-gray-500">Statements</p>
+              <p className="text-2xl font-bold text-blue-600 mt-1">{statements.length}</p>
+            </div>
+            <Lock className="h-10 w-10 text-blue-200" />
+          </div>
+        </div>
+      </div>
+
+      {/* Statements */}
+      <div className="bg-white rounded-lg shadow">
+        <div className="p-4 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900">Statements</h2>
+        </div>
+        {statements.length === 0 ? (
+          <div className="text-center py-12">
+            <Banknote className="h-12 w-12 text-gray-400 mx-auto mb-2" />
+            <p className="text-gray-500">No closed commission statements yet</p>
+            <p className="text-sm text-gray-400 mt-1">Statements appear here once your branch manager closes a period</p>
+          </div>
+        ) : (
+          <div className="divide-y divide-gray-200">
+            {statements.map(statement => (
+              <div key={statement.id}>
+                <div className="flex items-center justify-between px-6 py-4 hover:bg-gray-50">
+                  <button
+                    onClick={() => setExpandedStatement(expandedStatement === statement.id ? null : statement.id)}
+                    className="flex items-center gap-2 text-left"
+                  >
+                    {expandedStatement === statement.id
+                      ? <ChevronDown className="h-4 w-4 text-gray-500" />
+                      : <ChevronRight className="h-4 w-4 text-gray-500" />}
+                    <div>
+                      <p className="font-medium text-gray-900">
+                        {formatDate(statement.periodStart, 'MMM dd, yyyy')} - {formatDate(statement.periodEnd, 'MMM dd, yyyy')}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        {getStylistLevelLabel(statement.stylistLevel)} · {statement.lineCount} line{statement.lineCount !== 1 ? 's' : ''} · Closed {formatDate(statement.closedAt, 'MMM dd, yyyy')}
+                      </p>
+                    </div>
+                  </button>
+                  <div className="flex items-center gap-4">
+                    <div className="text-right">
+                      <span className="font-semibold text-purple-600">₱{statement.totalCommission.toFixed(2)}</span>
+                      <p className="text-xs text-gray-500">on ₱{statement.totalSales.toFixed(2)} sales</p>
+                    </div>
+                    <button
+                      onClick={() => handleExportExcel(statement)}
+                      className="p-2 text-gray-500 hover:text-purple-600"
+                      title="Export to Excel"
+                    >
+                      <Download className="h-4 w-4" />
+                    </button>
+                  </div>
+                </div>
+                {expandedStatement === statement.id && <CommissionLinesTable lines={statement.lines} />}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StylistCommissions;
@@ -39,6 +39,29 @@ import {
   ScanLine
 } from 'lucide-react';
 import { getAllServices } from '../../services/serviceManagementService';
+import { TAX_TREATMENTS, TAX_TREATMENT_LABELS } from '../../services/taxService';
+import { getInstructionHairLength, HAIR_LENGTHS, HAIR_LENGTH_LABELS } from '../../services/serviceRecipeService';
+import { BASE_UNITS, PACK_UNITS, getProductUnits, getAvailableUnits, describePackSizes } from '../../services/unitOfMeasureService';
+
+const EMPTY_UNITS_OF_MEASURE = { baseUnit: '', packSizes: [], stockUnit: '', purchaseUnit: '', usageUnit: '' };
+
+// Units of measure as edited in the form (an empty base unit means not set up)
+const toUnitsOfMeasureForm = (unitsOfMeasure) => (unitsOfMeasure?.baseUnit
+  ? { ...EMPTY_UNITS_OF_MEASURE, ...unitsOfMeasure, packSizes: (unitsOfMeasure.packSizes || []).map(pack => ({ ...pack })) }
+  : EMPTY_UNITS_OF_MEASURE);
+
+// Units of measure as saved on the product
+const fromUnitsOfMeasureForm = (form) => {
+  if (!form?.baseUnit) return null;
+  const units = getProductUnits({ unitsOfMeasure: form });
+  return {
+    baseUnit: units.baseUnit,
+    packSizes: units.packSizes,
+    stockUnit: units.stockUnit,
+    purchaseUnit: units.purchaseUnit,
+    usageUnit: units.usageUnit
+  };
+};
 
 const MasterProducts = () => {
   const { userData } = useAuth();
@@ -87,7 +110,9 @@ const MasterProducts = () => {
     shelfLife: '',
     imageUrl: '',
     status: 'Active',
-    commissionPercentage: 0
+    commissionPercentage: 0,
+    taxTreatment: TAX_TREATMENTS.VATABLE,
+    unitsOfMeasure: EMPTY_UNITS_OF_MEASURE
   });
 
   // Validation states
@@ -186,6 +211,17 @@ const MasterProducts = () => {
         }
         break;
       
+      case 'unitsOfMeasure': {
+        if (!value?.baseUnit) break;
+        const packUnits = value.packSizes.map(pack => pack.unit);
+        if (value.packSizes.some(pack => !pack.unit || !(Number(pack.quantity) > 0))) {
+          error = 'Each pack size needs a unit and a quantity greater than 0';
+        } else if (new Set([value.baseUnit, ...packUnits]).size !== packUnits.length + 1) {
+          error = 'Each pack size must use a different unit';
+        }
+        break;
+      }
+
       case 'commissionPercentage':
         if (value < 0) {
           error = 'Commission percentage cannot be negative';
@@ -442,7 +478,9 @@ const MasterProducts = () => {
       shelfLife: '',
       imageUrl: '',
       status: 'Active',
-      commissionPercentage: 0
+      commissionPercentage: 0,
+      taxTreatment: TAX_TREATMENTS.VATABLE,
+      unitsOfMeasure: EMPTY_UNITS_OF_MEASURE
     });
     setServiceMappings([]);
     setShowOtherCategoryInput(false);
@@ -476,7 +514,9 @@ const MasterProducts = () => {
       shelfLife: product.shelfLife || '',
       imageUrl: product.imageUrl || '',
       status: product.status || 'Active',
-      commissionPercentage: product.commissionPercentage || 0
+      commissionPercentage: product.commissionPercentage || 0,
+      taxTreatment: product.taxTreatment || TAX_TREATMENTS.VATABLE,
+      unitsOfMeasure: toUnitsOfMeasureForm(product.unitsOfMeasure)
     });
     setShowOtherCategoryInput(false);
     setNewCategoryName('');
@@ -519,6 +559,8 @@ const MasterProducts = () => {
       imageUrl: product.imageUrl || '',
       status: product.status || 'Active',
       commissionPercentage: product.commissionPercentage || 0,
+      taxTreatment: product.taxTreatment || TAX_TREATMENTS.VATABLE,
+      unitsOfMeasure: toUnitsOfMeasureForm(product.unitsOfMeasure),
       createdAt: product.createdAt,
       updatedAt: product.updatedAt
     });
@@ -549,7 +591,9 @@ const MasterProducts = () => {
       shelfLife: '',
       imageUrl: '',
       status: 'Active',
-      commissionPercentage: 0
+      commissionPercentage: 0,
+      taxTreatment: TAX_TREATMENTS.VATABLE,
+      unitsOfMeasure: EMPTY_UNITS_OF_MEASURE
     });
     // Reset image states
     setImageFile(null);
@@ -567,6 +611,29 @@ const MasterProducts = () => {
   };
 
   // Form handlers
+  const updateUnitsOfMeasure = (changes) => {
+    setFormData(prev => ({
+      ...prev,
+      unitsOfMeasure: { ...prev.unitsOfMeasure, ...changes }
+    }));
+    setTouched(prev => ({ ...prev, unitsOfMeasure: true }));
+  };
+
+  const addPackSize = () => {
+    updateUnitsOfMeasure({ packSizes: [...formData.unitsOfMeasure.packSizes, { unit: '', quantity: '' }] });
+  };
+
+  const updatePackSize = (index, field, value) => {
+    updateUnitsOfMeasure({
+      packSizes: formData.unitsOfMeasure.packSizes.map((pack, i) => (i === index ? { ...pack, [field]: value } : pack))
+    });
+  };
+
+  // Pack sizes build on each other, so removing one drops the larger ones too
+  const removePackSize = (index) => {
+    updateUnitsOfMeasure({ packSizes: formData.unitsOfMeasure.packSizes.slice(0, index) });
+  };
+
   const handleInputChange = (e) => {
     const { name, value, type, checked } = e.target;
     
@@ -791,18 +858,21 @@ const MasterProducts = () => {
       instructions: [
         {
           instruction: 'Small Hair',
+          hairLength: HAIR_LENGTHS.SHORT,
           quantity: 0,
           unit: 'ml',
           percentage: 0
         },
         {
           instruction: 'Medium Hair',
+          hairLength: HAIR_LENGTHS.MEDIUM,
           quantity: 0,
           unit: 'ml',
           percentage: 0
         },
         {
           instruction: 'Long Hair',
+          hairLength: HAIR_LENGTHS.LONG,
           quantity: 0,
           unit: 'ml',
           percentage: 0
@@ -824,6 +894,7 @@ const MasterProducts = () => {
             ...m, 
             instructions: [...(m.instructions || []), {
               instruction: '',
+              hairLength: null,
               quantity: 0,
               unit: 'ml',
               percentage: 0
@@ -982,7 +1053,8 @@ const MasterProducts = () => {
       const productData = {
         ...formData,
         imageUrl,
-        suppliers: Array.isArray(formData.suppliers) ? formData.suppliers : (formData.suppliers ? [formData.suppliers] : [])
+        suppliers: Array.isArray(formData.suppliers) ? formData.suppliers : (formData.suppliers ? [formData.suppliers] : []),
+        unitsOfMeasure: fromUnitsOfMeasureForm(formData.unitsOfMeasure)
       };
 
       console.log('📦 Creating product with data:', productData);
@@ -1044,7 +1116,8 @@ const MasterProducts = () => {
       const productData = {
         ...formData,
         imageUrl,
-        suppliers: Array.isArray(formData.suppliers) ? formData.suppliers : (formData.suppliers ? [formData.suppliers] : [])
+        suppliers: Array.isArray(formData.suppliers) ? formData.suppliers : (formData.suppliers ? [formData.suppliers] : []),
+        unitsOfMeasure: fromUnitsOfMeasureForm(formData.unitsOfMeasure)
       };
 
       console.log('📦 Updating product with data:', productData);
@@ -1727,10 +1800,19 @@ const MasterProducts = () => {
                               <span className="text-sm font-medium text-gray-600">OTC Price</span>
                               <span className="text-sm text-green-600 font-semibold">₱{formData.otcPrice?.toLocaleString()}</span>
                             </div>
-                            <div className="flex justify-between items-center py-2">
+                            <div className="flex justify-between items-center py-2 border-b border-gray-100">
                               <span className="text-sm font-medium text-gray-600">Commission</span>
                               <span className="text-sm text-purple-600 font-semibold">{formData.commissionPercentage || 0}%</span>
                                     </div>
+                            <div className="flex justify-between items-start gap-4 py-2">
+                              <span className="text-sm font-medium text-gray-600">Units</span>
+                              <span className="text-sm text-gray-900 text-right">
+                                {formData.unitsOfMeasure?.baseUnit ? (() => {
+                                  const units = getProductUnits({ unitsOfMeasure: formData.unitsOfMeasure });
+                                  return `${describePackSizes(units)} · stocked by ${units.stockUnit}, bought by ${units.purchaseUnit}, used by ${units.usageUnit}`;
+                                })() : 'Whole pieces'}
+                              </span>
+                            </div>
                                     </div>
                       </div>
                     </div>
@@ -2177,6 +2259,149 @@ const MasterProducts = () => {
                               <p className="mt-1 text-sm text-red-600">{errors.commissionPercentage}</p>
                             )}
                           </div>
+
+                          <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-2">
+                              VAT Treatment
+                            </label>
+                            <select
+                              name="taxTreatment"
+                              value={formData.taxTreatment}
+                              onChange={handleInputChange}
+                              disabled={modalMode === 'view'}
+                              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-50"
+                            >
+                              {Object.entries(TAX_TREATMENT_LABELS).map(([value, label]) => (
+                                <option key={value} value={value}>{label}</option>
+                              ))}
+                            </select>
+                          </div>
+                        </div>
+                      </div>
+
+                      {/* Units of Measure Section */}
+                      <div className="border border-gray-200 rounded-lg p-6">
+                        <h3 className="text-lg font-medium text-gray-900 mb-1 flex items-center">
+                          <Package2 className="h-5 w-5 text-blue-600 mr-2" />
+                          Units of Measure
+                        </h3>
+                        <p className="text-sm text-gray-500 mb-4">
+                          For products bought, stocked and used in different units, e.g. ordered by the case, stocked by the bottle and used by the ml.
+                          Unit cost is per stock unit. Leave the base unit empty to count the product in whole pieces.
+                        </p>
+                        <div className="space-y-4">
+                          <div className="md:w-1/2">
+                            <label className="block text-sm font-medium text-gray-700 mb-2">
+                              Base Unit
+                            </label>
+                            <select
+                              value={formData.unitsOfMeasure.baseUnit}
+                              onChange={(e) => updateUnitsOfMeasure({ baseUnit: e.target.value })}
+                              disabled={modalMode === 'view'}
+                              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-50"
+                            >
+                              <option value="">Not set up (whole pieces)</option>
+                              {BASE_UNITS.map(unit => (
+                                <option key={unit} value={unit}>{unit}</option>
+                              ))}
+                            </select>
+                          </div>
+
+                          {formData.unitsOfMeasure.baseUnit && (() => {
+                            const units = getProductUnits({ unitsOfMeasure: formData.unitsOfMeasure });
+                            const availableUnits = getAvailableUnits(units);
+                            const unitSelects = [
+                              { field: 'stockUnit', label: 'Stock Unit', hint: 'Counted on shelves and transferred' },
+                              { field: 'purchaseUnit', label: 'Purchase Unit', hint: 'Ordered from suppliers' },
+                              { field: 'usageUnit', label: 'Usage Unit', hint: 'Used by services' }
+                            ];
+                            return (
+                              <>
+                                <div>
+                                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                                    Pack Sizes
+                                  </label>
+                                  <div className="space-y-2">
+                                    {formData.unitsOfMeasure.packSizes.map((pack, index) => (
+                                      <div key={index} className="flex items-center gap-2">
+                                        <span className="text-sm text-gray-600">1</span>
+                                        <select
+                                          value={pack.unit}
+                                          onChange={(e) => updatePackSize(index, 'unit', e.target.value)}
+                                          disabled={modalMode === 'view'}
+                                          className="px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-50"
+                                        >
+                                          <option value="">Select unit</option>
+                                          {PACK_UNITS.map(unit => (
+                                            <option key={unit} value={unit}>{unit}</option>
+                                          ))}
+                                        </select>
+                                        <span className="text-sm text-gray-600">=</span>
+                                        <input
+                                          type="number"
+                                          min="0"
+                                          step="any"
+                                          value={pack.quantity}
+                                          onChange={(e) => updatePackSize(index, 'quantity', e.target.value)}
+                                          disabled={modalMode === 'view'}
+                                          className="w-28 px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-50"
+                                        />
+                                        <span className="text-sm text-gray-600">
+                                          {index === 0 ? formData.unitsOfMeasure.baseUnit : formData.unitsOfMeasure.packSizes[index - 1].unit || 'units'}
+                                        </span>
+                                        {modalMode !== 'view' && (
+                                          <button
+                                            type="button"
+                                            onClick={() => removePackSize(index)}
+                                            className="p-1 text-red-600 hover:bg-red-50 rounded"
+                                            title="Remove this and larger pack sizes"
+                                          >
+                                            <Trash2 className="h-4 w-4" />
+                                          </button>
+                                        )}
+                                      </div>
+                                    ))}
+                                  </div>
+                                  {modalMode !== 'view' && (
+                                    <button
+                                      type="button"
+                                      onClick={addPackSize}
+                                      className="mt-2 flex items-center gap-1 text-sm text-blue-600 hover:text-blue-800"
+                                    >
+                                      <Plus className="h-4 w-4" />
+                                      Add {formData.unitsOfMeasure.packSizes.length === 0 ? 'a pack size' : 'a larger pack size'}
+                                    </button>
+                                  )}
+                                  <p className="mt-2 text-xs text-gray-500">{describePackSizes(units)}</p>
+                                </div>
+
+                                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                                  {unitSelects.map(({ field, label, hint }) => (
+                                    <div key={field}>
+                                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                                        {label}
+                                      </label>
+                                      <select
+                                        value={units[field]}
+                                        onChange={(e) => updateUnitsOfMeasure({ [field]: e.target.value })}
+                                        disabled={modalMode === 'view'}
+                                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-50"
+                                      >
+                                        {availableUnits.map(unit => (
+                                          <option key={unit} value={unit}>{unit}</option>
+                                        ))}
+                                      </select>
+                                      <p className="mt-1 text-xs text-gray-500">{hint}</p>
+                                    </div>
+                                  ))}
+                                </div>
+                              </>
+                            );
+                          })()}
+
+                          {errors.unitsOfMeasure && touched.unitsOfMeasure && (
+                            <p className="text-sm text-red-600">{errors.unitsOfMeasure}</p>
+                          )}
                         </div>
                       </div>
 
@@ -2322,7 +2547,7 @@ const MasterProducts = () => {
                           Service-Product Mapping
                         </h3>
                         <p className="text-sm text-gray-600 mb-4">
-                          Map this product to services with different instructions (e.g., Small Hair: 5ml @ 10%, Medium Hair: 10ml @ 12%, Long Hair: 20ml @ 15%). When a service is performed, the appropriate quantity will be deducted from salon-use batches based on the instruction selected.
+                          Map this product to services with different instructions (e.g., Small Hair: 5ml @ 10%, Medium Hair: 10ml @ 12%, Long Hair: 20ml @ 15%). When a service is paid for, the quantity for the recorded hair length is deducted from salon-use batches (FIFO); instructions for any length are used when no hair length is recorded.
                         </p>
 
                         {/* Service Mappings List */}
@@ -2356,7 +2581,7 @@ const MasterProducts = () => {
                                     {(mapping.instructions || []).map((instruction, instIdx) => (
                                       <div key={instIdx} className="bg-white border border-gray-200 rounded-lg p-3">
                                         <div className="flex items-start justify-between mb-2">
-                                          <div className="flex-1 grid grid-cols-1 md:grid-cols-3 gap-3">
+                                          <div className="flex-1 grid grid-cols-1 md:grid-cols-4 gap-3">
                                             <div>
                                               <label className="block text-xs font-medium text-gray-700 mb-1">
                                                 Instruction
@@ -2370,6 +2595,22 @@ const MasterProducts = () => {
                                                 className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-50 text-sm"
                                               />
                                             </div>
+                                            <div>
+                                              <label className="block text-xs font-medium text-gray-700 mb-1">
+                                                Hair Length
+                                              </label>
+                                              <select
+                                                value={getInstructionHairLength(instruction) || ''}
+                                                onChange={(e) => handleUpdateInstruction(mapping.serviceId, instIdx, 'hairLength', e.target.value || null)}
+                                                disabled={modalMode === 'view'}
+                                                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-50 text-sm"
+                                              >
+                                                <option value="">Any length</option>
+                                                {Object.entries(HAIR_LENGTH_LABELS).map(([value, label]) => (
+                                                  <option key={value} value={value}>{label}</option>
+                                                ))}
+                                              </select>
+                                            </div>
                                             <div>
                                               <label className="block text-xs font-medium text-gray-700 mb-1">
                                                 Quantity (ml)
@@ -54,6 +54,7 @@ const Suppliers = () => {
     website: '',
     category: '',
     paymentTerms: '',
+    leadTimeDays: 7,
     rating: 5,
     notes: '',
     isActive: true
@@ -105,6 +106,12 @@ const Suppliers = () => {
           error = 'Rating must be between 1 and 5';
         }
         break;
+      
+      case 'leadTimeDays':
+        if (value < 1) {
+          error = 'Lead time must be at least 1 day';
+        }
+        break;
     }
     
     return error;
@@ -192,6 +199,7 @@ const Suppliers = () => {
       website: '',
       category: '',
       paymentTerms: '',
+      leadTimeDays: 7,
       rating: 5,
       notes: '',
       isActive: true
@@ -213,6 +221,7 @@ const Suppliers = () => {
       website: supplier.website || '',
       category: supplier.category || '',
       paymentTerms: supplier.paymentTerms || '',
+      leadTimeDays: supplier.leadTimeDays || 7,
       rating: supplier.rating || 5,
       notes: supplier.notes || '',
       isActive: supplier.isActive !== false
@@ -234,6 +243,7 @@ const Suppliers = () => {
       website: supplier.website || '',
       category: supplier.category || '',
       paymentTerms: supplier.paymentTerms || '',
+      leadTimeDays: supplier.leadTimeDays || 7,
       rating: supplier.rating || 5,
       notes: supplier.notes || '',
       isActive: supplier.isActive !== false
@@ -261,6 +271,7 @@ const Suppliers = () => {
       website: '',
       category: '',
       paymentTerms: '',
+      leadTimeDays: 7,
       rating: 5,
       notes: '',
       isActive: true
@@ -733,6 +744,10 @@ const Suppliers = () => {
                         <span className="text-sm font-medium text-gray-600">Payment Terms</span>
                         <span className="text-sm text-gray-900">{formData.paymentTerms || 'N/A'}</span>
                       </div>
+                      <div className="flex justify-between items-center py-2 border-b border-gray-100">
+                        <span className="text-sm font-medium text-gray-600">Lead Time</span>
+                        <span className="text-sm text-gray-900">{formData.leadTimeDays} days</span>
+                      </div>
                       <div className="flex justify-between items-center py-2 border-b border-gray-100">
                         <span className="text-sm font-medium text-gray-600">Rating</span>
                         <div className="flex items-center gap-1">
@@ -893,6 +908,28 @@ const Suppliers = () => {
                       )}
                     </div>
 
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Lead Time (days)
+                      </label>
+                      <input
+                        type="number"
+                        name="leadTimeDays"
+                        value={formData.leadTimeDays}
+                        onChange={handleInputChange}
+                        onBlur={handleBlur}
+                        min="1"
+                        className={`w-full px-3 py-2 border rounded-md focus:ring-2 focus:ring-[#160B53] focus:border-[#160B53] ${
+                          errors.leadTimeDays && touched.leadTimeDays ? 'border-red-500' : 'border-gray-300'
+                        }`}
+                      />
+                      {errors.leadTimeDays && touched.leadTimeDays ? (
+                        <p className="mt-1 text-sm text-red-600">{errors.leadTimeDays}</p>
+                      ) : (
+                        <p className="mt-1 text-xs text-gray-500">Days from ordering to delivery, used for reorder points</p>
+                      )}
+                    </div>
+
                     <div>
                       <label className="block text-sm font-medium text-gray-700 mb-2">
                         Website
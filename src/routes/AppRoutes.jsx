@@ -26,6 +26,7 @@ import ForgotPassword from '../pages/public/ForgotPassword';
 import HomePage from '../pages/public/HomePage';
 import AboutPage from '../pages/public/AboutPage';
 import BranchPage from '../pages/public/BranchPage';
+import LobbyDisplay from '../pages/public/LobbyDisplay';
 import BranchGalleryPage from '../pages/public/branch/BranchGalleryPage';
 import BranchServicesPage from '../pages/public/branch/BranchServicesPage';
 import BranchStylistsPage from '../pages/public/branch/BranchStylistsPage';
@@ -57,6 +58,7 @@ import PriceHistoryAnalytics from '../pages/operational-manager/PriceHistoryAnal
 import OperationalManagerPromotions from '../pages/operational-manager/Promotions';
 import CalendarCombined from '../pages/operational-manager/CalendarCombined';
 import OperationalManagerLeaveManagement from '../pages/operational-manager/LeaveManagement';
+import OperationalManagerGiftCards from '../pages/operational-manager/GiftCards';
 import BranchManagerDashboard from '../pages/branch-manager/Dashboard';
 import StaffManagement from '../pages/branch-manager/StaffManagement';
 import Settings from '../pages/branch-manager/Settings';
@@ -75,6 +77,8 @@ import BranchManagerStylistPortfolios from '../pages/branch-manager/StylistPortf
 import BranchManagerReports from '../pages/branch-manager/Reports';
 import BranchManagerInventory from '../pages/branch-manager/Inventory';
 import Commissions from '../pages/branch-manager/Commissions';
+import Tips from '../pages/branch-manager/Tips';
+import Payroll from '../pages/branch-manager/Payroll';
 import ReceptionistDashboard from '../pages/receptionist/Dashboard';
 import ReceptionistAppointments from '../pages/receptionist/Appointments';
 import ReceptionistArrivals from '../pages/receptionist/Arrivals';
@@ -84,7 +88,9 @@ import ReceptionistStaffSchedule from '../pages/receptionist/StaffSchedule';
 import ReceptionistServices from '../pages/receptionist/Services';
 import ReceptionistProducts from '../pages/receptionist/Products';
 import ReceptionistSalesReport from '../pages/receptionist/SalesReport';
+import ReceptionistCashDrawer from '../pages/receptionist/CashDrawer';
 import ReceptionistPromotions from '../pages/receptionist/Promotions';
+import CheckInKiosk from '../pages/receptionist/CheckInKiosk';
 import StylistDashboard from '../pages/stylist/Dashboard';
 import StylistAppointments from '../pages/stylist/Appointments';
 import StylistCheckIns from '../pages/stylist/CheckIns';
@@ -95,6 +101,7 @@ import StylistMySchedule from '../pages/stylist/MySchedule';
 import StylistPortfolio from '../pages/stylist/Portfolio';
 import StylistNotifications from '../pages/stylist/Notifications';
 import StylistClientAnalyticsDetail from '../pages/stylist/ClientAnalyticsDetail';
+import StylistCommissions from '../pages/stylist/Commissions';
 import ClientDashboard from '../pages/client/Dashboard';
 import ClientAppointments from '../pages/client/Appointments';
 import ClientProducts from '../pages/client/Products';
@@ -115,6 +122,7 @@ import InventoryExpiryTracker from '../pages/inventory/ExpiryTracker';
 import InventoryReports from '../pages/inventory/Reports';
 import InventoryCostAnalysis from '../pages/inventory/CostAnalysis';
 import InventoryAudit from '../pages/inventory/InventoryAudit';
+import InventoryServiceUsage from '../pages/inventory/ServiceUsage';
 
 // Constants
 import { USER_ROLES, ROUTES } from '../utils/constants';
@@ -158,6 +166,7 @@ const AppRoutes = () => {
       <Route path="/branch/:slug/stylists" element={<BranchStylistsPage />} />
       <Route path="/branch/:slug/stylists/:stylistId" element={<StylistProfilePage />} />
       <Route path="/branch/:slug/products" element={<BranchProductsPage />} />
+      <Route path="/lobby/:branchId" element={<LobbyDisplay />} />
       
       {/* Public admin utility routes - No auth required */}
       <Route path="/seed-services" element={<SeedServices />} />
@@ -244,6 +253,7 @@ const AppRoutes = () => {
         <Route path="inventory" element={<OperationalManagerInventory />} />
         <Route path="purchase-orders" element={<OperationalManagerPurchaseOrders />} />
         <Route path="deposits" element={<OperationalManagerDeposits />} />
+        <Route path="gift-cards" element={<OperationalManagerGiftCards />} />
         <Route path="price-history" element={<PriceHistoryAnalytics />} />
         <Route path="promotions" element={<OperationalManagerPromotions />} />
         <Route path="calendar" element={<CalendarCombined />} />
@@ -296,6 +306,8 @@ const AppRoutes = () => {
               <Route path="stylist-portfolios" element={<BranchManagerStylistPortfolios />} />
               <Route path="inventory" element={<BranchManagerInventory />} />
               <Route path="commissions" element={<Commissions />} />
+              <Route path="tips" element={<Tips />} />
+              <Route path="payroll" element={<Payroll />} />
         <Route path="profile" element={<Profile />} />
       </Route>
 
@@ -314,6 +326,7 @@ const AppRoutes = () => {
               <Route path="clients" element={<ReceptionistClients />} />
               <Route path="billing" element={<ReceptionistBilling />} />
               <Route path="sales-report" element={<ReceptionistSalesReport />} />
+              <Route path="cash-drawer" element={<ReceptionistCashDrawer />} />
               <Route path="promotions" element={<ReceptionistPromotions />} />
               <Route path="staff-schedule" element={<ReceptionistStaffSchedule />} />
               <Route path="services" element={<ReceptionistServices />} />
@@ -322,6 +335,16 @@ const AppRoutes = () => {
       </Route>
 
 
+      {/* Check-in kiosk - full screen, signed in with the branch's receptionist account */}
+      <Route
+        path="/kiosk"
+        element={
+          <ProtectedRoute allowedRoles={[USER_ROLES.RECEPTIONIST]}>
+            <CheckInKiosk />
+          </ProtectedRoute>
+        }
+      />
+
       {/* Stylist routes */}
       <Route
         path="/stylist"
@@ -335,6 +358,7 @@ const AppRoutes = () => {
         <Route path="appointments" element={<StylistAppointments />} />
         <Route path="check-ins" element={<StylistCheckIns />} />
         <Route path="service-history" element={<StylistServiceHistory />} />
+        <Route path="commissions" element={<StylistCommissions />} />
         <Route path="client-analytics/:clientId" element={<StylistClientAnalyticsDetail />} />
         <Route path="leave-management" element={<StylistLeaveManagement />} />
         <Route path="schedule" element={<StylistMySchedule />} />
@@ -383,6 +407,7 @@ const AppRoutes = () => {
         <Route path="reports" element={<InventoryReports />} />
         <Route path="cost-analysis" element={<InventoryCostAnalysis />} />
         <Route path="inventory-audit" element={<InventoryAudit />} />
+        <Route path="service-usage" element={<InventoryServiceUsage />} />
         <Route path="profile" element={<Profile />} />
       </Route>
 
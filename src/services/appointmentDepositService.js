@@ -0,0 +1,564 @@
+/**
+ * Appointment Deposit Service
+ * Per-service deposit requirements, deposits paid against appointments, and the
+ * branch policy that forfeits a deposit or charges a no-show fee when a client
+ * does not turn up or cancels inside the cutoff
+ */
+
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  updateDoc,
+  query,
+  where,
+  Timestamp
+} from 'firebase/firestore';
+import { db } from '../config/firebase';
+import { getBranchById } from './branchService';
+import { logActivity } from './activityService';
+import toast from 'react-hot-toast';
+
+const APPOINTMENTS_COLLECTION = 'appointments';
+const SERVICES_COLLECTION = 'services';
+
+// appointment.deposit.status values
+export const DEPOSIT_STATUS = {
+  HELD: 'held', // Paid, waiting for the visit
+  APPLIED: 'applied', // Used as a tender on the appointment's bill
+  FORFEITED: 'forfeited', // Kept because of a no-show or late cancellation
+  REFUND_DUE: 'refund_due', // To be returned to the client
+  REFUNDED: 'refunded'
+};
+
+export const DEPOSIT_STATUS_LABELS = {
+  [DEPOSIT_STATUS.HELD]: 'Deposit Paid',
+  [DEPOSIT_STATUS.APPLIED]: 'Deposit Applied',
+  [DEPOSIT_STATUS.FORFEITED]: 'Deposit Forfeited',
+  [DEPOSIT_STATUS.REFUND_DUE]: 'Deposit Refund Due',
+  [DEPOSIT_STATUS.REFUNDED]: 'Deposit Refunded'
+};
+
+// Service deposit config: branchDeposits[branchId] = { type, value }
+export const DEPOSIT_TYPES = {
+  FIXED: 'fixed',
+  PERCENTAGE: 'percentage'
+};
+
+// Tenders a deposit can be paid with
+export const DEPOSIT_PAYMENT_METHODS = {
+  CASH: 'cash',
+  CARD: 'card',
+  VOUCHER: 'voucher'
+};
+
+// What happens to a deposit when the client does not show up or cancels late
+export const DEPOSIT_POLICY_ACTIONS = {
+  REFUND: 'refund', // Deposit is returned, nothing is charged
+  FORFEIT: 'forfeit', // Deposit is kept
+  FEE: 'fee' // The no-show fee is charged; the deposit covers it first
+};
+
+export const DEPOSIT_POLICY_ACTION_LABELS = {
+  [DEPOSIT_POLICY_ACTIONS.REFUND]: 'Refund the deposit',
+  [DEPOSIT_POLICY_ACTIONS.FORFEIT]: 'Forfeit the deposit',
+  [DEPOSIT_POLICY_ACTIONS.FEE]: 'Charge the no-show fee'
+};
+
+// appointment.noShowFee.status values
+export const NO_SHOW_FEE_STATUS = {
+  OWED: 'owed',
+  SETTLED: 'settled'
+};
+
+// Branches without depositPolicy
+export const DEFAULT_DEPOSIT_POLICY = {
+  cutoffHours: 24, // Cancelling with less notice than this counts as a late cancellation
+  noShowAction: DEPOSIT_POLICY_ACTIONS.FORFEIT,
+  lateCancelAction: DEPOSIT_POLICY_ACTIONS.FORFEIT,
+  noShowFee: 0
+};
+
+const round2 = (value) => parseFloat((value || 0).toFixed(2));
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null);
+
+const getUserInfo = (currentUser) => ({
+  userId: currentUser?.uid || currentUser?.id,
+  userName: currentUser?.displayName ||
+            `${currentUser?.firstName || ''} ${currentUser?.lastName || ''}`.trim() ||
+            currentUser?.email ||
+            'Unknown User'
+});
+
+/**
+ * Get a branch's deposit policy, filling in defaults
+ * @param {Object} branch - Branch document
+ * @returns {Object} - { cutoffHours, noShowAction, lateCancelAction, noShowFee }
+ */
+export const getBranchDepositPolicy = (branch) => {
+  const policy = { ...DEFAULT_DEPOSIT_POLICY, ...(branch?.depositPolicy || {}) };
+  return {
+    ...policy,
+    cutoffHours: parseFloat(policy.cutoffHours) || 0,
+    noShowFee: parseFloat(policy.noShowFee) || 0
+  };
+};
+
+/**
+ * Work out the deposit for one service
+ * @param {Object|null} config - { type, value } from branchDeposits[branchId]
+ * @param {number} price - Service price at the branch
+ * @returns {number} - Deposit amount
+ */
+export const getServiceDepositAmount = (config, price = 0) => {
+  const value = parseFloat(config?.value) || 0;
+  if (value <= 0) return 0;
+  if (config.type === DEPOSIT_TYPES.PERCENTAGE) {
+    return round2((price * Math.min(value, 100)) / 100);
+  }
+  return round2(value);
+};
+
+/**
+ * Format a service deposit config for display
+ * @param {Object|null} config - { type, value }
+ * @returns {string} - e.g. "₱500" or "30%", empty when no deposit is required
+ */
+export const formatDepositRequirement = (config) => {
+  const value = parseFloat(config?.value) || 0;
+  if (value <= 0) return '';
+  return config.type === DEPOSIT_TYPES.PERCENTAGE ? `${value}%` : `₱${value.toLocaleString()}`;
+};
+
+/**
+ * Total deposit required to book the given services at a branch
+ * @param {string} branchId - Branch ID
+ * @param {Array} services - Appointment services ({ serviceId, price })
+ * @returns {Promise<number>} - Required deposit
+ */
+export const calculateRequiredDeposit = async (branchId, services = []) => {
+  try {
+    const amounts = await Promise.all(services.filter(svc => svc.serviceId).map(async (svc) => {
+      const serviceSnap = await getDoc(doc(db, SERVICES_COLLECTION, svc.serviceId));
+      if (!serviceSnap.exists()) return 0;
+      const data = serviceSnap.data();
+      const price = parseFloat(svc.price ?? svc.servicePrice ?? data.branchPricing?.[branchId]) || 0;
+      return getServiceDepositAmount(data.branchDeposits?.[branchId], price);
+    }));
+    return round2(amounts.reduce((sum, amount) => sum + amount, 0));
+  } catch (error) {
+    console.error('Error calculating required deposit:', error);
+    throw error;
+  }
+};
+
+/**
+ * Record a deposit paid against an appointment
+ * Cash deposits are added to the cashier's open drawer as a paid-in
+ * @param {Object} appointment - Appointment
+ * @param {Object} depositData - { amount, method, reference }
+ * @param {Object} currentUser - User recording the deposit
+ * @returns {Promise<Object>} - Stored deposit
+ */
+export const recordAppointmentDeposit = async (appointment, depositData, currentUser) => {
+  try {
+    const amount = round2(parseFloat(depositData.amount) || 0);
+    if (amount <= 0) {
+      throw new Error('Deposit amount must be greater than zero');
+    }
+    if (!Object.values(DEPOSIT_PAYMENT_METHODS).includes(depositData.method)) {
+      throw new Error('Invalid deposit payment method');
+    }
+    if (appointment.deposit && appointment.deposit.status !== DEPOSIT_STATUS.REFUNDED) {
+      throw new Error('A deposit has already been recorded for this appointment');
+    }
+
+    const { userId, userName } = getUserInfo(currentUser);
+    const deposit = {
+      amount,
+      method: depositData.method,
+      reference: depositData.reference?.trim() || null,
+      status: DEPOSIT_STATUS.HELD,
+      paidAt: Timestamp.now(),
+      recordedBy: userId,
+      recordedByName: userName
+    };
+
+    await updateDoc(doc(db, APPOINTMENTS_COLLECTION, appointment.id), {
+      deposit,
+      history: [...(appointment.history || []), {
+        action: 'deposit_recorded',
+        by: userId,
+        timestamp: new Date().toISOString(),
+        notes: `Deposit of ₱${amount.toFixed(2)} (${depositData.method})`
+      }],
+      updatedAt: Timestamp.now()
+    });
+
+    if (deposit.method === DEPOSIT_PAYMENT_METHODS.CASH) {
+      try {
+        const { getOpenDrawerSession, addDrawerEntry, DRAWER_ENTRY_TYPES } = await import('./drawerSessionService');
+        const session = await getOpenDrawerSession(appointment.branchId, userId);
+        if (session) {
+          await addDrawerEntry(session.id, {
+            type: DRAWER_ENTRY_TYPES.PAID_IN,
+            amount,
+            reason: `Deposit for ${appointment.clientName || 'appointment'} (${appointment.id})`
+          }, currentUser);
+        }
+      } catch (drawerError) {
+        console.error('Error adding deposit to cash drawer:', drawerError);
+        // Don't fail the deposit if the drawer entry fails
+      }
+    }
+
+    await logActivity({
+      performedBy: userId,
+      action: 'RECORD_APPOINTMENT_DEPOSIT',
+      targetType: 'appointment',
+      targetId: appointment.id,
+      details: `Recorded ₱${amount.toFixed(2)} deposit for ${appointment.clientName || appointment.clientId}`,
+      metadata: { branchId: appointment.branchId, amount, method: deposit.method }
+    });
+
+    toast.success('Deposit recorded');
+    return deposit;
+  } catch (error) {
+    console.error('Error recording deposit:', error);
+    toast.error(error.message || 'Failed to record deposit');
+    throw error;
+  }
+};
+
+/**
+ * Mark a deposit that is due back to the client as refunded
+ * Cash refunds are taken out of the cashier's open drawer as a paid-out
+ * @param {Object} appointment - Appointment with a refund-due deposit
+ * @param {Object} currentUser - User refunding the deposit
+ * @returns {Promise<void>}
+ */
+export const refundAppointmentDeposit = async (appointment, currentUser) => {
+  try {
+    const deposit = appointment.deposit;
+    if (!deposit || deposit.status !== DEPOSIT_STATUS.REFUND_DUE) {
+      throw new Error('This appointment has no deposit to refund');
+    }
+
+    const { userId, userName } = getUserInfo(currentUser);
+    const refundAmount = deposit.refundDueAmount ?? deposit.amount;
+    await updateDoc(doc(db, APPOINTMENTS_COLLECTION, appointment.id), {
+      deposit: {
+        ...deposit,
+        status: DEPOSIT_STATUS.REFUNDED,
+        refundedAmount: refundAmount,
+        refundedAt: Timestamp.now(),
+        refundedBy: userId,
+        refundedByName: userName
+      },
+      history: [...(appointment.history || []), {
+        action: 'deposit_refunded',
+        by: userId,
+        timestamp: new Date().toISOString(),
+        notes: `Refunded ₱${refundAmount.toFixed(2)} deposit`
+      }],
+      updatedAt: Timestamp.now()
+    });
+
+    if (deposit.method === DEPOSIT_PAYMENT_METHODS.CASH) {
+      try {
+        const { getOpenDrawerSession, addDrawerEntry, DRAWER_ENTRY_TYPES } = await import('./drawerSessionService');
+        const session = await getOpenDrawerSession(appointment.branchId, userId);
+        if (session) {
+          await addDrawerEntry(session.id, {
+            type: DRAWER_ENTRY_TYPES.PAID_OUT,
+            amount: refundAmount,
+            reason: `Deposit refund for ${appointment.clientName || 'appointment'} (${appointment.id})`
+          }, currentUser);
+        }
+      } catch (drawerError) {
+        console.error('Error taking deposit refund from cash drawer:', drawerError);
+      }
+    }
+
+    await logActivity({
+      performedBy: userId,
+      action: 'REFUND_APPOINTMENT_DEPOSIT',
+      targetType: 'appointment',
+      targetId: appointment.id,
+      details: `Refunded ₱${refundAmount.toFixed(2)} deposit to ${appointment.clientName || appointment.clientId}`,
+      metadata: { branchId: appointment.branchId, amount: refundAmount }
+    });
+
+    toast.success('Deposit marked as refunded');
+  } catch (error) {
+    console.error('Error refunding deposit:', error);
+    toast.error(error.message || 'Failed to refund deposit');
+    throw error;
+  }
+};
+
+/**
+ * Work out what the deposit policy does to an appointment that was marked
+ * no-show or cancelled. Only appointments that required a deposit are subject
+ * to the policy; a cancellation with at least cutoffHours notice is always refunded.
+ * @param {Object} appointment - Appointment (appointmentDate as Date or Timestamp)
+ * @param {string} outcome - 'no_show' or 'cancelled'
+ * @param {Object} policy - Branch deposit policy
+ * @param {Date} now - Time of the status change
+ * @returns {Object|null} - { action, isLate, deposit, noShowFee, summary } or null when the policy does not apply
+ */
+export const getDepositPolicyOutcome = (appointment, outcome, policy, now = new Date()) => {
+  const heldAmount = appointment.deposit?.status === DEPOSIT_STATUS.HELD ? appointment.deposit.amount : 0;
+  if (!(appointment.depositRequired > 0) && heldAmount === 0) return null;
+
+  let action;
+  let isLate = false;
+  if (outcome === 'no_show') {
+    action = policy.noShowAction;
+  } else {
+    const appointmentDate = toDate(appointment.appointmentDate);
+    const hoursNotice = appointmentDate ? (appointmentDate - now) / (60 * 60 * 1000) : Infinity;
+    isLate = hoursNotice < policy.cutoffHours;
+    action = isLate ? policy.lateCancelAction : DEPOSIT_POLICY_ACTIONS.REFUND;
+  }
+
+  const reason = outcome === 'no_show' ? 'no_show' : 'late_cancellation';
+  let deposit = null;
+  let noShowFee = null;
+  let summary;
+
+  if (action === DEPOSIT_POLICY_ACTIONS.FEE && policy.noShowFee > 0) {
+    const retained = Math.min(heldAmount, policy.noShowFee);
+    const balance = round2(policy.noShowFee - retained);
+    if (heldAmount > 0) {
+      deposit = {
+        ...appointment.deposit,
+        status: heldAmount > retained ? DEPOSIT_STATUS.REFUND_DUE : DEPOSIT_STATUS.FORFEITED,
+        retainedAmount: round2(retained),
+        refundDueAmount: round2(heldAmount - retained),
+        resolution: reason
+      };
+    }
+    noShowFee = {
+      amount: policy.noShowFee,
+      coveredByDeposit: round2(retained),
+      balance,
+      status: balance > 0 ? NO_SHOW_FEE_STATUS.OWED : NO_SHOW_FEE_STATUS.SETTLED,
+      reason
+    };
+    summary = `₱${policy.noShowFee.toFixed(2)} fee charged${retained > 0 ? `, ₱${retained.toFixed(2)} taken from the deposit` : ''}`;
+  } else if (action === DEPOSIT_POLICY_ACTIONS.FORFEIT && heldAmount > 0) {
+    deposit = {
+      ...appointment.deposit,
+      status: DEPOSIT_STATUS.FORFEITED,
+      retainedAmount: heldAmount,
+      refundDueAmount: 0,
+      resolution: reason
+    };
+    summary = `₱${heldAmount.toFixed(2)} deposit forfeited`;
+  } else if (heldAmount > 0) {
+    deposit = {
+      ...appointment.deposit,
+      status: DEPOSIT_STATUS.REFUND_DUE,
+      retainedAmount: 0,
+      refundDueAmount: heldAmount,
+      resolution: outcome === 'no_show' ? reason : 'cancelled'
+    };
+    summary = `₱${heldAmount.toFixed(2)} deposit to be refunded`;
+  } else {
+    return null;
+  }
+
+  return { action, isLate, deposit, noShowFee, summary };
+};
+
+/**
+ * Apply the branch deposit policy to an appointment being marked no-show or cancelled
+ * @param {Object} appointment - Appointment before the status change
+ * @param {string} outcome - 'no_show' or 'cancelled'
+ * @returns {Promise<Object>} - { updates, summary }; updates are merged into the appointment (empty when the policy does not apply)
+ */
+export const getDepositPolicyUpdates = async (appointment, outcome) => {
+  const branch = await getBranchById(appointment.branchId).catch(() => null);
+  const result = getDepositPolicyOutcome(appointment, outcome, getBranchDepositPolicy(branch));
+  if (!result) return { updates: {}, summary: null };
+
+  const updates = {};
+  if (result.deposit) {
+    updates.deposit = { ...result.deposit, resolvedAt: Timestamp.now() };
+  }
+  if (result.noShowFee) {
+    updates.noShowFee = { ...result.noShowFee, chargedAt: Timestamp.now() };
+  }
+  return { updates, summary: result.summary };
+};
+
+/**
+ * Mark an appointment's deposit as used on its bill
+ * A deposit larger than the bill leaves the difference due back to the client
+ * @param {string} appointmentId - Appointment ID
+ * @param {number} amount - Amount applied as a tender
+ * @param {string} billId - Bill ID
+ * @returns {Promise<void>}
+ */
+export const applyDepositToBill = async (appointmentId, amount, billId) => {
+  const appointmentRef = doc(db, APPOINTMENTS_COLLECTION, appointmentId);
+  const appointmentSnap = await getDoc(appointmentRef);
+  const deposit = appointmentSnap.exists() ? appointmentSnap.data().deposit : null;
+  if (!deposit || deposit.status !== DEPOSIT_STATUS.HELD) return;
+
+  const excess = round2(deposit.amount - amount);
+  await updateDoc(appointmentRef, {
+    deposit: {
+      ...deposit,
+      status: excess > 0 ? DEPOSIT_STATUS.REFUND_DUE : DEPOSIT_STATUS.APPLIED,
+      appliedAmount: round2(amount),
+      refundDueAmount: Math.max(0, excess),
+      billId,
+      resolvedAt: Timestamp.now()
+    },
+    updatedAt: Timestamp.now()
+  });
+};
+
+/**
+ * Put a deposit back on hold when the bill it was applied to is voided
+ * @param {string} appointmentId - Appointment ID
+ * @param {string} billId - Voided bill ID
+ * @returns {Promise<void>}
+ */
+export const releaseDepositFromBill = async (appointmentId, billId) => {
+  const appointmentRef = doc(db, APPOINTMENTS_COLLECTION, appointmentId);
+  const appointmentSnap = await getDoc(appointmentRef);
+  const deposit = appointmentSnap.exists() ? appointmentSnap.data().deposit : null;
+  if (!deposit || deposit.billId !== billId) return;
+
+  await updateDoc(appointmentRef, {
+    deposit: {
+      ...deposit,
+      status: DEPOSIT_STATUS.HELD,
+      appliedAmount: null,
+      refundDueAmount: null,
+      billId: null,
+      resolvedAt: null
+    },
+    updatedAt: Timestamp.now()
+  });
+};
+
+/**
+ * Get a client's unpaid no-show and late-cancellation fees
+ * @param {string} clientId - Client ID
+ * @returns {Promise<Array>} - Appointments with an owed noShowFee
+ */
+export const getOutstandingNoShowFees = async (clientId) => {
+  try {
+    const snapshot = await getDocs(query(
+      collection(db, APPOINTMENTS_COLLECTION),
+      where('clientId', '==', clientId)
+    ));
+    return snapshot.docs
+      .map(appointmentDoc => ({ id: appointmentDoc.id, ...appointmentDoc.data() }))
+      .filter(appointment => appointment.noShowFee?.status === NO_SHOW_FEE_STATUS.OWED && appointment.noShowFee.balance > 0)
+      .map(appointment => ({
+        ...appointment,
+        appointmentDate: toDate(appointment.appointmentDate)
+      }));
+  } catch (error) {
+    console.error('Error fetching outstanding no-show fees:', error);
+    throw error;
+  }
+};
+
+/**
+ * Mark no-show fees as paid by a bill
+ * @param {Array} appointmentIds - Appointments whose fees were on the bill
+ * @param {string} billId - Bill ID
+ * @returns {Promise<void>}
+ */
+export const settleNoShowFees = async (appointmentIds, billId) => {
+  for (const appointmentId of appointmentIds) {
+    const appointmentRef = doc(db, APPOINTMENTS_COLLECTION, appointmentId);
+    const appointmentSnap = await getDoc(appointmentRef);
+    const noShowFee = appointmentSnap.exists() ? appointmentSnap.data().noShowFee : null;
+    if (!noShowFee || noShowFee.status !== NO_SHOW_FEE_STATUS.OWED) continue;
+
+    await updateDoc(appointmentRef, {
+      noShowFee: {
+        ...noShowFee,
+        status: NO_SHOW_FEE_STATUS.SETTLED,
+        balance: 0,
+        billId,
+        settledAt: Timestamp.now()
+      },
+      updatedAt: Timestamp.now()
+    });
+  }
+};
+
+/**
+ * Put no-show fees back to owed when the bill that paid them is voided
+ * @param {Array} appointmentIds - Appointments whose fees were on the bill
+ * @param {string} billId - Voided bill ID
+ * @returns {Promise<void>}
+ */
+export const reopenNoShowFeesFromBill = async (appointmentIds, billId) => {
+  for (const appointmentId of appointmentIds) {
+    const appointmentRef = doc(db, APPOINTMENTS_COLLECTION, appointmentId);
+    const appointmentSnap = await getDoc(appointmentRef);
+    const noShowFee = appointmentSnap.exists() ? appointmentSnap.data().noShowFee : null;
+    if (!noShowFee || noShowFee.billId !== billId) continue;
+
+    await updateDoc(appointmentRef, {
+      noShowFee: {
+        ...noShowFee,
+        status: NO_SHOW_FEE_STATUS.OWED,
+        balance: round2((noShowFee.amount || 0) - (noShowFee.coveredByDeposit || 0)),
+        billId: null,
+        settledAt: null
+      },
+      updatedAt: Timestamp.now()
+    });
+  }
+};
+
+/**
+ * Deposits a branch kept under its policy in a period: forfeited outright, or taken
+ * towards a no-show fee. No bill carries them, so reports add them to revenue on the
+ * day they were kept.
+ * @param {string} branchId - Branch ID
+ * @param {Date} startDate - Start of the period
+ * @param {Date} endDate - End of the period
+ * @returns {Promise<Object>} - { total, deposits: [{ appointmentId, clientName, amount, resolution, resolvedAt }] }
+ */
+export const getRetainedDeposits = async (branchId, startDate, endDate) => {
+  try {
+    // Filter branch client-side to avoid a composite index
+    const snapshot = await getDocs(query(
+      collection(db, APPOINTMENTS_COLLECTION),
+      where('deposit.resolvedAt', '>=', Timestamp.fromDate(startDate)),
+      where('deposit.resolvedAt', '<=', Timestamp.fromDate(endDate))
+    ));
+
+    const deposits = snapshot.docs
+      .map(appointmentDoc => ({ id: appointmentDoc.id, ...appointmentDoc.data() }))
+      .filter(appointment => appointment.branchId === branchId && appointment.deposit?.retainedAmount > 0)
+      .map(appointment => ({
+        appointmentId: appointment.id,
+        clientName: appointment.clientName || '',
+        amount: round2(appointment.deposit.retainedAmount),
+        resolution: appointment.deposit.resolution || null,
+        resolvedAt: toDate(appointment.deposit.resolvedAt)
+      }));
+
+    return {
+      total: round2(deposits.reduce((sum, deposit) => sum + deposit.amount, 0)),
+      deposits
+    };
+  } catch (error) {
+    console.error('Error fetching retained deposits:', error);
+    return { total: 0, deposits: [] };
+  }
+};
@@ -17,13 +17,27 @@ import {
   limit as firestoreLimit,
   startAfter,
   Timestamp,
-  serverTimestamp
+  serverTimestamp,
+  onSnapshot
 } from 'firebase/firestore';
 import { db } from '../config/firebase';
+import { getDayAvailability, getSlotAvailability } from './availabilityService';
 import { getBranchById } from './branchService';
-import { getBranchCalendar } from './branchCalendarService';
-import { getScheduleConfigurationsByBranch } from './scheduleService';
+import {
+  BOOKING_CHANNELS,
+  getBranchBookingPolicy,
+  getBookingWindowError,
+  getChangeCutoffError,
+  countOnlineBookingsOnDay
+} from './bookingPolicyService';
+import {
+  getBranchReliabilityPolicy,
+  getClientReliability,
+  refreshClientReliability,
+  RELIABILITY_LEVELS
+} from './clientReliabilityService';
 import { logActivity } from './activityService';
+import { calculateRequiredDeposit, getDepositPolicyUpdates } from './appointmentDepositService';
 import { 
   storeAppointmentCreated, 
   storeAppointmentConfirmed, 
@@ -317,6 +331,37 @@ export const getAppointmentsByDateRange = async (branchId, startDate, endDate) =
   }
 };
 
+/**
+ * Listen to a branch's appointments in a date range, so several screens stay in sync
+ * @param {string} branchId - Branch ID
+ * @param {Date} startDate - Range start
+ * @param {Date} endDate - Range end
+ * @param {Function} callback - Called with the appointments on every change
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToAppointmentsByDateRange = (branchId, startDate, endDate, callback) => {
+  const q = query(
+    collection(db, APPOINTMENTS_COLLECTION),
+    where('branchId', '==', branchId),
+    where('appointmentDate', '>=', Timestamp.fromDate(startDate)),
+    where('appointmentDate', '<=', Timestamp.fromDate(endDate)),
+    orderBy('appointmentDate', 'asc')
+  );
+
+  return onSnapshot(q, (snapshot) => {
+    callback(snapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data(),
+      appointmentDate: doc.data().appointmentDate?.toDate(),
+      createdAt: doc.data().createdAt?.toDate(),
+      updatedAt: doc.data().updatedAt?.toDate()
+    })));
+  }, (error) => {
+    console.error('Error in appointments subscription:', error);
+    toast.error('Live appointment updates stopped - please reload');
+  });
+};
+
 /**
  * Get single appointment by ID
  */
@@ -345,8 +390,17 @@ export const getAppointmentById = async (appointmentId) => {
 
 /**
  * Create new appointment
+ * Appointment data with a recurrence rule books a standing series instead; the first
+ * occurrence's ID is returned.
+ * @param {Object} options - { silent } - silent skips the success toast (used for series occurrences)
  */
-export const createAppointment = async (appointmentData, currentUser) => {
+export const createAppointment = async (appointmentData, currentUser, options = {}) => {
+  if (appointmentData.recurrence && !appointmentData.seriesId) {
+    const { createAppointmentSeries } = await import('./recurringAppointmentService');
+    const { appointmentIds } = await createAppointmentSeries(appointmentData, currentUser);
+    return appointmentIds[0];
+  }
+
   try {
     // Validate required fields
     // For guest clients, clientId is optional but clientName is required
@@ -436,39 +490,38 @@ export const createAppointment = async (appointmentData, currentUser) => {
       }
     }
 
-    // Check for double booking
-    // For multi-service appointments, check each stylist's availability
-    if (appointmentData.services && appointmentData.services.length > 0) {
-      // Check availability for each stylist assigned to services
-      for (const service of appointmentData.services) {
-        if (service.stylistId) {
-          const isAvailable = await checkStylistAvailability(
-            service.stylistId,
-            appointmentData.appointmentDate,
-            appointmentData.duration || 60
-          );
-          
-          if (!isAvailable) {
-            toast.error('Selected time slot is not available for one or more stylists');
-            throw new Error('Time slot not available');
-          }
-        }
-      }
-    } else if (appointmentData.stylistId) {
-      // Single service appointment - check single stylist
-      const isAvailable = await checkStylistAvailability(
-        appointmentData.stylistId,
-        appointmentData.appointmentDate,
-        appointmentData.duration || 60
-      );
+    // Lead time, advance window and the online daily cap
+    await assertBookingPolicy(appointmentData);
 
-      if (!isAvailable) {
-        toast.error('Selected time slot is not available');
-        throw new Error('Time slot not available');
-      }
+    // Check for double booking, leave, lending, breaks and shared resources
+    await assertSlotAvailable(appointmentData, {
+      branchId: appointmentData.branchId,
+      appointmentDate: appointmentData.appointmentDate,
+      duration: appointmentData.duration || 60
+    });
+
+    let defaultStatus = appointmentData.status || APPOINTMENT_STATUS.PENDING;
+
+    // Long services can require a deposit to hold the slot
+    let depositRequired = 0;
+    try {
+      depositRequired = await calculateRequiredDeposit(
+        appointmentData.branchId,
+        appointmentData.services || [{ serviceId: appointmentData.serviceId, price: appointmentData.servicePrice }]
+      );
+    } catch (error) {
+      console.error('Error calculating appointment deposit:', error);
+      // Book without a deposit requirement rather than failing the booking
     }
 
-    const defaultStatus = appointmentData.status || APPOINTMENT_STATUS.PENDING;
+    // Online bookings from low-reliability clients can need a deposit or a receptionist's approval
+    const reliabilityHold = await getReliabilityHold(appointmentData);
+    if (reliabilityHold.deposit > depositRequired) {
+      depositRequired = reliabilityHold.deposit;
+    }
+    if (reliabilityHold.requiresApproval) {
+      defaultStatus = APPOINTMENT_STATUS.PENDING;
+    }
     
     // Build initial history entry
     const initialHistory = [{
@@ -490,7 +543,13 @@ export const createAppointment = async (appointmentData, currentUser) => {
     const newAppointment = {
       ...appointmentData,
       appointmentDate: Timestamp.fromDate(new Date(appointmentData.appointmentDate)),
+      bookingChannel: appointmentData.bookingChannel || BOOKING_CHANNELS.FRONT_DESK,
       status: defaultStatus,
+      depositRequired,
+      ...(reliabilityHold.requiresApproval ? {
+        requiresApproval: true,
+        approvalReason: reliabilityHold.reason
+      } : {}),
       createdBy: currentUser.uid,
       createdAt: serverTimestamp(),
       updatedAt: serverTimestamp(),
@@ -514,6 +573,10 @@ export const createAppointment = async (appointmentData, currentUser) => {
       // Don't fail appointment creation if notification fails
     }
 
+    if (defaultStatus === APPOINTMENT_STATUS.CONFIRMED) {
+      await sendConfirmationEmail(appointmentForNotification);
+    }
+
     // Log activity
     await logActivity({
       performedBy: currentUser.uid,
@@ -529,11 +592,13 @@ export const createAppointment = async (appointmentData, currentUser) => {
       }
     });
 
-    toast.success('Appointment created successfully');
+    if (!options.silent) {
+      toast.success('Appointment created successfully');
+    }
     return docRef.id;
   } catch (error) {
     console.error('Error creating appointment:', error);
-    if (error.message !== 'Time slot not available') {
+    if (error.message !== 'Time slot not available' && error.message !== 'Booking policy violation') {
       toast.error('Failed to create appointment');
     }
     throw error;
@@ -542,8 +607,9 @@ export const createAppointment = async (appointmentData, currentUser) => {
 
 /**
  * Update appointment
+ * @param {Object} options - { silent } - silent skips the success toast (used for series edits)
  */
-export const updateAppointment = async (appointmentId, updates, currentUser) => {
+export const updateAppointment = async (appointmentId, updates, currentUser, options = {}) => {
   try {
     const appointmentRef = doc(db, APPOINTMENTS_COLLECTION, appointmentId);
     
@@ -563,39 +629,32 @@ export const updateAppointment = async (appointmentId, updates, currentUser) =>
         toast.error('Rescheduling is not allowed for appointments that have already been paid.');
         throw new Error('Reschedule not allowed - appointment paid');
       }
+
+      // The branch booking policy sets the reschedule cutoff and where the new time may fall
+      if (new Date(updates.appointmentDate).getTime() !== new Date(appointment.appointmentDate).getTime()) {
+        const policy = getBranchBookingPolicy(await getBranchById(appointment.branchId));
+        // Only staff reschedule, so the new time is held to the front desk's window
+        const policyError = getChangeCutoffError(policy, appointment.appointmentDate, 'reschedule') ||
+          getBookingWindowError(policy, updates.appointmentDate, {
+            channel: BOOKING_CHANNELS.FRONT_DESK,
+            checkAdvance: !(appointment.occurrenceIndex > 1)
+          });
+        if (policyError) {
+          toast.error(policyError);
+          throw new Error('Reschedule not allowed - booking policy');
+        }
+      }
       
       // Check availability for multi-service or single-service
-      if (updates.services && updates.services.length > 0) {
-        // Multi-service: check each stylist
-        for (const service of updates.services) {
-          if (service.stylistId) {
-            const isAvailable = await checkStylistAvailability(
-              service.stylistId,
-              updates.appointmentDate,
-              updates.duration || appointment.duration || 60,
-              appointmentId // Exclude current appointment
-            );
-
-            if (!isAvailable) {
-              toast.error('Selected time slot is not available for one or more stylists');
-              throw new Error('Time slot not available');
-            }
-          }
-        }
-      } else {
-        // Single service: check single stylist
-        const isAvailable = await checkStylistAvailability(
-          updates.stylistId || appointment.stylistId,
-          updates.appointmentDate,
-          updates.duration || appointment.duration || 60,
-          appointmentId // Exclude current appointment
-        );
-
-        if (!isAvailable) {
-          toast.error('Selected time slot is not available');
-          throw new Error('Time slot not available');
+      await assertSlotAvailable(
+        updates.services && updates.services.length > 0 ? updates : { ...appointment, ...updates },
+        {
+          branchId: appointment.branchId,
+          appointmentDate: updates.appointmentDate,
+          duration: updates.duration || appointment.duration || 60,
+          excludeAppointmentId: appointmentId
         }
-      }
+      );
 
       updates.appointmentDate = Timestamp.fromDate(new Date(updates.appointmentDate));
     }
@@ -677,6 +736,12 @@ export const updateAppointment = async (appointmentId, updates, currentUser) =>
       if (cleanUpdates.status === APPOINTMENT_STATUS.CANCELLED && cleanUpdates.cancelReason) {
         historyEntry.reason = cleanUpdates.cancelReason;
       }
+      // Confirming a held booking approves it
+      if (cleanUpdates.status === APPOINTMENT_STATUS.CONFIRMED && appointmentBeforeUpdate.requiresApproval) {
+        cleanUpdates.requiresApproval = false;
+        cleanUpdates.approvedBy = currentUser.uid;
+        historyEntry.notes = 'Approved booking held for low reliability';
+      }
     } else {
       historyEntry.action = 'updated';
       historyEntry.notes = 'Appointment updated';
@@ -704,6 +769,7 @@ export const updateAppointment = async (appointmentId, updates, currentUser) =>
         switch (newStatus) {
           case APPOINTMENT_STATUS.CONFIRMED:
             await storeAppointmentConfirmed(appointmentForNotification);
+            await sendConfirmationEmail(appointmentForNotification);
             break;
           case APPOINTMENT_STATUS.CANCELLED:
             await storeAppointmentCancelled(appointmentForNotification);
@@ -718,6 +784,8 @@ export const updateAppointment = async (appointmentId, updates, currentUser) =>
       } catch (error) {
         console.error('Error sending status change notification:', error);
       }
+
+      await refreshReliabilityFor(updatedAppointment);
     }
 
     // Send notification if rescheduled (appointmentDate changed)
@@ -734,6 +802,16 @@ export const updateAppointment = async (appointmentId, updates, currentUser) =>
       } catch (error) {
         console.error('Error sending rescheduled notification:', error);
       }
+
+      // The old slot is free now; offer it to the branch waitlist
+      if (oldDateMillis !== newDateMillis) {
+        try {
+          const { offerFreedSlot } = await import('./waitlistService');
+          await offerFreedSlot(appointmentBeforeUpdate);
+        } catch (error) {
+          console.error('Error offering rescheduled slot to waitlist:', error);
+        }
+      }
     }
 
     // Send transfer notification if stylist changed and clientType is TR
@@ -765,10 +843,12 @@ export const updateAppointment = async (appointmentId, updates, currentUser) =>
       metadata: updates
     });
 
-    toast.success('Appointment updated successfully');
+    if (!options.silent) {
+      toast.success('Appointment updated successfully');
+    }
   } catch (error) {
     console.error('Error updating appointment:', error);
-    if (error.message !== 'Time slot not available') {
+    if (error.message !== 'Time slot not available' && error.message !== 'Reschedule not allowed - booking policy') {
       toast.error('Failed to update appointment');
     }
     throw error;
@@ -777,8 +857,10 @@ export const updateAppointment = async (appointmentId, updates, currentUser) =>
 
 /**
  * Update appointment status
+ * @param {Object} options - { silent, reason } - silent skips the success toast (used by the no-show job),
+ *   reason is recorded on the history entry
  */
-export const updateAppointmentStatus = async (appointmentId, status, currentUser, postServiceNotes = null, servicesAssessment = null) => {
+export const updateAppointmentStatus = async (appointmentId, status, currentUser, postServiceNotes = null, servicesAssessment = null, options = {}) => {
   try {
     const appointmentRef = doc(db, APPOINTMENTS_COLLECTION, appointmentId);
     
@@ -842,10 +924,29 @@ export const updateAppointmentStatus = async (appointmentId, status, currentUser
       by: currentUser.uid,
       timestamp: new Date().toISOString()
     };
+
+    // Confirming a held booking approves it
+    if (status === APPOINTMENT_STATUS.CONFIRMED && currentAppointment.requiresApproval) {
+      updates.requiresApproval = false;
+      updates.approvedBy = currentUser.uid;
+      historyEntry.notes = 'Approved booking held for low reliability';
+    }
+
+    // No-shows and cancellations settle the deposit under the branch policy
+    if (status === APPOINTMENT_STATUS.NO_SHOW || status === APPOINTMENT_STATUS.CANCELLED) {
+      const depositPolicy = await getDepositPolicyUpdates(currentAppointment, status);
+      Object.assign(updates, depositPolicy.updates);
+      if (depositPolicy.summary) {
+        historyEntry.notes = depositPolicy.summary;
+      }
+    }
     
     if (status === APPOINTMENT_STATUS.CANCELLED && postServiceNotes) {
       historyEntry.reason = postServiceNotes;
     }
+    if (options.reason) {
+      historyEntry.reason = options.reason;
+    }
     
     // Add history to updates
     updates.history = [...(currentAppointment.history || []), historyEntry];
@@ -865,6 +966,7 @@ export const updateAppointmentStatus = async (appointmentId, status, currentUser
       switch (status) {
         case APPOINTMENT_STATUS.CONFIRMED:
           await storeAppointmentConfirmed(appointmentForNotification);
+          await sendConfirmationEmail(appointmentForNotification);
           break;
         case APPOINTMENT_STATUS.CANCELLED:
           await storeAppointmentCancelled(appointmentForNotification);
@@ -881,17 +983,21 @@ export const updateAppointmentStatus = async (appointmentId, status, currentUser
       // Don't fail status update if notification fails
     }
 
+    await refreshReliabilityFor(updatedAppointment);
+
     // Log activity
     await logActivity({
       performedBy: currentUser.uid,
       action: 'UPDATE_APPOINTMENT_STATUS',
       targetType: 'appointment',
       targetId: appointmentId,
-      details: `Changed appointment status to ${status}`,
+      details: options.reason ? `Changed appointment status to ${status}: ${options.reason}` : `Changed appointment status to ${status}`,
       metadata: { status }
     });
 
-    toast.success(`Appointment marked as ${status}`);
+    if (!options.silent) {
+      toast.success(`Appointment marked as ${status}`);
+    }
   } catch (error) {
     console.error('Error updating appointment status:', error);
     toast.error('Failed to update appointment status');
@@ -1026,11 +1132,23 @@ export const createWalkInAppointment = async (walkInData, currentUser) => {
 
 /**
  * Cancel appointment
+ * @param {boolean} bypassValidation - Skip the branch cancellation cutoff
+ * @param {Object} options - { silent } - silent skips the success toast (used for series cancellation)
  */
-export const cancelAppointment = async (appointmentId, reason, currentUser, bypassValidation = false) => {
+export const cancelAppointment = async (appointmentId, reason, currentUser, bypassValidation = false, options = {}) => {
   try {
     const appointmentRef = doc(db, APPOINTMENTS_COLLECTION, appointmentId);
     const appointment = await getAppointmentById(appointmentId);
+
+    // The branch booking policy may close cancellations shortly before the start time
+    if (!bypassValidation) {
+      const policy = getBranchBookingPolicy(await getBranchById(appointment.branchId));
+      const cutoffError = getChangeCutoffError(policy, appointment.appointmentDate, 'cancel');
+      if (cutoffError) {
+        toast.error(cutoffError);
+        throw new Error('Cancellation not allowed - booking policy');
+      }
+    }
     
     // Build history entry
     const historyEntry = {
@@ -1039,8 +1157,15 @@ export const cancelAppointment = async (appointmentId, reason, currentUser, bypa
       timestamp: new Date().toISOString(),
       reason: reason || 'No reason provided'
     };
+
+    // Late cancellations settle the deposit under the branch policy
+    const depositPolicy = await getDepositPolicyUpdates(appointment, APPOINTMENT_STATUS.CANCELLED);
+    if (depositPolicy.summary) {
+      historyEntry.notes = depositPolicy.summary;
+    }
     
     await updateDoc(appointmentRef, {
+      ...depositPolicy.updates,
       status: APPOINTMENT_STATUS.CANCELLED,
       cancellationReason: reason || 'No reason provided',
       cancelledBy: currentUser.uid,
@@ -1064,6 +1189,16 @@ export const cancelAppointment = async (appointmentId, reason, currentUser, bypa
       // Don't fail cancellation if notification fails
     }
 
+    // Offer the freed slot to the branch waitlist
+    try {
+      const { offerFreedSlot } = await import('./waitlistService');
+      await offerFreedSlot(appointment);
+    } catch (error) {
+      console.error('Error offering cancelled slot to waitlist:', error);
+    }
+
+    await refreshReliabilityFor(updatedAppointment);
+
     // Log activity
     await logActivity({
       performedBy: currentUser.uid,
@@ -1074,10 +1209,14 @@ export const cancelAppointment = async (appointmentId, reason, currentUser, bypa
       metadata: { reason }
     });
 
-    toast.success('Appointment cancelled successfully');
+    if (!options.silent) {
+      toast.success('Appointment cancelled successfully');
+    }
   } catch (error) {
     console.error('Error cancelling appointment:', error);
-    toast.error('Failed to cancel appointment');
+    if (error.message !== 'Cancellation not allowed - booking policy') {
+      toast.error('Failed to cancel appointment');
+    }
     throw error;
   }
 };
@@ -1116,282 +1255,170 @@ export const deleteAppointment = async (appointmentId, currentUser) => {
 };
 
 /**
- * Check stylist availability for a time slot
- * Now checks both old format (stylistId field) and new format (services array)
+ * Email the client their confirmation with the appointment attached as an .ics file
+ * Never fails the calling operation; a missing email or Brevo key just skips it.
+ * @param {Object} appointment - Appointment with id and clientEmail
  */
-export const checkStylistAvailability = async (stylistId, appointmentDate, duration = 60, excludeAppointmentId = null) => {
+const sendConfirmationEmail = async (appointment) => {
+  if (!appointment.clientEmail) return;
   try {
-    if (!stylistId) return true; // If no stylist assigned, allow booking
-
-    const startTime = new Date(appointmentDate);
-    const endTime = new Date(startTime.getTime() + duration * 60000);
-
-    const appointmentsRef = collection(db, APPOINTMENTS_COLLECTION);
-    
-    // Get all appointments for the date range with active statuses
-    // We need to fetch all and filter client-side because Firestore can't query nested array fields
-    const dateStart = new Date(appointmentDate);
-    dateStart.setHours(0, 0, 0, 0);
-    const dateEnd = new Date(appointmentDate);
-    dateEnd.setHours(23, 59, 59, 999);
-    
-    const q = query(
-      appointmentsRef,
-      where('appointmentDate', '>=', Timestamp.fromDate(dateStart)),
-      where('appointmentDate', '<=', Timestamp.fromDate(dateEnd)),
-      where('status', 'in', [APPOINTMENT_STATUS.PENDING, APPOINTMENT_STATUS.CONFIRMED, APPOINTMENT_STATUS.IN_SERVICE])
-    );
-    
-    const snapshot = await getDocs(q);
-    
-    for (const doc of snapshot.docs) {
-      if (excludeAppointmentId && doc.id === excludeAppointmentId) {
-        continue; // Skip the appointment being updated
-      }
-
-      const existingAppointment = doc.data();
-      
-      // Check if stylist is assigned to this appointment
-      let isStylistAssigned = false;
-      
-      // Check old format (single stylistId field)
-      if (existingAppointment.stylistId === stylistId) {
-        isStylistAssigned = true;
-      }
-      
-      // Check new format (services array)
-      if (existingAppointment.services && Array.isArray(existingAppointment.services)) {
-        const hasStylist = existingAppointment.services.some(svc => svc.stylistId === stylistId);
-        if (hasStylist) {
-          isStylistAssigned = true;
-        }
-      }
-      
-      if (!isStylistAssigned) {
-        continue; // This appointment doesn't involve the stylist we're checking
-      }
-      
-      // Stylist is assigned, now check for time overlap
-      const existingStart = existingAppointment.appointmentDate.toDate();
-      const existingEnd = new Date(existingStart.getTime() + (existingAppointment.duration || 60) * 60000);
-
-      // Check for overlap
-      if (
-        (startTime >= existingStart && startTime < existingEnd) ||
-        (endTime > existingStart && endTime <= existingEnd) ||
-        (startTime <= existingStart && endTime >= existingEnd)
-      ) {
-        return false; // Time slot is not available
-      }
-    }
-
-    return true; // Time slot is available
+    const { sendAppointmentConfirmationEmail } = await import('./emailService');
+    const branch = appointment.branchId ? await getBranchById(appointment.branchId).catch(() => null) : null;
+    await sendAppointmentConfirmationEmail(appointment, branch);
   } catch (error) {
-    console.error('Error checking stylist availability:', error);
-    return false;
+    console.error('Error sending appointment confirmation email:', error);
   }
 };
 
 /**
- * Get available time slots for a stylist on a specific date
- * Now integrated with branch operating hours and calendar
- * @returns {Object} { slots: Array, message: string|null }
+ * Rescore the appointment's client after an outcome that counts towards reliability
+ * Never fails the calling operation.
+ * @param {Object} appointment - Updated appointment
  */
-export const getAvailableTimeSlots = async (stylistId, branchId, date, serviceDuration = 60) => {
+const refreshReliabilityFor = async (appointment) => {
+  const scoredStatuses = [APPOINTMENT_STATUS.NO_SHOW, APPOINTMENT_STATUS.CANCELLED, APPOINTMENT_STATUS.COMPLETED];
+  if (!appointment.clientId || !scoredStatuses.includes(appointment.status)) return;
   try {
-    // Get branch data for operating hours (fallback)
-    const branch = await getBranchById(branchId);
-    if (!branch) {
-      console.error('Branch not found:', branchId);
-      return { slots: [], message: 'Branch not found' };
-    }
-
-    // Get day of week
-    const selectedDate = new Date(date);
-    const dayOfWeekName = selectedDate.toLocaleDateString('en-US', { weekday: 'long' });
-    const dayOfWeek = dayOfWeekName.toLowerCase();
-    const dayName = dayOfWeekName;
-    
-    // Get schedule configurations for the branch
-    let scheduleConfig = null;
-    let stylistShift = null;
-    
-    try {
-      const scheduleConfigs = await getScheduleConfigurationsByBranch(branchId);
-      // Find the schedule configuration that applies to this date
-      const targetDate = new Date(date);
-      targetDate.setHours(0, 0, 0, 0);
-      
-      // Find the most recent schedule configuration with startDate <= targetDate
-      const applicableConfigs = scheduleConfigs
-        .filter(c => {
-          if (!c.startDate) return false;
-          const configStartDate = new Date(c.startDate);
-          configStartDate.setHours(0, 0, 0, 0);
-          return configStartDate <= targetDate && c.isActive;
-        })
-        .sort((a, b) => {
-          const aTime = new Date(a.startDate).getTime();
-          const bTime = new Date(b.startDate).getTime();
-          return bTime - aTime; // Most recent first
-        });
-      
-      scheduleConfig = applicableConfigs[0] || null;
-      
-      // If stylistId provided, get their shift for this day
-      if (stylistId && scheduleConfig && scheduleConfig.shifts && scheduleConfig.shifts[stylistId]) {
-        stylistShift = scheduleConfig.shifts[stylistId][dayOfWeek] || null;
-      }
-    } catch (scheduleError) {
-      console.warn('Error fetching schedules, falling back to branch operating hours:', scheduleError);
-    }
-    
-    // Determine working hours - prioritize schedules over branch operating hours
-    let startHour, startMinute, endHour, endMinute;
-    let workingHours = null;
-    
-    if (stylistShift && stylistShift.start && stylistShift.end) {
-      // Use stylist-specific shift from schedules
-      [startHour, startMinute] = stylistShift.start.split(':').map(Number);
-      [endHour, endMinute] = stylistShift.end.split(':').map(Number);
-      workingHours = { open: stylistShift.start, close: stylistShift.end };
-    } else {
-      // Fall back to branch operating hours
-      const dayHours = branch.operatingHours?.[dayOfWeek];
-      if (!dayHours) {
-        return { slots: [], message: 'No operating hours configured for this branch' };
-      }
-      
-      // Check if branch is open (backwards compatible with old 'closed' field)
-      const isBranchOpen = dayHours.isOpen !== undefined 
-        ? dayHours.isOpen 
-        : !dayHours.closed; // Fallback to old field
-      
-      if (!isBranchOpen) {
-        return { slots: [], message: `Branch is closed on ${dayName}s` };
-      }
-      
-      workingHours = dayHours;
-      [startHour, startMinute] = workingHours.open.split(':').map(Number);
-      [endHour, endMinute] = workingHours.close.split(':').map(Number);
-    }
+    const policy = getBranchReliabilityPolicy(await getBranchById(appointment.branchId));
+    await refreshClientReliability(appointment.clientId, policy);
+  } catch (error) {
+    console.error('Error refreshing client reliability:', error);
+  }
+};
 
-    // Check calendar for holidays/closures
-    const calendar = await getBranchCalendar(branchId);
-    const dateString = selectedDate.toISOString().split('T')[0];
-    
-    const dayEvents = calendar.filter(entry => {
-      // entry.date is already a Date object (converted by getBranchCalendar)
-      const entryDate = entry.date instanceof Date ? entry.date : new Date(entry.date);
-      const entryDateString = entryDate.toISOString().split('T')[0];
-      return entryDateString === dateString;
-    });
+/**
+ * What the branch reliability rules ask of an online booking from a low-reliability client
+ * Waitlist bookings are exempt, like the other online limits.
+ * @param {Object} appointmentData - { branchId, clientId, bookingChannel, waitlistEntryId }
+ * @returns {Promise<Object>} - { deposit, requiresApproval, reason }
+ */
+const getReliabilityHold = async (appointmentData) => {
+  const hold = { deposit: 0, requiresApproval: false, reason: '' };
+  if (
+    appointmentData.bookingChannel !== BOOKING_CHANNELS.ONLINE ||
+    !appointmentData.clientId ||
+    appointmentData.waitlistEntryId
+  ) {
+    return hold;
+  }
 
-    // Check if there's a holiday or closure
-    const closureEvent = dayEvents.find(e => e.type === 'holiday' || e.type === 'closure');
-    if (closureEvent) {
-      const reason = closureEvent.type === 'holiday' ? 'Holiday' : 'Temporary Closure';
-      const title = closureEvent.title ? ` (${closureEvent.title})` : '';
-      return { slots: [], message: `${reason}${title} - No appointments available` };
-    }
+  try {
+    const policy = getBranchReliabilityPolicy(await getBranchById(appointmentData.branchId));
+    if (!policy.lowReliabilityDeposit && !policy.requireApprovalForLowReliability) return hold;
 
-    // Check for special hours (override working hours)
-    const specialHours = dayEvents.find(e => e.type === 'special_hours');
-    if (specialHours && specialHours.specialHours) {
-      workingHours = specialHours.specialHours;
-      [startHour, startMinute] = workingHours.open.split(':').map(Number);
-      [endHour, endMinute] = workingHours.close.split(':').map(Number);
-    }
+    const reliability = await getClientReliability(appointmentData.clientId, policy);
+    if (reliability.level !== RELIABILITY_LEVELS.LOW) return hold;
 
-    // Get current time for disabling past slots
-    const now = new Date();
-    const isToday = selectedDate.toDateString() === now.toDateString();
+    return {
+      deposit: policy.lowReliabilityDeposit,
+      requiresApproval: policy.requireApprovalForLowReliability,
+      reason: `Low reliability score (${reliability.score}): ${reliability.noShows} no-show(s), ` +
+        `${reliability.lateCancellations} late cancellation(s), ${reliability.lateArrivals} late arrival(s)`
+    };
+  } catch (error) {
+    console.error('Error checking client reliability:', error);
+    // Book normally rather than failing the booking
+    return hold;
+  }
+};
 
-    // OPTIMIZATION: Fetch ALL appointments for the day at once
-    const dayStart = new Date(date);
-    dayStart.setHours(0, 0, 0, 0);
-    const dayEnd = new Date(date);
-    dayEnd.setHours(23, 59, 59, 999);
-    
-    const appointmentsRef = collection(db, APPOINTMENTS_COLLECTION);
-    const q = query(
-      appointmentsRef,
-      where('branchId', '==', branchId),
-      where('appointmentDate', '>=', Timestamp.fromDate(dayStart)),
-      where('appointmentDate', '<=', Timestamp.fromDate(dayEnd)),
-      where('status', 'in', [APPOINTMENT_STATUS.PENDING, APPOINTMENT_STATUS.CONFIRMED, APPOINTMENT_STATUS.IN_SERVICE])
-    );
-    const snapshot = await getDocs(q);
-    const dayAppointments = snapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data(),
-      appointmentDate: doc.data().appointmentDate?.toDate()
-    }));
+/**
+ * Reject a booking the branch booking policy does not allow, naming the rule
+ * The lead time, advance window and daily cap only apply to online bookings. Waitlist
+ * bookings fill a slot someone gave up, so they skip them; later occurrences of a
+ * standing series skip the advance window.
+ * @param {Object} appointmentData - { branchId, appointmentDate, bookingChannel, waitlistEntryId, occurrenceIndex }
+ */
+const assertBookingPolicy = async (appointmentData) => {
+  if (appointmentData.waitlistEntryId) return;
+
+  const policy = getBranchBookingPolicy(await getBranchById(appointmentData.branchId));
+  let message = getBookingWindowError(policy, appointmentData.appointmentDate, {
+    channel: appointmentData.bookingChannel || BOOKING_CHANNELS.FRONT_DESK,
+    checkAdvance: !(appointmentData.occurrenceIndex > 1)
+  });
+
+  if (!message && appointmentData.bookingChannel === BOOKING_CHANNELS.ONLINE && policy.maxOnlineBookingsPerDay > 0) {
+    const onlineBookings = await countOnlineBookingsOnDay(appointmentData.branchId, appointmentData.appointmentDate);
+    if (onlineBookings >= policy.maxOnlineBookingsPerDay) {
+      message = 'Online bookings for this day are full - please call the branch to book';
+    }
+  }
 
-    const slots = [];
-    const slotDate = new Date(date);
-    slotDate.setHours(startHour, startMinute, 0, 0);
+  if (message) {
+    toast.error(message);
+    throw new Error('Booking policy violation');
+  }
+};
 
-    const endTime = new Date(date);
-    endTime.setHours(endHour, endMinute, 0, 0);
+/**
+ * Reject a booking the availability engine blocks, naming the reason
+ * Each stylist on the appointment is checked; without stylists only shared resources are.
+ * Sequenced services only hold each stylist during their busy phases.
+ * @param {Object} appointmentData - { services, serviceId, stylistId }
+ * @param {Object} slot - { branchId, appointmentDate, duration, excludeAppointmentId }
+ */
+const assertSlotAvailable = async (appointmentData, slot) => {
+  const services = appointmentData.services?.length > 0
+    ? appointmentData.services
+    : [{ serviceId: appointmentData.serviceId, stylistId: appointmentData.stylistId }];
+  const serviceIds = services.map(svc => svc.serviceId).filter(Boolean);
+  const stylistIds = [...new Set(services.map(svc => svc.stylistId).filter(Boolean))];
+
+  for (const stylistId of (stylistIds.length > 0 ? stylistIds : [null])) {
+    const result = await getSlotAvailability({ ...slot, stylistId, serviceIds, services });
+    if (!result.available) {
+      toast.error(`Selected time slot is not available: ${result.message}`);
+      throw new Error('Time slot not available');
+    }
+  }
+};
 
-    // Generate all possible time slots (30-minute intervals)
-    while (slotDate.getTime() < endTime.getTime()) {
-      const slotEnd = new Date(slotDate.getTime() + serviceDuration * 60000);
-      
-      // Check if slot end time is within working hours
-      if (slotEnd.getTime() <= endTime.getTime()) {
-        // Disable past times - if it's today and the slot time has passed
-        let isAvailable = true;
-        
-        if (isToday && slotDate.getTime() <= now.getTime()) {
-          isAvailable = false;
-        }
-        
-        // Check availability from appointments
-        if (isAvailable) {
-          if (stylistId) {
-            // Check if this specific stylist has conflicts
-            for (const apt of dayAppointments) {
-              const aptStart = apt.appointmentDate;
-              const aptEnd = new Date(aptStart.getTime() + (apt.duration || 60) * 60000);
-              
-              // Check if stylist is assigned to this appointment
-              const hasStylist = apt.services?.some(svc => svc.stylistId === stylistId);
-              if (hasStylist) {
-                // Check for time overlap
-                if (slotDate < aptEnd && slotEnd > aptStart) {
-                  isAvailable = false;
-                  break;
-                }
-              }
-            }
-          } else {
-            // For general availability (no specific stylist), check overall branch capacity
-            // Count overlapping appointments
-            let overlappingCount = 0;
-            for (const apt of dayAppointments) {
-              const aptStart = apt.appointmentDate;
-              const aptEnd = new Date(aptStart.getTime() + (apt.duration || 60) * 60000);
-              if (slotDate < aptEnd && slotEnd > aptStart) {
-                overlappingCount++;
-              }
-            }
-            // You can set a maximum capacity per time slot if needed
-            // For now, we allow all slots if no stylist is specified
-          }
-        }
-        
-        slots.push({
-          time: new Date(slotDate),
-          available: isAvailable
-        });
-      }
+/**
+ * Check stylist availability for a time slot
+ * Checks both old format (stylistId field) and new format (services array) appointments.
+ * Pass options.branchId to also check shifts, leave, lending, breaks and resources.
+ * @param {Object} options - { branchId, serviceIds, services }
+ * @returns {Promise<boolean>}
+ */
+export const checkStylistAvailability = async (stylistId, appointmentDate, duration = 60, excludeAppointmentId = null, options = {}) => {
+  try {
+    if (!stylistId) return true; // If no stylist assigned, allow booking
 
-      slotDate.setMinutes(slotDate.getMinutes() + 30); // 30-minute intervals
-    }
+    const result = await getSlotAvailability({
+      stylistId,
+      appointmentDate,
+      duration,
+      excludeAppointmentId,
+      branchId: options.branchId || null,
+      serviceIds: options.serviceIds || [],
+      services: options.services || []
+    });
+    return result.available;
+  } catch (error) {
+    console.error('Error checking stylist availability:', error);
+    return false;
+  }
+};
 
-    return { slots, message: null };
+/**
+ * Get available time slots for a stylist on a specific date
+ * Blocked slots carry a reason and message from the availability engine
+ * @param {Object} options - { serviceIds, services, excludeAppointmentId, channel }
+ *   services are the sequenced booking services, so a stylist stays bookable while a colour processes;
+ *   channel is a BOOKING_CHANNELS value, online bookings being subject to the daily cap
+ * @returns {Object} { slots: Array, message: string|null }
+ */
+export const getAvailableTimeSlots = async (stylistId, branchId, date, serviceDuration = 60, options = {}) => {
+  try {
+    return await getDayAvailability(branchId, date, {
+      stylistId,
+      duration: serviceDuration,
+      serviceIds: options.serviceIds || [],
+      services: options.services || [],
+      excludeAppointmentId: options.excludeAppointmentId || null,
+      channel: options.channel || null
+    });
   } catch (error) {
     console.error('Error getting available time slots:', error);
     return { slots: [], message: 'Error loading time slots. Please try again.' };
@@ -33,6 +33,20 @@ export const ARRIVAL_STATUS = {
   CANCELLED: 'cancelled'
 };
 
+/**
+ * Bring the branch's public lobby screen up to date after a check-in change
+ * Not awaited by callers - the check-in is saved either way.
+ * Imported on demand because queueService depends on this module.
+ */
+const refreshLobby = async (branchId) => {
+  try {
+    const { refreshLobbyQueue } = await import('./queueService');
+    await refreshLobbyQueue(branchId);
+  } catch (error) {
+    console.error('Error refreshing lobby queue:', error);
+  }
+};
+
 /**
  * Get arrivals by branch and date
  */
@@ -141,6 +155,7 @@ export const createArrivalFromAppointment = async (appointmentIdOrObject, dataOr
       status: appointmentData.status || ARRIVAL_STATUS.ARRIVED, // Allow custom status
       arrivedAt: serverTimestamp(),
       checkedInBy: currentUser.uid,
+      checkInSource: appointmentData.checkInSource, // 'kiosk' when the client checked themselves in
       notes: appointmentData.notes || '',
       createdBy: currentUser.uid,
       createdAt: serverTimestamp(),
@@ -158,6 +173,7 @@ export const createArrivalFromAppointment = async (appointmentIdOrObject, dataOr
     console.log('📝 Creating arrival in check-in collection:', arrival);
     const docRef = await addDoc(arrivalsRef, arrival);
     console.log('✅ Arrival created with ID:', docRef.id);
+    refreshLobby(appointmentData.branchId);
 
     // Note: We don't update the appointment document anymore
     // The arrival record in check-in collection is the source of truth for check-ins
@@ -232,6 +248,7 @@ export const createWalkInArrival = async (walkInData, currentUser) => {
     console.log('📝 Creating walk-in arrival in check-in collection:', arrival);
     const docRef = await addDoc(arrivalsRef, arrival);
     console.log('✅ Walk-in arrival created with ID:', docRef.id);
+    refreshLobby(walkInData.branchId);
 
     // Log activity
     await logActivity({
@@ -290,6 +307,7 @@ export const updateArrivalStatus = async (arrivalId, status, currentUser) => {
     }
     
     await updateDoc(arrivalRef, updates);
+    refreshLobby(arrival.branchId);
 
     // Sync appointment status if this arrival is linked to an appointment
     if (arrival.appointmentId && !arrival.isWalkIn) {
@@ -364,6 +382,8 @@ export const updateArrival = async (arrivalId, updates, currentUser) => {
     cleanUpdates.updatedAt = serverTimestamp();
 
     await updateDoc(arrivalRef, cleanUpdates);
+    const arrival = await getArrivalById(arrivalId);
+    refreshLobby(arrival?.branchId);
 
     // Log activity
     await logActivity({
@@ -389,7 +409,9 @@ export const updateArrival = async (arrivalId, updates, currentUser) => {
 export const deleteArrival = async (arrivalId, currentUser) => {
   try {
     const arrivalRef = doc(db, ARRIVALS_COLLECTION, arrivalId);
+    const arrival = await getArrivalById(arrivalId);
     await deleteDoc(arrivalRef);
+    refreshLobby(arrival?.branchId);
 
     // Log activity
     await logActivity({
@@ -0,0 +1,450 @@
+/**
+ * Availability Service
+ * Decides whether a stylist, and the branch's shared resources, can take a booking.
+ * Combines the schedule configuration (or branch operating hours), branch calendar
+ * closures and special hours, approved leave, lending to other branches, shift
+ * breaks, existing appointments, per-service resources and the branch booking
+ * policy (slot grid, lead time, advance window, capacity limits), and records why a
+ * slot is blocked so the booking screens can say so. Services booked back-to-back
+ * only hold a stylist during their busy phases, so a stylist can take another
+ * client while a colour is processing.
+ */
+
+import { collection, getDocs, query, where, Timestamp } from 'firebase/firestore';
+import { format } from 'date-fns';
+import { db } from '../config/firebase';
+import { getBranchById } from './branchService';
+import { getBranchCalendar } from './branchCalendarService';
+import { getScheduleConfigurationsByBranch, getScheduleForDate, getDateSpecificShiftsByBranch } from './scheduleService';
+import { getApprovedLeaveOnDate, LEAVE_TYPES } from './leaveManagementService';
+import { getActiveLendingFromBranch } from './stylistLendingService';
+import { getBranchServices } from './branchServicesService';
+import { SERVICE_PHASE_TYPES } from './serviceManagementService';
+import { getAppointmentTimeline } from '../../functions/appointmentEvents.mjs';
+import {
+  BOOKING_CHANNELS,
+  getBranchBookingPolicy,
+  getBookingWindowError,
+  getEarliestBookingTime,
+  getLatestBookingDay,
+  isNoPreferenceBooking
+} from './bookingPolicyService';
+
+const APPOINTMENTS_COLLECTION = 'appointments';
+
+// Statuses that hold a stylist's time (see APPOINTMENT_STATUS in appointmentService)
+const ACTIVE_APPOINTMENT_STATUSES = ['pending', 'confirmed', 'in_service'];
+
+// Why a slot cannot be booked
+export const BLOCK_REASONS = {
+  PAST: 'past',
+  LEAD_TIME: 'lead_time',
+  LEAVE: 'leave',
+  LENT_OUT: 'lent_out',
+  NOT_SCHEDULED: 'not_scheduled',
+  OUTSIDE_HOURS: 'outside_hours',
+  BREAK: 'break',
+  BOOKED: 'booked',
+  RESOURCE: 'resource',
+  CAPACITY: 'capacity'
+};
+
+export const BLOCK_REASON_LABELS = {
+  [BLOCK_REASONS.PAST]: 'Past',
+  [BLOCK_REASONS.LEAD_TIME]: 'Too soon',
+  [BLOCK_REASONS.LEAVE]: 'On leave',
+  [BLOCK_REASONS.LENT_OUT]: 'Lent out',
+  [BLOCK_REASONS.NOT_SCHEDULED]: 'Day off',
+  [BLOCK_REASONS.OUTSIDE_HOURS]: 'Outside hours',
+  [BLOCK_REASONS.BREAK]: 'Break',
+  [BLOCK_REASONS.BOOKED]: 'Booked',
+  [BLOCK_REASONS.RESOURCE]: 'Resource busy',
+  [BLOCK_REASONS.CAPACITY]: 'Fully booked'
+};
+
+const atTime = (date, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const result = new Date(date);
+  result.setHours(hours, minutes, 0, 0);
+  return result;
+};
+
+const overlaps = (start, end, otherStart, otherEnd) => start < otherEnd && end > otherStart;
+
+const getAppointmentEnd = (appointment) =>
+  new Date(appointment.appointmentDate.getTime() + (appointment.duration || 60) * 60000);
+
+// Shared with the calendar feed function, so the booking grid and calendars agree
+export { getAppointmentTimeline };
+
+/**
+ * Times an appointment keeps a stylist busy: the busy phases of the services they do
+ * A stylist named on the appointment but on none of its services is held for all of it.
+ * @returns {Array} - [{ start, end }]
+ */
+const getStylistBusyIntervals = (appointment, stylistId) => {
+  const stylistServices = getAppointmentTimeline(appointment).filter(svc => svc.stylistId === stylistId);
+  if (stylistServices.length === 0) {
+    return appointment.stylistId === stylistId
+      ? [{ start: appointment.appointmentDate, end: getAppointmentEnd(appointment) }]
+      : [];
+  }
+  return stylistServices.flatMap(svc => svc.phases.filter(phase => phase.type !== SERVICE_PHASE_TYPES.PROCESSING));
+};
+
+/**
+ * Times an appointment holds a shared resource: the services that use it, processing included
+ * @returns {Array} - [{ start, end }]
+ */
+const getResourceIntervals = (appointment, resourceId, serviceResources) =>
+  getAppointmentTimeline(appointment)
+    .filter(svc => (serviceResources[svc.serviceId] || []).includes(resourceId))
+    .map(svc => ({ start: svc.start, end: svc.end }));
+
+const intervalsOverlap = (intervals, otherIntervals) =>
+  intervals.some(interval => otherIntervals.some(other => overlaps(interval.start, interval.end, other.start, other.end)));
+
+/**
+ * Active appointments on a day, across all branches, so a stylist working in two
+ * branches is never double-booked
+ */
+const getActiveAppointmentsOnDay = async (day, dayEnd) => {
+  const snapshot = await getDocs(query(
+    collection(db, APPOINTMENTS_COLLECTION),
+    where('appointmentDate', '>=', Timestamp.fromDate(day)),
+    where('appointmentDate', '<=', Timestamp.fromDate(dayEnd)),
+    where('status', 'in', ACTIVE_APPOINTMENT_STATUSES)
+  ));
+  return snapshot.docs
+    .map(doc => ({ id: doc.id, ...doc.data(), appointmentDate: doc.data().appointmentDate?.toDate() }))
+    .filter(appointment => appointment.appointmentDate);
+};
+
+/**
+ * Load everything needed to judge slots on one day
+ * @param {string} branchId - Branch ID
+ * @param {Date} date - Day to check
+ * @param {Array} stylistIds - Stylists whose leave and shifts matter
+ * @returns {Promise<Object>} - Day context
+ */
+const loadDayContext = async (branchId, date, stylistIds = []) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  const dayEnd = new Date(day);
+  dayEnd.setHours(23, 59, 59, 999);
+
+  const [branch, calendar, configs, dateShifts, lentOut, appointments, leaves] = await Promise.all([
+    getBranchById(branchId),
+    getBranchCalendar(branchId).catch(() => []),
+    getScheduleConfigurationsByBranch(branchId).catch(() => []),
+    getDateSpecificShiftsByBranch(branchId, day, dayEnd).catch(() => []),
+    getActiveLendingFromBranch(branchId, day),
+    getActiveAppointmentsOnDay(day, dayEnd),
+    Promise.all(stylistIds.map(stylistId => getApprovedLeaveOnDate(stylistId, day).catch(() => null)))
+  ]);
+
+  const resources = branch?.resources || [];
+  const serviceResources = {};
+  if (resources.length > 0) {
+    const services = await getBranchServices(branchId).catch(() => []);
+    services.forEach(service => {
+      serviceResources[service.id] = service.resources || [];
+    });
+  }
+
+  const dayString = format(day, 'yyyy-MM-dd');
+  const dayEvents = calendar.filter(entry => {
+    const entryDate = entry.date instanceof Date ? entry.date : new Date(entry.date);
+    return format(entryDate, 'yyyy-MM-dd') === dayString;
+  });
+
+  return {
+    branchId,
+    branch,
+    policy: getBranchBookingPolicy(branch),
+    day,
+    dayKey: format(day, 'EEEE').toLowerCase(),
+    dayName: format(day, 'EEEE'),
+    closure: dayEvents.find(e => e.type === 'holiday' || e.type === 'closure') || null,
+    specialHours: dayEvents.find(e => e.type === 'special_hours' && e.specialHours)?.specialHours || null,
+    config: getScheduleForDate(configs, day),
+    dateShifts,
+    lentOut,
+    leaves: Object.fromEntries(stylistIds.map((stylistId, index) => [stylistId, leaves[index]])),
+    appointments,
+    resources,
+    serviceResources
+  };
+};
+
+/**
+ * Branch opening hours for the day, after calendar special hours
+ * @returns {Object|null} - { open, close } or null when closed
+ */
+const getBranchWindow = (context) => {
+  if (context.specialHours) return context.specialHours;
+  const dayHours = context.branch?.operatingHours?.[context.dayKey];
+  if (!dayHours) return null;
+  // Backwards compatible with the old 'closed' field
+  const isOpen = dayHours.isOpen !== undefined ? dayHours.isOpen : !dayHours.closed;
+  return isOpen ? dayHours : null;
+};
+
+/**
+ * A stylist's working window for the day
+ * Stylists without any shifts in the schedule follow the branch hours; stylists with
+ * shifts on other days only are off. Date-specific shifts replace the recurring shift.
+ * @returns {Object} - { open, close, breaks, blocked: { reason, message } | null }
+ */
+const getStylistWindow = (context, stylistId) => {
+  const leave = context.leaves[stylistId];
+  if (leave) {
+    const leaveType = LEAVE_TYPES.find(type => type.value === leave.type)?.label || 'leave';
+    return { blocked: { reason: BLOCK_REASONS.LEAVE, message: `Stylist is on approved ${leaveType.toLowerCase()}` } };
+  }
+
+  if (context.lentOut.some(lending => lending.stylistId === stylistId && lending.toBranchId !== context.branchId)) {
+    return { blocked: { reason: BLOCK_REASONS.LENT_OUT, message: 'Stylist is lent to another branch on this day' } };
+  }
+
+  const branchWindow = getBranchWindow(context);
+  const dateShift = context.dateShifts.find(shift => shift.employeeId === stylistId);
+  const stylistShifts = context.config?.shifts?.[stylistId];
+  const shift = dateShift
+    ? { start: dateShift.startTime || dateShift.start, end: dateShift.endTime || dateShift.end }
+    : stylistShifts?.[context.dayKey] || null;
+
+  if (!shift?.start || !shift?.end) {
+    if (stylistShifts && Object.keys(stylistShifts).length > 0) {
+      return { blocked: { reason: BLOCK_REASONS.NOT_SCHEDULED, message: `Stylist is not scheduled on ${context.dayName}s` } };
+    }
+    return { open: branchWindow?.open, close: branchWindow?.close, breaks: [], blocked: null };
+  }
+
+  // Special hours for the day cut the shift short
+  let { start: open, end: close } = shift;
+  if (context.specialHours) {
+    if (context.specialHours.open > open) open = context.specialHours.open;
+    if (context.specialHours.close < close) close = context.specialHours.close;
+  }
+
+  return {
+    open,
+    close,
+    breaks: shift.breakStart && shift.breakEnd ? [{ start: shift.breakStart, end: shift.breakEnd }] : [],
+    blocked: null
+  };
+};
+
+/**
+ * Judge one slot against a loaded day
+ * @returns {Object} - { available, reason, message }
+ */
+const evaluateSlot = (context, { stylistId, start, end, services = [], serviceIds = [], excludeAppointmentId = null, checkHours = true }) => {
+  const blocked = (reason, message) => ({ available: false, reason, message });
+  const appointments = context.appointments.filter(appointment => appointment.id !== excludeAppointmentId);
+  // The booking being judged, laid out like a stored appointment
+  const booking = {
+    appointmentDate: start,
+    duration: (end.getTime() - start.getTime()) / 60000,
+    services: services.length > 0 ? services : serviceIds.map(serviceId => ({ serviceId })),
+    stylistId
+  };
+
+  if (stylistId) {
+    const window = getStylistWindow(context, stylistId);
+    if (window.blocked) return blocked(window.blocked.reason, window.blocked.message);
+
+    if (checkHours && window.open && window.close) {
+      if (start < atTime(context.day, window.open) || end > atTime(context.day, window.close)) {
+        return blocked(BLOCK_REASONS.OUTSIDE_HOURS, `Outside working hours (${window.open} - ${window.close})`);
+      }
+    }
+
+    const busy = getStylistBusyIntervals(booking, stylistId);
+
+    const onBreak = window.breaks.find(b => intervalsOverlap(busy, [{ start: atTime(context.day, b.start), end: atTime(context.day, b.end) }]));
+    if (onBreak) {
+      return blocked(BLOCK_REASONS.BREAK, `Stylist is on break (${onBreak.start} - ${onBreak.end})`);
+    }
+
+    const clash = appointments.find(appointment =>
+      intervalsOverlap(busy, getStylistBusyIntervals(appointment, stylistId))
+    );
+    if (clash) {
+      return blocked(BLOCK_REASONS.BOOKED, 'Stylist already has an appointment at this time');
+    }
+  }
+
+  // Bookings without a stylist preference share the branch's no-preference capacity
+  const maxNoPreference = context.policy?.maxNoPreferenceConcurrent || 0;
+  if (!stylistId && maxNoPreference > 0) {
+    const concurrent = appointments.filter(appointment =>
+      appointment.branchId === context.branchId &&
+      isNoPreferenceBooking(appointment) &&
+      overlaps(start, end, appointment.appointmentDate, getAppointmentEnd(appointment))
+    ).length;
+    if (concurrent >= maxNoPreference) {
+      return blocked(BLOCK_REASONS.CAPACITY, 'No-preference bookings are full at this time - please choose a stylist');
+    }
+  }
+
+  // Shared resources: the slot needs a free unit of every resource its services use
+  const neededResourceIds = [...new Set(
+    booking.services.flatMap(svc => context.serviceResources[svc.serviceId] || [])
+  )];
+  for (const resourceId of neededResourceIds) {
+    const resource = context.resources.find(r => r.id === resourceId);
+    if (!resource) continue;
+    const needed = getResourceIntervals(booking, resourceId, context.serviceResources);
+    const inUse = appointments.filter(appointment =>
+      appointment.branchId === context.branchId &&
+      intervalsOverlap(needed, getResourceIntervals(appointment, resourceId, context.serviceResources))
+    ).length;
+    if (inUse >= (resource.capacity || 1)) {
+      return blocked(BLOCK_REASONS.RESOURCE, `${resource.name} is fully booked at this time`);
+    }
+  }
+
+  return { available: true, reason: null, message: null };
+};
+
+/**
+ * Branch hours and each stylist's working window on one day, for the receptionist calendar
+ * @param {string} branchId - Branch ID
+ * @param {Date|string} date - Day to load
+ * @param {Array} stylistIds - Stylists to include
+ * @returns {Promise<Object>} - { branchWindow: { open, close } | null, closure,
+ *   stylists: { [stylistId]: { open, close, breaks, blocked } } }
+ */
+export const getDayShifts = async (branchId, date, stylistIds = []) => {
+  const context = await loadDayContext(branchId, date, stylistIds);
+  return {
+    branchWindow: context.closure ? null : getBranchWindow(context),
+    closure: context.closure,
+    stylists: Object.fromEntries(stylistIds.map(stylistId => [stylistId, getStylistWindow(context, stylistId)]))
+  };
+};
+
+/**
+ * Get a day's bookable slots for a stylist (or the branch when no stylist is given)
+ * @param {string} branchId - Branch ID
+ * @param {Date|string} date - Day to check
+ * @param {Object} options
+ * @param {string|null} options.stylistId - Stylist to check; null checks branch hours and resources only
+ * @param {number} options.duration - Total service duration in minutes
+ * @param {Array} options.serviceIds - Services being booked (for shared resources)
+ * @param {Array} options.services - Sequenced services (startOffset, phases, stylistId) so only busy phases hold the stylist
+ * @param {string|null} options.excludeAppointmentId - Appointment being rescheduled
+ * @param {string|null} options.channel - BOOKING_CHANNELS value; online bookings are subject to the lead time, advance window and daily cap
+ * @returns {Promise<Object>} - { slots: [{ time, available, reason, message }], message }
+ */
+export const getDayAvailability = async (branchId, date, { stylistId = null, duration = 60, serviceIds = [], services = [], excludeAppointmentId = null, channel = null } = {}) => {
+  const context = await loadDayContext(branchId, date, stylistId ? [stylistId] : []);
+  if (!context.branch) {
+    return { slots: [], message: 'Branch not found' };
+  }
+
+  if (context.closure) {
+    const reason = context.closure.type === 'holiday' ? 'Holiday' : 'Temporary Closure';
+    const title = context.closure.title ? ` (${context.closure.title})` : '';
+    return { slots: [], message: `${reason}${title} - No appointments available` };
+  }
+
+  // The lead time and advance window only hold back online bookings
+  const { policy } = context;
+  const online = channel === BOOKING_CHANNELS.ONLINE;
+  const latestDay = online ? getLatestBookingDay(policy) : null;
+  if (latestDay && context.day > latestDay) {
+    return { slots: [], message: `Bookings can only be made up to ${policy.maxAdvanceDays} days in advance` };
+  }
+
+  if (online && policy.maxOnlineBookingsPerDay > 0) {
+    const onlineBookings = context.appointments.filter(appointment =>
+      appointment.branchId === branchId &&
+      appointment.bookingChannel === BOOKING_CHANNELS.ONLINE &&
+      appointment.id !== excludeAppointmentId
+    ).length;
+    if (onlineBookings >= policy.maxOnlineBookingsPerDay) {
+      return { slots: [], message: 'Online bookings for this day are full - please call the branch to book' };
+    }
+  }
+
+  const branchWindow = getBranchWindow(context);
+  const stylistWindow = stylistId ? getStylistWindow(context, stylistId) : null;
+  // Blocked stylists still get the branch's slots, each marked with the reason
+  const window = stylistWindow && !stylistWindow.blocked && stylistWindow.open ? stylistWindow : branchWindow;
+  if (!window?.open || !window?.close) {
+    if (!context.branch.operatingHours?.[context.dayKey]) {
+      return { slots: [], message: 'No operating hours configured for this branch' };
+    }
+    return { slots: [], message: `Branch is closed on ${context.dayName}s` };
+  }
+
+  const now = new Date();
+  const earliest = online ? getEarliestBookingTime(policy, now) : now;
+  const slots = [];
+  const slotTime = atTime(context.day, window.open);
+  const closeTime = atTime(context.day, window.close);
+
+  while (slotTime.getTime() < closeTime.getTime()) {
+    const slotEnd = new Date(slotTime.getTime() + duration * 60000);
+    if (slotEnd.getTime() <= closeTime.getTime()) {
+      let result;
+      if (slotTime.getTime() <= now.getTime()) {
+        result = { available: false, reason: BLOCK_REASONS.PAST, message: 'This time has passed' };
+      } else if (slotTime < earliest) {
+        result = { available: false, reason: BLOCK_REASONS.LEAD_TIME, message: getBookingWindowError(policy, slotTime, { channel }) };
+      } else {
+        result = evaluateSlot(context, { stylistId, start: new Date(slotTime), end: slotEnd, services, serviceIds, excludeAppointmentId });
+      }
+      slots.push({ time: new Date(slotTime), ...result });
+    }
+    slotTime.setMinutes(slotTime.getMinutes() + policy.slotIntervalMinutes);
+  }
+
+  return { slots, message: null };
+};
+
+/**
+ * Check a single booking time
+ * Without a branchId only the stylist's other appointments are checked.
+ * @param {Object} params
+ * @param {string|null} params.stylistId - Stylist to check
+ * @param {string} params.branchId - Branch the booking is for
+ * @param {Date|string} params.appointmentDate - Start of the booking
+ * @param {number} params.duration - Duration in minutes
+ * @param {Array} params.serviceIds - Services being booked (for shared resources)
+ * @param {Array} params.services - Sequenced services (startOffset, phases, stylistId) so only busy phases hold the stylist
+ * @param {string|null} params.excludeAppointmentId - Appointment being rescheduled
+ * @returns {Promise<Object>} - { available, reason, message }
+ */
+export const getSlotAvailability = async ({ stylistId = null, branchId = null, appointmentDate, duration = 60, serviceIds = [], services = [], excludeAppointmentId = null }) => {
+  const start = new Date(appointmentDate);
+  const end = new Date(start.getTime() + duration * 60000);
+
+  if (!branchId) {
+    if (!stylistId) return { available: true, reason: null, message: null };
+    const day = new Date(start);
+    day.setHours(0, 0, 0, 0);
+    const dayEnd = new Date(day);
+    dayEnd.setHours(23, 59, 59, 999);
+    const context = {
+      day,
+      appointments: await getActiveAppointmentsOnDay(day, dayEnd),
+      leaves: {},
+      lentOut: [],
+      dateShifts: [],
+      config: null,
+      resources: [],
+      serviceResources: {}
+    };
+    return evaluateSlot(context, { stylistId, start, end, services, excludeAppointmentId, checkHours: false });
+  }
+
+  const context = await loadDayContext(branchId, start, stylistId ? [stylistId] : []);
+  if (context.closure) {
+    return { available: false, reason: BLOCK_REASONS.OUTSIDE_HOURS, message: 'The branch is closed on this day' };
+  }
+  return evaluateSlot(context, { stylistId, start, end, services, serviceIds, excludeAppointmentId });
+};
@@ -16,15 +16,40 @@ import {
   orderBy,
   Timestamp,
   writeBatch,
-  serverTimestamp
+  serverTimestamp,
+  runTransaction
 } from 'firebase/firestore';
 import { db } from '../config/firebase';
 // Inventory service removed - inventory deduction disabled
 import toast from 'react-hot-toast';
-import { earnLoyaltyPoints, redeemLoyaltyPoints } from './loyaltyService';
+import { earnLoyaltyPoints, redeemLoyaltyPoints, getBillLoyaltyPoints, reverseLoyaltyPoints } from './loyaltyService';
 import { getClientProfile, updateClientProfile } from './clientService';
 import { getReferralCode } from './referralService';
 import { getBranchById } from './branchService';
+import {
+  issueGiftCard,
+  redeemGiftCard,
+  reverseGiftCardRedemption,
+  normalizeGiftCardCode,
+  readGiftCardsInTransaction,
+  applyGiftCardReversal,
+  applyGiftCardVoid
+} from './giftCardService';
+import { calculateTaxBreakdown, validateStatutoryDiscount, TAX_MODES } from './taxService';
+import {
+  applyDepositToBill,
+  releaseDepositFromBill,
+  settleNoShowFees,
+  reopenNoShowFeesFromBill,
+  getRetainedDeposits
+} from './appointmentDepositService';
+import {
+  allocateTransactionNumber,
+  recordSkippedTransactionNumber,
+  claimReceiptNumber,
+  releaseReceiptNumber,
+  getReceiptNumberBillId
+} from './transactionNumberService';
 
 // Collections
 const BILLS_COLLECTION = 'transactions';
@@ -33,6 +58,7 @@ const BILLING_LOGS_COLLECTION = 'transaction_logs';
 // Bill Status Constants
 export const BILL_STATUS = {
   PAID: 'paid',
+  PARTIALLY_REFUNDED: 'partially_refunded', // Some line items refunded, see bill.refunds
   REFUNDED: 'refunded',
   VOIDED: 'voided'
 };
@@ -42,7 +68,192 @@ export const PAYMENT_METHODS = {
   CASH: 'cash',
   CARD: 'card',
   VOUCHER: 'voucher',
-  GIFT_CARD: 'gift_card'
+  GIFT_CARD: 'gift_card',
+  DEPOSIT: 'deposit' // Appointment deposit paid before the visit
+};
+
+// Stored as the bill's paymentMethod when more than one tender was used
+export const SPLIT_PAYMENT_METHOD = 'split';
+
+/**
+ * Get the list of tenders a bill was paid with
+ * Bills created before split-tender support only carry a single paymentMethod,
+ * so those are treated as one tender covering the whole total
+ * @param {Object} bill - Bill data
+ * @returns {Array} - Array of { method, amount, tendered, reference }
+ */
+export const getBillTenders = (bill) => {
+  if (!bill) return [];
+
+  if (Array.isArray(bill.payments) && bill.payments.length > 0) {
+    return bill.payments;
+  }
+
+  // Older records without a method were cash sales
+  const method = bill.paymentMethod || PAYMENT_METHODS.CASH;
+
+  return [{
+    method,
+    amount: bill.total || 0,
+    tendered: method === PAYMENT_METHODS.CASH ? (bill.amountReceived || bill.total || 0) : (bill.total || 0),
+    reference: bill.paymentReference || null
+  }];
+};
+
+/**
+ * Summarize the tenders entered at checkout against the bill total
+ * Change is only ever given from the cash portion: non-cash tenders are applied
+ * first and cash covers (and may exceed) whatever is left
+ * @param {Array} payments - Array of { method, amount, reference, giftCardCode }
+ * @param {number} total - Bill total
+ * @returns {Object} - Tender summary with change, balance due and validation result
+ */
+export const calculateTenderSummary = (payments = [], total = 0) => {
+  const nonCashTotal = payments
+    .filter(p => p.method !== PAYMENT_METHODS.CASH)
+    .reduce((sum, p) => sum + (parseFloat(p.amount) || 0), 0);
+  const cashTendered = payments
+    .filter(p => p.method === PAYMENT_METHODS.CASH)
+    .reduce((sum, p) => sum + (parseFloat(p.amount) || 0), 0);
+
+  const cashDue = Math.max(0, total - nonCashTotal);
+  const balanceDue = Math.max(0, cashDue - cashTendered);
+  const change = Math.max(0, cashTendered - cashDue);
+
+  let error = null;
+  if (payments.length === 0) {
+    error = 'At least one payment is required';
+  } else if (payments.some(p => (parseFloat(p.amount) || 0) < 0)) {
+    error = 'Payment amounts cannot be negative';
+  } else if (payments.some(p => p.method === PAYMENT_METHODS.GIFT_CARD && !normalizeGiftCardCode(p.giftCardCode))) {
+    error = 'Gift card code is required for gift card payments';
+  } else if (nonCashTotal - total > 0.005) {
+    error = 'Non-cash payments cannot exceed the bill total';
+  } else if (balanceDue > 0.005) {
+    error = `Insufficient payment! Short: ₱${balanceDue.toFixed(2)}`;
+  }
+
+  return {
+    nonCashTotal: parseFloat(nonCashTotal.toFixed(2)),
+    cashTendered: parseFloat(cashTendered.toFixed(2)),
+    cashDue: parseFloat(cashDue.toFixed(2)),
+    balanceDue: parseFloat(balanceDue.toFixed(2)),
+    change: parseFloat(change.toFixed(2)),
+    isValid: !error,
+    error
+  };
+};
+
+/**
+ * Convert the tenders entered at checkout into the payments stored on the bill
+ * Cash entries are merged into one tender whose amount is what was applied to
+ * the bill (tendered minus change), so tender amounts always sum to the total
+ * @param {Array} payments - Array of { method, amount, reference, giftCardCode }
+ * @param {number} total - Bill total
+ * @returns {Array} - Array of { method, amount, tendered, reference, giftCardCode }
+ */
+export const buildBillPayments = (payments = [], total = 0) => {
+  const summary = calculateTenderSummary(payments, total);
+
+  const billPayments = payments
+    .filter(p => p.method !== PAYMENT_METHODS.CASH && parseFloat(p.amount) > 0)
+    .map(p => ({
+      method: p.method,
+      amount: parseFloat((parseFloat(p.amount) || 0).toFixed(2)),
+      tendered: parseFloat((parseFloat(p.amount) || 0).toFixed(2)),
+      reference: p.reference || null,
+      ...(p.method === PAYMENT_METHODS.GIFT_CARD ? { giftCardCode: normalizeGiftCardCode(p.giftCardCode) } : {})
+    }));
+
+  // A fully discounted bill still records a (zero) cash tender
+  if (summary.cashTendered > 0 || billPayments.length === 0) {
+    billPayments.push({
+      method: PAYMENT_METHODS.CASH,
+      amount: parseFloat(Math.min(summary.cashTendered, summary.cashDue).toFixed(2)),
+      tendered: summary.cashTendered,
+      reference: null
+    });
+  }
+
+  return billPayments;
+};
+
+// How a tip is shared between the stylists on the bill's services
+export const TIP_SPLIT_METHODS = {
+  EQUAL: 'equal',
+  SERVICE_VALUE: 'service_value', // In proportion to the price of each stylist's services
+  MANUAL: 'manual'
+};
+
+/**
+ * Get the stylists that can share a tip, one entry per stylist on the bill's services
+ * @param {Array} items - Bill items
+ * @returns {Array} - Array of { stylistId, stylistName, serviceValue }
+ */
+export const getTipRecipients = (items = []) => {
+  const recipients = {};
+
+  items
+    .filter(item => item.type === 'service' && item.stylistId)
+    .forEach(item => {
+      if (!recipients[item.stylistId]) {
+        recipients[item.stylistId] = {
+          stylistId: item.stylistId,
+          stylistName: item.stylistName || '',
+          serviceValue: 0
+        };
+      }
+      recipients[item.stylistId].serviceValue += (item.price || 0) * (item.quantity || 1);
+    });
+
+  return Object.values(recipients);
+};
+
+/**
+ * Split a tip across the stylists on a bill
+ * Rounding differences go to the last stylist so the shares always add up to the tip
+ * @param {Array} items - Bill items
+ * @param {number} tip - Tip amount
+ * @param {string} method - One of TIP_SPLIT_METHODS
+ * @param {Array} manualAllocations - Array of { stylistId, amount } for manual splits
+ * @returns {Array} - Array of { stylistId, stylistName, amount }
+ */
+export const allocateTip = (items = [], tip = 0, method = TIP_SPLIT_METHODS.EQUAL, manualAllocations = []) => {
+  const tipAmount = parseFloat(tip) || 0;
+  const recipients = getTipRecipients(items);
+  if (tipAmount <= 0 || recipients.length === 0) return [];
+
+  if (method === TIP_SPLIT_METHODS.MANUAL) {
+    return recipients
+      .map(recipient => {
+        const manual = manualAllocations.find(a => a.stylistId === recipient.stylistId);
+        return {
+          stylistId: recipient.stylistId,
+          stylistName: recipient.stylistName,
+          amount: parseFloat((parseFloat(manual?.amount) || 0).toFixed(2))
+        };
+      })
+      .filter(allocation => allocation.amount > 0);
+  }
+
+  const totalServiceValue = recipients.reduce((sum, r) => sum + r.serviceValue, 0);
+  const byServiceValue = method === TIP_SPLIT_METHODS.SERVICE_VALUE && totalServiceValue > 0;
+
+  let allocated = 0;
+  return recipients.map((recipient, index) => {
+    const isLast = index === recipients.length - 1;
+    const share = byServiceValue ? recipient.serviceValue / totalServiceValue : 1 / recipients.length;
+    const amount = isLast
+      ? parseFloat((tipAmount - allocated).toFixed(2))
+      : parseFloat((tipAmount * share).toFixed(2));
+    allocated += amount;
+
+    return {
+      stylistId: recipient.stylistId,
+      stylistName: recipient.stylistName,
+      amount
+    };
+  });
 };
 
 /**
@@ -67,60 +278,47 @@ export const createBill = async (billData, currentUser) => {
                     currentUser.email || 
                     'Unknown User';
     
-    // Generate formatted transaction ID based on branch (this will be the document ID)
-    let transactionId = null;
-    if (billData.branchId) {
-      try {
-        // Get branch document to get its ID
-        const branch = await getBranchById(billData.branchId);
-        const branchDocId = branch.id;
-        
-        // Extract first 3 characters of branch document ID (uppercase)
-        const branchCode = branchDocId.substring(0, 3).toUpperCase().padEnd(3, 'X'); // Pad if less than 3 chars
-        
-        // Count existing transactions for this branch
-        const branchTransactionsQuery = query(
-          billRef,
-          where('branchId', '==', billData.branchId)
-        );
-        const existingTransactions = await getDocs(branchTransactionsQuery);
-        let transactionCount = existingTransactions.size + 1; // +1 for this new transaction
-        
-        // Format: BRANCHCODE-XXXX (4 digits, zero-padded)
-        transactionId = `${branchCode}-${String(transactionCount).padStart(4, '0')}`;
-        
-        // Check if document with this ID already exists (handle race condition)
-        const existingDoc = await getDoc(doc(billRef, transactionId));
-        if (existingDoc.exists()) {
-          // If exists, increment count and try again
-          transactionCount = existingTransactions.size + 2;
-          transactionId = `${branchCode}-${String(transactionCount).padStart(4, '0')}`;
-        }
-      } catch (error) {
-        console.error('Error generating transaction ID:', error);
-        // Fallback: use branch ID first 3 chars if branch fetch fails
-        const branchCode = billData.branchId.substring(0, 3).toUpperCase().padEnd(3, 'X');
-        const fallbackQuery = query(
-          billRef,
-          where('branchId', '==', billData.branchId)
-        );
-        const fallbackTransactions = await getDocs(fallbackQuery);
-        let transactionCount = fallbackTransactions.size + 1;
-        transactionId = `${branchCode}-${String(transactionCount).padStart(4, '0')}`;
-        
-        // Check if document exists
-        const existingDoc = await getDoc(doc(billRef, transactionId));
-        if (existingDoc.exists()) {
-          transactionCount = fallbackTransactions.size + 2;
-          transactionId = `${branchCode}-${String(transactionCount).padStart(4, '0')}`;
-        }
+    if (!billData.branchId) {
+      throw new Error('Unable to generate transaction ID. Branch ID is required.');
+    }
+
+    // Tips sit on top of the bill and are shared between the stylists on its services
+    const tip = parseFloat((parseFloat(billData.tip) || 0).toFixed(2));
+    const tipSplitMethod = billData.tipSplitMethod || TIP_SPLIT_METHODS.EQUAL;
+    const tipAllocations = allocateTip(billData.items || [], tip, tipSplitMethod, billData.tipAllocations || []);
+    if (tip > 0) {
+      const allocatedTip = tipAllocations.reduce((sum, allocation) => sum + allocation.amount, 0);
+      if (tipAllocations.length === 0) {
+        throw new Error('Assign a stylist to at least one service before adding a tip');
+      }
+      if (Math.abs(allocatedTip - tip) > 0.005) {
+        throw new Error(`Tip shares (₱${allocatedTip.toFixed(2)}) must add up to the tip (₱${tip.toFixed(2)})`);
       }
     }
-    
-    // If no transaction ID generated, fallback to auto-generated ID
-    if (!transactionId) {
-      throw new Error('Unable to generate transaction ID. Branch ID is required.');
+
+    // Senior citizen / PWD discounts need the ID details on the official receipt
+    const statutoryDiscountError = validateStatutoryDiscount(billData.statutoryDiscount);
+    if (statutoryDiscountError) {
+      throw new Error(statutoryDiscountError);
     }
+    const statutoryDiscount = billData.statutoryDiscount?.type
+      ? {
+          type: billData.statutoryDiscount.type,
+          idNumber: billData.statutoryDiscount.idNumber.trim(),
+          holderName: billData.statutoryDiscount.holderName.trim()
+        }
+      : null;
+
+    // Reserve the next transaction number for the branch (this will be the document ID)
+    let branch;
+    try {
+      branch = await getBranchById(billData.branchId);
+    } catch (error) {
+      console.error('Error fetching branch for transaction number:', error);
+      branch = { id: billData.branchId };
+    }
+    const numberAllocation = await allocateTransactionNumber(branch, currentUser);
+    const transactionId = numberAllocation.transactionId;
     
     // Determine sales type based on items
     const items = billData.items || [];
@@ -139,6 +337,30 @@ export const createBill = async (billData, currentUser) => {
       }
     }
     
+    // Resolve the tenders used for this bill (split payments or a single legacy method)
+    let payments;
+    let change = 0;
+    if (Array.isArray(billData.payments) && billData.payments.length > 0) {
+      const tenderSummary = calculateTenderSummary(billData.payments, billData.total || 0);
+      if (!tenderSummary.isValid) {
+        throw new Error(tenderSummary.error);
+      }
+      payments = buildBillPayments(billData.payments, billData.total || 0);
+      change = tenderSummary.change;
+    } else {
+      payments = getBillTenders({
+        paymentMethod: billData.paymentMethod,
+        paymentReference: billData.paymentReference,
+        amountReceived: billData.amountReceived,
+        total: billData.total || 0
+      });
+      const cashPayment = payments.find(p => p.method === PAYMENT_METHODS.CASH);
+      change = cashPayment ? Math.max(0, (cashPayment.tendered || 0) - cashPayment.amount) : 0;
+    }
+    const cashTendered = payments
+      .filter(p => p.method === PAYMENT_METHODS.CASH)
+      .reduce((sum, p) => sum + (p.tendered || p.amount || 0), 0);
+
     const bill = {
       appointmentId: billData.appointmentId,
       clientId: billData.clientId,
@@ -160,9 +382,19 @@ export const createBill = async (billData, currentUser) => {
       loyaltyPointsUsed: billData.loyaltyPointsUsed || 0,
       tax: billData.tax || 0,
       taxRate: billData.taxRate || 0,
+      taxMode: billData.taxMode || null, // 'inclusive' or 'exclusive'
+      taxBreakdown: billData.taxBreakdown || null, // VAT buckets for the official receipt
+      statutoryDiscount, // { type, idNumber, holderName } for senior citizen / PWD bills
+      vatTin: branch.taxSettings?.tin || null,
+      tip, // Not taxed, discounted or counted for loyalty points
+      tipSplitMethod: tip > 0 ? tipSplitMethod : null,
+      tipAllocations, // Array of { stylistId, stylistName, amount }
       total: billData.total || 0,
-      paymentMethod: billData.paymentMethod,
-      paymentReference: billData.paymentReference || null,
+      paymentMethod: payments.length > 1 ? SPLIT_PAYMENT_METHOD : payments[0].method,
+      paymentReference: billData.paymentReference || payments.find(p => p.reference)?.reference || null,
+      payments: payments, // Array of tenders: { method, amount, tendered, reference }
+      amountReceived: parseFloat(cashTendered.toFixed(2)), // Cash handed over by the client
+      change: parseFloat(change.toFixed(2)), // Change is only given from the cash portion
       receiptNumber: billData.receiptNumber || null, // Receipt number from physical receipt
       status: BILL_STATUS.PAID,
       notes: billData.notes || '',
@@ -173,9 +405,90 @@ export const createBill = async (billData, currentUser) => {
       updatedAt: Timestamp.now()
     };
 
-    // Create document with the transaction ID as the document ID
     const docRef = doc(billRef, transactionId);
-    await setDoc(docRef, bill);
+    const receiptNumber = billData.receiptNumber?.trim();
+    let receiptClaimed = false;
+    try {
+      // Claim the physical receipt number so two bills at the branch can never share it
+      if (receiptNumber) {
+        await claimReceiptNumber(billData.branchId, receiptNumber, transactionId);
+        receiptClaimed = true;
+      }
+
+      // Redeem gift card tenders before saving, so an insufficient balance stops the sale
+      const redeemedGiftCards = [];
+      try {
+        // Imported/legacy gift card payments carry no code and have nothing to redeem
+        for (const payment of payments.filter(p => p.method === PAYMENT_METHODS.GIFT_CARD && p.giftCardCode)) {
+          await redeemGiftCard(payment.giftCardCode, payment.amount, {
+            branchId: billData.branchId,
+            billId: transactionId
+          }, currentUser);
+          redeemedGiftCards.push(payment);
+        }
+      } catch (giftCardError) {
+        await reverseGiftCardTenders(redeemedGiftCards, billData.branchId, transactionId, currentUser);
+        throw giftCardError;
+      }
+
+      // Create document with the transaction ID as the document ID
+      try {
+        await setDoc(docRef, bill);
+      } catch (saveError) {
+        await reverseGiftCardTenders(redeemedGiftCards, billData.branchId, transactionId, currentUser);
+        throw saveError;
+      }
+    } catch (checkoutError) {
+      if (receiptClaimed) {
+        await releaseReceiptNumber(billData.branchId, receiptNumber, transactionId);
+      }
+      await recordSkippedTransactionNumber(numberAllocation, checkoutError.message, currentUser);
+      throw checkoutError;
+    }
+
+    // Issue gift cards sold on this bill and store the generated codes on the items
+    const giftCardItems = items.filter(item => item.type === 'gift_card');
+    if (giftCardItems.length > 0) {
+      try {
+        const issuedItems = [];
+        for (const item of items) {
+          if (item.type !== 'gift_card' || item.giftCardCode) {
+            issuedItems.push(item);
+            continue;
+          }
+          const card = await issueGiftCard({
+            amount: item.price,
+            branchId: billData.branchId,
+            branchName: billData.branchName,
+            billId: transactionId,
+            purchaserName: billData.clientName,
+            recipientName: item.recipientName
+          }, currentUser);
+          issuedItems.push({ ...item, giftCardCode: card.code });
+        }
+        await updateDoc(docRef, { items: issuedItems, updatedAt: Timestamp.now() });
+      } catch (giftCardError) {
+        console.error('Error issuing gift cards:', giftCardError);
+        toast.error('Transaction created but gift card issuance failed. Please issue the gift card manually.');
+      }
+    }
+    
+    // Settle the appointment deposit and any no-show fees paid on this bill
+    try {
+      const depositPayment = payments.find(p => p.method === PAYMENT_METHODS.DEPOSIT);
+      if (depositPayment && billData.appointmentId) {
+        await applyDepositToBill(billData.appointmentId, depositPayment.amount, transactionId);
+      }
+      const feeAppointmentIds = items
+        .filter(item => item.type === 'no_show_fee' && item.appointmentId)
+        .map(item => item.appointmentId);
+      if (feeAppointmentIds.length > 0) {
+        await settleNoShowFees(feeAppointmentIds, transactionId);
+      }
+    } catch (depositError) {
+      console.error('Error settling appointment deposit:', depositError);
+      toast.error('Transaction created but the appointment deposit could not be updated.');
+    }
     
     // Deduct stock using FIFO (First In First Out) for products in transaction
     if (salesType === 'product' || salesType === 'mixed') {
@@ -288,51 +601,11 @@ export const createBill = async (billData, currentUser) => {
       }
     }
 
-    // Deduct products for services performed (salon-use products)
+    // Consume the salon-use products in each paid service's recipe
     if (salesType === 'service' || salesType === 'mixed') {
       try {
-        const serviceItems = items.filter(item => item.type === 'service');
-        const { inventoryService } = await import('./inventoryService');
-        const { getServiceById } = await import('./serviceManagementService');
-        
-        for (const serviceItem of serviceItems) {
-          if (!serviceItem.id) continue;
-          
-          try {
-            // Get service details including product mappings
-            const service = await getServiceById(serviceItem.id);
-            if (!service || !service.productMappings || service.productMappings.length === 0) {
-              continue; // No product mappings for this service
-            }
-            
-            // Deduct products for this service (salon-use batches only)
-            for (const mapping of service.productMappings) {
-              if (!mapping.productId || !mapping.quantity) continue;
-              
-              // Deduct from salon-use batches only
-              const deductionResult = await inventoryService.deductStockFIFO({
-                branchId: billData.branchId,
-                productId: mapping.productId,
-                quantity: mapping.quantity,
-                reason: 'Service Use',
-                notes: `Service: ${service.name || serviceItem.name}, Bill ID: ${transactionId}`,
-                createdBy: billData.createdBy || 'system',
-                productName: mapping.productName || 'Unknown Product',
-                usageType: 'salon-use' // Only use salon-use batches for services
-              });
-              
-              if (!deductionResult.success) {
-                console.warn(`⚠️ Service product deduction failed for ${mapping.productName}:`, deductionResult.message);
-                // Log but don't fail the transaction
-              } else {
-                console.log(`✅ Service product deducted: ${mapping.productName} - ${mapping.quantity} units (salon-use)`);
-              }
-            }
-          } catch (serviceError) {
-            console.error(`Error processing service ${serviceItem.id}:`, serviceError);
-            // Continue with other services
-          }
-        }
+        const { consumeServiceProducts } = await import('./serviceRecipeService');
+        await consumeServiceProducts({ ...billData, items, createdBy: userId }, transactionId);
       } catch (serviceStockError) {
         console.error('Error deducting service products:', serviceStockError);
         // Don't fail the transaction if service product deduction fails
@@ -355,11 +628,18 @@ export const createBill = async (billData, currentUser) => {
         }
         
         // Earn loyalty points from transaction (after redemption, so net amount)
-        if (billData.total > 0) {
+        // Gift card purchases earn nothing; points are earned when the card is spent
+        // Tips go to the stylists and no-show fees are penalties, so neither earns points
+        const giftCardSales = giftCardItems.reduce((sum, item) => sum + (item.price || 0), 0);
+        const noShowFees = items
+          .filter(item => item.type === 'no_show_fee')
+          .reduce((sum, item) => sum + (item.price || 0), 0);
+        const pointsEligibleAmount = Math.max(0, (billData.total || 0) - giftCardSales - noShowFees - tip);
+        if (pointsEligibleAmount > 0) {
           await earnLoyaltyPoints(
             billData.clientId,
             billData.branchId,
-            billData.total,
+            pointsEligibleAmount,
             transactionId,
             currentUser
           );
@@ -426,6 +706,100 @@ export const createBill = async (billData, currentUser) => {
   }
 };
 
+/**
+ * Return gift card tenders to their cards when a checkout does not go through
+ * @param {Array} giftCardPayments - Redeemed gift card payments
+ * @param {string} branchId - Branch ID
+ * @param {string} billId - Bill ID the redemption was made for
+ * @param {Object} currentUser - User processing the bill
+ * @returns {Promise<void>}
+ */
+const reverseGiftCardTenders = async (giftCardPayments, branchId, billId, currentUser) => {
+  for (const payment of giftCardPayments) {
+    try {
+      await reverseGiftCardRedemption(payment.giftCardCode, payment.amount, {
+        branchId,
+        billId,
+        reason: `Checkout for bill ${billId} did not complete`
+      }, currentUser);
+    } catch (error) {
+      console.error(`Error reversing gift card ${payment.giftCardCode}:`, error);
+    }
+  }
+};
+
+/**
+ * What each gift card paid on a bill that has not been given back yet
+ * Refunds to gift card come off their own cards. Refunds by other methods come off the
+ * bill's other tenders first, and only what they can't cover comes off the cards.
+ * @param {Object} bill - Bill data
+ * @returns {Object} - { [code]: amount }
+ */
+export const getGiftCardTenderBalances = (bill) => {
+  const balances = {};
+  let otherTendered = 0;
+  getBillTenders(bill).forEach(tender => {
+    if (tender.method === PAYMENT_METHODS.GIFT_CARD && tender.giftCardCode) {
+      const code = normalizeGiftCardCode(tender.giftCardCode);
+      balances[code] = (balances[code] || 0) + (tender.amount || 0);
+    } else {
+      otherTendered += tender.amount || 0;
+    }
+  });
+
+  let otherRefunded = 0;
+  (bill.refunds || []).forEach(refund => {
+    if (refund.method === PAYMENT_METHODS.GIFT_CARD) {
+      (refund.giftCardReturns || []).forEach(giftCardReturn => {
+        balances[giftCardReturn.code] = (balances[giftCardReturn.code] || 0) - giftCardReturn.amount;
+      });
+    } else {
+      otherRefunded += refund.amount || 0;
+    }
+  });
+
+  let uncovered = otherRefunded - otherTendered;
+  Object.keys(balances).forEach(code => {
+    const taken = Math.min(Math.max(0, balances[code]), Math.max(0, uncovered));
+    balances[code] -= taken;
+    uncovered -= taken;
+  });
+  Object.keys(balances).forEach(code => {
+    balances[code] = parseFloat(Math.max(0, balances[code]).toFixed(2));
+  });
+  return balances;
+};
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null);
+
+/**
+ * The refunds given on a bill, each with when it was given and how it went back
+ * Bills refunded before refund records were kept went back through their own tenders
+ * at refundedAt.
+ * @param {Object} bill - Bill data
+ * @returns {Array<Object>} - { method, amount, refundedAt, processedBy }
+ */
+export const getBillRefundEntries = (bill) => {
+  if (Array.isArray(bill.refunds) && bill.refunds.length > 0) {
+    return bill.refunds.map(refund => ({
+      method: refund.method || PAYMENT_METHODS.CASH,
+      amount: refund.amount || 0,
+      refundedAt: toDate(refund.createdAt),
+      processedBy: refund.processedBy || null
+    }));
+  }
+
+  if (bill.status !== BILL_STATUS.REFUNDED) return [];
+  const total = bill.total || 0;
+  const share = total > 0 ? (bill.refundAmount || total) / total : 0;
+  return getBillTenders(bill).map(tender => ({
+    method: tender.method,
+    amount: parseFloat(((tender.amount || 0) * share).toFixed(2)),
+    refundedAt: toDate(bill.refundedAt),
+    processedBy: bill.approvedBy || null
+  }));
+};
+
 /**
  * Get bill by ID
  * @param {string} billId - Bill ID
@@ -546,6 +920,15 @@ export const checkReceiptNumberExists = async (receiptNumber, branchId = null, e
       return null;
     }
 
+    // Receipt numbers claimed at checkout are looked up directly in the registry
+    if (branchId) {
+      const billId = await getReceiptNumberBillId(branchId, receiptNumber);
+      if (billId) {
+        return billId === excludeBillId ? null : await getBillById(billId);
+      }
+    }
+
+    // Bills saved before the registry existed are only found by querying
     const billsRef = collection(db, BILLS_COLLECTION);
     let q = query(billsRef, where('receiptNumber', '==', receiptNumber.trim()));
 
@@ -576,50 +959,269 @@ export const checkReceiptNumberExists = async (receiptNumber, branchId = null, e
 };
 
 /**
- * Process a refund for a bill
+ * Get every line on a bill with the quantity that can still be refunded
+ * Bill-level discounts and tax are spread over the lines in proportion to their price,
+ * so refunding every line returns exactly the bill total
+ * Refunding a gift card voids the issued card, which is only allowed while it is unused
+ * @param {Object} bill - Bill data
+ * @returns {Array} - Array of { index, item, quantity, refundedQuantity, refundableQuantity, unitRefundAmount }
+ */
+export const getRefundableItems = (bill) => {
+  const items = bill?.items || [];
+  const itemsTotal = items.reduce((sum, item) => sum + (item.price || 0) * (item.quantity || 1), 0);
+  // The tip belongs to the stylists and is not refunded with the items
+  const ratio = itemsTotal > 0 ? ((bill.total || 0) - (bill.tip || 0)) / itemsTotal : 0;
+
+  return items.map((item, index) => {
+    const quantity = item.quantity || 1;
+    const refundedQuantity = item.refundedQuantity || 0;
+    return {
+      index,
+      item,
+      quantity,
+      refundedQuantity,
+      refundableQuantity: item.type === 'gift_card' && !item.giftCardCode ? 0 : Math.max(0, quantity - refundedQuantity),
+      unitRefundAmount: parseFloat(((item.price || 0) * ratio).toFixed(2))
+    };
+  });
+};
+
+/**
+ * Process a refund for some or all of the lines on a bill
+ * Each call adds a record to bill.refunds; the bill stays partially_refunded
+ * until every line has been refunded in full
  * @param {string} billId - Bill ID
- * @param {Object} refundData - Refund information
+ * @param {Object} refundData - { items: [{ index, quantity }], reason, method } (no items = refund everything left)
  * @param {Object} currentUser - User processing the refund
- * @returns {Promise<void>}
+ * @returns {Promise<Object>} - The refund record
  */
 export const refundBill = async (billId, refundData, currentUser) => {
   try {
     const billRef = doc(db, BILLS_COLLECTION, billId);
-    const bill = await getBillById(billId);
-
-    if (bill.status === BILL_STATUS.REFUNDED || bill.status === BILL_STATUS.VOIDED) {
-      throw new Error('Bill is already refunded or voided');
-    }
-
-    const newStatus = BILL_STATUS.REFUNDED;
-
     const userId = currentUser.uid || currentUser.id;
     const userName = currentUser.displayName || 
                     `${currentUser.firstName || ''} ${currentUser.lastName || ''}`.trim() || 
                     currentUser.email || 
                     'Unknown User';
 
-    await updateDoc(billRef, {
-      status: newStatus,
-      refundAmount: refundData.amount || bill.total,
-      refundReason: refundData.reason || '',
-      approvedBy: userId,
-      approvedByName: userName,
-      refundedAt: Timestamp.now(),
-      updatedAt: Timestamp.now()
+    // Check what is left to refund and record the refund in one go, so two refunds
+    // processed at the same time can't both take the same items
+    const { bill, refund, previousRefunds } = await runTransaction(db, async (transaction) => {
+      const billSnap = await transaction.get(billRef);
+      if (!billSnap.exists()) {
+        throw new Error('Bill not found');
+      }
+      const bill = { id: billSnap.id, ...billSnap.data() };
+
+      if (bill.status === BILL_STATUS.REFUNDED || bill.status === BILL_STATUS.VOIDED) {
+        throw new Error('Bill is already refunded or voided');
+      }
+
+      const refundableItems = getRefundableItems(bill);
+      const requestedLines = Array.isArray(refundData.items) && refundData.items.length > 0
+        ? refundData.items
+        : refundableItems
+            .filter(line => line.refundableQuantity > 0)
+            .map(line => ({ index: line.index, quantity: line.refundableQuantity }));
+
+      const refundLines = requestedLines
+        .map(line => ({ ...line, quantity: parseInt(line.quantity, 10) || 0 }))
+        .filter(line => line.quantity > 0);
+
+      if (refundLines.length === 0) {
+        throw new Error('Select at least one item to refund');
+      }
+
+      refundLines.forEach(line => {
+        const refundable = refundableItems[line.index];
+        if (!refundable) {
+          throw new Error('Refund item not found on this bill');
+        }
+        if (line.quantity > refundable.refundableQuantity) {
+          throw new Error(`Only ${refundable.refundableQuantity} of ${refundable.item.name} can be refunded`);
+        }
+      });
+
+      const previousRefunds = bill.refunds || [];
+      const previousRefundAmount = bill.refundAmount || 0;
+
+      const updatedItems = bill.items.map(item => ({ ...item }));
+      refundLines.forEach(line => {
+        const item = updatedItems[line.index];
+        item.refundedQuantity = (item.refundedQuantity || 0) + line.quantity;
+      });
+      // Gift card lines that never got a card can't be refunded, so they don't hold the bill open
+      const fullyRefunded = updatedItems
+        .filter(item => item.type !== 'gift_card' || item.giftCardCode)
+        .every(item => (item.refundedQuantity || 0) >= (item.quantity || 1));
+
+      const refundItems = refundLines.map(line => {
+        const { item, unitRefundAmount } = refundableItems[line.index];
+        return {
+          index: line.index,
+          itemId: item.id || null,
+          type: item.type,
+          name: item.name || '',
+          quantity: line.quantity,
+          amount: parseFloat((unitRefundAmount * line.quantity).toFixed(2)),
+          batchReturns: []
+        };
+      });
+
+      // The last refund takes whatever is left so rounding never leaves a few centavos behind
+      const remainingRefundable = Math.max(0, (bill.total || 0) - (bill.tip || 0) - previousRefundAmount);
+      let amount = refundItems.reduce((sum, item) => sum + item.amount, 0);
+      amount = fullyRefunded ? remainingRefundable : Math.min(amount, remainingRefundable);
+      amount = parseFloat(amount.toFixed(2));
+
+      const method = refundData.method || PAYMENT_METHODS.CASH;
+
+      // A refund to gift card goes back on the cards that paid, up to what each one paid
+      const giftCardReturns = [];
+      if (method === PAYMENT_METHODS.GIFT_CARD) {
+        let remaining = amount;
+        Object.entries(getGiftCardTenderBalances(bill)).forEach(([code, balance]) => {
+          const returnAmount = parseFloat(Math.min(remaining, balance).toFixed(2));
+          if (returnAmount <= 0) return;
+          giftCardReturns.push({ code, amount: returnAmount });
+          remaining = parseFloat((remaining - returnAmount).toFixed(2));
+        });
+        if (remaining > 0) {
+          throw new Error(`Only ₱${(amount - remaining).toFixed(2)} of this refund can go back to gift cards`);
+        }
+      }
+
+      // Refunding a gift card sold on the bill voids the card
+      const voidedCodes = refundLines
+        .map(line => bill.items[line.index])
+        .filter(item => item.type === 'gift_card')
+        .map(item => normalizeGiftCardCode(item.giftCardCode));
+
+      const cards = await readGiftCardsInTransaction(transaction, [
+        ...voidedCodes,
+        ...giftCardReturns.map(giftCardReturn => giftCardReturn.code)
+      ]);
+      const refundId = `R${previousRefunds.length + 1}`;
+      const context = { branchId: bill.branchId, billId, reason: `Refund ${refundId} on bill ${billId}` };
+
+      voidedCodes.forEach(code => applyGiftCardVoid(transaction, cards[code], context, currentUser));
+      giftCardReturns.forEach(giftCardReturn => {
+        applyGiftCardReversal(transaction, cards[giftCardReturn.code], giftCardReturn.amount, context, currentUser);
+      });
+
+      const refund = {
+        id: refundId,
+        items: refundItems,
+        amount,
+        method,
+        ...(giftCardReturns.length > 0 ? { giftCardReturns } : {}),
+        reason: refundData.reason || '',
+        pointsReversed: 0,
+        processedBy: userId,
+        processedByName: userName,
+        createdAt: Timestamp.now()
+      };
+
+      transaction.update(billRef, {
+        status: fullyRefunded ? BILL_STATUS.REFUNDED : BILL_STATUS.PARTIALLY_REFUNDED,
+        items: updatedItems,
+        refunds: [...previousRefunds, refund],
+        refundAmount: parseFloat((previousRefundAmount + amount).toFixed(2)),
+        refundReason: refundData.reason || '',
+        approvedBy: userId,
+        approvedByName: userName,
+        refundedAt: Timestamp.now(),
+        updatedAt: Timestamp.now()
+      });
+
+      return { bill, refund, previousRefunds };
     });
 
+    const refundItems = refund.items;
+    const amount = refund.amount;
+
+    // Put refunded products back into the batches they were sold from
+    const productRefunds = refundItems.filter(refundItem => refundItem.type === 'product');
+    if (productRefunds.length > 0) {
+      try {
+        const { inventoryService } = await import('./inventoryService');
+
+        for (const refundItem of productRefunds) {
+          refundItem.batchReturns = await returnRefundedProductStock(
+            inventoryService,
+            bill,
+            refundItem,
+            previousRefunds,
+            userId
+          );
+          const returnedQuantity = refundItem.batchReturns.reduce((sum, b) => sum + b.quantity, 0);
+          if (returnedQuantity < refundItem.quantity) {
+            toast.error(`Refund recorded but ${refundItem.quantity - returnedQuantity} of ${refundItem.name} could not be returned to stock. Please update stock manually.`);
+          }
+        }
+      } catch (stockError) {
+        console.error('Error returning refunded stock:', stockError);
+        toast.error('Refund recorded but stock return failed. Please update stock manually.');
+      }
+    }
+
+    // Take back the share of loyalty points that the refunded amount earned
+    if (bill.clientId && bill.branchId) {
+      try {
+        const giftCardSales = (bill.items || [])
+          .filter(item => item.type === 'gift_card')
+          .reduce((sum, item) => sum + (item.price || 0), 0);
+        const pointsBase = Math.max(0, (bill.total || 0) - giftCardSales - (bill.tip || 0));
+        const { earned, reversed } = await getBillLoyaltyPoints(bill.clientId, billId);
+
+        // Refunded gift cards never earned points, so they don't count toward the share
+        const pointsRefunded = [...previousRefunds, refund].reduce((sum, previous) => sum + previous.amount -
+          (previous.items || [])
+            .filter(item => item.type === 'gift_card')
+            .reduce((giftCardSum, item) => giftCardSum + item.amount, 0), 0);
+
+        if (earned > 0 && pointsBase > 0) {
+          const refundedShare = Math.min(1, Math.max(0, pointsRefunded) / pointsBase);
+          const pointsToReverse = Math.floor(earned * refundedShare) - reversed;
+          if (pointsToReverse > 0) {
+            refund.pointsReversed = await reverseLoyaltyPoints(
+              bill.clientId,
+              bill.branchId,
+              pointsToReverse,
+              billId,
+              currentUser
+            );
+          }
+        }
+      } catch (loyaltyError) {
+        console.error('Error reversing loyalty points:', loyaltyError);
+        // Don't fail the refund if loyalty reversal fails
+      }
+    }
+
+    if (productRefunds.length > 0 || refund.pointsReversed > 0) {
+      await runTransaction(db, async (transaction) => {
+        const billSnap = await transaction.get(billRef);
+        transaction.update(billRef, {
+          refunds: (billSnap.data().refunds || []).map(previous => (previous.id === refund.id ? refund : previous)),
+          updatedAt: Timestamp.now()
+        });
+      });
+    }
+
     // Log the refund action
+    const itemSummary = refundItems.map(item => `${item.quantity}x ${item.name}`).join(', ');
     await logBillingAction({
       billId,
       action: 'refund',
       performedBy: userId,
       performedByName: userName,
       branchId: bill.branchId,
-      details: `Refund of ₱${refundData.amount || bill.total}. Reason: ${refundData.reason || 'No reason provided'}`
+      details: `Refund of ₱${amount.toFixed(2)} (${itemSummary}). Reason: ${refundData.reason || 'No reason provided'}`
     });
 
     toast.success('Refund processed successfully');
+    return refund;
   } catch (error) {
     console.error('Error processing refund:', error);
     toast.error(error.message || 'Failed to process refund');
@@ -627,8 +1229,65 @@ export const refundBill = async (billId, refundData, currentUser) => {
   }
 };
 
+/**
+ * Return refunded units of a product line to the batches they were sold from
+ * Batches are refilled newest first, skipping units that earlier refunds already returned
+ * @param {Object} inventoryService - Inventory service instance
+ * @param {Object} bill - Bill data
+ * @param {Object} refundItem - Refund line { index, itemId, name, quantity }
+ * @param {Array} previousRefunds - Refund records already on the bill
+ * @param {string} userId - User processing the refund
+ * @returns {Promise<Array>} - Array of { batchId, batchNumber, quantity }
+ */
+const returnRefundedProductStock = async (inventoryService, bill, refundItem, previousRefunds, userId) => {
+  const item = bill.items[refundItem.index];
+  const alreadyReturned = {};
+  previousRefunds.forEach(refund => {
+    (refund.items || [])
+      .filter(previous => previous.index === refundItem.index)
+      .forEach(previous => {
+        (previous.batchReturns || []).forEach(batchReturn => {
+          alreadyReturned[batchReturn.batchId] = (alreadyReturned[batchReturn.batchId] || 0) + batchReturn.quantity;
+        });
+      });
+  });
+
+  const batchReturns = [];
+  let remaining = refundItem.quantity;
+
+  for (const batch of [...(item.batches || [])].reverse()) {
+    if (remaining <= 0) break;
+    if (!batch.batchId) continue;
+
+    const available = (batch.quantity || 0) - (alreadyReturned[batch.batchId] || 0);
+    const quantity = Math.min(remaining, available);
+    if (quantity <= 0) continue;
+
+    const result = await inventoryService.returnStockToBatch({
+      returnType: 'sale',
+      batchId: batch.batchId,
+      quantity,
+      billId: bill.id,
+      productName: item.name,
+      returnReason: `Refund on bill ${bill.id}`,
+      returnedBy: userId
+    });
+
+    if (result.success) {
+      batchReturns.push({ batchId: batch.batchId, batchNumber: batch.batchNumber || '', quantity });
+      remaining -= quantity;
+    } else {
+      console.warn(`⚠️ Could not return ${item.name} to batch ${batch.batchNumber}:`, result.message);
+    }
+  }
+
+  return batchReturns;
+};
+
 /**
  * Void a bill transaction
+ * Fully refunded bills cannot be voided; a partially refunded one only gives back what its
+ * refunds have not
  * @param {string} billId - Bill ID
  * @param {string} reason - Void reason
  * @param {Object} currentUser - User voiding the bill
@@ -638,11 +1297,6 @@ export const refundBill = async (billId, refundData, currentUser) => {
 export const voidBill = async (billId, reason, currentUser, witnessInfo = null) => {
   try {
     const billRef = doc(db, BILLS_COLLECTION, billId);
-    const bill = await getBillById(billId);
-
-    if (bill.status === BILL_STATUS.VOIDED) {
-      throw new Error('Bill is already voided');
-    }
 
     // Require witness for voiding
     if (!witnessInfo || !witnessInfo.id) {
@@ -655,18 +1309,73 @@ export const voidBill = async (billId, reason, currentUser, witnessInfo = null)
                     currentUser.email || 
                     'Unknown User';
 
-    await updateDoc(billRef, {
-      status: BILL_STATUS.VOIDED,
-      voidReason: reason,
-      approvedBy: userId,
-      approvedByName: userName,
-      witnessId: witnessInfo.id,
-      witnessEmail: witnessInfo.email,
-      witnessName: witnessInfo.name,
-      voidedAt: Timestamp.now(),
-      updatedAt: Timestamp.now()
+    // The bill and every gift card it touched change together, or not at all
+    const bill = await runTransaction(db, async (transaction) => {
+      const billSnap = await transaction.get(billRef);
+      if (!billSnap.exists()) {
+        throw new Error('Bill not found');
+      }
+      const bill = { id: billSnap.id, ...billSnap.data() };
+
+      if (bill.status === BILL_STATUS.VOIDED) {
+        throw new Error('Bill is already voided');
+      }
+      // Everything on a refunded bill has already gone back to the client
+      if (bill.status === BILL_STATUS.REFUNDED) {
+        throw new Error('Refunded bills cannot be voided');
+      }
+
+      // Cards sold on the bill are voided, unless a refund already did it
+      const issuedCodes = (bill.items || [])
+        .filter(item => item.type === 'gift_card' && item.giftCardCode &&
+          (item.refundedQuantity || 0) < (item.quantity || 1))
+        .map(item => normalizeGiftCardCode(item.giftCardCode));
+      // Gift card tenders go back on their cards, less what refunds (by any method) already returned
+      const tenderBalances = getGiftCardTenderBalances(bill);
+      const cards = await readGiftCardsInTransaction(transaction, [...issuedCodes, ...Object.keys(tenderBalances)]);
+      const context = { branchId: bill.branchId, billId, reason: `Bill ${billId} voided` };
+
+      issuedCodes.forEach(code => applyGiftCardVoid(transaction, cards[code], context, currentUser));
+      Object.entries(tenderBalances)
+        .filter(([, amount]) => amount > 0)
+        .forEach(([code, amount]) => applyGiftCardReversal(transaction, cards[code], amount, context, currentUser));
+
+      transaction.update(billRef, {
+        status: BILL_STATUS.VOIDED,
+        voidReason: reason,
+        approvedBy: userId,
+        approvedByName: userName,
+        witnessId: witnessInfo.id,
+        witnessEmail: witnessInfo.email,
+        witnessName: witnessInfo.name,
+        voidedAt: Timestamp.now(),
+        updatedAt: Timestamp.now()
+      });
+
+      return bill;
     });
 
+    // A deposit used on this bill goes back on hold for the appointment
+    if (bill.appointmentId && getBillTenders(bill).some(p => p.method === PAYMENT_METHODS.DEPOSIT)) {
+      try {
+        await releaseDepositFromBill(bill.appointmentId, billId);
+      } catch (depositError) {
+        console.error('Error releasing appointment deposit:', depositError);
+      }
+    }
+
+    // No-show fees paid on this bill are owed again
+    const feeAppointmentIds = (bill.items || [])
+      .filter(item => item.type === 'no_show_fee' && item.appointmentId)
+      .map(item => item.appointmentId);
+    if (feeAppointmentIds.length > 0) {
+      try {
+        await reopenNoShowFeesFromBill(feeAppointmentIds, billId);
+      } catch (feeError) {
+        console.error('Error reopening no-show fees:', feeError);
+      }
+    }
+
     // Log the void action with witness information
     await logBillingAction({
       billId,
@@ -687,6 +1396,9 @@ export const voidBill = async (billId, reason, currentUser, witnessInfo = null)
 
 /**
  * Get daily sales summary for a branch
+ * Deposits applied on bills were taken in on the day they were paid, so they are left out
+ * of the payment breakdown and shown on their own. Deposits kept for a no-show or late
+ * cancellation count as revenue on the day they were kept.
  * @param {string} branchId - Branch ID
  * @param {Date} date - Date (defaults to today)
  * @returns {Promise<Object>} - Sales summary
@@ -699,10 +1411,13 @@ export const getDailySalesSummary = async (branchId, date = new Date()) => {
     const endOfDay = new Date(date);
     endOfDay.setHours(23, 59, 59, 999);
 
-    const bills = await getBillsByBranch(branchId, {
-      startDate: startOfDay,
-      endDate: endOfDay
-    });
+    const [bills, retainedDeposits] = await Promise.all([
+      getBillsByBranch(branchId, {
+        startDate: startOfDay,
+        endDate: endOfDay
+      }),
+      getRetainedDeposits(branchId, startOfDay, endOfDay)
+    ]);
 
     const summary = {
       totalTransactions: 0,
@@ -710,6 +1425,9 @@ export const getDailySalesSummary = async (branchId, date = new Date()) => {
       totalDiscounts: 0,
       totalRefunds: 0,
       totalTax: 0,
+      totalTips: 0,
+      depositsApplied: 0,
+      retainedDeposits: retainedDeposits.total,
       paymentBreakdown: {
         cash: 0,
         card: 0,
@@ -718,6 +1436,7 @@ export const getDailySalesSummary = async (branchId, date = new Date()) => {
       },
       statusBreakdown: {
         paid: 0,
+        partially_refunded: 0,
         refunded: 0,
         voided: 0
       }
@@ -727,25 +1446,34 @@ export const getDailySalesSummary = async (branchId, date = new Date()) => {
       // Count by status
       summary.statusBreakdown[bill.status] = (summary.statusBreakdown[bill.status] || 0) + 1;
 
-      if (bill.status === BILL_STATUS.PAID) {
+      if (bill.status === BILL_STATUS.PAID || bill.status === BILL_STATUS.PARTIALLY_REFUNDED) {
         summary.totalTransactions++;
-        summary.totalRevenue += bill.total;
+        summary.totalRevenue += bill.total - (bill.tip || 0);
         summary.totalDiscounts += bill.discount;
         summary.totalTax += bill.tax;
+        summary.totalTips += bill.tip || 0;
 
-        // Payment breakdown
-        if (bill.paymentMethod) {
-          summary.paymentBreakdown[bill.paymentMethod] += bill.total;
-        }
+        // Payment breakdown (by tender, so split payments land in each method)
+        getBillTenders(bill).forEach(tender => {
+          if (tender.method === PAYMENT_METHODS.DEPOSIT) {
+            summary.depositsApplied += tender.amount || 0;
+            return;
+          }
+          summary.paymentBreakdown[tender.method] = (summary.paymentBreakdown[tender.method] || 0) + (tender.amount || 0);
+        });
       }
 
       if (bill.status === BILL_STATUS.REFUNDED) {
         summary.totalRefunds += bill.refundAmount || bill.total;
       }
+
+      if (bill.status === BILL_STATUS.PARTIALLY_REFUNDED) {
+        summary.totalRefunds += bill.refundAmount || 0;
+      }
     });
 
-    // Net revenue (after refunds)
-    summary.netRevenue = summary.totalRevenue - summary.totalRefunds;
+    // Net revenue (after refunds, plus deposits kept)
+    summary.netRevenue = summary.totalRevenue - summary.totalRefunds + summary.retainedDeposits;
 
     return summary;
   } catch (error) {
@@ -754,47 +1482,117 @@ export const getDailySalesSummary = async (branchId, date = new Date()) => {
   }
 };
 
+/**
+ * Get the tips owed to each stylist at a branch for a period
+ * Tips stay with the stylist when items are refunded; voided bills carry no tip
+ * @param {string} branchId - Branch ID
+ * @param {Object} filters - { startDate, endDate }
+ * @returns {Promise<Object>} - { totalTips, stylists: [{ stylistId, stylistName, totalTips, billCount, entries }] }
+ */
+export const getTipPayouts = async (branchId, filters = {}) => {
+  const bills = await getBillsByBranch(branchId, filters);
+  const byStylist = {};
+  let totalTips = 0;
+
+  bills
+    .filter(bill => bill.status !== BILL_STATUS.VOIDED && (bill.tip || 0) > 0)
+    .forEach(bill => {
+      (bill.tipAllocations || []).forEach(allocation => {
+        if (!byStylist[allocation.stylistId]) {
+          byStylist[allocation.stylistId] = {
+            stylistId: allocation.stylistId,
+            stylistName: allocation.stylistName || 'Unknown',
+            totalTips: 0,
+            billCount: 0,
+            entries: []
+          };
+        }
+
+        const stylist = byStylist[allocation.stylistId];
+        stylist.totalTips += allocation.amount || 0;
+        stylist.billCount++;
+        stylist.entries.push({
+          billId: bill.id,
+          receiptNumber: bill.receiptNumber || '',
+          clientName: bill.clientName || 'Walk-in',
+          createdAt: bill.createdAt,
+          billTip: bill.tip,
+          splitMethod: bill.tipSplitMethod,
+          amount: allocation.amount || 0
+        });
+        totalTips += allocation.amount || 0;
+      });
+    });
+
+  return {
+    totalTips: parseFloat(totalTips.toFixed(2)),
+    stylists: Object.values(byStylist)
+      .map(stylist => ({ ...stylist, totalTips: parseFloat(stylist.totalTips.toFixed(2)) }))
+      .sort((a, b) => b.totalTips - a.totalTips)
+  };
+};
+
 /**
  * Calculate bill totals
- * @param {Object} billData - Bill data with items, discount, tax rate, etc.
- * @returns {Object} - Calculated totals
+ * VAT follows the branch taxSettings; without them the legacy taxRate is added on top.
+ * A senior citizen / PWD discount replaces the manual and promotion discounts.
+ * @param {Object} billData - Bill data with items, discount, taxSettings, statutoryDiscount, etc.
+ * @returns {Object} - Calculated totals, with the VAT buckets in taxBreakdown
  */
 export const calculateBillTotals = (billData) => {
-  const { items = [], discount = 0, discountType = 'fixed', taxRate = 0, loyaltyPointsUsed = 0, promotionDiscount = 0 } = billData;
+  const {
+    items = [],
+    discount = 0,
+    discountType = 'fixed',
+    taxRate = 0,
+    taxSettings = null,
+    statutoryDiscount = null,
+    loyaltyPointsUsed = 0,
+    promotionDiscount = 0,
+    tip = 0
+  } = billData;
 
   // Calculate subtotal from items
   const subtotal = items.reduce((sum, item) => {
     return sum + (item.price * (item.quantity || 1));
   }, 0);
 
-  // Calculate discount amount
+  const hasStatutoryDiscount = !!statutoryDiscount?.type;
+
+  // Manual and promotion discounts
   let discountAmount = 0;
-  if (discountType === 'percentage') {
-    discountAmount = (subtotal * discount) / 100;
-  } else {
-    discountAmount = discount;
+  if (!hasStatutoryDiscount) {
+    discountAmount = discountType === 'percentage' ? (subtotal * discount) / 100 : discount;
+    discountAmount += (promotionDiscount || 0);
   }
 
-  // Add loyalty points discount (e.g., 1 point = 1 peso)
-  discountAmount += loyaltyPointsUsed;
-
-  // Add promotion discount
-  discountAmount += (promotionDiscount || 0);
-
-  // Amount after discount
-  const amountAfterDiscount = Math.max(0, subtotal - discountAmount);
+  // Loyalty points (1 point = 1 peso) reduce the VAT base like a discount,
+  // except with a statutory discount where they come off the amount due
+  const points = Math.max(0, loyaltyPointsUsed || 0);
+  const effectiveTaxSettings = taxSettings || { mode: TAX_MODES.EXCLUSIVE, rate: taxRate };
+  const taxBreakdown = calculateTaxBreakdown({
+    items,
+    discountAmount: hasStatutoryDiscount ? 0 : discountAmount + points,
+    taxSettings: effectiveTaxSettings,
+    statutoryDiscount
+  });
+  const pointsAfterTax = hasStatutoryDiscount ? Math.min(points, taxBreakdown.amountDue) : 0;
 
-  // Calculate tax (no service charge)
-  const tax = (amountAfterDiscount * taxRate) / 100;
+  // Tips are added after discount and tax so they are neither discounted nor taxed
+  const tipAmount = Math.max(0, parseFloat(tip) || 0);
 
   // Calculate total
-  const total = amountAfterDiscount + tax;
+  const total = Math.max(0, taxBreakdown.amountDue - pointsAfterTax) + tipAmount;
 
   return {
     subtotal: parseFloat(subtotal.toFixed(2)),
-    discount: parseFloat(discountAmount.toFixed(2)),
+    discount: parseFloat(Math.min(subtotal, discountAmount + points + taxBreakdown.statutoryDiscount).toFixed(2)),
     serviceCharge: 0,
-    tax: parseFloat(tax.toFixed(2)),
+    tax: taxBreakdown.vatAmount,
+    taxMode: effectiveTaxSettings.mode,
+    taxRate: parseFloat(effectiveTaxSettings.rate) || 0,
+    taxBreakdown,
+    tip: parseFloat(tipAmount.toFixed(2)),
     total: parseFloat(total.toFixed(2))
   };
 };
@@ -0,0 +1,165 @@
+/**
+ * Booking Policy Service
+ * Per-branch booking rules: slot granularity, how soon and how far ahead a booking can be
+ * made, reschedule and cancellation cutoffs, how many no-preference bookings can overlap,
+ * and how many online bookings a day can take. Stored on the branch as bookingPolicy.
+ */
+
+import { collection, getDocs, query, where, Timestamp } from 'firebase/firestore';
+import { db } from '../config/firebase';
+
+const APPOINTMENTS_COLLECTION = 'appointments';
+
+// Statuses that count against capacity (see APPOINTMENT_STATUS in appointmentService)
+const ACTIVE_APPOINTMENT_STATUSES = ['pending', 'confirmed', 'in_service'];
+
+// How an appointment was booked
+export const BOOKING_CHANNELS = {
+  ONLINE: 'online',
+  FRONT_DESK: 'front_desk'
+};
+
+export const SLOT_INTERVAL_OPTIONS = [10, 15, 20, 30, 45, 60];
+
+// Zero limits mean no limit
+export const DEFAULT_BOOKING_POLICY = {
+  slotIntervalMinutes: 30,
+  minLeadTimeMinutes: 0, // Online bookings must start at least this long from now
+  maxAdvanceDays: 90, // Online bookings can be made up to this many days ahead
+  rescheduleCutoffHours: 2, // No rescheduling this close to the appointment
+  cancelCutoffHours: 0, // No cancelling this close to the appointment
+  maxNoPreferenceConcurrent: 0, // Overlapping bookings without a stylist preference
+  maxOnlineBookingsPerDay: 0
+};
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null);
+
+const toWholeNumber = (value) => Math.max(parseInt(value) || 0, 0);
+
+/**
+ * Get a branch's booking policy, filling in defaults
+ * @param {Object} branch - Branch document
+ * @returns {Object} - { slotIntervalMinutes, minLeadTimeMinutes, maxAdvanceDays, rescheduleCutoffHours,
+ *   cancelCutoffHours, maxNoPreferenceConcurrent, maxOnlineBookingsPerDay }
+ */
+export const getBranchBookingPolicy = (branch) => {
+  const policy = { ...DEFAULT_BOOKING_POLICY, ...(branch?.bookingPolicy || {}) };
+  return {
+    slotIntervalMinutes: toWholeNumber(policy.slotIntervalMinutes) || DEFAULT_BOOKING_POLICY.slotIntervalMinutes,
+    minLeadTimeMinutes: toWholeNumber(policy.minLeadTimeMinutes),
+    maxAdvanceDays: toWholeNumber(policy.maxAdvanceDays),
+    rescheduleCutoffHours: Math.max(parseFloat(policy.rescheduleCutoffHours) || 0, 0),
+    cancelCutoffHours: Math.max(parseFloat(policy.cancelCutoffHours) || 0, 0),
+    maxNoPreferenceConcurrent: toWholeNumber(policy.maxNoPreferenceConcurrent),
+    maxOnlineBookingsPerDay: toWholeNumber(policy.maxOnlineBookingsPerDay)
+  };
+};
+
+/**
+ * Earliest time a booking can start under the policy
+ * @returns {Date}
+ */
+export const getEarliestBookingTime = (policy, now = new Date()) =>
+  new Date(now.getTime() + policy.minLeadTimeMinutes * 60000);
+
+/**
+ * Last day a booking can be made for, or null without a limit
+ * @returns {Date|null} - End of that day
+ */
+export const getLatestBookingDay = (policy, now = new Date()) => {
+  if (!policy.maxAdvanceDays) return null;
+  const latest = new Date(now);
+  latest.setDate(latest.getDate() + policy.maxAdvanceDays);
+  latest.setHours(23, 59, 59, 999);
+  return latest;
+};
+
+const describeMinutes = (minutes) => {
+  if (minutes % 60 === 0) {
+    const hours = minutes / 60;
+    return `${hours} hour${hours !== 1 ? 's' : ''}`;
+  }
+  return `${minutes} minutes`;
+};
+
+const describeHours = (hours) => `${hours} hour${hours !== 1 ? 's' : ''}`;
+
+/**
+ * Check a booking time against the lead time and advance window
+ * Only online bookings are held to them; the front desk can book any time that hasn't passed.
+ * @param {Object} policy - Branch booking policy
+ * @param {Date|string} appointmentDate - Start of the booking
+ * @param {Object} options - { channel, checkAdvance } - channel is a BOOKING_CHANNELS value;
+ *   checkAdvance false skips the advance window (later series occurrences)
+ * @returns {string|null} - Why the time cannot be booked, or null
+ */
+export const getBookingWindowError = (policy, appointmentDate, { channel = BOOKING_CHANNELS.FRONT_DESK, checkAdvance = true } = {}) => {
+  const start = toDate(appointmentDate);
+  if (channel !== BOOKING_CHANNELS.ONLINE) {
+    return start < new Date() ? 'This time has passed' : null;
+  }
+  if (start < getEarliestBookingTime(policy)) {
+    return policy.minLeadTimeMinutes > 0
+      ? `Bookings must be made at least ${describeMinutes(policy.minLeadTimeMinutes)} in advance`
+      : 'This time has passed';
+  }
+  const latest = getLatestBookingDay(policy);
+  if (checkAdvance && latest && start > latest) {
+    return `Bookings can only be made up to ${policy.maxAdvanceDays} days in advance`;
+  }
+  return null;
+};
+
+/**
+ * Check whether an appointment can still be rescheduled or cancelled
+ * @param {Object} policy - Branch booking policy
+ * @param {Date|string|Object} appointmentDate - Current start of the appointment
+ * @param {string} change - 'reschedule' or 'cancel'
+ * @returns {string|null} - Why the change is not allowed, or null
+ */
+export const getChangeCutoffError = (policy, appointmentDate, change) => {
+  const cutoffHours = change === 'cancel' ? policy.cancelCutoffHours : policy.rescheduleCutoffHours;
+  if (!cutoffHours) return null;
+  const start = toDate(appointmentDate);
+  if (start && start.getTime() - Date.now() < cutoffHours * 60 * 60 * 1000) {
+    const action = change === 'cancel' ? 'cancelled' : 'rescheduled';
+    return `Appointments can't be ${action} less than ${describeHours(cutoffHours)} before the start time`;
+  }
+  return null;
+};
+
+/**
+ * Whether an appointment was booked without any stylist preference
+ * @param {Object} appointment - Appointment data
+ * @returns {boolean}
+ */
+export const isNoPreferenceBooking = (appointment) => {
+  const services = appointment.services?.length > 0 ? appointment.services : [appointment];
+  return services.every(svc => !svc.stylistId);
+};
+
+/**
+ * Count a branch's active online bookings on a day
+ * @param {string} branchId - Branch ID
+ * @param {Date|string} date - Day to count
+ * @returns {Promise<number>}
+ */
+export const countOnlineBookingsOnDay = async (branchId, date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  const dayEnd = new Date(day);
+  dayEnd.setHours(23, 59, 59, 999);
+
+  // Filter branch and channel client-side to avoid a composite index
+  const snapshot = await getDocs(query(
+    collection(db, APPOINTMENTS_COLLECTION),
+    where('appointmentDate', '>=', Timestamp.fromDate(day)),
+    where('appointmentDate', '<=', Timestamp.fromDate(dayEnd))
+  ));
+  return snapshot.docs.filter(doc => {
+    const data = doc.data();
+    return data.branchId === branchId &&
+      data.bookingChannel === BOOKING_CHANNELS.ONLINE &&
+      ACTIVE_APPOINTMENT_STATUSES.includes(data.status);
+  }).length;
+};
@@ -206,7 +206,7 @@ export const updateBranch = async (branchId, updates, currentUser) => {
     
     // Find what actually changed
     const changedFields = Object.keys(updates).filter(key => {
-      if (key === 'operatingHours') {
+      if (['operatingHours', 'taxSettings', 'depositPolicy', 'bookingPolicy', 'reliabilityPolicy', 'resources'].includes(key)) {
         return JSON.stringify(currentData[key]) !== JSON.stringify(updates[key]);
       }
       return currentData[key] !== updates[key];
@@ -7,6 +7,8 @@
  * - branchPricing field: { [branchId]: price } (direct price values)
  * - Branch offers service if branchPricing[branchId] exists
  * - Branch stops offering by deleting branchPricing[branchId]
+ * - branchDeposits field: { [branchId]: { type, value } } (booking deposit, optional)
+ * - branchResources field: { [branchId]: [resourceId] } (shared branch resources the service occupies)
  */
 
 import { 
@@ -26,6 +28,7 @@ import {
 import { db } from '../config/firebase';
 import { logActivity } from './activityService';
 import { getFullName } from '../utils/helpers';
+import { DEPOSIT_TYPES } from './appointmentDepositService';
 import toast from 'react-hot-toast';
 
 /**
@@ -61,6 +64,8 @@ export const getBranchServices = async (branchId) => {
           name: data.name || data.serviceName || 'Service',
           // Include branch-specific price at top level for convenience
           price: data.branchPricing[branchId],
+          deposit: data.branchDeposits?.[branchId] || null,
+          resources: data.branchResources?.[branchId] || [],
           // Ensure enabled field exists (based on isActive and branchPricing)
           enabled: data.isActive && data.branchPricing && data.branchPricing[branchId] !== undefined
         };
@@ -104,6 +109,8 @@ export const getAllServicesWithBranchConfig = async (branchId) => {
         ...data,
         // Include branch price if configured, otherwise null
         price: branchPrice || null,
+        deposit: data.branchDeposits?.[branchId] || null,
+        resources: data.branchResources?.[branchId] || [],
         isOfferedByBranch: branchPrice !== undefined
       };
     });
@@ -251,6 +258,110 @@ export const setBranchPrice = async (serviceId, branchId, price, currentUser) =>
   }
 };
 
+/**
+ * Set the booking deposit a branch requires for a service
+ * @param {string} serviceId - Service ID
+ * @param {string} branchId - Branch ID
+ * @param {Object|null} deposit - { type: 'fixed' | 'percentage', value }, or null for no deposit
+ * @param {Object} currentUser - User performing the action
+ * @returns {Promise<void>}
+ */
+export const setBranchDeposit = async (serviceId, branchId, deposit, currentUser) => {
+  try {
+    const serviceRef = doc(db, 'services', serviceId);
+    const serviceDoc = await getDoc(serviceRef);
+    if (!serviceDoc.exists()) {
+      throw new Error('Service not found');
+    }
+
+    const currentData = serviceDoc.data();
+    const branchDeposits = { ...(currentData.branchDeposits || {}) };
+    const value = parseFloat(deposit?.value) || 0;
+    if (value > 0) {
+      if (deposit.type === DEPOSIT_TYPES.PERCENTAGE && value > 100) {
+        throw new Error('Deposit percentage cannot exceed 100%');
+      }
+      branchDeposits[branchId] = { type: deposit.type, value };
+    } else {
+      delete branchDeposits[branchId];
+    }
+
+    await updateDoc(serviceRef, {
+      branchDeposits,
+      updatedAt: Timestamp.now(),
+      updatedBy: currentUser.uid
+    });
+
+    await logActivity({
+      action: 'branch_service_deposit_set',
+      performedBy: currentUser.uid,
+      targetUser: null,
+      details: {
+        branchId,
+        serviceId,
+        serviceName: currentData.name,
+        deposit: branchDeposits[branchId] || null
+      }
+    });
+
+    toast.success(value > 0 ? 'Deposit requirement saved' : 'Deposit requirement removed');
+  } catch (error) {
+    console.error('Error setting branch deposit:', error);
+    toast.error(error.message || 'Failed to save deposit requirement');
+    throw error;
+  }
+};
+
+/**
+ * Set the shared resources (e.g. rebond chair, wash station) a service occupies at a branch
+ * @param {string} serviceId - Service ID
+ * @param {string} branchId - Branch ID
+ * @param {Array} resourceIds - IDs from the branch's resources list; empty to clear
+ * @param {Object} currentUser - User performing the action
+ * @returns {Promise<void>}
+ */
+export const setBranchResources = async (serviceId, branchId, resourceIds, currentUser) => {
+  try {
+    const serviceRef = doc(db, 'services', serviceId);
+    const serviceDoc = await getDoc(serviceRef);
+    if (!serviceDoc.exists()) {
+      throw new Error('Service not found');
+    }
+
+    const currentData = serviceDoc.data();
+    const branchResources = { ...(currentData.branchResources || {}) };
+    if (resourceIds && resourceIds.length > 0) {
+      branchResources[branchId] = resourceIds;
+    } else {
+      delete branchResources[branchId];
+    }
+
+    await updateDoc(serviceRef, {
+      branchResources,
+      updatedAt: Timestamp.now(),
+      updatedBy: currentUser.uid
+    });
+
+    await logActivity({
+      action: 'branch_service_resources_set',
+      performedBy: currentUser.uid,
+      targetUser: null,
+      details: {
+        branchId,
+        serviceId,
+        serviceName: currentData.name,
+        resources: branchResources[branchId] || []
+      }
+    });
+
+    toast.success('Service resources saved');
+  } catch (error) {
+    console.error('Error setting branch resources:', error);
+    toast.error(error.message || 'Failed to save service resources');
+    throw error;
+  }
+};
+
 /**
  * Disable a service for a branch (remove from branchPricing)
  * @param {string} serviceId - Service ID
@@ -0,0 +1,292 @@
+/**
+ * Calendar Service
+ * iCalendar (.ics) export for single appointments, and tokenised per-stylist and
+ * per-branch feeds. Every appointment keeps the same UID across exports and its
+ * SEQUENCE grows with its history, so calendar apps update or cancel the event
+ * they already have instead of adding a copy.
+ * Calendar apps subscribe to a feed's link, which the calendarFeed Cloud Function
+ * (functions/calendarFeed.js) serves. Events are built by functions/appointmentEvents.mjs,
+ * which both use, so downloads and subscriptions never drift apart.
+ */
+
+import {
+  collection,
+  doc,
+  addDoc,
+  updateDoc,
+  getDocs,
+  query,
+  where,
+  orderBy,
+  Timestamp,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from '../config/firebase';
+import { getAppointmentsByDateRange } from './appointmentService';
+import {
+  buildAppointmentEvent,
+  buildCalendar,
+  getAppointmentEventUid,
+  getBranchLocation,
+  getFeedWindow,
+  isStylistOnAppointment
+} from '../../functions/appointmentEvents.mjs';
+import { getBranchById } from './branchService';
+import { getUserById } from './userService';
+import toast from 'react-hot-toast';
+
+const CALENDAR_FEEDS_COLLECTION = 'calendar_feeds';
+const APPOINTMENTS_COLLECTION = 'appointments';
+
+export const CALENDAR_FEED_TYPES = {
+  STYLIST: 'stylist',
+  BRANCH: 'branch'
+};
+
+export { getAppointmentEventUid };
+
+/**
+ * Generate an .ics file for a single appointment
+ * @param {Object} appointment - Appointment with id
+ * @param {Object} branch - Branch data, used for the location (optional)
+ * @returns {string} - iCalendar text
+ */
+export const generateAppointmentIcs = (appointment, branch = null) => {
+  const event = buildAppointmentEvent(appointment, { location: getBranchLocation(branch) });
+  return buildCalendar(event ? [event] : []);
+};
+
+/**
+ * Encode iCalendar text as base64, for email attachments
+ * @param {string} ics - iCalendar text
+ * @returns {string}
+ */
+export const encodeIcsBase64 = (ics) => {
+  const bytes = new TextEncoder().encode(ics);
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary);
+};
+
+/**
+ * Trigger a browser download of iCalendar text
+ * @param {string} ics - iCalendar text
+ * @param {string} fileName - File name including .ics
+ */
+export const downloadIcsFile = (ics, fileName) => {
+  const blob = new Blob([ics], { type: 'text/calendar;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Download a single appointment as an .ics file
+ * @param {Object} appointment - Appointment with id
+ */
+export const downloadAppointmentIcs = async (appointment) => {
+  try {
+    let branch = null;
+    if (appointment.branchId) {
+      try {
+        branch = await getBranchById(appointment.branchId);
+      } catch (error) {
+        console.error('Error loading branch for calendar export:', error);
+      }
+    }
+    downloadIcsFile(generateAppointmentIcs(appointment, branch), `appointment-${appointment.id}.ics`);
+  } catch (error) {
+    console.error('Error exporting appointment:', error);
+    toast.error('Failed to export appointment');
+    throw error;
+  }
+};
+
+const generateFeedToken = () => {
+  if (globalThis.crypto?.randomUUID) {
+    return globalThis.crypto.randomUUID().replace(/-/g, '');
+  }
+  const bytes = new Uint8Array(16);
+  globalThis.crypto.getRandomValues(bytes);
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+const getActiveFeeds = async (field, value) => {
+  const snapshot = await getDocs(query(
+    collection(db, CALENDAR_FEEDS_COLLECTION),
+    where(field, '==', value)
+  ));
+  return snapshot.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .filter(feed => !feed.revokedAt);
+};
+
+/**
+ * Get the active feed for a stylist or branch
+ * @param {string} type - CALENDAR_FEED_TYPES value
+ * @param {string} ownerId - Stylist ID or branch ID
+ * @returns {Promise<Object|null>}
+ */
+export const getCalendarFeed = async (type, ownerId) => {
+  try {
+    const field = type === CALENDAR_FEED_TYPES.STYLIST ? 'stylistId' : 'branchId';
+    const feeds = (await getActiveFeeds(field, ownerId)).filter(feed => feed.type === type);
+    return feeds[0] || null;
+  } catch (error) {
+    console.error('Error fetching calendar feed:', error);
+    toast.error('Failed to load calendar feed');
+    throw error;
+  }
+};
+
+/**
+ * Create a feed for a stylist or branch, revoking any existing one so old links stop working
+ * @param {Object} feedData - { type, stylistId, branchId, name }
+ * @param {Object} currentUser - User creating the feed
+ * @returns {Promise<Object>} - The new feed
+ */
+export const createCalendarFeed = async (feedData, currentUser) => {
+  try {
+    const ownerId = feedData.type === CALENDAR_FEED_TYPES.STYLIST ? feedData.stylistId : feedData.branchId;
+    if (!ownerId) {
+      throw new Error('Calendar feed owner is required');
+    }
+
+    const existing = await getCalendarFeed(feedData.type, ownerId);
+    if (existing) {
+      await updateDoc(doc(db, CALENDAR_FEEDS_COLLECTION, existing.id), {
+        revokedAt: serverTimestamp(),
+        revokedBy: currentUser?.uid || null
+      });
+    }
+
+    const newFeed = {
+      token: generateFeedToken(),
+      type: feedData.type,
+      stylistId: feedData.type === CALENDAR_FEED_TYPES.STYLIST ? feedData.stylistId : null,
+      branchId: feedData.branchId || null,
+      name: feedData.name || '',
+      createdBy: currentUser?.uid || null,
+      createdAt: serverTimestamp(),
+      revokedAt: null
+    };
+    const docRef = await addDoc(collection(db, CALENDAR_FEEDS_COLLECTION), newFeed);
+
+    toast.success(existing ? 'Calendar link regenerated' : 'Calendar link created');
+    return { id: docRef.id, ...newFeed };
+  } catch (error) {
+    console.error('Error creating calendar feed:', error);
+    toast.error('Failed to create calendar link');
+    throw error;
+  }
+};
+
+/**
+ * Revoke a feed so its link stops returning appointments
+ * @param {string} feedId - Feed ID
+ * @param {Object} currentUser - User revoking the feed
+ */
+export const revokeCalendarFeed = async (feedId, currentUser) => {
+  try {
+    await updateDoc(doc(db, CALENDAR_FEEDS_COLLECTION, feedId), {
+      revokedAt: serverTimestamp(),
+      revokedBy: currentUser?.uid || null
+    });
+    toast.success('Calendar link revoked');
+  } catch (error) {
+    console.error('Error revoking calendar feed:', error);
+    toast.error('Failed to revoke calendar link');
+    throw error;
+  }
+};
+
+/**
+ * Look up an active feed by its token
+ * @param {string} token - Feed token
+ * @returns {Promise<Object|null>}
+ */
+export const getCalendarFeedByToken = async (token) => {
+  if (!token) return null;
+  const feeds = await getActiveFeeds('token', token);
+  return feeds[0] || null;
+};
+
+/**
+ * Public URL for a feed, served by the calendarFeed Cloud Function
+ * @param {Object} feed - Feed with token
+ * @returns {string}
+ */
+export const getCalendarFeedUrl = (feed) => `${window.location.origin}/calendar/${feed.token}.ics`;
+
+/**
+ * webcal:// URL for a feed, which opens the subscribe prompt in Apple Calendar and Outlook
+ * @param {Object} feed - Feed with token
+ * @returns {string}
+ */
+export const getCalendarSubscribeUrl = (feed) => getCalendarFeedUrl(feed).replace(/^https?:/, 'webcal:');
+
+// Stylists can work in any branch and are on the appointment or one of its services,
+// so only the date is queried and the stylist filtered client-side to avoid a composite index
+const getStylistAppointmentsInWindow = async (stylistId, windowStart, windowEnd) => {
+  const snapshot = await getDocs(query(
+    collection(db, APPOINTMENTS_COLLECTION),
+    where('appointmentDate', '>=', Timestamp.fromDate(windowStart)),
+    where('appointmentDate', '<=', Timestamp.fromDate(windowEnd)),
+    orderBy('appointmentDate', 'asc')
+  ));
+  return snapshot.docs
+    .map(appointmentDoc => ({ id: appointmentDoc.id, ...appointmentDoc.data() }))
+    .filter(apt => isStylistOnAppointment(apt, stylistId));
+};
+
+/**
+ * Generate the iCalendar text for a feed, for downloading it from the app. Cancelled
+ * appointments stay in the feed as cancelled events so subscribed calendars drop them on refresh.
+ * @param {string} token - Feed token
+ * @returns {Promise<{ feed: Object, ics: string, eventCount: number }>}
+ */
+export const generateCalendarFeed = async (token) => {
+  const feed = await getCalendarFeedByToken(token);
+  if (!feed) {
+    throw new Error('Calendar feed not found');
+  }
+
+  const { windowStart, windowEnd } = getFeedWindow();
+
+  let appointments = [];
+  let name = feed.name;
+  let location = '';
+
+  if (feed.type === CALENDAR_FEED_TYPES.STYLIST) {
+    appointments = await getStylistAppointmentsInWindow(feed.stylistId, windowStart, windowEnd);
+    if (!name) {
+      const stylist = await getUserById(feed.stylistId).catch(() => null);
+      name = stylist ? `${stylist.firstName || ''} ${stylist.lastName || ''}`.trim() : 'Stylist appointments';
+    }
+  } else {
+    appointments = await getAppointmentsByDateRange(feed.branchId, windowStart, windowEnd);
+    const branch = await getBranchById(feed.branchId).catch(() => null);
+    location = getBranchLocation(branch);
+    if (!name) {
+      name = `${branch?.branchName || branch?.name || 'Branch'} appointments`;
+    }
+  }
+
+  const events = appointments
+    .map(apt => buildAppointmentEvent(apt, {
+      stylistId: feed.type === CALENDAR_FEED_TYPES.STYLIST ? feed.stylistId : null,
+      location
+    }))
+    .filter(Boolean);
+
+  return {
+    feed,
+    ics: buildCalendar(events, { name }),
+    eventCount: events.length
+  };
+};
@@ -0,0 +1,219 @@
+/**
+ * Client Reliability Service
+ * Scores how reliably a client keeps appointments from their no-shows, late
+ * cancellations and late arrivals (check-in times from the arrivals queue), and the
+ * per-branch rules that hold back online bookings from low-reliability clients.
+ * The branch rules are stored on the branch as reliabilityPolicy; the latest score
+ * is kept on the client's user document as reliability.
+ */
+
+import { collection, doc, getDocs, updateDoc, query, where, Timestamp } from 'firebase/firestore';
+import { db } from '../config/firebase';
+
+const APPOINTMENTS_COLLECTION = 'appointments';
+const ARRIVALS_COLLECTION = 'check-in';
+const USERS_COLLECTION = 'users';
+
+// Appointment statuses (see APPOINTMENT_STATUS in appointmentService)
+const STATUS = {
+  IN_SERVICE: 'in_service',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+  NO_SHOW: 'no_show'
+};
+
+export const RELIABILITY_LEVELS = {
+  NEW: 'new',
+  GOOD: 'good',
+  FAIR: 'fair',
+  LOW: 'low'
+};
+
+export const RELIABILITY_LEVEL_LABELS = {
+  [RELIABILITY_LEVELS.NEW]: 'New client',
+  [RELIABILITY_LEVELS.GOOD]: 'Reliable',
+  [RELIABILITY_LEVELS.FAIR]: 'Fair',
+  [RELIABILITY_LEVELS.LOW]: 'Low reliability'
+};
+
+// Score at or above which a client counts as reliable
+const GOOD_SCORE = 80;
+
+// Kept appointments assumed for every client, so one slip doesn't mark a new client as unreliable
+const ASSUMED_KEPT_APPOINTMENTS = 2;
+
+// How much each kind of slip costs, relative to a no-show
+const PENALTY_WEIGHTS = {
+  noShow: 1,
+  lateCancellation: 0.5,
+  lateArrival: 0.25
+};
+
+export const DEFAULT_RELIABILITY_POLICY = {
+  autoNoShowEnabled: true,
+  noShowGraceMinutes: 30, // Confirmed appointments with no check-in this long after the start become no-shows
+  lateArrivalMinutes: 15, // Checking in later than this after the start counts as late
+  lateCancelHours: 24, // Cancelling with less notice than this counts as a late cancellation
+  lookbackDays: 365, // Only appointments this recent count towards the score
+  lowReliabilityThreshold: 60, // Scores below this are low reliability
+  lowReliabilityDeposit: 0, // Minimum deposit for online bookings from low-reliability clients (0 = none)
+  requireApprovalForLowReliability: false // Online bookings from low-reliability clients wait for a receptionist
+};
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null);
+
+const toWholeNumber = (value) => Math.max(parseInt(value) || 0, 0);
+
+/**
+ * Get a branch's reliability policy, filling in defaults
+ * @param {Object} branch - Branch document
+ * @returns {Object} - See DEFAULT_RELIABILITY_POLICY
+ */
+export const getBranchReliabilityPolicy = (branch) => {
+  const policy = { ...DEFAULT_RELIABILITY_POLICY, ...(branch?.reliabilityPolicy || {}) };
+  return {
+    autoNoShowEnabled: policy.autoNoShowEnabled !== false,
+    noShowGraceMinutes: toWholeNumber(policy.noShowGraceMinutes),
+    lateArrivalMinutes: toWholeNumber(policy.lateArrivalMinutes),
+    lateCancelHours: Math.max(parseFloat(policy.lateCancelHours) || 0, 0),
+    lookbackDays: toWholeNumber(policy.lookbackDays) || DEFAULT_RELIABILITY_POLICY.lookbackDays,
+    lowReliabilityThreshold: Math.min(toWholeNumber(policy.lowReliabilityThreshold), 100),
+    lowReliabilityDeposit: Math.max(parseFloat(policy.lowReliabilityDeposit) || 0, 0),
+    requireApprovalForLowReliability: policy.requireApprovalForLowReliability === true
+  };
+};
+
+// When an appointment was cancelled: cancelledAt, or the history entry for older records
+const getCancelledAt = (appointment) => {
+  const cancelledAt = toDate(appointment.cancelledAt);
+  if (cancelledAt) return cancelledAt;
+  const entry = (appointment.history || []).find(item => item.action === `status_changed_to_${STATUS.CANCELLED}`);
+  return entry ? toDate(entry.timestamp) : null;
+};
+
+/**
+ * Score a client's appointment record
+ * @param {Array} appointments - The client's appointments
+ * @param {Array} arrivals - The client's check-ins (appointmentId, arrivedAt)
+ * @param {Object} policy - Branch reliability policy
+ * @param {Date} now - Time to score at
+ * @returns {Object} - { score, level, totalAppointments, noShows, lateCancellations, lateArrivals, averageLateMinutes }
+ */
+export const calculateReliability = (appointments, arrivals, policy, now = new Date()) => {
+  const since = new Date(now.getTime() - policy.lookbackDays * 24 * 60 * 60 * 1000);
+  const arrivalsByAppointment = new Map(
+    arrivals.filter(arrival => arrival.appointmentId).map(arrival => [arrival.appointmentId, arrival])
+  );
+
+  let totalAppointments = 0;
+  let noShows = 0;
+  let lateCancellations = 0;
+  let lateArrivals = 0;
+  let lateMinutesTotal = 0;
+
+  appointments.forEach(appointment => {
+    const start = toDate(appointment.appointmentDate);
+    if (!start || start < since || start > now) return;
+
+    if (appointment.status === STATUS.NO_SHOW) {
+      totalAppointments++;
+      noShows++;
+      return;
+    }
+
+    if (appointment.status === STATUS.CANCELLED) {
+      const cancelledAt = getCancelledAt(appointment);
+      if (cancelledAt && start.getTime() - cancelledAt.getTime() < policy.lateCancelHours * 60 * 60 * 1000) {
+        totalAppointments++;
+        lateCancellations++;
+      }
+      return;
+    }
+
+    if (appointment.status !== STATUS.COMPLETED && appointment.status !== STATUS.IN_SERVICE) return;
+    totalAppointments++;
+
+    const arrivedAt = toDate(arrivalsByAppointment.get(appointment.id)?.arrivedAt);
+    if (arrivedAt) {
+      const lateMinutes = (arrivedAt.getTime() - start.getTime()) / 60000;
+      if (lateMinutes > policy.lateArrivalMinutes) {
+        lateArrivals++;
+        lateMinutesTotal += lateMinutes;
+      }
+    }
+  });
+
+  const penalty = noShows * PENALTY_WEIGHTS.noShow +
+    lateCancellations * PENALTY_WEIGHTS.lateCancellation +
+    lateArrivals * PENALTY_WEIGHTS.lateArrival;
+  const score = Math.max(0, Math.round(100 * (1 - penalty / (totalAppointments + ASSUMED_KEPT_APPOINTMENTS))));
+
+  let level = RELIABILITY_LEVELS.FAIR;
+  if (totalAppointments === 0) {
+    level = RELIABILITY_LEVELS.NEW;
+  } else if (score < policy.lowReliabilityThreshold) {
+    level = RELIABILITY_LEVELS.LOW;
+  } else if (score >= GOOD_SCORE) {
+    level = RELIABILITY_LEVELS.GOOD;
+  }
+
+  return {
+    score,
+    level,
+    totalAppointments,
+    noShows,
+    lateCancellations,
+    lateArrivals,
+    averageLateMinutes: lateArrivals > 0 ? Math.round(lateMinutesTotal / lateArrivals) : 0
+  };
+};
+
+/**
+ * Score a client from their full appointment and check-in record
+ * @param {string} clientId - Client ID
+ * @param {Object} policy - Branch reliability policy
+ * @returns {Promise<Object>} - See calculateReliability
+ */
+export const getClientReliability = async (clientId, policy = DEFAULT_RELIABILITY_POLICY) => {
+  const [appointmentsSnapshot, arrivalsSnapshot] = await Promise.all([
+    getDocs(query(collection(db, APPOINTMENTS_COLLECTION), where('clientId', '==', clientId))),
+    getDocs(query(collection(db, ARRIVALS_COLLECTION), where('clientId', '==', clientId)))
+  ]);
+  return calculateReliability(
+    appointmentsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })),
+    arrivalsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })),
+    getBranchReliabilityPolicy({ reliabilityPolicy: policy })
+  );
+};
+
+/**
+ * Recalculate a client's score and store it on their user document
+ * Called whenever an appointment outcome changes; failures are logged, never thrown.
+ * @param {string} clientId - Client ID (guests have none and are skipped)
+ * @param {Object} policy - Branch reliability policy
+ * @returns {Promise<Object|null>} - The stored reliability, or null
+ */
+export const refreshClientReliability = async (clientId, policy = DEFAULT_RELIABILITY_POLICY) => {
+  if (!clientId) return null;
+  try {
+    const reliability = {
+      ...(await getClientReliability(clientId, policy)),
+      updatedAt: Timestamp.now()
+    };
+    await updateDoc(doc(db, USERS_COLLECTION, clientId), { reliability });
+    return reliability;
+  } catch (error) {
+    console.error('Error refreshing client reliability:', error);
+    return null;
+  }
+};
+
+/**
+ * One-line breakdown of a reliability score
+ * @param {Object} reliability - See calculateReliability
+ * @returns {string}
+ */
+export const describeReliability = (reliability) =>
+  `${reliability.totalAppointments} scored appointment(s): ${reliability.noShows} no-show(s), ` +
+  `${reliability.lateCancellations} late cancellation(s), ${reliability.lateArrivals} late arrival(s)` +
+  (reliability.lateArrivals > 0 ? `, ${reliability.averageLateMinutes} min late on average` : '');
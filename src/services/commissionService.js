@@ -0,0 +1,718 @@
+/**
+ * Commission Service
+ * Service commission rules, per-stylist commission calculation from paid transactions,
+ * and period-close statements that freeze what each stylist earned
+ */
+
+import {
+  collection,
+  doc,
+  getDocs,
+  addDoc,
+  updateDoc,
+  deleteDoc,
+  query,
+  where,
+  orderBy,
+  Timestamp,
+  writeBatch
+} from 'firebase/firestore';
+import { format } from 'date-fns';
+import { db } from '../config/firebase';
+import toast from 'react-hot-toast';
+import { STYLIST_LEVELS } from '../utils/constants';
+import { formatDate } from '../utils/helpers';
+import { BILL_STATUS } from './billingService';
+import { getAllServices } from './serviceManagementService';
+import { getUsersByBranch } from './userService';
+import { logActivity } from './activityService';
+
+// Collections
+const COMMISSION_RULES_COLLECTION = 'commission_rules';
+const COMMISSION_STATEMENTS_COLLECTION = 'commission_statements'; // {branchId}_{stylistId}_{start}_{end}
+const BILLS_COLLECTION = 'transactions';
+
+// Commission Rule Types
+export const COMMISSION_RULE_TYPES = {
+  PERCENTAGE: 'percentage', // rate % of the service line value
+  FLAT: 'flat', // flatAmount per service performed
+  TIERED: 'tiered' // rate % picked by the stylist's service sales for the month
+};
+
+export const COMMISSION_STATEMENT_STATUS = {
+  CLOSED: 'closed'
+};
+
+const getUserInfo = (currentUser) => ({
+  userId: currentUser?.uid || currentUser?.id,
+  userName: currentUser?.displayName ||
+            `${currentUser?.firstName || ''} ${currentUser?.lastName || ''}`.trim() ||
+            currentUser?.email ||
+            'Unknown User'
+});
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null);
+
+const round2 = (value) => parseFloat((value || 0).toFixed(2));
+
+const getMonthStart = (date) => new Date(date.getFullYear(), date.getMonth(), 1);
+
+const getMonthEnd = (date) => new Date(date.getFullYear(), date.getMonth() + 1, 0, 23, 59, 59, 999);
+
+const getVoidedAt = (bill) =>
+  toDate(bill.voidedAt) || (bill.status === BILL_STATUS.VOIDED ? toDate(bill.updatedAt) : null);
+
+const toBills = (snapshot) => snapshot.docs.map(billDoc => ({
+  id: billDoc.id,
+  ...billDoc.data(),
+  createdAt: billDoc.data().createdAt?.toDate(),
+  updatedAt: billDoc.data().updatedAt?.toDate()
+}));
+
+/**
+ * Bills that can move a period's commissions
+ * Sales from the start of the period's first month (tiered rates go by the whole month),
+ * and bills refunded or voided since then, whose charge-backs may fall in the period.
+ * A charge-back of an older sale is priced at that sale's month's tier, so those months
+ * are loaded too, together with everything refunded or voided since.
+ * @param {string} branchId - Branch ID
+ * @param {Date} start - Start of the period
+ * @param {Date} end - End of the period
+ * @returns {Promise<Array>} - Bills, each once
+ */
+const getCommissionBills = async (branchId, start, end) => {
+  const billsRef = collection(db, BILLS_COLLECTION);
+  const getSoldBetween = async (from, to) => toBills(await getDocs(query(
+    billsRef,
+    where('branchId', '==', branchId),
+    where('createdAt', '>=', Timestamp.fromDate(from)),
+    where('createdAt', '<=', Timestamp.fromDate(to)),
+    orderBy('createdAt', 'desc')
+  )));
+  // refundedAt is the latest refund, so every bill refunded since `from` has one at or after it
+  const getReturnedSince = async (from) => {
+    const [refunded, voided] = await Promise.all([
+      getDocs(query(billsRef, where('branchId', '==', branchId), where('refundedAt', '>=', Timestamp.fromDate(from)))),
+      getDocs(query(
+        billsRef,
+        where('branchId', '==', branchId),
+        where('voidedAt', '>=', Timestamp.fromDate(from)),
+        where('voidedAt', '<=', Timestamp.fromDate(end))
+      ))
+    ]);
+    return [...toBills(refunded), ...toBills(voided)];
+  };
+
+  const firstMonth = getMonthStart(start);
+  let [bills, returned] = await Promise.all([getSoldBetween(firstMonth, end), getReturnedSince(firstMonth)]);
+
+  const olderMonths = [...new Set(returned
+    .filter(bill => bill.createdAt && bill.createdAt < firstMonth)
+    .map(bill => getMonthStart(bill.createdAt).getTime()))]
+    .map(time => new Date(time));
+  if (olderMonths.length > 0) {
+    const earliest = new Date(Math.min(...olderMonths.map(month => month.getTime())));
+    const [olderSales, olderReturned] = await Promise.all([
+      Promise.all(olderMonths.map(month => getSoldBetween(month, getMonthEnd(month)))),
+      getReturnedSince(earliest)
+    ]);
+    bills = [...bills, ...olderSales.flat()];
+    returned = olderReturned;
+  }
+
+  return [...new Map([...bills, ...returned].map(bill => [bill.id, bill])).values()];
+};
+
+/**
+ * Report what one bill line did within a period
+ * A sale counts on the day it was made. Refunds and voids of earlier sales are charged
+ * back on the day they happened, so a closed period never has to change; a sale voided
+ * in the period it was made never counts at all.
+ * @param {Object} bill - Bill
+ * @param {number} index - Index of the line on the bill
+ * @param {Function} inPeriod - (date) => whether the date is in the period
+ * @param {Function} onMovement - Called with (quantity, date, adjustment); quantity is
+ *   negative and adjustment 'refund' or 'void' for charge-backs
+ */
+const forEachLineMovement = (bill, index, inPeriod, onMovement) => {
+  const item = bill.items[index];
+  const quantity = item.quantity || 1;
+  const soldInPeriod = inPeriod(bill.createdAt);
+
+  if (bill.status === BILL_STATUS.VOIDED) {
+    const voidedAt = getVoidedAt(bill);
+    // Voided in the same period it was sold: never earned
+    if (soldInPeriod && inPeriod(voidedAt)) return;
+    // Voided later: charge back what earlier refunds have not already taken back
+    const unrefundedQuantity = quantity - (item.refundedQuantity || 0);
+    if (inPeriod(voidedAt) && unrefundedQuantity > 0) {
+      onMovement(-unrefundedQuantity, voidedAt, 'void');
+    }
+  }
+
+  if (soldInPeriod) {
+    onMovement(quantity, bill.createdAt, null);
+  }
+
+  (bill.refunds || []).forEach(refund => {
+    const refundedAt = toDate(refund.createdAt);
+    if (!inPeriod(refundedAt)) return;
+    (refund.items || [])
+      .filter(refundItem => refundItem.index === index)
+      .forEach(refundItem => onMovement(-(refundItem.quantity || 0), refundedAt, 'refund'));
+  });
+
+  // Whole-bill refunds from before line-item refunds
+  if (bill.status === BILL_STATUS.REFUNDED && !bill.refunds?.length && inPeriod(toDate(bill.refundedAt))) {
+    onMovement(-quantity, toDate(bill.refundedAt), 'refund');
+  }
+};
+
+/**
+ * Get the commission rules for a branch
+ * @param {string} branchId - Branch ID
+ * @returns {Promise<Array>} - Rules, most specific first
+ */
+export const getCommissionRules = async (branchId) => {
+  try {
+    const q = query(
+      collection(db, COMMISSION_RULES_COLLECTION),
+      where('branchId', '==', branchId)
+    );
+    const snapshot = await getDocs(q);
+    return snapshot.docs
+      .map(ruleDoc => ({
+        id: ruleDoc.id,
+        ...ruleDoc.data(),
+        createdAt: toDate(ruleDoc.data().createdAt),
+        updatedAt: toDate(ruleDoc.data().updatedAt)
+      }))
+      .sort((a, b) => getRuleSpecificity(b) - getRuleSpecificity(a) || (a.name || '').localeCompare(b.name || ''));
+  } catch (error) {
+    console.error('Error fetching commission rules:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create or update a commission rule
+ * @param {Object} ruleData - { id?, branchId, name, serviceId, serviceName, category, stylistLevel, type, rate, flatAmount, tiers, isActive }
+ * @param {Object} currentUser - User saving the rule
+ * @returns {Promise<string>} - Rule ID
+ */
+export const saveCommissionRule = async (ruleData, currentUser) => {
+  try {
+    if (!ruleData.branchId) {
+      throw new Error('Branch ID is required');
+    }
+    if (!ruleData.name?.trim()) {
+      throw new Error('Rule name is required');
+    }
+    if (!Object.values(COMMISSION_RULE_TYPES).includes(ruleData.type)) {
+      throw new Error('Invalid commission type');
+    }
+
+    const rate = parseFloat(ruleData.rate) || 0;
+    const flatAmount = parseFloat(ruleData.flatAmount) || 0;
+    const tiers = (ruleData.tiers || [])
+      .map(tier => ({ minSales: parseFloat(tier.minSales) || 0, rate: parseFloat(tier.rate) || 0 }))
+      .sort((a, b) => a.minSales - b.minSales);
+
+    if (ruleData.type === COMMISSION_RULE_TYPES.PERCENTAGE && (rate <= 0 || rate > 100)) {
+      throw new Error('Commission rate must be between 0 and 100%');
+    }
+    if (ruleData.type === COMMISSION_RULE_TYPES.FLAT && flatAmount <= 0) {
+      throw new Error('Flat commission must be greater than zero');
+    }
+    if (ruleData.type === COMMISSION_RULE_TYPES.TIERED) {
+      if (tiers.length === 0) {
+        throw new Error('Add at least one tier');
+      }
+      if (tiers.some(tier => tier.rate < 0 || tier.rate > 100)) {
+        throw new Error('Tier rates must be between 0 and 100%');
+      }
+    }
+
+    const { userId, userName } = getUserInfo(currentUser);
+    const data = {
+      branchId: ruleData.branchId,
+      name: ruleData.name.trim(),
+      serviceId: ruleData.serviceId || null,
+      serviceName: ruleData.serviceId ? (ruleData.serviceName || '') : '',
+      category: ruleData.category || null,
+      stylistLevel: ruleData.stylistLevel || null,
+      type: ruleData.type,
+      rate: ruleData.type === COMMISSION_RULE_TYPES.FLAT ? 0 : rate,
+      flatAmount: ruleData.type === COMMISSION_RULE_TYPES.FLAT ? flatAmount : 0,
+      tiers: ruleData.type === COMMISSION_RULE_TYPES.TIERED ? tiers : [],
+      isActive: ruleData.isActive !== false,
+      updatedBy: userId,
+      updatedByName: userName,
+      updatedAt: Timestamp.now()
+    };
+
+    let ruleId = ruleData.id;
+    if (ruleId) {
+      await updateDoc(doc(db, COMMISSION_RULES_COLLECTION, ruleId), data);
+    } else {
+      const ruleRef = await addDoc(collection(db, COMMISSION_RULES_COLLECTION), {
+        ...data,
+        createdBy: userId,
+        createdAt: Timestamp.now()
+      });
+      ruleId = ruleRef.id;
+    }
+
+    await logActivity({
+      action: ruleData.id ? 'commission_rule_updated' : 'commission_rule_created',
+      performedBy: userId,
+      targetType: 'commission_rule',
+      targetId: ruleId,
+      branchId: ruleData.branchId,
+      details: { name: data.name, type: data.type }
+    });
+
+    toast.success('Commission rule saved');
+    return ruleId;
+  } catch (error) {
+    console.error('Error saving commission rule:', error);
+    toast.error(error.message || 'Failed to save commission rule');
+    throw error;
+  }
+};
+
+/**
+ * Delete a commission rule
+ * @param {string} ruleId - Rule ID
+ * @returns {Promise<void>}
+ */
+export const deleteCommissionRule = async (ruleId) => {
+  try {
+    await deleteDoc(doc(db, COMMISSION_RULES_COLLECTION, ruleId));
+    toast.success('Commission rule deleted');
+  } catch (error) {
+    console.error('Error deleting commission rule:', error);
+    toast.error('Failed to delete commission rule');
+    throw error;
+  }
+};
+
+/**
+ * How specific a rule is; the most specific matching rule wins
+ * A service beats a category, and a stylist level narrows either
+ * @param {Object} rule - Commission rule
+ * @returns {number} - Specificity score
+ */
+const getRuleSpecificity = (rule) =>
+  (rule.serviceId ? 4 : 0) + (rule.category ? 2 : 0) + (rule.stylistLevel ? 1 : 0);
+
+/**
+ * Find the rule that applies to a service performed by a stylist
+ * @param {Array} rules - Active branch rules
+ * @param {Object} line - { serviceId, category, stylistLevel }
+ * @returns {Object|null} - Matching rule
+ */
+export const findCommissionRule = (rules, line) => {
+  let match = null;
+  rules.forEach(rule => {
+    if (rule.isActive === false) return;
+    if (rule.serviceId && rule.serviceId !== line.serviceId) return;
+    if (rule.category && rule.category !== line.category) return;
+    if (rule.stylistLevel && rule.stylistLevel !== line.stylistLevel) return;
+    if (!match || getRuleSpecificity(rule) > getRuleSpecificity(match)) {
+      match = rule;
+    }
+  });
+  return match;
+};
+
+/**
+ * Get the commission for a service line under a rule
+ * @param {Object} rule - Commission rule
+ * @param {number} salesAmount - Line value
+ * @param {number} quantity - Services performed
+ * @param {number} monthlySales - Stylist's service sales for the month (tiered rules)
+ * @returns {Object} - { rate, commission }
+ */
+const applyCommissionRule = (rule, salesAmount, quantity, monthlySales) => {
+  if (rule.type === COMMISSION_RULE_TYPES.FLAT) {
+    return { rate: null, commission: round2((rule.flatAmount || 0) * quantity) };
+  }
+
+  let rate = rule.rate || 0;
+  if (rule.type === COMMISSION_RULE_TYPES.TIERED) {
+    const tier = [...(rule.tiers || [])]
+      .sort((a, b) => b.minSales - a.minSales)
+      .find(t => monthlySales >= t.minSales);
+    rate = tier ? tier.rate : 0;
+  }
+  return { rate, commission: round2((salesAmount * rate) / 100) };
+};
+
+/**
+ * Calculate service commissions per stylist for a period
+ * Service lines count on the day they were sold. Refunds and voids of earlier sales
+ * are charged back on the day they happened, so a closed period never has to change.
+ * @param {string} branchId - Branch ID
+ * @param {Date} periodStart - First day of the period
+ * @param {Date} periodEnd - Last day of the period
+ * @returns {Promise<Array>} - Per stylist: { stylistId, stylistName, stylistLevel, totalSales, totalCommission, lines }
+ */
+export const calculateServiceCommissions = async (branchId, periodStart, periodEnd) => {
+  try {
+    const start = new Date(periodStart);
+    start.setHours(0, 0, 0, 0);
+    const end = new Date(periodEnd);
+    end.setHours(23, 59, 59, 999);
+    const inPeriod = (date) => date && date >= start && date <= end;
+
+    const [rules, services, staff, bills] = await Promise.all([
+      getCommissionRules(branchId),
+      getAllServices(),
+      getUsersByBranch(branchId),
+      getCommissionBills(branchId, start, end)
+    ]);
+
+    const activeRules = rules.filter(rule => rule.isActive !== false);
+    const servicesById = Object.fromEntries(services.map(service => [service.id, service]));
+    const staffById = Object.fromEntries(staff.map(user => [user.id || user.uid, user]));
+
+    // Service lines with the share of the bill that has not been refunded
+    const serviceLines = [];
+    bills.forEach(bill => {
+      (bill.items || []).forEach((item, index) => {
+        if (item.type !== 'service' || !item.stylistId) return;
+        const quantity = item.quantity || 1;
+        serviceLines.push({
+          bill,
+          item,
+          index,
+          quantity,
+          unitValue: item.price || 0,
+          serviceId: item.id || null,
+          category: servicesById[item.id]?.category || null,
+          stylistLevel: staffById[item.stylistId]?.stylistLevel || null
+        });
+      });
+    });
+
+    // Service sales per stylist per month decide tiered rates. Refunds and voids come off
+    // the month they happened in, like their charge-backs, so a closed month's tier never moves
+    const monthlySales = {};
+    const addMonthlySales = (line, quantity, date) => {
+      if (!date) return;
+      const key = `${line.item.stylistId}_${format(date, 'yyyy-MM')}`;
+      monthlySales[key] = (monthlySales[key] || 0) + line.unitValue * quantity;
+    };
+    serviceLines.forEach(line => {
+      const { bill, index } = line;
+      addMonthlySales(line, line.quantity, bill.createdAt);
+      (bill.refunds || []).forEach(refund => {
+        (refund.items || [])
+          .filter(refundItem => refundItem.index === index)
+          .forEach(refundItem => addMonthlySales(line, -(refundItem.quantity || 0), toDate(refund.createdAt)));
+      });
+      if (bill.status === BILL_STATUS.REFUNDED && !bill.refunds?.length) {
+        addMonthlySales(line, -line.quantity, toDate(bill.refundedAt));
+      }
+      if (bill.status === BILL_STATUS.VOIDED) {
+        addMonthlySales(line, -(line.quantity - (line.item.refundedQuantity || 0)), getVoidedAt(bill));
+      }
+    });
+
+    const byStylist = {};
+    const addLine = (line, quantity, date, adjustment) => {
+      const rule = findCommissionRule(activeRules, line);
+      if (!rule) return;
+
+      const stylistId = line.item.stylistId;
+      const salesAmount = round2(line.unitValue * quantity);
+      const monthKey = `${stylistId}_${format(line.bill.createdAt, 'yyyy-MM')}`;
+      const { rate, commission } = applyCommissionRule(rule, Math.abs(salesAmount), Math.abs(quantity), monthlySales[monthKey] || 0);
+
+      if (!byStylist[stylistId]) {
+        byStylist[stylistId] = {
+          stylistId,
+          stylistName: line.item.stylistName || staffById[stylistId]?.firstName || 'Unknown',
+          stylistLevel: line.stylistLevel,
+          totalSales: 0,
+          totalCommission: 0,
+          lines: []
+        };
+      }
+
+      const signedCommission = quantity < 0 ? -commission : commission;
+      const stylist = byStylist[stylistId];
+      stylist.totalSales = round2(stylist.totalSales + salesAmount);
+      stylist.totalCommission = round2(stylist.totalCommission + signedCommission);
+      stylist.lines.push({
+        billId: line.bill.id,
+        receiptNumber: line.bill.receiptNumber || '',
+        clientName: line.bill.clientName || 'Walk-in',
+        date,
+        serviceId: line.serviceId,
+        serviceName: line.item.name || 'Service',
+        quantity,
+        salesAmount,
+        ruleId: rule.id,
+        ruleName: rule.name,
+        ruleType: rule.type,
+        rate,
+        commission: signedCommission,
+        adjustment: adjustment || null // 'refund' or 'void' for charge-backs
+      });
+    };
+
+    serviceLines.forEach(line => {
+      forEachLineMovement(line.bill, line.index, inPeriod, (quantity, date, adjustment) =>
+        addLine(line, quantity, date, adjustment)
+      );
+    });
+
+    return Object.values(byStylist)
+      .map(stylist => ({
+        ...stylist,
+        lines: stylist.lines.sort((a, b) => a.date - b.date)
+      }))
+      .sort((a, b) => b.totalCommission - a.totalCommission);
+  } catch (error) {
+    console.error('Error calculating service commissions:', error);
+    throw error;
+  }
+};
+
+/**
+ * Total product commissions per commissioner for a period
+ * Charged back like service commissions: sales count on the day sold, and refunded
+ * or voided units are clawed back on the day of the refund or void
+ * @param {string} branchId - Branch ID
+ * @param {Date} periodStart - First day of the period
+ * @param {Date} periodEnd - Last day of the period
+ * @returns {Promise<Object>} - { [commissionerId]: { commissionerName, totalCommission } }
+ */
+export const calculateProductCommissions = async (branchId, periodStart, periodEnd) => {
+  try {
+    const start = new Date(periodStart);
+    start.setHours(0, 0, 0, 0);
+    const end = new Date(periodEnd);
+    end.setHours(23, 59, 59, 999);
+    const inPeriod = (date) => date && date >= start && date <= end;
+
+    const bills = await getCommissionBills(branchId, start, end);
+    const byCommissioner = {};
+    const add = (item, amount) => {
+      if (!byCommissioner[item.commissionerId]) {
+        byCommissioner[item.commissionerId] = {
+          commissionerName: item.commissionerName || 'Unknown',
+          totalCommission: 0
+        };
+      }
+      const entry = byCommissioner[item.commissionerId];
+      entry.totalCommission = round2(entry.totalCommission + amount);
+    };
+
+    bills.forEach(bill => {
+      (bill.items || []).forEach((item, index) => {
+        if (item.type !== 'product' || !item.commissionerId || !(item.commissionPoints > 0)) return;
+        forEachLineMovement(bill, index, inPeriod, (quantity) =>
+          add(item, (item.commissionPoints * quantity) / (item.quantity || 1))
+        );
+      });
+    });
+
+    return byCommissioner;
+  } catch (error) {
+    console.error('Error calculating product commissions:', error);
+    throw error;
+  }
+};
+
+const ADJUSTMENT_LABELS = {
+  refund: 'Refund',
+  void: 'Void'
+};
+
+/**
+ * Get the display label for a stylist level
+ * @param {string} level - Stylist level value
+ * @returns {string} - Label
+ */
+export const getStylistLevelLabel = (level) =>
+  STYLIST_LEVELS.find(option => option.value === level)?.label || '-';
+
+/**
+ * Get the display label for a commission line adjustment
+ * @param {string|null} adjustment - 'refund', 'void' or null
+ * @returns {string} - Label
+ */
+export const getAdjustmentLabel = (adjustment) => ADJUSTMENT_LABELS[adjustment] || '';
+
+/**
+ * Describe the rate a commission line was paid at
+ * @param {Object} line - Commission line
+ * @returns {string} - e.g. "10%" or "Flat"
+ */
+export const formatCommissionRate = (line) => {
+  if (line.ruleType === COMMISSION_RULE_TYPES.FLAT) return 'Flat';
+  return line.rate !== null && line.rate !== undefined ? `${line.rate}%` : '-';
+};
+
+// Column headers for commission line exports
+export const COMMISSION_LINE_EXPORT_HEADERS = [
+  { key: 'stylistName', label: 'Stylist' },
+  { key: 'date', label: 'Date' },
+  { key: 'receiptNumber', label: 'Receipt #' },
+  { key: 'clientName', label: 'Client' },
+  { key: 'serviceName', label: 'Service' },
+  { key: 'quantity', label: 'Qty' },
+  { key: 'salesAmount', label: 'Sales (₱)' },
+  { key: 'ruleName', label: 'Rule' },
+  { key: 'rate', label: 'Rate' },
+  { key: 'adjustment', label: 'Adjustment' },
+  { key: 'commission', label: 'Commission (₱)' }
+];
+
+/**
+ * Flatten stylist results or statements into export rows, one per service line
+ * @param {Array} stylists - Items with { stylistName, lines }
+ * @returns {Array} - Rows keyed by COMMISSION_LINE_EXPORT_HEADERS
+ */
+export const getCommissionExportRows = (stylists) =>
+  stylists.flatMap(stylist => stylist.lines.map(line => ({
+    stylistName: stylist.stylistName,
+    date: line.date ? formatDate(line.date, 'MMM dd, yyyy HH:mm') : 'N/A',
+    receiptNumber: line.receiptNumber || line.billId,
+    clientName: line.clientName,
+    serviceName: line.serviceName,
+    quantity: line.quantity,
+    salesAmount: line.salesAmount,
+    ruleName: line.ruleName,
+    rate: formatCommissionRate(line),
+    adjustment: getAdjustmentLabel(line.adjustment),
+    commission: line.commission
+  })));
+
+const mapStatement = (statementDoc) => {
+  const data = statementDoc.data();
+  return {
+    id: statementDoc.id,
+    ...data,
+    periodStart: toDate(data.periodStart),
+    periodEnd: toDate(data.periodEnd),
+    closedAt: toDate(data.closedAt),
+    lines: (data.lines || []).map(line => ({ ...line, date: toDate(line.date) }))
+  };
+};
+
+/**
+ * Get closed commission statements for a branch (newest period first)
+ * @param {string} branchId - Branch ID
+ * @returns {Promise<Array>} - Statements
+ */
+export const getBranchCommissionStatements = async (branchId) => {
+  try {
+    const q = query(
+      collection(db, COMMISSION_STATEMENTS_COLLECTION),
+      where('branchId', '==', branchId)
+    );
+    const snapshot = await getDocs(q);
+    // Sort client-side to avoid a composite index
+    return snapshot.docs.map(mapStatement).sort((a, b) => b.periodStart - a.periodStart);
+  } catch (error) {
+    console.error('Error fetching commission statements:', error);
+    return [];
+  }
+};
+
+/**
+ * Get a stylist's closed commission statements (newest period first)
+ * @param {string} stylistId - Stylist user ID
+ * @returns {Promise<Array>} - Statements
+ */
+export const getStylistCommissionStatements = async (stylistId) => {
+  try {
+    const q = query(
+      collection(db, COMMISSION_STATEMENTS_COLLECTION),
+      where('stylistId', '==', stylistId)
+    );
+    const snapshot = await getDocs(q);
+    return snapshot.docs.map(mapStatement).sort((a, b) => b.periodStart - a.periodStart);
+  } catch (error) {
+    console.error('Error fetching stylist commission statements:', error);
+    return [];
+  }
+};
+
+/**
+ * Close a commission period: freeze a statement per stylist
+ * Periods cannot overlap a period that is already closed
+ * @param {string} branchId - Branch ID
+ * @param {Date} periodStart - First day of the period
+ * @param {Date} periodEnd - Last day of the period
+ * @param {Object} currentUser - User closing the period
+ * @returns {Promise<number>} - Number of statements created
+ */
+export const closeCommissionPeriod = async (branchId, periodStart, periodEnd, currentUser) => {
+  try {
+    const start = new Date(periodStart);
+    start.setHours(0, 0, 0, 0);
+    const end = new Date(periodEnd);
+    end.setHours(23, 59, 59, 999);
+
+    if (end < start) {
+      throw new Error('Period end must be after the start');
+    }
+    if (end > new Date()) {
+      throw new Error('A period can only be closed after it has ended');
+    }
+
+    const existing = await getBranchCommissionStatements(branchId);
+    if (existing.some(statement => statement.periodStart <= end && statement.periodEnd >= start)) {
+      throw new Error('This period overlaps a period that is already closed');
+    }
+
+    const stylists = await calculateServiceCommissions(branchId, start, end);
+    if (stylists.length === 0) {
+      throw new Error('No service commissions in this period');
+    }
+
+    const { userId, userName } = getUserInfo(currentUser);
+    const periodKey = `${format(start, 'yyyyMMdd')}_${format(end, 'yyyyMMdd')}`;
+    const batch = writeBatch(db);
+
+    stylists.forEach(stylist => {
+      batch.set(doc(db, COMMISSION_STATEMENTS_COLLECTION, `${branchId}_${stylist.stylistId}_${periodKey}`), {
+        branchId,
+        stylistId: stylist.stylistId,
+        stylistName: stylist.stylistName,
+        stylistLevel: stylist.stylistLevel || null,
+        periodStart: Timestamp.fromDate(start),
+        periodEnd: Timestamp.fromDate(end),
+        totalSales: stylist.totalSales,
+        totalCommission: stylist.totalCommission,
+        lineCount: stylist.lines.length,
+        lines: stylist.lines.map(line => ({ ...line, date: Timestamp.fromDate(line.date) })),
+        status: COMMISSION_STATEMENT_STATUS.CLOSED,
+        closedBy: userId,
+        closedByName: userName,
+        closedAt: Timestamp.now()
+      });
+    });
+    await batch.commit();
+
+    await logActivity({
+      action: 'commission_period_closed',
+      performedBy: userId,
+      targetType: 'commission_statement',
+      branchId,
+      details: { periodStart: format(start, 'yyyy-MM-dd'), periodEnd: format(end, 'yyyy-MM-dd'), statements: stylists.length }
+    });
+
+    toast.success(`Period closed. ${stylists.length} statement${stylists.length !== 1 ? 's' : ''} created.`);
+    return stylists.length;
+  } catch (error) {
+    console.error('Error closing commission period:', error);
+    toast.error(error.message || 'Failed to close commission period');
+    throw error;
+  }
+};
@@ -13,6 +13,7 @@ import {
   serverTimestamp,
   Timestamp
 } from 'firebase/firestore';
+import { getBillRefundEntries, getBillTenders, PAYMENT_METHODS } from './billingService';
 
 class DepositService {
   constructor() {
@@ -35,6 +36,7 @@ class DepositService {
         ocrExtractedAmount: depositData.ocrExtractedAmount || null,
         ocrConfidence: depositData.ocrConfidence || null,
         dailySalesTotal: depositData.dailySalesTotal || 0,
+        salesByTender: depositData.salesByTender || {},
         totalExpenses: depositData.totalExpenses || 0,
         expenses: depositData.expenses || [],
         difference: depositData.difference || 0,
@@ -49,6 +51,8 @@ class DepositService {
         bankName: depositData.bankName || '',
         accountNumber: depositData.accountNumber || '',
         referenceNumber: depositData.referenceNumber || '',
+        drawerSessionIds: depositData.drawerSessionIds || [],
+        countedCashTotal: depositData.countedCashTotal ?? null,
         createdAt: serverTimestamp(),
         updatedAt: serverTimestamp()
       });
@@ -61,12 +65,14 @@ class DepositService {
   }
 
   /**
-   * Get daily sales total for a branch on a specific date
+   * Get daily sales for a branch on a specific date, summed by tender
+   * Split-tender bills contribute each payment to its own method. Refunds come off the
+   * method they went back by on the day they were given, whenever the sale was.
    * @param {string} branchId - Branch ID
    * @param {Date} date - Date to check
-   * @returns {Promise<number>} - Total sales amount
+   * @returns {Promise<Object>} - { total, byTender: { cash, card, ... } }
    */
-  async getDailySalesTotal(branchId, date) {
+  async getDailySalesByTender(branchId, date) {
     try {
       const startOfDay = new Date(date);
       startOfDay.setHours(0, 0, 0, 0);
@@ -87,30 +93,67 @@ class DepositService {
         where('createdAt', '<=', endTimestamp)
       );
 
-      const snapshot = await getDocs(q);
+      // refundedAt is the latest refund on a bill, so any bill refunded today has one from today on
+      const refundsQuery = query(
+        collection(db, 'transactions'),
+        where('branchId', '==', branchId),
+        where('refundedAt', '>=', startTimestamp)
+      );
+
+      const [snapshot, refundsSnapshot] = await Promise.all([getDocs(q), getDocs(refundsQuery)]);
+      const byTender = {};
       let totalSales = 0;
 
       snapshot.forEach((doc) => {
         const data = doc.data();
         const status = (data.status || '').toLowerCase();
         
-        // Include all transactions except voided, cancelled, or refunded
-        // Include: 'paid', 'completed', 'in_service' (all represent sales)
-        // Exclude: 'voided', 'cancelled', 'refunded'
-        if (status !== 'voided' && status !== 'cancelled' && status !== 'refunded') {
-          // Use the 'total' field from the transaction
-          const transactionTotal = Number(data.total || data.totalAmount || 0);
-          totalSales += transactionTotal;
+        // Include all transactions except voided or cancelled
+        // Include: 'paid', 'completed', 'in_service', and refunded bills (the refund is taken off on its own day)
+        // Exclude: 'voided', 'cancelled'
+        if (status !== 'voided' && status !== 'cancelled') {
+          const tenders = getBillTenders({ ...data, total: Number(data.total || data.totalAmount || 0) });
+          // Appointment deposits were taken in on the day they were paid, not on the bill's day
+          tenders.filter((tender) => tender.method !== PAYMENT_METHODS.DEPOSIT).forEach((tender) => {
+            const amount = Number(tender.amount || 0);
+            byTender[tender.method] = (byTender[tender.method] || 0) + amount;
+            totalSales += amount;
+          });
         }
       });
 
-      return totalSales;
+      // Voided bills are left out of sales entirely, so their refunds are too
+      refundsSnapshot.forEach((doc) => {
+        const data = doc.data();
+        const status = (data.status || '').toLowerCase();
+        if (status === 'voided' || status === 'cancelled') return;
+
+        getBillRefundEntries(data)
+          .filter((refund) => refund.refundedAt && refund.refundedAt >= startOfDay && refund.refundedAt <= endOfDay)
+          .forEach((refund) => {
+            byTender[refund.method] = (byTender[refund.method] || 0) - refund.amount;
+            totalSales -= refund.amount;
+          });
+      });
+
+      return { total: totalSales, byTender };
     } catch (error) {
-      console.error('Error getting daily sales total:', error);
+      console.error('Error getting daily sales by tender:', error);
       throw new Error('Failed to get daily sales total');
     }
   }
 
+  /**
+   * Get daily sales total for a branch on a specific date
+   * @param {string} branchId - Branch ID
+   * @param {Date} date - Date to check
+   * @returns {Promise<number>} - Total sales amount
+   */
+  async getDailySalesTotal(branchId, date) {
+    const { total } = await this.getDailySalesByTender(branchId, date);
+    return total;
+  }
+
   /**
    * Validate deposit amount against daily sales
    * @param {number} depositAmount - Amount from receipt
@@ -0,0 +1,411 @@
+/**
+ * Drawer Session Service
+ * Handles cash drawer sessions per branch and cashier: opening float, paid-in/paid-out
+ * entries, X-report (mid-shift) and Z-report (close) figures, and counted-cash variance
+ */
+
+import {
+  collection,
+  doc,
+  getDocs,
+  getDoc,
+  addDoc,
+  updateDoc,
+  query,
+  where,
+  arrayUnion,
+  Timestamp,
+  writeBatch
+} from 'firebase/firestore';
+import { db } from '../config/firebase';
+import toast from 'react-hot-toast';
+import { getBillRefundEntries, getBillTenders, PAYMENT_METHODS } from './billingService';
+
+// Collections
+const DRAWER_SESSIONS_COLLECTION = 'drawer_sessions';
+const BILLS_COLLECTION = 'transactions';
+
+// Drawer Session Status Constants
+export const DRAWER_SESSION_STATUS = {
+  OPEN: 'open',
+  CLOSED: 'closed'
+};
+
+// Cash movements that are not sales
+export const DRAWER_ENTRY_TYPES = {
+  PAID_IN: 'paid_in',
+  PAID_OUT: 'paid_out'
+};
+
+const getUserInfo = (currentUser) => ({
+  userId: currentUser?.uid || currentUser?.id,
+  userName: currentUser?.displayName ||
+            `${currentUser?.firstName || ''} ${currentUser?.lastName || ''}`.trim() ||
+            currentUser?.email ||
+            'Unknown User'
+});
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null);
+
+const mapSession = (sessionDoc) => {
+  const data = sessionDoc.data();
+  return {
+    id: sessionDoc.id,
+    ...data,
+    openedAt: toDate(data.openedAt),
+    closedAt: toDate(data.closedAt),
+    entries: (data.entries || []).map(entry => ({ ...entry, createdAt: toDate(entry.createdAt) }))
+  };
+};
+
+/**
+ * Get the cashier's open drawer session at a branch
+ * @param {string} branchId - Branch ID
+ * @param {string} cashierId - Cashier user ID
+ * @returns {Promise<Object|null>} - Open session or null
+ */
+export const getOpenDrawerSession = async (branchId, cashierId) => {
+  try {
+    const q = query(
+      collection(db, DRAWER_SESSIONS_COLLECTION),
+      where('branchId', '==', branchId),
+      where('cashierId', '==', cashierId),
+      where('status', '==', DRAWER_SESSION_STATUS.OPEN)
+    );
+    const snapshot = await getDocs(q);
+    return snapshot.empty ? null : mapSession(snapshot.docs[0]);
+  } catch (error) {
+    console.error('Error fetching open drawer session:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a drawer session by ID
+ * @param {string} sessionId - Drawer session ID
+ * @returns {Promise<Object>} - Drawer session
+ */
+export const getDrawerSessionById = async (sessionId) => {
+  try {
+    const sessionSnap = await getDoc(doc(db, DRAWER_SESSIONS_COLLECTION, sessionId));
+    if (!sessionSnap.exists()) {
+      throw new Error('Drawer session not found');
+    }
+    return mapSession(sessionSnap);
+  } catch (error) {
+    console.error('Error fetching drawer session:', error);
+    throw error;
+  }
+};
+
+/**
+ * Open a drawer session with a counted opening float
+ * @param {Object} sessionData - { branchId, branchName, openingFloat }
+ * @param {Object} currentUser - Cashier opening the drawer
+ * @returns {Promise<string>} - Drawer session ID
+ */
+export const openDrawerSession = async (sessionData, currentUser) => {
+  try {
+    const { userId, userName } = getUserInfo(currentUser);
+    if (!userId) {
+      throw new Error('Invalid user data. Please log in again.');
+    }
+    if (!sessionData.branchId) {
+      throw new Error('Branch ID is required to open a drawer');
+    }
+
+    const openingFloat = parseFloat(sessionData.openingFloat);
+    if (isNaN(openingFloat) || openingFloat < 0) {
+      throw new Error('Opening float must be zero or more');
+    }
+
+    const existing = await getOpenDrawerSession(sessionData.branchId, userId);
+    if (existing) {
+      throw new Error('You already have an open drawer. Close it before opening a new one.');
+    }
+
+    const sessionRef = await addDoc(collection(db, DRAWER_SESSIONS_COLLECTION), {
+      branchId: sessionData.branchId,
+      branchName: sessionData.branchName || '',
+      cashierId: userId,
+      cashierName: userName,
+      status: DRAWER_SESSION_STATUS.OPEN,
+      openingFloat,
+      entries: [],
+      openedAt: Timestamp.now(),
+      closedAt: null,
+      closedBy: null,
+      closedByName: null,
+      countedCash: null,
+      expectedCash: null,
+      variance: null,
+      varianceNote: '',
+      summary: null,
+      depositId: null,
+      createdAt: Timestamp.now(),
+      updatedAt: Timestamp.now()
+    });
+
+    toast.success('Drawer opened');
+    return sessionRef.id;
+  } catch (error) {
+    console.error('Error opening drawer session:', error);
+    toast.error(error.message || 'Failed to open drawer');
+    throw error;
+  }
+};
+
+/**
+ * Record cash put into (paid-in) or taken out of (paid-out) the drawer outside of a sale
+ * @param {string} sessionId - Drawer session ID
+ * @param {Object} entryData - { type, amount, reason }
+ * @param {Object} currentUser - User recording the entry
+ * @returns {Promise<void>}
+ */
+export const addDrawerEntry = async (sessionId, entryData, currentUser) => {
+  try {
+    const amount = parseFloat(entryData.amount);
+    if (!Object.values(DRAWER_ENTRY_TYPES).includes(entryData.type)) {
+      throw new Error('Invalid drawer entry type');
+    }
+    if (isNaN(amount) || amount <= 0) {
+      throw new Error('Amount must be greater than zero');
+    }
+    if (!entryData.reason?.trim()) {
+      throw new Error('Please provide a reason');
+    }
+
+    const session = await getDrawerSessionById(sessionId);
+    if (session.status !== DRAWER_SESSION_STATUS.OPEN) {
+      throw new Error('Drawer session is already closed');
+    }
+
+    const { userId, userName } = getUserInfo(currentUser);
+    await updateDoc(doc(db, DRAWER_SESSIONS_COLLECTION, sessionId), {
+      entries: arrayUnion({
+        id: `${entryData.type}-${Date.now()}`,
+        type: entryData.type,
+        amount,
+        reason: entryData.reason.trim(),
+        performedBy: userId,
+        performedByName: userName,
+        createdAt: Timestamp.now()
+      }),
+      updatedAt: Timestamp.now()
+    });
+
+    toast.success(entryData.type === DRAWER_ENTRY_TYPES.PAID_IN ? 'Paid-in recorded' : 'Paid-out recorded');
+  } catch (error) {
+    console.error('Error adding drawer entry:', error);
+    toast.error(error.message || 'Failed to record drawer entry');
+    throw error;
+  }
+};
+
+/**
+ * Work out the figures for an X-report or Z-report
+ * Sales are the cashier's bills created while the session was open; refunds are the
+ * refunds the cashier processed in that window. Only cash tenders move the drawer.
+ * @param {Object} session - Drawer session (openedAt/closedAt as Dates)
+ * @param {Date} asOf - End of the reporting window for an open session (defaults to now)
+ * @returns {Promise<Object>} - Report summary
+ */
+export const getDrawerSessionSummary = async (session, asOf = new Date()) => {
+  try {
+    const windowStart = session.openedAt;
+    const windowEnd = session.closedAt || asOf;
+
+    const salesQuery = query(
+      collection(db, BILLS_COLLECTION),
+      where('branchId', '==', session.branchId),
+      where('createdAt', '>=', Timestamp.fromDate(windowStart)),
+      where('createdAt', '<=', Timestamp.fromDate(windowEnd))
+    );
+    const refundsQuery = query(
+      collection(db, BILLS_COLLECTION),
+      where('branchId', '==', session.branchId),
+      where('refundedAt', '>=', Timestamp.fromDate(windowStart))
+    );
+    const [salesSnapshot, refundsSnapshot] = await Promise.all([getDocs(salesQuery), getDocs(refundsQuery)]);
+
+    const salesByTender = {};
+    let transactionCount = 0;
+    let voidedCount = 0;
+    let grossSales = 0;
+
+    salesSnapshot.forEach(billDoc => {
+      const bill = billDoc.data();
+      if (bill.createdBy !== session.cashierId) return;
+
+      const status = (bill.status || '').toLowerCase();
+      if (status === 'voided' || status === 'cancelled') {
+        voidedCount++;
+        return;
+      }
+
+      transactionCount++;
+      grossSales += bill.total || 0;
+      getBillTenders(bill).forEach(tender => {
+        salesByTender[tender.method] = (salesByTender[tender.method] || 0) + (tender.amount || 0);
+      });
+    });
+
+    const refundsByMethod = {};
+    let refundCount = 0;
+    refundsSnapshot.forEach(billDoc => {
+      const bill = billDoc.data();
+      // Voided bills are left out of sales, so their refunds are too
+      const status = (bill.status || '').toLowerCase();
+      if (status === 'voided' || status === 'cancelled') return;
+
+      // Older whole-bill refunds have no refund records; they went back through the bill's tenders
+      const refunds = getBillRefundEntries(bill).filter(refund =>
+        refund.processedBy === session.cashierId &&
+        refund.refundedAt && refund.refundedAt >= windowStart && refund.refundedAt <= windowEnd
+      );
+      if (refunds.length === 0) return;
+
+      refundCount += Array.isArray(bill.refunds) && bill.refunds.length > 0 ? refunds.length : 1;
+      refunds.forEach(refund => {
+        refundsByMethod[refund.method] = (refundsByMethod[refund.method] || 0) + refund.amount;
+      });
+    });
+
+    const paidIn = (session.entries || [])
+      .filter(entry => entry.type === DRAWER_ENTRY_TYPES.PAID_IN)
+      .reduce((sum, entry) => sum + entry.amount, 0);
+    const paidOut = (session.entries || [])
+      .filter(entry => entry.type === DRAWER_ENTRY_TYPES.PAID_OUT)
+      .reduce((sum, entry) => sum + entry.amount, 0);
+
+    const cashSales = salesByTender[PAYMENT_METHODS.CASH] || 0;
+    const cashRefunds = refundsByMethod[PAYMENT_METHODS.CASH] || 0;
+    const totalRefunds = Object.values(refundsByMethod).reduce((sum, amount) => sum + amount, 0);
+    const expectedCash = (session.openingFloat || 0) + cashSales - cashRefunds + paidIn - paidOut;
+
+    return {
+      transactionCount,
+      voidedCount,
+      refundCount,
+      grossSales: parseFloat(grossSales.toFixed(2)),
+      salesByTender,
+      refundsByMethod,
+      totalRefunds: parseFloat(totalRefunds.toFixed(2)),
+      netSales: parseFloat((grossSales - totalRefunds).toFixed(2)),
+      openingFloat: session.openingFloat || 0,
+      cashSales: parseFloat(cashSales.toFixed(2)),
+      cashRefunds: parseFloat(cashRefunds.toFixed(2)),
+      paidIn: parseFloat(paidIn.toFixed(2)),
+      paidOut: parseFloat(paidOut.toFixed(2)),
+      expectedCash: parseFloat(expectedCash.toFixed(2)),
+      generatedAt: new Date()
+    };
+  } catch (error) {
+    console.error('Error calculating drawer session summary:', error);
+    throw error;
+  }
+};
+
+/**
+ * Close a drawer session with the counted cash and store the Z-report figures
+ * @param {string} sessionId - Drawer session ID
+ * @param {Object} closeData - { countedCash, varianceNote }
+ * @param {Object} currentUser - User closing the drawer
+ * @returns {Promise<Object>} - Closed session
+ */
+export const closeDrawerSession = async (sessionId, closeData, currentUser) => {
+  try {
+    const countedCash = parseFloat(closeData.countedCash);
+    if (isNaN(countedCash) || countedCash < 0) {
+      throw new Error('Counted cash must be zero or more');
+    }
+
+    const session = await getDrawerSessionById(sessionId);
+    if (session.status !== DRAWER_SESSION_STATUS.OPEN) {
+      throw new Error('Drawer session is already closed');
+    }
+
+    const closedAt = new Date();
+    const summary = await getDrawerSessionSummary(session, closedAt);
+    const variance = parseFloat((countedCash - summary.expectedCash).toFixed(2));
+
+    if (Math.abs(variance) > 0.009 && !closeData.varianceNote?.trim()) {
+      throw new Error('Please explain the cash variance before closing');
+    }
+
+    const { userId, userName } = getUserInfo(currentUser);
+    const update = {
+      status: DRAWER_SESSION_STATUS.CLOSED,
+      closedAt: Timestamp.fromDate(closedAt),
+      closedBy: userId,
+      closedByName: userName,
+      countedCash,
+      expectedCash: summary.expectedCash,
+      variance,
+      varianceNote: closeData.varianceNote?.trim() || '',
+      summary: { ...summary, generatedAt: Timestamp.fromDate(summary.generatedAt) },
+      updatedAt: Timestamp.now()
+    };
+    await updateDoc(doc(db, DRAWER_SESSIONS_COLLECTION, sessionId), update);
+
+    toast.success('Drawer closed');
+    return { ...session, ...update, closedAt, summary };
+  } catch (error) {
+    console.error('Error closing drawer session:', error);
+    toast.error(error.message || 'Failed to close drawer');
+    throw error;
+  }
+};
+
+/**
+ * Get closed drawer sessions for a branch that were closed on a given date
+ * @param {string} branchId - Branch ID
+ * @param {Date} date - Business date
+ * @returns {Promise<Array>} - Closed sessions, oldest first
+ */
+export const getClosedDrawerSessionsByDate = async (branchId, date) => {
+  try {
+    const startOfDay = new Date(date);
+    startOfDay.setHours(0, 0, 0, 0);
+    const endOfDay = new Date(date);
+    endOfDay.setHours(23, 59, 59, 999);
+
+    // Filter status and date client-side to avoid a composite index
+    const q = query(
+      collection(db, DRAWER_SESSIONS_COLLECTION),
+      where('branchId', '==', branchId)
+    );
+    const snapshot = await getDocs(q);
+
+    return snapshot.docs
+      .map(mapSession)
+      .filter(session =>
+        session.status === DRAWER_SESSION_STATUS.CLOSED &&
+        session.closedAt >= startOfDay &&
+        session.closedAt <= endOfDay
+      )
+      .sort((a, b) => a.closedAt - b.closedAt);
+  } catch (error) {
+    console.error('Error fetching closed drawer sessions:', error);
+    return [];
+  }
+};
+
+/**
+ * Link closed drawer sessions to the bank deposit that banked their cash
+ * @param {Array<string>} sessionIds - Drawer session IDs
+ * @param {string} depositId - Deposit ID
+ * @returns {Promise<void>}
+ */
+export const markDrawerSessionsDeposited = async (sessionIds, depositId) => {
+  if (!sessionIds?.length) return;
+
+  const batch = writeBatch(db);
+  sessionIds.forEach(sessionId => {
+    batch.update(doc(db, DRAWER_SESSIONS_COLLECTION, sessionId), {
+      depositId,
+      updatedAt: Timestamp.now()
+    });
+  });
+  await batch.commit();
+};
@@ -15,9 +15,10 @@
  * @param {string} emailData.subject - Email subject
  * @param {string} emailData.text - Plain text content
  * @param {string} emailData.html - HTML content (optional)
+ * @param {Array} emailData.attachments - [{ name, content }] with base64 content (optional)
  * @returns {Promise<Object>} Send result
  */
-export const sendEmail = async ({ to, subject, text, html }) => {
+export const sendEmail = async ({ to, subject, text, html, attachments }) => {
   const apiKey = import.meta.env.VITE_BREVO_API_KEY;
   const fromEmail = import.meta.env.VITE_BREVO_FROM_EMAIL || import.meta.env.VITE_SENDER_EMAIL || 'noreply@davidsalon.com';
   const fromName = import.meta.env.VITE_BREVO_FROM_NAME || import.meta.env.VITE_SENDER_NAME || 'David\'s Salon';
@@ -43,7 +44,8 @@ export const sendEmail = async ({ to, subject, text, html }) => {
       ],
       subject: subject,
       textContent: text,
-      ...(html ? { htmlContent: html } : {})
+      ...(html ? { htmlContent: html } : {}),
+      ...(attachments?.length ? { attachment: attachments } : {})
     };
 
     const response = await fetch('https://api.brevo.com/v3/smtp/email', {
@@ -1081,6 +1083,206 @@ export const sendAppointmentReminderEmail = async (appointmentData, branchData)
   };
 };
 
+/**
+ * Send appointment confirmation email to client, with the appointment attached as an .ics file
+ * @param {Object} appointmentData - Appointment data, including id
+ * @param {Object} branchData - Branch data
+ * @returns {Promise<Object>} Send result
+ */
+export const sendAppointmentConfirmationEmail = async (appointmentData, branchData) => {
+  if (!appointmentData.clientEmail) {
+    return {
+      success: false,
+      error: 'Client email not found'
+    };
+  }
+
+  const { formatDate, formatTime } = await import('../utils/helpers');
+  const { generateAppointmentIcs, encodeIcsBase64 } = await import('./calendarService');
+  const { renderCheckInQrBase64 } = await import('./kioskService');
+
+  const appointmentDate = appointmentData.appointmentDate 
+    ? (appointmentData.appointmentDate instanceof Date 
+        ? appointmentData.appointmentDate 
+        : appointmentData.appointmentDate.toDate?.() || new Date(appointmentData.appointmentDate))
+    : null;
+  
+  if (!appointmentDate) {
+    return {
+      success: false,
+      error: 'Appointment date not found'
+    };
+  }
+
+  const formattedDate = formatDate(appointmentDate, 'MMMM dd, yyyy');
+  const formattedTime = formatTime(appointmentDate);
+  const dayOfWeek = appointmentDate.toLocaleDateString('en-US', { weekday: 'long' });
+
+  let serviceNames = [];
+  if (appointmentData.services && Array.isArray(appointmentData.services)) {
+    serviceNames = appointmentData.services.map(s => s.serviceName || s.name || 'Service').filter(Boolean);
+  } else if (appointmentData.serviceName) {
+    serviceNames = [appointmentData.serviceName];
+  }
+  const servicesText = serviceNames.length > 0 ? serviceNames.join(', ') : 'Service';
+
+  let stylistName = 'TBA';
+  if (appointmentData.services && Array.isArray(appointmentData.services) && appointmentData.services.length > 0) {
+    const assignedStylist = appointmentData.services.find(s => s.stylistName);
+    if (assignedStylist) {
+      stylistName = assignedStylist.stylistName;
+    }
+  } else if (appointmentData.stylistName) {
+    stylistName = appointmentData.stylistName;
+  }
+
+  const branchName = branchData?.branchName || branchData?.name || 'David\'s Salon';
+  const branchAddress = branchData?.address || '';
+  const branchPhone = branchData?.phoneNumber || branchData?.phone || '';
+
+  const clientName = appointmentData.clientName || 'Valued Client';
+
+  const htmlContent = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: linear-gradient(135deg, #2D1B4E 0%, #3d2a5f 100%); color: white; padding: 30px; text-align: center; border-radius: 8px 8px 0 0; }
+        .content { padding: 30px; background-color: #f9fafb; border-radius: 0 0 8px 8px; }
+        .appointment-box { background: white; border: 2px solid #2D1B4E; border-radius: 8px; padding: 20px; margin: 20px 0; }
+        .appointment-detail { margin: 10px 0; padding: 8px 0; border-bottom: 1px solid #e5e7eb; }
+        .appointment-detail:last-child { border-bottom: none; }
+        .label { font-weight: 600; color: #2D1B4E; display: inline-block; min-width: 120px; }
+        .value { color: #333; }
+        .calendar-note { background: #ede9fe; border-left: 4px solid #2D1B4E; padding: 15px; margin: 20px 0; border-radius: 4px; }
+        .footer { text-align: center; padding: 20px; color: #666; font-size: 0.9em; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>✅ Appointment Confirmed</h1>
+          <p style="margin: 10px 0 0 0; font-size: 1.1em;">We've reserved your spot</p>
+        </div>
+        <div class="content">
+          <p>Dear ${clientName},</p>
+          
+          <p>Your appointment has been confirmed. Here are the details:</p>
+          
+          <div class="appointment-box">
+            <div class="appointment-detail">
+              <span class="label">📅 Date:</span>
+              <span class="value">${dayOfWeek}, ${formattedDate}</span>
+            </div>
+            <div class="appointment-detail">
+              <span class="label">🕐 Time:</span>
+              <span class="value">${formattedTime}</span>
+            </div>
+            <div class="appointment-detail">
+              <span class="label">✂️ Service:</span>
+              <span class="value">${servicesText}</span>
+            </div>
+            <div class="appointment-detail">
+              <span class="label">👤 Stylist:</span>
+              <span class="value">${stylistName}</span>
+            </div>
+            <div class="appointment-detail">
+              <span class="label">📍 Branch:</span>
+              <span class="value">${branchName}</span>
+            </div>
+            ${branchAddress ? `
+            <div class="appointment-detail">
+              <span class="label">📍 Address:</span>
+              <span class="value">${branchAddress}</span>
+            </div>
+            ` : ''}
+            ${branchPhone ? `
+            <div class="appointment-detail">
+              <span class="label">📞 Phone:</span>
+              <span class="value">${branchPhone}</span>
+            </div>
+            ` : ''}
+          </div>
+          
+          <div class="calendar-note">
+            <strong>📎 Add to your calendar:</strong> Open the attached appointment.ics file to save this appointment to your calendar.
+          </div>
+          ${appointmentData.id ? `
+          <div class="calendar-note">
+            <strong>📱 Quick check-in:</strong> When you arrive, scan the attached check-in-qr.png at the kiosk by the door.
+          </div>
+          ` : ''}
+          
+          <p>If you need to reschedule or cancel, please contact us as soon as possible.</p>
+          
+          <p>Best regards,<br>
+          <strong>The ${branchName} Team</strong><br>
+          David's Salon</p>
+        </div>
+        <div class="footer">
+          <p>This is an automated message. Please do not reply directly to this message.</p>
+          <p>&copy; ${new Date().getFullYear()} David's Salon. All rights reserved.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  const textContent = `
+    Appointment Confirmed - David's Salon
+    
+    Dear ${clientName},
+    
+    Your appointment has been confirmed.
+    
+    Appointment Details:
+    ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+    Date: ${dayOfWeek}, ${formattedDate}
+    Time: ${formattedTime}
+    Service: ${servicesText}
+    Stylist: ${stylistName}
+    Branch: ${branchName}
+    ${branchAddress ? `Address: ${branchAddress}\n` : ''}
+    ${branchPhone ? `Phone: ${branchPhone}\n` : ''}
+    ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+    
+    📎 Open the attached appointment.ics file to add this appointment to your calendar.
+    ${appointmentData.id ? '📱 When you arrive, scan the attached check-in-qr.png at the kiosk by the door to check in.\n' : ''}
+    
+    If you need to reschedule or cancel, please contact us as soon as possible.
+    
+    Best regards,
+    The ${branchName} Team
+    David's Salon
+    
+    ---
+    This is an automated message. Please do not reply directly to this message.
+    © ${new Date().getFullYear()} David's Salon. All rights reserved.
+  `;
+
+  const result = await sendEmail({
+    to: appointmentData.clientEmail,
+    subject: `Appointment Confirmed: ${formattedDate} at ${formattedTime} - ${branchName}`,
+    text: textContent,
+    html: htmlContent,
+    attachments: appointmentData.id ? [{
+      name: 'appointment.ics',
+      content: encodeIcsBase64(generateAppointmentIcs(appointmentData, branchData))
+    }, {
+      name: 'check-in-qr.png',
+      content: renderCheckInQrBase64(appointmentData.id)
+    }] : undefined
+  });
+
+  return {
+    success: result.success,
+    message: result.success ? 'Appointment confirmation email sent successfully' : result.error || 'Failed to send email',
+    email: appointmentData.clientEmail
+  };
+};
+
 /**
  * Send password reset email with role passwords
  * @param {Object} userData - User data
@@ -0,0 +1,407 @@
+/**
+ * Gift Card Service
+ * Handles gift card issuance, balance lookup, redemption and the per-card ledger
+ */
+
+import {
+  collection,
+  doc,
+  getDocs,
+  getDoc,
+  query,
+  where,
+  Timestamp,
+  runTransaction
+} from 'firebase/firestore';
+import { db } from '../config/firebase';
+
+// Collections
+const GIFT_CARDS_COLLECTION = 'gift_cards'; // gift_cards/{code}
+const GIFT_CARD_LEDGER_COLLECTION = 'gift_card_transactions'; // gift_card_transactions/{entryId}
+
+// Gift Card Status Constants
+export const GIFT_CARD_STATUS = {
+  ACTIVE: 'active',
+  DEPLETED: 'depleted',
+  VOIDED: 'voided'
+};
+
+// Ledger entry types
+export const GIFT_CARD_TRANSACTION_TYPES = {
+  ISSUE: 'issue',
+  REDEEM: 'redeem',
+  REVERSAL: 'reversal', // Balance returned to the card (failed checkout or refund)
+  VOID: 'void' // Card sold on a bill that was voided or refunded
+};
+
+// Unambiguous characters only (no 0/O, 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+const getUserInfo = (currentUser) => ({
+  userId: currentUser?.uid || currentUser?.id || 'system',
+  userName: currentUser?.displayName ||
+            `${currentUser?.firstName || ''} ${currentUser?.lastName || ''}`.trim() ||
+            currentUser?.email ||
+            'System'
+});
+
+/**
+ * Normalize a gift card code typed or scanned at the counter
+ * @param {string} code - Raw code
+ * @returns {string} - Uppercase code without surrounding whitespace
+ */
+export const normalizeGiftCardCode = (code) => (code || '').trim().toUpperCase();
+
+/**
+ * Generate a random gift card code in the format GC-XXXX-XXXX-XXXX
+ * @returns {string} - Gift card code
+ */
+export const generateGiftCardCode = () => {
+  const values = new Uint32Array(12);
+  crypto.getRandomValues(values);
+  const chars = Array.from(values, v => CODE_ALPHABET[v % CODE_ALPHABET.length]).join('');
+  return `GC-${chars.slice(0, 4)}-${chars.slice(4, 8)}-${chars.slice(8, 12)}`;
+};
+
+/**
+ * Issue a new gift card and record the opening ledger entry
+ * @param {Object} cardData - { amount, branchId, branchName, billId, purchaserName, recipientName }
+ * @param {Object} currentUser - User issuing the card
+ * @returns {Promise<Object>} - Issued gift card
+ */
+export const issueGiftCard = async (cardData, currentUser) => {
+  try {
+    const amount = parseFloat(cardData.amount) || 0;
+    if (amount <= 0) {
+      throw new Error('Gift card amount must be greater than zero');
+    }
+    if (!cardData.branchId) {
+      throw new Error('Branch ID is required to issue a gift card');
+    }
+
+    const { userId, userName } = getUserInfo(currentUser);
+
+    // Codes are the document ID, so retry on the (unlikely) collision
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const code = generateGiftCardCode();
+      const cardRef = doc(db, GIFT_CARDS_COLLECTION, code);
+      const ledgerRef = doc(collection(db, GIFT_CARD_LEDGER_COLLECTION));
+
+      const card = {
+        code,
+        initialAmount: amount,
+        balance: amount,
+        status: GIFT_CARD_STATUS.ACTIVE,
+        issuedBranchId: cardData.branchId,
+        issuedBranchName: cardData.branchName || '',
+        issuedBillId: cardData.billId || null,
+        purchaserName: cardData.purchaserName || '',
+        recipientName: cardData.recipientName || '',
+        issuedBy: userId,
+        issuedByName: userName,
+        createdAt: Timestamp.now(),
+        updatedAt: Timestamp.now()
+      };
+
+      const issued = await runTransaction(db, async (transaction) => {
+        const existing = await transaction.get(cardRef);
+        if (existing.exists()) return false;
+
+        transaction.set(cardRef, card);
+        transaction.set(ledgerRef, {
+          code,
+          type: GIFT_CARD_TRANSACTION_TYPES.ISSUE,
+          amount,
+          balanceAfter: amount,
+          branchId: cardData.branchId,
+          billId: cardData.billId || null,
+          performedBy: userId,
+          performedByName: userName,
+          notes: cardData.recipientName ? `Issued for ${cardData.recipientName}` : 'Gift card issued',
+          createdAt: Timestamp.now()
+        });
+        return true;
+      });
+
+      if (issued) {
+        return { id: code, ...card };
+      }
+    }
+
+    throw new Error('Unable to generate a unique gift card code');
+  } catch (error) {
+    console.error('Error issuing gift card:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a gift card by its code
+ * @param {string} code - Gift card code
+ * @returns {Promise<Object|null>} - Gift card or null if not found
+ */
+export const getGiftCardByCode = async (code) => {
+  try {
+    const normalizedCode = normalizeGiftCardCode(code);
+    if (!normalizedCode) return null;
+
+    const cardSnap = await getDoc(doc(db, GIFT_CARDS_COLLECTION, normalizedCode));
+    if (!cardSnap.exists()) return null;
+
+    return {
+      id: cardSnap.id,
+      ...cardSnap.data(),
+      createdAt: cardSnap.data().createdAt?.toDate(),
+      updatedAt: cardSnap.data().updatedAt?.toDate()
+    };
+  } catch (error) {
+    console.error('Error fetching gift card:', error);
+    throw error;
+  }
+};
+
+/**
+ * Redeem part or all of a gift card balance
+ * The balance check and decrement run in one Firestore transaction so two
+ * counters cannot spend the same balance
+ * @param {string} code - Gift card code
+ * @param {number} amount - Amount to redeem
+ * @param {Object} context - { branchId, billId }
+ * @param {Object} currentUser - User processing the redemption
+ * @returns {Promise<number>} - Remaining balance
+ */
+export const redeemGiftCard = async (code, amount, context, currentUser) => {
+  const normalizedCode = normalizeGiftCardCode(code);
+  const redeemAmount = parseFloat(amount) || 0;
+  if (redeemAmount <= 0) {
+    throw new Error('Redemption amount must be greater than zero');
+  }
+
+  const { userId, userName } = getUserInfo(currentUser);
+  const cardRef = doc(db, GIFT_CARDS_COLLECTION, normalizedCode);
+  const ledgerRef = doc(collection(db, GIFT_CARD_LEDGER_COLLECTION));
+
+  return runTransaction(db, async (transaction) => {
+    const cardSnap = await transaction.get(cardRef);
+    if (!cardSnap.exists()) {
+      throw new Error(`Gift card ${normalizedCode} not found`);
+    }
+
+    const card = cardSnap.data();
+    if (card.status === GIFT_CARD_STATUS.VOIDED) {
+      throw new Error(`Gift card ${normalizedCode} has been voided`);
+    }
+    if ((card.balance || 0) + 0.005 < redeemAmount) {
+      throw new Error(`Insufficient gift card balance. Available: ₱${(card.balance || 0).toFixed(2)}`);
+    }
+
+    const balanceAfter = parseFloat(Math.max(0, (card.balance || 0) - redeemAmount).toFixed(2));
+
+    transaction.update(cardRef, {
+      balance: balanceAfter,
+      status: balanceAfter > 0 ? GIFT_CARD_STATUS.ACTIVE : GIFT_CARD_STATUS.DEPLETED,
+      lastUsedAt: Timestamp.now(),
+      updatedAt: Timestamp.now()
+    });
+    transaction.set(ledgerRef, {
+      code: normalizedCode,
+      type: GIFT_CARD_TRANSACTION_TYPES.REDEEM,
+      amount: -redeemAmount,
+      balanceAfter,
+      branchId: context?.branchId || null,
+      billId: context?.billId || null,
+      performedBy: userId,
+      performedByName: userName,
+      notes: context?.billId ? `Redeemed on bill ${context.billId}` : 'Redeemed',
+      createdAt: Timestamp.now()
+    });
+
+    return balanceAfter;
+  });
+};
+
+/**
+ * Read gift cards inside a Firestore transaction
+ * For bill operations that change several cards at once: Firestore needs every read
+ * before the first write, so read all the cards first, then apply the changes below.
+ * @param {Object} transaction - Firestore transaction
+ * @param {Array<string>} codes - Gift card codes
+ * @returns {Promise<Object>} - { [code]: card } where each card carries its `code`
+ */
+export const readGiftCardsInTransaction = async (transaction, codes) => {
+  const cards = {};
+  for (const code of [...new Set(codes.map(normalizeGiftCardCode))]) {
+    const cardSnap = await transaction.get(doc(db, GIFT_CARDS_COLLECTION, code));
+    if (!cardSnap.exists()) {
+      throw new Error(`Gift card ${code} not found`);
+    }
+    cards[code] = { ...cardSnap.data(), code };
+  }
+  return cards;
+};
+
+/**
+ * Return an amount to a gift card inside the caller's transaction
+ * Updates `card.balance` too, so several reversals on the same card add up.
+ * @param {Object} transaction - Firestore transaction
+ * @param {Object} card - Card from readGiftCardsInTransaction
+ * @param {number} amount - Amount to return
+ * @param {Object} context - { branchId, billId, reason }
+ * @param {Object} currentUser - User processing the reversal
+ * @returns {number} - New balance
+ */
+export const applyGiftCardReversal = (transaction, card, amount, context, currentUser) => {
+  const reverseAmount = parseFloat(amount) || 0;
+  if (reverseAmount <= 0) {
+    throw new Error('Reversal amount must be greater than zero');
+  }
+
+  const { userId, userName } = getUserInfo(currentUser);
+  const balanceAfter = parseFloat(((card.balance || 0) + reverseAmount).toFixed(2));
+  card.balance = balanceAfter;
+
+  transaction.update(doc(db, GIFT_CARDS_COLLECTION, card.code), {
+    balance: balanceAfter,
+    status: card.status === GIFT_CARD_STATUS.VOIDED ? GIFT_CARD_STATUS.VOIDED : GIFT_CARD_STATUS.ACTIVE,
+    updatedAt: Timestamp.now()
+  });
+  transaction.set(doc(collection(db, GIFT_CARD_LEDGER_COLLECTION)), {
+    code: card.code,
+    type: GIFT_CARD_TRANSACTION_TYPES.REVERSAL,
+    amount: reverseAmount,
+    balanceAfter,
+    branchId: context?.branchId || null,
+    billId: context?.billId || null,
+    performedBy: userId,
+    performedByName: userName,
+    notes: context?.reason || 'Redemption reversed',
+    createdAt: Timestamp.now()
+  });
+
+  return balanceAfter;
+};
+
+/**
+ * Void a gift card sold on a bill, inside the caller's transaction
+ * Only a card nobody has spent from can be voided: once it has been used its value
+ * has already been given out, so the sale can no longer be taken back.
+ * @param {Object} transaction - Firestore transaction
+ * @param {Object} card - Card from readGiftCardsInTransaction
+ * @param {Object} context - { branchId, billId, reason }
+ * @param {Object} currentUser - User voiding the card
+ */
+export const applyGiftCardVoid = (transaction, card, context, currentUser) => {
+  if (card.status === GIFT_CARD_STATUS.VOIDED) return;
+  if ((card.balance || 0) + 0.005 < (card.initialAmount || 0)) {
+    throw new Error(`Gift card ${card.code} has already been used and cannot be voided`);
+  }
+
+  const { userId, userName } = getUserInfo(currentUser);
+  transaction.update(doc(db, GIFT_CARDS_COLLECTION, card.code), {
+    balance: 0,
+    status: GIFT_CARD_STATUS.VOIDED,
+    voidedAt: Timestamp.now(),
+    updatedAt: Timestamp.now()
+  });
+  transaction.set(doc(collection(db, GIFT_CARD_LEDGER_COLLECTION)), {
+    code: card.code,
+    type: GIFT_CARD_TRANSACTION_TYPES.VOID,
+    amount: -(card.balance || 0),
+    balanceAfter: 0,
+    branchId: context?.branchId || null,
+    billId: context?.billId || null,
+    performedBy: userId,
+    performedByName: userName,
+    notes: context?.reason || 'Gift card voided',
+    createdAt: Timestamp.now()
+  });
+  card.status = GIFT_CARD_STATUS.VOIDED;
+  card.balance = 0;
+};
+
+/**
+ * Return an amount to a gift card (reverses a redemption)
+ * @param {string} code - Gift card code
+ * @param {number} amount - Amount to return
+ * @param {Object} context - { branchId, billId, reason }
+ * @param {Object} currentUser - User processing the reversal
+ * @returns {Promise<number>} - New balance
+ */
+export const reverseGiftCardRedemption = async (code, amount, context, currentUser) => {
+  if ((parseFloat(amount) || 0) <= 0) {
+    throw new Error('Reversal amount must be greater than zero');
+  }
+
+  return runTransaction(db, async (transaction) => {
+    const cards = await readGiftCardsInTransaction(transaction, [code]);
+    return applyGiftCardReversal(transaction, cards[normalizeGiftCardCode(code)], amount, context, currentUser);
+  });
+};
+
+/**
+ * Get the full transaction ledger for a gift card (newest first)
+ * @param {string} code - Gift card code
+ * @returns {Promise<Array>} - Array of ledger entries
+ */
+export const getGiftCardLedger = async (code) => {
+  try {
+    const q = query(
+      collection(db, GIFT_CARD_LEDGER_COLLECTION),
+      where('code', '==', normalizeGiftCardCode(code))
+    );
+
+    const snapshot = await getDocs(q);
+    const entries = snapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data(),
+      createdAt: doc.data().createdAt?.toDate()
+    }));
+
+    // Sort client-side to avoid a composite index
+    entries.sort((a, b) => (b.createdAt?.getTime() || 0) - (a.createdAt?.getTime() || 0));
+    return entries;
+  } catch (error) {
+    console.error('Error fetching gift card ledger:', error);
+    return [];
+  }
+};
+
+/**
+ * Get outstanding gift card liability grouped by issuing branch
+ * Liability is the unredeemed balance of every non-voided card
+ * @returns {Promise<Array>} - Array of { branchId, branchName, cardCount, activeCount, issuedTotal, outstandingBalance }
+ */
+export const getGiftCardLiabilityByBranch = async () => {
+  try {
+    const snapshot = await getDocs(collection(db, GIFT_CARDS_COLLECTION));
+    const byBranch = {};
+
+    snapshot.docs.forEach(cardDoc => {
+      const card = cardDoc.data();
+      if (card.status === GIFT_CARD_STATUS.VOIDED) return;
+
+      const branchId = card.issuedBranchId || 'unknown';
+      if (!byBranch[branchId]) {
+        byBranch[branchId] = {
+          branchId,
+          branchName: card.issuedBranchName || branchId,
+          cardCount: 0,
+          activeCount: 0,
+          issuedTotal: 0,
+          outstandingBalance: 0
+        };
+      }
+
+      const entry = byBranch[branchId];
+      entry.cardCount++;
+      if ((card.balance || 0) > 0) entry.activeCount++;
+      entry.issuedTotal += card.initialAmount || 0;
+      entry.outstandingBalance += card.balance || 0;
+    });
+
+    return Object.values(byBranch).sort((a, b) => b.outstandingBalance - a.outstandingBalance);
+  } catch (error) {
+    console.error('Error computing gift card liability:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,525 @@
+/**
+ * Inventory Audit Service
+ * Full stock counts and cycle counts (a category, an ABC class or a random sample).
+ * Starting an audit freezes the expected quantity of every batch in scope; counters then
+ * count against that snapshot (optionally blind), submit the discrepancies with reason
+ * codes, and a branch manager approves them, which posts each difference to the batches
+ * as an inventory movement. Sales during the count move stock independently, so the
+ * difference is applied on top of whatever the batch holds when the audit is approved.
+ */
+
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  addDoc,
+  updateDoc,
+  query,
+  where,
+  Timestamp
+} from 'firebase/firestore';
+import { db } from '../config/firebase';
+import { inventoryService } from './inventoryService';
+import { productService } from './productService';
+import { hasRole } from '../utils/helpers';
+import { USER_ROLES } from '../utils/constants';
+import toast from 'react-hot-toast';
+
+const AUDITS_COLLECTION = 'inventory_audits';
+
+export const AUDIT_STATUS = {
+  SCHEDULED: 'Scheduled',
+  IN_PROGRESS: 'In Progress',
+  PENDING_APPROVAL: 'Pending Approval',
+  COMPLETED: 'Completed',
+  CANCELLED: 'Cancelled'
+};
+
+export const AUDIT_SCOPES = {
+  FULL: 'full',
+  CATEGORY: 'category',
+  ABC: 'abc',
+  RANDOM: 'random'
+};
+
+export const AUDIT_SCOPE_LABELS = {
+  [AUDIT_SCOPES.FULL]: 'Full count',
+  [AUDIT_SCOPES.CATEGORY]: 'Cycle count by category',
+  [AUDIT_SCOPES.ABC]: 'Cycle count by ABC class',
+  [AUDIT_SCOPES.RANDOM]: 'Cycle count of a random sample'
+};
+
+export const ADJUSTMENT_REASONS = {
+  miscount: 'Previous miscount',
+  damaged: 'Damaged',
+  expired: 'Expired / disposed',
+  theft: 'Theft / loss',
+  unrecorded_usage: 'Unrecorded salon use',
+  receiving_error: 'Receiving error',
+  found: 'Found stock'
+};
+
+// ABC classes by share of the last year's consumption value
+const ABC_CUTOFFS = { A: 0.8, B: 0.95 };
+const ABC_LOOKBACK_DAYS = 365;
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null);
+
+const normalizeAudit = (auditDoc) => {
+  const data = auditDoc.data();
+  return {
+    id: auditDoc.id,
+    ...data,
+    scheduledDate: toDate(data.scheduledDate),
+    snapshotAt: toDate(data.snapshotAt),
+    submittedAt: toDate(data.submittedAt),
+    approvedAt: toDate(data.approvedAt),
+    createdAt: toDate(data.createdAt),
+    updatedAt: toDate(data.updatedAt)
+  };
+};
+
+const findMissingReason = (items) =>
+  items.find(item => Number(item.countedQty) !== Number(item.expectedQty) && !item.reasonCode);
+
+const getUserName = (user) =>
+  (user?.firstName || user?.lastName ? `${user.firstName || ''} ${user.lastName || ''}`.trim() : user?.email) || 'Unknown';
+
+/**
+ * Totals for an audit's items
+ * @param {Array} items - Audit items
+ * @returns {Object} - { totalItems, countedItems, discrepancies, accuracy, expectedValue,
+ *   countedValue, discrepancyValue, shrinkageValue }
+ */
+export const computeAuditSummary = (items = []) => {
+  const counted = items.filter(item => item.countedQty !== null && item.countedQty !== undefined);
+  const discrepant = counted.filter(item => Number(item.countedQty) !== Number(item.expectedQty));
+  const value = (item, qty) => (Number(qty) || 0) * (Number(item.unitCost) || 0);
+  const discrepancyValue = discrepant.reduce((sum, item) => sum + value(item, item.countedQty - item.expectedQty), 0);
+  const shrinkageValue = discrepant
+    .filter(item => item.countedQty < item.expectedQty)
+    .reduce((sum, item) => sum + value(item, item.expectedQty - item.countedQty), 0);
+
+  return {
+    totalItems: items.length,
+    countedItems: counted.length,
+    discrepancies: discrepant.length,
+    accuracy: counted.length > 0 ? Math.round(((counted.length - discrepant.length) / counted.length) * 1000) / 10 : 0,
+    expectedValue: items.reduce((sum, item) => sum + value(item, item.expectedQty), 0),
+    countedValue: counted.reduce((sum, item) => sum + value(item, item.countedQty), 0),
+    discrepancyValue,
+    shrinkageValue
+  };
+};
+
+/**
+ * Find the audit item a scanned code refers to
+ * Accepts the batch sticker QR codes from the UPC generator (JSON with batchId / batchNumber /
+ * productId) as well as a plain batch number or product UPC.
+ * @param {Array} items - Audit items
+ * @param {string} decodedText - Scanned text
+ * @returns {Object|null} - Matching item
+ */
+export const findAuditItemByScan = (items, decodedText) => {
+  const text = String(decodedText || '').trim();
+  let code = {};
+  try {
+    code = JSON.parse(text);
+  } catch (e) {
+    code = { batchNumber: text, upc: text };
+  }
+
+  return items.find(item => code.batchId && item.batchId === code.batchId) ||
+    items.find(item => code.batchNumber && item.batchNumber === code.batchNumber) ||
+    items.find(item => code.upc && item.upc === code.upc) ||
+    // A product-level code only identifies the batch when the product has just one in the count
+    (code.productId && items.filter(item => item.productId === code.productId).length === 1
+      ? items.find(item => item.productId === code.productId)
+      : null);
+};
+
+/**
+ * ABC class of each product by the value of its stock consumed over the last year
+ * A: the products making up the first 80% of consumption value, B: the next 15%, C: the rest
+ * @param {string} branchId - Branch ID
+ * @param {Array} products - Products with unitCost
+ * @returns {Promise<Object>} - { [productId]: 'A' | 'B' | 'C' }
+ */
+export const getAbcClasses = async (branchId, products) => {
+  try {
+    const since = new Date();
+    since.setDate(since.getDate() - ABC_LOOKBACK_DAYS);
+    const costs = Object.fromEntries(products.map(product => [product.id, Number(product.unitCost) || 0]));
+
+    // Filter dates client-side to avoid a composite index
+    const snapshot = await getDocs(query(
+      collection(db, 'inventory_movements'),
+      where('branchId', '==', branchId),
+      where('type', '==', 'stock_out')
+    ));
+
+    const consumption = {};
+    snapshot.forEach((movementDoc) => {
+      const data = movementDoc.data();
+      const createdAt = toDate(data.createdAt);
+      if (!createdAt || createdAt < since || !data.productId) return;
+      const quantity = Number(data.stockQuantity ?? data.quantity) || 0;
+      consumption[data.productId] = (consumption[data.productId] || 0) + quantity * (costs[data.productId] || 0);
+    });
+
+    const total = Object.values(consumption).reduce((sum, value) => sum + value, 0);
+    const classes = Object.fromEntries(products.map(product => [product.id, 'C']));
+    let cumulative = 0;
+    Object.entries(consumption)
+      .sort(([, a], [, b]) => b - a)
+      .forEach(([productId, value]) => {
+        if (total <= 0 || value <= 0) return;
+        // A product is in the class its consumption starts in
+        const share = cumulative / total;
+        classes[productId] = share < ABC_CUTOFFS.A ? 'A' : share < ABC_CUTOFFS.B ? 'B' : 'C';
+        cumulative += value;
+      });
+
+    return classes;
+  } catch (error) {
+    console.error('Error classifying products:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a branch's audits, newest first
+ * @param {string} branchId - Branch ID
+ * @returns {Promise<Array>}
+ */
+export const getBranchAudits = async (branchId) => {
+  try {
+    const snapshot = await getDocs(query(collection(db, AUDITS_COLLECTION), where('branchId', '==', branchId)));
+    const audits = snapshot.docs.map(normalizeAudit);
+    // Sort client-side to avoid a composite index
+    return audits.sort((a, b) => (b.scheduledDate?.getTime() || 0) - (a.scheduledDate?.getTime() || 0));
+  } catch (error) {
+    console.error('Error loading audits:', error);
+    toast.error('Failed to load audits');
+    throw error;
+  }
+};
+
+/**
+ * Get one audit
+ * @param {string} auditId - Audit ID
+ * @returns {Promise<Object|null>}
+ */
+export const getAuditById = async (auditId) => {
+  try {
+    const auditDoc = await getDoc(doc(db, AUDITS_COLLECTION, auditId));
+    return auditDoc.exists() ? normalizeAudit(auditDoc) : null;
+  } catch (error) {
+    console.error('Error loading audit:', error);
+    throw error;
+  }
+};
+
+/**
+ * Schedule a full or cycle count
+ * @param {Object} auditData - { branchId, branchName, scope, categories, abcClass, sampleSize,
+ *   blindCount, scheduledDate, assignedToName, notes }
+ * @param {Object} currentUser - User scheduling the audit
+ * @returns {Promise<string>} - Audit ID
+ */
+export const scheduleAudit = async (auditData, currentUser) => {
+  try {
+    const scope = auditData.scope || AUDIT_SCOPES.FULL;
+    if (scope === AUDIT_SCOPES.CATEGORY && !(auditData.categories || []).length) {
+      throw new Error('Choose at least one category to count');
+    }
+    if (scope === AUDIT_SCOPES.RANDOM && !(Number(auditData.sampleSize) > 0)) {
+      throw new Error('Choose how many products to sample');
+    }
+
+    const scheduledDate = auditData.scheduledDate ? new Date(auditData.scheduledDate) : new Date();
+    const stamp = scheduledDate.toISOString().slice(0, 10).replace(/-/g, '');
+    const auditRef = await addDoc(collection(db, AUDITS_COLLECTION), {
+      auditNumber: `AUD-${stamp}-${Math.floor(1000 + Math.random() * 9000)}`,
+      branchId: auditData.branchId,
+      branchName: auditData.branchName || '',
+      scope,
+      categories: scope === AUDIT_SCOPES.CATEGORY ? auditData.categories : [],
+      abcClass: scope === AUDIT_SCOPES.ABC ? auditData.abcClass || 'A' : null,
+      sampleSize: scope === AUDIT_SCOPES.RANDOM ? Number(auditData.sampleSize) : null,
+      blindCount: Boolean(auditData.blindCount),
+      scheduledDate: Timestamp.fromDate(scheduledDate),
+      assignedToName: auditData.assignedToName || getUserName(currentUser),
+      notes: auditData.notes || '',
+      status: AUDIT_STATUS.SCHEDULED,
+      items: [],
+      ...computeAuditSummary([]),
+      createdBy: currentUser.uid || currentUser.id,
+      createdByName: getUserName(currentUser),
+      createdAt: Timestamp.now(),
+      updatedAt: Timestamp.now()
+    });
+    return auditRef.id;
+  } catch (error) {
+    console.error('Error scheduling audit:', error);
+    toast.error(error.message || 'Failed to schedule audit');
+    throw error;
+  }
+};
+
+/**
+ * Start counting: freeze the expected quantity of every batch in the audit's scope
+ * Open containers of salon-use products are not counted; only sealed units are.
+ * @param {Object} audit - Scheduled audit
+ * @param {Object} currentUser - User starting the count
+ * @returns {Promise<Array>} - The frozen audit items
+ */
+export const startAudit = async (audit, currentUser) => {
+  try {
+    if (audit.status !== AUDIT_STATUS.SCHEDULED) {
+      throw new Error('Only scheduled audits can be started');
+    }
+
+    const [batchesResult, productsResult] = await Promise.all([
+      inventoryService.getBranchBatches(audit.branchId, { status: 'active' }),
+      productService.getAllProducts()
+    ]);
+    if (!batchesResult.success) throw new Error(batchesResult.message);
+    const products = productsResult.products || [];
+    const productsById = Object.fromEntries(products.map(product => [product.id, product]));
+
+    const batches = batchesResult.batches.filter(batch => (Number(batch.remainingQuantity) || 0) > 0);
+    let productIds = [...new Set(batches.map(batch => batch.productId))];
+
+    if (audit.scope === AUDIT_SCOPES.CATEGORY) {
+      productIds = productIds.filter(id => audit.categories.includes(productsById[id]?.category));
+    } else if (audit.scope === AUDIT_SCOPES.ABC) {
+      const classes = await getAbcClasses(audit.branchId, products);
+      productIds = productIds.filter(id => (classes[id] || 'C') === audit.abcClass);
+    } else if (audit.scope === AUDIT_SCOPES.RANDOM) {
+      for (let i = productIds.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [productIds[i], productIds[j]] = [productIds[j], productIds[i]];
+      }
+      productIds = productIds.slice(0, audit.sampleSize);
+    }
+
+    const inScope = new Set(productIds);
+    const items = batches
+      .filter(batch => inScope.has(batch.productId))
+      .map(batch => {
+        const product = productsById[batch.productId] || {};
+        return {
+          productId: batch.productId,
+          productName: batch.productName || product.name || '',
+          category: product.category || '',
+          upc: product.upc || '',
+          batchId: batch.id,
+          batchNumber: batch.batchNumber || '',
+          usageType: batch.usageType || 'otc',
+          unit: batch.unit || '',
+          expectedQty: Number(batch.remainingQuantity) || 0,
+          countedQty: null,
+          unitCost: Number(batch.unitCost) || Number(product.unitCost) || 0,
+          reasonCode: null,
+          note: '',
+          countedBy: null,
+          posted: false
+        };
+      })
+      .sort((a, b) => a.productName.localeCompare(b.productName) || a.batchNumber.localeCompare(b.batchNumber));
+
+    if (items.length === 0) {
+      throw new Error('No stock matches this audit\'s scope');
+    }
+
+    await updateDoc(doc(db, AUDITS_COLLECTION, audit.id), {
+      items,
+      ...computeAuditSummary(items),
+      status: AUDIT_STATUS.IN_PROGRESS,
+      snapshotAt: Timestamp.now(),
+      startedBy: currentUser.uid || currentUser.id,
+      startedByName: getUserName(currentUser),
+      updatedAt: Timestamp.now()
+    });
+    return items;
+  } catch (error) {
+    console.error('Error starting audit:', error);
+    toast.error(error.message || 'Failed to start audit');
+    throw error;
+  }
+};
+
+/**
+ * Save counts so far
+ * @param {string} auditId - Audit ID
+ * @param {Array} items - Audit items with countedQty, reasonCode and note filled in
+ * @returns {Promise<void>}
+ */
+export const saveAuditCounts = async (auditId, items) => {
+  try {
+    await updateDoc(doc(db, AUDITS_COLLECTION, auditId), {
+      items,
+      ...computeAuditSummary(items),
+      updatedAt: Timestamp.now()
+    });
+  } catch (error) {
+    console.error('Error saving counts:', error);
+    toast.error('Failed to save counts');
+    throw error;
+  }
+};
+
+/**
+ * Submit a finished count for manager approval
+ * Every batch must be counted. Open counts need a reason code for every discrepancy;
+ * blind counters never see the expected quantities, so the manager gives the reasons.
+ * @param {Object} audit - Audit being counted
+ * @param {Array} items - Counted audit items
+ * @param {Object} currentUser - Counter submitting the audit
+ * @returns {Promise<void>}
+ */
+export const submitAuditForApproval = async (audit, items, currentUser) => {
+  try {
+    const uncounted = items.filter(item => item.countedQty === null || item.countedQty === undefined);
+    if (uncounted.length > 0) {
+      throw new Error(`${uncounted.length} batch(es) still need counting`);
+    }
+    const missingReason = !audit.blindCount && findMissingReason(items);
+    if (missingReason) {
+      throw new Error(`Choose a reason for the difference on ${missingReason.productName} (${missingReason.batchNumber})`);
+    }
+
+    await updateDoc(doc(db, AUDITS_COLLECTION, audit.id), {
+      items,
+      ...computeAuditSummary(items),
+      status: AUDIT_STATUS.PENDING_APPROVAL,
+      submittedBy: currentUser.uid || currentUser.id,
+      submittedByName: getUserName(currentUser),
+      submittedAt: Timestamp.now(),
+      rejectionReason: null,
+      updatedAt: Timestamp.now()
+    });
+  } catch (error) {
+    console.error('Error submitting audit:', error);
+    toast.error(error.message || 'Failed to submit audit');
+    throw error;
+  }
+};
+
+/**
+ * Approve an audit and post its discrepancies as inventory movements
+ * Products are posted one at a time and marked as they go, so approving again after a
+ * failure only posts what is left.
+ * @param {string} auditId - Audit ID
+ * @param {Object} currentUser - Branch manager approving
+ * @param {Object} reasonCodes - { [batchId]: reasonCode } set or changed by the manager
+ * @returns {Promise<void>}
+ */
+export const approveAudit = async (auditId, currentUser, reasonCodes = {}) => {
+  try {
+    if (!hasRole(currentUser, USER_ROLES.BRANCH_MANAGER)) {
+      throw new Error('Only a branch manager can approve audits');
+    }
+    const audit = await getAuditById(auditId);
+    if (!audit || audit.status !== AUDIT_STATUS.PENDING_APPROVAL) {
+      throw new Error('This audit is not waiting for approval');
+    }
+
+    const items = audit.items.map(item => ({ ...item, reasonCode: reasonCodes[item.batchId] || item.reasonCode || null }));
+    const missingReason = findMissingReason(items);
+    if (missingReason) {
+      throw new Error(`Choose a reason for the difference on ${missingReason.productName} (${missingReason.batchNumber})`);
+    }
+    const toPost = items.filter(item => !item.posted && Number(item.countedQty) !== Number(item.expectedQty));
+    const productIds = [...new Set(toPost.map(item => item.productId))];
+
+    for (const productId of productIds) {
+      const lines = toPost.filter(item => item.productId === productId);
+      const result = await inventoryService.postStockAdjustments({
+        branchId: audit.branchId,
+        productId,
+        productName: lines[0].productName,
+        reason: 'Audit Adjustment',
+        auditId,
+        createdBy: currentUser.uid || currentUser.id,
+        lines: lines.map(item => ({
+          batchId: item.batchId,
+          batchNumber: item.batchNumber,
+          quantityChange: Number(item.countedQty) - Number(item.expectedQty),
+          unitCost: item.unitCost,
+          reasonCode: item.reasonCode,
+          notes: `${audit.auditNumber}: ${ADJUSTMENT_REASONS[item.reasonCode] || item.reasonCode}${item.note ? ` - ${item.note}` : ''}`
+        }))
+      });
+
+      if (!result.success) {
+        await updateDoc(doc(db, AUDITS_COLLECTION, auditId), { items, updatedAt: Timestamp.now() });
+        throw new Error(`Could not post ${lines[0].productName}: ${result.message}`);
+      }
+      lines.forEach(item => { item.posted = true; });
+    }
+
+    await updateDoc(doc(db, AUDITS_COLLECTION, auditId), {
+      items,
+      status: AUDIT_STATUS.COMPLETED,
+      approvedBy: currentUser.uid || currentUser.id,
+      approvedByName: getUserName(currentUser),
+      approvedAt: Timestamp.now(),
+      updatedAt: Timestamp.now()
+    });
+  } catch (error) {
+    console.error('Error approving audit:', error);
+    toast.error(error.message || 'Failed to approve audit');
+    throw error;
+  }
+};
+
+/**
+ * Send an audit back for recounting
+ * @param {string} auditId - Audit ID
+ * @param {string} reason - What needs recounting
+ * @param {Object} currentUser - Branch manager rejecting
+ * @returns {Promise<void>}
+ */
+export const rejectAudit = async (auditId, reason, currentUser) => {
+  try {
+    if (!hasRole(currentUser, USER_ROLES.BRANCH_MANAGER)) {
+      throw new Error('Only a branch manager can reject audits');
+    }
+    await updateDoc(doc(db, AUDITS_COLLECTION, auditId), {
+      status: AUDIT_STATUS.IN_PROGRESS,
+      rejectionReason: reason || 'Recount requested',
+      rejectedBy: currentUser.uid || currentUser.id,
+      rejectedByName: getUserName(currentUser),
+      rejectedAt: Timestamp.now(),
+      updatedAt: Timestamp.now()
+    });
+  } catch (error) {
+    console.error('Error rejecting audit:', error);
+    toast.error(error.message || 'Failed to send audit back');
+    throw error;
+  }
+};
+
+/**
+ * Cancel an audit that has not been approved
+ * @param {string} auditId - Audit ID
+ * @param {Object} currentUser - User cancelling
+ * @returns {Promise<void>}
+ */
+export const cancelAudit = async (auditId, currentUser) => {
+  try {
+    await updateDoc(doc(db, AUDITS_COLLECTION, auditId), {
+      status: AUDIT_STATUS.CANCELLED,
+      cancelledBy: currentUser.uid || currentUser.id,
+      cancelledAt: Timestamp.now(),
+      updatedAt: Timestamp.now()
+    });
+  } catch (error) {
+    console.error('Error cancelling audit:', error);
+    toast.error('Failed to cancel audit');
+    throw error;
+  }
+};
@@ -18,6 +18,45 @@ import {
   serverTimestamp
 } from 'firebase/firestore';
 import { db } from '../config/firebase';
+import { getProductUnitsById, getUnitFactor, toStockQuantity } from './unitOfMeasureService';
+
+// Quantities converted between units are kept to a sensible precision
+const roundQuantity = (value) => Math.round((Number(value) || 0) * 10000) / 10000;
+
+// Movement types that add to or take from a branch's stock
+const INBOUND_MOVEMENT_TYPES = ['stock_in', 'transfer_in', 'stock_received'];
+const OUTBOUND_MOVEMENT_TYPES = ['stock_out', 'transfer_out'];
+
+/**
+ * Convert a received quantity (e.g. cases from a supplier) into stock units,
+ * with the cost per stock unit. Quantities without a unit are already in stock units.
+ * @param {string} productId - Product ID
+ * @param {number} quantity - Quantity received
+ * @param {number} unitCost - Cost per `unit`
+ * @param {string} unit - Unit the quantity is in
+ * @param {Object} unitsCache - productId -> units, to avoid re-reading the product
+ * @returns {Promise<Object>} - { quantity, unitCost, unit }
+ */
+const toReceivedStock = async (productId, quantity, unitCost, unit, unitsCache = {}) => {
+  const qty = Number(quantity) || 0;
+  const cost = Number(unitCost) || 0;
+  if (!unit) return { quantity: qty, unitCost: cost, unit: null };
+
+  if (!unitsCache[productId]) {
+    unitsCache[productId] = await getProductUnitsById(productId);
+  }
+  const units = unitsCache[productId];
+  if (!units.configured || unit === units.stockUnit) {
+    return { quantity: qty, unitCost: cost, unit: units.stockUnit };
+  }
+
+  const stockQuantity = toStockQuantity(units, qty, unit);
+  return {
+    quantity: stockQuantity,
+    unitCost: stockQuantity > 0 ? roundQuantity((qty * cost) / stockQuantity) : cost,
+    unit: units.stockUnit
+  };
+};
 
 class InventoryService {
   constructor() {
@@ -141,8 +180,11 @@ class InventoryService {
       );
       const existingStockSnap = await getDocs(existingStockQuery);
 
+      // Deliveries may be counted in purchase units; stock is kept in stock units
+      const received = await toReceivedStock(stockData.productId, stockData.quantity, stockData.unitCost, stockData.unit);
+
       let stockRef;
-      let newQuantity = Number(stockData.quantity) || 0;
+      let newQuantity = received.quantity;
       
       if (existingStockSnap.empty) {
         // Create new stock entry
@@ -156,7 +198,7 @@ class InventoryService {
           currentStock: newQuantity,
           minStock: Number(stockData.minStock) || 0,
           maxStock: Number(stockData.maxStock) || 0,
-          unitCost: Number(stockData.unitCost) || 0,
+          unitCost: received.unitCost,
           location: String(stockData.location || ''),
           supplier: String(stockData.supplier || ''),
           status: newQuantity > (stockData.minStock || 0) ? 'In Stock' : 
@@ -196,6 +238,13 @@ class InventoryService {
         productName: String(stockData.productName || ''),
         type: 'stock_in',
         quantity: newQuantity,
+        ...(received.unit && {
+          unit: received.unit,
+          stockUnit: received.unit,
+          stockQuantity: newQuantity,
+          receivedQuantity: Number(stockData.quantity) || 0,
+          receivedUnit: String(stockData.unit)
+        }),
         previousStock: existingStockSnap.empty ? 0 : existingStockSnap.docs[0].data().currentStock || 0,
         newStock: existingStockSnap.empty ? newQuantity : (existingStockSnap.docs[0].data().currentStock || 0) + newQuantity,
         reason: String(stockData.reason || 'Stock added'),
@@ -320,6 +369,11 @@ class InventoryService {
 
   /**
    * Get inventory movements/history for a branch
+   * Each movement carries `stockQuantity` in the product's stock unit whatever unit it was
+   * recorded in (ml used by a service, cases received), and `reconciliation` totals them
+   * per product: { productId: { productName, unit, stockIn, stockOut, net, containersOpened } }.
+   * Salon-use consumption is fractional (0.05 bottle) while shelf stock only drops by
+   * `containersOpened`, so the difference is what is left in open containers.
    */
   async getInventoryMovements(branchId, filters = {}) {
     try {
@@ -348,12 +402,46 @@ class InventoryService {
         movements.push({
           id: doc.id,
           ...data,
+          // Older movements were always recorded in stock units
+          stockQuantity: Number(data.stockQuantity ?? data.quantity) || 0,
+          unit: data.unit || null,
+          stockUnit: data.stockUnit || null,
           createdAt: data.createdAt?.toDate ? data.createdAt.toDate() : 
                      data.createdAt instanceof Date ? data.createdAt :
                      data.createdAt ? new Date(data.createdAt) : new Date(),
         });
       });
 
+      const reconciliation = {};
+      movements.forEach((movement) => {
+        const inbound = INBOUND_MOVEMENT_TYPES.includes(movement.type);
+        const outbound = OUTBOUND_MOVEMENT_TYPES.includes(movement.type);
+        if (!movement.productId || (!inbound && !outbound)) return;
+
+        if (!reconciliation[movement.productId]) {
+          reconciliation[movement.productId] = {
+            productName: movement.productName || '',
+            unit: null,
+            stockIn: 0,
+            stockOut: 0,
+            net: 0,
+            containersOpened: 0
+          };
+        }
+        const entry = reconciliation[movement.productId];
+        const quantity = Math.abs(movement.stockQuantity);
+        if (inbound) {
+          entry.stockIn = roundQuantity(entry.stockIn + quantity);
+        } else {
+          entry.stockOut = roundQuantity(entry.stockOut + quantity);
+          entry.containersOpened += Number(movement.containersOpened ?? quantity) || 0;
+        }
+        entry.net = roundQuantity(entry.stockIn - entry.stockOut);
+        if (!entry.unit && movement.stockUnit) {
+          entry.unit = movement.stockUnit;
+        }
+      });
+
       // Sort client-side by createdAt descending
       movements.sort((a, b) => {
         const aTime = a.createdAt instanceof Date ? a.createdAt.getTime() : new Date(a.createdAt).getTime();
@@ -361,10 +449,10 @@ class InventoryService {
         return bTime - aTime; // Descending order
       });
 
-      return { success: true, movements };
+      return { success: true, movements, reconciliation };
     } catch (error) {
       console.error('Error getting inventory movements:', error);
-      return { success: false, message: error.message, movements: [] };
+      return { success: false, message: error.message, movements: [], reconciliation: {} };
     }
   }
 
@@ -493,7 +581,8 @@ class InventoryService {
       // deliveryData should contain:
       // - purchaseOrderId
       // - branchId
-      // - items: [{ productId, productName, quantity, unitPrice, expirationDate }]
+      // - items: [{ productId, productName, quantity, unitPrice, expirationDate, unit }]
+      //   where quantity/unitPrice are in `unit` (the purchase unit) and batches hold stock units
       // - receivedBy, receivedAt
 
       if (!deliveryData.items || !Array.isArray(deliveryData.items)) {
@@ -502,6 +591,7 @@ class InventoryService {
 
       // Group items by productId to ensure same products get same batch number
       const productBatchMap = {}; // Track batch number per product
+      const unitsCache = {};
       let batchSequence = 0;
 
       for (const item of deliveryData.items) {
@@ -532,6 +622,8 @@ class InventoryService {
           batchNumber = `${poId}-OTC-${formattedBatchNum}`;
         }
         
+        const received = await toReceivedStock(item.productId, item.quantity, item.unitPrice, item.unit, unitsCache);
+
         const batchRef = doc(collection(db, this.productBatchesCollection));
         const expirationDate = item.expirationDate ? Timestamp.fromDate(new Date(item.expirationDate)) : null;
         const receivedDate = deliveryData.receivedAt ? Timestamp.fromDate(new Date(deliveryData.receivedAt)) : serverTimestamp();
@@ -543,9 +635,15 @@ class InventoryService {
           productName: String(item.productName || ''),
           branchId: String(deliveryData.branchId),
           purchaseOrderId: String(deliveryData.purchaseOrderId || ''),
-          quantity: Number(item.quantity),
-          remainingQuantity: Number(item.quantity), // Track remaining stock in this batch
-          unitCost: Number(item.unitPrice || 0),
+          quantity: received.quantity,
+          remainingQuantity: received.quantity, // Track remaining stock in this batch (sealed stock units)
+          openQuantity: 0, // Base units left in an opened container
+          unitCost: received.unitCost,
+          ...(received.unit && {
+            unit: received.unit,
+            receivedQuantity: Number(item.quantity),
+            receivedUnit: String(item.unit)
+          }),
           expirationDate: expirationDate,
           receivedDate: receivedDate,
           receivedBy: String(deliveryData.receivedBy || ''),
@@ -560,7 +658,7 @@ class InventoryService {
 
         // Create batch_stock entry in stocks collection for FIFO tracking
         const batchStockRef = doc(collection(db, 'stocks'));
-        const batchQuantity = Number(item.quantity);
+        const batchQuantity = received.quantity;
 
         const batchStockData = {
           batchId: batchRef.id, // Reference to the product_batch
@@ -872,11 +970,38 @@ class InventoryService {
    * @param {Object} deductionData - { branchId, productId, quantity, reason, notes, createdBy, batches?, usageType? }
    * @param {Array} deductionData.batches - Optional: Pre-determined batches to use (from transaction/transfer)
    * @param {string} deductionData.usageType - Optional: 'otc' or 'salon-use' - filters batches by usage type
+   * @param {string} deductionData.unit - Optional: unit of the quantity (defaults to the stock unit). Quantities
+   *   smaller than a stock unit (ml of a bottle) come out of opened containers, opening sealed ones as needed
    */
   async deductStockFIFO(deductionData) {
     try {
-      const { branchId, productId, quantity, batches: providedBatches, usageType, reason } = deductionData;
-      let remainingToDeduct = Number(quantity);
+      const { branchId, productId, quantity, batches: providedBatches, usageType, reason, unit } = deductionData;
+
+      // Work out the deduction in stock units, or in base units when it's less than a whole container
+      let stockQuantity = Number(quantity);
+      let containerSize = null; // Base units per stock unit, when deducting from opened containers
+      let unitFactor = 1;
+      let stockUnit = null;
+      let baseUnit = null;
+      if (unit) {
+        const units = await getProductUnitsById(productId);
+        stockUnit = units.configured ? units.stockUnit : null;
+        baseUnit = units.baseUnit;
+        if (units.configured && unit !== units.stockUnit) {
+          const stockFactor = getUnitFactor(units, units.stockUnit);
+          unitFactor = getUnitFactor(units, unit);
+          if (!unitFactor) {
+            return { success: false, message: `Cannot deduct ${unit} of this product - set up its units of measure` };
+          }
+          stockQuantity = roundQuantity(Number(quantity) * unitFactor / stockFactor);
+          if (unitFactor < stockFactor) {
+            containerSize = stockFactor;
+          }
+        }
+      }
+      const requested = containerSize ? roundQuantity(Number(quantity) * unitFactor) : stockQuantity;
+      let remainingToDeduct = requested;
+      let containersOpened = 0;
 
       const batch = writeBatch(db);
       const updatedBatches = [];
@@ -966,19 +1091,35 @@ class InventoryService {
         if (remainingToDeduct <= 0) break;
 
         const availableInBatch = batchRecord.remainingQuantity || 0;
-        if (availableInBatch <= 0) continue;
-
-        const deductFromBatch = Math.min(remainingToDeduct, availableInBatch);
+        const openInBatch = containerSize ? batchRecord.openQuantity || 0 : 0;
+        if (availableInBatch <= 0 && openInBatch <= 0) continue;
+
+        // deductFromBatch counts sealed stock units leaving the batch; usedFromBatch what the deduction took
+        let deductFromBatch;
+        let usedFromBatch;
+        let newOpen = openInBatch;
+        if (containerSize) {
+          usedFromBatch = Math.min(remainingToDeduct, openInBatch + availableInBatch * containerSize);
+          deductFromBatch = Math.ceil(roundQuantity(Math.max(usedFromBatch - openInBatch, 0) / containerSize));
+          newOpen = roundQuantity(openInBatch + deductFromBatch * containerSize - usedFromBatch);
+        } else {
+          deductFromBatch = usedFromBatch = Math.min(remainingToDeduct, availableInBatch);
+        }
         const newRemaining = availableInBatch - deductFromBatch;
-        remainingToDeduct -= deductFromBatch;
+        remainingToDeduct = roundQuantity(remainingToDeduct - usedFromBatch);
+        containersOpened += deductFromBatch;
 
         // Update product_batch (batch definition)
         const batchRef = doc(db, this.productBatchesCollection, batchRecord.id);
         const updateData = {
           remainingQuantity: newRemaining,
-          status: newRemaining <= 0 ? 'depleted' : 'active',
+          status: newRemaining <= 0 && newOpen <= 0 ? 'depleted' : 'active',
           updatedAt: serverTimestamp()
         };
+        if (containerSize) {
+          updateData.openQuantity = newOpen; // Base units left in the opened container
+          updateData.openUnit = baseUnit;
+        }
         batch.update(batchRef, updateData);
 
         // CRITICAL: Also update the batch_stock in stocks collection
@@ -1022,13 +1163,15 @@ class InventoryService {
         updatedBatches.push({
           batchId: batchRecord.id,
           batchNumber: batchRecord.batchNumber,
-          deducted: deductFromBatch,
-          remaining: newRemaining
+          deducted: containerSize ? roundQuantity(usedFromBatch / unitFactor) : deductFromBatch, // In the requested unit
+          remaining: newRemaining,
+          ...(containerSize && { containersOpened: deductFromBatch, openRemaining: newOpen })
         });
       }
 
       if (remainingToDeduct > 0) {
-        return { success: false, message: `Insufficient stock. Only ${quantity - remainingToDeduct} units available.` };
+        const available = roundQuantity((requested - remainingToDeduct) / (containerSize ? unitFactor : 1));
+        return { success: false, message: `Insufficient stock. Only ${available} ${containerSize ? unit : 'units'} available.` };
       }
 
       // Update main stock record
@@ -1042,7 +1185,8 @@ class InventoryService {
       if (!stockSnap.empty) {
         const stockRef = stockSnap.docs[0].ref;
         const currentStock = stockSnap.docs[0].data().currentStock || 0;
-        const newStock = Math.max(0, currentStock - quantity);
+        // Shelf stock counts sealed units; an opened container has left the shelf
+        const newStock = Math.max(0, currentStock - (containerSize ? containersOpened : stockQuantity));
 
         batch.update(stockRef, {
           currentStock: newStock,
@@ -1061,6 +1205,10 @@ class InventoryService {
         productName: String(deductionData.productName || ''),
         type: 'stock_out',
         quantity: quantity,
+        unit: String(unit || ''),
+        ...(stockUnit && { stockUnit }),
+        stockQuantity: stockQuantity, // In stock units, fractional for usage from opened containers
+        containersOpened: containerSize ? containersOpened : stockQuantity,
         reason: String(deductionData.reason || 'Stock reduced'),
         notes: String(deductionData.notes || ''),
         createdBy: String(deductionData.createdBy || ''),
@@ -1080,6 +1228,105 @@ class InventoryService {
     }
   }
 
+  /**
+   * Post counted-vs-expected corrections for one product's batches
+   * Each line moves its batch, batch_stock and the main stock by the difference and is
+   * recorded as its own stock_in/stock_out movement carrying the reason code.
+   * @param {Object} adjustmentData - { branchId, productId, productName, reason, createdBy, auditId,
+   *   lines: [{ batchId, batchNumber, quantityChange, unitCost, reasonCode, notes }] }
+   * @returns {Object} - { success, message }
+   */
+  async postStockAdjustments(adjustmentData) {
+    try {
+      const { branchId, productId } = adjustmentData;
+      const lines = (adjustmentData.lines || []).filter(line => Number(line.quantityChange));
+      if (lines.length === 0) {
+        return { success: true, message: 'Nothing to adjust' };
+      }
+
+      const batch = writeBatch(db);
+      let totalChange = 0;
+
+      for (const line of lines) {
+        const batchRef = doc(db, this.productBatchesCollection, line.batchId);
+        const batchDoc = await getDoc(batchRef);
+        if (!batchDoc.exists()) {
+          return { success: false, message: `Batch ${line.batchNumber || line.batchId} no longer exists` };
+        }
+
+        // Stock may have moved since the count; never take a batch below zero
+        const currentRemaining = Number(batchDoc.data().remainingQuantity) || 0;
+        const newRemaining = Math.max(0, currentRemaining + Number(line.quantityChange));
+        const change = newRemaining - currentRemaining;
+        totalChange += change;
+
+        batch.update(batchRef, {
+          remainingQuantity: newRemaining,
+          status: newRemaining > 0 || (batchDoc.data().openQuantity || 0) > 0 ? 'active' : 'depleted',
+          updatedAt: serverTimestamp()
+        });
+
+        const batchStockSnap = await getDocs(query(
+          collection(db, 'stocks'),
+          where('batchId', '==', line.batchId),
+          where('branchId', '==', branchId)
+        ));
+        const batchStockDoc = batchStockSnap.docs.find(stockDoc => stockDoc.data().stockType === 'batch' || stockDoc.data().batchId);
+        if (batchStockDoc) {
+          batch.update(batchStockDoc.ref, {
+            realTimeStock: Math.max(0, (Number(batchStockDoc.data().realTimeStock) || 0) + change),
+            updatedAt: serverTimestamp()
+          });
+        }
+
+        const quantity = Math.abs(change);
+        const movementRef = doc(collection(db, this.inventoryMovementsCollection));
+        batch.set(movementRef, {
+          branchId: String(branchId),
+          productId: String(productId),
+          productName: String(adjustmentData.productName || ''),
+          type: change >= 0 ? 'stock_in' : 'stock_out',
+          quantity,
+          stockQuantity: quantity,
+          reason: String(adjustmentData.reason || 'Stock Adjustment'),
+          reasonCode: String(line.reasonCode || ''),
+          notes: String(line.notes || ''),
+          unitCost: Number(line.unitCost) || 0,
+          costImpact: roundQuantity(change * (Number(line.unitCost) || 0)),
+          auditId: String(adjustmentData.auditId || ''),
+          ...(change >= 0
+            ? { batchReturns: [{ batchId: line.batchId, batchNumber: line.batchNumber || '', returned: quantity }] }
+            : { batchDeductions: [{ batchId: line.batchId, batchNumber: line.batchNumber || '', deducted: quantity, remaining: newRemaining }] }),
+          createdBy: String(adjustmentData.createdBy || ''),
+          createdAt: serverTimestamp()
+        });
+      }
+
+      const stockSnap = await getDocs(query(
+        collection(db, this.stocksCollection),
+        where('branchId', '==', branchId),
+        where('productId', '==', productId)
+      ));
+      if (!stockSnap.empty && totalChange !== 0) {
+        const stockData = stockSnap.docs[0].data();
+        const newStock = Math.max(0, (stockData.currentStock || 0) + totalChange);
+        batch.update(stockSnap.docs[0].ref, {
+          currentStock: newStock,
+          status: newStock > (stockData.minStock || 0) ? 'In Stock' :
+                 newStock > 0 ? 'Low Stock' : 'Out of Stock',
+          lastUpdated: serverTimestamp(),
+          updatedAt: serverTimestamp()
+        });
+      }
+
+      await batch.commit();
+      return { success: true, message: `Adjusted ${lines.length} batch(es) of ${adjustmentData.productName || productId}` };
+    } catch (error) {
+      console.error('Error posting stock adjustments:', error);
+      return { success: false, message: error.message };
+    }
+  }
+
   /**
    * Check and update batch expiration status
    */
@@ -1310,8 +1557,9 @@ class InventoryService {
    * 1. Original batch exists → Restore to original batch
    * 2. Original batch was sold/depleted → Create return batch at original branch
    * 3. New products returned (different from transferred) → Create new batch at original branch
+   * 4. Sold units returned by a client (returnType: 'sale') → Restore to the batch they were sold from
    * 
-   * @param {Object} returnData - { batchId, quantity, returnReason, returnedBy, returnedAt, isNewProduct?, newProductData? }
+   * @param {Object} returnData - { batchId, quantity, returnReason, returnedBy, returnedAt, isNewProduct?, newProductData?, returnType?, billId?, reason? }
    */
   async returnStockToBatch(returnData) {
     try {
@@ -1326,6 +1574,11 @@ class InventoryService {
       }
 
       const transferBatch = batchDoc.data();
+
+      // SCENARIO 4: Refunded sale - the batch is a regular sale batch, not a transfer
+      if (returnData.returnType === 'sale') {
+        return await this.returnSoldStockToBatch(batchRef, transferBatch, returnData);
+      }
       
       // Check if this is a transfer batch
       if (transferBatch.sourceType !== 'transfer' || !transferBatch.originalBatchId) {
@@ -1463,6 +1716,137 @@ class InventoryService {
       return { success: false, message: error.message };
     }
   }
+
+  /**
+   * Put refunded units back into the batch they were sold from
+   * Reverses what deductStockFIFO did for the sale: batch remaining quantity,
+   * the batch_stock record and the main stock record, plus a stock_in movement
+   * @param {DocumentReference} batchRef - Product batch reference
+   * @param {Object} saleBatch - Product batch data
+   * @param {Object} returnData - { quantity, returnReason, returnedBy, billId, productName, reason?, unit? }
+   *   Quantities smaller than a stock unit (ml of a bottle) go back into the batch's opened container
+   * @returns {Object} - { success, message, returnedToOriginal }
+   */
+  async returnSoldStockToBatch(batchRef, saleBatch, returnData) {
+    let quantity = Number(returnData.quantity) || 0;
+    if (quantity <= 0) {
+      return { success: false, message: 'Return quantity must be greater than zero' };
+    }
+
+    const batch = writeBatch(db);
+
+    if (returnData.unit) {
+      const units = await getProductUnitsById(saleBatch.productId);
+      const stockFactor = getUnitFactor(units, units.stockUnit);
+      const unitFactor = getUnitFactor(units, returnData.unit);
+      if (units.configured && unitFactor && unitFactor < stockFactor) {
+        const baseQuantity = roundQuantity(quantity * unitFactor);
+        batch.update(batchRef, {
+          openQuantity: roundQuantity((saleBatch.openQuantity || 0) + baseQuantity),
+          status: 'active',
+          updatedAt: serverTimestamp()
+        });
+
+        const movementRef = doc(collection(db, this.inventoryMovementsCollection));
+        batch.set(movementRef, {
+          branchId: String(saleBatch.branchId || ''),
+          productId: String(saleBatch.productId || ''),
+          productName: String(returnData.productName || saleBatch.productName || ''),
+          type: 'stock_in',
+          quantity: quantity,
+          unit: String(returnData.unit),
+          stockUnit: units.stockUnit,
+          stockQuantity: roundQuantity(baseQuantity / stockFactor),
+          containersOpened: 0,
+          reason: String(returnData.reason || 'Sale Refund'),
+          notes: String(returnData.returnReason || (returnData.billId ? `Refund on bill ${returnData.billId}` : '')),
+          createdBy: String(returnData.returnedBy || ''),
+          batchReturns: [{ batchId: batchRef.id, batchNumber: saleBatch.batchNumber || '', returned: quantity }],
+          createdAt: serverTimestamp()
+        });
+
+        await batch.commit();
+        return {
+          success: true,
+          message: `Returned ${quantity} ${returnData.unit} to the open container of batch ${saleBatch.batchNumber || batchRef.id}`,
+          returnedToOriginal: true
+        };
+      }
+      if (units.configured && unitFactor) {
+        quantity = roundQuantity(quantity * unitFactor / stockFactor); // Whole packs back as stock units
+      }
+    }
+
+    const newRemaining = (saleBatch.remainingQuantity || 0) + quantity;
+
+    batch.update(batchRef, {
+      remainingQuantity: newRemaining,
+      status: 'active',
+      updatedAt: serverTimestamp()
+    });
+
+    // Restore the batch_stock record in the stocks collection
+    const batchStockQuery = query(
+      collection(db, 'stocks'),
+      where('batchId', '==', batchRef.id),
+      where('branchId', '==', saleBatch.branchId)
+    );
+    const batchStockSnap = await getDocs(batchStockQuery);
+    const batchStockDoc = batchStockSnap.docs.find(doc => {
+      const data = doc.data();
+      return (data.stockType === 'batch' || data.batchId) && (data.status === 'active' || !data.status);
+    });
+
+    if (batchStockDoc) {
+      batch.update(batchStockDoc.ref, {
+        realTimeStock: (Number(batchStockDoc.data().realTimeStock) || 0) + quantity,
+        updatedAt: serverTimestamp()
+      });
+    } else {
+      console.warn(`⚠️ Batch stock not found for batchId: ${batchRef.id}, batchNumber: ${saleBatch.batchNumber}`);
+    }
+
+    // Restore the main stock record
+    const stockQuery = query(
+      collection(db, this.stocksCollection),
+      where('branchId', '==', saleBatch.branchId),
+      where('productId', '==', saleBatch.productId)
+    );
+    const stockSnap = await getDocs(stockQuery);
+
+    if (!stockSnap.empty) {
+      const stockData = stockSnap.docs[0].data();
+      const newStock = (stockData.currentStock || 0) + quantity;
+
+      batch.update(stockSnap.docs[0].ref, {
+        currentStock: newStock,
+        status: newStock > (stockData.minStock || 0) ? 'In Stock' : 'Low Stock',
+        lastUpdated: serverTimestamp(),
+        updatedAt: serverTimestamp()
+      });
+    }
+
+    const movementRef = doc(collection(db, this.inventoryMovementsCollection));
+    batch.set(movementRef, {
+      branchId: String(saleBatch.branchId || ''),
+      productId: String(saleBatch.productId || ''),
+      productName: String(returnData.productName || saleBatch.productName || ''),
+      type: 'stock_in',
+      quantity: quantity,
+      reason: String(returnData.reason || 'Sale Refund'),
+      notes: String(returnData.returnReason || (returnData.billId ? `Refund on bill ${returnData.billId}` : '')),
+      createdBy: String(returnData.returnedBy || ''),
+      batchReturns: [{ batchId: batchRef.id, batchNumber: saleBatch.batchNumber || '', returned: quantity }],
+      createdAt: serverTimestamp()
+    });
+
+    await batch.commit();
+    return {
+      success: true,
+      message: `Returned ${quantity} units to batch ${saleBatch.batchNumber || batchRef.id}`,
+      returnedToOriginal: true
+    };
+  }
 }
 
 export const inventoryService = new InventoryService();
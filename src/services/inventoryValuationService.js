@@ -0,0 +1,463 @@
+/**
+ * Inventory Valuation Service
+ * Values branch stock from its batches and costs everything that left it. On-hand stock is
+ * valued FIFO (each batch at its own unit cost) and at the weighted-average cost of all
+ * batches received. Stock-out movements are costed from the batches they drew on, so sales
+ * give COGS, service use its consumption cost, and audit, damage and expiry write-offs the
+ * shrinkage. With product sales from transactions this gives gross margin per product,
+ * category, branch and period, and inventory turnover and days of supply.
+ */
+
+import {
+  collection,
+  getDocs,
+  query,
+  where
+} from 'firebase/firestore';
+import {
+  addMonths,
+  differenceInCalendarDays,
+  endOfDay,
+  format,
+  startOfDay,
+  startOfMonth
+} from 'date-fns';
+import { db } from '../config/firebase';
+import { productService } from './productService';
+import { getAllBranches, getBranchById } from './branchService';
+import { ADJUSTMENT_REASONS } from './inventoryAuditService';
+import { getProductUnits, getUnitFactor } from './unitOfMeasureService';
+import toast from 'react-hot-toast';
+
+export const VALUATION_METHODS = {
+  FIFO: 'fifo',
+  AVERAGE: 'average'
+};
+
+export const VALUATION_METHOD_LABELS = {
+  [VALUATION_METHODS.FIFO]: 'FIFO',
+  [VALUATION_METHODS.AVERAGE]: 'Weighted average'
+};
+
+export const VALUATION_GROUPINGS = {
+  MONTH: 'month',
+  QUARTER: 'quarter',
+  YEAR: 'year'
+};
+
+export const SHRINKAGE_CAUSES = {
+  ...ADJUSTMENT_REASONS,
+  other: 'Other write-off'
+};
+
+// Force adjustments on the Stocks page use their own reason codes
+const FORCE_ADJUSTMENT_CAUSES = {
+  damage: 'damaged',
+  theft: 'theft',
+  expiry: 'expired',
+  count_error: 'miscount'
+};
+
+// Bills that never became (or stopped being) a sale
+const EXCLUDED_BILL_STATUSES = ['voided', 'refunded'];
+
+const METHODS = Object.values(VALUATION_METHODS);
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null);
+
+const getPeriod = (date, groupBy) => {
+  if (groupBy === VALUATION_GROUPINGS.YEAR) {
+    return { key: format(date, 'yyyy'), label: format(date, 'yyyy') };
+  }
+  if (groupBy === VALUATION_GROUPINGS.QUARTER) {
+    const quarter = Math.floor(date.getMonth() / 3) + 1;
+    return { key: `${format(date, 'yyyy')}-Q${quarter}`, label: `Q${quarter} ${format(date, 'yyyy')}` };
+  }
+  return { key: format(date, 'yyyy-MM'), label: format(date, 'MMM yyyy') };
+};
+
+const emptyMethodTotals = () => ({
+  onHandValue: 0,
+  receipts: 0, // Batches received during the period
+  cogs: 0,
+  salonUse: 0,
+  shrinkage: 0,
+  outflows: 0, // Net cost of every movement that took stock out of the batches
+  expiredValue: 0
+});
+
+const emptyTotals = (fields = {}) => ({
+  ...fields,
+  revenue: 0,
+  soldQuantity: 0,
+  [VALUATION_METHODS.FIFO]: emptyMethodTotals(),
+  [VALUATION_METHODS.AVERAGE]: emptyMethodTotals()
+});
+
+/**
+ * What a stock movement was for
+ * @param {Object} movement - inventory_movements record
+ * @returns {string} - 'sale' | 'salon_use' | 'shrinkage' | 'transfer' | 'other'
+ */
+export const classifyMovement = (movement) => {
+  const reason = String(movement.reason || '').toLowerCase();
+  if (movement.auditId || FORCE_ADJUSTMENT_CAUSES[reason]) return 'shrinkage';
+  if (movement.type === 'transfer_out' || movement.type === 'transfer_in' ||
+    reason.startsWith('stock transfer') || reason === 'stock return') return 'transfer';
+  if (reason.startsWith('service use')) return 'salon_use';
+  if (reason.includes('sale') || reason.includes('refund')) return 'sale';
+  return 'other';
+};
+
+/**
+ * Cost of a stock movement, FIFO from the batches it drew on and at the average cost
+ * Quantities are in stock units; parts of the movement without a recorded batch are
+ * costed at the average cost under both methods.
+ * @param {Object} movement - inventory_movements record
+ * @param {Object} batchCosts - { [batchId]: unitCost }
+ * @param {number} averageCost - Weighted-average cost of the product
+ * @returns {Object} - { quantity, fifo, average }
+ */
+export const costMovement = (movement, batchCosts, averageCost) => {
+  const quantity = Number(movement.quantity) || 0;
+  const stockQuantity = Number(movement.stockQuantity ?? movement.quantity) || 0;
+  // Batch draws are recorded in the movement's own unit
+  const ratio = quantity > 0 ? stockQuantity / quantity : 1;
+
+  let drawnQuantity = 0;
+  let fifo = 0;
+  (movement.batchDeductions || movement.batchReturns || []).forEach(draw => {
+    const drawn = (Number(draw.deducted ?? draw.returned) || 0) * ratio;
+    drawnQuantity += drawn;
+    fifo += drawn * (batchCosts[draw.batchId] ?? averageCost);
+  });
+  fifo += Math.max(stockQuantity - drawnQuantity, 0) * averageCost;
+
+  return { quantity: stockQuantity, fifo, average: stockQuantity * averageCost };
+};
+
+/**
+ * Add margin, turnover and days of supply to a product, category, branch or overall total
+ * Turnover is annualised; the opening value is worked back from the closing value and the
+ * period's receipts and outflows.
+ * @param {Object} entry - Totals with per-method values
+ * @param {number} days - Days in the period
+ * @returns {Object} - The same entry
+ */
+const withRatios = (entry, days) => {
+  METHODS.forEach(method => {
+    const totals = entry[method];
+    const consumption = totals.cogs + totals.salonUse;
+    totals.grossMargin = entry.revenue - totals.cogs;
+    totals.marginPercent = entry.revenue > 0 ? (totals.grossMargin / entry.revenue) * 100 : 0;
+    totals.openingValue = Math.max(0, totals.onHandValue - totals.receipts + totals.outflows);
+    const averageInventory = (totals.openingValue + totals.onHandValue) / 2;
+    totals.turnover = averageInventory > 0 ? (consumption / averageInventory) * (365 / days) : 0;
+    totals.daysOfSupply = consumption > 0 ? totals.onHandValue / (consumption / days) : null;
+  });
+  return entry;
+};
+
+const addTotals = (total, entry) => {
+  total.revenue += entry.revenue;
+  total.soldQuantity += entry.soldQuantity;
+  METHODS.forEach(method => {
+    Object.keys(emptyMethodTotals()).forEach(field => {
+      total[method][field] += entry[method][field];
+    });
+  });
+  return total;
+};
+
+const groupRows = (rows, keyOf, fieldsOf, days) => {
+  const groups = {};
+  rows.forEach(row => {
+    const key = keyOf(row);
+    if (!groups[key]) groups[key] = emptyTotals({ id: key, ...fieldsOf(row) });
+    addTotals(groups[key], row);
+  });
+  return Object.values(groups).map(group => withRatios(group, days));
+};
+
+/**
+ * Load what a branch's valuation needs, filtering dates client-side to avoid composite indexes
+ * @param {string} branchId - Branch ID
+ * @returns {Promise<Object>} - { batches, movements, bills, adjustments, stocks }
+ */
+const loadBranchData = async (branchId) => {
+  const byBranch = (collectionName) => getDocs(query(collection(db, collectionName), where('branchId', '==', branchId)));
+  const [batchSnap, movementSnap, billSnap, adjustmentSnap, stockSnap] = await Promise.all([
+    byBranch('product_batches'),
+    byBranch('inventory_movements'),
+    byBranch('transactions'),
+    byBranch('stockAdjustments'),
+    byBranch('stocks')
+  ]);
+  const toRecords = (snapshot) => snapshot.docs.map(recordDoc => ({ id: recordDoc.id, ...recordDoc.data() }));
+
+  return {
+    batches: toRecords(batchSnap),
+    movements: toRecords(movementSnap),
+    bills: toRecords(billSnap),
+    adjustments: toRecords(adjustmentSnap),
+    stocks: Object.fromEntries(toRecords(stockSnap).map(stock => [stock.id, stock]))
+  };
+};
+
+/**
+ * Branches a user's valuation covers: their own branch, or every active branch for
+ * users who are not tied to one (overall inventory controllers)
+ * @param {string|null} branchId - The user's branch ID
+ * @returns {Promise<Array>} - [{ id, name }]
+ */
+export const getValuationBranches = async (branchId) => {
+  try {
+    const toOption = (branch) => ({ id: branch.id, name: branch.branchName || branch.name || 'Branch' });
+    if (branchId) {
+      return [toOption(await getBranchById(branchId))];
+    }
+    const branches = await getAllBranches();
+    return branches.filter(branch => branch.isActive !== false).map(toOption);
+  } catch (error) {
+    console.error('Error loading valuation branches:', error);
+    throw error;
+  }
+};
+
+/**
+ * Value inventory and cost what left it for one or more branches
+ * @param {Object} options
+ * @param {Array} options.branches - [{ id, name }]
+ * @param {Date|string} options.startDate - First day of the period
+ * @param {Date|string} options.endDate - Last day of the period
+ * @param {string} options.groupBy - VALUATION_GROUPINGS value for the per-period breakdown
+ * @returns {Promise<Object>} - { startDate, endDate, days, groupBy, generatedAt, totals,
+ *   products, categories, branches, periods, shrinkage }; money values are given per
+ *   method, e.g. product.fifo.cogs and product.average.cogs
+ */
+export const getInventoryValuation = async ({ branches, startDate, endDate, groupBy = VALUATION_GROUPINGS.MONTH }) => {
+  try {
+    const start = startOfDay(new Date(startDate));
+    const end = endOfDay(new Date(endDate));
+    if (start > end) {
+      throw new Error('The start date must be before the end date');
+    }
+    const days = differenceInCalendarDays(end, start) + 1;
+    const now = new Date();
+    const inPeriod = (date) => date && date >= start && date <= end;
+
+    const productsResult = await productService.getAllProducts();
+    if (!productsResult.success) {
+      throw new Error(productsResult.message || 'Failed to load products');
+    }
+    const productsById = Object.fromEntries(productsResult.products.map(product => [product.id, product]));
+
+    const periods = {};
+    for (let month = startOfMonth(start); month <= end; month = addMonths(month, 1)) {
+      const period = getPeriod(month, groupBy);
+      if (!periods[period.key]) periods[period.key] = emptyTotals(period);
+    }
+    const periodOf = (date) => periods[getPeriod(date, groupBy).key];
+
+    const shrinkage = {};
+    const addShrinkage = (cause, quantity, cost) => {
+      const key = SHRINKAGE_CAUSES[cause] ? cause : 'other';
+      if (!shrinkage[key]) {
+        shrinkage[key] = { cause: key, label: SHRINKAGE_CAUSES[key], quantity: 0, fifo: 0, average: 0 };
+      }
+      shrinkage[key].quantity += quantity;
+      shrinkage[key].fifo += cost.fifo;
+      shrinkage[key].average += cost.average;
+    };
+
+    const rows = {};
+
+    for (const branch of branches) {
+      const data = await loadBranchData(branch.id);
+
+      const getRow = (productId, fallbackName) => {
+        const key = `${branch.id}:${productId}`;
+        if (!rows[key]) {
+          const product = productsById[productId] || {};
+          rows[key] = {
+            ...emptyTotals({
+              id: key,
+              branchId: branch.id,
+              branchName: branch.name,
+              productId,
+              productName: product.name || fallbackName || 'Unknown Product',
+              brand: product.brand || '',
+              category: product.category || 'Uncategorized',
+              sellingPrice: Number(product.otcPrice) || 0,
+              unit: getProductUnits(product).stockUnit
+            }),
+            onHandQuantity: 0,
+            receivedQuantity: 0,
+            receivedValue: 0,
+            averageCost: Number(product.unitCost) || 0,
+            consumedQuantity: 0,
+            batches: []
+          };
+        }
+        return rows[key];
+      };
+
+      // Weighted-average cost of everything the branch received of each product
+      data.batches.forEach(batch => {
+        const row = getRow(batch.productId, batch.productName);
+        const quantity = Number(batch.quantity ?? batch.remainingQuantity) || 0;
+        row.receivedQuantity += quantity;
+        row.receivedValue += quantity * (Number(batch.unitCost) || 0);
+      });
+      Object.values(rows)
+        .filter(row => row.branchId === branch.id && row.receivedQuantity > 0)
+        .forEach(row => { row.averageCost = row.receivedValue / row.receivedQuantity; });
+      const batchCosts = Object.fromEntries(data.batches.map(batch => [batch.id, Number(batch.unitCost) || 0]));
+
+      // On-hand value, FIFO layer by layer
+      data.batches.forEach(batch => {
+        const row = getRow(batch.productId, batch.productName);
+        const units = getProductUnits(productsById[batch.productId]);
+        const unitCost = Number(batch.unitCost) || 0;
+        // An opened container holds base units; value it as the fraction of a stock unit left
+        const openQuantity = (Number(batch.openQuantity) || 0) / (getUnitFactor(units, units.stockUnit) || 1);
+        const onHand = (Number(batch.remainingQuantity) || 0) + openQuantity;
+        const receivedDate = toDate(batch.receivedDate) || toDate(batch.createdAt);
+        const expirationDate = toDate(batch.expirationDate);
+
+        row.onHandQuantity += onHand;
+        row.fifo.onHandValue += onHand * unitCost;
+        row.average.onHandValue += onHand * row.averageCost;
+        if (inPeriod(receivedDate)) {
+          const quantity = Number(batch.quantity) || 0;
+          row.fifo.receipts += quantity * unitCost;
+          row.average.receipts += quantity * row.averageCost;
+        }
+        if (onHand > 0 && expirationDate && expirationDate < now) {
+          row.fifo.expiredValue += onHand * unitCost;
+          row.average.expiredValue += onHand * row.averageCost;
+        }
+        if (onHand > 0) {
+          row.batches.push({
+            batchId: batch.id,
+            batchNumber: batch.batchNumber || '',
+            receivedDate,
+            expirationDate,
+            quantity: onHand,
+            unitCost,
+            value: onHand * unitCost
+          });
+        }
+      });
+
+      // Cost of the movements in the period
+      data.movements.forEach(movement => {
+        const createdAt = toDate(movement.createdAt);
+        if (!movement.productId || !inPeriod(createdAt)) return;
+        const kind = classifyMovement(movement);
+        const outbound = movement.type === 'stock_out' || movement.type === 'transfer_out';
+        // Stock coming back in only offsets what went out when it returns to existing batches
+        if (!outbound && !['sale', 'salon_use', 'shrinkage'].includes(kind)) return;
+
+        const row = getRow(movement.productId, movement.productName);
+        const cost = costMovement(movement, batchCosts, row.averageCost);
+        const sign = outbound ? 1 : -1;
+        const period = periodOf(createdAt);
+
+        METHODS.forEach(method => {
+          const value = sign * cost[method];
+          row[method].outflows += value;
+          if (kind === 'sale') {
+            row[method].cogs += value;
+            if (period) period[method].cogs += value;
+          } else if (kind === 'salon_use') {
+            row[method].salonUse += value;
+            if (period) period[method].salonUse += value;
+          } else if (kind === 'shrinkage') {
+            row[method].shrinkage += value;
+            if (period) period[method].shrinkage += value;
+          }
+        });
+        if (kind === 'sale' || kind === 'salon_use') {
+          row.consumedQuantity += sign * cost.quantity;
+        }
+        if (kind === 'shrinkage') {
+          const cause = movement.reasonCode || FORCE_ADJUSTMENT_CAUSES[String(movement.reason || '').toLowerCase()];
+          addShrinkage(cause, sign * cost.quantity, { fifo: sign * cost.fifo, average: sign * cost.average });
+        }
+      });
+
+      // Force adjustments change the batch stock directly, without a movement
+      data.adjustments.forEach(adjustment => {
+        const cause = FORCE_ADJUSTMENT_CAUSES[adjustment.reason];
+        const createdAt = toDate(adjustment.createdAt);
+        if (!cause || !adjustment.productId || !inPeriod(createdAt)) return;
+
+        const row = getRow(adjustment.productId);
+        const stock = data.stocks[adjustment.stockId] || {};
+        const quantity = -(Number(adjustment.adjustmentQuantity) || 0); // Losses are positive
+        const cost = {
+          fifo: quantity * (batchCosts[stock.batchId] ?? (Number(stock.unitCost) || row.averageCost)),
+          average: quantity * row.averageCost
+        };
+        const period = periodOf(createdAt);
+        METHODS.forEach(method => {
+          row[method].shrinkage += cost[method];
+          if (period) period[method].shrinkage += cost[method];
+        });
+        addShrinkage(cause, quantity, cost);
+      });
+
+      // Product revenue, net of refunded quantities
+      data.bills.forEach(bill => {
+        const createdAt = toDate(bill.createdAt) || toDate(bill.date);
+        if (EXCLUDED_BILL_STATUSES.includes(bill.status) || !inPeriod(createdAt)) return;
+        const period = periodOf(createdAt);
+
+        (bill.items || []).forEach(item => {
+          if (item.type !== 'product' || !item.productId) return;
+          const quantity = Number(item.quantity) || 1;
+          const netQuantity = quantity - (Number(item.refundedQuantity) || 0);
+          if (netQuantity <= 0) return;
+          const lineTotal = Number(item.total ?? (Number(item.price) || 0) * quantity) || 0;
+          const revenue = lineTotal * (netQuantity / quantity);
+
+          const row = getRow(item.productId, item.name);
+          row.revenue += revenue;
+          row.soldQuantity += netQuantity;
+          if (period) {
+            period.revenue += revenue;
+            period.soldQuantity += netQuantity;
+          }
+        });
+      });
+    }
+
+    const products = Object.values(rows)
+      .map(row => {
+        row.batches.sort((a, b) => (a.receivedDate?.getTime() || 0) - (b.receivedDate?.getTime() || 0));
+        return withRatios(row, days);
+      })
+      .filter(row => row.onHandQuantity > 0 || row.revenue > 0 || row.fifo.outflows !== 0 || row.fifo.shrinkage !== 0);
+
+    return {
+      startDate: start,
+      endDate: end,
+      days,
+      groupBy,
+      generatedAt: new Date(),
+      totals: withRatios(products.reduce(addTotals, emptyTotals()), days),
+      products,
+      categories: groupRows(products, row => row.category, row => ({ category: row.category }), days),
+      branches: groupRows(products, row => row.branchId, row => ({ branchId: row.branchId, branchName: row.branchName }), days),
+      periods: Object.values(periods)
+        .sort((a, b) => a.key.localeCompare(b.key))
+        .map(period => withRatios(period, days)),
+      shrinkage: Object.values(shrinkage).sort((a, b) => b.fifo - a.fifo)
+    };
+  } catch (error) {
+    console.error('Error valuing inventory:', error);
+    toast.error(error.message || 'Failed to value inventory');
+    throw error;
+  }
+};
@@ -0,0 +1,202 @@
+/**
+ * Kiosk Service
+ * Self-service check-in on a tablet at the branch door. Clients find today's booking
+ * by scanning the QR code from their confirmation email or by typing their phone
+ * number; confirming creates the arrival and lets the stylist know.
+ */
+
+import { createElement } from 'react';
+import { flushSync } from 'react-dom';
+import { createRoot } from 'react-dom/client';
+import { QRCodeCanvas } from 'qrcode.react';
+import {
+  APPOINTMENT_STATUS,
+  getAppointmentsByDateRange,
+  getAppointmentById
+} from './appointmentService';
+import {
+  ARRIVAL_STATUS,
+  getArrivalsByBranch,
+  getArrivalByAppointmentId,
+  createArrivalFromAppointment
+} from './arrivalsService';
+import { storeClientArrived } from './notificationService';
+import { logActivity } from './activityService';
+import toast from 'react-hot-toast';
+
+// Marks our QR codes apart from any other code held up to the camera
+const CHECK_IN_QR_PREFIX = 'davidsalon-checkin:';
+
+// How early before their appointment a client may check themselves in
+export const KIOSK_EARLY_CHECK_IN_MINUTES = 60;
+
+// Phone numbers are compared on their last digits, so +63 and 0 prefixes both match
+const PHONE_MATCH_DIGITS = 10;
+
+const normalizePhone = (phone) => (phone || '').replace(/\D/g, '').slice(-PHONE_MATCH_DIGITS);
+
+const getTodayRange = () => {
+  const start = new Date();
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(start);
+  end.setHours(23, 59, 59, 999);
+  return { start, end };
+};
+
+/**
+ * Text encoded in an appointment's check-in QR code
+ * @param {string} appointmentId - Appointment ID
+ * @returns {string}
+ */
+export const getCheckInQrValue = (appointmentId) => `${CHECK_IN_QR_PREFIX}${appointmentId}`;
+
+/**
+ * Read the appointment ID from a scanned check-in QR code
+ * @param {string} text - Scanned text
+ * @returns {string|null} - Appointment ID, or null when it isn't one of our codes
+ */
+export const parseCheckInQr = (text) => {
+  const value = (text || '').trim();
+  if (!value.startsWith(CHECK_IN_QR_PREFIX)) return null;
+  return value.slice(CHECK_IN_QR_PREFIX.length) || null;
+};
+
+/**
+ * Draw an appointment's check-in QR code as a PNG, for email attachments
+ * @param {string} appointmentId - Appointment ID
+ * @param {number} size - Width and height in pixels
+ * @returns {string} - Base64 PNG data (no data: prefix)
+ */
+export const renderCheckInQrBase64 = (appointmentId, size = 240) => {
+  const container = document.createElement('div');
+  const root = createRoot(container);
+  // QRCodeCanvas draws in an effect, which a synchronous render runs before returning
+  flushSync(() => {
+    root.render(createElement(QRCodeCanvas, { value: getCheckInQrValue(appointmentId), size, marginSize: 2 }));
+  });
+  const dataUrl = container.querySelector('canvas').toDataURL('image/png');
+  root.unmount();
+  return dataUrl.split(',')[1];
+};
+
+/**
+ * Whether a client may check in for an appointment at the kiosk right now
+ * @param {Object} appointment - Appointment (appointmentDate as Date)
+ * @param {boolean} alreadyArrived - Whether the client has an open check-in for it
+ * @param {Date} now - Current time
+ * @returns {Object} - { canCheckIn, message }
+ */
+export const getKioskCheckInStatus = (appointment, alreadyArrived, now = new Date()) => {
+  if (alreadyArrived || appointment.status === APPOINTMENT_STATUS.IN_SERVICE) {
+    return { canCheckIn: false, message: 'You are already checked in' };
+  }
+  if (appointment.status !== APPOINTMENT_STATUS.CONFIRMED) {
+    return { canCheckIn: false, message: 'This booking cannot be checked in here - please see reception' };
+  }
+  const opensAt = new Date(appointment.appointmentDate.getTime() - KIOSK_EARLY_CHECK_IN_MINUTES * 60000);
+  if (now < opensAt) {
+    return {
+      canCheckIn: false,
+      message: `Check-in opens ${KIOSK_EARLY_CHECK_IN_MINUTES} minutes before your appointment`
+    };
+  }
+  return { canCheckIn: true, message: null };
+};
+
+/**
+ * Find a client's bookings for today at a branch
+ * @param {string} branchId - Branch the kiosk is in
+ * @param {Object} lookup - { appointmentId } from a QR code, or { phone }
+ * @returns {Promise<Array>} - [{ appointment, canCheckIn, message }], earliest first
+ */
+export const findKioskAppointments = async (branchId, { appointmentId = null, phone = '' }) => {
+  try {
+    const { start, end } = getTodayRange();
+    const target = normalizePhone(phone);
+    if (!appointmentId && target.length < 7) {
+      return [];
+    }
+
+    const [appointments, arrivals] = await Promise.all([
+      getAppointmentsByDateRange(branchId, start, end),
+      getArrivalsByBranch(branchId, start)
+    ]);
+    const arrivedIds = new Set(arrivals
+      .filter(arrival => arrival.status === ARRIVAL_STATUS.ARRIVED || arrival.status === ARRIVAL_STATUS.IN_SERVICE)
+      .map(arrival => arrival.appointmentId)
+      .filter(Boolean));
+
+    const now = new Date();
+    return appointments
+      .filter(appointment => (appointmentId
+        ? appointment.id === appointmentId
+        : normalizePhone(appointment.clientPhone) === target))
+      .filter(appointment => appointment.status !== APPOINTMENT_STATUS.CANCELLED)
+      .map(appointment => ({
+        appointment,
+        ...getKioskCheckInStatus(appointment, arrivedIds.has(appointment.id), now)
+      }));
+  } catch (error) {
+    console.error('Error finding kiosk appointments:', error);
+    throw error;
+  }
+};
+
+/**
+ * Check a client in from the kiosk
+ * Creates the arrival like a front-desk check-in and notifies the appointment's stylists.
+ * @param {string} appointmentId - Appointment ID
+ * @param {string} branchId - Branch the kiosk is in
+ * @param {Object} currentUser - Staff account the kiosk is signed in with
+ * @returns {Promise<Object>} - Created arrival
+ */
+export const kioskCheckIn = async (appointmentId, branchId, currentUser) => {
+  try {
+    const appointment = await getAppointmentById(appointmentId);
+    if (appointment.branchId !== branchId) {
+      toast.error('This booking is for another branch - please see reception');
+      throw new Error('Appointment belongs to another branch');
+    }
+
+    // Re-checked here in case the front desk checked the client in meanwhile
+    const existingArrival = await getArrivalByAppointmentId(appointmentId);
+    const alreadyArrived = existingArrival &&
+      existingArrival.status !== ARRIVAL_STATUS.COMPLETED &&
+      existingArrival.status !== ARRIVAL_STATUS.CANCELLED;
+    const { canCheckIn, message } = getKioskCheckInStatus(appointment, alreadyArrived);
+    if (!canCheckIn) {
+      toast.error(message);
+      throw new Error('Kiosk check-in not allowed');
+    }
+
+    const arrival = await createArrivalFromAppointment(
+      { ...appointment, status: ARRIVAL_STATUS.ARRIVED, checkInSource: 'kiosk' },
+      currentUser
+    );
+
+    await logActivity({
+      performedBy: currentUser.uid,
+      action: 'KIOSK_CHECK_IN',
+      targetType: 'appointment',
+      targetId: appointmentId,
+      details: `${appointment.clientName || 'Client'} checked in at the kiosk`,
+      metadata: {
+        branchId,
+        clientName: appointment.clientName,
+        arrivalId: arrival.id
+      }
+    });
+
+    // The client is checked in either way; a failed notification only affects the stylist's app
+    try {
+      await storeClientArrived(appointment);
+    } catch (notificationError) {
+      console.error('Error notifying stylist of kiosk check-in:', notificationError);
+    }
+
+    return arrival;
+  } catch (error) {
+    console.error('Error checking in at kiosk:', error);
+    throw error;
+  }
+};
@@ -12,16 +12,17 @@ const LEAVE_COLLECTION = 'leave_requests';
 
 /**
  * Leave Types
+ * `paid` decides whether payroll treats the leave days as paid or unpaid
  */
 export const LEAVE_TYPES = [
-  { value: 'vacation', label: 'Vacation Leave', color: 'bg-blue-100 text-blue-700' },
-  { value: 'sick', label: 'Sick Leave', color: 'bg-red-100 text-red-700' },
-  { value: 'personal', label: 'Personal Leave', color: 'bg-purple-100 text-purple-700' },
-  { value: 'emergency', label: 'Emergency Leave', color: 'bg-orange-100 text-orange-700' },
-  { value: 'maternity', label: 'Maternity Leave', color: 'bg-pink-100 text-pink-700' },
-  { value: 'paternity', label: 'Paternity Leave', color: 'bg-green-100 text-green-700' },
-  { value: 'bereavement', label: 'Bereavement Leave', color: 'bg-gray-100 text-gray-700' },
-  { value: 'undetermined', label: 'Undetermined Leave', color: 'bg-yellow-100 text-yellow-700' },
+  { value: 'vacation', label: 'Vacation Leave', color: 'bg-blue-100 text-blue-700', paid: true },
+  { value: 'sick', label: 'Sick Leave', color: 'bg-red-100 text-red-700', paid: true },
+  { value: 'personal', label: 'Personal Leave', color: 'bg-purple-100 text-purple-700', paid: false },
+  { value: 'emergency', label: 'Emergency Leave', color: 'bg-orange-100 text-orange-700', paid: true },
+  { value: 'maternity', label: 'Maternity Leave', color: 'bg-pink-100 text-pink-700', paid: true },
+  { value: 'paternity', label: 'Paternity Leave', color: 'bg-green-100 text-green-700', paid: true },
+  { value: 'bereavement', label: 'Bereavement Leave', color: 'bg-gray-100 text-gray-700', paid: true },
+  { value: 'undetermined', label: 'Undetermined Leave', color: 'bg-yellow-100 text-yellow-700', paid: false },
 ];
 
 /**
@@ -61,6 +62,41 @@ export const getLeaveRequestsByBranch = async (branchId) => {
   }
 };
 
+/**
+ * Get an employee's approved leave covering a date
+ * @param {string} employeeId - Employee ID
+ * @param {Date} date - Date to check
+ * @returns {Promise<Object|null>} Approved leave request or null
+ */
+export const getApprovedLeaveOnDate = async (employeeId, date) => {
+  try {
+    const q = query(
+      collection(db, LEAVE_COLLECTION),
+      where('employeeId', '==', employeeId),
+      where('status', '==', 'approved')
+    );
+    const snapshot = await getDocs(q);
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+
+    const leaveDoc = snapshot.docs.find(doc => {
+      const startDate = doc.data().startDate?.toDate();
+      const endDate = doc.data().endDate?.toDate();
+      if (!startDate || !endDate) return false;
+      startDate.setHours(0, 0, 0, 0);
+      endDate.setHours(0, 0, 0, 0);
+      return day >= startDate && day <= endDate;
+    });
+
+    return leaveDoc
+      ? { id: leaveDoc.id, ...leaveDoc.data(), startDate: leaveDoc.data().startDate.toDate(), endDate: leaveDoc.data().endDate.toDate() }
+      : null;
+  } catch (error) {
+    console.error('Error fetching approved leave:', error);
+    throw error;
+  }
+};
+
 /**
  * Get leave requests for a specific employee
  * @param {string} employeeId - Employee ID
@@ -274,6 +274,94 @@ export const redeemLoyaltyPoints = async (clientId, branchId, pointsToRedeem, bi
   }
 };
 
+/**
+ * Get the points a bill earned and how many of them have already been reversed
+ * @param {string} clientId - Client ID
+ * @param {string} billId - Bill/Transaction ID
+ * @returns {Promise<Object>} - { earned, reversed }
+ */
+export const getBillLoyaltyPoints = async (clientId, billId) => {
+  try {
+    const q = query(
+      collection(db, LOYALTY_LOGS_COLLECTION),
+      where('clientId', '==', clientId),
+      where('billId', '==', billId)
+    );
+    const snapshot = await getDocs(q);
+
+    let earned = 0;
+    let reversed = 0;
+    snapshot.forEach(logDoc => {
+      const log = logDoc.data();
+      if (log.type === 'earned') earned += log.points || 0;
+      if (log.type === 'reversed') reversed += Math.abs(log.points || 0);
+    });
+
+    return { earned, reversed };
+  } catch (error) {
+    console.error('Error fetching bill loyalty points:', error);
+    return { earned: 0, reversed: 0 };
+  }
+};
+
+/**
+ * Take back points that were earned on a bill that has been refunded (branch-specific)
+ * Never takes the balance below zero if the client has already spent the points
+ * @param {string} clientId - Client ID
+ * @param {string} branchId - Branch ID (required)
+ * @param {number} pointsToReverse - Points to take back
+ * @param {string} billId - Bill/Transaction ID
+ * @param {Object} currentUser - User processing the refund
+ * @returns {Promise<number>} - Points actually reversed
+ */
+export const reverseLoyaltyPoints = async (clientId, branchId, pointsToReverse, billId, currentUser) => {
+  try {
+    if (!branchId) {
+      throw new Error('Branch ID is required for reversing loyalty points');
+    }
+
+    const currentPoints = await getLoyaltyPoints(clientId, branchId);
+    const pointsReversed = Math.min(Math.max(0, pointsToReverse), currentPoints);
+
+    if (pointsReversed <= 0) {
+      return 0;
+    }
+
+    const finalBalance = currentPoints - pointsReversed;
+    await updateDoc(doc(db, LOYALTY_POINTS_COLLECTION, clientId), {
+      [`branchPoints.${branchId}`]: finalBalance,
+      updatedAt: Timestamp.now()
+    });
+
+    await addDoc(collection(db, LOYALTY_LOGS_COLLECTION), {
+      clientId,
+      type: 'reversed',
+      branchId,
+      points: -pointsReversed,
+      billId,
+      balance: finalBalance,
+      description: `Reversed ${pointsReversed} points for refund on bill ${billId}`,
+      processedBy: currentUser?.uid || 'system',
+      processedByName: currentUser?.displayName || currentUser?.firstName || 'System',
+      createdAt: Timestamp.now()
+    });
+
+    await logActivity({
+      performedBy: currentUser?.uid || 'system',
+      action: 'REVERSE_LOYALTY_POINTS',
+      targetType: 'client',
+      targetId: clientId,
+      details: `Reversed ${pointsReversed} loyalty points at branch ${branchId} after refund`,
+      metadata: { billId, pointsReversed, branchId }
+    });
+
+    return pointsReversed;
+  } catch (error) {
+    console.error('Error reversing loyalty points:', error);
+    throw error;
+  }
+};
+
 /**
  * Get loyalty transaction history (optionally filtered by branch)
  * @param {string} clientId - Client ID
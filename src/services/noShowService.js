@@ -0,0 +1,79 @@
+/**
+ * No-Show Detection Service
+ * Marks confirmed appointments as no-shows when nobody checked the client in
+ * within the branch's grace period. Runs from the receptionist's appointments
+ * page while it is open, like the reminder check.
+ */
+
+import {
+  APPOINTMENT_STATUS,
+  getAppointmentsByDateRange,
+  getAppointmentById,
+  updateAppointmentStatus
+} from './appointmentService';
+import { getArrivalsByBranch } from './arrivalsService';
+import { getBranchById } from './branchService';
+import { getBranchReliabilityPolicy } from './clientReliabilityService';
+
+// Appointments older than this are left for staff to settle by hand
+const DETECTION_LOOKBACK_DAYS = 2;
+
+/**
+ * Mark a branch's overdue confirmed appointments with no check-in as no-shows
+ * Marking goes through updateAppointmentStatus, so the deposit policy and
+ * the client's reliability score are applied as for a manual no-show.
+ * @param {string} branchId - Branch ID
+ * @param {Object} currentUser - User whose session runs the check
+ * @returns {Promise<{success: boolean, markedCount: number}>}
+ */
+export const detectNoShows = async (branchId, currentUser) => {
+  try {
+    if (!branchId || !currentUser) {
+      return { success: false, markedCount: 0 };
+    }
+
+    const policy = getBranchReliabilityPolicy(await getBranchById(branchId));
+    if (!policy.autoNoShowEnabled) {
+      return { success: true, markedCount: 0 };
+    }
+
+    const now = new Date();
+    const windowStart = new Date(now);
+    windowStart.setDate(windowStart.getDate() - DETECTION_LOOKBACK_DAYS);
+    windowStart.setHours(0, 0, 0, 0);
+    const cutoff = new Date(now.getTime() - policy.noShowGraceMinutes * 60000);
+
+    const appointments = await getAppointmentsByDateRange(branchId, windowStart, cutoff);
+    const overdue = appointments.filter(apt => apt.status === APPOINTMENT_STATUS.CONFIRMED);
+    if (overdue.length === 0) {
+      return { success: true, markedCount: 0 };
+    }
+
+    // Any check-in counts, even one that was later cancelled or completed
+    const arrivals = await getArrivalsByBranch(branchId, windowStart);
+    const checkedIn = new Set(arrivals.map(arrival => arrival.appointmentId).filter(Boolean));
+
+    let markedCount = 0;
+    for (const appointment of overdue) {
+      if (checkedIn.has(appointment.id)) continue;
+      try {
+        // Another open session may have checked the client in or run the check already
+        const current = await getAppointmentById(appointment.id);
+        if (current.status !== APPOINTMENT_STATUS.CONFIRMED) continue;
+
+        await updateAppointmentStatus(appointment.id, APPOINTMENT_STATUS.NO_SHOW, currentUser, null, null, {
+          silent: true,
+          reason: `Automatically marked: no check-in within ${policy.noShowGraceMinutes} minutes of the start time`
+        });
+        markedCount++;
+      } catch (error) {
+        console.error(`Error marking appointment ${appointment.id} as no-show:`, error);
+      }
+    }
+
+    return { success: true, markedCount };
+  } catch (error) {
+    console.error('Error detecting no-shows:', error);
+    return { success: false, markedCount: 0 };
+  }
+};
@@ -37,7 +37,9 @@
     APPOINTMENT_UPDATED: 'appointment_updated',
     APPOINTMENT_STARTING: 'appointment_starting',
     APPOINTMENT_IN_SERVICE: 'appointment_in_service',
-    APPOINTMENT_TRANSFERRED: 'appointment_transferred'
+    APPOINTMENT_TRANSFERRED: 'appointment_transferred',
+    WAITLIST_SLOT_OFFERED: 'waitlist_slot_offered',
+    CLIENT_ARRIVED: 'client_arrived'
     };
 
     // Notification channels for mobile app
@@ -75,7 +77,8 @@
         stylistName: notificationData.stylistName || 'Unassigned Stylist',
         appointmentDate: notificationData.appointmentDate || null,
         appointmentTime: notificationData.appointmentTime || null,
-        branchName: notificationData.branchName || 'David\'s Salon'
+        branchName: notificationData.branchName || 'David\'s Salon',
+        ...(notificationData.waitlistEntryId && { waitlistEntryId: notificationData.waitlistEntryId })
         };
 
         const docRef = await addDoc(collection(db, NOTIFICATIONS_COLLECTION), notification);
@@ -199,6 +202,13 @@
             }
             break;
 
+        case NOTIFICATION_TYPES.CLIENT_ARRIVED:
+            if (isStylist) {
+            title = 'Client Arrived';
+            message = `${appointmentData.clientName || 'Your client'} has checked in for their ${formattedTime} appointment`;
+            }
+            break;
+
         case NOTIFICATION_TYPES.APPOINTMENT_STARTING:
             if (isStylist) {
             title = 'Appointment Starting Soon';
@@ -543,6 +553,67 @@
     }
     };
 
+    /**
+     * Store waitlist slot offer notification for the waiting client
+     * @param {Object} entry - Waitlist entry
+     * @param {Object} offer - { appointmentDate, expiresAt, stylistName } with Date values
+     * @returns {Promise<string>} - Notification ID
+     */
+    export const storeWaitlistOffer = async (entry, offer) => {
+    try {
+        const formattedDate = offer.appointmentDate.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' });
+        const formattedTime = offer.appointmentDate.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+        const holdUntil = offer.expiresAt.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+        const serviceNames = (entry.services || []).map(svc => svc.serviceName).filter(Boolean).join(', ') || 'your service';
+
+        return await createNotification({
+        type: NOTIFICATION_TYPES.WAITLIST_SLOT_OFFERED,
+        title: 'A Slot Opened Up',
+        message: `A slot for ${serviceNames} on ${formattedDate} at ${formattedTime} is being held for you until ${holdUntil}. Accept it from My Appointments before then.`,
+        recipientId: entry.clientId,
+        recipientRole: 'client',
+        appointmentId: null,
+        waitlistEntryId: entry.id,
+        clientName: entry.clientName,
+        stylistName: offer.stylistName,
+        appointmentDate: formattedDate,
+        appointmentTime: formattedTime,
+        branchName: entry.branchName
+        });
+    } catch (error) {
+        console.error('Error storing waitlist offer notification:', error);
+        throw error;
+    }
+    };
+
+    /**
+     * Store client arrived notification for the appointment's stylists
+     * Sent when a client checks themselves in at the kiosk
+     * @param {Object} appointmentData - Appointment data
+     * @returns {Promise<Array>} - Array of notification IDs
+     */
+    export const storeClientArrived = async (appointmentData) => {
+    try {
+        const enrichedData = await enrichAppointmentData(appointmentData);
+        const notifications = [];
+
+        for (const stylistId of extractStylistIds(enrichedData)) {
+        const notificationId = await sendAppointmentNotification(
+            NOTIFICATION_TYPES.CLIENT_ARRIVED,
+            enrichedData,
+            stylistId,
+            'stylist'
+        );
+        notifications.push(notificationId);
+        }
+
+        return notifications;
+    } catch (error) {
+        console.error('Error storing client arrived notifications:', error);
+        throw error;
+    }
+    };
+
     /**
      * Get notifications for a user
      * @param {string} userId - User ID
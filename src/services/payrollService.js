@@ -0,0 +1,231 @@
+/**
+ * Payroll Service
+ * Pay-period summaries per employee combining schedules, approved leave,
+ * cross-branch lending, commissions and tips for export to the payroll provider
+ */
+
+import { eachDayOfInterval, format } from 'date-fns';
+import { getScheduleConfigurationsByBranch, getScheduleForDate, getDateSpecificShiftsByBranch } from './scheduleService';
+import { getLeaveRequestsByBranch, LEAVE_TYPES } from './leaveManagementService';
+import { getLendingRequests } from './stylistLendingService';
+import { getUsersByBranch, getUserById } from './userService';
+import { getAllBranches } from './branchService';
+import { getTipPayouts } from './billingService';
+import { calculateServiceCommissions, calculateProductCommissions } from './commissionService';
+import { getFullName, getUserRoles } from '../utils/helpers';
+import { ROLE_LABELS, USER_ROLES } from '../utils/constants';
+
+// Lending requests that put a stylist at another branch
+const WORKED_LENDING_STATUSES = ['approved', 'active', 'completed'];
+
+const round2 = (value) => parseFloat((value || 0).toFixed(2));
+
+const getShiftHours = (shift) => {
+  const start = shift.start || shift.startTime;
+  const end = shift.end || shift.endTime;
+  if (!start || !end) return 0;
+  const [startHour, startMinute] = start.split(':').map(Number);
+  const [endHour, endMinute] = end.split(':').map(Number);
+  return Math.max(0, (endHour * 60 + endMinute - (startHour * 60 + startMinute)) / 60);
+};
+
+const coversDay = (record, day) => {
+  const start = new Date(record.startDate);
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(record.endDate);
+  end.setHours(23, 59, 59, 999);
+  return day >= start && day <= end;
+};
+
+/**
+ * Build the payroll summary for a branch and cut-off period
+ * Days are counted per calendar day in the period. Leave counts only on days with a
+ * scheduled shift, so a leave request spanning a day off doesn't pay for it. A lent
+ * stylist is paid through their home branch, but the branch that received them bears
+ * the cost of those days.
+ * @param {string} branchId - Branch ID
+ * @param {Date} periodStart - First day of the cut-off
+ * @param {Date} periodEnd - Last day of the cut-off
+ * @returns {Promise<Object>} - { employees, borrowedStaff }
+ */
+export const getPayrollSummary = async (branchId, periodStart, periodEnd) => {
+  try {
+    const start = new Date(periodStart);
+    start.setHours(0, 0, 0, 0);
+    const end = new Date(periodEnd);
+    end.setHours(23, 59, 59, 999);
+    const days = eachDayOfInterval({ start, end });
+
+    const [staff, configs, dateShifts, leaves, lending, branches, tips, serviceCommissions, productCommissions] = await Promise.all([
+      getUsersByBranch(branchId),
+      getScheduleConfigurationsByBranch(branchId),
+      getDateSpecificShiftsByBranch(branchId, start, end),
+      getLeaveRequestsByBranch(branchId),
+      getLendingRequests(branchId),
+      getAllBranches(),
+      getTipPayouts(branchId, { startDate: start, endDate: end }),
+      calculateServiceCommissions(branchId, start, end),
+      calculateProductCommissions(branchId, start, end)
+    ]);
+
+    const branchNames = Object.fromEntries(branches.map(branch => [branch.id, branch.branchName || branch.name || branch.id]));
+    const approvedLeaves = leaves.filter(leave => leave.status === 'approved' && leave.startDate && leave.endDate);
+    const workedLending = lending.filter(request =>
+      WORKED_LENDING_STATUSES.includes(request.status) && request.stylistId && request.startDate && request.endDate
+    );
+    const tipsByStylist = Object.fromEntries(tips.stylists.map(stylist => [stylist.stylistId, stylist.totalTips]));
+    const serviceByStylist = Object.fromEntries(serviceCommissions.map(stylist => [stylist.stylistId, stylist.totalCommission]));
+
+    const employees = staff
+      .filter(user => !getUserRoles(user).includes(USER_ROLES.CLIENT))
+      .map(user => {
+        const employeeId = user.id;
+        const employeeLeaves = approvedLeaves.filter(leave => leave.employeeId === employeeId);
+        const lentOut = workedLending.filter(request =>
+          request.type === 'incoming' && request.stylistId === employeeId && request.toBranchId !== branchId
+        );
+
+        let scheduledDays = 0;
+        let scheduledHours = 0;
+        let homeBranchDays = 0;
+        const leaveDaysByType = {};
+        const lentDaysByBranch = {};
+
+        days.forEach(day => {
+          const dateShift = dateShifts.find(shift =>
+            shift.employeeId === employeeId && format(shift.date, 'yyyy-MM-dd') === format(day, 'yyyy-MM-dd')
+          );
+          const config = getScheduleForDate(configs, day);
+          const shift = dateShift || config?.shifts?.[employeeId]?.[format(day, 'EEEE').toLowerCase()] || null;
+          const hours = shift ? getShiftHours(shift) : 0;
+          if (hours > 0) {
+            scheduledDays += 1;
+            scheduledHours += hours;
+          }
+
+          // Leave is only taken from a day the employee was scheduled to work
+          const leave = hours > 0 && employeeLeaves.find(record => coversDay(record, day));
+          if (leave) {
+            leaveDaysByType[leave.type] = (leaveDaysByType[leave.type] || 0) + 1;
+            return;
+          }
+
+          const lending = lentOut.find(record => coversDay(record, day));
+          if (lending) {
+            lentDaysByBranch[lending.toBranchId] = (lentDaysByBranch[lending.toBranchId] || 0) + 1;
+            return;
+          }
+
+          if (hours > 0) {
+            homeBranchDays += 1;
+          }
+        });
+
+        const paidLeaveDays = LEAVE_TYPES
+          .filter(type => type.paid)
+          .reduce((sum, type) => sum + (leaveDaysByType[type.value] || 0), 0);
+        const totalLeaveDays = Object.values(leaveDaysByType).reduce((sum, count) => sum + count, 0);
+        const serviceCommission = serviceByStylist[employeeId] || 0;
+        const productCommission = productCommissions[employeeId]?.totalCommission || 0;
+        const tipsTotal = tipsByStylist[employeeId] || 0;
+
+        return {
+          employeeId,
+          employeeName: getFullName(user),
+          roles: getUserRoles(user).map(role => ROLE_LABELS[role] || role).join(', '),
+          scheduledDays,
+          scheduledHours: round2(scheduledHours),
+          homeBranchDays,
+          leaveDaysByType,
+          paidLeaveDays,
+          unpaidLeaveDays: totalLeaveDays - paidLeaveDays,
+          lentDays: Object.entries(lentDaysByBranch).map(([toBranchId, count]) => ({
+            branchId: toBranchId,
+            branchName: branchNames[toBranchId] || toBranchId,
+            days: count
+          })),
+          lentDaysTotal: Object.values(lentDaysByBranch).reduce((sum, count) => sum + count, 0),
+          serviceCommission: round2(serviceCommission),
+          productCommission: round2(productCommission),
+          tips: round2(tipsTotal),
+          totalVariablePay: round2(serviceCommission + productCommission + tipsTotal)
+        };
+      })
+      .sort((a, b) => a.employeeName.localeCompare(b.employeeName));
+
+    // Stylists from other branches who worked here; this branch bears their cost
+    const borrowedRequests = workedLending.filter(request =>
+      request.type === 'outgoing' && request.fromBranchId !== branchId
+    );
+    const borrowedStaff = await Promise.all(borrowedRequests.map(async (request) => {
+      const daysHere = days.filter(day => coversDay(request, day)).length;
+      if (daysHere === 0) return null;
+      const stylist = await getUserById(request.stylistId).catch(() => null);
+      return {
+        lendingId: request.id,
+        stylistId: request.stylistId,
+        stylistName: stylist ? getFullName(stylist) : 'Unknown',
+        homeBranchId: request.fromBranchId,
+        homeBranchName: branchNames[request.fromBranchId] || request.fromBranchId,
+        days: daysHere
+      };
+    }));
+
+    return {
+      employees,
+      borrowedStaff: borrowedStaff.filter(Boolean)
+    };
+  } catch (error) {
+    console.error('Error building payroll summary:', error);
+    throw error;
+  }
+};
+
+/**
+ * Column headers for the payroll export, including one column per leave type
+ * @returns {Array} - [{ key, label }]
+ */
+export const getPayrollExportHeaders = () => [
+  { key: 'employeeId', label: 'Employee ID' },
+  { key: 'employeeName', label: 'Employee' },
+  { key: 'roles', label: 'Role' },
+  { key: 'scheduledDays', label: 'Scheduled Days' },
+  { key: 'scheduledHours', label: 'Scheduled Hours' },
+  { key: 'homeBranchDays', label: 'Days Worked (Home Branch)' },
+  ...LEAVE_TYPES.map(type => ({
+    key: `leave_${type.value}`,
+    label: `${type.label} (${type.paid ? 'Paid' : 'Unpaid'})`
+  })),
+  { key: 'paidLeaveDays', label: 'Paid Leave Days' },
+  { key: 'unpaidLeaveDays', label: 'Unpaid Leave Days' },
+  { key: 'lentDaysTotal', label: 'Days at Other Branches' },
+  { key: 'lentTo', label: 'Cost Borne By' },
+  { key: 'serviceCommission', label: 'Service Commission (₱)' },
+  { key: 'productCommission', label: 'Product Commission (₱)' },
+  { key: 'tips', label: 'Tips (₱)' },
+  { key: 'totalVariablePay', label: 'Total Variable Pay (₱)' }
+];
+
+/**
+ * Flatten payroll employees into export rows keyed by getPayrollExportHeaders
+ * @param {Array} employees - Employees from getPayrollSummary
+ * @returns {Array} - Rows
+ */
+export const getPayrollExportRows = (employees) =>
+  employees.map(employee => ({
+    employeeId: employee.employeeId,
+    employeeName: employee.employeeName,
+    roles: employee.roles,
+    scheduledDays: employee.scheduledDays,
+    scheduledHours: employee.scheduledHours,
+    homeBranchDays: employee.homeBranchDays,
+    ...Object.fromEntries(LEAVE_TYPES.map(type => [`leave_${type.value}`, employee.leaveDaysByType[type.value] || 0])),
+    paidLeaveDays: employee.paidLeaveDays,
+    unpaidLeaveDays: employee.unpaidLeaveDays,
+    lentDaysTotal: employee.lentDaysTotal,
+    lentTo: employee.lentDays.map(lent => `${lent.branchName} (${lent.days}d)`).join('; '),
+    serviceCommission: employee.serviceCommission,
+    productCommission: employee.productCommission,
+    tips: employee.tips,
+    totalVariablePay: employee.totalVariablePay
+  }));
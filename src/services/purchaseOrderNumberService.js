@@ -0,0 +1,107 @@
+/**
+ * Purchase Order Number Service
+ * Allocates per-branch purchase order numbers (PO-ABC-07) from an atomic counter, so
+ * orders created at the same time from different devices never share a number
+ */
+
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+  Timestamp,
+  runTransaction
+} from 'firebase/firestore';
+import { db } from '../config/firebase';
+
+// Collections
+const PURCHASE_ORDERS_COLLECTION = 'purchaseOrders';
+const SEQUENCES_COLLECTION = 'purchase_order_sequences'; // purchase_order_sequences/{branchId}
+
+const getBranchPrefix = (branchId) => branchId.substring(0, 3).toUpperCase();
+
+/**
+ * Format a purchase order number
+ * @param {string} branchId - Branch ID
+ * @param {number} sequence - Sequence number
+ * @returns {string} - e.g. PO-ABC-07
+ */
+export const formatPurchaseOrderNumber = (branchId, sequence) =>
+  `PO-${getBranchPrefix(branchId)}-${String(sequence).padStart(2, '0')}`;
+
+/**
+ * Highest PO number already used by a branch's orders
+ * Handles formats like: PO-ABC-01, PO-ABC-1, PO-2024-0001 (legacy)
+ * @param {string} branchId - Branch ID
+ * @param {Array} orders - The branch's existing purchase orders
+ * @returns {number} - 0 when the branch has no numbered orders
+ */
+export const getLastPurchaseOrderSequence = (branchId, orders) => {
+  const branchPrefix = getBranchPrefix(branchId);
+  const poNumbers = orders
+    .filter(order => order.branchId === branchId)
+    .map(order => {
+      const orderId = order.orderId || '';
+      const branchPrefixMatch = orderId.match(new RegExp(`PO-${branchPrefix}-(\\d+)`));
+      if (branchPrefixMatch) {
+        return parseInt(branchPrefixMatch[1], 10);
+      }
+      const legacyMatch = orderId.match(/PO-(\d{4}-)?(\d+)/);
+      return legacyMatch ? parseInt(legacyMatch[legacyMatch.length - 1], 10) : 0;
+    })
+    .filter(num => !isNaN(num) && num > 0);
+
+  return poNumbers.length > 0 ? Math.max(...poNumbers) : 0;
+};
+
+/**
+ * Starting point for a branch that has no counter yet
+ * Branches with orders numbered before the counter continue after them
+ * @param {string} branchId - Branch ID
+ * @returns {Promise<number>} - Last number already in use
+ */
+const getSequenceSeed = async (branchId) => {
+  const ordersSnap = await getDocs(
+    query(collection(db, PURCHASE_ORDERS_COLLECTION), where('branchId', '==', branchId))
+  );
+  return getLastPurchaseOrderSequence(branchId, ordersSnap.docs.map(orderDoc => orderDoc.data()));
+};
+
+/**
+ * Reserve the next purchase order number for a branch
+ * The counter is read and advanced inside one Firestore transaction, so two
+ * devices creating orders at the same time always get different numbers
+ * @param {string} branchId - Branch ID
+ * @returns {Promise<string>} - Purchase order number, e.g. PO-ABC-07
+ */
+export const allocatePurchaseOrderNumber = async (branchId) => {
+  try {
+    if (!branchId) {
+      throw new Error('Branch ID is required to generate PO number');
+    }
+
+    const counterRef = doc(db, SEQUENCES_COLLECTION, branchId);
+
+    // Only read when the counter does not exist yet; transactions cannot run queries
+    const existingCounter = await getDoc(counterRef);
+    const seed = existingCounter.exists() ? 0 : await getSequenceSeed(branchId);
+
+    return await runTransaction(db, async (transaction) => {
+      const counterSnap = await transaction.get(counterRef);
+      const sequence = (counterSnap.exists() ? (counterSnap.data().lastNumber || 0) : seed) + 1;
+
+      transaction.set(counterRef, {
+        branchId,
+        lastNumber: sequence,
+        updatedAt: Timestamp.now()
+      }, { merge: true });
+
+      return formatPurchaseOrderNumber(branchId, sequence);
+    });
+  } catch (error) {
+    console.error('Error allocating purchase order number:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,370 @@
+/**
+ * Queue Service
+ * Orders a branch's waiting arrivals into a live queue, estimates each client's wait
+ * from what the stylists are doing now, and suggests the next free qualified stylist.
+ * Built on the check-in collection kept by arrivalsService. The public lobby screen can't
+ * read check-ins or staff records, so a minimal copy of each branch's queue is published
+ * to lobby_queue/{branchId} whenever a check-in changes and while the front desk has the
+ * queue open.
+ */
+
+import { collection, doc, getDocs, query, where, orderBy, onSnapshot, setDoc, Timestamp } from 'firebase/firestore';
+import { format } from 'date-fns';
+import { db } from '../config/firebase';
+import { ARRIVAL_STATUS } from './arrivalsService';
+import { getAppointmentsByDateRange, subscribeToAppointmentsByDateRange } from './appointmentService';
+import { getDayShifts } from './availabilityService';
+import { getBranchById } from './branchService';
+import { getBranchServices } from './branchServicesService';
+import { getBranchReliabilityPolicy } from './clientReliabilityService';
+import { getUsersByRole } from './userService';
+import { USER_ROLES } from '../utils/constants';
+import { getFullName } from '../utils/helpers';
+
+const ARRIVALS_COLLECTION = 'check-in';
+const LOBBY_QUEUE_COLLECTION = 'lobby_queue'; // lobby_queue/{branchId}
+
+// Waits move with the clock, so the queue is recalculated this often even without changes
+const QUEUE_REFRESH_MS = 60 * 1000;
+
+const DEFAULT_SERVICE_MINUTES = 60;
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null);
+
+const addMinutes = (date, minutes) => new Date(date.getTime() + minutes * 60000);
+
+const atTime = (day, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const date = new Date(day);
+  date.setHours(hours, minutes || 0, 0, 0);
+  return date;
+};
+
+const getServiceIds = (arrival) => {
+  const ids = (arrival.services || []).map(svc => svc.serviceId).filter(Boolean);
+  return ids.length > 0 ? ids : [arrival.serviceId].filter(Boolean);
+};
+
+// The stylist the client asked for or was booked with, if any
+const getRequestedStylistId = (arrival) =>
+  arrival.stylistId || (arrival.services || []).find(svc => svc.stylistId)?.stylistId || null;
+
+/**
+ * How long an arrival's visit takes: the booked duration, else the catalogue durations
+ * @param {Object} arrival - Check-in record
+ * @param {Object|null} appointment - Linked appointment
+ * @param {Object} serviceDurations - { [serviceId]: minutes }
+ * @returns {number} - Minutes
+ */
+export const getArrivalDuration = (arrival, appointment, serviceDurations) => {
+  if (appointment?.duration) return appointment.duration;
+  const total = getServiceIds(arrival).reduce((sum, serviceId) => sum + (serviceDurations[serviceId] || 0), 0);
+  return total || DEFAULT_SERVICE_MINUTES;
+};
+
+/**
+ * Whether a stylist is set up for every service a client is waiting for
+ * Stylists without a configured service list are treated as doing everything.
+ * @param {Object} stylist - Stylist user (service_id holds their services)
+ * @param {Array} serviceIds - Services the client is waiting for
+ * @returns {boolean}
+ */
+export const isStylistQualified = (stylist, serviceIds) => {
+  const offered = stylist.service_id || stylist.serviceIds || [];
+  if (offered.length === 0) return true;
+  return serviceIds.every(serviceId => offered.includes(serviceId));
+};
+
+/**
+ * Order the waiting arrivals and estimate their waits
+ * Clients with an appointment queue at their appointment time unless they arrived later
+ * than the branch's late-arrival allowance; walk-ins and late clients queue from arrival.
+ * Each client is given to whichever suitable stylist frees up first - the stylist they
+ * asked for, or any qualified stylist on shift - and that stylist is then busy for the
+ * length of their visit.
+ * @param {Object} params
+ * @param {Array} params.arrivals - Today's check-ins
+ * @param {Array} params.appointments - Today's appointments
+ * @param {Array} params.stylists - Branch stylists
+ * @param {Object} params.shifts - getDayShifts result for today
+ * @param {Object} params.serviceDurations - { [serviceId]: minutes }
+ * @param {Object} params.policy - Branch reliability policy (lateArrivalMinutes)
+ * @param {Date} params.now - Time to estimate from
+ * @returns {Object} - { waiting: [{ arrival, position, firstName, queuedAt, duration, stylistId, stylistName,
+ *   suggested, estimatedStart, estimatedWaitMinutes }], inService: [{ arrival, stylistId, expectedEnd }],
+ *   stylists: [{ id, name, freeAt, onShift }] }
+ */
+export const buildQueue = ({ arrivals, appointments, stylists, shifts, serviceDurations, policy, now = new Date() }) => {
+  const appointmentsById = new Map(appointments.map(appointment => [appointment.id, appointment]));
+
+  // When each stylist on shift can take the next client
+  const stylistStates = stylists.map(stylist => {
+    const window = shifts?.stylists?.[stylist.id];
+    const onShift = !shifts?.closure && !!window && !window.blocked && !!window.open && !!window.close;
+    const opensAt = onShift ? atTime(now, window.open) : null;
+    return {
+      stylist,
+      onShift: onShift && atTime(now, window.close) > now,
+      freeAt: opensAt && opensAt > now ? opensAt : now
+    };
+  });
+  const stateById = new Map(stylistStates.map(state => [state.stylist.id, state]));
+
+  const inService = arrivals
+    .filter(arrival => arrival.status === ARRIVAL_STATUS.IN_SERVICE)
+    .map(arrival => {
+      const startedAt = toDate(arrival.startedAt) || toDate(arrival.arrivedAt) || now;
+      const duration = getArrivalDuration(arrival, appointmentsById.get(arrival.appointmentId), serviceDurations);
+      const expectedEnd = addMinutes(startedAt, duration);
+      const stylistId = getRequestedStylistId(arrival);
+      const state = stateById.get(stylistId);
+      // A service running over is assumed to be finishing now, which freeAt already is
+      if (state && expectedEnd > state.freeAt) {
+        state.freeAt = expectedEnd;
+      }
+      return { arrival, stylistId, expectedEnd };
+    });
+
+  const waiting = arrivals
+    .filter(arrival => arrival.status === ARRIVAL_STATUS.ARRIVED)
+    .map(arrival => {
+      const arrivedAt = toDate(arrival.arrivedAt) || now;
+      const appointmentDate = toDate(appointmentsById.get(arrival.appointmentId)?.appointmentDate);
+      const late = appointmentDate && arrivedAt > addMinutes(appointmentDate, policy.lateArrivalMinutes);
+      return { arrival, arrivedAt, queuedAt: appointmentDate && !late ? appointmentDate : arrivedAt };
+    })
+    .sort((a, b) => a.queuedAt - b.queuedAt || a.arrivedAt - b.arrivedAt)
+    .map((entry, index) => {
+      const { arrival } = entry;
+      const duration = getArrivalDuration(arrival, appointmentsById.get(arrival.appointmentId), serviceDurations);
+      const requestedStylistId = getRequestedStylistId(arrival);
+      const serviceIds = getServiceIds(arrival);
+
+      const candidates = requestedStylistId && stateById.has(requestedStylistId)
+        ? [stateById.get(requestedStylistId)]
+        : stylistStates.filter(state => state.onShift && isStylistQualified(state.stylist, serviceIds));
+      const next = candidates.reduce((best, state) => (!best || state.freeAt < best.freeAt ? state : best), null);
+
+      // Clients with an appointment aren't started before their appointment time
+      const estimatedStart = next
+        ? new Date(Math.max(next.freeAt.getTime(), entry.queuedAt.getTime(), now.getTime()))
+        : null;
+      if (next) {
+        next.freeAt = addMinutes(estimatedStart, duration);
+      }
+
+      return {
+        arrival,
+        position: index + 1,
+        firstName: (arrival.clientName || 'Guest').trim().split(/\s+/)[0],
+        queuedAt: entry.queuedAt,
+        duration,
+        stylistId: requestedStylistId || next?.stylist.id || null,
+        stylistName: requestedStylistId
+          ? arrival.stylistName || (next ? getFullName(next.stylist) : '')
+          : next ? getFullName(next.stylist) : '',
+        suggested: !requestedStylistId && !!next,
+        estimatedStart,
+        estimatedWaitMinutes: estimatedStart ? Math.max(Math.round((estimatedStart - now) / 60000), 0) : null
+      };
+    });
+
+  return {
+    waiting,
+    inService,
+    stylists: stylistStates.map(state => ({
+      id: state.stylist.id,
+      name: getFullName(state.stylist),
+      freeAt: state.freeAt,
+      onShift: state.onShift
+    }))
+  };
+};
+
+// Everything the queue needs that doesn't change minute to minute
+const loadQueueContext = async (branchId, day) => {
+  const [branch, services, stylistUsers] = await Promise.all([
+    getBranchById(branchId),
+    getBranchServices(branchId),
+    getUsersByRole(USER_ROLES.STYLIST)
+  ]);
+  const stylists = stylistUsers.filter(stylist => stylist.branchId === branchId && stylist.isActive);
+  const shifts = await getDayShifts(branchId, day, stylists.map(stylist => stylist.id));
+
+  return {
+    branch,
+    stylists,
+    shifts,
+    serviceDurations: Object.fromEntries(services.map(service => [service.id, service.duration || 0])),
+    policy: getBranchReliabilityPolicy(branch)
+  };
+};
+
+const getDayRange = (day = new Date()) => {
+  const dayStart = new Date(day);
+  dayStart.setHours(0, 0, 0, 0);
+  const dayEnd = new Date(dayStart);
+  dayEnd.setHours(23, 59, 59, 999);
+  return { dayStart, dayEnd };
+};
+
+const todaysArrivalsQuery = (branchId, dayStart) => query(
+  collection(db, ARRIVALS_COLLECTION),
+  where('branchId', '==', branchId),
+  where('arrivedAt', '>=', Timestamp.fromDate(dayStart)),
+  orderBy('arrivedAt', 'asc')
+);
+
+/**
+ * The part of a queue the public lobby screen is allowed to show
+ * Only the queue number, the client's first name, the stylist's name and when they're
+ * expected to start - no client IDs, contact details or staff records.
+ * @param {Object} queue - buildQueue result plus the branch
+ * @param {Date} day - Day the queue is for
+ * @returns {Object} - lobby_queue document
+ */
+export const toLobbyQueue = (queue, day) => ({
+  branchName: queue.branch?.name || queue.branch?.branchName || '',
+  dateKey: format(day, 'yyyy-MM-dd'),
+  entries: queue.waiting.map(entry => ({
+    queueNumber: entry.position,
+    firstName: entry.firstName,
+    // A stylist the desk has only suggested may still change, so it isn't announced
+    stylistName: entry.suggested ? '' : entry.stylistName || '',
+    status: entry.arrival.status,
+    // To the minute, so a queue that hasn't moved isn't rewritten every refresh
+    estimatedStart: entry.estimatedStart
+      ? Timestamp.fromMillis(Math.ceil(entry.estimatedStart.getTime() / 60000) * 60000)
+      : null
+  }))
+});
+
+const writeLobbyQueue = (branchId, lobbyQueue) =>
+  setDoc(doc(db, LOBBY_QUEUE_COLLECTION, branchId), { ...lobbyQueue, updatedAt: Timestamp.now() });
+
+/**
+ * Rebuild a branch's lobby queue from today's check-ins
+ * Called after every check-in change; the lobby screen only ever sees this copy.
+ * @param {string} branchId - Branch ID
+ * @returns {Promise<void>}
+ */
+export const refreshLobbyQueue = async (branchId) => {
+  try {
+    if (!branchId) return;
+    const { dayStart, dayEnd } = getDayRange();
+    const [context, arrivalsSnap, appointments] = await Promise.all([
+      loadQueueContext(branchId, dayStart),
+      getDocs(todaysArrivalsQuery(branchId, dayStart)),
+      getAppointmentsByDateRange(branchId, dayStart, dayEnd)
+    ]);
+    const arrivals = arrivalsSnap.docs.map(arrivalDoc => ({ id: arrivalDoc.id, ...arrivalDoc.data() }));
+    const queue = { branch: context.branch, ...buildQueue({ ...context, arrivals, appointments, now: new Date() }) };
+    await writeLobbyQueue(branchId, toLobbyQueue(queue, dayStart));
+  } catch (error) {
+    // The lobby catches up on the next check-in change
+    console.error('Error refreshing lobby queue:', error);
+  }
+};
+
+/**
+ * Listen to a branch's lobby queue
+ * For the public lobby screen; reads nothing but lobby_queue/{branchId}.
+ * @param {string} branchId - Branch ID
+ * @param {Function} callback - Called with the lobby_queue document, or null if there is none
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToLobbyQueue = (branchId, callback) => onSnapshot(
+  doc(db, LOBBY_QUEUE_COLLECTION, branchId),
+  (snapshot) => callback(snapshot.exists() ? snapshot.data() : null),
+  (error) => console.error('Error in lobby queue subscription:', error)
+);
+
+/**
+ * Listen to a branch's queue for today
+ * Recalculated on every check-in or appointment change and once a minute; at midnight
+ * the listener moves on to the new day.
+ * @param {string} branchId - Branch ID
+ * @param {Function} callback - Called with the buildQueue result plus the branch
+ * @param {Object} [options]
+ * @param {boolean} [options.publishToLobby] - Also keep lobby_queue/{branchId} up to date
+ *   (staff screens only; waits move with the clock, not just with check-ins)
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToBranchQueue = (branchId, callback, { publishToLobby = false } = {}) => {
+  let active = true;
+  let day = null;
+  let context = null;
+  let arrivals = null;
+  let appointments = null;
+  let stopListeners = () => {};
+  let lastLobbyQueue = null;
+
+  const publish = () => {
+    if (!active || !context || !arrivals || !appointments) return;
+    const queue = { branch: context.branch, ...buildQueue({ ...context, arrivals, appointments, now: new Date() }) };
+    callback(queue);
+
+    if (publishToLobby) {
+      // Only written when something the lobby shows has changed
+      const lobbyQueue = toLobbyQueue(queue, new Date(day));
+      const serialized = JSON.stringify(lobbyQueue);
+      if (serialized !== lastLobbyQueue) {
+        lastLobbyQueue = serialized;
+        writeLobbyQueue(branchId, lobbyQueue)
+          .catch(error => console.error('Error publishing lobby queue:', error));
+      }
+    }
+  };
+
+  const start = async () => {
+    const { dayStart, dayEnd } = getDayRange();
+    day = dayStart.getTime();
+
+    stopListeners();
+    arrivals = null;
+    appointments = null;
+
+    try {
+      context = await loadQueueContext(branchId, dayStart);
+    } catch (error) {
+      console.error('Error loading queue:', error);
+      return;
+    }
+    if (!active) return;
+
+    const stopArrivals = onSnapshot(
+      todaysArrivalsQuery(branchId, dayStart),
+      (snapshot) => {
+        // Check-ins made on this screen have no server time until they're saved
+        arrivals = snapshot.docs.map(arrivalDoc => ({ id: arrivalDoc.id, ...arrivalDoc.data({ serverTimestamps: 'estimate' }) }));
+        publish();
+      },
+      (error) => console.error('Error in queue subscription:', error)
+    );
+    const stopAppointments = subscribeToAppointmentsByDateRange(branchId, dayStart, dayEnd, (data) => {
+      appointments = data;
+      publish();
+    });
+    stopListeners = () => {
+      stopArrivals();
+      stopAppointments();
+    };
+  };
+
+  start();
+  const timer = setInterval(() => {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    if (today.getTime() !== day) {
+      start();
+    } else {
+      publish();
+    }
+  }, QUEUE_REFRESH_MS);
+
+  return () => {
+    active = false;
+    clearInterval(timer);
+    stopListeners();
+  };
+};
@@ -0,0 +1,560 @@
+/**
+ * Recurring Appointment Service
+ * Standing bookings: recurrence rules, conflict checks for a whole series, "this and following"
+ * edits and series cancellation. Every occurrence is an ordinary appointment carrying a seriesId,
+ * so it is booked, edited and cancelled through appointmentService like any other.
+ */
+
+import {
+  collection,
+  doc,
+  getDocs,
+  addDoc,
+  updateDoc,
+  query,
+  where,
+  Timestamp,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from '../config/firebase';
+import { getSlotAvailability } from './availabilityService';
+import { getBranchById } from './branchService';
+import { getBranchBookingPolicy, getBookingWindowError } from './bookingPolicyService';
+import {
+  createAppointment,
+  updateAppointment,
+  cancelAppointment,
+  getAppointmentById,
+  APPOINTMENT_STATUS
+} from './appointmentService';
+import { logActivity } from './activityService';
+import toast from 'react-hot-toast';
+
+const SERIES_COLLECTION = 'appointment_series';
+const APPOINTMENTS_COLLECTION = 'appointments';
+
+export const RECURRENCE_FREQUENCIES = {
+  WEEKLY: 'weekly', // Every N weeks on the same weekday
+  MONTHLY_NTH_WEEKDAY: 'monthly_nth_weekday' // e.g. the 2nd Tuesday of every N months
+};
+
+export const RECURRENCE_END_TYPES = {
+  UNTIL: 'until',
+  COUNT: 'count'
+};
+
+export const SERIES_EDIT_SCOPES = {
+  THIS: 'this',
+  FOLLOWING: 'following'
+};
+
+export const SERIES_STATUS = {
+  ACTIVE: 'active',
+  CANCELLED: 'cancelled'
+};
+
+// Upper bound on occurrences in one series, whatever the end rule says
+export const MAX_OCCURRENCES = 52;
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const WEEK_OF_MONTH_LABELS = { 1: '1st', 2: '2nd', 3: '3rd', 4: '4th', [-1]: 'last' };
+
+const ACTIVE_STATUSES = [APPOINTMENT_STATUS.PENDING, APPOINTMENT_STATUS.CONFIRMED];
+
+// Fields an edit to "this and following" does not copy from one occurrence to the rest
+const OCCURRENCE_FIELDS = ['appointmentDate', 'status', 'history', 'seriesId', 'occurrenceIndex'];
+
+const toDate = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) return value;
+  if (value.toDate) return value.toDate();
+  return new Date(value);
+};
+
+// Parse a YYYY-MM-DD date as the end of that local day
+const endOfDay = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day, 23, 59, 59, 999);
+};
+
+const formatDay = (date) => date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+
+/**
+ * Week of the month a date falls in: 1-4, or -1 for the 5th (treated as "last")
+ * @param {Date} date
+ * @returns {number}
+ */
+export const getWeekOfMonth = (date) => {
+  const week = Math.ceil(date.getDate() / 7);
+  return week > 4 ? -1 : week;
+};
+
+/**
+ * Get the Nth weekday of a month, keeping the time of day from a reference date
+ * @param {number} year
+ * @param {number} month - 0-11
+ * @param {number} weekday - 0 (Sunday) to 6
+ * @param {number} weekOfMonth - 1-4, or -1 for the last
+ * @param {Date} timeOf - Date whose hours and minutes are kept
+ * @returns {Date}
+ */
+const getNthWeekdayOfMonth = (year, month, weekday, weekOfMonth, timeOf) => {
+  let date;
+  if (weekOfMonth === -1) {
+    date = new Date(year, month + 1, 0);
+    date.setDate(date.getDate() - ((date.getDay() - weekday + 7) % 7));
+  } else {
+    date = new Date(year, month, 1);
+    date.setDate(1 + ((weekday - date.getDay() + 7) % 7) + (weekOfMonth - 1) * 7);
+  }
+  date.setHours(timeOf.getHours(), timeOf.getMinutes(), 0, 0);
+  return date;
+};
+
+/**
+ * Validate a recurrence rule
+ * @param {Object} rule - { frequency, interval, weekOfMonth, endType, until, count }
+ * @param {Date} startDate - First occurrence
+ * @returns {string|null} - Error message or null
+ */
+export const validateRecurrence = (rule, startDate) => {
+  if (!rule || !Object.values(RECURRENCE_FREQUENCIES).includes(rule.frequency)) {
+    return 'Choose how often the appointment repeats';
+  }
+  const interval = parseInt(rule.interval);
+  if (!interval || interval < 1 || interval > 12) {
+    return 'Repeat interval must be between 1 and 12';
+  }
+  if (rule.endType === RECURRENCE_END_TYPES.COUNT) {
+    const count = parseInt(rule.count);
+    if (!count || count < 2 || count > MAX_OCCURRENCES) {
+      return `Number of appointments must be between 2 and ${MAX_OCCURRENCES}`;
+    }
+  } else if (rule.endType === RECURRENCE_END_TYPES.UNTIL) {
+    if (!rule.until) return 'Choose the date the series ends';
+    if (startDate && endOfDay(rule.until) <= toDate(startDate)) {
+      return 'The series must end after the first appointment';
+    }
+  } else {
+    return 'Choose when the series ends';
+  }
+  return null;
+};
+
+/**
+ * Keep only the fields of a recurrence rule that are stored with the series
+ * @param {Object} rule - Recurrence rule from the form
+ * @param {Date} startDate - First occurrence
+ * @returns {Object}
+ */
+const normalizeRecurrence = (rule, startDate) => ({
+  frequency: rule.frequency,
+  interval: parseInt(rule.interval) || 1,
+  weekOfMonth: rule.frequency === RECURRENCE_FREQUENCIES.MONTHLY_NTH_WEEKDAY
+    ? (parseInt(rule.weekOfMonth) || getWeekOfMonth(toDate(startDate)))
+    : null,
+  endType: rule.endType,
+  until: rule.endType === RECURRENCE_END_TYPES.UNTIL ? rule.until : null,
+  count: rule.endType === RECURRENCE_END_TYPES.COUNT ? parseInt(rule.count) : null
+});
+
+/**
+ * List the dates of a series, starting with the first appointment
+ * @param {Date|string} startDate - First occurrence (date and time)
+ * @param {Object} rule - Recurrence rule
+ * @returns {Array<Date>}
+ */
+export const generateOccurrenceDates = (startDate, rule) => {
+  const start = toDate(startDate);
+  if (!start || !rule) return [];
+
+  const interval = parseInt(rule.interval) || 1;
+  const limit = rule.endType === RECURRENCE_END_TYPES.COUNT
+    ? Math.min(parseInt(rule.count) || 1, MAX_OCCURRENCES)
+    : MAX_OCCURRENCES;
+  const until = rule.endType === RECURRENCE_END_TYPES.UNTIL && rule.until ? endOfDay(rule.until) : null;
+  const weekOfMonth = parseInt(rule.weekOfMonth) || getWeekOfMonth(start);
+
+  const dates = [new Date(start)];
+  for (let step = 1; dates.length < limit; step++) {
+    let next;
+    if (rule.frequency === RECURRENCE_FREQUENCIES.MONTHLY_NTH_WEEKDAY) {
+      next = getNthWeekdayOfMonth(start.getFullYear(), start.getMonth() + step * interval, start.getDay(), weekOfMonth, start);
+    } else {
+      next = new Date(start);
+      next.setDate(start.getDate() + step * interval * 7);
+    }
+    if (until && next > until) break;
+    if (!until && rule.endType !== RECURRENCE_END_TYPES.COUNT) break;
+    dates.push(next);
+  }
+  return dates;
+};
+
+/**
+ * Describe a recurrence rule, e.g. "Every 4 weeks on Tuesday, 6 times"
+ * @param {Object} rule - Recurrence rule
+ * @param {Date|string} startDate - First occurrence
+ * @returns {string}
+ */
+export const describeRecurrence = (rule, startDate) => {
+  const start = toDate(startDate);
+  if (!rule || !start) return '';
+
+  const interval = parseInt(rule.interval) || 1;
+  const weekday = WEEKDAY_NAMES[start.getDay()];
+  let description;
+  if (rule.frequency === RECURRENCE_FREQUENCIES.MONTHLY_NTH_WEEKDAY) {
+    const week = WEEK_OF_MONTH_LABELS[parseInt(rule.weekOfMonth) || getWeekOfMonth(start)];
+    description = `${interval === 1 ? 'Monthly' : `Every ${interval} months`} on the ${week} ${weekday}`;
+  } else {
+    description = `${interval === 1 ? 'Weekly' : `Every ${interval} weeks`} on ${weekday}`;
+  }
+
+  if (rule.endType === RECURRENCE_END_TYPES.COUNT && rule.count) {
+    return `${description}, ${rule.count} times`;
+  }
+  if (rule.endType === RECURRENCE_END_TYPES.UNTIL && rule.until) {
+    return `${description}, until ${endOfDay(rule.until).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`;
+  }
+  return description;
+};
+
+/**
+ * Check every occurrence of a series against the availability engine
+ * @param {Object} appointmentData - { branchId, services, serviceId, stylistId, duration }
+ * @param {Array} occurrences - [{ date, appointmentId }], appointmentId excluded from its own check
+ * @returns {Promise<Array>} - [{ date, appointmentId, available, message }]
+ */
+export const checkSeriesAvailability = async (appointmentData, occurrences) => {
+  const services = appointmentData.services?.length > 0
+    ? appointmentData.services
+    : [{ serviceId: appointmentData.serviceId, stylistId: appointmentData.stylistId }];
+  const serviceIds = services.map(svc => svc.serviceId).filter(Boolean);
+  const stylistIds = [...new Set(services.map(svc => svc.stylistId).filter(Boolean))];
+
+  const results = [];
+  for (const occurrence of occurrences) {
+    let result = { available: true, message: null };
+    for (const stylistId of (stylistIds.length > 0 ? stylistIds : [null])) {
+      result = await getSlotAvailability({
+        stylistId,
+        branchId: appointmentData.branchId,
+        appointmentDate: occurrence.date,
+        duration: appointmentData.duration || 60,
+        serviceIds,
+        services: appointmentData.services || [],
+        excludeAppointmentId: occurrence.appointmentId || null
+      });
+      if (!result.available) break;
+    }
+    results.push({ ...occurrence, available: result.available, message: result.message || null });
+  }
+  return results;
+};
+
+const describeConflicts = (conflicts, total) => {
+  const first = conflicts[0];
+  const more = conflicts.length > 1 ? ` and ${conflicts.length - 1} more` : '';
+  return `${conflicts.length} of ${total} dates are not available: ${formatDay(first.date)} (${first.message})${more}`;
+};
+
+/**
+ * Get the appointments of a series in date order
+ * @param {string} seriesId - Series ID
+ * @returns {Promise<Array>}
+ */
+export const getSeriesAppointments = async (seriesId) => {
+  try {
+    // Sort in memory to avoid a composite index
+    const q = query(collection(db, APPOINTMENTS_COLLECTION), where('seriesId', '==', seriesId));
+    const snapshot = await getDocs(q);
+    return snapshot.docs
+      .map(docSnap => ({
+        id: docSnap.id,
+        ...docSnap.data(),
+        appointmentDate: docSnap.data().appointmentDate?.toDate()
+      }))
+      .sort((a, b) => (a.appointmentDate?.getTime() || 0) - (b.appointmentDate?.getTime() || 0));
+  } catch (error) {
+    console.error('Error fetching series appointments:', error);
+    throw error;
+  }
+};
+
+/**
+ * Book a standing appointment: one appointment per occurrence, linked by a series document
+ * Called by createAppointment when the appointment data carries a recurrence rule.
+ * The whole series is checked first; any conflict blocks the booking unless
+ * recurrence.skipConflicts is set, in which case the unavailable dates are left out.
+ * @param {Object} appointmentData - Appointment data with recurrence
+ * @param {Object} currentUser - User booking
+ * @returns {Promise<Object>} - { seriesId, appointmentIds, skippedDates }
+ */
+export const createAppointmentSeries = async (appointmentData, currentUser) => {
+  try {
+    const { recurrence: rule, ...baseData } = appointmentData;
+
+    const validationError = validateRecurrence(rule, baseData.appointmentDate);
+    if (validationError) {
+      toast.error(validationError);
+      throw new Error('Invalid recurrence');
+    }
+
+    const recurrence = normalizeRecurrence(rule, baseData.appointmentDate);
+    const dates = generateOccurrenceDates(baseData.appointmentDate, recurrence);
+    if (dates.length < 2) {
+      toast.error('The repeat settings only produce one appointment');
+      throw new Error('Invalid recurrence');
+    }
+
+    // The series start follows the branch booking policy; later dates may run past the advance window
+    const policy = getBranchBookingPolicy(await getBranchById(baseData.branchId));
+    const windowError = getBookingWindowError(policy, dates[0], { channel: baseData.bookingChannel });
+    if (windowError) {
+      toast.error(windowError);
+      throw new Error('Booking policy violation');
+    }
+
+    const results = await checkSeriesAvailability(baseData, dates.map(date => ({ date })));
+    const conflicts = results.filter(result => !result.available);
+    if (conflicts.length > 0 && !rule.skipConflicts) {
+      toast.error(describeConflicts(conflicts, results.length));
+      throw new Error('Series has conflicts');
+    }
+    if (conflicts.length === results.length) {
+      toast.error('None of the dates in this series are available');
+      throw new Error('Series has conflicts');
+    }
+
+    const seriesRef = await addDoc(collection(db, SERIES_COLLECTION), {
+      branchId: baseData.branchId,
+      clientId: baseData.clientId || null,
+      clientName: baseData.clientName || '',
+      recurrence,
+      firstDate: Timestamp.fromDate(dates[0]),
+      occurrenceCount: results.length - conflicts.length,
+      skippedDates: conflicts.map(conflict => conflict.date.toISOString()),
+      status: SERIES_STATUS.ACTIVE,
+      createdBy: currentUser.uid,
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp()
+    });
+
+    const appointmentIds = [];
+    const skippedDates = conflicts.map(conflict => conflict.date);
+    for (const [index, result] of results.entries()) {
+      if (!result.available) continue;
+      try {
+        const appointmentId = await createAppointment({
+          ...baseData,
+          appointmentDate: result.date,
+          seriesId: seriesRef.id,
+          occurrenceIndex: index + 1,
+          recurrence
+        }, currentUser, { silent: true });
+        appointmentIds.push(appointmentId);
+      } catch (error) {
+        // Booked by someone else since the check; leave this date out
+        console.error(`Error booking series occurrence ${index + 1}:`, error);
+        skippedDates.push(result.date);
+      }
+    }
+
+    if (appointmentIds.length === 0) {
+      await updateDoc(doc(db, SERIES_COLLECTION, seriesRef.id), {
+        status: SERIES_STATUS.CANCELLED,
+        occurrenceCount: 0,
+        updatedAt: serverTimestamp()
+      });
+      throw new Error('No occurrences booked');
+    }
+
+    if (skippedDates.length !== conflicts.length) {
+      await updateDoc(doc(db, SERIES_COLLECTION, seriesRef.id), {
+        occurrenceCount: appointmentIds.length,
+        skippedDates: skippedDates.map(date => date.toISOString()),
+        updatedAt: serverTimestamp()
+      });
+    }
+
+    await logActivity({
+      performedBy: currentUser.uid,
+      action: 'CREATE_APPOINTMENT_SERIES',
+      targetType: 'appointment_series',
+      targetId: seriesRef.id,
+      details: `Booked ${appointmentIds.length} recurring appointments for ${baseData.clientName || baseData.clientId}: ${describeRecurrence(recurrence, dates[0])}`,
+      metadata: {
+        branchId: baseData.branchId,
+        recurrence,
+        skippedDates: skippedDates.map(date => date.toISOString())
+      }
+    });
+
+    toast.success(
+      `Booked ${appointmentIds.length} recurring appointments` +
+      (skippedDates.length > 0 ? `, skipped ${skippedDates.length} unavailable date${skippedDates.length > 1 ? 's' : ''}` : '')
+    );
+    return { seriesId: seriesRef.id, appointmentIds, skippedDates };
+  } catch (error) {
+    console.error('Error creating appointment series:', error);
+    if (!['Invalid recurrence', 'Series has conflicts', 'Booking policy violation'].includes(error.message)) {
+      toast.error('Failed to book recurring appointments');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Get the active occurrences of a series from an appointment onwards
+ * @param {Object} appointment - Occurrence the change starts from
+ * @returns {Promise<Array>}
+ */
+const getFollowingOccurrences = async (appointment) => {
+  const seriesAppointments = await getSeriesAppointments(appointment.seriesId);
+  const from = toDate(appointment.appointmentDate).getTime();
+  return seriesAppointments.filter(apt =>
+    ACTIVE_STATUSES.includes(apt.status) && apt.appointmentDate?.getTime() >= from
+  );
+};
+
+/**
+ * Edit one occurrence or this and all following occurrences of a series
+ * With "following", a new date moves every later occurrence by the same number of days
+ * to the same new time of day; the whole set is checked for conflicts before anything changes.
+ * @param {string} appointmentId - Occurrence being edited
+ * @param {Object} updates - Appointment updates from the form
+ * @param {Object} currentUser - User editing
+ * @param {string} scope - SERIES_EDIT_SCOPES value
+ * @returns {Promise<number>} - Number of appointments updated
+ */
+export const updateAppointmentSeries = async (appointmentId, updates, currentUser, scope = SERIES_EDIT_SCOPES.THIS) => {
+  if (scope !== SERIES_EDIT_SCOPES.FOLLOWING) {
+    await updateAppointment(appointmentId, updates, currentUser);
+    return 1;
+  }
+
+  try {
+    const anchor = await getAppointmentById(appointmentId);
+    if (!anchor.seriesId) {
+      await updateAppointment(appointmentId, updates, currentUser);
+      return 1;
+    }
+
+    const following = await getFollowingOccurrences(anchor);
+
+    // Per-occurrence fields are not copied across the series
+    const sharedUpdates = Object.fromEntries(
+      Object.entries(updates).filter(([key]) => !OCCURRENCE_FIELDS.includes(key))
+    );
+
+    const anchorDate = toDate(anchor.appointmentDate);
+    const newAnchorDate = updates.appointmentDate ? toDate(updates.appointmentDate) : null;
+    const moved = newAnchorDate && newAnchorDate.getTime() !== anchorDate.getTime();
+    const dayShift = moved
+      ? Math.round((new Date(newAnchorDate).setHours(0, 0, 0, 0) - new Date(anchorDate).setHours(0, 0, 0, 0)) / 86400000)
+      : 0;
+
+    const planned = following.map(apt => {
+      if (!moved) return { appointment: apt, date: apt.appointmentDate };
+      const date = new Date(apt.appointmentDate);
+      date.setDate(date.getDate() + dayShift);
+      date.setHours(newAnchorDate.getHours(), newAnchorDate.getMinutes(), 0, 0);
+      return { appointment: apt, date };
+    });
+
+    const results = await checkSeriesAvailability(
+      { ...anchor, ...sharedUpdates },
+      planned.map(item => ({ date: item.date, appointmentId: item.appointment.id }))
+    );
+    const conflicts = results.filter(result => !result.available);
+    if (conflicts.length > 0) {
+      toast.error(describeConflicts(conflicts, results.length));
+      throw new Error('Series has conflicts');
+    }
+
+    for (const item of planned) {
+      await updateAppointment(item.appointment.id, {
+        ...sharedUpdates,
+        ...(moved ? { appointmentDate: item.date } : {})
+      }, currentUser, { silent: true });
+    }
+
+    await logActivity({
+      performedBy: currentUser.uid,
+      action: 'UPDATE_APPOINTMENT_SERIES',
+      targetType: 'appointment_series',
+      targetId: anchor.seriesId,
+      details: `Updated ${planned.length} appointments in the series from ${formatDay(anchorDate)}`,
+      metadata: { appointmentId, dayShift, moved: !!moved }
+    });
+
+    toast.success(`Updated ${planned.length} appointment${planned.length > 1 ? 's' : ''} in the series`);
+    return planned.length;
+  } catch (error) {
+    console.error('Error updating appointment series:', error);
+    if (!['Series has conflicts', 'Time slot not available', 'Reschedule not allowed - booking policy'].includes(error.message)) {
+      toast.error('Failed to update the series');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Cancel one occurrence or this and all following occurrences of a series
+ * Each occurrence goes through cancelAppointment, so it gets its own history entry,
+ * deposit policy handling and waitlist offer.
+ * @param {string} appointmentId - Occurrence the cancellation starts from
+ * @param {string} reason - Cancellation reason
+ * @param {Object} currentUser - User cancelling
+ * @param {string} scope - SERIES_EDIT_SCOPES value
+ * @returns {Promise<number>} - Number of appointments cancelled
+ */
+export const cancelAppointmentSeries = async (appointmentId, reason, currentUser, scope = SERIES_EDIT_SCOPES.THIS) => {
+  if (scope !== SERIES_EDIT_SCOPES.FOLLOWING) {
+    await cancelAppointment(appointmentId, reason, currentUser);
+    return 1;
+  }
+
+  try {
+    const anchor = await getAppointmentById(appointmentId);
+    if (!anchor.seriesId) {
+      await cancelAppointment(appointmentId, reason, currentUser);
+      return 1;
+    }
+
+    const following = await getFollowingOccurrences(anchor);
+    const seriesReason = `${reason || 'No reason provided'} (series cancelled from ${formatDay(toDate(anchor.appointmentDate))})`;
+
+    let cancelled = 0;
+    for (const apt of following) {
+      await cancelAppointment(apt.id, seriesReason, currentUser, false, { silent: true });
+      cancelled++;
+    }
+
+    // The series is over once nothing before this occurrence is still booked
+    const remaining = (await getSeriesAppointments(anchor.seriesId)).filter(apt => ACTIVE_STATUSES.includes(apt.status));
+    await updateDoc(doc(db, SERIES_COLLECTION, anchor.seriesId), {
+      status: remaining.length === 0 ? SERIES_STATUS.CANCELLED : SERIES_STATUS.ACTIVE,
+      cancelledFrom: Timestamp.fromDate(toDate(anchor.appointmentDate)),
+      cancelledBy: currentUser.uid,
+      updatedAt: serverTimestamp()
+    });
+
+    await logActivity({
+      performedBy: currentUser.uid,
+      action: 'CANCEL_APPOINTMENT_SERIES',
+      targetType: 'appointment_series',
+      targetId: anchor.seriesId,
+      details: `Cancelled ${cancelled} appointments in the series: ${reason || 'No reason provided'}`,
+      metadata: { appointmentId, reason }
+    });
+
+    toast.success(`Cancelled ${cancelled} appointment${cancelled > 1 ? 's' : ''} in the series`);
+    return cancelled;
+  } catch (error) {
+    console.error('Error cancelling appointment series:', error);
+    toast.error('Failed to cancel the series');
+    throw error;
+  }
+};
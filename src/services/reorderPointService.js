@@ -0,0 +1,425 @@
+/**
+ * Reorder Point Service
+ * Works out when a branch should reorder each product and how much. Daily demand is the
+ * branch's product sales (paid bills, net of refunds) plus what services consumed, over a
+ * lookback window. The reorder point covers demand over the supplier's lead time plus
+ * safety stock for the day-to-day swing in demand; an order brings stock up to the reorder
+ * point plus a review period's demand, rounded up to whole purchase packs.
+ * Drafting turns the products at or below their reorder point into Pending purchase
+ * orders, one per supplier, that the inventory controller reviews and submits. It runs
+ * once a day per branch from the inventory controller's purchase orders page, like the
+ * no-show check.
+ * There is no server-side schedule: the demand figures come from the app's own inventory
+ * services, so drafting needs a signed-in session. A day on which nobody opens the page
+ * gets no drafts; the next visit drafts from that day's stock, so nothing is lost beyond
+ * the delay.
+ */
+
+import {
+  addDoc,
+  collection,
+  doc,
+  getDocs,
+  query,
+  runTransaction,
+  serverTimestamp,
+  where
+} from 'firebase/firestore';
+import { differenceInCalendarDays, format, startOfDay, subDays } from 'date-fns';
+import { db } from '../config/firebase';
+import { productService } from './productService';
+import { allocatePurchaseOrderNumber } from './purchaseOrderNumberService';
+import { classifyMovement } from './inventoryValuationService';
+import { convertQuantity, getProductUnits } from './unitOfMeasureService';
+
+export const DEMAND_LOOKBACK_DAYS = 60;
+export const DEFAULT_LEAD_TIME_DAYS = 7;
+export const REVIEW_PERIOD_DAYS = 14;
+
+// Safety factor for a 95% chance of not running out during a lead time
+const SERVICE_LEVEL_Z = 1.65;
+
+const USAGE_TYPES = ['otc', 'salon-use'];
+
+// Bills that never became (or stopped being) a sale
+const EXCLUDED_BILL_STATUSES = ['voided', 'refunded'];
+
+// Orders that will not bring any more stock in
+const CLOSED_ORDER_STATUSES = ['Delivered', 'Rejected', 'Cancelled'];
+
+// Reorder points barely move within a few minutes; stock alerts regenerate on every stock change
+const CACHE_TTL_MS = 5 * 60 * 1000;
+const reorderPointCache = new Map();
+
+// reorder_draft_runs/{branchId}: the last day a device drafted the branch's reorders
+const DRAFT_RUNS_COLLECTION = 'reorder_draft_runs';
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null);
+
+const roundQuantity = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Reorder point from a daily demand series
+ * Safety stock is z × the daily demand's standard deviation × √lead time.
+ * @param {Array<number>} dailyDemand - Quantity used on each day of the lookback, oldest first
+ * @param {number} leadTimeDays - Days from ordering to delivery
+ * @returns {Object} - { dailyDemand, leadTimeDemand, safetyStock, reorderPoint, orderUpTo }
+ */
+export const computeReorderPoint = (dailyDemand, leadTimeDays) => {
+  const days = dailyDemand.length || 1;
+  const mean = dailyDemand.reduce((sum, value) => sum + value, 0) / days;
+  const variance = dailyDemand.reduce((sum, value) => sum + (value - mean) ** 2, 0) / days;
+  const leadTimeDemand = mean * leadTimeDays;
+  const safetyStock = SERVICE_LEVEL_Z * Math.sqrt(variance) * Math.sqrt(leadTimeDays);
+  const reorderPoint = Math.ceil(leadTimeDemand + safetyStock);
+
+  return {
+    dailyDemand: roundQuantity(mean),
+    leadTimeDemand: roundQuantity(leadTimeDemand),
+    safetyStock: Math.ceil(safetyStock),
+    reorderPoint,
+    orderUpTo: Math.ceil(reorderPoint + mean * REVIEW_PERIOD_DAYS)
+  };
+};
+
+/**
+ * Load what a branch's reorder points need, filtering dates client-side to avoid composite indexes
+ * @param {string} branchId - Branch ID
+ * @returns {Promise<Object>} - { stocks, movements, bills, orders, suppliers }
+ */
+const loadBranchData = async (branchId) => {
+  const byBranch = (collectionName) => getDocs(query(collection(db, collectionName), where('branchId', '==', branchId)));
+  const [stockSnap, movementSnap, billSnap, orderSnap, supplierSnap] = await Promise.all([
+    byBranch('stocks'),
+    byBranch('inventory_movements'),
+    byBranch('transactions'),
+    byBranch('purchaseOrders'),
+    getDocs(collection(db, 'suppliers'))
+  ]);
+  const toRecords = (snapshot) => snapshot.docs.map(recordDoc => ({ id: recordDoc.id, ...recordDoc.data() }));
+
+  return {
+    stocks: toRecords(stockSnap),
+    movements: toRecords(movementSnap),
+    bills: toRecords(billSnap),
+    orders: toRecords(orderSnap),
+    suppliers: toRecords(supplierSnap)
+  };
+};
+
+/**
+ * The supplier a product is reordered from: the first active one listed on the product
+ * @param {Object} product - Product
+ * @param {Object} suppliersById - { [supplierId]: supplier }
+ * @returns {Object|null}
+ */
+const getPreferredSupplier = (product, suppliersById) => {
+  const supplierIds = Array.isArray(product.suppliers) && product.suppliers.length > 0
+    ? product.suppliers
+    : [product.supplier].filter(Boolean);
+  const supplierId = supplierIds.find(id => suppliersById[id] && suppliersById[id].isActive !== false);
+  return supplierId ? suppliersById[supplierId] : null;
+};
+
+/**
+ * Reorder points for every product a branch carries
+ * Quantities are in the product's stock unit. Each row also carries the same figures per
+ * usage type (`usage.otc`, `usage['salon-use']`), since OTC and salon-use stock are held
+ * and ordered separately. Products with no demand in the lookback fall back to their own
+ * minStock, if one is set, and have `hasDemand: false`.
+ * @param {string} branchId - Branch ID
+ * @param {Object} options - { force: skip the short-lived cache }
+ * @returns {Promise<Array>} - [{ productId, productName, brand, category, unit, supplierId,
+ *   supplierName, leadTimeDays, onHand, onOrder, dailyDemand, safetyStock, reorderPoint,
+ *   orderUpTo, hasDemand, usage }]
+ */
+export const getBranchReorderPoints = async (branchId, { force = false } = {}) => {
+  try {
+    const cached = reorderPointCache.get(branchId);
+    if (!force && cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+      return cached.rows;
+    }
+
+    const productsResult = await productService.getAllProducts();
+    if (!productsResult.success) {
+      throw new Error(productsResult.message || 'Failed to load products');
+    }
+    const productsById = Object.fromEntries(productsResult.products.map(product => [product.id, product]));
+    const data = await loadBranchData(branchId);
+    const suppliersById = Object.fromEntries(data.suppliers.map(supplier => [supplier.id, supplier]));
+
+    const today = startOfDay(new Date());
+    const windowStart = subDays(today, DEMAND_LOOKBACK_DAYS);
+    const dayIndex = (date) => {
+      const index = differenceInCalendarDays(date, windowStart);
+      return index >= 0 && index < DEMAND_LOOKBACK_DAYS ? index : null;
+    };
+
+    const emptyPosition = () => ({ onHand: 0, onOrder: 0, demand: new Array(DEMAND_LOOKBACK_DAYS).fill(0) });
+    const positions = {};
+    const getPosition = (productId) => {
+      if (!positions[productId]) {
+        positions[productId] = Object.fromEntries(USAGE_TYPES.map(usageType => [usageType, emptyPosition()]));
+      }
+      return positions[productId];
+    };
+    const usageTypeOf = (value) => (value === 'salon-use' ? 'salon-use' : 'otc');
+
+    // Shelf stock, batch by batch
+    data.stocks.forEach(stock => {
+      if (!stock.productId || stock.status !== 'active' || stock.realTimeStock === undefined) return;
+      getPosition(stock.productId)[usageTypeOf(stock.usageType)].onHand += Number(stock.realTimeStock) || 0;
+    });
+
+    // Stock already ordered, drafts included, converted from the purchase unit
+    data.orders.forEach(order => {
+      if (CLOSED_ORDER_STATUSES.includes(order.status)) return;
+      (order.items || []).forEach(item => {
+        if (!item.productId) return;
+        const units = getProductUnits(productsById[item.productId]);
+        let quantity = Number(item.quantity) || 0;
+        try {
+          quantity = convertQuantity(units, quantity, item.unit || units.stockUnit, units.stockUnit);
+        } catch {
+          // Units changed since the order was placed; count it as stock units
+        }
+        getPosition(item.productId)[usageTypeOf(item.usageType)].onOrder += quantity;
+      });
+    });
+
+    // OTC demand: product sales, net of refunds
+    data.bills.forEach(bill => {
+      const index = dayIndex(toDate(bill.createdAt) || toDate(bill.date));
+      if (index === null || EXCLUDED_BILL_STATUSES.includes(bill.status)) return;
+      (bill.items || []).forEach(item => {
+        if (item.type !== 'product' || !item.productId) return;
+        const quantity = (Number(item.quantity) || 1) - (Number(item.refundedQuantity) || 0);
+        getPosition(item.productId).otc.demand[index] += Math.max(quantity, 0);
+      });
+    });
+
+    // Salon-use demand: what services consumed, less what was put back
+    data.movements.forEach(movement => {
+      const index = dayIndex(toDate(movement.createdAt));
+      if (index === null || !movement.productId || classifyMovement(movement) !== 'salon_use') return;
+      const quantity = Number(movement.stockQuantity ?? movement.quantity) || 0;
+      const sign = movement.type === 'stock_out' ? 1 : -1;
+      getPosition(movement.productId)['salon-use'].demand[index] += sign * quantity;
+    });
+
+    const rows = productsResult.products
+      .filter(product => (product.branches || []).includes(branchId) || positions[product.id])
+      .map(product => {
+        const position = getPosition(product.id);
+        const supplier = getPreferredSupplier(product, suppliersById);
+        const leadTimeDays = Number(supplier?.leadTimeDays) > 0 ? Number(supplier.leadTimeDays) : DEFAULT_LEAD_TIME_DAYS;
+
+        const usage = Object.fromEntries(USAGE_TYPES.map(usageType => {
+          const { onHand, onOrder, demand } = position[usageType];
+          const daily = demand.map(value => Math.max(value, 0));
+          return [usageType, {
+            onHand: roundQuantity(onHand),
+            onOrder: roundQuantity(onOrder),
+            hasDemand: daily.some(value => value > 0),
+            ...computeReorderPoint(daily, leadTimeDays)
+          }];
+        }));
+
+        const totalDemand = position.otc.demand.map((value, index) =>
+          Math.max(value, 0) + Math.max(position['salon-use'].demand[index], 0));
+        const hasDemand = totalDemand.some(value => value > 0);
+        const total = computeReorderPoint(totalDemand, leadTimeDays);
+        const minStock = Number(product.minStock) || 0;
+
+        return {
+          productId: product.id,
+          productName: product.name || 'Unknown Product',
+          brand: product.brand || '',
+          category: product.category || '',
+          unit: getProductUnits(product).stockUnit,
+          unitCost: Number(product.unitCost) || 0,
+          supplierId: supplier?.id || null,
+          supplierName: supplier?.name || null,
+          leadTimeDays,
+          onHand: roundQuantity(position.otc.onHand + position['salon-use'].onHand),
+          onOrder: roundQuantity(position.otc.onOrder + position['salon-use'].onOrder),
+          ...total,
+          reorderPoint: hasDemand ? total.reorderPoint : minStock,
+          hasDemand,
+          usage
+        };
+      });
+
+    reorderPointCache.set(branchId, { rows, loadedAt: Date.now() });
+    return rows;
+  } catch (error) {
+    console.error('Error computing reorder points:', error);
+    throw error;
+  }
+};
+
+/**
+ * Suggested order lines for a branch, grouped by supplier
+ * A line is suggested for each usage type whose stock plus what is already on order is at
+ * or below its reorder point. The quantity tops it up to the order-up-to level and is
+ * rounded up to whole purchase packs, priced from the stock unit cost.
+ * @param {Array} reorderPoints - getBranchReorderPoints result
+ * @param {Object} productsById - { [productId]: product }
+ * @returns {Array} - [{ supplierId, supplierName, leadTimeDays, items }]
+ */
+export const getReorderSuggestions = (reorderPoints, productsById) => {
+  const groups = {};
+
+  reorderPoints.forEach(row => {
+    if (!row.supplierId) return;
+    const units = getProductUnits(productsById[row.productId]);
+
+    USAGE_TYPES.forEach(usageType => {
+      const position = row.usage[usageType];
+      const available = position.onHand + position.onOrder;
+      if (!position.hasDemand || available > position.reorderPoint) return;
+
+      const shortfall = position.orderUpTo - available;
+      const quantity = Math.ceil(convertQuantity(units, shortfall, units.stockUnit, units.purchaseUnit) - 1e-9);
+      if (quantity <= 0) return;
+      const unitPrice = units.configured
+        ? Math.round(row.unitCost * convertQuantity(units, 1, units.purchaseUnit, units.stockUnit) * 100) / 100
+        : row.unitCost;
+
+      if (!groups[row.supplierId]) {
+        groups[row.supplierId] = {
+          supplierId: row.supplierId,
+          supplierName: row.supplierName,
+          leadTimeDays: row.leadTimeDays,
+          items: []
+        };
+      }
+      const group = groups[row.supplierId];
+      group.leadTimeDays = Math.max(group.leadTimeDays, row.leadTimeDays);
+      group.items.push({
+        productId: row.productId,
+        productName: row.productName,
+        category: row.category || null,
+        sku: productsById[row.productId]?.sku || null,
+        quantity,
+        unit: units.configured ? units.purchaseUnit : null,
+        unitPrice,
+        totalPrice: Math.round(quantity * unitPrice * 100) / 100,
+        usageType,
+        suggestion: {
+          onHand: position.onHand,
+          onOrder: position.onOrder,
+          dailyDemand: position.dailyDemand,
+          safetyStock: position.safetyStock,
+          reorderPoint: position.reorderPoint,
+          orderUpTo: position.orderUpTo,
+          unit: units.stockUnit
+        }
+      });
+    });
+  });
+
+  return Object.values(groups);
+};
+
+/**
+ * Draft purchase orders for everything a branch should reorder, one per supplier
+ * Drafts are Pending orders with `isDraft` set, so they count as on order for the next run
+ * but stay with the inventory controller until submitted.
+ * @param {string} branchId - Branch ID
+ * @param {Object} currentUser - Inventory controller whose session runs the job
+ * @returns {Promise<{success: boolean, draftedCount: number}>}
+ */
+export const draftReorderPurchaseOrders = async (branchId, currentUser) => {
+  try {
+    if (!branchId || !currentUser) {
+      return { success: false, draftedCount: 0 };
+    }
+
+    const reorderPoints = await getBranchReorderPoints(branchId, { force: true });
+    const productsResult = await productService.getAllProducts();
+    const productsById = Object.fromEntries((productsResult.products || []).map(product => [product.id, product]));
+    const suggestions = getReorderSuggestions(reorderPoints, productsById);
+    if (suggestions.length === 0) {
+      return { success: true, draftedCount: 0 };
+    }
+
+    const createdByName = currentUser.firstName && currentUser.lastName
+      ? `${currentUser.firstName} ${currentUser.lastName}`.trim()
+      : (currentUser.email || 'Unknown');
+
+    let draftedCount = 0;
+    for (const suggestion of suggestions) {
+      const orderId = await allocatePurchaseOrderNumber(branchId);
+      const expectedDelivery = new Date();
+      expectedDelivery.setDate(expectedDelivery.getDate() + suggestion.leadTimeDays);
+
+      const order = {
+        orderId,
+        supplierId: suggestion.supplierId,
+        supplierName: suggestion.supplierName || '',
+        branchId,
+        orderDate: new Date(),
+        expectedDelivery,
+        status: 'Pending',
+        isDraft: true,
+        autoDrafted: true,
+        totalAmount: Math.round(suggestion.items.reduce((sum, item) => sum + item.totalPrice, 0) * 100) / 100,
+        items: suggestion.items.map(item => Object.fromEntries(
+          Object.entries(item).filter(([, value]) => value !== null && value !== undefined)
+        )),
+        notes: `Drafted from reorder points (${DEMAND_LOOKBACK_DAYS}-day demand, ${suggestion.leadTimeDays}-day lead time)`,
+        createdBy: currentUser.uid || currentUser.id,
+        createdByName,
+        createdByRole: 'inventoryController',
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+      };
+
+      await addDoc(collection(db, 'purchaseOrders'), order);
+      draftedCount++;
+    }
+
+    reorderPointCache.delete(branchId);
+    return { success: true, draftedCount };
+  } catch (error) {
+    console.error('Error drafting reorder purchase orders:', error);
+    return { success: false, draftedCount: 0 };
+  }
+};
+
+/**
+ * Claim today's automatic reorder draft for a branch
+ * The claim is made in a transaction against one marker per branch, so when several
+ * devices open the purchase orders page the same day only the first one drafts.
+ * Drafting only happens on those visits, not at a fixed time (see the note at the top).
+ * @param {string} branchId - Branch ID
+ * @param {Object} currentUser - Inventory controller whose session runs the job
+ * @returns {Promise<boolean>} - True if this device should draft today
+ */
+export const claimDailyReorderDraft = async (branchId, currentUser) => {
+  try {
+    if (!branchId || !currentUser) return false;
+
+    const runRef = doc(db, DRAFT_RUNS_COLLECTION, branchId);
+    const dateKey = format(new Date(), 'yyyy-MM-dd');
+
+    return await runTransaction(db, async (transaction) => {
+      const runSnap = await transaction.get(runRef);
+      if (runSnap.exists() && runSnap.data().dateKey === dateKey) {
+        return false;
+      }
+
+      transaction.set(runRef, {
+        branchId,
+        dateKey,
+        claimedBy: currentUser.uid || currentUser.id || null,
+        claimedAt: serverTimestamp()
+      });
+      return true;
+    });
+  } catch (error) {
+    console.error('Error claiming daily reorder draft:', error);
+    return false;
+  }
+};
@@ -356,7 +356,7 @@ export const getScheduleConfigurationsByBranch = async (branchId) => {
  * @param {Date} targetDate - Date to find the applicable schedule for
  * @returns {Object|null} The applicable schedule configuration or null
  */
-const getScheduleForDate = (configs, targetDate) => {
+export const getScheduleForDate = (configs, targetDate) => {
   if (!targetDate || !configs || configs.length === 0) return null;
   
   // Normalize target date to start of day for comparison
@@ -385,6 +385,40 @@ const getScheduleForDate = (configs, targetDate) => {
   return applicableConfigs.length > 0 ? applicableConfigs[0] : null;
 };
 
+/**
+ * Get active date-specific shifts for a branch within a date range
+ * Date-specific shifts replace the recurring shift for that employee on that date
+ * @param {string} branchId - Branch ID
+ * @param {Date} startDate - First day of the range
+ * @param {Date} endDate - Last day of the range
+ * @returns {Promise<Array>} Array of date-specific shifts
+ */
+export const getDateSpecificShiftsByBranch = async (branchId, startDate, endDate) => {
+  try {
+    const rangeStart = new Date(startDate);
+    rangeStart.setHours(0, 0, 0, 0);
+    const rangeEnd = new Date(endDate);
+    rangeEnd.setHours(23, 59, 59, 999);
+
+    // Fetch all branch schedules, then filter in JavaScript to avoid index requirement
+    const snapshot = await getDocs(query(collection(db, 'schedules'), where('branchId', '==', branchId)));
+    const shifts = [];
+    snapshot.forEach((doc) => {
+      const data = doc.data();
+      if (!data.date || !data.employeeId || data.isActive === false) return;
+
+      const scheduleDate = data.date?.toDate ? data.date.toDate() : new Date(data.date);
+      if (scheduleDate >= rangeStart && scheduleDate <= rangeEnd) {
+        shifts.push({ id: doc.id, ...data, date: scheduleDate });
+      }
+    });
+    return shifts;
+  } catch (error) {
+    console.error('Error fetching date-specific shifts:', error);
+    throw error;
+  }
+};
+
 /**
  * Get all schedule configurations for a branch (for date-based lookup)
  * @param {string} branchId - Branch ID
@@ -615,6 +649,16 @@ export const createOrUpdateScheduleConfiguration = async (scheduleData) => {
           if (endMinutes <= startMinutes) {
             throw new Error(`End time must be after start time for ${employeeId} - ${dayKey}`);
           }
+
+          // Optional break, blocked for bookings by the availability engine
+          if (shift.breakStart || shift.breakEnd) {
+            if (!timeRegex.test(shift.breakStart || '') || !timeRegex.test(shift.breakEnd || '')) {
+              throw new Error(`Invalid break time for ${employeeId} - ${dayKey}. Use HH:mm format`);
+            }
+            if (shift.breakStart >= shift.breakEnd || shift.breakStart < shift.start || shift.breakEnd > shift.end) {
+              throw new Error(`Break must be within the shift for ${employeeId} - ${dayKey}`);
+            }
+          }
         }
       }
     }
@@ -20,8 +20,67 @@ import {
 } from 'firebase/firestore';
 import { db } from '../config/firebase';
 import { logActivity } from './activityService';
+import { TAX_TREATMENTS } from './taxService';
 import toast from 'react-hot-toast';
 
+// Phases of a service; during processing (e.g. colour developing) the stylist is free
+export const SERVICE_PHASE_TYPES = {
+  BUSY: 'busy',
+  PROCESSING: 'processing'
+};
+
+export const SERVICE_PHASE_TYPE_LABELS = {
+  [SERVICE_PHASE_TYPES.BUSY]: 'Stylist busy',
+  [SERVICE_PHASE_TYPES.PROCESSING]: 'Processing (stylist free)'
+};
+
+/**
+ * Clean phase definitions entered on the service form
+ * @param {Array} phases - [{ name, duration, type }]
+ * @returns {Array} - Phases with a positive duration
+ */
+export const normalizeServicePhases = (phases = []) => (phases || [])
+  .map(phase => ({
+    name: (phase.name || '').trim() || SERVICE_PHASE_TYPE_LABELS[phase.type] || 'Phase',
+    duration: parseInt(phase.duration) || 0,
+    type: phase.type === SERVICE_PHASE_TYPES.PROCESSING ? SERVICE_PHASE_TYPES.PROCESSING : SERVICE_PHASE_TYPES.BUSY
+  }))
+  .filter(phase => phase.duration > 0);
+
+/**
+ * Phases of a service; services without phase definitions are one busy block
+ * @param {Object} service - Service definition (or appointment service entry)
+ * @param {number} fallbackDuration - Duration to use when the service has none
+ * @returns {Array} - [{ name, duration, type }]
+ */
+export const getServicePhases = (service, fallbackDuration = 0) => {
+  if (service?.phases?.length > 0) return normalizeServicePhases(service.phases);
+  const duration = service?.duration || fallbackDuration;
+  return duration > 0
+    ? [{ name: service?.name || service?.serviceName || 'Service', duration, type: SERVICE_PHASE_TYPES.BUSY }]
+    : [];
+};
+
+/**
+ * Run a booking's services back-to-back
+ * Each service gets its start offset (minutes from the appointment start) and a copy of
+ * its phases, so availability and the schedule views can tell when each stylist is busy.
+ * @param {Array} selectedServices - Appointment services [{ serviceId, stylistId, duration, ... }]
+ * @param {Array} serviceDefinitions - Service definitions with duration and phases
+ * @returns {Array} - The selected services with duration, startOffset and phases
+ */
+export const sequenceServices = (selectedServices = [], serviceDefinitions = []) => {
+  let startOffset = 0;
+  return selectedServices.map(selected => {
+    const definition = serviceDefinitions.find(service => service.id === selected.serviceId);
+    const phases = getServicePhases(definition || selected, selected.duration);
+    const duration = phases.reduce((sum, phase) => sum + phase.duration, 0);
+    const sequenced = { ...selected, duration, startOffset, phases };
+    startOffset += duration;
+    return sequenced;
+  });
+};
+
 /**
  * Get all global services
  * @returns {Promise<Array>} Array of all services
@@ -77,16 +136,22 @@ export const saveService = async (serviceData, currentUser) => {
     const serviceId = serviceData.id || doc(collection(db, 'services')).id;
     const serviceRef = doc(db, 'services', serviceId);
     
+    // With phases defined, the service takes exactly as long as its phases
+    const phases = normalizeServicePhases(serviceData.phases);
+    const phasesDuration = phases.reduce((sum, phase) => sum + phase.duration, 0);
+
     const data = {
       name: serviceData.name,
       description: serviceData.description || '',
       category: serviceData.category || 'General',
-      duration: serviceData.duration || 30, // in minutes
+      duration: phasesDuration || serviceData.duration || 30, // in minutes
+      phases, // Array of {name, duration, type} - empty for single-block services
       imageURL: serviceData.imageURL || '',
       isChemical: serviceData.isChemical || false,
+      taxTreatment: serviceData.taxTreatment || TAX_TREATMENTS.VATABLE,
       isActive: serviceData.isActive !== undefined ? serviceData.isActive : true,
       inventoryItems: serviceData.inventoryItems || [], // Array of {itemId, itemName, itemUnit, quantity}
-      productMappings: serviceData.productMappings || [], // Array of {productId, productName, quantity, unit, percentage}
+      productMappings: serviceData.productMappings || [], // Recipe lines: {productId, productName, quantity, unit} or {..., instructions} per hair length (see serviceRecipeService)
       updatedAt: Timestamp.now(),
       updatedBy: currentUser.uid
     };
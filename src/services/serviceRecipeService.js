@@ -0,0 +1,506 @@
+/**
+ * Service Recipe Service
+ * Turns the product mappings stored on each service into recipes: how much of each
+ * salon-use product a service uses, optionally varying by the client's hair length.
+ * Every service performed gets a usage record in service_product_usage holding the
+ * standard and actual quantities; paying for the service consumes the actual quantities
+ * from salon-use batches FIFO, and later corrections by the stylist move the difference.
+ */
+
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  setDoc,
+  query,
+  where,
+  Timestamp
+} from 'firebase/firestore';
+import { db } from '../config/firebase';
+import { inventoryService } from './inventoryService';
+import { getServiceById } from './serviceManagementService';
+import toast from 'react-hot-toast';
+
+const USAGE_COLLECTION = 'service_product_usage';
+
+export const HAIR_LENGTHS = {
+  SHORT: 'short',
+  MEDIUM: 'medium',
+  LONG: 'long'
+};
+
+export const HAIR_LENGTH_LABELS = {
+  [HAIR_LENGTHS.SHORT]: 'Short',
+  [HAIR_LENGTHS.MEDIUM]: 'Medium',
+  [HAIR_LENGTHS.LONG]: 'Long'
+};
+
+// Actual usage this far above the recipe is flagged as over-consumption
+export const USAGE_VARIANCE_THRESHOLD_PERCENT = 10;
+
+// Instructions written before hair lengths were explicit ("Small Hair", "Long Hair")
+const HAIR_LENGTH_PATTERNS = [
+  [HAIR_LENGTHS.SHORT, /\b(short|small)\b/i],
+  [HAIR_LENGTHS.MEDIUM, /\b(medium|mid)\b/i],
+  [HAIR_LENGTHS.LONG, /\b(long|extra)\b/i]
+];
+
+const roundQuantity = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null);
+
+const getUsageId = (visitId, serviceId) => `${visitId}_${serviceId}`;
+
+/**
+ * Hair length an instruction is for
+ * @param {Object} instruction - { instruction, hairLength? }
+ * @returns {string|null} - HAIR_LENGTHS value, or null for an instruction that applies to any length
+ */
+export const getInstructionHairLength = (instruction) => {
+  if (Object.values(HAIR_LENGTHS).includes(instruction.hairLength)) return instruction.hairLength;
+  const match = HAIR_LENGTH_PATTERNS.find(([, pattern]) => pattern.test(instruction.instruction || ''));
+  return match ? match[0] : null;
+};
+
+/**
+ * Read a service's product mappings as a recipe
+ * Mappings hold either a single { quantity, unit } or a list of instructions, one per hair length.
+ * @param {Object} service - Service with productMappings
+ * @returns {Array} - [{ productId, productName, unit, quantities: { default, short, medium, long } }]
+ */
+export const getServiceRecipe = (service) =>
+  (service?.productMappings || [])
+    .filter(mapping => mapping.productId)
+    .map(mapping => {
+      const quantities = {};
+      let unit = mapping.unit || '';
+
+      if (Array.isArray(mapping.instructions) && mapping.instructions.length > 0) {
+        mapping.instructions.forEach(instruction => {
+          const quantity = Number(instruction.quantity) || 0;
+          if (quantity <= 0) return;
+          const key = getInstructionHairLength(instruction) || 'default';
+          if (quantities[key] === undefined) quantities[key] = quantity;
+          unit = unit || instruction.unit || '';
+        });
+      } else if (Number(mapping.quantity) > 0) {
+        quantities.default = Number(mapping.quantity);
+      }
+
+      return {
+        productId: mapping.productId,
+        productName: mapping.productName || 'Unknown Product',
+        unit,
+        quantities
+      };
+    })
+    .filter(line => Object.keys(line.quantities).length > 0);
+
+/**
+ * Whether any line of a recipe changes with hair length
+ * @param {Array} recipe - getServiceRecipe result
+ * @returns {boolean}
+ */
+export const recipeVariesByHairLength = (recipe) =>
+  recipe.some(line => Object.values(HAIR_LENGTHS).some(length => line.quantities[length] !== undefined));
+
+/**
+ * Standard quantity of one recipe line for a hair length
+ * Falls back to the line's general quantity, then medium, then whatever is set.
+ * @param {Object} line - Recipe line
+ * @param {string|null} hairLength - HAIR_LENGTHS value
+ * @returns {number}
+ */
+export const getStandardQuantity = (line, hairLength) => {
+  const { quantities } = line;
+  const quantity = (hairLength && quantities[hairLength]) ??
+    quantities.default ??
+    quantities[HAIR_LENGTHS.MEDIUM] ??
+    Object.values(quantities)[0];
+  return roundQuantity(quantity);
+};
+
+// Recipe lines merged with what was already recorded or deducted for the service
+const buildUsageLines = (recipe, hairLength, previousLines = [], actuals = null) => {
+  const lines = recipe.map(line => {
+    const previous = previousLines.find(item => item.productId === line.productId);
+    const standardQuantity = getStandardQuantity(line, hairLength);
+    const actual = actuals?.[line.productId];
+    return {
+      productId: line.productId,
+      productName: line.productName,
+      unit: line.unit,
+      standardQuantity,
+      actualQuantity: actual !== undefined && actual !== ''
+        ? Math.max(roundQuantity(actual), 0)
+        : previous?.actualQuantity ?? standardQuantity,
+      deductedQuantity: previous?.deductedQuantity || 0,
+      batches: previous?.batches || []
+    };
+  });
+
+  // Products taken off the recipe since they were deducted stay on the record
+  previousLines
+    .filter(item => !lines.some(line => line.productId === item.productId))
+    .forEach(item => lines.push(item));
+
+  return lines;
+};
+
+/**
+ * Bring a usage line's stock deduction in line with its actual quantity
+ * Extra usage is deducted from salon-use batches FIFO; unused product is put back into
+ * the batches it came from, newest first.
+ * @param {Object} line - Usage line
+ * @param {Object} context - { branchId, billId, serviceName, performedBy }
+ * @returns {Promise<Object>} - Updated usage line
+ */
+const settleUsageLine = async (line, context) => {
+  const difference = roundQuantity(line.actualQuantity - line.deductedQuantity);
+  const notes = `Service: ${context.serviceName}, Bill ID: ${context.billId}`;
+
+  if (difference > 0) {
+    const result = await inventoryService.deductStockFIFO({
+      branchId: context.branchId,
+      productId: line.productId,
+      quantity: difference,
+      reason: 'Service Use',
+      notes,
+      createdBy: context.performedBy,
+      productName: line.productName,
+      usageType: 'salon-use',
+      unit: line.unit || undefined // Recipe units come out of opened containers
+    });
+    if (!result.success) {
+      console.warn(`⚠️ Service product deduction failed for ${line.productName}:`, result.message);
+      return line;
+    }
+    return {
+      ...line,
+      deductedQuantity: roundQuantity(line.deductedQuantity + difference),
+      batches: [
+        ...line.batches,
+        ...(result.batchesUsed || []).map(used => ({
+          batchId: used.batchId,
+          batchNumber: used.batchNumber || '',
+          quantity: used.deducted
+        }))
+      ]
+    };
+  }
+
+  if (difference < 0) {
+    let toReturn = -difference;
+    const batches = line.batches.map(item => ({ ...item }));
+    for (let i = batches.length - 1; i >= 0 && toReturn > 0; i--) {
+      const quantity = roundQuantity(Math.min(toReturn, batches[i].quantity));
+      if (quantity <= 0) continue;
+      const result = await inventoryService.returnStockToBatch({
+        batchId: batches[i].batchId,
+        quantity,
+        returnType: 'sale',
+        reason: 'Service Use Adjustment',
+        returnReason: notes,
+        returnedBy: context.performedBy,
+        billId: context.billId,
+        productName: line.productName,
+        unit: line.unit || undefined
+      });
+      if (!result.success) {
+        console.warn(`⚠️ Could not return ${line.productName} to batch ${batches[i].batchNumber}:`, result.message);
+        break;
+      }
+      batches[i].quantity = roundQuantity(batches[i].quantity - quantity);
+      toReturn = roundQuantity(toReturn - quantity);
+    }
+    return {
+      ...line,
+      deductedQuantity: roundQuantity(line.deductedQuantity + difference + toReturn),
+      batches: batches.filter(item => item.quantity > 0)
+    };
+  }
+
+  return line;
+};
+
+/**
+ * Find the usage record for one service of a visit
+ * @param {Object} visit - { arrivalId, appointmentId }
+ * @param {string} serviceId - Service ID
+ * @returns {Promise<Object|null>}
+ */
+export const getServiceUsage = async (visit, serviceId) => {
+  try {
+    const visitId = visit.arrivalId || visit.appointmentId;
+    if (visitId) {
+      const usageDoc = await getDoc(doc(db, USAGE_COLLECTION, getUsageId(visitId, serviceId)));
+      if (usageDoc.exists()) {
+        return { id: usageDoc.id, ...usageDoc.data() };
+      }
+    }
+
+    // Appointment bills don't always know the check-in the stylist recorded against
+    if (visit.appointmentId) {
+      const snapshot = await getDocs(query(
+        collection(db, USAGE_COLLECTION),
+        where('appointmentId', '==', visit.appointmentId)
+      ));
+      const match = snapshot.docs.find(usageDoc => usageDoc.data().serviceId === serviceId);
+      if (match) {
+        return { id: match.id, ...match.data() };
+      }
+    }
+    return null;
+  } catch (error) {
+    console.error('Error fetching service usage:', error);
+    throw error;
+  }
+};
+
+/**
+ * Usage forms for the services a stylist performed on a visit
+ * @param {Object} checkIn - Check-in record (services, appointmentId)
+ * @param {string|null} stylistId - Only this stylist's services, or all
+ * @returns {Promise<Array>} - [{ serviceId, serviceName, stylistId, stylistName, recipe, variesByHairLength,
+ *   hairLength, products: [{ productId, productName, unit, standardQuantity, actualQuantity }] }]
+ */
+export const getVisitUsageForms = async (checkIn, stylistId = null) => {
+  try {
+    const services = (checkIn.services && checkIn.services.length > 0
+      ? checkIn.services
+      : [{ serviceId: checkIn.serviceId, serviceName: checkIn.serviceName }])
+      .map(svc => ({
+        ...svc,
+        stylistId: svc.stylistId || checkIn.stylistId || null,
+        stylistName: svc.stylistName || checkIn.stylistName || ''
+      }))
+      .filter(svc => svc.serviceId && (!stylistId || svc.stylistId === stylistId));
+
+    const forms = await Promise.all(services.map(async (svc) => {
+      const service = await getServiceById(svc.serviceId).catch(() => null);
+      const recipe = getServiceRecipe(service);
+      if (recipe.length === 0) return null;
+
+      const existing = await getServiceUsage({ arrivalId: checkIn.id, appointmentId: checkIn.appointmentId }, svc.serviceId);
+      const hairLength = existing?.hairLength || null;
+      return {
+        serviceId: svc.serviceId,
+        serviceName: svc.serviceName || service.name || 'Service',
+        stylistId: svc.stylistId,
+        stylistName: svc.stylistName,
+        recipe,
+        variesByHairLength: recipeVariesByHairLength(recipe),
+        hairLength,
+        products: buildUsageLines(recipe, hairLength, existing?.products)
+          .filter(line => recipe.some(item => item.productId === line.productId))
+      };
+    }));
+
+    return forms.filter(Boolean);
+  } catch (error) {
+    console.error('Error loading service usage forms:', error);
+    toast.error('Failed to load product usage');
+    throw error;
+  }
+};
+
+/**
+ * Record what a stylist actually used for a service
+ * If the service has already been paid for, the difference from what was deducted is
+ * deducted or returned straight away; otherwise payment deducts these quantities.
+ * @param {Object} checkIn - Check-in record the service was performed on
+ * @param {Object} usage - { serviceId, serviceName, stylistId, stylistName, hairLength, actuals: { [productId]: quantity } }
+ * @param {Object} currentUser - Stylist recording the usage
+ * @returns {Promise<void>}
+ */
+export const recordServiceUsage = async (checkIn, usage, currentUser) => {
+  try {
+    const service = await getServiceById(usage.serviceId);
+    const recipe = getServiceRecipe(service);
+    const existing = await getServiceUsage({ arrivalId: checkIn.id, appointmentId: checkIn.appointmentId }, usage.serviceId);
+    const serviceName = usage.serviceName || service.name || 'Service';
+
+    let products = buildUsageLines(recipe, usage.hairLength || null, existing?.products, usage.actuals);
+    if (existing?.billId) {
+      const context = {
+        branchId: existing.branchId,
+        billId: existing.billId,
+        serviceName,
+        performedBy: currentUser.uid
+      };
+      products = await Promise.all(products.map(line => settleUsageLine(line, context)));
+    }
+
+    await setDoc(doc(db, USAGE_COLLECTION, existing?.id || getUsageId(checkIn.id, usage.serviceId)), {
+      branchId: checkIn.branchId,
+      arrivalId: existing?.arrivalId || checkIn.id,
+      appointmentId: checkIn.appointmentId || null,
+      billId: existing?.billId || null,
+      serviceId: usage.serviceId,
+      serviceName,
+      stylistId: usage.stylistId || currentUser.uid,
+      stylistName: usage.stylistName || '',
+      clientName: checkIn.clientName || '',
+      hairLength: usage.hairLength || null,
+      products,
+      actualRecorded: true,
+      recordedBy: currentUser.uid,
+      recordedAt: Timestamp.now(),
+      serviceDate: existing?.serviceDate || Timestamp.now(),
+      updatedAt: Timestamp.now()
+    }, { merge: true });
+  } catch (error) {
+    console.error('Error recording service usage:', error);
+    toast.error('Failed to save product usage');
+    throw error;
+  }
+};
+
+/**
+ * Consume the salon-use products for the services on a paid bill
+ * Uses the stylist's recorded quantities where there are any, else the recipe for the
+ * recorded or billed hair length. Each service is consumed once per visit.
+ * @param {Object} bill - Bill data (branchId, arrivalId, appointmentId, items, createdBy)
+ * @param {string} billId - Bill ID
+ * @returns {Promise<void>}
+ */
+export const consumeServiceProducts = async (bill, billId) => {
+  const serviceItems = (bill.items || []).filter(item => item.type === 'service' && item.id);
+
+  for (const item of serviceItems) {
+    try {
+      const service = await getServiceById(item.id);
+      const recipe = getServiceRecipe(service);
+      if (recipe.length === 0) continue; // No recipe for this service
+
+      const visit = { arrivalId: bill.arrivalId, appointmentId: bill.appointmentId };
+      const existing = await getServiceUsage(visit, item.id);
+      if (existing?.billId) continue; // Already consumed for this visit
+
+      const hairLength = existing?.hairLength || item.hairLength || null;
+      const serviceName = service.name || item.name;
+      const context = {
+        branchId: bill.branchId,
+        billId,
+        serviceName,
+        performedBy: bill.createdBy || 'system'
+      };
+      const products = await Promise.all(
+        buildUsageLines(recipe, hairLength, existing?.products).map(line => settleUsageLine(line, context))
+      );
+
+      await setDoc(doc(db, USAGE_COLLECTION, existing?.id || getUsageId(bill.arrivalId || bill.appointmentId || billId, item.id)), {
+        branchId: bill.branchId,
+        arrivalId: existing?.arrivalId || bill.arrivalId || null,
+        appointmentId: bill.appointmentId || null,
+        billId,
+        serviceId: item.id,
+        serviceName,
+        stylistId: existing?.stylistId || item.stylistId || null,
+        stylistName: existing?.stylistName || item.stylistName || '',
+        clientName: bill.clientName || '',
+        hairLength,
+        products,
+        actualRecorded: existing?.actualRecorded || false,
+        serviceDate: existing?.serviceDate || Timestamp.now(),
+        consumedAt: Timestamp.now(),
+        updatedAt: Timestamp.now()
+      }, { merge: true });
+
+      console.log(`✅ Service products consumed for ${serviceName}:`,
+        products.map(line => `${line.productName} ${line.deductedQuantity}${line.unit}`).join(', '));
+    } catch (serviceError) {
+      console.error(`Error processing service ${item.id}:`, serviceError);
+      // Continue with other services
+    }
+  }
+};
+
+/**
+ * Usage against recipe per stylist and product for a branch
+ * @param {string} branchId - Branch ID
+ * @param {Date} startDate - Period start
+ * @param {Date} endDate - Period end
+ * @param {number} thresholdPercent - Over-consumption threshold
+ * @returns {Promise<Array>} - [{ stylistId, stylistName, services, recordedServices, overConsumedCount,
+ *   products: [{ productId, productName, unit, services, standard, actual, variance, variancePercent, overConsumed }] }],
+ *   stylists with the most over-consumption first
+ */
+export const getUsageVarianceReport = async (branchId, startDate, endDate, thresholdPercent = USAGE_VARIANCE_THRESHOLD_PERCENT) => {
+  try {
+    // Filter dates client-side to avoid a composite index
+    const snapshot = await getDocs(query(collection(db, USAGE_COLLECTION), where('branchId', '==', branchId)));
+    const records = snapshot.docs
+      .map(usageDoc => ({ id: usageDoc.id, ...usageDoc.data() }))
+      .filter(record => {
+        const date = toDate(record.serviceDate);
+        return date && date >= startDate && date <= endDate;
+      });
+
+    const byStylist = new Map();
+    records.forEach(record => {
+      const stylistId = record.stylistId || 'unassigned';
+      if (!byStylist.has(stylistId)) {
+        byStylist.set(stylistId, {
+          stylistId,
+          stylistName: record.stylistName || (record.stylistId ? 'Unknown Stylist' : 'Unassigned'),
+          services: 0,
+          recordedServices: 0,
+          products: new Map()
+        });
+      }
+      const entry = byStylist.get(stylistId);
+      entry.services += 1;
+      if (record.actualRecorded) entry.recordedServices += 1;
+
+      (record.products || []).forEach(line => {
+        if (!entry.products.has(line.productId)) {
+          entry.products.set(line.productId, {
+            productId: line.productId,
+            productName: line.productName,
+            unit: line.unit,
+            services: 0,
+            standard: 0,
+            actual: 0
+          });
+        }
+        const product = entry.products.get(line.productId);
+        product.services += 1;
+        product.standard += line.standardQuantity || 0;
+        product.actual += line.actualQuantity || 0;
+      });
+    });
+
+    return Array.from(byStylist.values())
+      .map(entry => {
+        const products = Array.from(entry.products.values())
+          .map(product => {
+            const variance = roundQuantity(product.actual - product.standard);
+            const variancePercent = product.standard > 0
+              ? Math.round((variance / product.standard) * 1000) / 10
+              : product.actual > 0 ? 100 : 0;
+            return {
+              ...product,
+              standard: roundQuantity(product.standard),
+              actual: roundQuantity(product.actual),
+              variance,
+              variancePercent,
+              overConsumed: variancePercent > thresholdPercent
+            };
+          })
+          .sort((a, b) => b.variancePercent - a.variancePercent);
+        return {
+          ...entry,
+          products,
+          overConsumedCount: products.filter(product => product.overConsumed).length
+        };
+      })
+      .sort((a, b) => b.overConsumedCount - a.overConsumedCount ||
+        (b.products[0]?.variancePercent || 0) - (a.products[0]?.variancePercent || 0));
+  } catch (error) {
+    console.error('Error building usage variance report:', error);
+    toast.error('Failed to load usage variance report');
+    throw error;
+  }
+};
@@ -17,6 +17,7 @@ import {
 } from 'firebase/firestore';
 import { db } from '../config/firebase';
 import { inventoryService } from './inventoryService';
+import { getBranchReorderPoints } from './reorderPointService';
 
 class StockAlertsService {
   constructor() {
@@ -185,6 +186,14 @@ class StockAlertsService {
         location: String(alertData.location || ''),
         supplier: String(alertData.supplier || ''),
         notes: String(alertData.notes || ''),
+        // How the reorder point was worked out, for demand-driven alerts
+        ...(alertData.reorderPoint !== undefined && {
+          reorderPoint: Number(alertData.reorderPoint) || 0,
+          safetyStock: Number(alertData.safetyStock) || 0,
+          dailyDemand: Number(alertData.dailyDemand) || 0,
+          leadTimeDays: Number(alertData.leadTimeDays) || 0,
+          onOrder: Number(alertData.onOrder) || 0
+        }),
         actionTaken: null,
         lastRestocked: alertData.lastRestocked ? Timestamp.fromDate(new Date(alertData.lastRestocked)) : null,
         expectedRestock: alertData.expectedRestock ? Timestamp.fromDate(new Date(alertData.expectedRestock)) : null,
@@ -320,7 +329,10 @@ class StockAlertsService {
 
   /**
    * Automatically generate alerts for low stock items
-   * This should be called periodically or when stock changes
+   * This should be called periodically or when stock changes.
+   * Batch stocks are totalled per product and branch and compared with the branch's
+   * demand-driven reorder point (see reorderPointService); products with no recent demand
+   * and no minStock of their own use the low stock threshold from settings.
    * @param {string} branchId - Branch ID (optional, if not provided checks all branches)
    * @param {Object} settings - Alert settings { lowStockThreshold: 10, criticalThreshold: 0 }
    * @returns {Promise<Object>} - { success, alertsCreated, message }
@@ -359,20 +371,19 @@ class StockAlertsService {
       }
       
       const stocksSnap = await getDocs(stocksQuery);
-      const stocks = [];
+
+      // Total the batch stocks of each product per branch
+      const productStocks = new Map();
       stocksSnap.forEach((doc) => {
         const data = doc.data();
-        stocks.push({
-          id: doc.id,
-          ...data,
-        });
+        if (!data.productId) return;
+        const stockBranchId = data.branchId || branchId;
+        const key = `${data.productId}_${stockBranchId}`;
+        if (!productStocks.has(key)) {
+          productStocks.set(key, { ...data, branchId: stockBranchId, currentStock: 0 });
+        }
+        productStocks.get(key).currentStock += Number(data.realTimeStock) || 0;
       });
-      
-      const stocksResult = { success: true, stocks };
-
-      if (!stocksResult.success || !stocksResult.stocks) {
-        return { success: false, message: 'Failed to fetch stocks', alertsCreated: 0 };
-      }
 
       // Get branch names
       const branchNames = new Map();
@@ -382,14 +393,13 @@ class StockAlertsService {
         branchNames.set(doc.id, doc.data().name || doc.id);
       });
 
-      // Get product information to get minStock/maxStock
+      // Get product information to get maxStock
       const productsMap = new Map();
       const productsQuery = query(collection(db, 'products'));
       const productsSnap = await getDocs(productsQuery);
       productsSnap.forEach((doc) => {
         const productData = doc.data();
         productsMap.set(doc.id, {
-          minStock: productData.minStock || 10, // Default min stock
           maxStock: productData.maxStock || 100, // Default max stock
           brand: productData.brand || '',
           category: productData.category || '',
@@ -397,36 +407,59 @@ class StockAlertsService {
         });
       });
 
-      // Use configurable threshold from settings (default: 10)
+      // Reorder points for every branch with stock
+      const reorderPoints = new Map();
+      const stockBranchIds = [...new Set([...productStocks.values()].map(stock => stock.branchId))];
+      for (const stockBranchId of stockBranchIds) {
+        try {
+          const rows = await getBranchReorderPoints(stockBranchId);
+          rows.forEach(row => reorderPoints.set(`${row.productId}_${stockBranchId}`, row));
+        } catch (error) {
+          console.error(`Error loading reorder points for branch ${stockBranchId}:`, error);
+        }
+      }
+
+      // Use configurable threshold from settings (default: 10) where there is no reorder point
       const lowStockThreshold = settings?.lowStockThreshold || 10;
       const criticalThreshold = settings?.criticalThreshold !== undefined ? settings.criticalThreshold : 0;
 
-      // Check each stock and create alerts if needed
-      for (const stock of stocksResult.stocks) {
-        const currentStock = parseInt(stock.realTimeStock || 0);
+      // Check each product and create alerts if needed
+      for (const [alertKey, stock] of productStocks) {
+        const currentStock = Math.round(stock.currentStock * 100) / 100;
         const productInfo = productsMap.get(stock.productId);
         const maxStock = productInfo?.maxStock || 100; // Default max stock
-        const stockBranchId = stock.branchId || branchId;
-
-        // Determine alert type and priority using configurable threshold
+        const stockBranchId = stock.branchId;
+        const reorder = reorderPoints.get(alertKey);
+        const useReorderPoint = reorder && (reorder.hasDemand || reorder.reorderPoint > 0);
+        const reorderPoint = useReorderPoint ? reorder.reorderPoint : lowStockThreshold;
+        // Below safety stock the branch is already eating into its buffer
+        const urgentLevel = useReorderPoint && reorder.hasDemand ? reorder.safetyStock : reorderPoint * 0.5;
+
+        // Determine alert type and priority
         let alertType = null;
         let priority = 'Medium';
 
         if (currentStock <= criticalThreshold) {
           alertType = 'Out of Stock';
           priority = 'Critical';
-        } else if (currentStock <= lowStockThreshold) {
+        } else if (currentStock <= reorderPoint) {
           alertType = 'Low Stock';
-          priority = currentStock <= (lowStockThreshold * 0.5) ? 'High' : 'Medium';
+          priority = currentStock <= urgentLevel ? 'High' : 'Medium';
         } else if (currentStock > maxStock * 1.5 && maxStock > 0) {
           alertType = 'Overstock';
           priority = 'Low';
         }
 
+        const reorderDetails = useReorderPoint ? {
+          reorderPoint,
+          safetyStock: reorder.safetyStock,
+          dailyDemand: reorder.dailyDemand,
+          leadTimeDays: reorder.leadTimeDays,
+          onOrder: reorder.onOrder
+        } : {};
+
         // Only create alert if needed and doesn't already exist
         if (alertType) {
-          const alertKey = `${stock.productId}_${stockBranchId}`;
-          
           if (!existingAlerts.has(alertKey)) {
             const branchName = branchNames.get(stockBranchId) || stockBranchId;
             
@@ -438,15 +471,18 @@ class StockAlertsService {
               branchId: stockBranchId,
               branchName: branchName,
               currentStock: currentStock,
-              minStock: lowStockThreshold, // Use configured threshold
+              minStock: reorderPoint,
               maxStock: maxStock,
               unitCost: productInfo?.unitCost || stock.unitCost || 0,
               alertType: alertType,
               priority: priority,
               location: stock.location || '',
-              supplier: stock.supplier || '',
+              supplier: reorder?.supplierName || stock.supplier || '',
               lastRestocked: stock.lastRestocked,
-              notes: `Automatically generated alert for ${alertType.toLowerCase()} (Threshold: ${lowStockThreshold})`,
+              ...reorderDetails,
+              notes: useReorderPoint
+                ? `Automatically generated alert for ${alertType.toLowerCase()} (Reorder point: ${reorderPoint} from ${reorder.dailyDemand}/day over a ${reorder.leadTimeDays}-day lead time)`
+                : `Automatically generated alert for ${alertType.toLowerCase()} (Threshold: ${lowStockThreshold})`,
             };
 
             const result = await this.createAlert(alertData);
@@ -461,10 +497,12 @@ class StockAlertsService {
             if (existingAlert.success) {
               const alert = existingAlert.alert;
               
-              // Update if stock level changed or alert type should change
-              if (alert.currentStock !== currentStock || alert.alertType !== alertType) {
+              // Update if stock level, reorder point or alert type changed
+              if (alert.currentStock !== currentStock || alert.alertType !== alertType || alert.minStock !== reorderPoint) {
                 await this.updateAlert(existingAlertId, {
                   currentStock: currentStock,
+                  minStock: reorderPoint,
+                  ...reorderDetails,
                   alertType: alertType,
                   priority: priority,
                   totalValue: currentStock * (productInfo?.unitCost || stock.unitCost || 0),
@@ -474,7 +512,6 @@ class StockAlertsService {
           }
         } else {
           // Stock is normal, resolve any existing active alerts for this product
-          const alertKey = `${stock.productId}_${stockBranchId}`;
           if (existingAlerts.has(alertKey)) {
             const existingAlertId = existingAlerts.get(alertKey);
             await this.resolveAlert(existingAlertId, 'Stock level returned to normal');
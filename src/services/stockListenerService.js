@@ -327,6 +327,7 @@ class StockListenerService {
 
   /**
    * Return stock for voided transactions
+   * Units already put back by a line-item refund (item.refundedQuantity) are skipped
    * @param {Object} transactionData - Transaction data
    * @param {string} transactionId - Transaction ID
    */
@@ -351,10 +352,12 @@ class StockListenerService {
     // Process each product in the transaction
     for (const product of productItems) {
       const productId = product.id || product.productId;
-      const quantity = parseInt(product.quantity || 1);
+      const quantity = parseInt(product.quantity || 1) - parseInt(product.refundedQuantity || 0);
 
       if (!productId || quantity <= 0) {
-        console.warn(`Invalid product data in transaction ${transactionId}:`, product);
+        if (!productId) {
+          console.warn(`Invalid product data in transaction ${transactionId}:`, product);
+        }
         continue;
       }
 
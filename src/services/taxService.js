@@ -0,0 +1,167 @@
+/**
+ * Tax Service
+ * Per-branch VAT settings and the VAT engine behind bill totals: VAT-inclusive or
+ * exclusive pricing, VAT-exempt and zero-rated lines, and the statutory senior
+ * citizen / PWD discount (VAT exemption plus 20% off, with the ID number recorded)
+ */
+
+// Branch taxSettings.mode values
+export const TAX_MODES = {
+  INCLUSIVE: 'inclusive', // Prices already include VAT; VAT is extracted for the receipt
+  EXCLUSIVE: 'exclusive' // VAT is added on top of prices
+};
+
+// Line item / service / product taxTreatment values
+export const TAX_TREATMENTS = {
+  VATABLE: 'vatable',
+  EXEMPT: 'vat_exempt',
+  ZERO_RATED: 'zero_rated'
+};
+
+export const TAX_TREATMENT_LABELS = {
+  [TAX_TREATMENTS.VATABLE]: 'VATable',
+  [TAX_TREATMENTS.EXEMPT]: 'VAT-Exempt',
+  [TAX_TREATMENTS.ZERO_RATED]: 'Zero-Rated'
+};
+
+export const STATUTORY_DISCOUNT_TYPES = {
+  SENIOR_CITIZEN: 'senior_citizen',
+  PWD: 'pwd'
+};
+
+export const STATUTORY_DISCOUNT_LABELS = {
+  [STATUTORY_DISCOUNT_TYPES.SENIOR_CITIZEN]: 'Senior Citizen',
+  [STATUTORY_DISCOUNT_TYPES.PWD]: 'PWD'
+};
+
+// Statutory discount rate on the VAT-exclusive price
+export const STATUTORY_DISCOUNT_RATE = 20;
+
+// Branches without taxSettings: prices are VAT-inclusive at 12%
+export const DEFAULT_TAX_SETTINGS = {
+  mode: TAX_MODES.INCLUSIVE,
+  rate: 12,
+  tin: '' // VAT registration TIN printed on receipts
+};
+
+const round2 = (value) => parseFloat((value || 0).toFixed(2));
+
+/**
+ * Get a branch's tax settings, filling in defaults
+ * @param {Object} branch - Branch document
+ * @returns {Object} - { mode, rate, tin }
+ */
+export const getBranchTaxSettings = (branch) => {
+  const settings = { ...DEFAULT_TAX_SETTINGS, ...(branch?.taxSettings || {}) };
+  return {
+    ...settings,
+    rate: parseFloat(settings.rate) || 0
+  };
+};
+
+/**
+ * Get the tax treatment of a bill line
+ * Gift cards are not sold with VAT; their VAT is charged when they are redeemed
+ * @param {Object} item - Bill item
+ * @returns {string} - TAX_TREATMENTS value
+ */
+export const getLineTaxTreatment = (item) => {
+  if (item.type === 'gift_card') return TAX_TREATMENTS.EXEMPT;
+  return Object.values(TAX_TREATMENTS).includes(item.taxTreatment) ? item.taxTreatment : TAX_TREATMENTS.VATABLE;
+};
+
+/**
+ * Validate a statutory discount before checkout
+ * @param {Object|null} statutoryDiscount - { type, idNumber, holderName }
+ * @returns {string|null} - Error message or null
+ */
+export const validateStatutoryDiscount = (statutoryDiscount) => {
+  if (!statutoryDiscount?.type) return null;
+  if (!Object.values(STATUTORY_DISCOUNT_TYPES).includes(statutoryDiscount.type)) {
+    return 'Invalid discount type';
+  }
+  if (!statutoryDiscount.idNumber?.trim()) {
+    return `${STATUTORY_DISCOUNT_LABELS[statutoryDiscount.type]} ID number is required`;
+  }
+  if (!statutoryDiscount.holderName?.trim()) {
+    return `Name on the ${STATUTORY_DISCOUNT_LABELS[statutoryDiscount.type]} ID is required`;
+  }
+  return null;
+};
+
+/**
+ * Split a bill into VAT buckets
+ * Without a statutory discount, bill discounts are spread over the lines by value and
+ * VAT is worked out on what remains. With one, the VAT is removed from every line
+ * (except gift cards), 20% is taken off the VAT-exclusive price, and the other
+ * discounts are not applied.
+ * @param {Object} params
+ * @param {Array} params.items - Bill items ({ type, price, quantity, taxTreatment })
+ * @param {number} params.discountAmount - Manual and promotion discounts (ignored with a statutory discount)
+ * @param {Object} params.taxSettings - { mode, rate }
+ * @param {Object|null} params.statutoryDiscount - { type, idNumber, holderName }
+ * @returns {Object} - { vatableSales, vatAmount, vatExemptSales, zeroRatedSales, vatExemption, statutoryDiscount, amountDue }
+ */
+export const calculateTaxBreakdown = ({ items = [], discountAmount = 0, taxSettings, statutoryDiscount = null }) => {
+  const mode = taxSettings?.mode || TAX_MODES.EXCLUSIVE;
+  const rate = (parseFloat(taxSettings?.rate) || 0) / 100;
+  const lines = items.map(item => ({
+    type: item.type,
+    gross: (item.price || 0) * (item.quantity || 1),
+    treatment: getLineTaxTreatment(item)
+  }));
+  const grossTotal = lines.reduce((sum, line) => sum + line.gross, 0);
+
+  const breakdown = {
+    vatableSales: 0,
+    vatAmount: 0,
+    vatExemptSales: 0,
+    zeroRatedSales: 0,
+    vatExemption: 0,
+    statutoryDiscount: 0,
+    amountDue: 0
+  };
+
+  if (statutoryDiscount?.type) {
+    lines.forEach(line => {
+      if (line.type === 'gift_card') {
+        breakdown.vatExemptSales += line.gross;
+        breakdown.amountDue += line.gross;
+        return;
+      }
+      const base = line.treatment === TAX_TREATMENTS.VATABLE && mode === TAX_MODES.INCLUSIVE
+        ? line.gross / (1 + rate)
+        : line.gross;
+      const discount = (base * STATUTORY_DISCOUNT_RATE) / 100;
+      breakdown.vatExemption += line.gross - base;
+      breakdown.vatExemptSales += base;
+      breakdown.statutoryDiscount += discount;
+      breakdown.amountDue += base - discount;
+    });
+  } else {
+    const appliedDiscount = Math.min(Math.max(0, discountAmount), grossTotal);
+    lines.forEach(line => {
+      const share = grossTotal > 0 ? line.gross / grossTotal : 0;
+      const net = line.gross - appliedDiscount * share;
+
+      if (line.treatment === TAX_TREATMENTS.EXEMPT) {
+        breakdown.vatExemptSales += net;
+        breakdown.amountDue += net;
+      } else if (line.treatment === TAX_TREATMENTS.ZERO_RATED) {
+        breakdown.zeroRatedSales += net;
+        breakdown.amountDue += net;
+      } else if (mode === TAX_MODES.INCLUSIVE) {
+        const base = net / (1 + rate);
+        breakdown.vatableSales += base;
+        breakdown.vatAmount += net - base;
+        breakdown.amountDue += net;
+      } else {
+        breakdown.vatableSales += net;
+        breakdown.vatAmount += net * rate;
+        breakdown.amountDue += net * (1 + rate);
+      }
+    });
+  }
+
+  return Object.fromEntries(Object.entries(breakdown).map(([key, value]) => [key, round2(value)]));
+};
@@ -0,0 +1,276 @@
+/**
+ * Transaction Number Service
+ * Allocates per-branch transaction numbers (the bill document ID) from an atomic counter,
+ * keeps a registry of physical receipt numbers, and audits numbers that were skipped
+ */
+
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  deleteDoc,
+  query,
+  where,
+  Timestamp,
+  runTransaction,
+  getCountFromServer,
+  addDoc
+} from 'firebase/firestore';
+import { format } from 'date-fns';
+import { db } from '../config/firebase';
+
+// Collections
+const BILLS_COLLECTION = 'transactions';
+const SEQUENCES_COLLECTION = 'transaction_sequences'; // transaction_sequences/{branchId} or {branchId}_{yyyyMMdd}
+const RECEIPT_REGISTRY_COLLECTION = 'receipt_numbers'; // receipt_numbers/{branchId}_{receiptNumber}
+const SKIPPED_NUMBERS_COLLECTION = 'transaction_number_skips';
+
+// Branch receiptSequenceReset values
+export const RECEIPT_SEQUENCE_RESET = {
+  NEVER: 'never', // ABC-0042
+  DAILY: 'daily' // ABC-20261019-0001
+};
+
+// Upper bound on already-used numbers skipped in one allocation (legacy IDs created by counting)
+const MAX_COLLISION_SKIPS = 25;
+
+/**
+ * Get the 3-character branch code used as the transaction number prefix
+ * @param {string} branchId - Branch document ID
+ * @returns {string} - Uppercase branch code
+ */
+export const getBranchCode = (branchId) => (branchId || '').substring(0, 3).toUpperCase().padEnd(3, 'X');
+
+const getSequenceInfo = (branch, date = new Date()) => {
+  const daily = branch.receiptSequenceReset === RECEIPT_SEQUENCE_RESET.DAILY;
+  const dateKey = daily ? format(date, 'yyyyMMdd') : null;
+  return {
+    daily,
+    dateKey,
+    branchCode: getBranchCode(branch.id),
+    sequenceKey: daily ? `${branch.id}_${dateKey}` : branch.id
+  };
+};
+
+/**
+ * Format a transaction number
+ * @param {string} branchCode - Branch code
+ * @param {number} sequence - Sequence number
+ * @param {string|null} dateKey - yyyyMMdd for daily sequences
+ * @returns {string} - e.g. ABC-0042 or ABC-20261019-0001
+ */
+export const formatTransactionNumber = (branchCode, sequence, dateKey = null) => {
+  const number = String(sequence).padStart(4, '0');
+  return dateKey ? `${branchCode}-${dateKey}-${number}` : `${branchCode}-${number}`;
+};
+
+/**
+ * Starting point for a continuous sequence that has no counter yet
+ * Branches that already have count-based IDs continue after them
+ * @param {string} branchId - Branch ID
+ * @returns {Promise<number>} - Last number already in use
+ */
+const getSequenceSeed = async (branchId) => {
+  const countSnap = await getCountFromServer(
+    query(collection(db, BILLS_COLLECTION), where('branchId', '==', branchId))
+  );
+  return countSnap.data().count;
+};
+
+/**
+ * Preview the next transaction number without reserving it
+ * @param {Object} branch - Branch data ({ id, receiptSequenceReset })
+ * @returns {Promise<string>} - Next transaction number
+ */
+export const previewTransactionNumber = async (branch) => {
+  const { daily, dateKey, branchCode, sequenceKey } = getSequenceInfo(branch);
+  const counterSnap = await getDoc(doc(db, SEQUENCES_COLLECTION, sequenceKey));
+
+  let lastNumber = 0;
+  if (counterSnap.exists()) {
+    lastNumber = counterSnap.data().lastNumber || 0;
+  } else if (!daily) {
+    lastNumber = await getSequenceSeed(branch.id);
+  }
+
+  return formatTransactionNumber(branchCode, lastNumber + 1, dateKey);
+};
+
+/**
+ * Reserve the next transaction number for a branch
+ * The counter is read and advanced inside one Firestore transaction, so two
+ * counters checking out at the same time always get different numbers
+ * @param {Object} branch - Branch data ({ id, receiptSequenceReset })
+ * @param {Object} currentUser - User creating the bill
+ * @returns {Promise<Object>} - { transactionId, sequence, sequenceKey, branchId }
+ */
+export const allocateTransactionNumber = async (branch, currentUser) => {
+  try {
+    if (!branch?.id) {
+      throw new Error('Branch ID is required to allocate a transaction number');
+    }
+
+    const { daily, dateKey, branchCode, sequenceKey } = getSequenceInfo(branch);
+    const counterRef = doc(db, SEQUENCES_COLLECTION, sequenceKey);
+
+    // Only read when the counter does not exist yet; transactions cannot run queries
+    const existingCounter = await getDoc(counterRef);
+    const seed = existingCounter.exists() || daily ? 0 : await getSequenceSeed(branch.id);
+
+    let skipped = [];
+    const allocation = await runTransaction(db, async (transaction) => {
+      skipped = [];
+      const counterSnap = await transaction.get(counterRef);
+      let sequence = counterSnap.exists() ? (counterSnap.data().lastNumber || 0) : seed;
+      let transactionId;
+
+      for (let attempt = 0; attempt <= MAX_COLLISION_SKIPS; attempt++) {
+        sequence++;
+        transactionId = formatTransactionNumber(branchCode, sequence, dateKey);
+        const billSnap = await transaction.get(doc(db, BILLS_COLLECTION, transactionId));
+        if (!billSnap.exists()) break;
+
+        skipped.push({ transactionId, sequence });
+        transactionId = null;
+      }
+
+      if (!transactionId) {
+        throw new Error('Unable to allocate a transaction number. Please try again.');
+      }
+
+      transaction.set(counterRef, {
+        branchId: branch.id,
+        branchCode,
+        dateKey,
+        lastNumber: sequence,
+        updatedAt: Timestamp.now()
+      }, { merge: true });
+
+      return { transactionId, sequence, sequenceKey, branchId: branch.id };
+    });
+
+    for (const skip of skipped) {
+      await recordSkippedTransactionNumber(
+        { ...skip, sequenceKey, branchId: branch.id },
+        'Number already used by an existing transaction',
+        currentUser
+      );
+    }
+
+    return allocation;
+  } catch (error) {
+    console.error('Error allocating transaction number:', error);
+    throw error;
+  }
+};
+
+/**
+ * Record a transaction number that was allocated or passed over but never used for a bill
+ * @param {Object} allocation - { transactionId, sequence, sequenceKey, branchId }
+ * @param {string} reason - Why the number was skipped
+ * @param {Object} currentUser - User who was creating the bill
+ * @returns {Promise<void>}
+ */
+export const recordSkippedTransactionNumber = async (allocation, reason, currentUser) => {
+  try {
+    await addDoc(collection(db, SKIPPED_NUMBERS_COLLECTION), {
+      branchId: allocation.branchId,
+      transactionId: allocation.transactionId,
+      sequence: allocation.sequence,
+      sequenceKey: allocation.sequenceKey,
+      reason: reason || 'Not used',
+      performedBy: currentUser?.uid || currentUser?.id || 'system',
+      createdAt: Timestamp.now()
+    });
+  } catch (error) {
+    // The audit must never block a checkout
+    console.error('Error recording skipped transaction number:', error);
+  }
+};
+
+/**
+ * Get the audit of skipped transaction numbers for a branch (newest first)
+ * @param {string} branchId - Branch ID
+ * @returns {Promise<Array>} - Array of skipped number records
+ */
+export const getSkippedTransactionNumbers = async (branchId) => {
+  try {
+    const q = query(
+      collection(db, SKIPPED_NUMBERS_COLLECTION),
+      where('branchId', '==', branchId)
+    );
+    const snapshot = await getDocs(q);
+    const skipped = snapshot.docs.map(skipDoc => ({
+      id: skipDoc.id,
+      ...skipDoc.data(),
+      createdAt: skipDoc.data().createdAt?.toDate()
+    }));
+
+    // Sort client-side to avoid a composite index
+    skipped.sort((a, b) => (b.createdAt?.getTime() || 0) - (a.createdAt?.getTime() || 0));
+    return skipped;
+  } catch (error) {
+    console.error('Error fetching skipped transaction numbers:', error);
+    return [];
+  }
+};
+
+const getReceiptRegistryRef = (branchId, receiptNumber) =>
+  doc(db, RECEIPT_REGISTRY_COLLECTION, `${branchId}_${receiptNumber.trim().replace(/\//g, '-')}`);
+
+/**
+ * Claim a physical receipt number for a bill
+ * Fails if another bill at the branch already holds the number
+ * @param {string} branchId - Branch ID
+ * @param {string} receiptNumber - Receipt number printed on the physical receipt
+ * @param {string} billId - Bill claiming the number
+ * @returns {Promise<void>}
+ */
+export const claimReceiptNumber = async (branchId, receiptNumber, billId) => {
+  const registryRef = getReceiptRegistryRef(branchId, receiptNumber);
+
+  await runTransaction(db, async (transaction) => {
+    const registrySnap = await transaction.get(registryRef);
+    if (registrySnap.exists() && registrySnap.data().billId !== billId) {
+      throw new Error(`Receipt number "${receiptNumber.trim()}" already exists! Please use a different receipt number.`);
+    }
+
+    transaction.set(registryRef, {
+      branchId,
+      receiptNumber: receiptNumber.trim(),
+      billId,
+      createdAt: Timestamp.now()
+    });
+  });
+};
+
+/**
+ * Release a receipt number claimed by a checkout that did not complete
+ * @param {string} branchId - Branch ID
+ * @param {string} receiptNumber - Receipt number
+ * @param {string} billId - Bill that claimed the number
+ * @returns {Promise<void>}
+ */
+export const releaseReceiptNumber = async (branchId, receiptNumber, billId) => {
+  try {
+    const registryRef = getReceiptRegistryRef(branchId, receiptNumber);
+    const registrySnap = await getDoc(registryRef);
+    if (registrySnap.exists() && registrySnap.data().billId === billId) {
+      await deleteDoc(registryRef);
+    }
+  } catch (error) {
+    console.error('Error releasing receipt number:', error);
+  }
+};
+
+/**
+ * Look up which bill holds a receipt number at a branch
+ * @param {string} branchId - Branch ID
+ * @param {string} receiptNumber - Receipt number
+ * @returns {Promise<string|null>} - Bill ID or null if the number is free
+ */
+export const getReceiptNumberBillId = async (branchId, receiptNumber) => {
+  const registrySnap = await getDoc(getReceiptRegistryRef(branchId, receiptNumber));
+  return registrySnap.exists() ? registrySnap.data().billId : null;
+};
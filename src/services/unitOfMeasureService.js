@@ -0,0 +1,145 @@
+/**
+ * Unit of Measure Service
+ * Each product counts in a base unit (e.g. ml) with pack sizes built on it
+ * (bottle = 1000 ml, case = 12 bottles). Suppliers are ordered from in the purchase unit,
+ * shelves, batches and transfers count the stock unit, and services consume the usage unit;
+ * everything converts through the base unit.
+ */
+
+import { doc, getDoc } from 'firebase/firestore';
+import { db } from '../config/firebase';
+
+// Units everyone knows how to convert, per base unit
+const MEASURE_CONVERSIONS = {
+  ml: { ml: 1, l: 1000, oz: 29.5735 },
+  g: { g: 1, kg: 1000, oz: 28.3495 }
+};
+
+export const BASE_UNITS = ['pcs', 'ml', 'g'];
+
+export const PACK_UNITS = ['bottle', 'tube', 'jar', 'sachet', 'box', 'pack', 'case', 'carton'];
+
+const DEFAULT_UNIT = 'pcs';
+
+const roundQuantity = (value) => Math.round((Number(value) || 0) * 10000) / 10000;
+
+/**
+ * Read a product's units, filling in the defaults
+ * Products without units set up count everything in one unit, as they always have.
+ * @param {Object} product - Product with unitsOfMeasure
+ * @returns {Object} - { configured, baseUnit, packSizes: [{ unit, quantity }], stockUnit, purchaseUnit, usageUnit }
+ *   where each pack size holds `quantity` of the unit before it (the first holds base units)
+ */
+export const getProductUnits = (product) => {
+  const units = product?.unitsOfMeasure;
+  if (!units?.baseUnit) {
+    return {
+      configured: false,
+      baseUnit: DEFAULT_UNIT,
+      packSizes: [],
+      stockUnit: DEFAULT_UNIT,
+      purchaseUnit: DEFAULT_UNIT,
+      usageUnit: DEFAULT_UNIT
+    };
+  }
+
+  const packSizes = (units.packSizes || [])
+    .filter(pack => pack.unit && Number(pack.quantity) > 0)
+    .map(pack => ({ unit: pack.unit, quantity: Number(pack.quantity) }));
+  const knownUnits = [units.baseUnit, ...packSizes.map(pack => pack.unit)];
+  const pick = (unit, fallback) => (knownUnits.includes(unit) ? unit : fallback);
+  const largest = packSizes.length > 0 ? packSizes[packSizes.length - 1].unit : units.baseUnit;
+
+  return {
+    configured: true,
+    baseUnit: units.baseUnit,
+    packSizes,
+    stockUnit: pick(units.stockUnit, packSizes[0]?.unit || units.baseUnit),
+    purchaseUnit: pick(units.purchaseUnit, largest),
+    usageUnit: units.usageUnit && getUnitFactor({ baseUnit: units.baseUnit, packSizes }, units.usageUnit)
+      ? units.usageUnit
+      : units.baseUnit
+  };
+};
+
+/**
+ * How many base units one of a unit holds
+ * @param {Object} units - getProductUnits result
+ * @param {string} unit - Unit name
+ * @returns {number|null} - null when the unit means nothing for this product
+ */
+export const getUnitFactor = (units, unit) => {
+  if (!unit || unit === units.baseUnit) return 1;
+
+  let factor = 1;
+  for (const pack of units.packSizes || []) {
+    factor *= pack.quantity;
+    if (pack.unit === unit) return factor;
+  }
+
+  return MEASURE_CONVERSIONS[units.baseUnit]?.[unit] || null;
+};
+
+/**
+ * Convert a quantity between two of a product's units
+ * @param {Object} units - getProductUnits result
+ * @param {number} quantity - Quantity in fromUnit
+ * @param {string} fromUnit - Unit the quantity is in
+ * @param {string} toUnit - Unit wanted
+ * @returns {number}
+ */
+export const convertQuantity = (units, quantity, fromUnit, toUnit) => {
+  if (fromUnit === toUnit) return Number(quantity) || 0;
+  const fromFactor = getUnitFactor(units, fromUnit);
+  const toFactor = getUnitFactor(units, toUnit);
+  if (!fromFactor || !toFactor) {
+    throw new Error(`Cannot convert ${fromUnit} to ${toUnit} for this product`);
+  }
+  return roundQuantity((Number(quantity) || 0) * fromFactor / toFactor);
+};
+
+/**
+ * Quantity in the product's stock unit
+ * @param {Object} units - getProductUnits result
+ * @param {number} quantity - Quantity
+ * @param {string} unit - Unit the quantity is in (defaults to the stock unit)
+ * @returns {number}
+ */
+export const toStockQuantity = (units, quantity, unit) =>
+  convertQuantity(units, quantity, unit || units.stockUnit, units.stockUnit);
+
+/**
+ * Units a quantity of this product can be entered in, smallest first
+ * @param {Object} units - getProductUnits result
+ * @returns {Array<string>}
+ */
+export const getAvailableUnits = (units) => [units.baseUnit, ...units.packSizes.map(pack => pack.unit)];
+
+/**
+ * Human-readable pack structure, e.g. "1 case = 12 bottle, 1 bottle = 1000 ml"
+ * @param {Object} units - getProductUnits result
+ * @returns {string}
+ */
+export const describePackSizes = (units) => {
+  if (units.packSizes.length === 0) return `Counted in ${units.baseUnit}`;
+  const chain = [...units.packSizes].reverse().map((pack, index, reversed) => {
+    const next = reversed[index + 1]?.unit || units.baseUnit;
+    return `1 ${pack.unit} = ${pack.quantity} ${next}`;
+  });
+  return chain.join(', ');
+};
+
+/**
+ * Load a product's units
+ * @param {string} productId - Product ID
+ * @returns {Promise<Object>} - getProductUnits result
+ */
+export const getProductUnitsById = async (productId) => {
+  try {
+    const productDoc = await getDoc(doc(db, 'products', productId));
+    return getProductUnits(productDoc.exists() ? productDoc.data() : null);
+  } catch (error) {
+    console.error('Error loading product units:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,595 @@
+/**
+ * Waitlist Service
+ * Clients waiting on a fully booked branch/service/stylist/date window, and the slot offers
+ * made to them in priority order when a booking is cancelled or rescheduled
+ */
+
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  addDoc,
+  updateDoc,
+  query,
+  where,
+  Timestamp,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from '../config/firebase';
+import { getSlotAvailability } from './availabilityService';
+import { sequenceServices } from './serviceManagementService';
+import { createAppointment, APPOINTMENT_STATUS } from './appointmentService';
+import { logActivity } from './activityService';
+import { storeWaitlistOffer } from './notificationService';
+import toast from 'react-hot-toast';
+
+const WAITLIST_COLLECTION = 'waitlist';
+
+export const WAITLIST_STATUS = {
+  WAITING: 'waiting',
+  OFFERED: 'offered',
+  BOOKED: 'booked',
+  EXPIRED: 'expired', // Date window passed without a booking
+  REMOVED: 'removed'
+};
+
+export const WAITLIST_STATUS_LABELS = {
+  [WAITLIST_STATUS.WAITING]: 'Waiting',
+  [WAITLIST_STATUS.OFFERED]: 'Slot Offered',
+  [WAITLIST_STATUS.BOOKED]: 'Booked',
+  [WAITLIST_STATUS.EXPIRED]: 'Expired',
+  [WAITLIST_STATUS.REMOVED]: 'Removed'
+};
+
+export const WAITLIST_PRIORITIES = {
+  HIGH: 'high',
+  NORMAL: 'normal'
+};
+
+// How long a freed slot is held for the client it was offered to
+export const OFFER_HOLD_MINUTES = 30;
+
+const ACTIVE_STATUSES = [WAITLIST_STATUS.WAITING, WAITLIST_STATUS.OFFERED];
+
+const toDate = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) return value;
+  if (value.toDate) return value.toDate();
+  return new Date(value);
+};
+
+const pad = (value) => value.toString().padStart(2, '0');
+
+// Local YYYY-MM-DD, the format entry date windows are stored in
+const toDateKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const toTimeKey = (date) => `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+// Identifies a freed slot so a client who passed on it is not offered it again
+const getSlotKey = (start) => start.getTime().toString();
+
+const mapEntry = (docSnap) => {
+  const data = docSnap.data();
+  return {
+    id: docSnap.id,
+    ...data,
+    createdAt: data.createdAt?.toDate(),
+    updatedAt: data.updatedAt?.toDate(),
+    offer: data.offer ? {
+      ...data.offer,
+      appointmentDate: data.offer.appointmentDate?.toDate(),
+      offeredAt: data.offer.offeredAt?.toDate(),
+      expiresAt: data.offer.expiresAt?.toDate()
+    } : null
+  };
+};
+
+// High priority first, then first come first served
+const sortByPriority = (entries) => entries.sort((a, b) => {
+  const aPriority = a.priority === WAITLIST_PRIORITIES.HIGH ? 0 : 1;
+  const bPriority = b.priority === WAITLIST_PRIORITIES.HIGH ? 0 : 1;
+  if (aPriority !== bPriority) return aPriority - bPriority;
+  return (a.createdAt?.getTime() || 0) - (b.createdAt?.getTime() || 0);
+});
+
+const getStylistIds = (appointment) => {
+  const stylistIds = (appointment.services || []).map(svc => svc.stylistId).filter(Boolean);
+  if (appointment.stylistId) stylistIds.push(appointment.stylistId);
+  return [...new Set(stylistIds)];
+};
+
+const getStylistName = (appointment, stylistId) => {
+  if (!stylistId) return null;
+  const service = (appointment.services || []).find(svc => svc.stylistId === stylistId && svc.stylistName);
+  return service?.stylistName || (appointment.stylistId === stylistId ? appointment.stylistName : null) || null;
+};
+
+/**
+ * Check whether the offer hold on an entry has run out
+ * @param {Object} entry - Waitlist entry
+ * @returns {boolean}
+ */
+export const isOfferExpired = (entry) =>
+  entry?.status === WAITLIST_STATUS.OFFERED && !!entry.offer?.expiresAt && toDate(entry.offer.expiresAt) <= new Date();
+
+/**
+ * Get the waitlist for a branch in priority order
+ * @param {string} branchId - Branch ID
+ * @returns {Promise<Array>}
+ */
+export const getWaitlistByBranch = async (branchId) => {
+  try {
+    // Sort in memory to avoid a composite index
+    const q = query(collection(db, WAITLIST_COLLECTION), where('branchId', '==', branchId));
+    const snapshot = await getDocs(q);
+    return sortByPriority(snapshot.docs.map(mapEntry));
+  } catch (error) {
+    console.error('Error fetching waitlist:', error);
+    toast.error('Failed to load waitlist');
+    throw error;
+  }
+};
+
+/**
+ * Get a client's waitlist entries, newest first
+ * @param {string} clientId - Client ID
+ * @returns {Promise<Array>}
+ */
+export const getWaitlistByClient = async (clientId) => {
+  try {
+    const q = query(collection(db, WAITLIST_COLLECTION), where('clientId', '==', clientId));
+    const snapshot = await getDocs(q);
+    return snapshot.docs
+      .map(mapEntry)
+      .sort((a, b) => (b.createdAt?.getTime() || 0) - (a.createdAt?.getTime() || 0));
+  } catch (error) {
+    console.error('Error fetching client waitlist:', error);
+    toast.error('Failed to load your waitlist');
+    throw error;
+  }
+};
+
+/**
+ * Add a client to the waitlist
+ * @param {Object} entryData - { branchId, branchName, clientId, clientName, clientPhone, clientEmail, isGuest,
+ *   services: [{ serviceId, serviceName, stylistId, stylistName, duration, price, phases }], stylistId, stylistName,
+ *   dateFrom, dateTo (YYYY-MM-DD), timeFrom, timeTo (HH:MM, optional), priority, notes }
+ * @param {Object} currentUser - User adding the entry
+ * @returns {Promise<string>} - Entry ID
+ */
+export const joinWaitlist = async (entryData, currentUser) => {
+  try {
+    const services = (entryData.services || []).filter(svc => svc.serviceId);
+    if (!entryData.branchId || services.length === 0 || !entryData.dateFrom) {
+      throw new Error('Missing required waitlist fields');
+    }
+    if (!entryData.clientId && !entryData.clientName) {
+      throw new Error('Client name is required for guest waitlist entries');
+    }
+
+    const dateTo = entryData.dateTo || entryData.dateFrom;
+    if (dateTo < entryData.dateFrom) {
+      toast.error('The end of the date window cannot be before its start');
+      throw new Error('Invalid waitlist date window');
+    }
+    if (entryData.timeFrom && entryData.timeTo && entryData.timeTo <= entryData.timeFrom) {
+      toast.error('The latest start time must be after the earliest start time');
+      throw new Error('Invalid waitlist time window');
+    }
+
+    const serviceIds = services.map(svc => svc.serviceId);
+
+    // One active entry per client, branch and service set with overlapping dates
+    if (entryData.clientId) {
+      const existing = await getDocs(query(
+        collection(db, WAITLIST_COLLECTION),
+        where('clientId', '==', entryData.clientId)
+      ));
+      const duplicate = existing.docs.map(mapEntry).some(entry =>
+        ACTIVE_STATUSES.includes(entry.status) &&
+        entry.branchId === entryData.branchId &&
+        entry.serviceIds?.length === serviceIds.length &&
+        serviceIds.every(id => entry.serviceIds.includes(id)) &&
+        entry.dateFrom <= dateTo && entry.dateTo >= entryData.dateFrom
+      );
+      if (duplicate) {
+        toast.error('Already on the waitlist for these services and dates');
+        throw new Error('Duplicate waitlist entry');
+      }
+    }
+
+    // Run back-to-back, keeping any phases so offers only need the stylist's busy time
+    const entryServices = sequenceServices(services.map(svc => ({
+      serviceId: svc.serviceId,
+      serviceName: svc.serviceName || '',
+      stylistId: svc.stylistId || null,
+      stylistName: svc.stylistName || null,
+      duration: svc.duration || 60,
+      price: svc.price || 0,
+      phases: svc.phases || []
+    })));
+
+    const entry = {
+      branchId: entryData.branchId,
+      branchName: entryData.branchName || '',
+      clientId: entryData.clientId || null,
+      clientName: entryData.clientName || '',
+      clientPhone: entryData.clientPhone || '',
+      clientEmail: entryData.clientEmail || '',
+      isGuest: !entryData.clientId,
+      services: entryServices,
+      serviceIds,
+      // Slots are matched on the first service's stylist, as in the booking flow
+      stylistId: entryData.stylistId ?? services[0].stylistId ?? null,
+      stylistName: entryData.stylistName ?? services[0].stylistName ?? null,
+      duration: entryServices.reduce((sum, svc) => sum + svc.duration, 0),
+      totalPrice: services.reduce((sum, svc) => sum + (svc.price || 0), 0),
+      dateFrom: entryData.dateFrom,
+      dateTo,
+      timeFrom: entryData.timeFrom || null,
+      timeTo: entryData.timeTo || null,
+      priority: entryData.priority === WAITLIST_PRIORITIES.HIGH ? WAITLIST_PRIORITIES.HIGH : WAITLIST_PRIORITIES.NORMAL,
+      notes: entryData.notes || '',
+      status: WAITLIST_STATUS.WAITING,
+      offer: null,
+      declinedSlots: [],
+      appointmentId: null,
+      createdBy: currentUser.uid,
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp()
+    };
+
+    const docRef = await addDoc(collection(db, WAITLIST_COLLECTION), entry);
+
+    await logActivity({
+      performedBy: currentUser.uid,
+      action: 'JOIN_WAITLIST',
+      targetType: 'waitlist',
+      targetId: docRef.id,
+      details: `Added ${entry.clientName || entry.clientId} to the waitlist for ${entry.dateFrom}${dateTo !== entry.dateFrom ? ` to ${dateTo}` : ''}`,
+      metadata: { branchId: entry.branchId, serviceIds, stylistId: entry.stylistId }
+    });
+
+    toast.success('Added to the waitlist');
+    return docRef.id;
+  } catch (error) {
+    console.error('Error joining waitlist:', error);
+    if (error.message !== 'Duplicate waitlist entry' && !error.message.startsWith('Invalid waitlist')) {
+      toast.error('Failed to join the waitlist');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Check whether a freed slot falls inside an entry's branch, stylist, date and time window
+ */
+const entryMatchesSlot = (entry, slot) => {
+  if (entry.status !== WAITLIST_STATUS.WAITING || entry.branchId !== slot.branchId) return false;
+  if (entry.clientId && entry.clientId === slot.clientId) return false;
+  if ((entry.declinedSlots || []).includes(getSlotKey(slot.start))) return false;
+
+  const dateKey = toDateKey(slot.start);
+  if (dateKey < entry.dateFrom || dateKey > entry.dateTo) return false;
+
+  const timeKey = toTimeKey(slot.start);
+  if (entry.timeFrom && timeKey < entry.timeFrom) return false;
+  if (entry.timeTo && timeKey > entry.timeTo) return false;
+
+  // A stylist preference only matches a slot that stylist freed
+  return !entry.stylistId || slot.stylistIds.length === 0 || slot.stylistIds.includes(entry.stylistId);
+};
+
+/**
+ * Offer a freed slot to the first matching waiting entry that still fits it
+ * @param {Object} slot - { branchId, start, duration, stylistIds, stylistNames, sourceAppointmentId, clientId }
+ * @returns {Promise<string|null>} - ID of the entry the slot was offered to
+ */
+const offerSlot = async (slot) => {
+  if (slot.start <= new Date()) return null;
+
+  const snapshot = await getDocs(query(
+    collection(db, WAITLIST_COLLECTION),
+    where('branchId', '==', slot.branchId)
+  ));
+  const candidates = sortByPriority(snapshot.docs.map(mapEntry)).filter(entry => entryMatchesSlot(entry, slot));
+
+  for (const entry of candidates) {
+    const stylistId = entry.stylistId || slot.stylistIds[0] || null;
+    const availability = await getSlotAvailability({
+      stylistId,
+      branchId: entry.branchId,
+      appointmentDate: slot.start,
+      duration: entry.duration,
+      serviceIds: entry.serviceIds || [],
+      services: entry.services || []
+    });
+    if (!availability.available) continue;
+
+    const offeredAt = new Date();
+    const expiresAt = new Date(offeredAt.getTime() + OFFER_HOLD_MINUTES * 60 * 1000);
+    const offer = {
+      appointmentDate: Timestamp.fromDate(slot.start),
+      stylistId,
+      stylistName: entry.stylistId ? entry.stylistName : (slot.stylistNames?.[stylistId] || null),
+      offeredAt: Timestamp.fromDate(offeredAt),
+      expiresAt: Timestamp.fromDate(expiresAt),
+      // The freed slot itself, passed on as-is if this client does not take it
+      slotDuration: slot.duration,
+      slotStylistIds: slot.stylistIds,
+      slotStylistNames: slot.stylistNames || {},
+      sourceAppointmentId: slot.sourceAppointmentId || null,
+      sourceClientId: slot.clientId || null
+    };
+
+    await updateDoc(doc(db, WAITLIST_COLLECTION, entry.id), {
+      status: WAITLIST_STATUS.OFFERED,
+      offer,
+      updatedAt: serverTimestamp()
+    });
+
+    if (entry.clientId) {
+      try {
+        await storeWaitlistOffer(entry, { ...offer, appointmentDate: slot.start, expiresAt });
+      } catch (error) {
+        console.error('Error sending waitlist offer notification:', error);
+        // Guests and missed notifications still see the offer at the front desk
+      }
+    }
+
+    return entry.id;
+  }
+
+  return null;
+};
+
+/**
+ * Release an entry's offer and pass the slot on to the next client in line
+ * @param {Object} entry - Offered waitlist entry
+ * @param {string} status - Status the entry moves to
+ * @param {boolean} passOn - Whether the slot is still free to offer
+ */
+const releaseOffer = async (entry, status = WAITLIST_STATUS.WAITING, passOn = true) => {
+  const start = toDate(entry.offer.appointmentDate);
+
+  await updateDoc(doc(db, WAITLIST_COLLECTION, entry.id), {
+    status,
+    offer: null,
+    declinedSlots: [...(entry.declinedSlots || []), getSlotKey(start)],
+    updatedAt: serverTimestamp()
+  });
+
+  if (!passOn) return null;
+
+  return await offerSlot({
+    branchId: entry.branchId,
+    start,
+    duration: entry.offer.slotDuration,
+    stylistIds: entry.offer.slotStylistIds || [],
+    stylistNames: entry.offer.slotStylistNames || {},
+    sourceAppointmentId: entry.offer.sourceAppointmentId,
+    clientId: entry.offer.sourceClientId
+  });
+};
+
+/**
+ * Offer the slot a cancelled or rescheduled appointment used to hold
+ * @param {Object} appointment - Appointment as it was before the change
+ * @returns {Promise<string|null>} - ID of the entry the slot was offered to
+ */
+export const offerFreedSlot = async (appointment) => {
+  try {
+    const start = toDate(appointment.appointmentDate);
+    if (!appointment.branchId || !start || start <= new Date()) return null;
+
+    await expireWaitlistOffers(appointment.branchId);
+
+    const stylistIds = getStylistIds(appointment);
+    return await offerSlot({
+      branchId: appointment.branchId,
+      start,
+      duration: appointment.duration || 60,
+      stylistIds,
+      stylistNames: Object.fromEntries(stylistIds.map(id => [id, getStylistName(appointment, id)])),
+      sourceAppointmentId: appointment.id,
+      clientId: appointment.clientId || null
+    });
+  } catch (error) {
+    console.error('Error offering freed slot to waitlist:', error);
+    return null;
+  }
+};
+
+/**
+ * Pass on offers whose hold ran out and expire entries whose date window has passed
+ * @param {string} branchId - Branch ID
+ * @returns {Promise<number>} - Number of entries updated
+ */
+export const expireWaitlistOffers = async (branchId) => {
+  try {
+    const snapshot = await getDocs(query(
+      collection(db, WAITLIST_COLLECTION),
+      where('branchId', '==', branchId)
+    ));
+    const entries = snapshot.docs.map(mapEntry);
+    const todayKey = toDateKey(new Date());
+    let updated = 0;
+
+    for (const entry of entries) {
+      if (!ACTIVE_STATUSES.includes(entry.status)) continue;
+
+      const windowPassed = entry.dateTo < todayKey;
+      if (isOfferExpired(entry)) {
+        await releaseOffer(entry, windowPassed ? WAITLIST_STATUS.EXPIRED : WAITLIST_STATUS.WAITING);
+        updated++;
+      } else if (windowPassed && entry.status === WAITLIST_STATUS.WAITING) {
+        await updateDoc(doc(db, WAITLIST_COLLECTION, entry.id), {
+          status: WAITLIST_STATUS.EXPIRED,
+          updatedAt: serverTimestamp()
+        });
+        updated++;
+      }
+    }
+
+    return updated;
+  } catch (error) {
+    console.error('Error expiring waitlist offers:', error);
+    return 0;
+  }
+};
+
+/**
+ * Accept a slot offer, booking the appointment
+ * @param {string} entryId - Waitlist entry ID
+ * @param {Object} currentUser - Client or receptionist accepting
+ * @returns {Promise<string>} - New appointment ID
+ */
+export const acceptWaitlistOffer = async (entryId, currentUser) => {
+  try {
+    const entrySnap = await getDoc(doc(db, WAITLIST_COLLECTION, entryId));
+    if (!entrySnap.exists()) {
+      throw new Error('Waitlist entry not found');
+    }
+    const entry = mapEntry(entrySnap);
+
+    if (entry.status !== WAITLIST_STATUS.OFFERED || !entry.offer) {
+      toast.error('This slot is no longer on offer');
+      throw new Error('Offer not available');
+    }
+    if (isOfferExpired(entry)) {
+      await releaseOffer(entry);
+      toast.error('The hold on this slot has expired');
+      throw new Error('Offer not available');
+    }
+
+    const services = entry.services.map(svc => ({
+      ...svc,
+      stylistId: svc.stylistId || entry.offer.stylistId || null,
+      stylistName: svc.stylistId ? svc.stylistName : (entry.offer.stylistName || 'Any available')
+    }));
+
+    let appointmentId;
+    try {
+      appointmentId = await createAppointment({
+        clientId: entry.clientId,
+        clientName: entry.clientName,
+        clientEmail: entry.clientEmail,
+        clientPhone: entry.clientPhone,
+        isGuest: entry.isGuest,
+        branchId: entry.branchId,
+        branchName: entry.branchName,
+        services,
+        appointmentDate: entry.offer.appointmentDate,
+        duration: entry.duration,
+        totalPrice: entry.totalPrice,
+        status: APPOINTMENT_STATUS.CONFIRMED,
+        notes: entry.notes,
+        waitlistEntryId: entryId
+      }, currentUser);
+    } catch (error) {
+      // The slot was taken after all; keep the client in line for the next one
+      await releaseOffer(entry, WAITLIST_STATUS.WAITING, false);
+      throw error;
+    }
+
+    await updateDoc(doc(db, WAITLIST_COLLECTION, entryId), {
+      status: WAITLIST_STATUS.BOOKED,
+      appointmentId,
+      bookedBy: currentUser.uid,
+      bookedAt: serverTimestamp(),
+      updatedAt: serverTimestamp()
+    });
+
+    await logActivity({
+      performedBy: currentUser.uid,
+      action: 'ACCEPT_WAITLIST_OFFER',
+      targetType: 'waitlist',
+      targetId: entryId,
+      details: `Booked waitlist slot for ${entry.clientName || entry.clientId}`,
+      metadata: { appointmentId, sourceAppointmentId: entry.offer.sourceAppointmentId }
+    });
+
+    return appointmentId;
+  } catch (error) {
+    console.error('Error accepting waitlist offer:', error);
+    throw error;
+  }
+};
+
+/**
+ * Decline a slot offer; the client stays on the waitlist and the slot goes to the next in line
+ * @param {string} entryId - Waitlist entry ID
+ * @param {Object} currentUser - Client or receptionist declining
+ */
+export const declineWaitlistOffer = async (entryId, currentUser) => {
+  try {
+    const entrySnap = await getDoc(doc(db, WAITLIST_COLLECTION, entryId));
+    if (!entrySnap.exists()) {
+      throw new Error('Waitlist entry not found');
+    }
+    const entry = mapEntry(entrySnap);
+    if (entry.status !== WAITLIST_STATUS.OFFERED || !entry.offer) {
+      toast.error('This slot is no longer on offer');
+      throw new Error('Offer not available');
+    }
+
+    await releaseOffer(entry);
+
+    await logActivity({
+      performedBy: currentUser.uid,
+      action: 'DECLINE_WAITLIST_OFFER',
+      targetType: 'waitlist',
+      targetId: entryId,
+      details: `Declined waitlist slot for ${entry.clientName || entry.clientId}`,
+      metadata: { sourceAppointmentId: entry.offer.sourceAppointmentId }
+    });
+
+    toast.success('Offer declined');
+  } catch (error) {
+    console.error('Error declining waitlist offer:', error);
+    if (error.message !== 'Offer not available') {
+      toast.error('Failed to decline offer');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Take an entry off the waitlist, passing on any slot it was holding
+ * @param {string} entryId - Waitlist entry ID
+ * @param {Object} currentUser - Client or receptionist removing
+ */
+export const removeFromWaitlist = async (entryId, currentUser) => {
+  try {
+    const entrySnap = await getDoc(doc(db, WAITLIST_COLLECTION, entryId));
+    if (!entrySnap.exists()) {
+      throw new Error('Waitlist entry not found');
+    }
+    const entry = mapEntry(entrySnap);
+
+    if (entry.status === WAITLIST_STATUS.OFFERED && entry.offer) {
+      await releaseOffer(entry, WAITLIST_STATUS.REMOVED);
+    } else {
+      await updateDoc(doc(db, WAITLIST_COLLECTION, entryId), {
+        status: WAITLIST_STATUS.REMOVED,
+        updatedAt: serverTimestamp()
+      });
+    }
+
+    await logActivity({
+      performedBy: currentUser.uid,
+      action: 'REMOVE_FROM_WAITLIST',
+      targetType: 'waitlist',
+      targetId: entryId,
+      details: `Removed ${entry.clientName || entry.clientId} from the waitlist`,
+      metadata: { branchId: entry.branchId }
+    });
+
+    toast.success('Removed from the waitlist');
+  } catch (error) {
+    console.error('Error removing from waitlist:', error);
+    toast.error('Failed to remove from the waitlist');
+    throw error;
+  }
+};
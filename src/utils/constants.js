@@ -45,6 +45,13 @@ export const SERVICE_CATEGORIES = [
   'Massage'
 ];
 
+// Stylist levels used by commission rules
+export const STYLIST_LEVELS = [
+  { value: 'junior', label: 'Junior Stylist' },
+  { value: 'senior', label: 'Senior Stylist' },
+  { value: 'master', label: 'Master Stylist' }
+];
+
 // Navigation paths
 export const ROUTES = {
   HOME: '/',
@@ -67,12 +74,14 @@ export const ROUTES = {
   OPERATIONAL_MANAGER_PROMOTIONS: '/operational-manager/promotions',
   OPERATIONAL_MANAGER_CALENDAR: '/operational-manager/calendar',
   OPERATIONAL_MANAGER_CALENDAR_APPROVAL: '/operational-manager/calendar-approval',
+  OPERATIONAL_MANAGER_GIFT_CARDS: '/operational-manager/gift-cards',
   
   // Branch Manager
   MANAGER_DASHBOARD: '/manager',
   MANAGER_STAFF: '/manager/staff',
   MANAGER_APPOINTMENTS: '/manager/appointments',
   MANAGER_REPORTS: '/manager/reports',
+  MANAGER_PAYROLL: '/manager/payroll',
   
   // Receptionist
   RECEPTIONIST_DASHBOARD: '/receptionist',
@@ -81,6 +90,7 @@ export const ROUTES = {
   RECEPTIONIST_CLIENTS: '/receptionist/clients',
   RECEPTIONIST_BILLING: '/receptionist/billing',
   RECEPTIONIST_SALES_REPORT: '/receptionist/sales-report',
+  RECEPTIONIST_CASH_DRAWER: '/receptionist/cash-drawer',
   RECEPTIONIST_STAFF_SCHEDULE: '/receptionist/staff-schedule',
   RECEPTIONIST_SERVICES: '/receptionist/services',
   RECEPTIONIST_PRODUCTS: '/receptionist/products',
@@ -100,6 +110,7 @@ export const ROUTES = {
   INVENTORY_REPORTS: '/inventory/reports',
   INVENTORY_COST_ANALYSIS: '/inventory/cost-analysis',
   INVENTORY_AUDIT: '/inventory/inventory-audit',
+  INVENTORY_SERVICE_USAGE: '/inventory/service-usage',
   
   // Overall Inventory Controller
   OVERALL_INVENTORY_DASHBOARD: '/overall-inventory',
@@ -115,6 +126,7 @@ export const ROUTES = {
   STYLIST_SCHEDULE: '/stylist/schedule',
   STYLIST_CLIENTS: '/stylist/clients',
   STYLIST_SERVICE_HISTORY: '/stylist/service-history',
+  STYLIST_COMMISSIONS: '/stylist/commissions',
   STYLIST_CLIENT_ANALYTICS: '/stylist/client-analytics/:clientId',
   
   // Client
@@ -137,3 +137,85 @@ export const exportAnalyticsToCSV = (analytics, dateRange, filename = 'analytics
   const csvContent = sections.join('\n');
   downloadCSV(csvContent, filename);
 };
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const VALUATION_EXPORT_HEADERS = {
+  products: [
+    { key: 'productName', label: 'Product' },
+    { key: 'category', label: 'Category' },
+    { key: 'branchName', label: 'Branch' },
+    { key: 'onHandQuantity', label: 'On Hand' },
+    { key: 'unit', label: 'Unit' },
+    { key: 'averageCost', label: 'Average Unit Cost' },
+    { key: 'onHandValue', label: 'On-Hand Value' },
+    { key: 'soldQuantity', label: 'Units Sold' },
+    { key: 'revenue', label: 'Revenue' },
+    { key: 'cogs', label: 'COGS' },
+    { key: 'grossMargin', label: 'Gross Margin' },
+    { key: 'marginPercent', label: 'Margin %' },
+    { key: 'salonUse', label: 'Salon Use Cost' },
+    { key: 'shrinkage', label: 'Shrinkage' },
+    { key: 'turnover', label: 'Turnover (per year)' },
+    { key: 'daysOfSupply', label: 'Days of Supply' }
+  ],
+  categories: [
+    { key: 'category', label: 'Category' },
+    { key: 'onHandValue', label: 'On-Hand Value' },
+    { key: 'revenue', label: 'Revenue' },
+    { key: 'cogs', label: 'COGS' },
+    { key: 'grossMargin', label: 'Gross Margin' },
+    { key: 'marginPercent', label: 'Margin %' },
+    { key: 'shrinkage', label: 'Shrinkage' },
+    { key: 'turnover', label: 'Turnover (per year)' },
+    { key: 'daysOfSupply', label: 'Days of Supply' }
+  ],
+  branches: [
+    { key: 'branchName', label: 'Branch' },
+    { key: 'onHandValue', label: 'On-Hand Value' },
+    { key: 'revenue', label: 'Revenue' },
+    { key: 'cogs', label: 'COGS' },
+    { key: 'grossMargin', label: 'Gross Margin' },
+    { key: 'marginPercent', label: 'Margin %' },
+    { key: 'shrinkage', label: 'Shrinkage' },
+    { key: 'turnover', label: 'Turnover (per year)' },
+    { key: 'daysOfSupply', label: 'Days of Supply' }
+  ],
+  periods: [
+    { key: 'label', label: 'Period' },
+    { key: 'soldQuantity', label: 'Units Sold' },
+    { key: 'revenue', label: 'Revenue' },
+    { key: 'cogs', label: 'COGS' },
+    { key: 'grossMargin', label: 'Gross Margin' },
+    { key: 'marginPercent', label: 'Margin %' },
+    { key: 'salonUse', label: 'Salon Use Cost' },
+    { key: 'shrinkage', label: 'Shrinkage' }
+  ],
+  shrinkage: [
+    { key: 'label', label: 'Cause' },
+    { key: 'quantity', label: 'Units' },
+    { key: 'value', label: 'Value' }
+  ]
+};
+
+/**
+ * Export one section of an inventory valuation to CSV
+ * @param {Object} valuation - getInventoryValuation result
+ * @param {string} section - 'products', 'categories', 'branches', 'periods' or 'shrinkage'
+ * @param {string} method - 'fifo' or 'average'
+ */
+export const exportInventoryValuationToCSV = (valuation, section, method, filename = `inventory-${section}.csv`) => {
+  const headers = VALUATION_EXPORT_HEADERS[section];
+  const rows = (valuation[section] || []).map(row => {
+    // Money values are kept per valuation method; shrinkage causes hold them as plain numbers
+    const values = section === 'shrinkage' ? { value: row[method] } : row[method];
+    const formatted = { ...row, ...values };
+    headers.forEach(header => {
+      if (typeof formatted[header.key] === 'number') formatted[header.key] = round2(formatted[header.key]);
+    });
+    return formatted;
+  });
+
+  const csvContent = convertToCSV(rows, headers);
+  downloadCSV(csvContent, filename);
+};